@@ -22,6 +22,8 @@ process.stderr.on('error', (err) => {
 // Paper Files Container system
 const { FileManager } = require('./src/lib/files/file-manager.cjs');
 const { DownloadQueue } = require('./src/lib/files/download-queue.cjs');
+const { IngestPipeline } = require('./src/lib/files/ingest-pipeline.cjs');
+const { PDF_REFERENCES_SOURCE } = require('./src/lib/files/constants.cjs');
 const {
   ArxivDownloader,
   PublisherDownloader,
@@ -114,14 +116,20 @@ const pdfImport = require('./src/main/pdf-import.cjs');
 const pdfDownload = require('./src/main/pdf-download.cjs');
 const adsApi = require('./src/main/ads-api.cjs');
 const bibtex = require('./src/main/bibtex.cjs');
+const snapshotService = require('./src/main/snapshot-service.cjs');
 const { OllamaService, PROMPTS, chunkText, cosineSimilarity, parseSummaryResponse, parseMetadataResponse } = require('./src/main/llm-service.cjs');
 const { CloudLLMService, PROVIDERS: CLOUD_PROVIDERS } = require('./src/main/cloud-llm-service.cjs');
 
 // Plugin System
 const { pluginManager } = require('./src/lib/plugins/manager.cjs');
+const { PluginLoader } = require('./src/lib/plugins/loader.cjs');
+const { parseFederatedQuery, formatFederatedQuery } = require('./src/lib/plugins/federated.cjs');
+const { translateForPlugin, parseForPlugin } = require('./src/lib/plugins/query.cjs');
 const { adsPlugin } = require('./src/plugins/ads/index.cjs');
 const arxivPlugin = require('./src/plugins/arxiv/index.cjs');
 const inspirePlugin = require('./src/plugins/inspire/index.cjs');
+const crossrefPlugin = require('./src/plugins/crossref/index.cjs');
+const openalexPlugin = require('./src/plugins/openalex/index.cjs');
 
 /**
  * Clean a DOI by removing common garbage suffixes and malformed paths
@@ -235,7 +243,10 @@ const store = new Store({
       model: 'qwen3:30b',
       embeddingModel: 'nomic-embed-text'
     },
-    libraryProxyUrl: null  // e.g., 'https://proxy.library.edu/login?url='
+    libraryProxyUrl: null,  // e.g., 'https://proxy.library.edu/login?url='
+    disabledPlugins: [],    // Source plugin IDs turned off in Preferences
+    contactEmail: null,     // Sent to Crossref and OpenAlex for their "polite" pools
+    snapshotSettings: snapshotService.DEFAULT_SNAPSHOT_SETTINGS
   }
 });
 
@@ -508,6 +519,10 @@ async function fetchAdsMetadataBeforeAdd(hints = {}) {
   }
 }
 
+// Origins recorded in a paper's edit history (see lib/database/history.js)
+const ADS_SYNC = { origin: 'ads-sync' };
+const LLM_EXTRACT = { origin: 'llm-extract' };
+
 // Helper to fetch and apply ADS metadata to a paper
 async function fetchAndApplyAdsMetadata(paperId, extractedMetadata = null) {
   const token = store.get('adsToken');
@@ -544,7 +559,7 @@ async function fetchAndApplyAdsMetadata(paperId, extractedMetadata = null) {
       adsData = await adsApi.getByBibcode(token, bibcodeFromAdsUrl);
       if (adsData) {
         // Save the bibcode to the paper
-        database.updatePaper(paperId, { bibcode: bibcodeFromAdsUrl });
+        database.updatePaper(paperId, { bibcode: bibcodeFromAdsUrl }, true, ADS_SYNC);
       }
     } else if (paper.doi) {
       const cleanedDoi = cleanDOI(paper.doi);
@@ -572,21 +587,21 @@ async function fetchAndApplyAdsMetadata(paperId, extractedMetadata = null) {
           adsData = await adsApi.getByDOI(token, cleanedDoi);
           if (adsData) {
             // Update paper with found DOI (store cleaned version)
-            database.updatePaper(paperId, { doi: cleanedDoi });
+            database.updatePaper(paperId, { doi: cleanedDoi }, true, ADS_SYNC);
           }
         }
         if (!adsData && contentIds.arxiv_id) {
           console.log(`Trying extracted arXiv: ${contentIds.arxiv_id}`);
           adsData = await adsApi.getByArxiv(token, contentIds.arxiv_id);
           if (adsData) {
-            database.updatePaper(paperId, { arxiv_id: contentIds.arxiv_id });
+            database.updatePaper(paperId, { arxiv_id: contentIds.arxiv_id }, true, ADS_SYNC);
           }
         }
         if (!adsData && contentIds.bibcode) {
           console.log(`Trying extracted bibcode: ${contentIds.bibcode}`);
           adsData = await adsApi.getByBibcode(token, contentIds.bibcode);
           if (adsData) {
-            database.updatePaper(paperId, { bibcode: contentIds.bibcode });
+            database.updatePaper(paperId, { bibcode: contentIds.bibcode }, true, ADS_SYNC);
           }
         }
 
@@ -629,14 +644,14 @@ async function fetchAndApplyAdsMetadata(paperId, extractedMetadata = null) {
                 console.log(`Trying LLM-extracted DOI: ${llmMeta.doi}`);
                 adsData = await adsApi.getByDOI(token, llmMeta.doi);
                 if (adsData) {
-                  database.updatePaper(paperId, { doi: llmMeta.doi });
+                  database.updatePaper(paperId, { doi: llmMeta.doi }, true, LLM_EXTRACT);
                 }
               }
               if (llmMeta.arxiv_id && !adsData) {
                 console.log(`Trying LLM-extracted arXiv: ${llmMeta.arxiv_id}`);
                 adsData = await adsApi.getByArxiv(token, llmMeta.arxiv_id);
                 if (adsData) {
-                  database.updatePaper(paperId, { arxiv_id: llmMeta.arxiv_id });
+                  database.updatePaper(paperId, { arxiv_id: llmMeta.arxiv_id }, true, LLM_EXTRACT);
                 }
               }
             } catch (llmError) {
@@ -674,11 +689,11 @@ async function fetchAndApplyAdsMetadata(paperId, extractedMetadata = null) {
       console.error('Failed to get BibTeX:', e.message);
     }
 
-    // Update paper in database
+    // Update paper in database (locked fields keep their values)
     database.updatePaper(paperId, {
       ...metadata,
       bibtex: bibtexStr
-    });
+    }, true, ADS_SYNC);
 
     return { success: true, metadata };
   } catch (error) {
@@ -701,6 +716,14 @@ async function initializeLibrarySystems(libraryPath) {
   } catch (error) {
     console.error('[Library] Initialization failed:', error);
   }
+
+  try {
+    await purgeExpiredTrash(libraryPath);
+  } catch (error) {
+    console.error('[Trash] Failed to purge expired papers:', error);
+  }
+
+  takeScheduledSnapshot(libraryPath);
 }
 
 // Update window title with library name (macOS)
@@ -864,6 +887,20 @@ function createTempDatabaseInterface(db, libraryPath) {
       }
     },
 
+    addPaperFile(paperId, fileData) {
+      // Left pending: the ingest pipeline extracts the text once the library is opened
+      db.run(`
+        INSERT INTO paper_files (paper_id, filename, original_name, mime_type, file_size, file_role,
+          source_type, added_date, status, ingest_status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+      `, [
+        paperId, fileData.filename, fileData.original_name || fileData.filename,
+        fileData.mime_type, fileData.file_size || 0, fileData.file_role,
+        fileData.source_type || null, new Date().toISOString(), fileData.status || 'ready'
+      ]);
+      return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    },
+
     createCollection(name, parentId, isSmart, query) {
       const now = new Date().toISOString();
       const stmt = db.prepare(`
@@ -1089,7 +1126,10 @@ async function countPapersInLibrary(libraryPath) {
     const tempDb = new SQL.Database(fileBuffer);
 
     try {
-      const result = tempDb.exec('SELECT COUNT(*) FROM papers');
+      // Libraries from before the Trash have no deleted_at column
+      const columns = tempDb.exec('PRAGMA table_info(papers)')[0]?.values.map(row => row[1]) || [];
+      const where = columns.includes('deleted_at') ? ' WHERE deleted_at IS NULL' : '';
+      const result = tempDb.exec(`SELECT COUNT(*) FROM papers${where}`);
       const count = result[0]?.values[0][0] || 0;
       return count;
     } finally {
@@ -1283,6 +1323,7 @@ ipcMain.handle('switch-library', async (event, libraryId) => {
     }
 
     // Close current database
+    ingestPipeline?.stop();
     database.closeDatabase();
     dbInitialized = false;
 
@@ -1325,10 +1366,12 @@ ipcMain.handle('delete-library', async (event, { libraryId, deleteFiles }) => {
     // If deleting active library, close the database first
     if (isDeletingActive) {
       try {
+        ingestPipeline?.stop();
         database.closeDatabase();
         dbInitialized = false;
         fileManager = null;
         downloadQueue = null;
+        ingestPipeline = null;
       } catch (e) {
         console.error('Error closing database:', e);
       }
@@ -1529,6 +1572,7 @@ ipcMain.handle('migrate-library-to-icloud', async (event, { libraryPath }) => {
     }
 
     // Close database before moving
+    ingestPipeline?.stop();
     database.closeDatabase();
     dbInitialized = false;
 
@@ -1640,6 +1684,62 @@ function copyFolderSync(source, target) {
 
 // ===== Conflict Detection IPC Handlers =====
 
+// Patterns for conflict files (macOS iCloud)
+// - "library 2.sqlite" (numeric suffix)
+// - "library-2.sqlite" (dash + number)
+// - "library (conflicted copy from MacBook).sqlite"
+const CONFLICT_FILE_PATTERNS = [
+  /library[\s-]\d+\.sqlite$/i,
+  /library\s*\(.*conflict.*\)\.sqlite$/i,
+  /library\.sqlite\s+\d+$/i
+];
+
+/**
+ * Find iCloud conflict copies of library.sqlite in a library folder
+ * @param {string} libraryPath
+ * @returns {{filename: string, path: string, modified: Date, size: number}[]}
+ */
+function findLibraryConflicts(libraryPath) {
+  const conflicts = [];
+  for (const file of fs.readdirSync(libraryPath)) {
+    if (CONFLICT_FILE_PATTERNS.some(pattern => pattern.test(file))) {
+      const filePath = path.join(libraryPath, file);
+      const stat = fs.statSync(filePath);
+      conflicts.push({
+        filename: file,
+        path: filePath,
+        modified: stat.mtime,
+        size: stat.size
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Where this device keeps the merge base of a library: the result of the
+ * last merge it made, which both devices share once iCloud syncs it. Kept
+ * outside the library folder so iCloud doesn't sync it.
+ * @param {string} libraryPath
+ * @returns {string}
+ */
+function getMergeBasePath(libraryPath) {
+  const hash = require('crypto').createHash('sha1').update(path.resolve(libraryPath)).digest('hex');
+  return path.join(app.getPath('userData'), 'merge-bases', `${hash}.sqlite`);
+}
+
+/**
+ * Remember a merge result as the base for merging a conflict copy later.
+ * The merge stamped it, so it is only used for copies that descend from it.
+ * @param {string} libraryPath
+ * @param {Uint8Array} data - The merged library file
+ */
+function saveMergeBase(libraryPath, data) {
+  const basePath = getMergeBasePath(libraryPath);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  fs.writeFileSync(basePath, Buffer.from(data));
+}
+
 /**
  * Check for iCloud sync conflicts in a library folder
  * iCloud creates files like "library 2.sqlite" or "library (conflicted copy).sqlite"
@@ -1650,34 +1750,7 @@ ipcMain.handle('check-library-conflicts', async (event, libraryPath) => {
   }
 
   try {
-    const files = fs.readdirSync(libraryPath);
-    const conflicts = [];
-
-    // Patterns for conflict files (macOS iCloud)
-    // - "library 2.sqlite" (numeric suffix)
-    // - "library-2.sqlite" (dash + number)
-    // - "library (conflicted copy from MacBook).sqlite"
-    const conflictPatterns = [
-      /library[\s-]\d+\.sqlite$/i,
-      /library\s*\(.*conflict.*\)\.sqlite$/i,
-      /library\.sqlite\s+\d+$/i
-    ];
-
-    for (const file of files) {
-      for (const pattern of conflictPatterns) {
-        if (pattern.test(file)) {
-          const filePath = path.join(libraryPath, file);
-          const stat = fs.statSync(filePath);
-          conflicts.push({
-            filename: file,
-            path: filePath,
-            modified: stat.mtime,
-            size: stat.size
-          });
-          break;
-        }
-      }
-    }
+    const conflicts = findLibraryConflicts(libraryPath);
 
     return {
       hasConflicts: conflicts.length > 0,
@@ -1692,15 +1765,76 @@ ipcMain.handle('check-library-conflicts', async (event, libraryPath) => {
 });
 
 /**
- * Resolve a conflict by choosing which version to keep
- * @param action - 'keep-current' | 'keep-conflict' | 'backup-both'
+ * Merge a conflict copy into the library without writing anything, to show
+ * the user what would change and which fields both devices changed
+ */
+ipcMain.handle('preview-library-merge', async (event, { libraryPath, conflictPath }) => {
+  try {
+    // Merge what this device has now, not what it last saved
+    if (dbInitialized && store.get('libraryPath') === libraryPath) database.saveDatabase();
+
+    const { conflicts, stats, threeWay } = await database.mergeLibraryFiles({
+      mainPath: path.join(libraryPath, 'library.sqlite'),
+      conflictPath,
+      basePath: getMergeBasePath(libraryPath)
+    });
+    return { success: true, conflicts, stats, hasBase: threeWay };
+  } catch (error) {
+    console.error('Failed to preview merge:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Resolve a conflict by choosing which version to keep, or by merging both
+ * @param action - 'merge' | 'keep-current' | 'keep-conflict' | 'backup-both'
+ * @param resolutions - For 'merge': 'ours' or 'theirs' per conflict id from
+ *   preview-library-merge (unresolved conflicts keep this device's value)
  */
-ipcMain.handle('resolve-library-conflict', async (event, { libraryPath, conflictPath, action }) => {
+ipcMain.handle('resolve-library-conflict', async (event, { libraryPath, conflictPath, action, resolutions = {} }) => {
   try {
     const mainDbPath = path.join(libraryPath, 'library.sqlite');
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
-    if (action === 'keep-current') {
+    // Close first: closing saves the open library, which must not overwrite
+    // the file chosen or merged below
+    ingestPipeline?.stop();
+    database.closeDatabase();
+    dbInitialized = false;
+
+    if (action === 'merge') {
+      const { stats, data } = await database.mergeLibraryFiles({
+        mainPath: mainDbPath,
+        conflictPath,
+        basePath: getMergeBasePath(libraryPath),
+        resolutions
+      });
+
+      // Keep both originals, then swap the merged file in with a rename so
+      // library.sqlite is never half written
+      const mergedPath = `${mainDbPath}.merging`;
+      const fd = fs.openSync(mergedPath, 'w');
+      try {
+        fs.writeSync(fd, Buffer.from(data));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.copyFileSync(mainDbPath, path.join(libraryPath, `library-current-${timestamp}.sqlite`));
+      fs.renameSync(conflictPath, path.join(libraryPath, `library-conflict-${timestamp}.sqlite`));
+      fs.renameSync(mergedPath, mainDbPath);
+
+      try {
+        saveMergeBase(libraryPath, data);
+      } catch (error) {
+        console.error('[Library] Failed to save merge base:', error);
+      }
+
+      const changed = Object.entries(stats)
+        .filter(([, counts]) => counts.added + counts.updated + counts.removed > 0)
+        .map(([table, counts]) => `${table} +${counts.added} ~${counts.updated} -${counts.removed}`);
+      sendConsoleLog(`Conflict resolved: merged both versions${changed.length ? ` (${changed.join(', ')})` : ''}`, 'success');
+    } else if (action === 'keep-current') {
       // Just delete the conflict file
       fs.unlinkSync(conflictPath);
       sendConsoleLog('Conflict resolved: kept current version', 'success');
@@ -1728,8 +1862,6 @@ ipcMain.handle('resolve-library-conflict', async (event, { libraryPath, conflict
     }
 
     // Reload database
-    database.closeDatabase();
-    dbInitialized = false;
     await database.initDatabase(libraryPath);
     dbInitialized = true;
     await initializeLibrarySystems(libraryPath);
@@ -1737,6 +1869,15 @@ ipcMain.handle('resolve-library-conflict', async (event, { libraryPath, conflict
     return { success: true };
   } catch (error) {
     console.error('Failed to resolve conflict:', error);
+    // Reopen whatever library.sqlite now holds so the app keeps working
+    if (!dbInitialized) {
+      try {
+        await database.initDatabase(libraryPath);
+        dbInitialized = true;
+      } catch (reopenError) {
+        console.error('Failed to reopen library:', reopenError);
+      }
+    }
     return { success: false, error: error.message };
   }
 });
@@ -1752,6 +1893,8 @@ ipcMain.handle('get-library-info', async (event, libraryPath) => {
       await initializeLibrarySystems(libraryPath);
     } catch (error) {
       console.error('Failed to init database:', error);
+      // e.g. a library saved by a newer version of the app
+      sendConsoleLog(error.message, 'error');
     }
   }
 
@@ -1836,15 +1979,19 @@ ipcMain.handle('import-pdfs', async () => {
       if (importResult.pdf_path) {
         const filename = path.basename(importResult.pdf_path);
         const fullPath = path.join(libraryPath, importResult.pdf_path);
-        database.addPaperFile(paperId, {
+        const fileId = database.addPaperFile(paperId, {
           filename: filename,
           original_name: path.basename(filePath),
           mime_type: 'application/pdf',
           file_size: fs.existsSync(fullPath) ? fs.statSync(fullPath).size : 0,
           file_role: 'pdf',
           source_type: 'IMPORTED',
-          status: 'ready'
+          status: 'ready',
+          text_extracted: importResult.textExtracted ? 1 : 0,
+          text_path: importResult.textExtracted ? importResult.text_path : null
         });
+        // The text is already there; the pipeline reuses it
+        ingestPipeline?.enqueue(fileId);
       }
 
       importResults.push({ success: true, id: paperId, ...importResult });
@@ -1937,15 +2084,19 @@ ipcMain.handle('import-files', async () => {
       if (importResult.pdf_path) {
         const filename = path.basename(importResult.pdf_path);
         const fullPath = path.join(libraryPath, importResult.pdf_path);
-        database.addPaperFile(paperId, {
+        const fileId = database.addPaperFile(paperId, {
           filename: filename,
           original_name: path.basename(filePath),
           mime_type: 'application/pdf',
           file_size: fs.existsSync(fullPath) ? fs.statSync(fullPath).size : 0,
           file_role: 'pdf',
           source_type: 'IMPORTED',
-          status: 'ready'
+          status: 'ready',
+          text_extracted: importResult.textExtracted ? 1 : 0,
+          text_path: importResult.textExtracted ? importResult.text_path : null
         });
+        // The text is already there; the pipeline reuses it
+        ingestPipeline?.enqueue(fileId);
       }
 
       results.pdfs.push({ success: true, id: paperId, ...importResult });
@@ -1987,41 +2138,53 @@ ipcMain.handle('import-files', async () => {
   return { success: true, results };
 });
 
-ipcMain.handle('get-all-papers', (event, options) => {
-  if (!dbInitialized) return [];
-  const papers = database.getAllPapers(options);
+/**
+ * Set pdf_path for papers whose PDF exists on disk but was never recorded
+ * (legacy imports), persisting the fix
+ */
+function fillMissingPdfPaths(papers) {
   const libraryPath = store.get('libraryPath');
+  if (!libraryPath) return;
 
-  // Check for PDFs on disk for papers without pdf_path set
-  if (libraryPath) {
-    const papersDir = path.join(libraryPath, 'papers');
-    const sourceTypes = ['EPRINT_PDF', 'PUB_PDF', 'ADS_PDF', 'ATTACHED'];
+  const papersDir = path.join(libraryPath, 'papers');
+  const sourceTypes = ['EPRINT_PDF', 'PUB_PDF', 'ADS_PDF', 'ATTACHED'];
 
-    for (const paper of papers) {
-      // Skip if already has pdf_path
-      if (paper.pdf_path) continue;
-
-      // Check if any PDF exists for this paper
-      if (paper.bibcode) {
-        const baseFilename = paper.bibcode.replace(/[^a-zA-Z0-9._-]/g, '_');
-        for (const sourceType of sourceTypes) {
-          const filename = `${baseFilename}_${sourceType}.pdf`;
-          const filePath = path.join(papersDir, filename);
-          if (fs.existsSync(filePath)) {
-            // Found a PDF, set pdf_path for display purposes
-            paper.pdf_path = `papers/${filename}`;
-            // Also update database so this fix persists
-            database.updatePaper(paper.id, { pdf_path: paper.pdf_path });
-            break;
-          }
+  for (const paper of papers) {
+    // Skip if already has pdf_path
+    if (paper.pdf_path) continue;
+
+    // Check if any PDF exists for this paper
+    if (paper.bibcode) {
+      const baseFilename = paper.bibcode.replace(/[^a-zA-Z0-9._-]/g, '_');
+      for (const sourceType of sourceTypes) {
+        const filename = `${baseFilename}_${sourceType}.pdf`;
+        const filePath = path.join(papersDir, filename);
+        if (fs.existsSync(filePath)) {
+          // Found a PDF, set pdf_path for display purposes
+          paper.pdf_path = `papers/${filename}`;
+          // Also update database so this fix persists
+          database.updatePaper(paper.id, { pdf_path: paper.pdf_path });
+          break;
         }
       }
     }
   }
+}
 
+ipcMain.handle('get-all-papers', (event, options) => {
+  if (!dbInitialized) return [];
+  const papers = database.getAllPapers(options);
+  fillMissingPdfPaths(papers);
   return papers;
 });
 
+ipcMain.handle('get-papers-page', (event, options) => {
+  if (!dbInitialized) return { papers: [], total: 0, offset: 0 };
+  const page = database.getPapersPage(options);
+  fillMissingPdfPaths(page.papers);
+  return page;
+});
+
 ipcMain.handle('get-paper', (event, id) => {
   if (!dbInitialized) return null;
   return database.getPaper(id);
@@ -2033,15 +2196,12 @@ ipcMain.handle('update-paper', (event, id, updates) => {
   return true;
 });
 
+// Deleting a paper moves it to the Trash; its files stay until it is purged
 ipcMain.handle('delete-paper', (event, id) => {
   if (!dbInitialized) return false;
   const libraryPath = store.get('libraryPath');
-  const paper = database.getPaper(id);
-
-  if (paper) {
-    pdfImport.deletePaperFiles(libraryPath, paper.pdf_path, paper.text_path);
-    database.deletePaper(id);
 
+  if (database.trashPapers([id]) > 0) {
     // Update master.bib
     const allPapers = database.getAllPapers();
     bibtex.updateMasterBib(libraryPath, allPapers);
@@ -2054,20 +2214,7 @@ ipcMain.handle('delete-papers-bulk', (event, ids) => {
   if (!dbInitialized) return { success: false, deleted: 0 };
   const libraryPath = store.get('libraryPath');
 
-  let deleted = 0;
-  for (const id of ids) {
-    const paper = database.getPaper(id);
-    if (paper) {
-      // Delete files (non-blocking)
-      pdfImport.deletePaperFiles(libraryPath, paper.pdf_path, paper.text_path);
-      // Delete from database without saving (save = false)
-      database.deletePaper(id, false);
-      deleted++;
-    }
-  }
-
-  // Save database once at the end
-  database.saveDatabase();
+  const deleted = database.trashPapers(ids);
 
   // Update master.bib once at the end
   const allPapers = database.getAllPapers();
@@ -2076,6 +2223,327 @@ ipcMain.handle('delete-papers-bulk', (event, ids) => {
   return { success: true, deleted };
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TRASH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Permanently delete papers, their rows and their files
+ * @param {string} libraryPath
+ * @param {number[]} ids
+ * @returns {Promise<number>} Papers deleted
+ */
+async function purgePapers(libraryPath, ids) {
+  const { papers, files } = database.purgePapers(ids);
+
+  for (const paper of papers) {
+    try {
+      pdfImport.deletePaperFiles(libraryPath, paper.pdf_path, paper.text_path);
+    } catch (error) {
+      console.warn(`[Trash] Could not delete files of paper ${paper.id}:`, error.message);
+    }
+  }
+  for (const file of files) {
+    try {
+      await fileManager?.deleteStoredFile(file);
+      pdfImport.deletePaperFiles(libraryPath, null, file.text_path);
+    } catch (error) {
+      console.warn(`[Trash] Could not delete ${file.filename}:`, error.message);
+    }
+  }
+
+  return papers.length;
+}
+
+/**
+ * Purge papers that have been in the Trash longer than the retention period
+ * @param {string} libraryPath
+ */
+async function purgeExpiredTrash(libraryPath) {
+  const expired = database.getExpiredTrashIds();
+  if (expired.length === 0) return;
+
+  const purged = await purgePapers(libraryPath, expired);
+  console.log(`[Trash] Purged ${purged} papers past the retention period`);
+}
+
+ipcMain.handle('get-trash-count', () => {
+  if (!dbInitialized) return 0;
+  return database.getStats().trash;
+});
+
+ipcMain.handle('restore-papers', (event, ids) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const libraryPath = store.get('libraryPath');
+
+  const restored = database.restorePapers(ids);
+  bibtex.updateMasterBib(libraryPath, database.getAllPapers());
+
+  return { success: true, restored };
+});
+
+// Permanently delete papers from the Trash
+ipcMain.handle('purge-papers', async (event, ids) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const deleted = await purgePapers(store.get('libraryPath'), ids);
+    return { success: true, deleted };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('empty-trash', async () => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const deleted = await purgePapers(store.get('libraryPath'), database.getTrashedPaperIds());
+    return { success: true, deleted };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-trash-retention', () => {
+  if (!dbInitialized) return null;
+  return database.getTrashRetentionDays();
+});
+
+ipcMain.handle('set-trash-retention', async (event, days) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const retentionDays = database.setTrashRetentionDays(days);
+    await purgeExpiredTrash(store.get('libraryPath'));
+    return { success: true, days: retentionDays };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EDIT HISTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+ipcMain.handle('get-paper-history', (event, paperId) => {
+  if (!dbInitialized) return { history: [], lockedFields: [] };
+  return database.getPaperHistory(paperId);
+});
+
+ipcMain.handle('revert-paper-field', (event, entryId) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const paperId = database.revertPaperField(entryId);
+    if (paperId === null) return { success: false, error: 'History entry not found' };
+
+    const allPapers = database.getAllPapers();
+    bibtex.updateMasterBib(store.get('libraryPath'), allPapers);
+    return { success: true, paper: database.getPaper(paperId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-paper-field-locked', (event, paperId, field, locked) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    return { success: true, lockedFields: database.setPaperFieldLocked(paperId, field, locked) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTHORS (see src/lib/database/authors.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+ipcMain.handle('get-paper-authors', (event, paperId) => {
+  if (!dbInitialized) return [];
+  return database.getPaperAuthors(paperId);
+});
+
+ipcMain.handle('get-author', (event, authorId) => {
+  if (!dbInitialized) return null;
+  return database.getAuthor(authorId);
+});
+
+ipcMain.handle('merge-authors', (event, keepId, mergeIds) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    database.mergeAuthors(keepId, mergeIds);
+    return { success: true, author: database.getAuthor(keepId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIBRARY SNAPSHOTS (see src/main/snapshot-service.cjs)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// How often to check whether a scheduled snapshot is due
+const SNAPSHOT_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+let snapshotTimer = null;
+
+// What each snapshot holds, by file name (snapshots never change)
+const snapshotStatsCache = new Map();
+
+function getSnapshotSettings() {
+  return snapshotService.normalizeSettings(store.get('snapshotSettings'));
+}
+
+/**
+ * Snapshot the open library if a snapshot is due, then delete the ones the
+ * retention settings no longer keep
+ * @param {string} [libraryPath]
+ */
+function takeScheduledSnapshot(libraryPath = store.get('libraryPath')) {
+  if (!dbInitialized || !libraryPath) return;
+
+  try {
+    const settings = getSnapshotSettings();
+    if (!snapshotService.isSnapshotDue(libraryPath, settings)) return;
+
+    const snapshot = snapshotService.createSnapshot(database, libraryPath, settings);
+    const pruned = snapshotService.pruneSnapshots(libraryPath, settings);
+    console.log(`[Snapshots] Saved ${snapshot.filename}${pruned ? `, deleted ${pruned} old snapshots` : ''}`);
+  } catch (error) {
+    console.error('[Snapshots] Failed to take snapshot:', error);
+  }
+}
+
+function startSnapshotSchedule() {
+  if (!snapshotTimer) {
+    snapshotTimer = setInterval(() => takeScheduledSnapshot(), SNAPSHOT_CHECK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Counts of a snapshot's papers, annotations, collections and files
+ * @param {string} snapshotPath
+ * @returns {Promise<Object>}
+ * @throws {SchemaVersionError} If the snapshot is newer than this app
+ */
+async function getSnapshotStats(snapshotPath) {
+  const filename = path.basename(snapshotPath);
+  if (!snapshotStatsCache.has(filename)) {
+    snapshotStatsCache.set(filename, await database.getSnapshotStats(snapshotPath));
+  }
+  return snapshotStatsCache.get(filename);
+}
+
+ipcMain.handle('list-library-snapshots', () => {
+  const libraryPath = store.get('libraryPath');
+  return {
+    snapshots: libraryPath ? snapshotService.listSnapshots(libraryPath) : [],
+    settings: getSnapshotSettings()
+  };
+});
+
+ipcMain.handle('get-snapshot-stats', async (event, filename) => {
+  const snapshotPath = snapshotService.getSnapshotPath(store.get('libraryPath'), filename);
+  if (!snapshotPath) return { success: false, error: 'Snapshot not found' };
+  try {
+    return { success: true, stats: await getSnapshotStats(snapshotPath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-snapshot-papers', async (event, filename) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const snapshotPath = snapshotService.getSnapshotPath(store.get('libraryPath'), filename);
+  if (!snapshotPath) return { success: false, error: 'Snapshot not found' };
+  try {
+    return { success: true, papers: await database.getSnapshotPapers(snapshotPath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-library-snapshot', () => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const libraryPath = store.get('libraryPath');
+  try {
+    const settings = getSnapshotSettings();
+    const snapshot = snapshotService.createSnapshot(database, libraryPath, settings);
+    snapshotService.pruneSnapshots(libraryPath, settings);
+    return { success: true, snapshot };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-snapshot-settings', (event, settings) => {
+  const normalized = snapshotService.normalizeSettings({ ...getSnapshotSettings(), ...settings });
+  store.set('snapshotSettings', normalized);
+
+  const libraryPath = store.get('libraryPath');
+  const deleted = libraryPath ? snapshotService.pruneSnapshots(libraryPath, normalized) : 0;
+  return { success: true, settings: normalized, deleted };
+});
+
+/**
+ * Replace the whole library with a snapshot. The library as it was is
+ * snapshotted first, so the restore can itself be undone.
+ */
+ipcMain.handle('restore-library-snapshot', async (event, filename) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const libraryPath = store.get('libraryPath');
+  const snapshotPath = snapshotService.getSnapshotPath(libraryPath, filename);
+  if (!snapshotPath) return { success: false, error: 'Snapshot not found' };
+
+  try {
+    // Fails for a snapshot this version of the app can't open
+    await getSnapshotStats(snapshotPath);
+
+    const current = snapshotService.createSnapshot(database, libraryPath, getSnapshotSettings());
+    ingestPipeline?.stop();
+    database.closeDatabase();
+    dbInitialized = false;
+
+    // Swap in with a rename so library.sqlite is never half written
+    const mainDbPath = path.join(libraryPath, 'library.sqlite');
+    fs.copyFileSync(snapshotPath, `${mainDbPath}.restoring`);
+    fs.renameSync(`${mainDbPath}.restoring`, mainDbPath);
+
+    await database.initDatabase(libraryPath);
+    dbInitialized = true;
+    await initializeLibrarySystems(libraryPath);
+    bibtex.updateMasterBib(libraryPath, database.getAllPapers());
+
+    sendConsoleLog(`Restored library from snapshot ${filename} (previous library saved as ${current.filename})`, 'success');
+    return { success: true, backup: current.filename };
+  } catch (error) {
+    console.error('[Snapshots] Failed to restore library:', error);
+    if (!dbInitialized) {
+      try {
+        await database.initDatabase(libraryPath);
+        dbInitialized = true;
+      } catch (reopenError) {
+        console.error('Failed to reopen library:', reopenError);
+      }
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+// Bring selected papers back from a snapshot, leaving the rest of the library as it is
+ipcMain.handle('restore-snapshot-papers', async (event, filename, paperIds) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const libraryPath = store.get('libraryPath');
+  const snapshotPath = snapshotService.getSnapshotPath(libraryPath, filename);
+  if (!snapshotPath) return { success: false, error: 'Snapshot not found' };
+
+  try {
+    const { paperIds: restored } = await database.restorePapersFromSnapshot(snapshotPath, paperIds);
+    bibtex.updateMasterBib(libraryPath, database.getAllPapers());
+    sendConsoleLog(`Restored ${restored.length} papers from snapshot ${filename}`, 'success');
+    return { success: true, restored: restored.length };
+  } catch (error) {
+    console.error('[Snapshots] Failed to restore papers:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('get-pdf-path', (event, relativePath) => {
   const libraryPath = store.get('libraryPath');
   if (!libraryPath || !relativePath) return null;
@@ -2095,9 +2563,29 @@ ipcMain.handle('search-papers', (event, query) => {
   }
   const libraryPath = store.get('libraryPath');
   console.log('Library path:', libraryPath);
-  const results = database.searchPapersFullText(query, libraryPath);
-  console.log('Search returned', results.length, 'results');
-  return results;
+  try {
+    const results = database.searchPapersFullText(query, libraryPath);
+    console.log('Search returned', results.length, 'results');
+    return results;
+  } catch (error) {
+    // Malformed query: report it for display under the search box
+    if (error.name === 'QuerySyntaxError') {
+      return { error: error.message, position: error.position };
+    }
+    throw error;
+  }
+});
+
+ipcMain.handle('rebuild-search-index', () => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const result = database.rebuildSearchIndex();
+    sendConsoleLog(`Search index rebuilt (${result.indexed} papers)`, 'success');
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Failed to rebuild search index:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // ===== ADS API IPC Handlers =====
@@ -2136,6 +2624,19 @@ ipcMain.handle('set-library-proxy', (event, proxyUrl) => {
   return { success: true };
 });
 
+// Contact email for sources with a faster "polite" pool (Crossref, OpenAlex)
+ipcMain.handle('get-contact-email', () => store.get('contactEmail') || '');
+
+ipcMain.handle('set-contact-email', (event, email) => {
+  email = email?.trim() || null;
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { success: false, error: 'Invalid email address' };
+  }
+  store.set('contactEmail', email);
+  pluginManager.setMailto(email);
+  return { success: true };
+});
+
 // Get actual publisher URL from ADS esources (for use with library proxy)
 ipcMain.handle('get-publisher-url', async (event, bibcode) => {
   const token = store.get('adsToken');
@@ -2674,10 +3175,13 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
       let bibtexStr = bibtexMap?.get(adsData.bibcode) || paper.bibtex;
 
       // Update paper metadata (don't save yet - batch save at end)
-      database.updatePaper(paper.id, {
+      const keptLocked = database.updatePaper(paper.id, {
         ...mergedMetadata,
         bibtex: bibtexStr
-      }, false);
+      }, false, ADS_SYNC);
+      if (keptLocked.length > 0) {
+        sendConsoleLog(`[${bibcode}] Kept locked fields: ${keptLocked.join(', ')}`, 'info');
+      }
 
       // Store available PDF sources as metadata (don't download during sync)
       try {
@@ -2945,7 +3449,7 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
       }
 
       // Update bibcode for future syncs
-      database.updatePaper(paper.id, { bibcode: adsData.bibcode }, false);
+      database.updatePaper(paper.id, { bibcode: adsData.bibcode }, false, ADS_SYNC);
 
       const result = await processPaper(paper, adsData);
       if (result.success) {
@@ -2995,7 +3499,7 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
               sendConsoleLog(`[${shortTitle}] Trying bibcode from adsurl: ${bibcodeFromUrl}`, 'info');
               adsData = await adsApi.getByBibcode(token, bibcodeFromUrl);
               if (adsData) {
-                database.updatePaper(paper.id, { bibcode: bibcodeFromUrl }, false);
+                database.updatePaper(paper.id, { bibcode: bibcodeFromUrl }, false, ADS_SYNC);
               }
             }
           }
@@ -3020,14 +3524,14 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
               sendConsoleLog(`[${shortTitle}] Trying extracted DOI: ${cleanDoi}`, 'info');
               adsData = await adsApi.getByDOI(token, cleanDoi);
               if (adsData) {
-                database.updatePaper(paper.id, { doi: cleanDoi }, false);
+                database.updatePaper(paper.id, { doi: cleanDoi }, false, ADS_SYNC);
               }
             }
             if (!adsData && contentIds.arxiv_id) {
               sendConsoleLog(`[${shortTitle}] Trying extracted arXiv: ${contentIds.arxiv_id}`, 'info');
               adsData = await adsApi.getByArxiv(token, contentIds.arxiv_id);
               if (adsData) {
-                database.updatePaper(paper.id, { arxiv_id: contentIds.arxiv_id }, false);
+                database.updatePaper(paper.id, { arxiv_id: contentIds.arxiv_id }, false, ADS_SYNC);
               }
             }
             if (!adsData && contentIds.bibcode) {
@@ -3070,14 +3574,14 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
                     sendConsoleLog(`[${shortTitle}] Trying LLM-extracted DOI: ${llmMeta.doi}`, 'info');
                     adsData = await adsApi.getByDOI(token, llmMeta.doi);
                     if (adsData) {
-                      database.updatePaper(paper.id, { doi: llmMeta.doi }, false);
+                      database.updatePaper(paper.id, { doi: llmMeta.doi }, false, LLM_EXTRACT);
                     }
                   }
                   if (llmMeta.arxiv_id && !adsData) {
                     sendConsoleLog(`[${shortTitle}] Trying LLM-extracted arXiv: ${llmMeta.arxiv_id}`, 'info');
                     adsData = await adsApi.getByArxiv(token, llmMeta.arxiv_id);
                     if (adsData) {
-                      database.updatePaper(paper.id, { arxiv_id: llmMeta.arxiv_id }, false);
+                      database.updatePaper(paper.id, { arxiv_id: llmMeta.arxiv_id }, false, LLM_EXTRACT);
                     }
                   }
                 } catch (llmError) {
@@ -3143,7 +3647,7 @@ ipcMain.handle('ads-sync-papers', async (event, paperIds = null) => {
             continue;
           }
 
-          database.updatePaper(paper.id, { bibcode: adsData.bibcode }, false);
+          database.updatePaper(paper.id, { bibcode: adsData.bibcode }, false, ADS_SYNC);
 
           const result = await processPaper(paper, adsData);
           if (result.success) {
@@ -3260,7 +3764,8 @@ ipcMain.handle('ads-import-search', async (event, query, options = {}) => {
     // Check which papers are already in library
     const papers = result.docs.map(doc => {
       const paper = adsApi.adsToPaper(doc);
-      paper.inLibrary = dbInitialized && database.getPaperByBibcode(doc.bibcode) !== null;
+      const existing = dbInitialized ? database.getPaperByBibcode(doc.bibcode) : null;
+      paper.inLibrary = !!existing && !existing.deleted_at;
       return paper;
     });
 
@@ -3298,6 +3803,12 @@ ipcMain.handle('ads-import-papers', async (event, selectedPapers) => {
   for (const paper of selectedPapers) {
     if (paper.bibcode) {
       const existing = database.getPaperByBibcode(paper.bibcode);
+      if (existing?.deleted_at) {
+        database.restorePapers([existing.id]);
+        sendConsoleLog(`[${paper.bibcode}] Restored from Trash`, 'info');
+        results.skipped.push({ paper, reason: 'Restored from Trash' });
+        continue;
+      }
       if (existing) {
         sendConsoleLog(`[${paper.bibcode}] Already in library, skipping`, 'info');
         results.skipped.push({ paper, reason: 'Already in library' });
@@ -3754,7 +4265,7 @@ ipcMain.handle('export-book', async (event, options) => {
   const libraryPath = store.get('libraryPath');
   if (!libraryPath) return { success: false, error: 'No library selected' };
 
-  const { paperIds, bookTitle, lastPdfSources, forSharing } = options;
+  const { paperIds, bookTitle, lastPdfSources, forSharing, includeAnnotations } = options;
 
   // Get paper data with PDF paths
   const papers = [];
@@ -3763,7 +4274,7 @@ ipcMain.handle('export-book', async (event, options) => {
     if (!paper) continue;
 
     // Determine preferred PDF path
-    const pdfPath = getPreferredPdfPath(paper, lastPdfSources?.[id], libraryPath);
+    const { path: pdfPath, source: pdfSource } = getPreferredPdf(paper, lastPdfSources?.[id], libraryPath);
     papers.push({
       id: paper.id,
       title: paper.title,
@@ -3771,7 +4282,8 @@ ipcMain.handle('export-book', async (event, options) => {
       year: paper.year,
       abstract: paper.abstract,
       bibtex: paper.bibtex,
-      pdfPath
+      pdfPath,
+      ...(includeAnnotations && pdfPath ? getAnnotationsForPdf(paper.id, pdfSource) : {})
     });
   }
 
@@ -3801,6 +4313,7 @@ ipcMain.handle('export-book', async (event, options) => {
     const pdfBytes = await bookExportService.exportBook({
       papers,
       bookTitle,
+      author: getAnnotationAuthor(),
       onProgress: (phase, current, total) => {
         mainWindow.webContents.send('book-export-progress', { phase, current, total });
       }
@@ -3817,8 +4330,9 @@ ipcMain.handle('export-book', async (event, options) => {
   }
 });
 
-// Helper to get preferred PDF path for a paper
-function getPreferredPdfPath(paper, lastSource, libraryPath) {
+// Helper to get preferred PDF path for a paper, with its PDF source (null for
+// the legacy pdf_path)
+function getPreferredPdf(paper, lastSource, libraryPath) {
   const papersDir = path.join(libraryPath, 'papers');
 
   // Check lastPdfSources preference
@@ -3826,14 +4340,14 @@ function getPreferredPdfPath(paper, lastSource, libraryPath) {
     if (lastSource.startsWith('ATTACHMENT:')) {
       const filename = lastSource.substring('ATTACHMENT:'.length);
       const attPath = path.join(papersDir, filename);
-      if (fs.existsSync(attPath)) return attPath;
+      if (fs.existsSync(attPath)) return { path: attPath, source: lastSource };
     } else if (lastSource === 'LEGACY' && paper.pdf_path) {
       const legacyPath = path.join(libraryPath, paper.pdf_path);
-      if (fs.existsSync(legacyPath)) return legacyPath;
+      if (fs.existsSync(legacyPath)) return { path: legacyPath, source: null };
     } else if (paper.bibcode) {
       const baseFilename = paper.bibcode.replace(/[^a-zA-Z0-9._-]/g, '_');
       const sourcePath = path.join(papersDir, `${baseFilename}_${lastSource}.pdf`);
-      if (fs.existsSync(sourcePath)) return sourcePath;
+      if (fs.existsSync(sourcePath)) return { path: sourcePath, source: lastSource };
     }
   }
 
@@ -3842,17 +4356,17 @@ function getPreferredPdfPath(paper, lastSource, libraryPath) {
     const baseFilename = paper.bibcode.replace(/[^a-zA-Z0-9._-]/g, '_');
     for (const source of ['EPRINT_PDF', 'PUB_PDF', 'ADS_PDF']) {
       const sourcePath = path.join(papersDir, `${baseFilename}_${source}.pdf`);
-      if (fs.existsSync(sourcePath)) return sourcePath;
+      if (fs.existsSync(sourcePath)) return { path: sourcePath, source };
     }
   }
 
   // Fallback to legacy pdf_path
   if (paper.pdf_path) {
     const legacyPath = path.join(libraryPath, paper.pdf_path);
-    if (fs.existsSync(legacyPath)) return legacyPath;
+    if (fs.existsSync(legacyPath)) return { path: legacyPath, source: null };
   }
 
-  return null;
+  return { path: null, source: null };
 }
 
 ipcMain.handle('preview-library-import', async (event, filePath) => {
@@ -3916,10 +4430,11 @@ ipcMain.handle('import-library', async (event, options) => {
 
       // Use sql.js directly to create a fresh database for the new library
       const initSqlJs = require('sql.js');
-      const { applySchema } = require('./src/shared/database-schema.cjs');
+      const { pathToFileURL } = require('url');
+      const { runMigrations } = await import(pathToFileURL(path.join(__dirname, 'src/lib/database/migrations.js')).href);
       const SQL = await initSqlJs();
       const newDb = new SQL.Database();
-      applySchema(newDb);
+      await runMigrations(newDb);
 
       // Create a minimal database interface for the import
       const tempDbInterface = createTempDatabaseInterface(newDb, newLibraryPath);
@@ -3996,6 +4511,8 @@ ipcMain.handle('import-library', async (event, options) => {
       'success'
     );
 
+    ingestPipeline?.enqueuePending();
+
     return { success: true, ...result };
   } catch (error) {
     console.error('Import failed:', error);
@@ -4090,8 +4607,23 @@ ipcMain.handle('get-collections', () => {
 });
 
 ipcMain.handle('create-collection', (event, name, parentId, isSmart, query) => {
-  if (!dbInitialized) return null;
-  return database.createCollection(name, parentId, isSmart, query);
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const id = database.createCollection(name, parentId, isSmart, query);
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: error.message, position: error.position };
+  }
+});
+
+ipcMain.handle('update-collection', (event, collectionId, updates) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    database.updateCollection(collectionId, updates);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message, position: error.position };
+  }
 });
 
 ipcMain.handle('delete-collection', (event, collectionId) => {
@@ -4125,6 +4657,236 @@ ipcMain.handle('get-papers-in-collection', (event, collectionId) => {
   return database.getPapersInCollection(collectionId);
 });
 
+// ===== Tags IPC Handlers =====
+
+ipcMain.handle('get-tags', () => {
+  if (!dbInitialized) return [];
+  return database.getTags();
+});
+
+ipcMain.handle('create-tag', (event, name, color) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const id = database.createTag(name, color);
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('update-tag', (event, tagId, updates) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    database.updateTag(tagId, updates);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-tag', (event, tagId) => {
+  if (!dbInitialized) return false;
+  database.deleteTag(tagId);
+  return true;
+});
+
+ipcMain.handle('tag-papers', (event, paperIds, name) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const id = database.tagPapers(paperIds, name);
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('untag-papers', (event, paperIds, tagId) => {
+  if (!dbInitialized) return false;
+  database.untagPapers(paperIds, tagId);
+  return true;
+});
+
+// ===== Duplicates IPC Handlers =====
+
+ipcMain.handle('find-duplicate-papers', () => {
+  if (!dbInitialized) return [];
+  return database.findDuplicatePapers();
+});
+
+ipcMain.handle('merge-papers', (event, keepId, mergeIds) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const mergeId = database.mergePapers(keepId, mergeIds);
+    bibtex.updateMasterBib(store.get('libraryPath'), database.getAllPapers());
+    return { success: true, mergeId };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-paper-merges', () => {
+  if (!dbInitialized) return [];
+  return database.getPaperMerges();
+});
+
+ipcMain.handle('undo-paper-merge', (event, mergeId) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    const paperIds = database.undoPaperMerge(mergeId);
+    bibtex.updateMasterBib(store.get('libraryPath'), database.getAllPapers());
+    return { success: true, paperIds };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ===== Citation Graph IPC Handlers =====
+
+// The graph module is shared with iOS, so it is ESM and loaded on first use
+let citationGraphModule = null;
+
+ipcMain.handle('build-citation-graph', async (event, paperIds, options = {}) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    if (!citationGraphModule) {
+      const { pathToFileURL } = require('url');
+      citationGraphModule = await import(pathToFileURL(path.join(__dirname, 'src/lib/graph/index.js')).href);
+    }
+    const graph = await citationGraphModule.buildCitationGraph({
+      seedIds: paperIds,
+      getLinks: database.getCitationLinks,
+      maxDepth: options.maxDepth,
+      maxNodes: options.maxNodes
+    });
+    return { success: true, graph };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ===== Recommendations IPC Handlers =====
+
+// Tell the renderer the "Papers You're Missing" ranking may have changed
+// (called whenever a paper's references are cached)
+function notifyRecommendationsChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('recommendations-changed');
+  }
+}
+
+// The ID a plugin's getRecord/getBatch takes for a cached reference
+function getPluginRecordId(plugin, work) {
+  switch (plugin.id) {
+    case 'ads': return work.bibcode;
+    case 'arxiv': return work.arxiv_id;
+    case 'inspire': return work.inspire_id;
+    case 'crossref': return work.doi;
+    case 'openalex': return work.doi;
+    default: return null;
+  }
+}
+
+ipcMain.handle('get-recommendations', (event, options = {}) => {
+  if (!dbInitialized) return { works: [], total: 0 };
+  return database.getRecommendations(options);
+});
+
+/**
+ * Import recommended works through the active plugin: getBatch when it has
+ * one and several works have the plugin's own IDs, getRecord otherwise, and
+ * DOI / arXiv lookup for works without one
+ * Args: works - recommendation objects from get-recommendations
+ * Returns: { success, results: { imported: [{key, id, restored?}], skipped: [{key}], failed: [{key, error}] } }
+ * Works whose paper is in the Trash are restored and count as imported
+ */
+ipcMain.handle('import-recommendations', async (event, works) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  const plugin = pluginManager.getActive();
+  if (!plugin) return { success: false, error: 'No active source plugin' };
+
+  const results = { imported: [], skipped: [], failed: [] };
+  try {
+    const recordIds = new Map(works.map(work => [work.key, getPluginRecordId(plugin, work)]));
+    const batchIds = [...recordIds.values()].filter(Boolean);
+
+    const fetched = new Map();
+    if (batchIds.length > 1 && typeof plugin.getBatch === 'function') {
+      for (const paper of await plugin.getBatch(batchIds)) {
+        fetched.set(paper.sourceId, paper);
+      }
+    }
+
+    for (const work of works) {
+      try {
+        const recordId = recordIds.get(work.key);
+        let paper = recordId ? fetched.get(recordId) || await plugin.getRecord(recordId) : null;
+        if (!paper && work.doi && typeof plugin.getByDOI === 'function') {
+          paper = await plugin.getByDOI(work.doi);
+        }
+        if (!paper && work.arxiv_id && typeof plugin.getByArxiv === 'function') {
+          paper = await plugin.getByArxiv(work.arxiv_id);
+        }
+        if (!paper) {
+          results.failed.push({ key: work.key, error: `Not found in ${plugin.name}` });
+          continue;
+        }
+
+        const paperData = {
+          bibcode: paper.bibcode,
+          doi: paper.doi,
+          arxiv_id: paper.arxivId,
+          title: paper.title,
+          authors: paper.authors,
+          year: paper.year,
+          journal: paper.journal,
+          abstract: paper.abstract,
+          keywords: paper.keywords,
+          bibtex: paper.bibtex,
+          citation_count: paper.citationCount
+        };
+        const existing = database.findOrCreatePaper(paperData, plugin.id, paper.sourceId, plugin.capabilities);
+        if (existing.inTrash) {
+          database.restorePapers([existing.paper.id]);
+          sendConsoleLog(`[${paper.sourceId}] Restored from Trash`, 'info');
+          results.imported.push({ key: work.key, id: existing.paper.id, restored: true });
+          continue;
+        }
+        if (!existing.isNew) {
+          results.skipped.push({ key: work.key, id: existing.paper.id });
+          continue;
+        }
+
+        const paperId = database.addPaper(paperData);
+        database.addPaperSource({
+          paperId,
+          source: plugin.id,
+          sourceId: paper.sourceId,
+          capabilities: plugin.capabilities,
+          isPrimary: true
+        });
+        database.updateLibraryLinks(paperId);
+
+        if (paperData.bibcode && database.isInReadingList(paperData.bibcode)) {
+          getReadingListCache()?.remove(paperData.bibcode);
+          database.removeFromReadingList(paperData.bibcode);
+        }
+
+        sendConsoleLog(`[${paper.sourceId}] ✓ Imported from ${plugin.name}`, 'success');
+        results.imported.push({ key: work.key, id: paperId });
+      } catch (error) {
+        results.failed.push({ key: work.key, error: error.message });
+      }
+    }
+
+    if (results.imported.length > 0) {
+      bibtex.updateMasterBib(store.get('libraryPath'), database.getAllPapers());
+    }
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message, results };
+  }
+});
+
 // ===== LLM IPC Handlers =====
 
 // Initialize or get Ollama service
@@ -4492,7 +5254,10 @@ Examples:
 - "recent QCD papers in Physical Review" → ab qcd and date 2024-> and j "Phys.Rev."
 
 Keep the query concise. Use quotes for multi-word phrases.
-Output only the final INSPIRE query string, no explanation.`
+Output only the final INSPIRE query string, no explanation.`,
+
+  crossref: crossrefPlugin.nlPrompt,
+  openalex: openalexPlugin.nlPrompt
 };
 
 // Backwards compatibility alias
@@ -4573,8 +5338,8 @@ ipcMain.handle('get-nl-prompt', async (event, pluginId) => {
     return config.adsNLPrompt;
   }
 
-  // Return default for plugin
-  return DEFAULT_NL_PROMPTS[pluginId] || DEFAULT_NL_PROMPTS.ads;
+  // Return default for plugin (third-party plugins bring their own)
+  return DEFAULT_NL_PROMPTS[pluginId] || pluginManager.get(pluginId)?.nlPrompt || DEFAULT_NL_PROMPTS.ads;
 });
 
 // Handler: Set NL prompt for a specific plugin
@@ -4593,10 +5358,16 @@ ipcMain.handle('reset-nl-prompt', async (event, pluginId) => {
     delete config.nlPrompts[pluginId];
     store.set('llmConfig', config);
   }
-  return { success: true, defaultPrompt: DEFAULT_NL_PROMPTS[pluginId] || DEFAULT_NL_PROMPTS.ads };
+  return { success: true, defaultPrompt: DEFAULT_NL_PROMPTS[pluginId] || pluginManager.get(pluginId)?.nlPrompt || DEFAULT_NL_PROMPTS.ads };
 });
 
-ipcMain.handle('llm-summarize', async (event, paperId, options = {}) => {
+/**
+ * Summarize a paper with the active LLM provider, streaming to the renderer
+ * @param {number} paperId - Paper ID
+ * @param {Object} [options] - provider, model, checkCacheOnly
+ * @returns {Promise<Object>} { success, data, cached } or { success: false, error }
+ */
+async function summarizePaper(paperId, options = {}) {
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
 
   const paper = database.getPaper(paperId);
@@ -4693,7 +5464,9 @@ ipcMain.handle('llm-summarize', async (event, paperId, options = {}) => {
   } catch (error) {
     return { success: false, error: error.message };
   }
-});
+}
+
+ipcMain.handle('llm-summarize', (event, paperId, options) => summarizePaper(paperId, options));
 
 ipcMain.handle('llm-ask', async (event, paperId, question, options = {}) => {
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
@@ -4845,7 +5618,15 @@ ipcMain.handle('llm-explain', async (event, text, paperId = null) => {
   }
 });
 
-ipcMain.handle('llm-generate-embeddings', async (event, paperId) => {
+// Page lookup for chunk offsets (ES module, see src/lib/pdf/text-extraction.js)
+let pdfTextModule = null;
+
+/**
+ * Embed a paper's text in chunks for semantic search, unless it already is
+ * @param {number} paperId - Paper ID
+ * @returns {Promise<Object>} { success, chunksProcessed | cached } or { success: false, error }
+ */
+async function generatePaperEmbeddings(paperId) {
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
 
   const paper = database.getPaper(paperId);
@@ -4877,6 +5658,11 @@ ipcMain.handle('llm-generate-embeddings', async (event, paperId) => {
   }
 
   try {
+    if (!pdfTextModule) {
+      const { pathToFileURL } = require('url');
+      pdfTextModule = await import(pathToFileURL(path.join(__dirname, 'src/lib/pdf/text-extraction.js')).href);
+    }
+
     // Chunk the text
     const chunks = chunkText(textContent, 2000, 100);
     const embeddings = [];
@@ -4892,7 +5678,10 @@ ipcMain.handle('llm-generate-embeddings', async (event, paperId) => {
       embeddings.push({
         chunkIndex: i,
         chunkText: chunks[i].text.substring(0, 500), // Store preview
-        embedding
+        embedding,
+        pageNumber: pdfTextModule.pageAtOffset(textContent, chunks[i].startIdx),
+        textStart: chunks[i].startIdx,
+        textEnd: chunks[i].endIdx
       });
     }
 
@@ -4903,7 +5692,39 @@ ipcMain.handle('llm-generate-embeddings', async (event, paperId) => {
   } catch (error) {
     return { success: false, error: error.message };
   }
-});
+}
+
+ipcMain.handle('llm-generate-embeddings', (event, paperId) => generatePaperEmbeddings(paperId));
+
+// Embeddings and summaries for newly imported PDFs, one paper at a time
+let paperAnalysisChain = Promise.resolve();
+
+/**
+ * Queue the analysis chosen in AI settings for a paper whose PDF text was
+ * just extracted (called by the ingest pipeline)
+ * @param {Object} paper - Paper record
+ */
+function queuePaperAnalysis(paper) {
+  const config = store.get('llmConfig') || {};
+  if (!paper || (!config.embedOnImport && !config.summarizeOnImport)) return;
+
+  paperAnalysisChain = paperAnalysisChain.then(async () => {
+    if (config.embedOnImport) {
+      const result = await generatePaperEmbeddings(paper.id);
+      if (!result.success) {
+        sendConsoleLog(`Could not index "${paper.title}" for AI search: ${result.error}`, 'warn');
+      }
+    }
+    if (config.summarizeOnImport) {
+      const result = await summarizePaper(paper.id);
+      if (!result.success) {
+        sendConsoleLog(`Could not summarize "${paper.title}": ${result.error}`, 'warn');
+      }
+    }
+  }).catch(error => {
+    console.error('[Ingest] Paper analysis failed:', error);
+  });
+}
 
 ipcMain.handle('llm-get-unindexed-papers', async () => {
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
@@ -5004,11 +5825,11 @@ ipcMain.handle('apply-ads-metadata', async (event, paperId, adsDoc) => {
       console.error('Failed to get BibTeX:', e.message);
     }
 
-    // Update paper
+    // Update paper (locked fields keep their values)
     database.updatePaper(paperId, {
       ...metadata,
       bibtex: bibtexStr
-    });
+    }, true, ADS_SYNC);
 
     // Update master.bib
     const libraryPath = store.get('libraryPath');
@@ -5131,6 +5952,7 @@ ipcMain.handle('llm-semantic-search', async (event, query, limit = 10) => {
     const scores = allEmbeddings.map(item => ({
       paperId: item.paper_id,
       chunkText: item.chunk_text,
+      page: item.page_number,
       similarity: cosineSimilarity(queryEmbedding, item.embedding)
     }));
 
@@ -5147,7 +5969,8 @@ ipcMain.handle('llm-semantic-search', async (event, query, limit = 10) => {
           paperScores.set(result.paperId, {
             paper,
             score: result.similarity,
-            matchedChunk: result.chunkText
+            matchedChunk: result.chunkText,
+            matchedPage: result.page ?? null
           });
         }
       }
@@ -5280,18 +6103,73 @@ ipcMain.handle('export-annotations', async (event, paperId) => {
     return { success: false, error: 'No annotations to export' };
   }
 
-  // Generate Markdown content
-  const markdown = formatAnnotationsAsMarkdown(paper, annotations);
-
-  // Show save dialog
-  const defaultName = `${paper.bibcode || 'annotations'}_notes.md`;
+  // Generate Markdown content
+  const markdown = formatAnnotationsAsMarkdown(paper, annotations);
+
+  // Show save dialog
+  const defaultName = `${paper.bibcode || 'annotations'}_notes.md`;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Annotations',
+    defaultPath: defaultName,
+    filters: [
+      { name: 'Markdown', extensions: ['md'] },
+      { name: 'Text', extensions: ['txt'] }
+    ]
+  });
+
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    fs.writeFileSync(result.filePath, markdown, 'utf-8');
+    sendConsoleLog(`Exported ${annotations.length} annotations to ${result.filePath}`, 'success');
+    return { success: true, path: result.filePath, count: annotations.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+const annotatedPdfService = require('./src/main/annotated-pdf-service.cjs');
+
+/**
+ * A paper's annotations and page rotations on one of its PDFs. Annotations
+ * saved without a source belong to whichever PDF is exported
+ */
+function getAnnotationsForPdf(paperId, pdfSource) {
+  return {
+    annotations: database.getAnnotations(paperId)
+      .filter(a => !a.pdf_source || a.pdf_source === pdfSource),
+    rotations: database.getPageRotations(paperId, pdfSource)
+  };
+}
+
+// Written as the author of exported PDF annotations
+function getAnnotationAuthor() {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return '';
+  }
+}
+
+ipcMain.handle('export-annotated-pdf', async (event, { paperId, pdfPath, pdfSource }) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+
+  const paper = database.getPaper(paperId);
+  if (!paper) return { success: false, error: 'Paper not found' };
+  if (!pdfPath || !fs.existsSync(pdfPath)) return { success: false, error: 'PDF not found' };
+
+  const { annotations, rotations } = getAnnotationsForPdf(paperId, pdfSource);
+  if (annotations.length === 0) {
+    return { success: false, error: 'No annotations to export' };
+  }
+
+  const defaultName = `${(paper.bibcode || paper.title || 'paper').replace(/[^a-zA-Z0-9._-]/g, '_').substring(0, 60)}_annotated.pdf`;
   const result = await dialog.showSaveDialog(mainWindow, {
-    title: 'Export Annotations',
+    title: 'Export Annotated PDF',
     defaultPath: defaultName,
-    filters: [
-      { name: 'Markdown', extensions: ['md'] },
-      { name: 'Text', extensions: ['txt'] }
-    ]
+    filters: [{ name: 'PDF Document', extensions: ['pdf'] }]
   });
 
   if (result.canceled || !result.filePath) {
@@ -5299,10 +6177,16 @@ ipcMain.handle('export-annotations', async (event, paperId) => {
   }
 
   try {
-    fs.writeFileSync(result.filePath, markdown, 'utf-8');
-    sendConsoleLog(`Exported ${annotations.length} annotations to ${result.filePath}`, 'success');
-    return { success: true, path: result.filePath, count: annotations.length };
+    const { bytes, count } = await annotatedPdfService.exportAnnotatedPdf(
+      fs.readFileSync(pdfPath),
+      annotations,
+      { rotations, author: getAnnotationAuthor() }
+    );
+    fs.writeFileSync(result.filePath, bytes);
+    sendConsoleLog(`Exported PDF with ${count} annotations to ${path.basename(result.filePath)}`, 'success');
+    return { success: true, path: result.filePath, count };
   } catch (error) {
+    console.error('Annotated PDF export failed:', error);
     return { success: false, error: error.message };
   }
 });
@@ -5444,9 +6328,10 @@ ipcMain.handle('attach-files', async (event, paperId, bibcode) => {
 // ============ PAPER FILES ============
 // New Paper Files Container API - manages files associated with papers
 
-// FileManager and DownloadQueue instances (initialized after library is loaded)
+// FileManager, DownloadQueue and IngestPipeline instances (initialized after library is loaded)
 let fileManager = null;
 let downloadQueue = null;
+let ingestPipeline = null;
 
 // Download strategy manager (initialized with Paper Files system)
 let strategyManager = null;
@@ -5457,6 +6342,18 @@ function initializePaperFilesSystem(libraryPath) {
     // Initialize FileManager
     fileManager = new FileManager(libraryPath, database);
 
+    // Initialize IngestPipeline: text and identifiers for every new PDF
+    ingestPipeline?.stop();
+    ingestPipeline = new IngestPipeline({
+      libraryPath,
+      database,
+      fileManager,
+      extractTextFn: pdfImport.extractText,
+      detectIdentifiersFn: pdfImport.extractIdentifiersFromContent,
+      extractReferencesFn: parsePdfReferences,
+      analyzeFn: queuePaperAnalysis
+    });
+
     // Initialize download strategies with configuration
     const adsToken = store.get('adsToken');
     const proxyUrl = store.get('libraryProxyUrl');
@@ -5511,6 +6408,7 @@ function initializePaperFilesSystem(libraryPath) {
               });
               result.path = fileResult.path;
               result.fileId = fileResult.id;
+              ingestPipeline?.enqueue(fileResult.id);
             } catch (addError) {
               console.error('Failed to add file via FileManager:', addError);
               result.success = false;
@@ -5568,6 +6466,20 @@ function initializePaperFilesSystem(libraryPath) {
       mainWindow?.webContents.send('download-queue:cancelled', data);
     });
 
+    for (const eventName of ['queued', 'started', 'progress', 'complete', 'error']) {
+      ingestPipeline.on(eventName, (data) => {
+        mainWindow?.webContents.send(`ingest:${eventName}`, data);
+      });
+    }
+
+    // References parsed from a PDF count towards recommendations
+    ingestPipeline.on('complete', (result) => {
+      if (result.references > 0) notifyRecommendationsChanged();
+    });
+
+    // Pick up PDFs added while the pipeline wasn't running (or cut short by a crash)
+    ingestPipeline.enqueuePending();
+
     sendConsoleLog('Paper Files system initialized', 'info');
   } catch (error) {
     console.error('Failed to initialize Paper Files system:', error);
@@ -5587,6 +6499,7 @@ ipcMain.handle('paper-files:add', async (event, paperId, filePath, options = {})
     }
 
     const result = await fileManager.addFile(paperId, filePath, options);
+    ingestPipeline?.enqueue(result.id);
     return { success: true, file: result };
   } catch (error) {
     console.error('paper-files:add error:', error);
@@ -5730,6 +6643,8 @@ ipcMain.handle('paper-files:rescan', async (event, paperId) => {
       }
     }
 
+    if (found > 0) ingestPipeline?.enqueuePending();
+
     return { success: true, found };
   } catch (error) {
     console.error('paper-files:rescan error:', error);
@@ -5927,6 +6842,19 @@ ipcMain.handle('download-queue:resume', async (event) => {
   }
 });
 
+// ===== Ingest Pipeline IPC Handlers =====
+
+ipcMain.handle('ingest:status', () => {
+  return ingestPipeline ? ingestPipeline.getStatus() : { queued: 0, activeId: null };
+});
+
+ipcMain.handle('ingest:retry', (event, fileId) => {
+  if (!ingestPipeline) {
+    return { success: false, error: 'Paper Files system not initialized' };
+  }
+  return { success: ingestPipeline.enqueue(fileId) };
+});
+
 // ===== Utility IPC Handlers =====
 
 ipcMain.handle('open-external', (event, url) => {
@@ -6947,19 +7875,92 @@ ipcMain.handle('reading-list-check-bibcodes', async (event, { bibcodes }) => {
 // Plugin System IPC Handlers
 // =============================================================================
 
+// Third-party source plugins, one folder each in <userData>/plugins
+const pluginLoader = new PluginLoader({
+  manager: pluginManager,
+  directory: path.join(app.getPath('userData'), 'plugins'),
+  isDisabled: (pluginId) => (store.get('disabledPlugins') || []).includes(pluginId)
+});
+
+// Tell the renderer plugins were loaded, unloaded, enabled or disabled
+function notifyPluginsChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('plugins-changed');
+  }
+}
+
 /**
- * Get list of all registered plugins with their info
- * Returns: Array of { id, name, icon, description, active, enabled, capabilities, auth }
+ * Get list of all plugins, built-in and third-party, with their info
+ * Returns: Array of { id, name, icon, description, active, enabled, capabilities, auth,
+ *   builtIn, state: 'loaded'|'disabled'|'error', error, version?, directory? }
  */
 ipcMain.handle('plugin:list', async () => {
   try {
-    const plugins = pluginManager.getPluginInfo();
+    const plugins = pluginLoader.getPluginList();
     return { success: true, data: plugins };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
+/**
+ * Enable or disable a plugin. Third-party plugins are loaded or unloaded;
+ * built-in ones stay registered but are skipped. Remembered across launches.
+ * Args: { pluginId: string, enabled: boolean }
+ */
+ipcMain.handle('plugin:set-enabled', async (event, { pluginId, enabled }) => {
+  try {
+    const disabled = new Set(store.get('disabledPlugins') || []);
+    if (enabled) {
+      disabled.delete(pluginId);
+    } else {
+      disabled.add(pluginId);
+    }
+    store.set('disabledPlugins', [...disabled]);
+
+    let error = null;
+    if (pluginLoader.has(pluginId)) {
+      const entry = enabled ? await pluginLoader.load(pluginId) : await pluginLoader.unload(pluginId);
+      error = entry.error;
+    } else if (enabled) {
+      pluginManager.enable(pluginId);
+    } else {
+      pluginManager.disable(pluginId);
+    }
+
+    notifyPluginsChanged();
+    return error ? { success: false, error } : { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Rescan the plugins folder and reload every enabled third-party plugin
+ */
+ipcMain.handle('plugin:reload-third-party', async () => {
+  try {
+    await pluginLoader.reload();
+    notifyPluginsChanged();
+    return { success: true, data: pluginLoader.getPluginList() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Open the third-party plugins folder, creating it if needed
+ */
+ipcMain.handle('plugin:open-folder', async () => {
+  try {
+    fs.mkdirSync(pluginLoader.directory, { recursive: true });
+    const error = await shell.openPath(pluginLoader.directory);
+    return error ? { success: false, error } : { success: true, path: pluginLoader.directory };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 /**
  * Get the currently active plugin
  * Returns: { id, name, icon } or null if no active plugin
@@ -7027,6 +8028,163 @@ ipcMain.handle('plugin:search', async (event, { query, pluginId }) => {
   }
 });
 
+/**
+ * Search all enabled plugins and merge the same work into one row
+ * Args: { query: string|UnifiedQuery } - Search box text is parsed into a UnifiedQuery
+ * Returns: { papers, errors: [{source, message}], totals: {pluginId: count} }
+ */
+ipcMain.handle('plugin:federated-search', async (event, { query }) => {
+  try {
+    const unifiedQuery = typeof query === 'string'
+      ? { ...parseFederatedQuery(query), limit: 50 }
+      : query;
+    const result = await pluginManager.mergedSearch(unifiedQuery);
+    return { success: true, data: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Import merged search rows, linking each paper to every source that found it.
+ * Needs no ADS token: rows already carry their metadata. A row matching a
+ * library paper by DOI, arXiv ID or bibcode only gains the missing source
+ * links; a match in the Trash is restored.
+ * Args: papers - rows from plugin:federated-search
+ * Returns: { success, results: { imported: [{paper, id, restored?}], skipped: [{paper, reason}], failed: [{paper, error}] } }
+ */
+ipcMain.handle('plugin:import-merged', async (event, papers) => {
+  if (!store.get('libraryPath')) return { success: false, error: 'No library selected' };
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+
+  const results = { imported: [], skipped: [], failed: [] };
+
+  for (const paper of papers) {
+    const label = paper.bibcode || paper.doi || paper.arxivId || paper.sourceId;
+    try {
+      const paperData = {
+        bibcode: paper.bibcode,
+        doi: paper.doi,
+        arxiv_id: paper.arxivId,
+        title: paper.title,
+        authors: paper.authors,
+        year: paper.year,
+        journal: paper.journal,
+        abstract: paper.abstract,
+        keywords: paper.keywords,
+        bibtex: paper.bibtex,
+        citation_count: paper.citationCount
+      };
+      const [primary, ...others] = paper.sources?.length
+        ? paper.sources
+        : [{ source: paper.source, sourceId: paper.sourceId }];
+
+      const existing = database.findOrCreatePaper(
+        paperData, primary.source, primary.sourceId, pluginManager.get(primary.source)?.capabilities
+      );
+      const paperId = existing.isNew ? database.addPaper(paperData) : existing.paper.id;
+
+      // An existing paper keeps its primary source and the links it has
+      const linked = new Set(database.getPaperSources(paperId).map(link => link.source));
+      for (const link of existing.isNew ? [primary, ...others] : others) {
+        if (linked.has(link.source)) continue;
+        database.addPaperSource({
+          paperId,
+          source: link.source,
+          sourceId: link.sourceId,
+          capabilities: pluginManager.get(link.source)?.capabilities,
+          isPrimary: existing.isNew && link === primary
+        });
+      }
+
+      if (existing.inTrash) {
+        database.restorePapers([paperId]);
+        sendConsoleLog(`[${label}] Restored from Trash`, 'info');
+        results.imported.push({ paper, id: paperId, restored: true });
+        continue;
+      }
+      if (!existing.isNew) {
+        sendConsoleLog(`[${label}] Already in library, skipping`, 'info');
+        results.skipped.push({ paper, reason: 'Already in library' });
+        continue;
+      }
+
+      database.updateLibraryLinks(paperId);
+
+      // Reading list entries are keyed by bibcode, or arXiv ID without one
+      const readingListKey = paperData.bibcode || paperData.arxiv_id;
+      if (readingListKey && database.isInReadingList(readingListKey)) {
+        getReadingListCache()?.remove(readingListKey);
+        database.removeFromReadingList(readingListKey);
+      }
+
+      sendConsoleLog(`[${label}] ✓ Imported`, 'success');
+      results.imported.push({ paper, id: paperId });
+    } catch (error) {
+      sendConsoleLog(`[${label}] ✗ Import failed: ${error.message}`, 'error');
+      results.failed.push({ paper, error: error.message });
+    }
+  }
+
+  if (results.imported.length > 0) {
+    bibtex.updateMasterBib(store.get('libraryPath'), database.getAllPapers());
+  }
+
+  return { success: true, results };
+});
+
+/**
+ * Translate a UnifiedQuery for a search source. 'all' (merged search) gets
+ * the merged-search syntax, with unsupported clauses reported for every
+ * enabled plugin.
+ * @param {Object} query - UnifiedQuery
+ * @param {string} sourceId - Plugin ID or 'all'
+ * @returns {{query: string, unsupported: {source: string, clause: string, message: string}[]}}
+ */
+function translateSearchQuery(query, sourceId) {
+  if (sourceId === 'all') {
+    return {
+      query: formatFederatedQuery(query),
+      unsupported: pluginManager.list({ enabledOnly: true, capability: 'search' })
+        .flatMap(plugin => translateForPlugin(plugin, query).unsupported)
+    };
+  }
+
+  const plugin = pluginManager.get(sourceId);
+  if (!plugin) throw new Error(`Plugin "${sourceId}" not found`);
+  return translateForPlugin(plugin, query);
+}
+
+/**
+ * Translate a structured query (from the query builder) for a search source
+ * Args: { query: UnifiedQuery, pluginId: string } - pluginId may be 'all'
+ * Returns: { query: string, unsupported: [{source, clause, message}] }
+ */
+ipcMain.handle('plugin:translate-query', async (event, { query, pluginId }) => {
+  try {
+    return { success: true, data: translateSearchQuery(query, pluginId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Convert a query typed for one search source to another's syntax
+ * Args: { text: string, from: string, to: string } - IDs may be 'all'
+ * Returns: { query, unsupported } or null when the text can't be parsed
+ */
+ipcMain.handle('plugin:convert-query', async (event, { text, from, to }) => {
+  try {
+    const query = from === 'all'
+      ? parseFederatedQuery(text)
+      : parseForPlugin(pluginManager.get(from), text);
+    if (!query || Object.keys(query).length === 0) return { success: true, data: null };
+    return { success: true, data: translateSearchQuery(query, to) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 /**
  * Lookup a paper by identifier (DOI, arXiv ID, bibcode, etc.)
  * Args: { identifier: string }
@@ -7290,6 +8448,7 @@ ipcMain.handle('plugin-data:cache-refs', async (event, { paperId, refs, sourcePl
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
   try {
     database.cacheReferences(paperId, refs, sourcePlugin);
+    notifyRecommendationsChanged();
     return { success: true };
   } catch (error) {
     console.error('[plugin-data:cache-refs] Error:', error);
@@ -7354,19 +8513,109 @@ ipcMain.handle('plugin-data:update-library-links', async (event, { paperId }) =>
   }
 });
 
+/**
+ * Find a library paper in other plugins that provide references (or
+ * citations), by DOI or arXiv ID, in priority order. The first match is
+ * recorded as a paper source, so the next fetch goes straight to it.
+ * @param {Object} paper - Library paper
+ * @param {'references'|'citations'} capability
+ * @param {string} [skipSource] - Source that already failed
+ * @returns {Promise<{plugin: Object, sourceId: string}|null>}
+ */
+async function findPaperInOtherSources(paper, capability, skipSource) {
+  if (!paper.doi && !paper.arxiv_id) return null;
+
+  const candidates = pluginManager.list({ enabledOnly: true })
+    .filter(p => p.id !== skipSource && p.capabilities?.lookup && p.capabilities?.[capability])
+    .filter(p => (paper.doi && typeof p.getByDOI === 'function') || (paper.arxiv_id && typeof p.getByArxiv === 'function'))
+    .sort((a, b) => (a.capabilities?.priority ?? 50) - (b.capabilities?.priority ?? 50));
+
+  for (const plugin of candidates) {
+    try {
+      console.log(`[findPaperInOtherSources] Trying ${plugin.id} for ${capability}`);
+      let found = null;
+      if (paper.doi && typeof plugin.getByDOI === 'function') {
+        found = await plugin.getByDOI(paper.doi);
+      }
+      if (!found && paper.arxiv_id && typeof plugin.getByArxiv === 'function') {
+        found = await plugin.getByArxiv(paper.arxiv_id);
+      }
+      const sourceId = found?.sourceId || found?.bibcode;
+      if (sourceId) {
+        const known = database.getPaperSources(paper.id).some(s => s.source === plugin.id);
+        if (!known) {
+          database.addPaperSource({
+            paperId: paper.id,
+            source: plugin.id,
+            sourceId,
+            capabilities: plugin.capabilities
+          });
+        }
+        return { plugin, sourceId };
+      }
+    } catch (err) {
+      console.warn(`[findPaperInOtherSources] ${plugin.id} lookup failed:`, err.message);
+    }
+  }
+  return null;
+}
+
+// Reference-list parser, shared with iOS (ES module), loaded on first use
+let referenceParserModule = null;
+async function loadReferenceParser() {
+  if (!referenceParserModule) {
+    const { pathToFileURL } = require('url');
+    referenceParserModule = await import(pathToFileURL(path.join(__dirname, 'src/lib/pdf/reference-parser.js')).href);
+  }
+  return referenceParserModule;
+}
+
+/**
+ * Parse the reference list out of a paper's text, in the form
+ * cacheReferences takes
+ * @param {string} text - Extracted PDF text
+ * @returns {Promise<Object[]>}
+ */
+async function parsePdfReferences(text) {
+  const { extractReferences, toCachedReferences } = await loadReferenceParser();
+  return toCachedReferences(extractReferences(text));
+}
+
+/**
+ * Parse and cache the references of a paper that has text but no cached list,
+ * e.g. one imported before the ingest pipeline parsed references
+ * @param {Object} paper - Library paper
+ * @returns {Promise<Object[]>} The references, empty if none were found
+ */
+async function cachePdfReferences(paper) {
+  const libraryPath = store.get('libraryPath');
+  const textFile = paper.text_path && libraryPath && path.join(libraryPath, paper.text_path);
+  if (!textFile || !fs.existsSync(textFile)) return [];
+
+  const refs = await parsePdfReferences(fs.readFileSync(textFile, 'utf-8'));
+  if (refs.length > 0) {
+    database.cacheReferences(paper.id, refs, PDF_REFERENCES_SOURCE);
+    notifyRecommendationsChanged();
+  }
+  return database.getCachedReferences(paper.id).refs;
+}
+
 /**
  * Get references for a library paper with smart caching
  * - Returns cached refs if fresh (< 7 days)
  * - Fetches from best available source if stale
  * - Handles cross-source lookup (e.g., arXiv paper gets refs from ADS)
+ * - Falls back to the reference list parsed from the paper's PDF
  */
 ipcMain.handle('plugin-data:get-refs-smart', async (event, { paperId }) => {
   if (!dbInitialized) return { success: false, error: 'Database not initialized' };
 
   try {
     // Step 1: Check cache
+    // References parsed from the PDF only stand in until a plugin has some
     const cached = database.getCachedReferences(paperId);
-    if (cached.refs.length > 0 && !cached.isStale) {
+    const fromPdf = cached.sourcePlugin === PDF_REFERENCES_SOURCE;
+    if (cached.refs.length > 0 && !cached.isStale && !fromPdf) {
       console.log(`[plugin-data:get-refs-smart] Using cached refs (${database.daysSince(cached.cachedAt)} days old)`);
       return {
         success: true,
@@ -7395,7 +8644,10 @@ ipcMain.handle('plugin-data:get-refs-smart', async (event, { paperId }) => {
         console.log(`[plugin-data:get-refs-smart] Fetching refs from ${bestSource.source}`);
         try {
           const refs = await plugin.getReferences(bestSource.source_id);
+          // An empty list doesn't replace the one parsed from the PDF
+          if (refs.length === 0 && fromPdf) throw new Error('No references returned');
           database.cacheReferences(paperId, refs, bestSource.source);
+          notifyRecommendationsChanged();
           return {
             success: true,
             data: {
@@ -7411,33 +8663,42 @@ ipcMain.handle('plugin-data:get-refs-smart', async (event, { paperId }) => {
       }
     }
 
-    // Step 4: Try cross-source lookup via DOI
+    // Step 4: Try cross-source lookup via DOI or arXiv ID
     // Query plugins dynamically by capabilities, sorted by priority
-    if (paper.doi && !bestSource) {
-      const pluginsWithLookup = pluginManager.list()
-        .filter(p => p.capabilities?.lookup && p.capabilities?.references && typeof p.getByDOI === 'function')
-        .sort((a, b) => (a.capabilities?.priority ?? 50) - (b.capabilities?.priority ?? 50));
+    const found = await findPaperInOtherSources(paper, 'references', bestSource?.source);
+    if (found) {
+      try {
+        const refs = await found.plugin.getReferences(found.sourceId);
+        if (refs.length === 0 && fromPdf) throw new Error('No references returned');
+        database.cacheReferences(paperId, refs, found.plugin.id);
+        notifyRecommendationsChanged();
+        return {
+          success: true,
+          data: {
+            refs,
+            sourcePlugin: found.plugin.id,
+            cachedAt: new Date().toISOString(),
+            fromCache: false
+          }
+        };
+      } catch (err) {
+        console.warn(`[plugin-data:get-refs-smart] Failed to fetch from ${found.plugin.id}:`, err.message);
+      }
+    }
 
-      for (const plugin of pluginsWithLookup) {
-        try {
-          console.log(`[plugin-data:get-refs-smart] Trying ${plugin.id} via DOI lookup`);
-          const foundPaper = await plugin.getByDOI(paper.doi);
-          if (foundPaper) {
-            const refs = await plugin.getReferences(foundPaper.sourceId || foundPaper.bibcode);
-            database.cacheReferences(paperId, refs, plugin.id);
-            return {
-              success: true,
-              data: {
-                refs,
-                sourcePlugin: plugin.id,
-                cachedAt: new Date().toISOString(),
-                fromCache: false
-              }
-            };
+    // Step 5: Parse the reference list from the paper's PDF text
+    if (cached.refs.length === 0) {
+      const refs = await cachePdfReferences(paper);
+      if (refs.length > 0) {
+        return {
+          success: true,
+          data: {
+            refs,
+            sourcePlugin: PDF_REFERENCES_SOURCE,
+            cachedAt: new Date().toISOString(),
+            fromCache: false
           }
-        } catch (err) {
-          console.warn(`[plugin-data:get-refs-smart] ${plugin.id} DOI lookup failed:`, err.message);
-        }
+        };
       }
     }
 
@@ -7459,6 +8720,131 @@ ipcMain.handle('plugin-data:get-refs-smart', async (event, { paperId }) => {
   }
 });
 
+/**
+ * Complete the references parsed from a paper's PDF by looking up their
+ * DOI, arXiv ID or bibcode in the plugins, a few at a time
+ * Args: { paperId }
+ * Returns: { refs, resolved } - the updated cached list, how many were found
+ */
+ipcMain.handle('plugin-data:resolve-pdf-refs', async (event, { paperId }) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+
+  try {
+    const cached = database.getCachedReferences(paperId);
+    if (cached.sourcePlugin !== PDF_REFERENCES_SOURCE) {
+      return { success: false, error: 'No references parsed from the PDF' };
+    }
+
+    const { resolveReferences } = await loadReferenceParser();
+    const refs = await resolveReferences(cached.refs, (identifier) => pluginManager.lookup(identifier), {
+      onProgress: (progress) => {
+        sendConsoleLog(`Looked up ${progress.done}/${progress.total} references (${progress.resolved} found)`, 'info');
+      }
+    });
+
+    database.cacheReferences(paperId, refs, PDF_REFERENCES_SOURCE);
+    notifyRecommendationsChanged();
+
+    return {
+      success: true,
+      data: {
+        refs: database.getCachedReferences(paperId).refs,
+        resolved: refs.filter(ref => ref.resolved).length
+      }
+    };
+  } catch (error) {
+    console.error('[plugin-data:resolve-pdf-refs] Error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Citation marker linking for the PDF viewer (ES module), loaded on first use
+let citationMarkersModule = null;
+async function loadCitationMarkers() {
+  if (!citationMarkersModule) {
+    const { pathToFileURL } = require('url');
+    citationMarkersModule = await import(pathToFileURL(path.join(__dirname, 'src/lib/pdf/citation-markers.js')).href);
+  }
+  return citationMarkersModule;
+}
+
+// Reference entries of the paper open in the PDF viewer, reused for each page
+let citationTargets = { paperId: null, targets: [] };
+
+/**
+ * Build the entries a paper's citation markers can point to: its reference
+ * list parsed from the PDF text (in printed order, for numbered markers)
+ * merged with its cached references, with library and reading list status
+ * @param {number} paperId - Library paper ID
+ * @returns {Promise<Object[]>} See buildCitationTargets in lib/pdf/citation-markers.js
+ */
+async function buildPaperCitationTargets(paperId) {
+  const paper = database.getPaper(paperId);
+  if (!paper) return [];
+
+  let parsed = [];
+  const libraryPath = store.get('libraryPath');
+  const textFile = paper.text_path && libraryPath && path.join(libraryPath, paper.text_path);
+  if (textFile && fs.existsSync(textFile)) {
+    const { extractReferences } = await loadReferenceParser();
+    parsed = extractReferences(fs.readFileSync(textFile, 'utf-8'));
+  }
+
+  const { buildCitationTargets } = await loadCitationMarkers();
+  const targets = buildCitationTargets(parsed, database.getCachedReferences(paperId).refs);
+
+  for (const target of targets) {
+    if (!target.linked_paper_id) {
+      const linked = (target.doi && database.findPaperByDOI(target.doi)) ||
+        (target.arxiv_id && database.findPaperByArxiv(target.arxiv_id)) ||
+        (target.bibcode && database.getPaperByBibcode(target.bibcode));
+      if (linked && !linked.deleted_at) target.linked_paper_id = linked.id;
+    }
+    target.inLibrary = Boolean(target.linked_paper_id);
+    // Reading list entries are keyed by bibcode, or arXiv ID without one
+    const readingListKey = target.bibcode || target.arxiv_id;
+    target.inReadingList = !target.inLibrary && Boolean(readingListKey) && database.isInReadingList(readingListKey);
+  }
+
+  citationTargets = { paperId, targets };
+  return targets;
+}
+
+/**
+ * Get the reference entries a paper's in-text citations can point to,
+ * rebuilding them (the PDF viewer calls this when it opens a paper)
+ * Args: { paperId }
+ * Returns: CitationTarget[]
+ */
+ipcMain.handle('plugin-data:get-citation-targets', async (event, { paperId }) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    return { success: true, data: await buildPaperCitationTargets(paperId) };
+  } catch (error) {
+    console.error('[plugin-data:get-citation-targets] Error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Find the citation markers in a page's text layer items and the entries
+ * they cite
+ * Args: { paperId, texts: string[] }
+ * Returns: for each text, [{start, end, targets: number[]}] (indices into
+ *   the get-citation-targets list)
+ */
+ipcMain.handle('plugin-data:link-citation-markers', async (event, { paperId, texts }) => {
+  if (!dbInitialized) return { success: false, error: 'Database not initialized' };
+  try {
+    if (citationTargets.paperId !== paperId) await buildPaperCitationTargets(paperId);
+    const { linkCitationMarkers } = await loadCitationMarkers();
+    return { success: true, data: linkCitationMarkers(texts, citationTargets.targets) };
+  } catch (error) {
+    console.error('[plugin-data:link-citation-markers] Error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 /**
  * Get citations for a library paper with smart caching
  * Similar to get-refs-smart but for citations
@@ -7514,33 +8900,24 @@ ipcMain.handle('plugin-data:get-cites-smart', async (event, { paperId }) => {
       }
     }
 
-    // Step 4: Try cross-source lookup via DOI
+    // Step 4: Try cross-source lookup via DOI or arXiv ID
     // Query plugins dynamically by capabilities, sorted by priority
-    if (paper.doi && !bestSource) {
-      const pluginsWithLookup = pluginManager.list()
-        .filter(p => p.capabilities?.lookup && p.capabilities?.citations && typeof p.getByDOI === 'function')
-        .sort((a, b) => (a.capabilities?.priority ?? 50) - (b.capabilities?.priority ?? 50));
-
-      for (const plugin of pluginsWithLookup) {
-        try {
-          console.log(`[plugin-data:get-cites-smart] Trying ${plugin.id} via DOI lookup`);
-          const foundPaper = await plugin.getByDOI(paper.doi);
-          if (foundPaper) {
-            const cites = await plugin.getCitations(foundPaper.sourceId || foundPaper.bibcode);
-            database.cacheCitations(paperId, cites, plugin.id);
-            return {
-              success: true,
-              data: {
-                cites,
-                sourcePlugin: plugin.id,
-                cachedAt: new Date().toISOString(),
-                fromCache: false
-              }
-            };
+    const found = await findPaperInOtherSources(paper, 'citations', bestSource?.source);
+    if (found) {
+      try {
+        const cites = await found.plugin.getCitations(found.sourceId);
+        database.cacheCitations(paperId, cites, found.plugin.id);
+        return {
+          success: true,
+          data: {
+            cites,
+            sourcePlugin: found.plugin.id,
+            cachedAt: new Date().toISOString(),
+            fromCache: false
           }
-        } catch (err) {
-          console.warn(`[plugin-data:get-cites-smart] ${plugin.id} DOI lookup failed:`, err.message);
-        }
+        };
+      } catch (err) {
+        console.warn(`[plugin-data:get-cites-smart] Failed to fetch from ${found.plugin.id}:`, err.message);
       }
     }
 
@@ -7657,6 +9034,35 @@ function createApplicationMenu() {
             }
           }
         },
+        {
+          label: 'Library Snapshots...',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) {
+              win.webContents.send('show-snapshots-modal');
+            }
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Find Duplicates...',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) {
+              win.webContents.send('show-duplicates-modal');
+            }
+          }
+        },
+        {
+          label: 'Citation Graph...',
+          accelerator: 'CmdOrCtrl+Shift+G',
+          click: () => {
+            const win = BrowserWindow.getFocusedWindow();
+            if (win) {
+              win.webContents.send('show-citation-graph');
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Import BibTeX...',
@@ -7908,17 +9314,32 @@ app.whenReady().then(() => {
 
   createApplicationMenu();
   createWindow();
+  startSnapshotSchedule();
 
   // Initialize plugin system
   try {
     pluginManager.register(adsPlugin);
     pluginManager.register(arxivPlugin);
     pluginManager.register(inspirePlugin);
+    pluginManager.register(crossrefPlugin);
+    pluginManager.register(openalexPlugin);
   } catch (err) {
     console.error('[PluginManager] Failed to register plugins:', err);
   }
-  pluginManager.initialize().then(() => {
+  // Built-in plugins the user turned off in Preferences
+  for (const pluginId of store.get('disabledPlugins') || []) {
+    if (pluginManager.get(pluginId)) pluginManager.disable(pluginId);
+  }
+  pluginManager.initialize({ mailto: store.get('contactEmail') }).then(() => {
     console.log('[PluginManager] Plugin system initialized');
+    // Third-party plugins load after the built-ins, so they cannot take their IDs
+    return pluginLoader.loadAll();
+  }).then(thirdParty => {
+    if (thirdParty.length > 0) {
+      const loaded = thirdParty.filter(entry => entry.state === 'loaded').length;
+      console.log(`[PluginLoader] Loaded ${loaded} of ${thirdParty.length} third-party plugins`);
+    }
+    notifyPluginsChanged();
   }).catch(err => {
     console.error('[PluginManager] Failed to initialize:', err);
   });
@@ -7937,5 +9358,6 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', () => {
+  clearInterval(snapshotTimer);
   database.closeDatabase();
 });
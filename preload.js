@@ -10,6 +10,10 @@
  * - ADS Search: Paper search and import
  * - BibTeX: Citation copying, export, import
  * - Collections: Folder organization
+ * - Tags: Hierarchical user tags
+ * - Duplicates: Find and merge duplicate papers
+ * - Citation Graph: Walk cached references and citations
+ * - Recommendations: Works many library papers cite that are not in the library
  * - References/Citations: Paper relationships
  * - LLM/AI: Summarization, Q&A, embeddings, semantic search
  * - Annotations: PDF highlights and notes
@@ -65,6 +69,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Library Conflict Detection
   checkLibraryConflicts: (libraryPath) => ipcRenderer.invoke('check-library-conflicts', libraryPath),
+  previewLibraryMerge: (options) => ipcRenderer.invoke('preview-library-merge', options),
   resolveLibraryConflict: (options) => ipcRenderer.invoke('resolve-library-conflict', options),
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -105,12 +110,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
   importPDFs: () => ipcRenderer.invoke('import-pdfs'),
   importFiles: () => ipcRenderer.invoke('import-files'),
   getAllPapers: (options) => ipcRenderer.invoke('get-all-papers', options),
+  getPapersPage: (options) => ipcRenderer.invoke('get-papers-page', options),
   getPaper: (id) => ipcRenderer.invoke('get-paper', id),
   updatePaper: (id, updates) => ipcRenderer.invoke('update-paper', id, updates),
   deletePaper: (id) => ipcRenderer.invoke('delete-paper', id),
   deletePapersBulk: (ids) => ipcRenderer.invoke('delete-papers-bulk', ids),
+  getTrashCount: () => ipcRenderer.invoke('get-trash-count'),
+  restorePapers: (ids) => ipcRenderer.invoke('restore-papers', ids),
+  purgePapers: (ids) => ipcRenderer.invoke('purge-papers', ids),
+  emptyTrash: () => ipcRenderer.invoke('empty-trash'),
+  getTrashRetention: () => ipcRenderer.invoke('get-trash-retention'),
+  setTrashRetention: (days) => ipcRenderer.invoke('set-trash-retention', days),
+  getPaperHistory: (paperId) => ipcRenderer.invoke('get-paper-history', paperId),
+  revertPaperField: (entryId) => ipcRenderer.invoke('revert-paper-field', entryId),
+  setPaperFieldLocked: (paperId, field, locked) => ipcRenderer.invoke('set-paper-field-locked', paperId, field, locked),
+  getPaperAuthors: (paperId) => ipcRenderer.invoke('get-paper-authors', paperId),
+  getAuthor: (authorId) => ipcRenderer.invoke('get-author', authorId),
+  mergeAuthors: (keepId, mergeIds) => ipcRenderer.invoke('merge-authors', keepId, mergeIds),
   getPdfPath: (relativePath) => ipcRenderer.invoke('get-pdf-path', relativePath),
   searchPapers: (query) => ipcRenderer.invoke('search-papers', query),
+  rebuildSearchIndex: () => ipcRenderer.invoke('rebuild-search-index'),
 
   // ═══════════════════════════════════════════════════════════════════════════
   // ADS INTEGRATION
@@ -119,6 +138,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setAdsToken: (token) => ipcRenderer.invoke('set-ads-token', token),
   getLibraryProxy: () => ipcRenderer.invoke('get-library-proxy'),
   setLibraryProxy: (proxyUrl) => ipcRenderer.invoke('set-library-proxy', proxyUrl),
+  getContactEmail: () => ipcRenderer.invoke('get-contact-email'),
+  setContactEmail: (email) => ipcRenderer.invoke('set-contact-email', email),
   getPublisherUrl: (bibcode) => ipcRenderer.invoke('get-publisher-url', bibcode),
   getPdfPriority: () => ipcRenderer.invoke('get-pdf-priority'),
   setPdfPriority: (priority) => ipcRenderer.invoke('set-pdf-priority', priority),
@@ -148,9 +169,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // PLUGIN SYSTEM
   // ═══════════════════════════════════════════════════════════════════════════
   plugins: {
-    // List all registered plugins
+    // List all plugins, built-in and third-party (with load state and errors)
     list: () => ipcRenderer.invoke('plugin:list'),
 
+    // Enable/disable a plugin (third-party plugins are loaded/unloaded)
+    setEnabled: (pluginId, enabled) => ipcRenderer.invoke('plugin:set-enabled', { pluginId, enabled }),
+
+    // Rescan the third-party plugins folder
+    reloadThirdParty: () => ipcRenderer.invoke('plugin:reload-third-party'),
+
+    // Open the third-party plugins folder in the file manager
+    openFolder: () => ipcRenderer.invoke('plugin:open-folder'),
+
+    // Plugins were loaded, unloaded, enabled or disabled
+    onChanged: (callback) => ipcRenderer.on('plugins-changed', () => callback()),
+
     // Get/set active plugin
     getActive: () => ipcRenderer.invoke('plugin:get-active'),
     setActive: (pluginId) => ipcRenderer.invoke('plugin:set-active', { pluginId }),
@@ -158,6 +191,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Search using active or specified plugin
     search: (query, pluginId) => ipcRenderer.invoke('plugin:search', { query, pluginId }),
 
+    // Search all enabled plugins, merging the same work into one row
+    federatedSearch: (query) => ipcRenderer.invoke('plugin:federated-search', { query }),
+
+    // Import merged search rows, linked to every source that found them
+    importMerged: (papers) => ipcRenderer.invoke('plugin:import-merged', papers),
+
+    // Translate a structured query for a source ('all' for merged search)
+    translateQuery: (query, pluginId) => ipcRenderer.invoke('plugin:translate-query', { query, pluginId }),
+
+    // Convert a query typed for one source to another's syntax
+    convertQuery: (text, from, to) => ipcRenderer.invoke('plugin:convert-query', { text, from, to }),
+
     // Lookup paper by identifier (DOI, arXiv ID, bibcode)
     lookup: (identifier) => ipcRenderer.invoke('plugin:lookup', { identifier }),
 
@@ -213,7 +258,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     // Smart refs/cites with caching (preferred for library papers)
     getRefsSmart: (paperId) => ipcRenderer.invoke('plugin-data:get-refs-smart', { paperId }),
-    getCitesSmart: (paperId) => ipcRenderer.invoke('plugin-data:get-cites-smart', { paperId })
+    getCitesSmart: (paperId) => ipcRenderer.invoke('plugin-data:get-cites-smart', { paperId }),
+
+    // References parsed from the PDF, completed through plugin lookups
+    resolvePdfRefs: (paperId) => ipcRenderer.invoke('plugin-data:resolve-pdf-refs', { paperId }),
+
+    // In-text citation markers in the PDF viewer
+    getCitationTargets: (paperId) => ipcRenderer.invoke('plugin-data:get-citation-targets', { paperId }),
+    linkCitationMarkers: (paperId, texts) =>
+      ipcRenderer.invoke('plugin-data:link-citation-markers', { paperId, texts })
   },
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -252,16 +305,61 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onBookExportProgress: (callback) => ipcRenderer.on('book-export-progress', (event, data) => callback(data)),
   removeBookExportListeners: () => ipcRenderer.removeAllListeners('book-export-progress'),
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LIBRARY SNAPSHOTS
+  // ═══════════════════════════════════════════════════════════════════════════
+  listLibrarySnapshots: () => ipcRenderer.invoke('list-library-snapshots'),
+  getSnapshotStats: (filename) => ipcRenderer.invoke('get-snapshot-stats', filename),
+  getSnapshotPapers: (filename) => ipcRenderer.invoke('get-snapshot-papers', filename),
+  createLibrarySnapshot: () => ipcRenderer.invoke('create-library-snapshot'),
+  setSnapshotSettings: (settings) => ipcRenderer.invoke('set-snapshot-settings', settings),
+  restoreLibrarySnapshot: (filename) => ipcRenderer.invoke('restore-library-snapshot', filename),
+  restoreSnapshotPapers: (filename, paperIds) => ipcRenderer.invoke('restore-snapshot-papers', filename, paperIds),
+  onShowSnapshotsModal: (callback) => ipcRenderer.on('show-snapshots-modal', () => callback()),
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DUPLICATES
+  // ═══════════════════════════════════════════════════════════════════════════
+  findDuplicatePapers: () => ipcRenderer.invoke('find-duplicate-papers'),
+  mergePapers: (keepId, mergeIds) => ipcRenderer.invoke('merge-papers', keepId, mergeIds),
+  getPaperMerges: () => ipcRenderer.invoke('get-paper-merges'),
+  undoPaperMerge: (mergeId) => ipcRenderer.invoke('undo-paper-merge', mergeId),
+  onShowDuplicatesModal: (callback) => ipcRenderer.on('show-duplicates-modal', () => callback()),
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CITATION GRAPH
+  // ═══════════════════════════════════════════════════════════════════════════
+  buildCitationGraph: (paperIds, options) => ipcRenderer.invoke('build-citation-graph', paperIds, options),
+  onShowCitationGraph: (callback) => ipcRenderer.on('show-citation-graph', () => callback()),
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // RECOMMENDATIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+  getRecommendations: (options) => ipcRenderer.invoke('get-recommendations', options),
+  importRecommendations: (works) => ipcRenderer.invoke('import-recommendations', works),
+  onRecommendationsChanged: (callback) => ipcRenderer.on('recommendations-changed', () => callback()),
+
   // ═══════════════════════════════════════════════════════════════════════════
   // COLLECTIONS
   // ═══════════════════════════════════════════════════════════════════════════
   getCollections: () => ipcRenderer.invoke('get-collections'),
   createCollection: (name, parentId, isSmart, query) => ipcRenderer.invoke('create-collection', name, parentId, isSmart, query),
+  updateCollection: (collectionId, updates) => ipcRenderer.invoke('update-collection', collectionId, updates),
   deleteCollection: (collectionId) => ipcRenderer.invoke('delete-collection', collectionId),
   addPaperToCollection: (paperId, collectionId) => ipcRenderer.invoke('add-paper-to-collection', paperId, collectionId),
   removePaperFromCollection: (paperId, collectionId) => ipcRenderer.invoke('remove-paper-from-collection', paperId, collectionId),
   getPapersInCollection: (collectionId) => ipcRenderer.invoke('get-papers-in-collection', collectionId),
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TAGS
+  // ═══════════════════════════════════════════════════════════════════════════
+  getTags: () => ipcRenderer.invoke('get-tags'),
+  createTag: (name, color) => ipcRenderer.invoke('create-tag', name, color),
+  updateTag: (tagId, updates) => ipcRenderer.invoke('update-tag', tagId, updates),
+  deleteTag: (tagId) => ipcRenderer.invoke('delete-tag', tagId),
+  tagPapers: (paperIds, name) => ipcRenderer.invoke('tag-papers', paperIds, name),
+  untagPapers: (paperIds, tagId) => ipcRenderer.invoke('untag-papers', paperIds, tagId),
+
   // ═══════════════════════════════════════════════════════════════════════════
   // LLM / AI
   // ═══════════════════════════════════════════════════════════════════════════
@@ -317,6 +415,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   updateAnnotation: (id, data) => ipcRenderer.invoke('update-annotation', id, data),
   deleteAnnotation: (id) => ipcRenderer.invoke('delete-annotation', id),
   exportAnnotations: (paperId) => ipcRenderer.invoke('export-annotations', paperId),
+  exportAnnotatedPdf: (options) => ipcRenderer.invoke('export-annotated-pdf', options),
 
   // PDF Page Rotations
   getPageRotations: (paperId, pdfSource) => ipcRenderer.invoke('get-page-rotations', paperId, pdfSource),
@@ -362,6 +461,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INGEST PIPELINE (Text and identifiers for newly added PDFs)
+  // ═══════════════════════════════════════════════════════════════════════════
+  ingest: {
+    status: () => ipcRenderer.invoke('ingest:status'),
+    retry: (fileId) => ipcRenderer.invoke('ingest:retry', fileId),
+    onProgress: (callback) => ipcRenderer.on('ingest:progress', (event, data) => callback(data)),
+    onComplete: (callback) => ipcRenderer.on('ingest:complete', (event, data) => callback(data)),
+    onError: (callback) => ipcRenderer.on('ingest:error', (event, data) => callback(data)),
+    removeListeners: () => {
+      ipcRenderer.removeAllListeners('ingest:progress');
+      ipcRenderer.removeAllListeners('ingest:complete');
+      ipcRenderer.removeAllListeners('ingest:error');
+    }
+  },
+
   // ═══════════════════════════════════════════════════════════════════════════
   // SMART ADS SEARCHES
   // ═══════════════════════════════════════════════════════════════════════════
@@ -28,6 +28,10 @@ import {
   generatePdfFilename,
   sanitizeBibcodeForFilename
 } from '../shared/paper-utils.js';
+import { addBibtexKeywords } from '../lib/bibtex/generator.js';
+import { buildCitationGraph } from '../lib/graph/index.js';
+import { extractPdfText, layoutPathForText } from '../lib/pdf/text-extraction.js';
+import { extractReferences, toCachedReferences } from '../lib/pdf/reference-parser.js';
 import {
   ADS_API_BASE,
   ADS_SEARCH_FIELDS,
@@ -47,6 +51,9 @@ const LIBRARY_FOLDER = LIBRARY_FOLDER_NAME || 'Bibliac';
 // Legacy JSON file for migration
 const LEGACY_PAPERS_FILE = 'papers.json';
 
+// Origin recorded in a paper's edit history for ADS syncs (see lib/database/history.js)
+const ADS_SYNC = { origin: 'ads-sync' };
+
 // Database initialization and migration helpers
 async function ensureLibraryExists() {
   await ensureLibraryFoldersFor(LIBRARY_FOLDER);
@@ -207,6 +214,7 @@ async function initializeDatabase() {
 
     // Check for legacy JSON data and migrate if needed
     await migrateLegacyData();
+    await purgeExpiredTrash();
 
     console.log('[API] SQLite database initialized');
     return true;
@@ -216,6 +224,47 @@ async function initializeDatabase() {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TRASH
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Permanently delete papers, their rows and their files. Does not save.
+async function purgeLibraryPapers(ids) {
+  const currentLibraryPath = MobileDB.getLibraryPath() || LIBRARY_FOLDER;
+  const location = MobileDB.getLocation?.() || 'local';
+  const { papers, files } = MobileDB.purgePapers(ids);
+
+  const paths = [
+    ...papers.flatMap(paper => [paper.pdf_path, paper.text_path]),
+    ...files.flatMap(file => [file.filename, file.text_path])
+  ].filter(Boolean).flatMap(relativePath => (
+    relativePath.endsWith('.txt') ? [relativePath, layoutPathForText(relativePath)] : [relativePath]
+  ));
+  for (const relativePath of new Set(paths)) {
+    try {
+      await fsDeleteFile(`${currentLibraryPath}/${relativePath}`, location);
+    } catch (e) {
+      // File may not exist
+    }
+  }
+
+  return papers.length;
+}
+
+// Purge papers that have been in the Trash longer than the retention period
+async function purgeExpiredTrash() {
+  try {
+    const expired = MobileDB.getExpiredTrashIds();
+    if (expired.length === 0) return;
+
+    const purged = await purgeLibraryPapers(expired);
+    await MobileDB.saveDatabase();
+    console.log(`[API] Purged ${purged} papers past the Trash retention period`);
+  } catch (error) {
+    console.error('[API] Failed to purge expired papers:', error);
+  }
+}
+
 // Migrate legacy papers.json to SQLite
 async function migrateLegacyData() {
   try {
@@ -901,6 +950,7 @@ const capacitorAPI = {
       console.log('[API.switchLibrary] Initializing database at', library.fullPath);
       await MobileDB.initDatabase(library.fullPath, library.location || 'local');
       dbInitialized = true;
+      await purgeExpiredTrash();
       console.log('[API.switchLibrary] Database initialized');
 
       // Save current library info
@@ -1330,7 +1380,7 @@ const capacitorAPI = {
 
       // Map sortBy to orderBy for database query
       const dbOptions = {
-        orderBy: options.sortBy === 'date_added' ? 'added_date' : options.sortBy,
+        orderBy: options.sortBy === 'date_added' ? 'added' : options.sortBy,
         order: options.sortOrder === 'desc' ? 'DESC' : 'ASC',
         search: options.search,
         readStatus: options.readStatus,
@@ -1349,6 +1399,16 @@ const capacitorAPI = {
     }
   },
 
+  async getPapersPage(options = {}) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getPapersPage(options);
+    } catch (error) {
+      console.error('[API] getPapersPage error:', error);
+      return { papers: [], total: 0, offset: 0 };
+    }
+  },
+
   async getPaper(id) {
     if (!dbInitialized) await initializeDatabase();
     return MobileDB.getPaper(id);
@@ -1365,24 +1425,11 @@ const capacitorAPI = {
     }
   },
 
+  // Deleting a paper moves it to the Trash; its files stay until it is purged
   async deletePaper(id) {
     try {
       if (!dbInitialized) await initializeDatabase();
-
-      // Get paper to find PDF path
-      const paper = MobileDB.getPaper(id);
-      if (paper && paper.pdf_path) {
-        try {
-          await Filesystem.deleteFile({
-            path: `${LIBRARY_FOLDER}/${paper.pdf_path}`,
-            directory: Directory.Documents
-          });
-        } catch (e) {
-          // PDF may not exist
-        }
-      }
-
-      const success = MobileDB.deletePaper(id);
+      const success = MobileDB.trashPapers([id]) > 0;
       await MobileDB.saveDatabase();
       return { success };
     } catch (error) {
@@ -1393,11 +1440,172 @@ const capacitorAPI = {
   async deletePapersBulk(ids) {
     try {
       if (!dbInitialized) await initializeDatabase();
-      for (const id of ids) {
-        await this.deletePaper(id);
-      }
+      const deleted = MobileDB.trashPapers(ids);
       await MobileDB.saveDatabase();
-      return { success: true };
+      return { success: true, deleted };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async getTrashCount() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getTrashCount();
+    } catch (error) {
+      return 0;
+    }
+  },
+
+  async restorePapers(ids) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const restored = MobileDB.restorePapers(ids);
+      await MobileDB.saveDatabase();
+      return { success: true, restored };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Permanently delete papers from the Trash
+  async purgePapers(ids) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const deleted = await purgeLibraryPapers(ids);
+      await MobileDB.saveDatabase();
+      return { success: true, deleted };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async emptyTrash() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return await this.purgePapers(MobileDB.getTrashedPaperIds());
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async getTrashRetention() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getTrashRetentionDays();
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async setTrashRetention(days) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const retentionDays = MobileDB.setTrashRetentionDays(days);
+      await MobileDB.saveDatabase();
+      await purgeExpiredTrash();
+      return { success: true, days: retentionDays };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async getPaperHistory(paperId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getPaperHistory(paperId);
+    } catch (error) {
+      return { history: [], lockedFields: [] };
+    }
+  },
+
+  async revertPaperField(entryId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const paperId = MobileDB.revertPaperField(entryId);
+      if (paperId === null) return { success: false, error: 'History entry not found' };
+      await MobileDB.saveDatabase();
+      return { success: true, paper: MobileDB.getPaper(paperId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async setPaperFieldLocked(paperId, field, locked) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const lockedFields = MobileDB.setPaperFieldLocked(paperId, field, locked);
+      await MobileDB.saveDatabase();
+      return { success: true, lockedFields };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async getPaperAuthors(paperId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getPaperAuthors(paperId);
+    } catch (error) {
+      return [];
+    }
+  },
+
+  async getAuthor(authorId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getAuthor(authorId);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async mergeAuthors(keepId, mergeIds) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      MobileDB.mergeAuthors(keepId, mergeIds);
+      await MobileDB.saveDatabase();
+      return { success: true, author: MobileDB.getAuthor(keepId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async findDuplicatePapers() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.findDuplicatePapers();
+    } catch (error) {
+      return [];
+    }
+  },
+
+  async mergePapers(keepId, mergeIds) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const mergeId = MobileDB.mergePapers(keepId, mergeIds);
+      await MobileDB.saveDatabase();
+      return { success: true, mergeId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async getPaperMerges() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getPaperMerges();
+    } catch (error) {
+      return [];
+    }
+  },
+
+  async undoPaperMerge(mergeId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const paperIds = MobileDB.undoPaperMerge(mergeId);
+      await MobileDB.saveDatabase();
+      return { success: true, paperIds };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -1590,7 +1798,7 @@ const capacitorAPI = {
   async createCollection(name, parentId = null, isSmart = false, query = null) {
     try {
       if (!dbInitialized) await initializeDatabase();
-      const id = MobileDB.createCollection(name, parentId);
+      const id = MobileDB.createCollection(name, parentId, isSmart, query);
       await MobileDB.saveDatabase();
       return { success: true, id };
     } catch (error) {
@@ -1598,11 +1806,23 @@ const capacitorAPI = {
     }
   },
 
+  async updateCollection(collectionId, updates) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      MobileDB.updateCollection(collectionId, updates);
+      await MobileDB.saveDatabase();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   async deleteCollection(collectionId) {
     try {
       if (!dbInitialized) await initializeDatabase();
-      // TODO: Implement deleteCollection in MobileDB
-      return { success: false, error: 'Not yet implemented' };
+      MobileDB.deleteCollection(collectionId);
+      await MobileDB.saveDatabase();
+      return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -1633,12 +1853,84 @@ const capacitorAPI = {
   async getPapersInCollection(collectionId) {
     try {
       if (!dbInitialized) await initializeDatabase();
+      if (MobileDB.getCollection(collectionId)?.is_smart) {
+        return MobileDB.getPapersInSmartCollection(collectionId);
+      }
       return MobileDB.getAllPapers({ collectionId });
     } catch (error) {
       return [];
     }
   },
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TAGS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async getTags() {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      return MobileDB.getTags();
+    } catch (error) {
+      console.error('[API] getTags error:', error);
+      return [];
+    }
+  },
+
+  async createTag(name, color = null) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const id = MobileDB.createTag(name, color);
+      await MobileDB.saveDatabase();
+      return { success: true, id };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async updateTag(tagId, updates) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      MobileDB.updateTag(tagId, updates);
+      await MobileDB.saveDatabase();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async deleteTag(tagId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      MobileDB.deleteTag(tagId);
+      await MobileDB.saveDatabase();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async tagPapers(paperIds, name) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      const id = MobileDB.tagPapers(paperIds, name);
+      await MobileDB.saveDatabase();
+      return { success: true, id };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
+  async untagPapers(paperIds, tagId) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+      MobileDB.untagPapers(paperIds, tagId);
+      await MobileDB.saveDatabase();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  },
+
   // ═══════════════════════════════════════════════════════════════════════════
   // REFERENCES & CITATIONS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -1681,6 +1973,25 @@ const capacitorAPI = {
     }
   },
 
+  async buildCitationGraph(paperIds, options = {}) {
+    try {
+      if (!dbInitialized) await initializeDatabase();
+
+      const getLinks = (paperId) => MobileDB.getCitationLinks(paperId);
+
+      const graph = await buildCitationGraph({
+        seedIds: paperIds,
+        getLinks,
+        maxDepth: options.maxDepth,
+        maxNodes: options.maxNodes
+      });
+      return { success: true, graph };
+    } catch (error) {
+      console.error('[buildCitationGraph] Error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   async addReferences(paperId, refs) {
     try {
       if (!dbInitialized) await initializeDatabase();
@@ -1730,7 +2041,7 @@ const capacitorAPI = {
         return { success: false, error: 'ADS token not configured. Please add your token in Settings.' };
       }
 
-      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
       const rows = options.rows || 10;
       const start = options.start || 0;
       const sort = options.sort || 'date desc';
@@ -1811,7 +2122,7 @@ const capacitorAPI = {
           return { success: false, error: 'Unknown identifier type' };
       }
 
-      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
       const params = new URLSearchParams({
         q: query,
         fl: fields,
@@ -2003,19 +2314,21 @@ const capacitorAPI = {
 
           // Read file to compute hash (for content-addressed storage compatibility)
           let fileHash = null;
+          let pdfData = null;
           try {
             const fileContent = await Filesystem.readFile({
               path: filePath,
               directory: Directory.Documents
             });
-            if (fileContent.data) {
-              fileHash = await capacitorAPI._computeFileHash(fileContent.data);
+            pdfData = fileContent.data;
+            if (pdfData) {
+              fileHash = await capacitorAPI._computeFileHash(pdfData);
             }
           } catch (hashError) {
             console.warn('[downloadPdfFromSource] Could not compute hash:', hashError);
           }
 
-          MobileDB.addPaperFile(paperId, {
+          const fileId = MobileDB.addPaperFile(paperId, {
             filename: filename,
             original_name: filename,
             file_hash: fileHash,
@@ -2025,6 +2338,9 @@ const capacitorAPI = {
             source_type: adsType,
             status: 'ready'
           });
+
+          // Full text in the background; the PDF is usable without it
+          if (pdfData) capacitorAPI._extractPdfText(paperId, fileId, filename, pdfData);
         } catch (e) {
           console.error('[downloadPdfFromSource] Failed to register paper file:', e);
         }
@@ -2146,7 +2462,7 @@ const capacitorAPI = {
 
         // Build batch query: bibcode:"X" OR bibcode:"Y"
         const bibcodeQuery = bibcodes.map(b => `bibcode:"${b}"`).join(' OR ');
-        const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+        const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
 
         const searchUrl = `${ADS_API_BASE}/search/query?q=${encodeURIComponent(bibcodeQuery)}&fl=${fields}&rows=${bibcodes.length}`;
 
@@ -2269,7 +2585,7 @@ const capacitorAPI = {
             MobileDB.updatePaper(paper.id, {
               ...mergedMetadata,
               bibtex: bibtexStr
-            });
+            }, ADS_SYNC);
 
             // Download PDF if paper doesn't have one yet
             if (!paper.pdf_path) {
@@ -2314,7 +2630,7 @@ const capacitorAPI = {
             query = `identifier:"arXiv:${paper.arxiv_id}"`;
           }
 
-          const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+          const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
           const searchUrl = `${ADS_API_BASE}/search/query?q=${encodeURIComponent(query)}&fl=${fields}&rows=1`;
 
           const response = await fetchWithRetry(searchUrl, {
@@ -2326,7 +2642,7 @@ const capacitorAPI = {
             const adsMetadata = adsToPaper(adsData);
             const mergedMetadata = mergeMetadata(paper, adsMetadata);
 
-            MobileDB.updatePaper(paper.id, mergedMetadata);
+            MobileDB.updatePaper(paper.id, mergedMetadata, ADS_SYNC);
             emit('consoleLog', { message: `[${identifier}] Found and updated`, level: 'success' });
             results.updated++;
           } else {
@@ -2596,7 +2912,7 @@ const capacitorAPI = {
         return { success: false, error: 'No ADS API token configured. Please add your token in Settings.' };
       }
 
-      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+      const fields = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
       const rows = options.rows || 1000;
       const start = options.start || 0;
       const sort = options.sort || 'date desc';
@@ -2792,7 +3108,7 @@ const capacitorAPI = {
               emit('consoleLog', { message: `[${paper.bibcode}] Fetching metadata...`, level: 'info' });
               const metadataResponse = await CapacitorHttp.request({
                 method: 'GET',
-                url: `https://api.adsabs.harvard.edu/v1/search/query?q=bibcode:"${encodeURIComponent(paper.bibcode)}"&fl=bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count&rows=1`,
+                url: `https://api.adsabs.harvard.edu/v1/search/query?q=bibcode:"${encodeURIComponent(paper.bibcode)}"&fl=bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub&rows=1`,
                 headers: { 'Authorization': `Bearer ${token}` }
               });
               const doc = metadataResponse.data?.response?.docs?.[0];
@@ -3042,11 +3358,12 @@ const capacitorAPI = {
           rating: p.rating,
           read_status: p.read_status,
           pdf_path: p.pdf_path,
-          citation_count: p.citation_count
+          citation_count: p.citation_count,
+          tags: p.tags || []
         })),
         collections: collections.map(c => {
           const paperBibcodes = MobileDB.getPapersInCollection(c.id)
-            .map(pid => papers.find(p => p.id === pid)?.bibcode)
+            .map(paper => paper.bibcode)
             .filter(Boolean);
           return {
             id: c.id,
@@ -3057,6 +3374,11 @@ const capacitorAPI = {
             papers: paperBibcodes
           };
         }),
+        tags: MobileDB.getTags().map(t => ({
+          name: t.name,
+          color: t.color,
+          created_date: t.created_date
+        })),
         refs: {},
         cites: {},
         annotations: {}
@@ -3123,6 +3445,7 @@ const capacitorAPI = {
       const stats = {
         paperCount: papers.length,
         collectionCount: collections.length,
+        tagCount: libraryData.tags.length,
         pdfCount: 0,
         annotationCount: Object.values(libraryData.annotations).reduce((sum, anns) => sum + anns.length, 0),
         refCount: Object.values(libraryData.refs).reduce((sum, refs) => sum + refs.length, 0),
@@ -3288,12 +3611,13 @@ const capacitorAPI = {
         pdfsImported: 0,
         annotationsImported: 0,
         collectionsImported: 0,
+        tagsImported: 0,
         errors: []
       };
 
       // If replace mode, clear existing papers
       if (mode === 'replace') {
-        const existingPapers = MobileDB.getAllPapers();
+        const existingPapers = MobileDB.getAllPapers({ trash: 'include' });
         for (const paper of existingPapers) {
           MobileDB.deletePaper(paper.id, false);
         }
@@ -3301,9 +3625,32 @@ const capacitorAPI = {
         for (const coll of existingCollections) {
           MobileDB.deleteCollection(coll.id);
         }
+        for (const tag of MobileDB.getTags()) {
+          MobileDB.deleteTag(tag.id);
+        }
         await MobileDB.saveDatabase();
       }
 
+      // Import tag definitions first so colors survive; papers add any missing tags
+      for (const tag of libraryData.tags || []) {
+        try {
+          MobileDB.createTag(tag.name, tag.color || null);
+          results.tagsImported++;
+        } catch (e) {
+          results.errors.push(`Failed to import tag: ${tag.name}`);
+        }
+      }
+
+      const applyTags = (paperId, tags) => {
+        for (const name of Array.isArray(tags) ? tags : []) {
+          try {
+            MobileDB.tagPapers([paperId], name);
+          } catch (e) {
+            results.errors.push(`Failed to tag paper with ${name}`);
+          }
+        }
+      };
+
       // Import papers
       const bibcodeToNewId = {};
       const papers = libraryData.papers || [];
@@ -3319,6 +3666,7 @@ const capacitorAPI = {
           if (existingPaper) {
             results.papersSkipped++;
             bibcodeToNewId[paper.bibcode] = existingPaper.id;
+            applyTags(existingPaper.id, paper.tags);
             continue;
           }
         }
@@ -3331,6 +3679,7 @@ const capacitorAPI = {
 
           const newId = MobileDB.addPaper(paperToImport, false);
           results.papersImported++;
+          applyTags(newId, paper.tags);
 
           if (paper.bibcode) {
             bibcodeToNewId[paper.bibcode] = newId;
@@ -3613,8 +3962,20 @@ const capacitorAPI = {
         bibtexEntries.push(paperToBibtex(paper));
       }
 
-      // Combine all entries
-      const combinedBibtex = bibtexEntries.join('\n\n');
+      // Merge each paper's tags into its keywords. ADS returns one string for
+      // all bibcodes, so split it into entries and match them by key (the bibcode).
+      const papersByKey = new Map();
+      for (const paper of papers) {
+        papersByKey.set(generateCiteKey(paper), paper);
+      }
+      const combinedBibtex = bibtexEntries
+        .flatMap(chunk => chunk.split(/\n(?=@)/).map(entry => entry.trim()))
+        .filter(Boolean)
+        .map(entry => {
+          const key = entry.match(/@\w+\s*\{\s*([^,\s]+)\s*,/)?.[1];
+          return addBibtexKeywords(entry, papersByKey.get(key)?.tags);
+        })
+        .join('\n\n');
 
       emit('consoleLog', { message: `BibTeX export complete (${papers.length} entries)`, level: 'success' });
 
@@ -4482,6 +4843,45 @@ Provide a clear, accessible explanation.`;
     }
   },
 
+  // Helper: extract a PDF's text (base64 data) into text/<name>.txt with its
+  // page layout next to it, and point the paper and file record at it. Papers
+  // without references get the list parsed from the text.
+  async _extractPdfText(paperId, fileId, pdfFilename, base64Data) {
+    try {
+      const currentLibraryPath = MobileDB.getLibraryPath() || LIBRARY_FOLDER;
+      const location = MobileDB.getLocation?.() || 'local';
+
+      const { text, layout } = await extractPdfText(base64Data);
+      if (!text.trim()) {
+        console.log('[_extractPdfText] No text layer in', pdfFilename);
+        if (fileId) {
+          MobileDB.updatePaperFile(fileId, { ingest_status: 'failed', ingest_error: 'No text could be read from the PDF' });
+          await MobileDB.saveDatabase();
+        }
+        return null;
+      }
+
+      const baseName = pdfFilename.split('/').pop().replace(/\.pdf$/i, '');
+      const textPath = `text/${baseName}.txt`;
+      await fsWriteFile(`${currentLibraryPath}/${textPath}`, text, location);
+      await fsWriteFile(`${currentLibraryPath}/${layoutPathForText(textPath)}`, JSON.stringify(layout), location);
+
+      if (fileId) {
+        MobileDB.updatePaperFile(fileId, { text_path: textPath, text_extracted: 1, ingest_status: 'done', ingest_error: null });
+      }
+      MobileDB.updatePaper(paperId, { text_path: textPath });
+      if (MobileDB.getReferencesCount(paperId) === 0) {
+        const refs = toCachedReferences(extractReferences(text));
+        if (refs.length > 0) MobileDB.addPdfReferences(paperId, refs);
+      }
+      await MobileDB.saveDatabase();
+      return textPath;
+    } catch (error) {
+      console.error('[_extractPdfText] Error:', error);
+      return null;
+    }
+  },
+
   // Helper: detect MIME type from extension
   _getMimeType(filename) {
     const ext = (filename.split('.').pop() || '').toLowerCase();
@@ -4619,6 +5019,10 @@ Provide a clear, accessible explanation.`;
 
         await MobileDB.saveDatabase();
 
+        if (role === 'pdf' && mimeType === 'application/pdf') {
+          capacitorAPI._extractPdfText(paperId, fileId, storageFilename, fileData);
+        }
+
         emit('consoleLog', { message: `Added file: ${originalName || storageFilename}`, level: 'success' });
         return {
           success: true,
@@ -5019,6 +5423,7 @@ Provide a clear, accessible explanation.`;
 
           await MobileDB.saveDatabase();
           this._completedCount++;
+          capacitorAPI._extractPdfText(item.paperId, item.fileId, result.path, result.data);
 
           emit('downloadQueueComplete', {
             paperId: item.paperId,
@@ -5182,7 +5587,8 @@ Provide a clear, accessible explanation.`;
           success: true,
           path: filename,
           hash: hash,
-          size: size
+          size: size,
+          data: pdfData
         };
       } catch (downloadError) {
         console.error('[downloadQueue._downloadFile] Error:', downloadError);
@@ -2,19 +2,21 @@
  * Bibliac - Mobile Database Module (sql.js + Capacitor Filesystem)
  * SQLite database using sql.js with Capacitor Filesystem for persistence
  *
- * This module provides the same interface as the desktop database.cjs
- * but uses Capacitor's Filesystem API instead of Node.js fs.
+ * The queries live in the shared DatabaseManager (lib/database/database-manager.js),
+ * the same core desktop's database.cjs uses. This module gives it storage
+ * through Capacitor's Filesystem API (or the native iCloud plugin) and keeps
+ * the function interface the iOS API adapter calls.
  */
 
 import initSqlJs from 'sql.js';
 import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
 import { registerPlugin } from '@capacitor/core';
-import { applySchema } from '../shared/database-schema.js';
+import { createDatabaseManager } from '../lib/database/database-manager.js';
 
 // Register native iCloud plugin
 const ICloud = registerPlugin('ICloud');
 
-let db = null;
+let core = null;
 let dbPath = null;
 let libraryPath = null;
 let currentLocation = 'local'; // 'local' or 'icloud'
@@ -128,6 +130,21 @@ async function writeDbFile(path, data, location) {
   }
 }
 
+
+/**
+ * Load sql.js once per app session
+ */
+async function loadSqlJs() {
+  if (!SQL) {
+    console.log('[MobileDB] Loading sql.js...');
+    SQL = await initSqlJs({
+      locateFile: file => SQL_WASM_URL
+    });
+    console.log('[MobileDB] sql.js loaded');
+  }
+  return SQL;
+}
+
 /**
  * Initialize sql.js and load/create database
  * @param {string} libPath - Library folder path (relative to directory)
@@ -135,46 +152,65 @@ async function writeDbFile(path, data, location) {
  * @returns {Promise<boolean>}
  */
 export async function initDatabase(libPath, location = 'local') {
+  closeDatabase();
   libraryPath = libPath;
   dbPath = `${libPath}/library.sqlite`;
   currentLocation = location;
 
   console.log(`[MobileDB] Initializing database at ${dbPath} in ${location}`);
 
-  if (!SQL) {
-    console.log('[MobileDB] Loading sql.js...');
-    // Initialize sql.js with WASM
-    SQL = await initSqlJs({
-      locateFile: file => SQL_WASM_URL
-    });
-    console.log('[MobileDB] sql.js loaded');
-  }
-
-  // Try to load existing database
-  try {
-    console.log('[MobileDB] Attempting to read existing database...');
-    const base64Data = await readDbFile(dbPath, location);
-    console.log('[MobileDB] Database file read, size:', base64Data?.length || 0);
-
-    // Convert base64 to Uint8Array
-    const binaryString = atob(base64Data);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
+  // Library file contents as read, for the pre-migration backup
+  let base64Data = null;
+
+  const manager = createDatabaseManager({
+    initSqlJs: loadSqlJs,
+    load: async () => {
+      try {
+        console.log('[MobileDB] Attempting to read existing database...');
+        base64Data = await readDbFile(dbPath, location);
+        console.log('[MobileDB] Database file read, size:', base64Data?.length || 0);
+        return base64ToBytes(base64Data);
+      } catch (e) {
+        // Database doesn't exist, create new one (expected for new libraries)
+        console.log('[MobileDB] No existing database, creating new');
+        base64Data = null;
+        return null;
+      }
+    },
+    save: async (data) => {
+      console.log('[MobileDB] Database exported, size:', data.length);
+      const base64 = bytesToBase64(data);
+      console.log('[MobileDB] Converted to base64, length:', base64.length);
+      await writeDbFile(dbPath, base64, currentLocation);
+    },
+    // Backup as library-backup-v<version>-<timestamp>.sqlite next to the library
+    backup: async (bytes, version) => {
+      if (!base64Data) return;
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = `${libraryPath}/library-backup-v${version}-${timestamp}.sqlite`;
+      await writeDbFile(backupPath, base64Data, currentLocation);
+      console.log(`[MobileDB] Backed up library to ${backupPath}`);
     }
+  });
 
-    db = new SQL.Database(bytes);
-    console.log('[MobileDB] Loaded existing database');
+  // Bring the schema up to date; a library saved by a newer app is refused
+  // without being written back
+  console.log('[MobileDB] Migrating schema...');
+  let opened;
+  try {
+    opened = await manager.init();
   } catch (e) {
-    // Database doesn't exist, create new one (expected for new libraries)
-    console.log('[MobileDB] No existing database, creating new');
-    db = new SQL.Database();
+    console.error('[MobileDB] Schema migration failed:', e.message);
+    throw e;
   }
+  core = manager;
 
-  // Ensure schema exists
-  console.log('[MobileDB] Creating schema...');
-  createSchema();
-  console.log('[MobileDB] Schema created, saving database...');
+  const { from, applied, linkedAuthors } = opened;
+  if (applied.length > 0) {
+    console.log(`[MobileDB] Migrated schema from version ${from} to ${applied[applied.length - 1]}`);
+  }
+  if (linkedAuthors > 0) console.log(`[MobileDB] Linked authors of ${linkedAuthors} papers`);
+  console.log('[MobileDB] Schema up to date, saving database...');
 
   try {
     await saveDatabase();
@@ -191,7 +227,7 @@ export async function initDatabase(libPath, location = 'local') {
  * Save database to filesystem
  */
 export async function saveDatabase() {
-  if (!db || !dbPath) {
+  if (!core || !dbPath) {
     console.log('[MobileDB] saveDatabase: no db or dbPath');
     return;
   }
@@ -199,20 +235,7 @@ export async function saveDatabase() {
   console.log(`[MobileDB] Saving database to ${dbPath} (${currentLocation})`);
 
   try {
-    const data = db.export();
-    const uint8Array = new Uint8Array(data);
-    console.log('[MobileDB] Database exported, size:', uint8Array.length);
-
-    // Convert to base64 for storage
-    let binary = '';
-    for (let i = 0; i < uint8Array.length; i++) {
-      binary += String.fromCharCode(uint8Array[i]);
-    }
-    const base64 = btoa(binary);
-    console.log('[MobileDB] Converted to base64, length:', base64.length);
-
-    await writeDbFile(dbPath, base64, currentLocation);
-
+    await core.save();
     console.log('[MobileDB] Database saved successfully');
   } catch (e) {
     console.error('[MobileDB] Failed to save database:', e.message);
@@ -224,9 +247,9 @@ export async function saveDatabase() {
  * Close database
  */
 export function closeDatabase() {
-  if (db) {
-    db.close();
-    db = null;
+  if (core) {
+    core.close();
+    core = null;
   }
 }
 
@@ -244,11 +267,21 @@ export function getLibraryPath() {
   return libraryPath;
 }
 
-/**
- * Create database schema using shared definition
- */
-function createSchema() {
-  applySchema(db);
+function base64ToBytes(base64) {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -261,40 +294,16 @@ function createSchema() {
  * @returns {number} - The new paper ID
  */
 export function addPaper(paper) {
-  const now = new Date().toISOString();
-
-  const stmt = db.prepare(`
-    INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal, abstract, keywords,
-                        pdf_path, text_path, bibtex, read_status, rating, added_date, modified_date,
-                        import_source, import_source_key, citation_count)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run([
-    paper.bibcode || null,
-    paper.doi || null,
-    paper.arxiv_id || null,
-    paper.title || 'Untitled',
-    JSON.stringify(paper.authors || []),
-    paper.year || null,
-    paper.journal || null,
-    paper.abstract || null,
-    JSON.stringify(paper.keywords || []),
-    paper.pdf_path || null,
-    paper.text_path || null,
-    paper.bibtex || null,
-    paper.read_status || 'unread',
-    paper.rating || 0,
-    now,
-    now,
-    paper.import_source || null,
-    paper.import_source_key || null,
-    paper.citation_count || 0
-  ]);
-  stmt.free();
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  return core.addPaper(paper);
+}
+
+/**
+ * Add many papers, skipping ones already in the library
+ * @param {Array} papers - Paper data
+ * @returns {{inserted: Array, skipped: Array}}
+ */
+export function addPapersBulk(papers) {
+  return core.addPapersBulk(papers);
 }
 
 /**
@@ -303,16 +312,7 @@ export function addPaper(paper) {
  * @returns {Object|null} - Paper object or null
  */
 export function getPaper(id) {
-  const stmt = db.prepare('SELECT * FROM papers WHERE id = ?');
-  stmt.bind([id]);
-
-  if (stmt.step()) {
-    const paper = rowToPaper(stmt.getAsObject());
-    stmt.free();
-    return paper;
-  }
-  stmt.free();
-  return null;
+  return core.getPaper(id);
 }
 
 /**
@@ -321,111 +321,213 @@ export function getPaper(id) {
  * @returns {Object|null} - Paper object or null
  */
 export function getPaperByBibcode(bibcode) {
-  const stmt = db.prepare('SELECT * FROM papers WHERE bibcode = ?');
-  stmt.bind([bibcode]);
-
-  if (stmt.step()) {
-    const paper = rowToPaper(stmt.getAsObject());
-    stmt.free();
-    return paper;
-  }
-  stmt.free();
-  return null;
+  return core.getPaperByBibcode(bibcode);
 }
 
 /**
- * Get all papers with optional filtering
- * @param {Object} options - Query options
+ * Get all papers with optional filtering (see DatabaseManager.getAllPapers)
+ * @param {Object} options - { orderBy, order, readStatus, collectionId, tag,
+ *   search, trash, limit }
  * @returns {Array} - Array of papers
  */
 export function getAllPapers(options = {}) {
-  let sql = 'SELECT * FROM papers WHERE 1=1';
-  const params = [];
+  return core.getAllPapers(options);
+}
 
-  if (options.readStatus) {
-    sql += ' AND read_status = ?';
-    params.push(options.readStatus);
-  }
+/**
+ * Get one page of the library list (same options as getAllPapers)
+ * @param {Object} options - getAllPapers options plus offset and limit
+ * @returns {{papers: Array, total: number, offset: number}}
+ */
+export function getPapersPage(options = {}) {
+  return core.getPapersPage(options);
+}
 
-  if (options.collectionId) {
-    sql += ' AND id IN (SELECT paper_id FROM paper_collections WHERE collection_id = ?)';
-    params.push(options.collectionId);
-  }
+/**
+ * Update a paper. Metadata changes are recorded in the paper's edit history;
+ * locked fields are left alone unless the user makes the change.
+ * @param {number} id - Paper ID
+ * @param {Object} updates - Fields to update (plus author_details)
+ * @param {Object} [options] - { origin }
+ * @returns {boolean} - Whether any field was updated
+ */
+export function updatePaper(id, updates, options = {}) {
+  return core.updatePaper(id, updates, options).fields.length > 0;
+}
 
-  if (options.search) {
-    sql += ' AND (title LIKE ? OR authors LIKE ? OR abstract LIKE ?)';
-    const searchTerm = `%${options.search}%`;
-    params.push(searchTerm, searchTerm, searchTerm);
-  }
+/**
+ * Permanently delete a paper and everything attached to it (not its files)
+ * @param {number} id - Paper ID
+ * @returns {boolean} - Success
+ */
+export function deletePaper(id) {
+  core.deletePaper(id);
+  return true;
+}
 
-  const orderBy = options.orderBy || 'added_date';
-  const order = options.order || 'DESC';
-  sql += ` ORDER BY ${orderBy} ${order}`;
+/**
+ * Which bibcodes are in the library (outside the Trash)
+ * @param {string[]} bibcodes
+ * @returns {string[]}
+ */
+export function checkBibcodesInLibrary(bibcodes) {
+  return core.checkBibcodesInLibrary(bibcodes);
+}
 
-  if (options.limit) {
-    sql += ' LIMIT ?';
-    params.push(options.limit);
-  }
+// ═══════════════════════════════════════════════════════════════════════════
+// TRASH (see lib/database/trash.js)
+// ═══════════════════════════════════════════════════════════════════════════
 
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
+/**
+ * Move papers to the Trash
+ * @param {number[]} ids - Paper IDs
+ * @returns {number} - Papers moved
+ */
+export function trashPapers(ids) {
+  return core.trashPapers(ids);
+}
 
-  const papers = [];
-  while (stmt.step()) {
-    papers.push(rowToPaper(stmt.getAsObject()));
-  }
-  stmt.free();
+/**
+ * Take papers back out of the Trash
+ * @param {number[]} ids - Paper IDs
+ * @returns {number} - Papers restored
+ */
+export function restorePapers(ids) {
+  return core.restorePapers(ids);
+}
+
+/**
+ * Permanently delete papers
+ * @param {number[]} ids - Paper IDs
+ * @returns {{papers: Array, files: Array}} - Deleted papers and the
+ *   paper_files records whose files are no longer used
+ */
+export function purgePapers(ids) {
+  return core.purgePapers(ids);
+}
 
-  return papers;
+export function getTrashedPaperIds() {
+  return core.getTrashedPaperIds();
 }
 
+export function getTrashCount() {
+  return core.getTrashCount();
+}
+
+export function getExpiredTrashIds() {
+  return core.getExpiredTrashIds();
+}
+
+export function getTrashRetentionDays() {
+  return core.getTrashRetentionDays();
+}
+
+export function setTrashRetentionDays(days) {
+  return core.setTrashRetentionDays(days);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EDIT HISTORY (see lib/database/history.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Update a paper
- * @param {number} id - Paper ID
- * @param {Object} updates - Fields to update
- * @returns {boolean} - Success
+ * A paper's recorded metadata changes (newest first) and locked fields
+ * @param {number} paperId
+ * @returns {{history: Object[], lockedFields: string[]}}
  */
-export function updatePaper(id, updates) {
-  const fields = [];
-  const values = [];
+export function getPaperHistory(paperId) {
+  return core.getPaperHistory(paperId);
+}
 
-  for (const [key, value] of Object.entries(updates)) {
-    if (key === 'id') continue;
+/**
+ * Put a field back to its value before a recorded change (recorded as a
+ * user change)
+ * @param {number} entryId - paper_history row ID
+ * @returns {number|null} The paper ID, or null if the entry doesn't exist
+ */
+export function revertPaperField(entryId) {
+  return core.revertPaperField(entryId);
+}
 
-    fields.push(`${key} = ?`);
-    if (key === 'authors' || key === 'keywords') {
-      values.push(JSON.stringify(value));
-    } else {
-      values.push(value);
-    }
-  }
+/**
+ * Lock a field so only the user can change it, or unlock it
+ * @param {number} paperId
+ * @param {string} field
+ * @param {boolean} locked
+ * @returns {string[]} The paper's locked fields
+ */
+export function setPaperFieldLocked(paperId, field, locked) {
+  return core.setPaperFieldLocked(paperId, field, locked);
+}
 
-  if (fields.length === 0) return false;
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTHORS (see lib/database/authors.js)
+// ═══════════════════════════════════════════════════════════════════════════
 
-  fields.push('modified_date = ?');
-  values.push(new Date().toISOString());
-  values.push(id);
+/**
+ * A paper's authors in order, linked to author IDs
+ * @param {number} paperId
+ * @returns {Object[]}
+ */
+export function getPaperAuthors(paperId) {
+  return core.getPaperAuthors(paperId);
+}
 
-  const sql = `UPDATE papers SET ${fields.join(', ')} WHERE id = ?`;
-  db.run(sql, values);
-  return true;
+/**
+ * An author with their library papers, co-authors and possible namesakes
+ * @param {number} authorId
+ * @returns {Object|null}
+ */
+export function getAuthor(authorId) {
+  return core.getAuthor(authorId);
 }
 
 /**
- * Delete a paper
- * @param {number} id - Paper ID
- * @returns {boolean} - Success
+ * Merge authors that are the same person into one
+ * @param {number} keepId
+ * @param {number[]} mergeIds
  */
-export function deletePaper(id) {
-  db.run('DELETE FROM refs WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM citations WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM paper_collections WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM annotations WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM paper_summaries WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM paper_qa WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM text_embeddings WHERE paper_id = ?', [id]);
-  db.run('DELETE FROM papers WHERE id = ?', [id]);
-  return true;
+export function mergeAuthors(keepId, mergeIds) {
+  core.mergeAuthors(keepId, mergeIds);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATE OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Groups of papers that look like the same work
+ * @returns {Object[]}
+ */
+export function findDuplicatePapers() {
+  return core.findDuplicatePapers();
+}
+
+/**
+ * Merge duplicate papers into one, keeping an undo record
+ * @param {number} keepId
+ * @param {number[]} mergeIds
+ * @returns {number} Merge ID
+ */
+export function mergePapers(keepId, mergeIds) {
+  return core.mergePapers(keepId, mergeIds);
+}
+
+/**
+ * Recorded merges that can be undone, newest first
+ * @returns {Object[]}
+ */
+export function getPaperMerges() {
+  return core.getPaperMerges();
+}
+
+/**
+ * Undo a merge, restoring the merged papers
+ * @param {number} mergeId
+ * @returns {number[]} IDs of the papers involved, kept paper first
+ */
+export function undoPaperMerge(mergeId) {
+  return core.undoPaperMerge(mergeId);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -433,44 +535,50 @@ export function deletePaper(id) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Get all collections
+ * Get all collections. Smart collection counts are evaluated from their
+ * queries; an invalid query gets `query_error`.
  * @returns {Array} - Array of collections
  */
 export function getCollections() {
-  const result = db.exec(`
-    SELECT c.*,
-           (SELECT COUNT(*) FROM paper_collections WHERE collection_id = c.id) as paper_count
-    FROM collections c
-    ORDER BY c.name
-  `);
-
-  if (!result[0]) return [];
-
-  return result[0].values.map(row => ({
-    id: row[0],
-    name: row[1],
-    parent_id: row[2],
-    is_smart: row[3] === 1,
-    query: row[4],
-    created_date: row[5],
-    paper_count: row[6]
-  }));
+  return core.getCollections();
+}
+
+/**
+ * Get a single collection
+ * @param {number} collectionId - Collection ID
+ * @returns {Object|null}
+ */
+export function getCollection(collectionId) {
+  return core.getCollection(collectionId);
 }
 
 /**
  * Create a collection
  * @param {string} name - Collection name
  * @param {number|null} parentId - Parent collection ID
+ * @param {boolean} isSmart - Whether membership comes from a saved query
+ * @param {string|null} query - Library query for smart collections
  * @returns {number} - New collection ID
  */
-export function createCollection(name, parentId = null) {
-  const now = new Date().toISOString();
-  db.run(
-    'INSERT INTO collections (name, parent_id, created_date) VALUES (?, ?, ?)',
-    [name, parentId, now]
-  );
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+export function createCollection(name, parentId = null, isSmart = false, query = null) {
+  return core.createCollection(name, parentId, isSmart, query);
+}
+
+/**
+ * Rename, move, or change the query of a collection
+ * @param {number} collectionId - Collection ID
+ * @param {Object} updates - { name?, parentId?, query? }
+ */
+export function updateCollection(collectionId, updates) {
+  core.updateCollection(collectionId, updates);
+}
+
+/**
+ * Delete a collection (papers are kept, child collections move up a level)
+ * @param {number} collectionId - Collection ID
+ */
+export function deleteCollection(collectionId) {
+  core.deleteCollection(collectionId);
 }
 
 /**
@@ -479,14 +587,7 @@ export function createCollection(name, parentId = null) {
  * @param {number} collectionId - Collection ID
  */
 export function addPaperToCollection(paperId, collectionId) {
-  try {
-    db.run(
-      'INSERT OR IGNORE INTO paper_collections (paper_id, collection_id) VALUES (?, ?)',
-      [paperId, collectionId]
-    );
-  } catch (e) {
-    // Already in collection
-  }
+  core.addPaperToCollection(paperId, collectionId);
 }
 
 /**
@@ -495,10 +596,87 @@ export function addPaperToCollection(paperId, collectionId) {
  * @param {number} collectionId - Collection ID
  */
 export function removePaperFromCollection(paperId, collectionId) {
-  db.run(
-    'DELETE FROM paper_collections WHERE paper_id = ? AND collection_id = ?',
-    [paperId, collectionId]
-  );
+  core.removePaperFromCollection(paperId, collectionId);
+}
+
+/**
+ * Papers in a (regular) collection
+ * @param {number} collectionId - Collection ID
+ * @returns {Array} - Array of papers
+ */
+export function getPapersInCollection(collectionId) {
+  return core.getPapersInCollection(collectionId);
+}
+
+/**
+ * Papers matching a smart collection's query
+ * @param {number} collectionId - Collection ID
+ * @returns {Array} - Array of papers, newest first
+ */
+export function getPapersInSmartCollection(collectionId) {
+  return core.getSmartCollectionPapers(collectionId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TAG OPERATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Tags are stored by full path ("methods/mcmc"), like on desktop
+export { normalizeTagName } from '../lib/database/database-manager.js';
+
+/**
+ * Get all tags with direct paper counts, parents before children
+ * @returns {Array} - Array of tags
+ */
+export function getTags() {
+  return core.getTags();
+}
+
+/**
+ * Create a tag (and its ancestors); an existing tag gets the new color
+ * @param {string} name - Tag path
+ * @param {string|null} color - CSS color
+ * @returns {number} - Tag ID
+ */
+export function createTag(name, color = null) {
+  return core.createTag(name, color);
+}
+
+/**
+ * Rename or recolor a tag; nested tags follow a rename
+ * @param {number} tagId - Tag ID
+ * @param {Object} updates - { name?, color? }
+ * @throws {Error} If the tag is missing or the new path is taken
+ */
+export function updateTag(tagId, updates) {
+  core.updateTag(tagId, updates);
+}
+
+/**
+ * Delete a tag and its nested tags (papers are kept)
+ * @param {number} tagId - Tag ID
+ */
+export function deleteTag(tagId) {
+  core.deleteTag(tagId);
+}
+
+/**
+ * Tag papers, creating the tag if needed
+ * @param {number[]} paperIds - Paper IDs
+ * @param {string} name - Tag path
+ * @returns {number} - Tag ID
+ */
+export function tagPapers(paperIds, name) {
+  return core.tagPapers(paperIds, name);
+}
+
+/**
+ * Remove a tag from papers (nested tags are left alone)
+ * @param {number[]} paperIds - Paper IDs
+ * @param {number} tagId - Tag ID
+ */
+export function untagPapers(paperIds, tagId) {
+  core.untagPapers(paperIds, tagId);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -512,38 +690,16 @@ export function removePaperFromCollection(paperId, collectionId) {
  * @returns {Array} - Array of annotations
  */
 export function getAnnotations(paperId, pdfSource = null) {
-  let sql = 'SELECT * FROM annotations WHERE paper_id = ?';
-  const params = [paperId];
-
-  if (pdfSource) {
-    sql += ' AND pdf_source = ?';
-    params.push(pdfSource);
-  }
-
-  sql += ' ORDER BY page_number, id';
-
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
-
-  const annotations = [];
-  while (stmt.step()) {
-    const row = stmt.getAsObject();
-    annotations.push({
-      id: row.id,
-      paper_id: row.paper_id,
-      page_number: row.page_number,
-      selection_text: row.selection_text,
-      selection_rects: row.selection_rects ? JSON.parse(row.selection_rects) : [],
-      note_content: row.note_content,
-      color: row.color,
-      pdf_source: row.pdf_source,
-      created_at: row.created_at,
-      updated_at: row.updated_at
-    });
-  }
-  stmt.free();
+  return core.getAnnotations(paperId, pdfSource);
+}
 
-  return annotations;
+/**
+ * Get one annotation
+ * @param {number} id - Annotation ID
+ * @returns {Object|null}
+ */
+export function getAnnotation(id) {
+  return core.getAnnotation(id);
 }
 
 /**
@@ -552,25 +708,7 @@ export function getAnnotations(paperId, pdfSource = null) {
  * @returns {number} - New annotation ID
  */
 export function addAnnotation(annotation) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO annotations (paper_id, page_number, selection_text, selection_rects,
-                            note_content, color, pdf_source, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    annotation.paper_id,
-    annotation.page_number,
-    annotation.selection_text,
-    JSON.stringify(annotation.selection_rects || []),
-    annotation.note_content || '',
-    annotation.color || '#ffeb3b',
-    annotation.pdf_source || null,
-    now,
-    now
-  ]);
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  return core.addAnnotation(annotation);
 }
 
 /**
@@ -579,7 +717,7 @@ export function addAnnotation(annotation) {
  * @returns {boolean} - Success
  */
 export function deleteAnnotation(id) {
-  db.run('DELETE FROM annotations WHERE id = ?', [id]);
+  core.deleteAnnotation(id);
   return true;
 }
 
@@ -590,58 +728,17 @@ export function deleteAnnotation(id) {
  * @returns {number} - New annotation ID
  */
 export function createAnnotation(paperId, data) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO annotations (paper_id, page_number, selection_text, selection_rects,
-                            note_content, color, pdf_source, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    paperId,
-    data.pageNumber || data.page_number,
-    data.content || data.selection_text || data.selectionText,
-    JSON.stringify(data.position || data.selection_rects || data.selectionRects || []),
-    data.note || data.note_content || data.noteContent || '',
-    data.color || '#ffeb3b',
-    data.pdfSource || data.pdf_source || null,
-    now,
-    now
-  ]);
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  return core.createAnnotation(paperId, data);
 }
 
 /**
  * Update annotation
  * @param {number} id - Annotation ID
  * @param {Object} data - Fields to update
- * @returns {boolean} - Success
+ * @returns {boolean} - Whether anything was updated
  */
 export function updateAnnotation(id, data) {
-  const updates = [];
-  const params = [];
-
-  if (data.note !== undefined || data.note_content !== undefined || data.noteContent !== undefined) {
-    updates.push('note_content = ?');
-    params.push(data.note || data.note_content || data.noteContent);
-  }
-  if (data.color !== undefined) {
-    updates.push('color = ?');
-    params.push(data.color);
-  }
-  if (data.content !== undefined || data.selection_text !== undefined || data.selectionText !== undefined) {
-    updates.push('selection_text = ?');
-    params.push(data.content || data.selection_text || data.selectionText);
-  }
-
-  if (updates.length === 0) return false;
-
-  updates.push('updated_at = ?');
-  params.push(new Date().toISOString());
-  params.push(id);
-
-  db.run(`UPDATE annotations SET ${updates.join(', ')} WHERE id = ?`, params);
-  return true;
+  return core.updateAnnotation(id, data);
 }
 
 /**
@@ -650,20 +747,23 @@ export function updateAnnotation(id, data) {
  * @returns {Object} - Counts by source { 'EPRINT_PDF': 3, 'PUB_PDF': 1, ... }
  */
 export function getAnnotationCountsBySource(paperId) {
-  const sql = `SELECT pdf_source, COUNT(*) as count FROM annotations
-               WHERE paper_id = ? GROUP BY pdf_source`;
-  const stmt = db.prepare(sql);
-  stmt.bind([paperId]);
-
-  const counts = {};
-  while (stmt.step()) {
-    const row = stmt.getAsObject();
-    const source = row.pdf_source || 'default';
-    counts[source] = row.count;
-  }
-  stmt.free();
+  return core.getAnnotationCountsBySource(paperId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PDF PAGE ROTATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function getPageRotations(paperId, pdfSource = null) {
+  return core.getPageRotations(paperId, pdfSource);
+}
+
+export function setPageRotation(paperId, pageNumber, rotation, pdfSource = null) {
+  core.setPageRotation(paperId, pageNumber, rotation, pdfSource);
+}
 
-  return counts;
+export function setPageRotations(paperId, rotations, pdfSource = null) {
+  core.setPageRotations(paperId, rotations, pdfSource);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -673,26 +773,10 @@ export function getAnnotationCountsBySource(paperId) {
 /**
  * Get summary for a paper
  * @param {number} paperId - Paper ID
- * @returns {Object|null} - Summary object or null
+ * @returns {Object|null} - Summary object (key_points as an array) or null
  */
 export function getSummary(paperId) {
-  const stmt = db.prepare('SELECT * FROM paper_summaries WHERE paper_id = ?');
-  stmt.bind([paperId]);
-
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    return {
-      id: row.id,
-      paper_id: row.paper_id,
-      summary: row.summary,
-      key_points: row.key_points,
-      model: row.model,
-      generated_date: row.generated_date
-    };
-  }
-  stmt.free();
-  return null;
+  return core.getSummary(paperId);
 }
 
 /**
@@ -700,32 +784,11 @@ export function getSummary(paperId) {
  * @param {number} paperId - Paper ID
  * @param {string} summary - Summary text
  * @param {string} model - Model used to generate summary
- * @param {string} keyPoints - Key points (optional)
+ * @param {string[]} keyPoints - Key points (optional)
  * @returns {number} - Summary ID
  */
 export function saveSummary(paperId, summary, model, keyPoints = null) {
-  const now = new Date().toISOString();
-
-  // Check if summary exists for this paper
-  const existing = getSummary(paperId);
-
-  if (existing) {
-    // Update existing summary
-    db.run(`
-      UPDATE paper_summaries
-      SET summary = ?, key_points = ?, model = ?, generated_date = ?
-      WHERE paper_id = ?
-    `, [summary, keyPoints, model, now, paperId]);
-    return existing.id;
-  } else {
-    // Insert new summary
-    db.run(`
-      INSERT INTO paper_summaries (paper_id, summary, key_points, model, generated_date)
-      VALUES (?, ?, ?, ?, ?)
-    `, [paperId, summary, keyPoints, model, now]);
-    const result = db.exec('SELECT last_insert_rowid()');
-    return result[0].values[0][0];
-  }
+  return core.saveSummary(paperId, summary, keyPoints, model);
 }
 
 /**
@@ -733,7 +796,7 @@ export function saveSummary(paperId, summary, model, keyPoints = null) {
  * @param {number} paperId - Paper ID
  */
 export function deleteSummary(paperId) {
-  db.run('DELETE FROM paper_summaries WHERE paper_id = ?', [paperId]);
+  core.deleteSummary(paperId);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -741,34 +804,12 @@ export function deleteSummary(paperId) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Get Q&A history for a paper
+ * Get a paper's latest Q&A entries, oldest first
  * @param {number} paperId - Paper ID
  * @returns {Array} - Array of Q&A entries
  */
 export function getQAHistory(paperId) {
-  const stmt = db.prepare(`
-    SELECT * FROM paper_qa
-    WHERE paper_id = ?
-    ORDER BY created_date DESC
-  `);
-  stmt.bind([paperId]);
-
-  const history = [];
-  while (stmt.step()) {
-    const row = stmt.getAsObject();
-    history.push({
-      id: row.id,
-      paper_id: row.paper_id,
-      question: row.question,
-      answer: row.answer,
-      context_used: row.context_used,
-      model: row.model,
-      created_at: row.created_date
-    });
-  }
-  stmt.free();
-
-  return history;
+  return core.getQAHistory(paperId);
 }
 
 /**
@@ -781,13 +822,7 @@ export function getQAHistory(paperId) {
  * @returns {number} - Q&A entry ID
  */
 export function addQAEntry(paperId, question, answer, model, contextUsed = null) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO paper_qa (paper_id, question, answer, context_used, model, created_date)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `, [paperId, question, answer, contextUsed, model, now]);
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  return core.saveQA(paperId, question, answer, contextUsed, model);
 }
 
 /**
@@ -795,38 +830,51 @@ export function addQAEntry(paperId, question, answer, model, contextUsed = null)
  * @param {number} paperId - Paper ID
  */
 export function clearQAHistory(paperId) {
-  db.run('DELETE FROM paper_qa WHERE paper_id = ?', [paperId]);
+  core.clearQAHistory(paperId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXT EMBEDDINGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function getEmbeddings(paperId) {
+  return core.getEmbeddings(paperId);
+}
+
+export function hasEmbeddings(paperId) {
+  return core.hasEmbeddings(paperId);
+}
+
+export function saveEmbeddings(paperId, chunks) {
+  core.saveEmbeddings(paperId, chunks);
+}
+
+export function deleteEmbeddings(paperId) {
+  core.deleteEmbeddings(paperId);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 // REFERENCES & CITATIONS
 // ═══════════════════════════════════════════════════════════════════════════
 
+// References and citations fetched from ADS are cached in paper_references
+// and paper_citations, shared with desktop's source plugins. These functions
+// keep the ref_* / citing_* shape the iOS adapter has always used.
+
 /**
  * Get references for a paper (papers this paper cites)
  * @param {number} paperId - Paper ID
  * @returns {Array} - Array of reference objects
  */
 export function getReferences(paperId) {
-  const stmt = db.prepare('SELECT * FROM refs WHERE paper_id = ? ORDER BY ref_year DESC');
-  stmt.bind([paperId]);
-
-  const refs = [];
-  while (stmt.step()) {
-    const row = stmt.getAsObject();
-    // Return with original column names to match Electron version
-    refs.push({
-      id: row.id,
-      paper_id: row.paper_id,
-      ref_bibcode: row.ref_bibcode,
-      ref_title: row.ref_title,
-      ref_authors: row.ref_authors,
-      ref_year: row.ref_year
-    });
-  }
-  stmt.free();
-
-  return refs;
+  return core.getCachedReferences(paperId).refs.map(ref => ({
+    paper_id: paperId,
+    ref_bibcode: ref.bibcode,
+    ref_title: ref.title,
+    ref_authors: ref.authors,
+    ref_year: ref.year,
+    linked_paper_id: ref.linked_paper_id
+  }));
 }
 
 /**
@@ -835,67 +883,41 @@ export function getReferences(paperId) {
  * @returns {Array} - Array of citation objects
  */
 export function getCitations(paperId) {
-  const stmt = db.prepare('SELECT * FROM citations WHERE paper_id = ? ORDER BY citing_year DESC');
-  stmt.bind([paperId]);
-
-  const cites = [];
-  while (stmt.step()) {
-    const row = stmt.getAsObject();
-    // Return with original column names to match Electron version
-    cites.push({
-      id: row.id,
-      paper_id: row.paper_id,
-      citing_bibcode: row.citing_bibcode,
-      citing_title: row.citing_title,
-      citing_authors: row.citing_authors,
-      citing_year: row.citing_year
-    });
-  }
-  stmt.free();
-
-  return cites;
+  return core.getCachedCitations(paperId).cites.map(cite => ({
+    paper_id: paperId,
+    citing_bibcode: cite.bibcode,
+    citing_title: cite.title,
+    citing_authors: cite.authors,
+    citing_year: cite.year,
+    linked_paper_id: cite.linked_paper_id
+  }));
 }
 
 /**
  * Add references for a paper (replaces existing)
  * @param {number} paperId - Paper ID
- * @param {Array} refs - Array of reference objects
+ * @param {Array} refs - Array of { bibcode, title, author|authors, year }
  */
 export function addReferences(paperId, refs) {
-  // Clear existing references for this paper
-  db.run('DELETE FROM refs WHERE paper_id = ?', [paperId]);
-
-  // Insert new references
-  for (const ref of refs) {
-    // Handle authors - may be array or string
-    const authorsStr = Array.isArray(ref.author) ? ref.author.join(', ') : (ref.authors || ref.author || '');
-
-    db.run(
-      'INSERT INTO refs (paper_id, ref_bibcode, ref_title, ref_authors, ref_year) VALUES (?, ?, ?, ?, ?)',
-      [paperId, ref.bibcode || null, ref.title || null, authorsStr, ref.year || null]
-    );
-  }
+  core.cacheReferences(paperId, refs.map(toCachedWork), 'ads');
+}
+
+/**
+ * Add references parsed from a paper's PDF text (replaces existing)
+ * @param {number} paperId - Paper ID
+ * @param {Array} refs - Parsed references (see lib/pdf/reference-parser.js)
+ */
+export function addPdfReferences(paperId, refs) {
+  core.cacheReferences(paperId, refs, 'pdf');
 }
 
 /**
  * Add citations for a paper (replaces existing)
  * @param {number} paperId - Paper ID
- * @param {Array} cites - Array of citation objects
+ * @param {Array} cites - Array of { bibcode, title, author|authors, year }
  */
 export function addCitations(paperId, cites) {
-  // Clear existing citations for this paper
-  db.run('DELETE FROM citations WHERE paper_id = ?', [paperId]);
-
-  // Insert new citations
-  for (const cite of cites) {
-    // Handle authors - may be array or string
-    const authorsStr = Array.isArray(cite.author) ? cite.author.join(', ') : (cite.authors || cite.author || '');
-
-    db.run(
-      'INSERT INTO citations (paper_id, citing_bibcode, citing_title, citing_authors, citing_year) VALUES (?, ?, ?, ?, ?)',
-      [paperId, cite.bibcode || null, cite.title || null, authorsStr, cite.year || null]
-    );
-  }
+  core.cacheCitations(paperId, cites.map(toCachedWork), 'ads');
 }
 
 /**
@@ -904,8 +926,7 @@ export function addCitations(paperId, cites) {
  * @returns {number} - Reference count
  */
 export function getReferencesCount(paperId) {
-  const result = db.exec('SELECT COUNT(*) FROM refs WHERE paper_id = ?', [paperId]);
-  return result[0]?.values[0][0] || 0;
+  return core.getCachedReferences(paperId).refs.length;
 }
 
 /**
@@ -914,64 +935,114 @@ export function getReferencesCount(paperId) {
  * @returns {number} - Citation count
  */
 export function getCitationsCount(paperId) {
-  const result = db.exec('SELECT COUNT(*) FROM citations WHERE paper_id = ?', [paperId]);
-  return result[0]?.values[0][0] || 0;
+  return core.getCachedCitations(paperId).cites.length;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// HELPER FUNCTIONS
-// ═══════════════════════════════════════════════════════════════════════════
-
 /**
- * Convert database row to paper object
+ * A library paper with its cached references and citations, linked to
+ * library papers, for walking the citation graph
+ * @param {number} paperId - Paper ID
+ * @returns {{paper: Object, refs: Array, cites: Array}|null}
  */
-function rowToPaper(row) {
+export function getCitationLinks(paperId) {
+  return core.getCitationLinks(paperId);
+}
+
+// Authors may come as ADS's author array or an already joined string
+function toCachedWork(work) {
   return {
-    id: row.id,
-    bibcode: row.bibcode,
-    doi: row.doi,
-    arxiv_id: row.arxiv_id,
-    title: row.title,
-    authors: row.authors ? JSON.parse(row.authors) : [],
-    year: row.year,
-    journal: row.journal,
-    abstract: row.abstract,
-    keywords: row.keywords ? JSON.parse(row.keywords) : [],
-    pdf_path: row.pdf_path,
-    text_path: row.text_path,
-    bibtex: row.bibtex,
-    read_status: row.read_status,
-    rating: row.rating,
-    added_date: row.added_date,
-    modified_date: row.modified_date,
-    import_source: row.import_source,
-    import_source_key: row.import_source_key,
-    citation_count: row.citation_count || 0
+    bibcode: work.bibcode || null,
+    title: work.title || null,
+    authors: Array.isArray(work.author) ? work.author : (work.authors || work.author || null),
+    year: work.year || null
   };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SMART ADS SEARCHES
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function createSmartSearch(data) {
+  return core.createSmartSearch(data);
+}
+
+export function getSmartSearch(id) {
+  return core.getSmartSearch(id);
+}
+
+export function getAllSmartSearches() {
+  return core.getAllSmartSearches();
+}
+
+export function updateSmartSearch(id, updates) {
+  core.updateSmartSearch(id, updates);
+}
+
+export function deleteSmartSearch(id) {
+  core.deleteSmartSearch(id);
+}
+
+export function clearSmartSearchResults(searchId) {
+  core.clearSmartSearchResults(searchId);
+}
+
+export function addSmartSearchResult(searchId, data) {
+  core.addSmartSearchResult(searchId, data);
+}
+
+export function getSmartSearchResultsWithLibraryStatus(searchId) {
+  return core.getSmartSearchResultsWithLibraryStatus(searchId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READING LIST
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function addToReadingList(paper) {
+  return core.addToReadingList(paper);
+}
+
+export function removeFromReadingList(bibcode) {
+  core.removeFromReadingList(bibcode);
+}
+
+export function getReadingList() {
+  return core.getReadingList();
+}
+
+export function isInReadingList(bibcode) {
+  return core.isInReadingList(bibcode);
+}
+
+export function updateReadingListPaper(bibcode, updates) {
+  core.updateReadingListPaper(bibcode, updates);
+}
+
+export function getReadingListCount() {
+  return core.getReadingListCount();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPER FUNCTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
  * Check if database is initialized
  * @returns {boolean}
  */
 export function isInitialized() {
-  return db !== null;
+  return core !== null && core.isInitialized();
 }
 
 /**
  * Get library statistics
- * @returns {Object} Stats with total, unread, reading, read counts
+ * @returns {Object} Stats with total, unread, reading, read and trash counts
  */
 export function getStats() {
-  if (!db) return { total: 0, unread: 0, reading: 0, read: 0 };
+  if (!isInitialized()) return { total: 0, unread: 0, reading: 0, read: 0 };
 
   try {
-    const total = db.exec('SELECT COUNT(*) FROM papers')[0]?.values[0][0] || 0;
-    const unread = db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'unread'")[0]?.values[0][0] || 0;
-    const reading = db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'reading'")[0]?.values[0][0] || 0;
-    const read = db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'read'")[0]?.values[0][0] || 0;
-
-    return { total, unread, reading, read };
+    return core.getStats();
   } catch (e) {
     console.error('[MobileDB] Failed to get stats:', e);
     return { total: 0, unread: 0, reading: 0, read: 0 };
@@ -989,36 +1060,7 @@ export function getStats() {
  * @returns {number} - New file record ID
  */
 export function addPaperFile(paperId, fileData) {
-  const now = new Date().toISOString();
-
-  const stmt = db.prepare(`
-    INSERT INTO paper_files (
-      paper_id, file_hash, filename, original_name, mime_type, file_size,
-      file_role, source_type, source_url, added_date, status, error_message,
-      text_extracted, text_path
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run([
-    paperId,
-    fileData.file_hash || null,
-    fileData.filename,
-    fileData.original_name || null,
-    fileData.mime_type || 'application/octet-stream',
-    fileData.file_size || null,
-    fileData.file_role || 'other',
-    fileData.source_type || null,
-    fileData.source_url || null,
-    fileData.added_date || now,
-    fileData.status || 'ready',
-    fileData.error_message || null,
-    fileData.text_extracted || 0,
-    fileData.text_path || null
-  ]);
-  stmt.free();
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  return result[0].values[0][0];
+  return core.addPaperFile(paperId, fileData);
 }
 
 /**
@@ -1027,81 +1069,27 @@ export function addPaperFile(paperId, fileData) {
  * @returns {Object|null} - File record or null
  */
 export function getPaperFile(fileId) {
-  const stmt = db.prepare('SELECT * FROM paper_files WHERE id = ?');
-  stmt.bind([fileId]);
-
-  if (stmt.step()) {
-    const file = stmt.getAsObject();
-    stmt.free();
-    return file;
-  }
-  stmt.free();
-  return null;
+  return core.getPaperFile(fileId);
 }
 
 /**
  * Get all files for a paper with optional filters
  * @param {number} paperId - Paper ID
- * @param {Object} filters - Optional filters (role, status)
+ * @param {Object} filters - Optional filters (role, status, sourceType)
  * @returns {Array} - Array of file records
  */
 export function getPaperFiles(paperId, filters = {}) {
-  let sql = 'SELECT * FROM paper_files WHERE paper_id = ?';
-  const params = [paperId];
-
-  if (filters.role) {
-    sql += ' AND file_role = ?';
-    params.push(filters.role);
-  }
-
-  if (filters.status) {
-    sql += ' AND status = ?';
-    params.push(filters.status);
-  }
-
-  sql += ' ORDER BY added_date DESC';
-
-  const stmt = db.prepare(sql);
-  stmt.bind(params);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return files;
+  return core.getPaperFiles(paperId, filters);
 }
 
 /**
  * Update a file record
  * @param {number} fileId - File record ID
  * @param {Object} updates - Fields to update
- * @returns {boolean} - Success
+ * @returns {boolean} - Whether anything was updated
  */
 export function updatePaperFile(fileId, updates) {
-  const allowedFields = [
-    'file_hash', 'filename', 'original_name', 'mime_type', 'file_size',
-    'file_role', 'source_type', 'source_url', 'status', 'error_message',
-    'text_extracted', 'text_path'
-  ];
-
-  const setClauses = [];
-  const values = [];
-
-  for (const [key, value] of Object.entries(updates)) {
-    if (allowedFields.includes(key)) {
-      setClauses.push(`${key} = ?`);
-      values.push(value);
-    }
-  }
-
-  if (setClauses.length === 0) return false;
-
-  values.push(fileId);
-  const sql = `UPDATE paper_files SET ${setClauses.join(', ')} WHERE id = ?`;
-
-  db.run(sql, values);
-  return true;
+  return core.updatePaperFile(fileId, updates);
 }
 
 /**
@@ -1110,7 +1098,7 @@ export function updatePaperFile(fileId, updates) {
  * @returns {boolean} - Success
  */
 export function deletePaperFile(fileId) {
-  db.run('DELETE FROM paper_files WHERE id = ?', [fileId]);
+  core.deletePaperFile(fileId);
   return true;
 }
 
@@ -1120,15 +1108,7 @@ export function deletePaperFile(fileId) {
  * @returns {Array} - Array of file records with this hash
  */
 export function getFilesByHash(hash) {
-  const stmt = db.prepare('SELECT * FROM paper_files WHERE file_hash = ?');
-  stmt.bind([hash]);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return files;
+  return core.getFilesByHash(hash);
 }
 
 /**
@@ -1137,26 +1117,7 @@ export function getFilesByHash(hash) {
  * @returns {Array} - Array of PDF file records
  */
 export function getPaperPdfs(paperId) {
-  const stmt = db.prepare(`
-    SELECT * FROM paper_files
-    WHERE paper_id = ? AND file_role = 'pdf' AND status = 'ready'
-    ORDER BY
-      CASE source_type
-        WHEN 'publisher' THEN 1
-        WHEN 'arxiv' THEN 2
-        WHEN 'ads_scan' THEN 3
-        WHEN 'manual' THEN 4
-        ELSE 5
-      END
-  `);
-  stmt.bind([paperId]);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return files;
+  return core.getPaperPdfs(paperId);
 }
 
 /**
@@ -1164,20 +1125,7 @@ export function getPaperPdfs(paperId) {
  * @returns {Array} - Array of file records with pending status
  */
 export function getPendingFiles() {
-  const stmt = db.prepare(`
-    SELECT pf.*, p.bibcode, p.arxiv_id, p.doi
-    FROM paper_files pf
-    JOIN papers p ON pf.paper_id = p.id
-    WHERE pf.status IN ('pending', 'queued', 'downloading')
-    ORDER BY pf.added_date
-  `);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-  return files;
+  return core.getPendingFiles();
 }
 
 /**
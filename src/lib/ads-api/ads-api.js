@@ -8,7 +8,7 @@
 import { adsToPaper, titleSimilarity, parseEsourcesResponse } from './transforms.js';
 
 const ADS_BASE_URL = 'https://api.adsabs.harvard.edu/v1';
-const DEFAULT_FIELDS = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+const DEFAULT_FIELDS = 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
 
 /**
  * Create an ADS API client instance
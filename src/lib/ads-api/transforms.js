@@ -30,6 +30,22 @@ export function extractArxivId(identifiers) {
   return null;
 }
 
+/**
+ * Each author's affiliation and ORCID iD as ADS lists them (aff and
+ * orcid_pub, "-" where there is none)
+ * @param {import('../types.js').ADSDocument} adsDoc - Document from ADS API response
+ * @returns {Array<{affiliation: string|null, orcid: string|null}>|null} Null
+ *   if the document has neither field
+ */
+function adsAuthorDetails(adsDoc) {
+  if (!adsDoc.aff && !adsDoc.orcid_pub) return null;
+  const value = (list, i) => (list?.[i] && list[i] !== '-' ? list[i] : null);
+  return (adsDoc.author || []).map((name, i) => ({
+    affiliation: value(adsDoc.aff, i),
+    orcid: value(adsDoc.orcid_pub, i)
+  }));
+}
+
 /**
  * Convert ADS API response document to our paper format
  * @param {import('../types.js').ADSDocument} adsDoc - Document from ADS API response
@@ -42,6 +58,7 @@ export function adsToPaper(adsDoc) {
     arxiv_id: extractArxivId(adsDoc.identifier),
     title: adsDoc.title?.[0] || 'Untitled',
     authors: adsDoc.author || [],
+    author_details: adsAuthorDetails(adsDoc),
     year: adsDoc.year ? parseInt(adsDoc.year) : null,
     journal: adsDoc.pub || null,
     abstract: adsDoc.abstract || null,
@@ -121,6 +121,50 @@ export function paperToBibtex(paper) {
   return lines.join('\n');
 }
 
+/**
+ * Merge keywords into a BibTeX entry's `keywords` field, adding the field
+ * when the entry has none. Keywords already present are not repeated.
+ * @param {string} entry - A single BibTeX entry
+ * @param {string[]} keywords - Keywords to add (e.g. user tags)
+ * @returns {string}
+ */
+export function addBibtexKeywords(entry, keywords) {
+  if (!entry || !keywords || keywords.length === 0) return entry;
+
+  const field = entry.match(/\bkeywords\s*=\s*([{"])/i);
+  if (field) {
+    const start = field.index + field[0].length;
+    let end = start;
+    if (field[1] === '{') {
+      let depth = 1;
+      while (end < entry.length) {
+        if (entry[end] === '{') depth++;
+        else if (entry[end] === '}' && --depth === 0) break;
+        end++;
+      }
+    } else {
+      end = entry.indexOf('"', start);
+      if (end === -1) return entry;
+    }
+
+    const existing = entry.slice(start, end);
+    const present = new Set(existing.split(',').map(k => k.trim().toLowerCase()));
+    const added = keywords.filter(k => !present.has(k.toLowerCase()));
+    if (added.length === 0) return entry;
+
+    const value = [existing.trim(), ...added.map(escapeLatex)].filter(Boolean).join(', ');
+    return entry.slice(0, start) + value + entry.slice(end);
+  }
+
+  // No keywords field: insert one right after "@type{key,"
+  const header = entry.match(/@\w+\s*\{[^,]*,/);
+  if (!header) return entry;
+  const insertAt = header.index + header[0].length;
+  return entry.slice(0, insertAt) +
+    `\n  keywords = {${keywords.map(escapeLatex).join(', ')}},` +
+    entry.slice(insertAt);
+}
+
 /**
  * Get \cite command for clipboard
  * @param {Partial<import('../types.js').Paper>} paper
@@ -168,7 +212,7 @@ export function getMultiCiteCommand(papers, style = 'cite') {
  * @param {Partial<import('../types.js').Paper>[]} papers
  * @param {Object} [options]
  * @param {string} [options.header] - Optional header comment
- * @returns {string}
+ * @returns {string} Entries with each paper's tags merged into `keywords`
  */
 export function generateBibtexFile(papers, options = {}) {
   const header = options.header || `% BibTeX file generated by Bibliac
@@ -178,7 +222,7 @@ export function generateBibtexFile(papers, options = {}) {
 `;
 
   const entries = papers
-    .map(paper => paperToBibtex(paper))
+    .map(paper => addBibtexKeywords(paperToBibtex(paper), paper.tags))
     .join('\n\n');
 
   return header + entries + '\n';
@@ -15,7 +15,8 @@ export {
   paperToBibtex,
   escapeLatex,
   getCiteCommand,
-  getMultiCiteCommand
+  getMultiCiteCommand,
+  addBibtexKeywords
 } from './generator.js';
 
 export {
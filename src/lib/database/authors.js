@@ -0,0 +1,375 @@
+/**
+ * Bibliac Core - Authors
+ *
+ * papers.authors keeps each paper's author list as written. The authors
+ * table adds who those people are: every name on a paper is linked to an
+ * author in paper_authors, with its position and, when ADS reported them,
+ * the affiliation and ORCID given on that paper.
+ *
+ * Names are compared by family name and given names, ignoring case,
+ * diacritics, LaTeX accents and punctuation, with initials standing for any
+ * name they start: "Abel, T.", "Abel, Tom" and "Tom Abel" are the same
+ * person, "Abel, Tom" and "Abel, Tim" are not. A name is linked to the author
+ * with its ORCID, else the author it was linked to before (author_aliases),
+ * else the author with a matching name and the most papers. Merging authors
+ * moves their aliases, so later syncs keep the merge.
+ *
+ * Used by both the desktop (database.cjs) and mobile (mobile-database.js)
+ * databases. Nothing here saves the database.
+ */
+
+// Name parts that are not given names
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+
+const ORCID_PATTERN = /(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i;
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function placeholders(ids) {
+  return ids.map(() => '?').join(', ');
+}
+
+/**
+ * Plain lowercase letters: no diacritics or LaTeX accents ({\"o}, \'{e})
+ */
+function foldName(text) {
+  return String(text || '')
+    .replace(/\\[`'^"~=.uvHcdbkr]\s*\{?\s*([a-zA-Z])\s*\}?/g, '$1')
+    .replace(/\\(ss|o|O|l|L|ae|AE|oe|OE|aa|AA)\b\s*/g, (match, letter) => letter)
+    .replace(/[{}]/g, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss').replace(/[øØ]/g, 'o').replace(/[łŁ]/g, 'l').replace(/[æÆ]/g, 'ae')
+    .toLowerCase();
+}
+
+/**
+ * Split an author name into a normalized family name and given names
+ * @param {string} name - "Family, Given" or "Given Family"
+ * @returns {{family: string, given: string[]}} Family name as plain letters
+ *   ("van den Berg" is "vandenberg"); given names and initials in order
+ */
+export function parseAuthorName(name) {
+  const folded = foldName(name).replace(/\s+/g, ' ').trim();
+  let family;
+  let given;
+  if (folded.includes(',')) {
+    const [first, ...rest] = folded.split(',');
+    family = first;
+    given = rest.join(' ');
+  } else {
+    const words = folded.split(' ');
+    family = words.pop() || '';
+    given = words.join(' ');
+  }
+  return {
+    family: family.replace(/[^a-z]/g, ''),
+    given: given.split(/[\s.\-']+/).filter(part => /^[a-z]+$/.test(part) && !SUFFIXES.has(part))
+  };
+}
+
+/**
+ * Key identifying one spelling of a name, e.g. "abel,t g" for "Abel, T. G."
+ * @param {string} name
+ * @returns {string}
+ */
+export function authorNameKey(name) {
+  const { family, given } = parseAuthorName(name);
+  return `${family},${given.join(' ')}`;
+}
+
+function parsedNamesMatch(a, b) {
+  if (!a.family || a.family !== b.family) return false;
+  const count = Math.min(a.given.length, b.given.length);
+  for (let i = 0; i < count; i++) {
+    const x = a.given[i];
+    const y = b.given[i];
+    if (x[0] !== y[0]) return false;
+    if (x.length > 1 && y.length > 1 && x !== y) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether two names can be the same person: same family name, and given
+ * names that agree where both are written out, initials matching any name
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function authorNamesMatch(a, b) {
+  return parsedNamesMatch(parseAuthorName(a), parseAuthorName(b));
+}
+
+/**
+ * The ORCID iD in a value ("0000-0002-1825-0097", an orcid.org URL), or null
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+export function normalizeOrcid(value) {
+  const match = ORCID_PATTERN.exec(String(value || ''));
+  return match ? match[1].toUpperCase() : null;
+}
+
+// How complete a spelling is, to pick an author's display name
+function nameCompleteness(name) {
+  return parseAuthorName(name).given.join('').length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LINKING PAPERS TO AUTHORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function findAuthor(db, name, parsed, orcid) {
+  if (orcid) {
+    const id = db.exec('SELECT id FROM authors WHERE orcid = ?', [orcid])[0]?.values[0]?.[0];
+    if (id) return id;
+  }
+
+  const aliased = db.exec(`
+    SELECT a.id, a.orcid FROM author_aliases al JOIN authors a ON a.id = al.author_id
+    WHERE al.name_key = ?
+  `, [authorNameKey(name)])[0]?.values[0];
+  if (aliased && !(orcid && aliased[1] && aliased[1] !== orcid)) return aliased[0];
+
+  // Namesakes, the one with the most papers first
+  const candidates = rowsToObjects(db.exec(`
+    SELECT a.id, a.name, a.orcid, (SELECT COUNT(*) FROM paper_authors pa WHERE pa.author_id = a.id) AS papers
+    FROM authors a WHERE a.family_key = ?
+    ORDER BY papers DESC, a.id
+  `, [parsed.family]));
+  for (const candidate of candidates) {
+    if (orcid && candidate.orcid && candidate.orcid !== orcid) continue;
+    const spellings = [candidate.name, ...(db.exec(
+      'SELECT DISTINCT name FROM paper_authors WHERE author_id = ?', [candidate.id]
+    )[0]?.values.map(row => row[0]) || [])];
+    if (spellings.every(spelling => parsedNamesMatch(parsed, parseAuthorName(spelling)))) {
+      return candidate.id;
+    }
+  }
+  return null;
+}
+
+/**
+ * The author a name on a paper belongs to, created if there is none
+ * @param {Object} db - sql.js database instance
+ * @param {string} name - As written on the paper
+ * @param {string|null} [orcid]
+ * @returns {number|null} Author ID, or null for a name without a family name
+ */
+export function resolveAuthor(db, name, orcid = null) {
+  const parsed = parseAuthorName(name);
+  if (!parsed.family) return null;
+
+  let id = findAuthor(db, name, parsed, orcid);
+  if (id === null) {
+    db.run('INSERT INTO authors (name, family_key, orcid) VALUES (?, ?, ?)', [String(name).trim(), parsed.family, orcid]);
+    id = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  } else {
+    const [current, currentOrcid] = db.exec('SELECT name, orcid FROM authors WHERE id = ?', [id])[0]?.values[0] || [];
+    if (current !== undefined && nameCompleteness(name) > nameCompleteness(current)) {
+      db.run('UPDATE authors SET name = ? WHERE id = ?', [String(name).trim(), id]);
+    }
+    if (orcid && !currentOrcid) {
+      db.run('UPDATE authors SET orcid = ? WHERE id = ?', [orcid, id]);
+    }
+  }
+  db.run('INSERT OR IGNORE INTO author_aliases (name_key, author_id) VALUES (?, ?)', [authorNameKey(name), id]);
+  return id;
+}
+
+/**
+ * Delete authors no paper links to any more, with their spellings
+ * @param {Object} db - sql.js database instance
+ */
+export function deleteOrphanAuthors(db) {
+  db.run('DELETE FROM authors WHERE id NOT IN (SELECT author_id FROM paper_authors)');
+  db.run('DELETE FROM author_aliases WHERE author_id NOT IN (SELECT id FROM authors)');
+}
+
+/**
+ * Link a paper's author list to authors. Call whenever papers.authors is
+ * written.
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @param {string[]} names - The paper's authors, in order
+ * @param {{affiliation?: string|null, orcid?: string|null}[]} [details] -
+ *   Per position, e.g. from ADS aff and orcid_pub; without them, a name
+ *   still at the same position keeps what it had
+ */
+export function syncPaperAuthors(db, paperId, names, details = null) {
+  const previous = new Map(rowsToObjects(db.exec(
+    'SELECT position, name, affiliation, orcid FROM paper_authors WHERE paper_id = ?', [paperId]
+  )).map(row => [row.position, row]));
+  db.run('DELETE FROM paper_authors WHERE paper_id = ?', [paperId]);
+
+  (Array.isArray(names) ? names : []).forEach((name, position) => {
+    if (typeof name !== 'string' || !name.trim()) return;
+    const kept = previous.get(position)?.name === name ? previous.get(position) : {};
+    const detail = details ? details[position] || {} : kept;
+    const orcid = normalizeOrcid(detail.orcid);
+
+    const authorId = resolveAuthor(db, name, orcid);
+    if (authorId === null) return;
+    db.run(
+      'INSERT INTO paper_authors (paper_id, position, author_id, name, affiliation, orcid) VALUES (?, ?, ?, ?, ?, ?)',
+      [paperId, position, authorId, name, detail.affiliation || null, orcid]
+    );
+  });
+
+  if (previous.size > 0) deleteOrphanAuthors(db);
+}
+
+/**
+ * Bring paper_authors up to date with papers.authors: drop rows of deleted
+ * papers and link papers that have none (new libraries, merges, imports)
+ * @param {Object} db - sql.js database instance
+ * @returns {number} Papers linked
+ */
+export function backfillPaperAuthors(db) {
+  db.run('DELETE FROM paper_authors WHERE paper_id NOT IN (SELECT id FROM papers)');
+
+  const missing = db.exec(`
+    SELECT id, authors FROM papers
+    WHERE authors IS NOT NULL AND authors NOT IN ('', '[]')
+      AND id NOT IN (SELECT paper_id FROM paper_authors)
+  `)[0]?.values || [];
+
+  let linked = 0;
+  for (const [paperId, authors] of missing) {
+    let names;
+    try {
+      names = JSON.parse(authors);
+    } catch {
+      continue;
+    }
+    if (!Array.isArray(names)) continue;
+    syncPaperAuthors(db, paperId, names);
+    linked++;
+  }
+  deleteOrphanAuthors(db);
+  return linked;
+}
+
+/**
+ * Merge authors that are the same person into one. Their papers and
+ * spellings move to the kept author, so later syncs link them there too.
+ * @param {Object} db - sql.js database instance
+ * @param {number} keepId
+ * @param {number[]} mergeIds
+ */
+export function mergeAuthors(db, keepId, mergeIds) {
+  const ids = mergeIds.filter(id => id !== keepId);
+  if (!ids.length) return;
+
+  const orcid = db.exec(
+    `SELECT orcid FROM authors WHERE id IN (${placeholders([keepId, ...ids])}) AND orcid IS NOT NULL
+     ORDER BY id = ? DESC LIMIT 1`,
+    [keepId, ...ids, keepId]
+  )[0]?.values[0]?.[0] || null;
+
+  db.run(`UPDATE paper_authors SET author_id = ? WHERE author_id IN (${placeholders(ids)})`, [keepId, ...ids]);
+  db.run(`UPDATE author_aliases SET author_id = ? WHERE author_id IN (${placeholders(ids)})`, [keepId, ...ids]);
+  db.run(`DELETE FROM authors WHERE id IN (${placeholders(ids)})`, ids);
+  db.run('UPDATE authors SET orcid = ? WHERE id = ?', [orcid, keepId]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * A paper's authors in order, with the author each name is linked to
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @returns {{position: number, name: string, author_id: number,
+ *   affiliation: string|null, orcid: string|null}[]}
+ */
+export function getPaperAuthors(db, paperId) {
+  return rowsToObjects(db.exec(
+    'SELECT position, name, author_id, affiliation, orcid FROM paper_authors WHERE paper_id = ? ORDER BY position',
+    [paperId]
+  ));
+}
+
+/**
+ * IDs of library papers by anyone matching an author filter: a name
+ * ("Abel, T." also finds "Abel, Tom") or an ORCID iD
+ * @param {Object} db - sql.js database instance
+ * @param {string} query
+ * @returns {Set<number>}
+ */
+export function findPaperIdsByAuthor(db, query) {
+  const orcid = normalizeOrcid(query);
+  if (orcid) {
+    return new Set((db.exec(`
+      SELECT DISTINCT pa.paper_id FROM paper_authors pa JOIN authors a ON a.id = pa.author_id
+      WHERE a.orcid = ? OR pa.orcid = ?
+    `, [orcid, orcid])[0]?.values || []).map(row => row[0]));
+  }
+
+  const parsed = parseAuthorName(query);
+  if (!parsed.family) return new Set();
+  const rows = db.exec(`
+    SELECT pa.paper_id, pa.name FROM paper_authors pa JOIN authors a ON a.id = pa.author_id
+    WHERE a.family_key = ?
+  `, [parsed.family])[0]?.values || [];
+  return new Set(rows.filter(([, name]) => parsedNamesMatch(parsed, parseAuthorName(name))).map(row => row[0]));
+}
+
+/**
+ * Everything the author page shows: the author, the spellings and
+ * affiliations seen, their papers in the library (not in the Trash), their
+ * co-authors, and namesakes that may be the same person
+ * @param {Object} db - sql.js database instance
+ * @param {number} authorId
+ * @returns {Object|null} Null if there is no such author
+ */
+export function getAuthor(db, authorId) {
+  const author = rowsToObjects(db.exec('SELECT id, name, orcid, family_key FROM authors WHERE id = ?', [authorId]))[0];
+  if (!author) return null;
+
+  const papers = rowsToObjects(db.exec(`
+    SELECT p.id, p.title, p.year, p.bibcode, p.journal, pa.position, pa.name AS name_as_written, pa.affiliation,
+           (SELECT COUNT(*) FROM paper_authors n WHERE n.paper_id = p.id) AS author_count
+    FROM paper_authors pa JOIN papers p ON p.id = pa.paper_id
+    WHERE pa.author_id = ? AND p.deleted_at IS NULL
+    ORDER BY p.year DESC, p.title COLLATE NOCASE
+  `, [authorId]));
+
+  const coauthors = rowsToObjects(db.exec(`
+    SELECT a.id, a.name, COUNT(DISTINCT other.paper_id) AS paper_count
+    FROM paper_authors mine
+    JOIN papers p ON p.id = mine.paper_id AND p.deleted_at IS NULL
+    JOIN paper_authors other ON other.paper_id = mine.paper_id AND other.author_id != mine.author_id
+    JOIN authors a ON a.id = other.author_id
+    WHERE mine.author_id = ?
+    GROUP BY a.id
+    ORDER BY paper_count DESC, a.name COLLATE NOCASE
+    LIMIT 50
+  `, [authorId]));
+
+  const parsed = parseAuthorName(author.name);
+  const namesakes = rowsToObjects(db.exec(`
+    SELECT a.id, a.name, a.orcid, (SELECT COUNT(*) FROM paper_authors pa WHERE pa.author_id = a.id) AS paper_count
+    FROM authors a WHERE a.family_key = ? AND a.id != ?
+    ORDER BY paper_count DESC
+  `, [author.family_key, authorId])).filter(other =>
+    parsedNamesMatch(parsed, parseAuthorName(other.name)) && !(author.orcid && other.orcid && author.orcid !== other.orcid));
+
+  return {
+    id: author.id,
+    name: author.name,
+    orcid: author.orcid,
+    // Latest affiliation given on a paper
+    affiliation: papers.find(paper => paper.affiliation)?.affiliation || null,
+    aliases: [...new Set(papers.map(paper => paper.name_as_written))].filter(name => name !== author.name),
+    papers,
+    coauthors,
+    namesakes
+  };
+}
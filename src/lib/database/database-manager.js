@@ -1,25 +1,71 @@
 /**
  * Bibliac Core - Database Manager
  *
- * Platform-agnostic database operations using sql.js.
- * Provides the same interface for both Electron and Capacitor.
+ * The library database behind both apps: the desktop database module
+ * (main/database.cjs) and the iOS one (capacitor/mobile-database.js) are
+ * thin wrappers around a DatabaseManager. It covers papers, the Trash, edit
+ * history, authors, duplicate detection and merging, collections (smart
+ * collections evaluated with the library query language), tags,
+ * annotations, page rotations, files, LLM summaries, Q&A and embeddings,
+ * smart ADS searches, the reading list and plugin data (sources, cached
+ * references and citations), all in sql.js.
+ *
+ * Where the library file lives is up to the platform, which passes
+ * persistence adapters to the constructor. Operations only change the
+ * database in memory; the platform calls save() when it wants the file
+ * written (at once on desktop, after each API call on iOS).
+ *
+ * The wrappers add what lives outside this database: on desktop the
+ * full-text search index (which smart collections use for free text when it
+ * is passed in) and the recommendation index, both kept up to date after
+ * changes made here, and library merging and snapshots, which open other
+ * copies of the library file.
  */
 
-import { applySchema } from './schema.js';
+import { runMigrations, getSchemaVersion } from './migrations.js';
+import { PAPER_SORT_COLUMNS } from './schema.js';
+import * as trash from './trash.js';
+import * as history from './history.js';
+import * as authors from './authors.js';
+import * as pluginData from './plugin-data.js';
+import * as duplicates from './duplicates.js';
+import { parseLibraryQuery, queryUsesField, matchesQuery } from '../search/query-parser.js';
 
 /**
  * Create a database manager instance
  *
  * @param {Object} options
  * @param {function(): Promise<Object>} options.initSqlJs - sql.js initialization function
- * @param {function(Uint8Array): Promise<void>} options.save - Function to save database
- * @param {function(): Promise<Uint8Array|null>} options.load - Function to load database
+ * @param {function(Uint8Array): (void|Promise<void>)} options.save - Writes the library file
+ * @param {function(): (Uint8Array|null|Promise<Uint8Array|null>)} options.load - Reads the
+ *   library file, null for a new library
+ * @param {function(Uint8Array, number): (void|Promise<void>)} [options.backup] - Saves a copy
+ *   before schema migrations
  * @returns {DatabaseManager}
  */
 export function createDatabaseManager(options) {
   return new DatabaseManager(options);
 }
 
+// Paper columns written by addPaper and addPapersBulk
+const PAPER_INSERT_SQL = `
+  INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal, abstract, keywords,
+                      pdf_path, text_path, bibtex, read_status, rating, added_date, modified_date,
+                      import_source, import_source_key, citation_count, available_sources)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+
+// Fields a file record can be updated with
+const PAPER_FILE_FIELDS = [
+  'file_hash', 'filename', 'original_name', 'mime_type', 'file_size',
+  'file_role', 'source_type', 'source_url', 'status', 'error_message',
+  'text_extracted', 'text_path', 'ingest_status', 'ingest_error'
+];
+
+const SMART_SEARCH_FIELDS = ['name', 'query', 'sort_order', 'display_order', 'last_refresh_date', 'result_count', 'error_message'];
+
+const READING_LIST_FIELDS = ['pdf_path', 'pdf_source', 'last_viewed_date', 'view_position'];
+
 /**
  * Database Manager Class
  */
@@ -28,47 +74,58 @@ export class DatabaseManager {
     this.initSqlJs = options.initSqlJs;
     this.saveToStorage = options.save;
     this.loadFromStorage = options.load;
+    this.backupToStorage = options.backup;
 
     this.db = null;
     this.SQL = null;
-    this.initialized = false;
   }
 
   /**
-   * Initialize the database
-   * @returns {Promise<boolean>}
+   * Open the library: load it (or start a new one), bring the schema up to
+   * date and link the authors of papers that have none yet. Does not save.
+   * @returns {Promise<{from: number, applied: number[], linkedAuthors: number}>}
+   *   The schema version the library had, the migrations run and the number
+   *   of papers whose authors were linked
+   * @throws {SchemaVersionError} If the library is newer than this app
    */
   async init() {
-    if (this.initialized) return true;
+    if (this.db) return { from: getSchemaVersion(this.db), applied: [], linkedAuthors: 0 };
 
     if (!this.SQL) {
       this.SQL = await this.initSqlJs();
     }
 
-    // Try to load existing database
     const existingData = await this.loadFromStorage();
-    if (existingData) {
-      this.db = new this.SQL.Database(existingData);
-    } else {
-      this.db = new this.SQL.Database();
+    const db = existingData ? new this.SQL.Database(existingData) : new this.SQL.Database();
+
+    // Bring the schema up to date; libraries from newer app versions are refused
+    let migrated;
+    try {
+      migrated = await runMigrations(db, { backup: this.backupToStorage });
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+    this.db = db;
+
+    // Link papers added before the authors table, or by an older app version
+    let linkedAuthors = 0;
+    try {
+      linkedAuthors = authors.backfillPaperAuthors(db);
+    } catch (error) {
+      console.warn('[authors] Could not link paper authors:', error.message);
     }
 
-    // Ensure schema exists
-    applySchema(this.db);
-    await this.save();
-
-    this.initialized = true;
-    return true;
+    return { from: migrated.from, applied: migrated.applied, linkedAuthors };
   }
 
   /**
-   * Save database to storage
+   * Write the library through the save adapter
+   * @returns {void|Promise<void>} Whatever the adapter returns
    */
-  async save() {
-    if (this.db) {
-      const data = this.db.export();
-      await this.saveToStorage(new Uint8Array(data));
-    }
+  save() {
+    if (!this.db) return;
+    return this.saveToStorage(new Uint8Array(this.db.export()));
   }
 
   /**
@@ -78,7 +135,6 @@ export class DatabaseManager {
     if (this.db) {
       this.db.close();
       this.db = null;
-      this.initialized = false;
     }
   }
 
@@ -87,7 +143,36 @@ export class DatabaseManager {
    * @returns {boolean}
    */
   isInitialized() {
-    return this.initialized;
+    return this.db !== null;
+  }
+
+  _lastInsertId() {
+    return this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SCHEMA VERSION & METADATA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // The version is set by the migration runner as each migration completes
+  getSchemaVersion() {
+    return getSchemaVersion(this.db);
+  }
+
+  getMetadata(key) {
+    try {
+      const stmt = this.db.prepare('SELECT value FROM metadata WHERE key = ?');
+      stmt.bind([key]);
+      const value = stmt.step() ? stmt.get()[0] : null;
+      stmt.free();
+      return value;
+    } catch {
+      return null;
+    }
+  }
+
+  setMetadata(key, value) {
+    this.db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', [key, value]);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -96,112 +181,52 @@ export class DatabaseManager {
 
   /**
    * Add a paper to the database
-   * @param {Partial<import('../types.js').Paper>} paper
+   * @param {Partial<import('../types.js').Paper>} paper - May carry
+   *   author_details (per author: affiliation, orcid, as from adsToPaper)
    * @returns {number} The new paper ID
    */
   addPaper(paper) {
-    const now = new Date().toISOString();
-
-    const stmt = this.db.prepare(`
-      INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal, abstract, keywords,
-                          pdf_path, text_path, bibtex, read_status, rating, added_date, modified_date,
-                          import_source, import_source_key, citation_count)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run([
-      paper.bibcode || null,
-      paper.doi || null,
-      paper.arxiv_id || null,
-      paper.title || 'Untitled',
-      JSON.stringify(paper.authors || []),
-      paper.year || null,
-      paper.journal || null,
-      paper.abstract || null,
-      JSON.stringify(paper.keywords || []),
-      paper.pdf_path || null,
-      paper.text_path || null,
-      paper.bibtex || null,
-      paper.read_status || 'unread',
-      paper.rating || 0,
-      now,
-      now,
-      paper.import_source || null,
-      paper.import_source_key || null,
-      paper.citation_count || 0
-    ]);
+    const stmt = this.db.prepare(PAPER_INSERT_SQL);
+    stmt.run(paperInsertValues(paper, new Date().toISOString()));
     stmt.free();
 
-    const result = this.db.exec('SELECT last_insert_rowid()');
-    return result[0].values[0][0];
+    const id = this._lastInsertId();
+    this._linkPaperAuthors(id, paper.authors, paper.author_details || null);
+    return id;
   }
 
   /**
-   * Bulk add papers
+   * Add papers in one go (BibTeX import), skipping papers already in the
+   * library by DOI, arXiv ID or title and year
    * @param {Partial<import('../types.js').Paper>[]} papers
-   * @param {function} [progressCallback]
-   * @returns {{inserted: Array, skipped: Array}}
+   * @param {function(Object): void} [progressCallback] - Called every 10 papers
+   * @returns {{inserted: Array<{id: number, title: string}>, skipped: Array<{paper: Object, reason: string}>}}
    */
   addPapersBulk(papers, progressCallback = null) {
     const now = new Date().toISOString();
     const inserted = [];
     const skipped = [];
+    const exists = (sql, params) => this.db.exec(sql, params)[0]?.values.length > 0;
 
-    const stmt = this.db.prepare(`
-      INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal,
-                          abstract, keywords, pdf_path, text_path, bibtex,
-                          read_status, added_date, modified_date, import_source, import_source_key)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const stmt = this.db.prepare(PAPER_INSERT_SQL);
 
     for (let i = 0; i < papers.length; i++) {
       const paper = papers[i];
 
-      // Check for duplicates
-      let isDuplicate = false;
-
-      if (paper.doi) {
-        const existing = this.db.exec(`SELECT id FROM papers WHERE doi = ?`, [paper.doi]);
-        if (existing.length > 0 && existing[0].values.length > 0) isDuplicate = true;
-      }
-
-      if (!isDuplicate && paper.arxiv_id) {
-        const existing = this.db.exec(`SELECT id FROM papers WHERE arxiv_id = ?`, [paper.arxiv_id]);
-        if (existing.length > 0 && existing[0].values.length > 0) isDuplicate = true;
-      }
-
-      if (!isDuplicate && paper.title && paper.year) {
-        const existing = this.db.exec(`SELECT id FROM papers WHERE title = ? AND year = ?`, [paper.title, paper.year]);
-        if (existing.length > 0 && existing[0].values.length > 0) isDuplicate = true;
-      }
+      const isDuplicate = (paper.doi && exists('SELECT id FROM papers WHERE doi = ?', [paper.doi])) ||
+        (paper.arxiv_id && exists('SELECT id FROM papers WHERE arxiv_id = ?', [paper.arxiv_id])) ||
+        (paper.title && paper.year && exists('SELECT id FROM papers WHERE title = ? AND year = ?', [paper.title, paper.year]));
 
       if (isDuplicate) {
         skipped.push({ paper, reason: 'duplicate' });
       } else {
         try {
-          stmt.run([
-            paper.bibcode || null,
-            paper.doi || null,
-            paper.arxiv_id || null,
-            paper.title || 'Untitled',
-            JSON.stringify(paper.authors || []),
-            paper.year || null,
-            paper.journal || null,
-            paper.abstract || null,
-            JSON.stringify(paper.keywords || []),
-            paper.pdf_path || null,
-            paper.text_path || null,
-            paper.bibtex || null,
-            paper.read_status || 'unread',
-            now,
-            now,
-            paper.import_source || null,
-            paper.import_source_key || null
-          ]);
+          stmt.run(paperInsertValues(paper, now));
           stmt.reset();
 
-          const result = this.db.exec('SELECT last_insert_rowid()');
-          inserted.push({ id: result[0].values[0][0], title: paper.title });
+          const id = this._lastInsertId();
+          this._linkPaperAuthors(id, paper.authors, paper.author_details || null);
+          inserted.push({ id, title: paper.title });
         } catch (e) {
           skipped.push({ paper, reason: e.message });
         }
@@ -227,16 +252,8 @@ export class DatabaseManager {
    * @returns {import('../types.js').Paper|null}
    */
   getPaper(id) {
-    const stmt = this.db.prepare('SELECT * FROM papers WHERE id = ?');
-    stmt.bind([id]);
-
-    if (stmt.step()) {
-      const paper = this._parsePaperRow(stmt.getAsObject());
-      stmt.free();
-      return paper;
-    }
-    stmt.free();
-    return null;
+    const paper = this._queryPaper('SELECT * FROM papers WHERE id = ?', [id]);
+    return paper ? this._attachPaperTags([paper])[0] : null;
   }
 
   /**
@@ -245,432 +262,1859 @@ export class DatabaseManager {
    * @returns {import('../types.js').Paper|null}
    */
   getPaperByBibcode(bibcode) {
-    const stmt = this.db.prepare('SELECT * FROM papers WHERE bibcode = ?');
-    stmt.bind([bibcode]);
-
-    if (stmt.step()) {
-      const paper = this._parsePaperRow(stmt.getAsObject());
-      stmt.free();
-      return paper;
-    }
-    stmt.free();
-    return null;
+    return this._queryPaper('SELECT * FROM papers WHERE bibcode = ?', [bibcode]);
   }
 
   /**
-   * Get all papers with optional filtering
-   * @param {import('../types.js').GetPapersOptions} [options={}]
+   * Get all papers with optional filtering and sorting
+   * @param {import('../types.js').GetPapersOptions} [options={}] - Also
+   *   tag (including nested tags) and trash: "exclude" papers in the Trash
+   *   (default), "only" or "include"
    * @returns {import('../types.js').Paper[]}
    */
   getAllPapers(options = {}) {
-    let query = `
-      SELECT p.*,
-        (SELECT COUNT(*) FROM text_embeddings e WHERE e.paper_id = p.id) > 0 AS is_indexed,
-        (SELECT COUNT(*) FROM annotations a WHERE a.paper_id = p.id) AS annotation_count,
-        (SELECT COUNT(*) FROM citations c WHERE c.paper_id = p.id) AS citation_count_db
-      FROM papers p`;
-    const conditions = [];
-    const values = [];
+    const { where, params } = buildPaperFilters(options);
+    let sql = `SELECT * FROM papers p${where}${buildPaperOrderBy(options)}`;
 
-    if (options.readStatus) {
-      conditions.push('p.read_status = ?');
-      values.push(options.readStatus);
+    if (options.limit) {
+      sql += ' LIMIT ?';
+      params.push(options.limit);
     }
 
-    if (options.collectionId) {
-      conditions.push('p.id IN (SELECT paper_id FROM paper_collections WHERE collection_id = ?)');
-      values.push(options.collectionId);
-    }
+    return this._queryPapers(sql, params);
+  }
 
-    if (options.search) {
-      conditions.push('(p.title LIKE ? OR p.authors LIKE ? OR p.abstract LIKE ?)');
-      const searchTerm = `%${options.search}%`;
-      values.push(searchTerm, searchTerm, searchTerm);
-    }
+  /**
+   * Get one page of the library list. Offset-based: the list is re-queried
+   * with the same filters and sort, so a page is a stable slice as long as
+   * the library doesn't change in between.
+   * @param {Object} [options={}] - getAllPapers options plus offset and limit
+   * @returns {{papers: Array, total: number, offset: number}}
+   */
+  getPapersPage(options = {}) {
+    const { where, params } = buildPaperFilters(options);
+    const offset = Math.max(0, parseInt(options.offset) || 0);
+    const limit = Math.max(1, parseInt(options.limit) || 200);
 
-    if (conditions.length > 0) {
-      query += ` WHERE ${conditions.join(' AND ')}`;
-    }
+    const total = this.db.exec(`SELECT COUNT(*) FROM papers p${where}`, params)[0]?.values[0][0] || 0;
 
-    query += ` ORDER BY ${options.orderBy || 'p.added_date'} ${options.order || 'DESC'}`;
+    const papers = this._queryPapers(
+      `SELECT * FROM papers p${where}${buildPaperOrderBy(options)} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
 
-    if (options.limit) {
-      query += ` LIMIT ${options.limit}`;
+    return { papers, total, offset };
+  }
+
+  /**
+   * Update paper fields. Metadata changes are recorded in the paper's edit
+   * history; locked fields are left alone unless the user makes the change.
+   * @param {number} id
+   * @param {Partial<import('../types.js').Paper>} updates - authors and
+   *   keywords as arrays. author_details goes with authors into the
+   *   paper's author links.
+   * @param {Object} [options]
+   * @param {string} [options.origin='user'] - Where the change comes from:
+   *   'user', 'ads-sync', 'llm-extract' or 'pdf-text'
+   * @returns {{fields: string[], skipped: string[]}} The fields updated and
+   *   the locked fields that were not
+   */
+  updatePaper(id, updates, options = {}) {
+    const origin = options.origin || history.USER_ORIGIN;
+    const { author_details: authorDetails = null, ...fieldUpdates } = updates;
+    delete fieldUpdates.id;
+    const { updates: allowed, skipped } = history.withoutLockedFields(this.db, id, fieldUpdates, origin);
+    const fields = Object.keys(allowed);
+    if (fields.length === 0) return { fields, skipped };
+
+    const values = fields.map(key =>
+      key === 'authors' || key === 'keywords' ? JSON.stringify(allowed[key]) : allowed[key]
+    );
+    values.push(new Date().toISOString(), id);
+
+    history.recordChanges(this.db, id, allowed, origin);
+    if ('authors' in allowed) {
+      this._linkPaperAuthors(id, allowed.authors, authorDetails);
     }
+    this.db.run(`UPDATE papers SET ${fields.map(key => `${key} = ?`).join(', ')}, modified_date = ? WHERE id = ?`, values);
+    return { fields, skipped };
+  }
 
-    const results = this.db.exec(query, values);
-    if (results.length === 0) return [];
+  /**
+   * Permanently delete a paper and everything attached to it. Files on disk
+   * are left to the caller.
+   * @param {number} id
+   * @returns {{papers: Object[], files: Object[]}} See purgePapers
+   */
+  deletePaper(id) {
+    return trash.purgePapers(this.db, [id]);
+  }
 
-    const columns = results[0].columns;
-    return results[0].values.map(row => {
-      const obj = {};
-      columns.forEach((col, i) => obj[col] = row[i]);
-      return this._parsePaperRow(obj);
-    });
+  /**
+   * Library statistics (papers in the Trash only count towards trash)
+   * @returns {{total: number, unread: number, reading: number, read: number, trash: number}}
+   */
+  getStats() {
+    const count = sql => this.db.exec(sql)[0]?.values[0][0] || 0;
+
+    const total = count('SELECT COUNT(*) FROM papers WHERE deleted_at IS NULL');
+    const unread = count('SELECT COUNT(*) FROM papers WHERE read_status = \'unread\' AND deleted_at IS NULL');
+    const reading = count('SELECT COUNT(*) FROM papers WHERE read_status = \'reading\' AND deleted_at IS NULL');
+    const read = count('SELECT COUNT(*) FROM papers WHERE read_status = \'read\' AND deleted_at IS NULL');
+
+    return { total, unread, reading, read, trash: trash.getTrashCount(this.db) };
   }
 
   /**
-   * Update a paper
-   * @param {number} id
-   * @param {Partial<import('../types.js').Paper>} updates
-   * @param {boolean} [save=true]
+   * Which bibcodes are in the library (outside the Trash)
+   * @param {string[]} bibcodes
+   * @returns {string[]}
    */
-  updatePaper(id, updates, save = true) {
-    const fields = [];
-    const values = [];
+  checkBibcodesInLibrary(bibcodes) {
+    if (!bibcodes || bibcodes.length === 0) return [];
+
+    const placeholders = bibcodes.map(() => '?').join(',');
+    const results = this.db.exec(
+      `SELECT bibcode FROM papers WHERE bibcode IN (${placeholders}) AND deleted_at IS NULL`,
+      bibcodes
+    );
+    return (results[0]?.values || []).map(row => row[0]);
+  }
 
-    for (const [key, value] of Object.entries(updates)) {
-      if (key === 'authors' || key === 'keywords') {
-        fields.push(`${key} = ?`);
-        values.push(JSON.stringify(value));
-      } else {
-        fields.push(`${key} = ?`);
-        values.push(value);
-      }
-    }
+  _queryPaper(sql, params) {
+    const stmt = this.db.prepare(sql);
+    stmt.bind(params);
+    const paper = stmt.step() ? parsePaperRow(stmt.getAsObject()) : null;
+    stmt.free();
+    return paper;
+  }
+
+  _queryPapers(sql, params) {
+    const stmt = this.db.prepare(sql);
+    stmt.bind(params);
 
-    fields.push('modified_date = ?');
-    values.push(new Date().toISOString());
-    values.push(id);
+    const papers = [];
+    while (stmt.step()) {
+      papers.push(parsePaperRow(stmt.getAsObject()));
+    }
+    stmt.free();
 
-    this.db.run(`UPDATE papers SET ${fields.join(', ')} WHERE id = ?`, values);
+    return this._attachPaperTags(papers);
   }
 
   /**
-   * Delete a paper
-   * @param {number} id
+   * Link a paper's author list to authors (see authors.js). A failure is
+   * logged; the paper itself is already written.
    */
-  deletePaper(id) {
-    this.db.run('DELETE FROM refs WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM citations WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM paper_collections WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM annotations WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM paper_summaries WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM paper_qa WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM text_embeddings WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM attachments WHERE paper_id = ?', [id]);
-    this.db.run('DELETE FROM papers WHERE id = ?', [id]);
+  _linkPaperAuthors(paperId, names, details) {
+    try {
+      authors.syncPaperAuthors(this.db, paperId, Array.isArray(names) ? names : [], details);
+    } catch (error) {
+      console.warn(`[authors] Could not link authors of paper ${paperId}:`, error.message);
+    }
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
-  // COLLECTION OPERATIONS
+  // TRASH (see trash.js)
   // ═══════════════════════════════════════════════════════════════════════════
 
   /**
-   * Create a collection
-   * @param {string} name
-   * @param {number|null} [parentId=null]
-   * @param {boolean} [isSmart=false]
-   * @param {string|null} [query=null]
-   * @returns {number}
+   * Move papers to the Trash. They keep their files, notes, tags and collections.
+   * @param {number[]} ids
+   * @returns {number} Papers moved
    */
-  createCollection(name, parentId = null, isSmart = false, query = null) {
-    const now = new Date().toISOString();
-    this.db.run(`
-      INSERT INTO collections (name, parent_id, is_smart, query, created_date)
-      VALUES (?, ?, ?, ?, ?)
-    `, [name, parentId, isSmart ? 1 : 0, query, now]);
+  trashPapers(ids) {
+    return trash.trashPapers(this.db, ids);
+  }
 
-    const result = this.db.exec('SELECT last_insert_rowid()');
-    return result[0].values[0][0];
+  /**
+   * Take papers back out of the Trash
+   * @param {number[]} ids
+   * @returns {number} Papers restored
+   */
+  restorePapers(ids) {
+    return trash.restorePapers(this.db, ids);
   }
 
   /**
-   * Get all collections
-   * @returns {import('../types.js').Collection[]}
+   * Permanently delete papers (usually from the Trash)
+   * @param {number[]} ids
+   * @returns {{papers: Object[], files: Object[]}} Deleted papers and the
+   *   paper_files records whose files are no longer used, to delete from disk
    */
-  getCollections() {
-    const results = this.db.exec(`
-      SELECT c.*, COUNT(pc.paper_id) as paper_count
-      FROM collections c
-      LEFT JOIN paper_collections pc ON c.id = pc.collection_id
-      GROUP BY c.id
-      ORDER BY c.name
-    `);
-    if (results.length === 0) return [];
-
-    const columns = results[0].columns;
-    return results[0].values.map(row => {
-      const obj = {};
-      columns.forEach((col, i) => obj[col] = row[i]);
-      obj.is_smart = obj.is_smart === 1;
-      return obj;
-    });
+  purgePapers(ids) {
+    return trash.purgePapers(this.db, ids);
+  }
+
+  getTrashedPaperIds() {
+    return trash.getTrashedPaperIds(this.db);
+  }
+
+  getTrashCount() {
+    return trash.getTrashCount(this.db);
   }
 
   /**
-   * Add paper to collection
-   * @param {number} paperId
-   * @param {number} collectionId
+   * Papers that have been in the Trash longer than the library's retention period
+   * @returns {number[]}
    */
-  addPaperToCollection(paperId, collectionId) {
-    this.db.run(`
-      INSERT OR IGNORE INTO paper_collections (paper_id, collection_id)
-      VALUES (?, ?)
-    `, [paperId, collectionId]);
+  getExpiredTrashIds() {
+    return trash.getExpiredTrashIds(this.db);
+  }
+
+  getTrashRetentionDays() {
+    return trash.getTrashRetentionDays(this.db);
+  }
+
+  setTrashRetentionDays(days) {
+    return trash.setTrashRetentionDays(this.db, days);
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EDIT HISTORY (see history.js)
+  // ═══════════════════════════════════════════════════════════════════════════
+
   /**
-   * Remove paper from collection
+   * A paper's recorded metadata changes (newest first) and locked fields
    * @param {number} paperId
-   * @param {number} collectionId
+   * @returns {{history: Object[], lockedFields: string[]}}
    */
-  removePaperFromCollection(paperId, collectionId) {
-    this.db.run(`
-      DELETE FROM paper_collections WHERE paper_id = ? AND collection_id = ?
-    `, [paperId, collectionId]);
+  getPaperHistory(paperId) {
+    return {
+      history: history.getPaperHistory(this.db, paperId),
+      lockedFields: history.getLockedFields(this.db, paperId)
+    };
   }
 
   /**
-   * Delete collection
-   * @param {number} collectionId
+   * Put a field back to its value before a recorded change. The revert is
+   * itself recorded as a user change.
+   * @param {number} entryId - paper_history row ID
+   * @returns {number|null} The paper ID, or null if the entry doesn't exist
    */
-  deleteCollection(collectionId) {
-    this.db.run('DELETE FROM paper_collections WHERE collection_id = ?', [collectionId]);
-    this.db.run('DELETE FROM collections WHERE id = ?', [collectionId]);
+  revertPaperField(entryId) {
+    const revert = history.getRevertUpdate(this.db, entryId);
+    if (!revert) return null;
+    this.updatePaper(revert.paperId, revert.updates, { origin: history.USER_ORIGIN });
+    return revert.paperId;
+  }
+
+  /**
+   * Lock a field so only the user can change it, or unlock it
+   * @param {number} paperId
+   * @param {string} field
+   * @param {boolean} locked
+   * @returns {string[]} The paper's locked fields
+   */
+  setPaperFieldLocked(paperId, field, locked) {
+    return history.setFieldLocked(this.db, paperId, field, locked);
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
-  // REFERENCES & CITATIONS
+  // AUTHORS (see authors.js)
   // ═══════════════════════════════════════════════════════════════════════════
 
   /**
-   * Add references for a paper
+   * A paper's authors in order, linked to author IDs
    * @param {number} paperId
-   * @param {Array} refs
+   * @returns {Object[]}
    */
-  addReferences(paperId, refs) {
-    this.db.run('DELETE FROM refs WHERE paper_id = ?', [paperId]);
-
-    if (!refs || refs.length === 0) return;
+  getPaperAuthors(paperId) {
+    return authors.getPaperAuthors(this.db, paperId);
+  }
 
-    const stmt = this.db.prepare(`
-      INSERT INTO refs (paper_id, ref_bibcode, ref_title, ref_authors, ref_year)
-      VALUES (?, ?, ?, ?, ?)
-    `);
+  /**
+   * An author with their library papers, co-authors and possible namesakes
+   * @param {number} authorId
+   * @returns {Object|null}
+   */
+  getAuthor(authorId) {
+    return authors.getAuthor(this.db, authorId);
+  }
 
-    for (const ref of refs) {
-      if (ref.bibcode) {
-        stmt.run([paperId, ref.bibcode, ref.title, ref.authors, ref.year]);
-      }
-    }
-    stmt.free();
+  /**
+   * Merge authors that are the same person into one
+   * @param {number} keepId
+   * @param {number[]} mergeIds
+   */
+  mergeAuthors(keepId, mergeIds) {
+    authors.mergeAuthors(this.db, keepId, mergeIds);
   }
 
   /**
-   * Add citations for a paper
-   * @param {number} paperId
-   * @param {Array} citations
+   * IDs of the papers by an author, matched by ORCID iD or by name however
+   * it is written
+   * @param {string} query
+   * @returns {Set<number>}
    */
-  addCitations(paperId, citations) {
-    this.db.run('DELETE FROM citations WHERE paper_id = ?', [paperId]);
+  findPaperIdsByAuthor(query) {
+    return authors.findPaperIdsByAuthor(this.db, query);
+  }
 
-    if (!citations || citations.length === 0) return;
+  /**
+   * Link papers' authors again after their rows were replaced or restored
+   * outside updatePaper
+   * @param {number[]} paperIds
+   */
+  relinkPaperAuthors(paperIds) {
+    for (const id of paperIds) {
+      const paper = this.getPaper(id);
+      if (paper) authors.syncPaperAuthors(this.db, id, paper.authors);
+    }
+    authors.backfillPaperAuthors(this.db);
+  }
 
-    const stmt = this.db.prepare(`
-      INSERT INTO citations (paper_id, citing_bibcode, citing_title, citing_authors, citing_year)
-      VALUES (?, ?, ?, ?, ?)
-    `);
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DUPLICATES (see duplicates.js)
+  // ═══════════════════════════════════════════════════════════════════════════
 
-    for (const cit of citations) {
-      if (cit.bibcode) {
-        stmt.run([paperId, cit.bibcode, cit.title, cit.authors, cit.year]);
-      }
+  /**
+   * Find groups of papers that are the same work
+   * @returns {Array<{papers: Paper[], reasons: string[], keepId: number}>}
+   *   Each paper has file_count set, to help choose which to keep
+   */
+  findDuplicatePapers() {
+    const fileCounts = new Map();
+    const results = this.db.exec('SELECT paper_id, COUNT(*) FROM paper_files GROUP BY paper_id');
+    for (const [paperId, count] of results[0]?.values || []) {
+      fileCounts.set(paperId, count);
     }
-    stmt.free();
+
+    return duplicates.findDuplicates(this.db).map(group => ({
+      papers: group.paperIds.map(id => ({ ...this.getPaper(id), file_count: fileCounts.get(id) || 0 })),
+      reasons: group.reasons,
+      keepId: group.keepId
+    }));
   }
 
   /**
-   * Get references for a paper
-   * @param {number} paperId
-   * @returns {Array}
+   * Merge duplicate papers into one, keeping an undo record
+   * @param {number} keepId - Paper to keep
+   * @param {number[]} mergeIds - Papers to merge into it (deleted)
+   * @returns {number} Merge ID
    */
-  getReferences(paperId) {
-    const results = this.db.exec('SELECT * FROM refs WHERE paper_id = ?', [paperId]);
-    if (results.length === 0) return [];
-
-    const columns = results[0].columns;
-    return results[0].values.map(row => {
-      const obj = {};
-      columns.forEach((col, i) => obj[col] = row[i]);
-      return obj;
-    });
+  mergePapers(keepId, mergeIds) {
+    const mergeId = duplicates.mergePapers(this.db, keepId, mergeIds);
+    this.relinkPaperAuthors([keepId]);
+    return mergeId;
   }
 
   /**
-   * Get citations for a paper
-   * @param {number} paperId
+   * Recorded merges that can be undone, newest first
    * @returns {Array}
    */
-  getCitations(paperId) {
-    const results = this.db.exec('SELECT * FROM citations WHERE paper_id = ?', [paperId]);
-    if (results.length === 0) return [];
+  getPaperMerges() {
+    return duplicates.getMerges(this.db);
+  }
 
-    const columns = results[0].columns;
-    return results[0].values.map(row => {
-      const obj = {};
-      columns.forEach((col, i) => obj[col] = row[i]);
-      return obj;
-    });
+  /**
+   * Undo a merge, restoring the merged papers
+   * @param {number} mergeId
+   * @returns {number[]} IDs of the papers involved, kept paper first
+   */
+  undoPaperMerge(mergeId) {
+    const paperIds = duplicates.undoMerge(this.db, mergeId);
+    this.relinkPaperAuthors(paperIds);
+    return paperIds;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
-  // ANNOTATIONS
+  // COLLECTION OPERATIONS
   // ═══════════════════════════════════════════════════════════════════════════
 
   /**
-   * Get annotations for a paper
-   * @param {number} paperId
-   * @returns {import('../types.js').Annotation[]}
+   * Get a single collection by ID
+   * @param {number} collectionId
+   * @returns {Object|null}
    */
-  getAnnotations(paperId) {
-    const stmt = this.db.prepare(`
-      SELECT * FROM annotations WHERE paper_id = ? ORDER BY page_number, id
+  getCollection(collectionId) {
+    const result = this.db.exec(
+      'SELECT id, name, parent_id, is_smart, query, created_date FROM collections WHERE id = ?',
+      [collectionId]
+    );
+    const row = result[0]?.values[0];
+    return row ? rowToCollection(row) : null;
+  }
+
+  /**
+   * Get all collections with the number of papers in each. Smart collection
+   * counts are evaluated live; one whose query no longer parses gets a
+   * paper_count of 0 and `query_error`.
+   * @param {Object} [options]
+   * @param {function(Object): (Function|null)} [options.textMatcher] - See getSmartCollectionPapers
+   * @returns {Object[]} Collections ordered by name
+   */
+  getCollections(options = {}) {
+    const result = this.db.exec(`
+      SELECT c.id, c.name, c.parent_id, c.is_smart, c.query, c.created_date,
+             (SELECT COUNT(*) FROM paper_collections pc JOIN papers p ON p.id = pc.paper_id
+              WHERE pc.collection_id = c.id AND p.deleted_at IS NULL) as paper_count
+      FROM collections c
+      ORDER BY c.name
     `);
-    stmt.bind([paperId]);
 
-    const annotations = [];
-    while (stmt.step()) {
-      const obj = stmt.getAsObject();
-      if (obj.selection_rects) {
+    // Load papers once for all smart collections
+    let papers = null;
+    return (result[0]?.values || []).map(row => {
+      const collection = rowToCollection(row);
+      collection.paper_count = row[6];
+      if (collection.is_smart) {
         try {
-          obj.selection_rects = JSON.parse(obj.selection_rects);
+          papers = papers || this.getAllPapers();
+          collection.paper_count = this._matchLibraryQuery(collection.query, papers, options.textMatcher).length;
         } catch (e) {
-          obj.selection_rects = [];
+          collection.paper_count = 0;
+          collection.query_error = e.message;
         }
       }
-      annotations.push(obj);
-    }
-    stmt.free();
-    return annotations;
+      return collection;
+    });
   }
 
   /**
-   * Create annotation
-   * @param {number} paperId
-   * @param {Object} data
-   * @returns {import('../types.js').Annotation}
+   * Create a collection
+   * @param {string} name
+   * @param {number|null} [parentId] - Parent collection for nesting
+   * @param {boolean} [isSmart] - Membership computed from `query`
+   * @param {string|null} [query] - Library query (smart collections only)
+   * @returns {number} New collection ID
+   * @throws {Error} If the parent is missing or a smart collection
+   * @throws {QuerySyntaxError} If a smart collection's query is malformed
    */
-  createAnnotation(paperId, data) {
-    const now = new Date().toISOString();
-
-    this.db.run(`
-      INSERT INTO annotations (paper_id, page_number, selection_text, selection_rects, note_content, color, pdf_source, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [
-      paperId,
-      data.page_number || 1,
-      data.selection_text || null,
-      typeof data.selection_rects === 'string' ? data.selection_rects : JSON.stringify(data.selection_rects || []),
-      data.note_content || '',
-      data.color || '#ffeb3b',
-      data.pdf_source || null,
-      now,
-      now
-    ]);
-
-    const result = this.db.exec('SELECT last_insert_rowid()');
-    const id = result[0].values[0][0];
-
-    // Return created annotation
-    const stmt = this.db.prepare('SELECT * FROM annotations WHERE id = ?');
-    stmt.bind([id]);
-    if (stmt.step()) {
-      const obj = stmt.getAsObject();
-      if (obj.selection_rects) {
-        try {
-          obj.selection_rects = JSON.parse(obj.selection_rects);
-        } catch (e) {
-          obj.selection_rects = [];
-        }
-      }
-      stmt.free();
-      return obj;
-    }
-    stmt.free();
-    return null;
+  createCollection(name, parentId = null, isSmart = false, query = null) {
+    this._validateCollectionParent(parentId);
+    if (isSmart) parseLibraryQuery(query || '');
+
+    this.db.run(
+      'INSERT INTO collections (name, parent_id, is_smart, query, created_date) VALUES (?, ?, ?, ?, ?)',
+      [name, parentId, isSmart ? 1 : 0, isSmart ? query : null, new Date().toISOString()]
+    );
+    return this._lastInsertId();
   }
 
   /**
-   * Update annotation
-   * @param {number} id
-   * @param {Object} data
+   * Rename, move, or change the query of a collection
+   * @param {number} collectionId
+   * @param {Object} updates
+   * @param {string} [updates.name]
+   * @param {number|null} [updates.parentId]
+   * @param {string} [updates.query] - Ignored for regular collections
+   * @throws {Error} If the collection is missing or can't move there
+   * @throws {QuerySyntaxError} If the new query is malformed
    */
-  updateAnnotation(id, data) {
+  updateCollection(collectionId, updates) {
+    const collection = this.getCollection(collectionId);
+    if (!collection) throw new Error('Collection not found');
+
     const fields = [];
     const values = [];
 
-    if (data.note_content !== undefined) {
-      fields.push('note_content = ?');
-      values.push(data.note_content);
-    }
-    if (data.color !== undefined) {
-      fields.push('color = ?');
-      values.push(data.color);
+    if (updates.name !== undefined) {
+      fields.push('name = ?');
+      values.push(updates.name);
     }
-    if (data.selection_text !== undefined) {
-      fields.push('selection_text = ?');
-      values.push(data.selection_text);
+    if (updates.parentId !== undefined) {
+      this._validateCollectionParent(updates.parentId, collectionId);
+      fields.push('parent_id = ?');
+      values.push(updates.parentId);
     }
-    if (data.selection_rects !== undefined) {
-      fields.push('selection_rects = ?');
-      values.push(typeof data.selection_rects === 'string' ? data.selection_rects : JSON.stringify(data.selection_rects));
+    if (updates.query !== undefined && collection.is_smart) {
+      parseLibraryQuery(updates.query || '');
+      fields.push('query = ?');
+      values.push(updates.query);
     }
 
     if (fields.length === 0) return;
 
-    fields.push('updated_at = ?');
-    values.push(new Date().toISOString());
-    values.push(id);
-
-    this.db.run(`UPDATE annotations SET ${fields.join(', ')} WHERE id = ?`, values);
+    values.push(collectionId);
+    this.db.run(`UPDATE collections SET ${fields.join(', ')} WHERE id = ?`, values);
   }
 
   /**
-   * Delete annotation
-   * @param {number} id
+   * Delete a collection. Its papers stay in the library; child collections
+   * move up to the deleted collection's parent.
+   * @param {number} collectionId
    */
-  deleteAnnotation(id) {
-    this.db.run('DELETE FROM annotations WHERE id = ?', [id]);
+  deleteCollection(collectionId) {
+    const result = this.db.exec('SELECT parent_id FROM collections WHERE id = ?', [collectionId]);
+    const parentId = result[0]?.values[0]?.[0] ?? null;
+    this.db.run('UPDATE collections SET parent_id = ? WHERE parent_id = ?', [parentId, collectionId]);
+    this.db.run('DELETE FROM paper_collections WHERE collection_id = ?', [collectionId]);
+    this.db.run('DELETE FROM collections WHERE id = ?', [collectionId]);
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // STATISTICS
-  // ═══════════════════════════════════════════════════════════════════════════
+  addPaperToCollection(paperId, collectionId) {
+    this.db.run(
+      'INSERT OR IGNORE INTO paper_collections (paper_id, collection_id) VALUES (?, ?)',
+      [paperId, collectionId]
+    );
+  }
+
+  removePaperFromCollection(paperId, collectionId) {
+    this.db.run(
+      'DELETE FROM paper_collections WHERE paper_id = ? AND collection_id = ?',
+      [paperId, collectionId]
+    );
+  }
 
   /**
-   * Get library statistics
-   * @returns {{total: number, unread: number, reading: number, read: number}}
+   * Papers in a regular collection (outside the Trash), newest first
+   * @param {number} collectionId
+   * @returns {import('../types.js').Paper[]}
    */
-  getStats() {
-    const totalResult = this.db.exec('SELECT COUNT(*) FROM papers');
-    const total = totalResult[0]?.values[0][0] || 0;
-
-    const unreadResult = this.db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'unread'");
-    const unread = unreadResult[0]?.values[0][0] || 0;
-
-    const readingResult = this.db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'reading'");
-    const reading = readingResult[0]?.values[0][0] || 0;
-
-    const readResult = this.db.exec("SELECT COUNT(*) FROM papers WHERE read_status = 'read'");
-    const read = readResult[0]?.values[0][0] || 0;
-
-    return { total, unread, reading, read };
+  getPapersInCollection(collectionId) {
+    return this._queryPapers(`
+      SELECT p.* FROM papers p
+      JOIN paper_collections pc ON p.id = pc.paper_id
+      WHERE pc.collection_id = ? AND p.deleted_at IS NULL
+      ORDER BY p.added_date DESC
+    `, [collectionId]);
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════
-  // HELPERS
-  // ═══════════════════════════════════════════════════════════════════════════
+  /**
+   * Papers matching a smart collection's query (outside the Trash), newest
+   * first like regular collections. Free-text terms match title, authors and
+   * abstract unless the platform has a better index.
+   * @param {number} collectionId
+   * @param {Object} [options]
+   * @param {function(Object): (Function|null)} [options.textMatcher] - Given the
+   *   parsed query, returns (textNode, paper) => boolean for its free-text terms
+   * @returns {import('../types.js').Paper[]} Empty for a missing or invalid query
+   */
+  getSmartCollectionPapers(collectionId, options = {}) {
+    const collection = this.getCollection(collectionId);
+    if (!collection?.is_smart || !collection.query) return [];
+
+    try {
+      return this._matchLibraryQuery(collection.query, this.getAllPapers(), options.textMatcher);
+    } catch (e) {
+      console.warn(`Smart collection ${collectionId} has an invalid query:`, e.message);
+      return [];
+    }
+  }
 
   /**
-   * Parse a paper row from the database
-   * @private
+   * Build the lookup context a parsed library query needs beyond the paper
+   * rows (see matchesQuery in search/query-parser.js)
+   * @param {Object} ast - Parsed query
+   * @returns {{collections?: Map<number, string[]>, pdfPaperIds?: Set<number>,
+   *   matchAuthor?: Function}}
    */
-  _parsePaperRow(row) {
-    return {
-      ...row,
-      authors: row.authors ? JSON.parse(row.authors) : [],
-      keywords: row.keywords ? JSON.parse(row.keywords) : []
+  buildQueryContext(ast) {
+    const context = {};
+
+    if (queryUsesField(ast, 'author')) {
+      const paperIdsByName = new Map();
+      context.matchAuthor = (node, paper) => {
+        if (!paperIdsByName.has(node.value)) {
+          paperIdsByName.set(node.value, this.findPaperIdsByAuthor(node.value));
+        }
+        return paperIdsByName.get(node.value).has(paper.id);
+      };
+    }
+
+    if (queryUsesField(ast, 'collection')) {
+      context.collections = new Map();
+      const results = this.db.exec(`
+        SELECT pc.paper_id, c.name FROM paper_collections pc
+        JOIN collections c ON c.id = pc.collection_id
+      `);
+      for (const [paperId, name] of results[0]?.values || []) {
+        if (!context.collections.has(paperId)) context.collections.set(paperId, []);
+        context.collections.get(paperId).push(name);
+      }
+    }
+
+    if (queryUsesField(ast, 'has')) {
+      const results = this.db.exec(`
+        SELECT DISTINCT paper_id FROM paper_files WHERE file_role = 'pdf' AND status = 'ready'
+      `);
+      context.pdfPaperIds = new Set((results[0]?.values || []).map(row => row[0]));
+    }
+
+    return context;
+  }
+
+  /**
+   * @param {string} query - Library query
+   * @param {Object[]} papers - Candidates
+   * @param {function(Object): (Function|null)} [textMatcher]
+   * @returns {Object[]} The candidates matching the query
+   * @throws {QuerySyntaxError}
+   */
+  _matchLibraryQuery(query, papers, textMatcher) {
+    const ast = parseLibraryQuery(query || '');
+    if (!ast) return [];
+
+    const context = this.buildQueryContext(ast);
+    const matchText = textMatcher?.(ast);
+    if (matchText) context.matchText = matchText;
+
+    return papers.filter(paper => matchesQuery(ast, paper, context));
+  }
+
+  /**
+   * Check that a collection can live under the given parent.
+   * Smart collections can't hold children: their membership is computed, so
+   * nesting under them would be meaningless.
+   * @param {number|null} parentId - Proposed parent
+   * @param {number|null} [collectionId] - Collection being moved (null when creating)
+   * @throws {Error} If the parent is missing, smart, or a descendant of the collection
+   */
+  _validateCollectionParent(parentId, collectionId = null) {
+    if (parentId === null || parentId === undefined) return;
+
+    let ancestor = this.getCollection(parentId);
+    if (!ancestor) throw new Error('Parent collection not found');
+    if (ancestor.is_smart) throw new Error('Collections cannot be nested inside a smart collection');
+
+    while (ancestor) {
+      if (collectionId !== null && ancestor.id === collectionId) {
+        throw new Error('A collection cannot be moved inside itself');
+      }
+      ancestor = ancestor.parent_id ? this.getCollection(ancestor.parent_id) : null;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TAG OPERATIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  // Tags are stored by full path ("methods/mcmc"); the hierarchy comes from the
+  // "/" separators, and every ancestor path exists as its own tag.
+
+  /**
+   * Get a tag by ID
+   * @param {number} tagId
+   * @returns {{id: number, name: string, color: string|null, created_date: string}|null}
+   */
+  getTag(tagId) {
+    return this._findTag('SELECT id, name, color, created_date FROM tags WHERE id = ?', [tagId]);
+  }
+
+  /**
+   * Get a tag by full path (case-insensitive)
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getTagByName(name) {
+    return this._findTag('SELECT id, name, color, created_date FROM tags WHERE name = ?', [name]);
+  }
+
+  /**
+   * Get all tags with the number of papers tagged directly with each
+   * @returns {Array<{id: number, name: string, color: string|null, created_date: string, paper_count: number}>}
+   *   Ordered by path, so parents come before their children
+   */
+  getTags() {
+    const result = this.db.exec(`
+      SELECT t.id, t.name, t.color, t.created_date,
+             (SELECT COUNT(*) FROM paper_tags pt JOIN papers p ON p.id = pt.paper_id
+              WHERE pt.tag_id = t.id AND p.deleted_at IS NULL) as paper_count
+      FROM tags t
+      ORDER BY t.name COLLATE NOCASE
+    `);
+
+    return (result[0]?.values || []).map(row => ({
+      id: row[0],
+      name: row[1],
+      color: row[2],
+      created_date: row[3],
+      paper_count: row[4]
+    }));
+  }
+
+  /**
+   * Create a tag (and its ancestors). Creating an existing tag updates its color.
+   * @param {string} name - Tag path, e.g. "methods/mcmc"
+   * @param {string|null} [color] - CSS color
+   * @returns {number} Tag ID
+   */
+  createTag(name, color = null) {
+    const id = this._ensureTag(name, color);
+    if (color) this.db.run('UPDATE tags SET color = ? WHERE id = ?', [color, id]);
+    return id;
+  }
+
+  /**
+   * Rename, move, or recolor a tag. Renaming carries nested tags along:
+   * "methods" -> "techniques" turns "methods/mcmc" into "techniques/mcmc".
+   * @param {number} tagId
+   * @param {Object} updates
+   * @param {string} [updates.name] - New full path
+   * @param {string|null} [updates.color]
+   * @throws {Error} If the tag is missing or the new path is taken
+   */
+  updateTag(tagId, updates) {
+    const tag = this.getTag(tagId);
+    if (!tag) throw new Error('Tag not found');
+
+    if (updates.name !== undefined) {
+      const name = normalizeTagName(updates.name);
+      if (name.toLowerCase().startsWith(tag.name.toLowerCase() + '/')) {
+        throw new Error('A tag cannot be moved inside itself');
+      }
+
+      const result = this.db.exec('SELECT id, name FROM tags WHERE name LIKE ? ESCAPE \'\\\'',
+        [`${escapeLike(tag.name)}/%`]);
+      const descendants = (result[0]?.values || []).map(([id, path]) => ({ id, name: path }));
+
+      if (name.toLowerCase() !== tag.name.toLowerCase()) {
+        for (const path of [name, ...descendants.map(d => name + d.name.slice(tag.name.length))]) {
+          const existing = this.getTagByName(path);
+          if (existing) throw new Error(`A tag named "${existing.name}" already exists`);
+        }
+      }
+
+      this.db.run('UPDATE tags SET name = ? WHERE id = ?', [name, tagId]);
+      for (const descendant of descendants) {
+        this.db.run('UPDATE tags SET name = ? WHERE id = ?',
+          [name + descendant.name.slice(tag.name.length), descendant.id]);
+      }
+
+      const parent = name.split('/').slice(0, -1).join('/');
+      if (parent) this._ensureTag(parent);
+    }
+
+    if (updates.color !== undefined) {
+      this.db.run('UPDATE tags SET color = ? WHERE id = ?', [updates.color || null, tagId]);
+    }
+  }
+
+  /**
+   * Delete a tag and its nested tags. Papers stay in the library.
+   * @param {number} tagId
+   */
+  deleteTag(tagId) {
+    const tag = this.getTag(tagId);
+    if (!tag) return;
+
+    const where = 'id = ? OR name LIKE ? ESCAPE \'\\\'';
+    const params = [tagId, `${escapeLike(tag.name)}/%`];
+    this.db.run(`DELETE FROM paper_tags WHERE tag_id IN (SELECT id FROM tags WHERE ${where})`, params);
+    this.db.run(`DELETE FROM tags WHERE ${where}`, params);
+  }
+
+  /**
+   * Tag papers, creating the tag if needed
+   * @param {number[]} paperIds
+   * @param {string} name - Tag path
+   * @returns {number} Tag ID
+   */
+  tagPapers(paperIds, name) {
+    const tagId = this._ensureTag(name);
+    for (const paperId of paperIds) {
+      this.db.run('INSERT OR IGNORE INTO paper_tags (paper_id, tag_id) VALUES (?, ?)', [paperId, tagId]);
+    }
+    return tagId;
+  }
+
+  /**
+   * Remove a tag from papers. Nested tags are left alone.
+   * @param {number[]} paperIds
+   * @param {number} tagId
+   */
+  untagPapers(paperIds, tagId) {
+    for (const paperId of paperIds) {
+      this.db.run('DELETE FROM paper_tags WHERE paper_id = ? AND tag_id = ?', [paperId, tagId]);
+    }
+  }
+
+  _findTag(sql, params) {
+    const row = this.db.exec(sql, params)[0]?.values[0];
+    return row ? { id: row[0], name: row[1], color: row[2], created_date: row[3] } : null;
+  }
+
+  /**
+   * Get a tag's ID, creating it and any missing ancestors
+   * @param {string} name - Tag path
+   * @param {string|null} [color] - Color for the tag itself if it is created
+   * @returns {number} Tag ID
+   */
+  _ensureTag(name, color = null) {
+    const segments = normalizeTagName(name).split('/');
+    const now = new Date().toISOString();
+    let id = null;
+
+    for (let i = 1; i <= segments.length; i++) {
+      const path = segments.slice(0, i).join('/');
+      const existing = this.getTagByName(path);
+      if (existing) {
+        id = existing.id;
+        continue;
+      }
+      this.db.run('INSERT INTO tags (name, color, created_date) VALUES (?, ?, ?)',
+        [path, i === segments.length ? color : null, now]);
+      id = this._lastInsertId();
+    }
+
+    return id;
+  }
+
+  /**
+   * Set `tags` (full paths) on paper objects
+   * @param {Object[]} papers
+   * @returns {Object[]} The same papers
+   */
+  _attachPaperTags(papers) {
+    if (papers.length === 0) return papers;
+
+    // A single paper (detail view) gets its own query; lists read the whole
+    // junction table once, which stays small next to the papers themselves
+    const single = papers.length === 1;
+    const results = this.db.exec(`
+      SELECT pt.paper_id, t.name FROM paper_tags pt
+      JOIN tags t ON t.id = pt.tag_id
+      ${single ? 'WHERE pt.paper_id = ?' : ''}
+      ORDER BY t.name COLLATE NOCASE
+    `, single ? [papers[0].id] : []);
+
+    const tagsByPaper = new Map();
+    for (const [paperId, name] of results[0]?.values || []) {
+      if (!tagsByPaper.has(paperId)) tagsByPaper.set(paperId, []);
+      tagsByPaper.get(paperId).push(name);
+    }
+
+    for (const paper of papers) {
+      paper.tags = tagsByPaper.get(paper.id) || [];
+    }
+    return papers;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // ANNOTATION OPERATIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Get a paper's annotations, by page
+   * @param {number} paperId
+   * @param {string|null} [pdfSource] - Only annotations on this PDF
+   * @returns {import('../types.js').Annotation[]} selection_rects parsed
+   */
+  getAnnotations(paperId, pdfSource = null) {
+    let sql = 'SELECT * FROM annotations WHERE paper_id = ?';
+    const params = [paperId];
+
+    if (pdfSource) {
+      sql += ' AND pdf_source = ?';
+      params.push(pdfSource);
+    }
+
+    sql += ' ORDER BY page_number, id';
+
+    const stmt = this.db.prepare(sql);
+    stmt.bind(params);
+
+    const annotations = [];
+    while (stmt.step()) {
+      annotations.push(parseAnnotationRow(stmt.getAsObject()));
+    }
+    stmt.free();
+
+    return annotations;
+  }
+
+  /**
+   * Get an annotation by ID
+   * @param {number} id
+   * @returns {import('../types.js').Annotation|null}
+   */
+  getAnnotation(id) {
+    const stmt = this.db.prepare('SELECT * FROM annotations WHERE id = ?');
+    stmt.bind([id]);
+    const annotation = stmt.step() ? parseAnnotationRow(stmt.getAsObject()) : null;
+    stmt.free();
+    return annotation;
+  }
+
+  /**
+   * Count a paper's annotations per PDF source
+   * @param {number} paperId
+   * @returns {Object<string, number>} e.g. { EPRINT_PDF: 3, PUB_PDF: 1 };
+   *   annotations without a source count as "unknown"
+   */
+  getAnnotationCountsBySource(paperId) {
+    const stmt = this.db.prepare(`
+      SELECT pdf_source, COUNT(*) as count
+      FROM annotations
+      WHERE paper_id = ?
+      GROUP BY pdf_source
+    `);
+    stmt.bind([paperId]);
+
+    const counts = {};
+    while (stmt.step()) {
+      const row = stmt.get();
+      counts[row[0] || 'unknown'] = row[1];
+    }
+    stmt.free();
+    return counts;
+  }
+
+  /**
+   * Add an annotation. Fields may use the annotation's column names
+   * (page_number, selection_text, selection_rects, note_content, pdf_source)
+   * or the camelCase names the iOS viewer sends.
+   * @param {number} paperId
+   * @param {Object} data
+   * @returns {number} New annotation ID
+   */
+  createAnnotation(paperId, data) {
+    const now = new Date().toISOString();
+    const rects = data.selection_rects ?? data.selectionRects ?? data.position ?? [];
+
+    this.db.run(`
+      INSERT INTO annotations (paper_id, page_number, selection_text, selection_rects,
+                               note_content, color, pdf_source, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      paperId,
+      data.page_number || data.pageNumber || 1,
+      data.selection_text ?? data.selectionText ?? data.content ?? null,
+      typeof rects === 'string' ? rects : JSON.stringify(rects),
+      data.note_content ?? data.noteContent ?? data.note ?? '',
+      data.color || '#ffeb3b',
+      data.pdf_source || data.pdfSource || null,
+      now,
+      now
+    ]);
+
+    return this._lastInsertId();
+  }
+
+  /**
+   * Add an annotation given with its paper_id
+   * @param {Object} annotation
+   * @returns {number} New annotation ID
+   */
+  addAnnotation(annotation) {
+    return this.createAnnotation(annotation.paper_id, annotation);
+  }
+
+  /**
+   * Update an annotation's note, color or selection
+   * @param {number} id
+   * @param {Object} data - Column or camelCase names, as for createAnnotation
+   * @returns {boolean} Whether there was anything to update
+   */
+  updateAnnotation(id, data) {
+    const fields = [];
+    const values = [];
+    const set = (column, value) => {
+      if (value === undefined) return;
+      fields.push(`${column} = ?`);
+      values.push(value);
     };
+
+    set('note_content', data.note_content ?? data.noteContent ?? data.note);
+    set('color', data.color);
+    set('selection_text', data.selection_text ?? data.selectionText ?? data.content);
+    const rects = data.selection_rects ?? data.selectionRects;
+    set('selection_rects', rects === undefined || typeof rects === 'string' ? rects : JSON.stringify(rects));
+
+    if (fields.length === 0) return false;
+
+    fields.push('updated_at = ?');
+    values.push(new Date().toISOString(), id);
+
+    this.db.run(`UPDATE annotations SET ${fields.join(', ')} WHERE id = ?`, values);
+    return true;
+  }
+
+  deleteAnnotation(id) {
+    this.db.run('DELETE FROM annotations WHERE id = ?', [id]);
+  }
+
+  deleteAnnotationsForPaper(paperId) {
+    this.db.run('DELETE FROM annotations WHERE paper_id = ?', [paperId]);
+  }
+
+  /**
+   * @param {number} annotationId
+   * @returns {number|null} The annotated paper's ID
+   */
+  getAnnotationPaperId(annotationId) {
+    const result = this.db.exec('SELECT paper_id FROM annotations WHERE id = ?', [annotationId]);
+    return result[0]?.values[0]?.[0] ?? null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PDF PAGE ROTATIONS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {number} paperId
+   * @param {string|null} [pdfSource]
+   * @returns {Object<number, number>} Rotation in degrees by page number
+   */
+  getPageRotations(paperId, pdfSource = null) {
+    const results = this.db.exec(
+      `SELECT page_number, rotation FROM pdf_page_rotations WHERE paper_id = ? ${rotationSourceCondition(pdfSource)}`,
+      [paperId, pdfSource || '']
+    );
+
+    const rotations = {};
+    for (const [pageNumber, rotation] of results[0]?.values || []) {
+      rotations[pageNumber] = rotation;
+    }
+    return rotations;
+  }
+
+  setPageRotation(paperId, pageNumber, rotation, pdfSource = null) {
+    this.db.run(
+      `INSERT OR REPLACE INTO pdf_page_rotations (paper_id, pdf_source, page_number, rotation)
+       VALUES (?, ?, ?, ?)`,
+      [paperId, pdfSource || '', pageNumber, rotation]
+    );
+  }
+
+  /**
+   * Replace all rotations of a paper's PDF
+   * @param {number} paperId
+   * @param {Object<number, number>} rotations - By page number; 0 is dropped
+   * @param {string|null} [pdfSource]
+   */
+  setPageRotations(paperId, rotations, pdfSource = null) {
+    this.db.run(
+      `DELETE FROM pdf_page_rotations WHERE paper_id = ? ${rotationSourceCondition(pdfSource)}`,
+      [paperId, pdfSource || '']
+    );
+
+    for (const [pageNumber, rotation] of Object.entries(rotations)) {
+      if (rotation !== 0) {
+        this.db.run(
+          'INSERT INTO pdf_page_rotations (paper_id, pdf_source, page_number, rotation) VALUES (?, ?, ?, ?)',
+          [paperId, pdfSource || '', parseInt(pageNumber), rotation]
+        );
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PAPER FILES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Add a file record to paper_files
+   * @param {number} paperId
+   * @param {Object} fileData - Column values; filename is required.
+   *   ingest_status defaults to 'pending' for PDFs.
+   * @returns {number} New file record ID
+   */
+  addPaperFile(paperId, fileData) {
+    const role = fileData.file_role || 'pdf';
+    // New PDFs wait for the ingest pipeline unless the caller says otherwise
+    const ingestStatus = fileData.ingest_status !== undefined
+      ? fileData.ingest_status
+      : (role === 'pdf' ? 'pending' : null);
+
+    this.db.run(`
+      INSERT INTO paper_files (paper_id, file_hash, filename, original_name, mime_type, file_size,
+                               file_role, source_type, source_url, added_date, status, error_message,
+                               text_extracted, text_path, ingest_status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      paperId,
+      fileData.file_hash || null,
+      fileData.filename,
+      fileData.original_name || fileData.filename,
+      fileData.mime_type || 'application/octet-stream',
+      fileData.file_size || 0,
+      role,
+      fileData.source_type || 'manual',
+      fileData.source_url || null,
+      fileData.added_date || new Date().toISOString(),
+      fileData.status || 'ready',
+      fileData.error_message || null,
+      fileData.text_extracted || 0,
+      fileData.text_path || null,
+      ingestStatus
+    ]);
+
+    return this._lastInsertId();
+  }
+
+  /**
+   * @param {number} fileId
+   * @returns {Object|null} File record
+   */
+  getPaperFile(fileId) {
+    return this._queryFiles('SELECT * FROM paper_files WHERE id = ?', [fileId])[0] || null;
+  }
+
+  /**
+   * Get a paper's files, newest first
+   * @param {number} paperId
+   * @param {Object} [filters] - role, status, sourceType
+   * @returns {Object[]} File records
+   */
+  getPaperFiles(paperId, filters = {}) {
+    let sql = 'SELECT * FROM paper_files WHERE paper_id = ?';
+    const params = [paperId];
+
+    if (filters.role) {
+      sql += ' AND file_role = ?';
+      params.push(filters.role);
+    }
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.sourceType) {
+      sql += ' AND source_type = ?';
+      params.push(filters.sourceType);
+    }
+
+    return this._queryFiles(`${sql} ORDER BY added_date DESC`, params);
+  }
+
+  /**
+   * Update a file record
+   * @param {number} fileId
+   * @param {Object} updates - Fields to update; others are ignored
+   * @returns {boolean} Whether there was anything to update
+   */
+  updatePaperFile(fileId, updates) {
+    const fields = Object.keys(updates).filter(key => PAPER_FILE_FIELDS.includes(key));
+    if (fields.length === 0) return false;
+
+    this.db.run(
+      `UPDATE paper_files SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(key => updates[key]), fileId]
+    );
+    return true;
+  }
+
+  deletePaperFile(fileId) {
+    this.db.run('DELETE FROM paper_files WHERE id = ?', [fileId]);
+  }
+
+  deletePaperFiles(paperId) {
+    this.db.run('DELETE FROM paper_files WHERE paper_id = ?', [paperId]);
   }
+
+  /**
+   * File records with a content hash, for deduplication
+   * @param {string} hash - SHA-256 hash
+   * @returns {Object[]}
+   */
+  getFilesByHash(hash) {
+    return this._queryFiles('SELECT * FROM paper_files WHERE file_hash = ?', [hash]);
+  }
+
+  /**
+   * File records with a status, oldest first, with their paper's bibcode and title
+   * @param {string} status
+   * @returns {Object[]}
+   */
+  getPaperFilesByStatus(status) {
+    return this._queryFiles(`
+      SELECT pf.*, p.bibcode, p.title
+      FROM paper_files pf
+      JOIN papers p ON pf.paper_id = p.id
+      WHERE pf.status = ?
+      ORDER BY pf.added_date ASC
+    `, [status]);
+  }
+
+  /**
+   * PDF records in an ingest state, oldest first
+   * @param {string} ingestStatus - 'pending', 'processing', 'done' or 'failed'
+   * @returns {Object[]}
+   */
+  getPaperFilesByIngestStatus(ingestStatus) {
+    return this._queryFiles(`
+      SELECT * FROM paper_files
+      WHERE ingest_status = ? AND file_role = 'pdf'
+      ORDER BY added_date ASC, id ASC
+    `, [ingestStatus]);
+  }
+
+  /**
+   * A paper's downloaded PDFs, best source first
+   * @param {number} paperId
+   * @returns {Object[]}
+   */
+  getPaperPdfs(paperId) {
+    return this._queryFiles(`
+      SELECT * FROM paper_files
+      WHERE paper_id = ? AND file_role = 'pdf' AND status = 'ready'
+      ORDER BY
+        CASE source_type
+          WHEN 'publisher' THEN 1
+          WHEN 'arxiv' THEN 2
+          WHEN 'ads_scan' THEN 3
+          WHEN 'manual' THEN 4
+          ELSE 5
+        END
+    `, [paperId]);
+  }
+
+  /**
+   * Files still waiting to be downloaded (for queue recovery)
+   * @returns {Object[]}
+   */
+  getPendingFiles() {
+    return this._queryFiles(`
+      SELECT pf.*, p.bibcode, p.arxiv_id, p.doi
+      FROM paper_files pf
+      JOIN papers p ON pf.paper_id = p.id
+      WHERE pf.status IN ('pending', 'queued', 'downloading')
+      ORDER BY pf.added_date
+    `, []);
+  }
+
+  _queryFiles(sql, params) {
+    const stmt = this.db.prepare(sql);
+    stmt.bind(params);
+
+    const files = [];
+    while (stmt.step()) {
+      files.push(stmt.getAsObject());
+    }
+    stmt.free();
+    return files;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LLM SUMMARIES & Q&A
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {number} paperId
+   * @returns {Object|null} The summary with key_points as an array
+   */
+  getSummary(paperId) {
+    const stmt = this.db.prepare('SELECT * FROM paper_summaries WHERE paper_id = ?');
+    stmt.bind([paperId]);
+    const row = stmt.step() ? stmt.getAsObject() : null;
+    stmt.free();
+    if (!row) return null;
+
+    // Summaries saved by older iOS versions have key points as plain text
+    let keyPoints = parseJson(row.key_points, row.key_points ? [row.key_points] : []);
+    if (!Array.isArray(keyPoints)) keyPoints = [];
+    return { ...row, key_points: keyPoints };
+  }
+
+  /**
+   * Save (or replace) a paper's summary
+   * @param {number} paperId
+   * @param {string} summary
+   * @param {string[]|null} keyPoints
+   * @param {string} model - Model that wrote it
+   * @returns {number} Summary ID
+   */
+  saveSummary(paperId, summary, keyPoints, model) {
+    const now = new Date().toISOString();
+    const existing = this.getSummary(paperId);
+    const keyPointsJson = JSON.stringify(keyPoints || []);
+
+    if (existing) {
+      this.db.run(`
+        UPDATE paper_summaries
+        SET summary = ?, key_points = ?, model = ?, generated_date = ?
+        WHERE paper_id = ?
+      `, [summary, keyPointsJson, model, now, paperId]);
+      return existing.id;
+    }
+
+    this.db.run(`
+      INSERT INTO paper_summaries (paper_id, summary, key_points, model, generated_date)
+      VALUES (?, ?, ?, ?, ?)
+    `, [paperId, summary, keyPointsJson, model, now]);
+    return this._lastInsertId();
+  }
+
+  deleteSummary(paperId) {
+    this.db.run('DELETE FROM paper_summaries WHERE paper_id = ?', [paperId]);
+  }
+
+  /**
+   * A paper's latest questions and answers
+   * @param {number} paperId
+   * @param {number} [limit=20]
+   * @returns {Object[]} Oldest first
+   */
+  getQAHistory(paperId, limit = 20) {
+    const results = this.db.exec(`
+      SELECT * FROM paper_qa
+      WHERE paper_id = ?
+      ORDER BY created_date DESC
+      LIMIT ?
+    `, [paperId, limit]);
+
+    return rowsToObjects(results).reverse();
+  }
+
+  /**
+   * @param {number} paperId
+   * @param {string} question
+   * @param {string} answer
+   * @param {string|null} contextUsed - Text the answer was based on
+   * @param {string} model
+   * @returns {number} Q&A entry ID
+   */
+  saveQA(paperId, question, answer, contextUsed, model) {
+    this.db.run(`
+      INSERT INTO paper_qa (paper_id, question, answer, context_used, model, created_date)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [paperId, question, answer, contextUsed, model, new Date().toISOString()]);
+    return this._lastInsertId();
+  }
+
+  clearQAHistory(paperId) {
+    this.db.run('DELETE FROM paper_qa WHERE paper_id = ?', [paperId]);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TEXT EMBEDDINGS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * @param {number} paperId
+   * @returns {Object[]} Chunks in order, embedding as a Float32Array
+   */
+  getEmbeddings(paperId) {
+    return rowsToObjects(this.db.exec(`
+      SELECT * FROM text_embeddings
+      WHERE paper_id = ?
+      ORDER BY chunk_index
+    `, [paperId])).map(parseEmbeddingRow);
+  }
+
+  hasEmbeddings(paperId) {
+    const results = this.db.exec('SELECT COUNT(*) FROM text_embeddings WHERE paper_id = ?', [paperId]);
+    return results[0]?.values[0][0] > 0;
+  }
+
+  /**
+   * Papers outside the Trash without embeddings
+   * @returns {number[]}
+   */
+  getUnindexedPaperIds() {
+    const results = this.db.exec(`
+      SELECT p.id FROM papers p
+      LEFT JOIN text_embeddings e ON p.id = e.paper_id
+      WHERE e.id IS NULL AND p.deleted_at IS NULL
+    `);
+    return (results[0]?.values || []).map(row => row[0]);
+  }
+
+  /**
+   * Replace a paper's embeddings
+   * @param {number} paperId
+   * @param {Array<{chunkIndex: number, chunkText: string, embedding: number[]|Float32Array,
+   *   pageNumber?: number, textStart?: number, textEnd?: number}>} chunks - Positions are
+   *   character offsets into the extracted text and the PDF page the chunk starts on
+   */
+  saveEmbeddings(paperId, chunks) {
+    this.db.run('DELETE FROM text_embeddings WHERE paper_id = ?', [paperId]);
+
+    const now = new Date().toISOString();
+    const stmt = this.db.prepare(`
+      INSERT INTO text_embeddings
+        (paper_id, chunk_index, chunk_text, embedding, created_date, page_number, text_start, text_end)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const chunk of chunks) {
+      // Stored as the raw bytes of a Float32Array
+      const embedding = new Uint8Array(new Float32Array(chunk.embedding).buffer);
+      stmt.run([
+        paperId, chunk.chunkIndex, chunk.chunkText, embedding, now,
+        chunk.pageNumber ?? null, chunk.textStart ?? null, chunk.textEnd ?? null
+      ]);
+    }
+
+    stmt.free();
+  }
+
+  deleteEmbeddings(paperId) {
+    this.db.run('DELETE FROM text_embeddings WHERE paper_id = ?', [paperId]);
+  }
+
+  /**
+   * Embeddings of every paper outside the Trash, with its title and bibcode
+   * @returns {Object[]}
+   */
+  getAllEmbeddings() {
+    return rowsToObjects(this.db.exec(`
+      SELECT te.*, p.title, p.bibcode
+      FROM text_embeddings te
+      JOIN papers p ON te.paper_id = p.id
+      WHERE p.deleted_at IS NULL
+      ORDER BY te.paper_id, te.chunk_index
+    `)).map(parseEmbeddingRow);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // SMART ADS SEARCHES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Create a new smart search, listed last
+   * @param {Object} data - name, query, sortOrder
+   * @returns {number} The ID of the newly created search
+   */
+  createSmartSearch(data) {
+    const maxOrder = this.db.exec('SELECT MAX(display_order) FROM smart_searches')[0]?.values[0][0] || 0;
+
+    this.db.run(`
+      INSERT INTO smart_searches (name, query, sort_order, display_order, created_date)
+      VALUES (?, ?, ?, ?, ?)
+    `, [data.name, data.query, data.sortOrder || 'date desc', maxOrder + 1, new Date().toISOString()]);
+
+    return this._lastInsertId();
+  }
+
+  getSmartSearch(id) {
+    return rowsToObjects(this.db.exec('SELECT * FROM smart_searches WHERE id = ?', [id]))[0] || null;
+  }
+
+  getAllSmartSearches() {
+    return rowsToObjects(this.db.exec(
+      'SELECT * FROM smart_searches ORDER BY display_order ASC, created_date DESC'
+    ));
+  }
+
+  /**
+   * @param {number} id
+   * @param {Object} updates - Fields to update; others are ignored
+   */
+  updateSmartSearch(id, updates) {
+    const fields = Object.keys(updates).filter(key => SMART_SEARCH_FIELDS.includes(key));
+    if (fields.length === 0) return;
+
+    this.db.run(
+      `UPDATE smart_searches SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+  }
+
+  /**
+   * Delete a smart search and its cached results
+   * @param {number} id
+   */
+  deleteSmartSearch(id) {
+    // Results first, in case foreign keys are off
+    this.db.run('DELETE FROM smart_search_results WHERE search_id = ?', [id]);
+    this.db.run('DELETE FROM smart_searches WHERE id = ?', [id]);
+  }
+
+  clearSmartSearchResults(searchId) {
+    this.db.run('DELETE FROM smart_search_results WHERE search_id = ?', [searchId]);
+  }
+
+  /**
+   * Cache a result of a smart search
+   * @param {number} searchId
+   * @param {Object} data - Paper data from ADS
+   */
+  addSmartSearchResult(searchId, data) {
+    this.db.run(`
+      INSERT OR REPLACE INTO smart_search_results
+      (search_id, bibcode, title, authors, year, journal, abstract, doi, arxiv_id, citation_count, cached_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      searchId,
+      data.bibcode,
+      data.title || null,
+      typeof data.authors === 'string' ? data.authors : JSON.stringify(data.authors || []),
+      data.year || null,
+      data.journal || null,
+      data.abstract || null,
+      data.doi || null,
+      data.arxiv_id || null,
+      data.citation_count || 0,
+      data.cached_date || new Date().toISOString()
+    ]);
+  }
+
+  /**
+   * A smart search's cached results, marked with whether each is in the library
+   * @param {number} searchId
+   * @returns {Object[]} Results with inLibrary and libraryPaperId
+   */
+  getSmartSearchResultsWithLibraryStatus(searchId) {
+    return rowsToObjects(this.db.exec(`
+      SELECT ssr.*, p.id as library_paper_id
+      FROM smart_search_results ssr
+      LEFT JOIN papers p ON ssr.bibcode = p.bibcode AND p.deleted_at IS NULL
+      WHERE ssr.search_id = ?
+      ORDER BY ssr.id
+    `, [searchId])).map(result => ({
+      ...result,
+      authors: parseAuthorsColumn(result.authors),
+      inLibrary: result.library_paper_id !== null,
+      libraryPaperId: result.library_paper_id
+    }));
+  }
+
+  /**
+   * @param {number[]} orderedIds - Search IDs in the order to list them
+   */
+  reorderSmartSearches(orderedIds) {
+    orderedIds.forEach((id, index) => {
+      this.db.run('UPDATE smart_searches SET display_order = ? WHERE id = ?', [index, id]);
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // READING LIST
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Add a paper found on ADS to the reading list (or refresh it)
+   * @param {Object} paper - Paper data from an ADS search
+   * @returns {number} Reading list entry ID
+   */
+  addToReadingList(paper) {
+    const now = new Date().toISOString();
+
+    this.db.run(`
+      INSERT OR REPLACE INTO reading_list
+      (bibcode, doi, arxiv_id, title, authors, year, journal, abstract, citation_count, pdf_path, pdf_source, added_date, last_viewed_date)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      paper.bibcode,
+      paper.doi || null,
+      paper.arxiv_id || null,
+      paper.title || 'Untitled',
+      typeof paper.authors === 'string' ? paper.authors : JSON.stringify(paper.authors || []),
+      paper.year || null,
+      paper.journal || null,
+      paper.abstract || null,
+      paper.citation_count || 0,
+      paper.pdf_path || null,
+      paper.pdf_source || null,
+      now,
+      now
+    ]);
+
+    return this._lastInsertId();
+  }
+
+  removeFromReadingList(bibcode) {
+    this.db.run('DELETE FROM reading_list WHERE bibcode = ?', [bibcode]);
+  }
+
+  /**
+   * @returns {Object[]} Reading list papers (isReadingList set), newest first
+   */
+  getReadingList() {
+    return rowsToObjects(this.db.exec('SELECT * FROM reading_list ORDER BY added_date DESC'))
+      .map(parseReadingListRow);
+  }
+
+  getReadingListPaper(bibcode) {
+    const [row] = rowsToObjects(this.db.exec('SELECT * FROM reading_list WHERE bibcode = ?', [bibcode]));
+    return row ? parseReadingListRow(row) : null;
+  }
+
+  isInReadingList(bibcode) {
+    return this.db.exec('SELECT 1 FROM reading_list WHERE bibcode = ?', [bibcode])[0]?.values.length > 0;
+  }
+
+  /**
+   * Update a reading list paper (PDF path, view position, etc.)
+   * @param {string} bibcode
+   * @param {Object} updates - Fields to update; others are ignored
+   */
+  updateReadingListPaper(bibcode, updates) {
+    const fields = Object.keys(updates).filter(key => READING_LIST_FIELDS.includes(key));
+    if (fields.length === 0) return;
+
+    this.db.run(
+      `UPDATE reading_list SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE bibcode = ?`,
+      [...fields.map(key => updates[key]), bibcode]
+    );
+  }
+
+  getReadingListCount() {
+    return this.db.exec('SELECT COUNT(*) FROM reading_list')[0]?.values[0][0] || 0;
+  }
+
+  /**
+   * Which bibcodes are on the reading list
+   * @param {string[]} bibcodes
+   * @returns {string[]}
+   */
+  checkBibcodesInReadingList(bibcodes) {
+    if (!bibcodes || bibcodes.length === 0) return [];
+
+    const placeholders = bibcodes.map(() => '?').join(',');
+    const results = this.db.exec(
+      `SELECT bibcode FROM reading_list WHERE bibcode IN (${placeholders})`,
+      bibcodes
+    );
+    return (results[0]?.values || []).map(row => row[0]);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PLUGIN DATA (see plugin-data.js)
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Link a paper to a source plugin's record of it
+   * @param {Object} params - See plugin-data.addPaperSource
+   * @returns {number} Source link ID
+   */
+  addPaperSource(params) {
+    return pluginData.addPaperSource(this.db, params);
+  }
+
+  getPaperSources(paperId) {
+    return pluginData.getPaperSources(this.db, paperId);
+  }
+
+  findPaperByDOI(doi) {
+    return pluginData.findPaperByDOI(this.db, doi);
+  }
+
+  findPaperByArxiv(arxivId) {
+    return pluginData.findPaperByArxiv(this.db, arxivId);
+  }
+
+  /**
+   * Find a paper already in the library by its identifiers, linking the
+   * source to it. Papers in the Trash match too, with inTrash set.
+   * @returns {{paper: Object|null, isNew: boolean, inTrash: boolean}}
+   */
+  findOrCreatePaper(paperData, source, sourceId, capabilities) {
+    return pluginData.findOrCreatePaper(this.db, paperData, source, sourceId, capabilities);
+  }
+
+  cacheReferences(paperId, refs, sourcePlugin) {
+    pluginData.cacheReferences(this.db, paperId, refs, sourcePlugin);
+  }
+
+  /**
+   * @returns {{refs: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
+   */
+  getCachedReferences(paperId) {
+    return pluginData.getCachedReferences(this.db, paperId);
+  }
+
+  cacheCitations(paperId, cites, sourcePlugin) {
+    pluginData.cacheCitations(this.db, paperId, cites, sourcePlugin);
+  }
+
+  /**
+   * @returns {{cites: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
+   */
+  getCachedCitations(paperId) {
+    return pluginData.getCachedCitations(this.db, paperId);
+  }
+
+  /**
+   * Link cached references and citations to a paper just added
+   * @param {number} paperId
+   */
+  updateLibraryLinks(paperId) {
+    pluginData.updateLibraryLinks(this.db, paperId);
+  }
+
+  /**
+   * Get a library paper with its cached references and citations, for walking
+   * the citation graph. Links to papers deleted or trashed since caching are dropped.
+   * @param {number} paperId
+   * @returns {{paper: Object, refs: Array, cites: Array}|null}
+   */
+  getCitationLinks(paperId) {
+    const paper = this.getPaper(paperId);
+    if (!paper) return null;
+
+    const { refs } = this.getCachedReferences(paperId);
+    const { cites } = this.getCachedCitations(paperId);
+
+    const linkedIds = [...new Set([...refs, ...cites].map(work => work.linked_paper_id).filter(Boolean))];
+    if (linkedIds.length > 0) {
+      const results = this.db.exec(
+        `SELECT id FROM papers WHERE id IN (${linkedIds.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+        linkedIds
+      );
+      const existing = new Set((results[0]?.values || []).map(row => row[0]));
+      for (const work of [...refs, ...cites]) {
+        if (work.linked_paper_id && !existing.has(work.linked_paper_id)) {
+          work.linked_paper_id = null;
+          work.inLibrary = false;
+        }
+      }
+    }
+
+    return { paper, refs, cites };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a tag path: trim each segment and drop empty ones,
+ * so " methods / mcmc/" becomes "methods/mcmc"
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} If the name has no segments
+ */
+export function normalizeTagName(name) {
+  const normalized = String(name || '')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
+  if (!normalized) throw new Error('Tag name cannot be empty');
+  return normalized;
+}
+
+/**
+ * Escape LIKE wildcards (used with ESCAPE '\')
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function parseJson(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function parsePaperRow(row) {
+  return {
+    ...row,
+    authors: row.authors ? JSON.parse(row.authors) : [],
+    keywords: row.keywords ? JSON.parse(row.keywords) : []
+  };
+}
+
+function paperInsertValues(paper, now) {
+  return [
+    paper.bibcode || null,
+    paper.doi || null,
+    paper.arxiv_id || null,
+    paper.title || 'Untitled',
+    JSON.stringify(paper.authors || []),
+    paper.year || null,
+    paper.journal || null,
+    paper.abstract || null,
+    JSON.stringify(paper.keywords || []),
+    paper.pdf_path || null,
+    paper.text_path || null,
+    paper.bibtex || null,
+    paper.read_status || 'unread',
+    paper.rating || 0,
+    now,
+    now,
+    paper.import_source || null,
+    paper.import_source_key || null,
+    paper.citation_count || 0,
+    paper.available_sources || null
+  ];
+}
+
+/**
+ * Build the WHERE clause shared by list queries
+ * @param {Object} options - { readStatus, collectionId, tag, search, trash }
+ * @returns {{where: string, params: Array}}
+ */
+function buildPaperFilters(options) {
+  const conditions = [];
+  const params = [];
+
+  if (options.trash === 'only') {
+    conditions.push('p.deleted_at IS NOT NULL');
+  } else if (options.trash !== 'include') {
+    conditions.push('p.deleted_at IS NULL');
+  }
+
+  if (options.readStatus) {
+    conditions.push('p.read_status = ?');
+    params.push(options.readStatus);
+  }
+
+  if (options.collectionId) {
+    conditions.push('p.id IN (SELECT paper_id FROM paper_collections WHERE collection_id = ?)');
+    params.push(options.collectionId);
+  }
+
+  if (options.tag) {
+    conditions.push(`p.id IN (
+      SELECT pt.paper_id FROM paper_tags pt JOIN tags t ON t.id = pt.tag_id
+      WHERE t.name = ? OR t.name LIKE ? ESCAPE '\\'
+    )`);
+    params.push(options.tag, `${escapeLike(options.tag)}/%`);
+  }
+
+  if (options.search) {
+    conditions.push('(p.title LIKE ? OR p.authors LIKE ? OR p.abstract LIKE ?)');
+    const searchTerm = `%${options.search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  return {
+    where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Build the ORDER BY clause from whitelisted sort expressions
+ * @param {Object} options - { orderBy, order }
+ * @returns {string}
+ */
+function buildPaperOrderBy(options) {
+  const expression = PAPER_SORT_COLUMNS[options.orderBy] || PAPER_SORT_COLUMNS.added;
+  const direction = String(options.order || 'desc').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  // Tie-break on id so pages never overlap or skip papers with equal sort keys
+  return ` ORDER BY ${expression} ${direction}, p.id ${direction}`;
+}
+
+function rowToCollection(row) {
+  return {
+    id: row[0],
+    name: row[1],
+    parent_id: row[2],
+    is_smart: row[3] === 1,
+    query: row[4],
+    created_date: row[5]
+  };
+}
+
+function parseAnnotationRow(row) {
+  return { ...row, selection_rects: parseJson(row.selection_rects, []) };
+}
+
+// Rotations of a paper's only PDF are stored with an empty pdf_source
+function rotationSourceCondition(pdfSource) {
+  return pdfSource ? 'AND pdf_source = ?' : 'AND (pdf_source IS NULL OR pdf_source = ?)';
+}
+
+function parseEmbeddingRow(row) {
+  if (row.embedding) {
+    const bytes = row.embedding;
+    row.embedding = new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+  }
+  return row;
+}
+
+function parseAuthorsColumn(value) {
+  if (typeof value !== 'string') return value;
+  return parseJson(value, []);
+}
+
+function parseReadingListRow(row) {
+  return { ...row, authors: parseAuthorsColumn(row.authors), isReadingList: true };
 }
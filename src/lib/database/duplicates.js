@@ -0,0 +1,638 @@
+/**
+ * Bibliac Core - Duplicate Detection and Merging
+ *
+ * Finds papers that are the same work imported twice (e.g. once from a
+ * BibTeX file and once from an arXiv PDF, with different bibcodes) and
+ * merges them into one record.
+ *
+ * Papers match on DOI, arXiv ID (ignoring version), bibcode (including the
+ * arXiv ID encoded in arXiv bibcodes), or a near-identical title with the
+ * same first author and year.
+ *
+ * Merges keep an undo record in paper_merges: which rows moved to the kept
+ * paper, which rows were dropped because the kept paper already had one, and
+ * which fields of the kept paper were filled in. Undo reverses exactly those
+ * changes, so edits made to the kept paper after the merge survive it. Both
+ * the filled-in fields and their restoring are recorded in the kept paper's
+ * edit history as the user's changes (see history.js).
+ */
+
+import { recordChanges, USER_ORIGIN } from './history.js';
+
+/**
+ * Minimum title similarity (Dice coefficient over character bigrams) for
+ * the title + first author + year match
+ */
+export const TITLE_SIMILARITY_THRESHOLD = 0.9;
+
+/**
+ * Preprint and published versions are often a year apart
+ */
+const YEAR_TOLERANCE = 1;
+
+/**
+ * Paper fields the kept paper takes from a merged paper when its own is empty
+ */
+const FILL_FIELDS = [
+  'bibcode', 'doi', 'arxiv_id', 'title', 'authors', 'year', 'journal', 'abstract',
+  'bibtex', 'pdf_path', 'text_path', 'pdf_source', 'available_sources'
+];
+
+/**
+ * Pre-2007 arXiv bibcodes: year, archive ("astro.ph" for astro-ph), month and number
+ */
+const LEGACY_ARXIV_BIBCODE = /^\d{2}(\d{2})(astro\.ph|cond\.mat|gr\.qc|hep\.ex|hep\.lat|hep\.ph|hep\.th|math\.ph|nucl\.ex|nucl\.th|quant\.ph|physics|math|nlin)\.*(\d{5})[A-Z.]$/;
+
+const READ_STATUS_ORDER = ['unread', 'reading', 'read'];
+
+/**
+ * Tables whose rows simply move to the kept paper
+ */
+const MOVED_TABLES = ['annotations', 'paper_files', 'paper_qa', 'text_embeddings'];
+
+/**
+ * Junction tables: [table, other key column, table it references]
+ */
+const JUNCTION_TABLES = [
+  ['paper_collections', 'collection_id', 'collections'],
+  ['paper_tags', 'tag_id', 'tags']
+];
+
+/**
+ * Tables that allow one row per paper and key. Merged rows move when the kept
+ * paper has no row for the same key, and are dropped (kept in the undo record)
+ * otherwise. No key columns means one per paper; for cached refs/cites that
+ * means the kept paper's cache wins if it has one.
+ */
+const KEYED_TABLES = [
+  ['paper_summaries', []],
+  ['paper_sources', ['source']],
+  ['pdf_page_rotations', ['pdf_source', 'page_number']],
+  ['paper_references', []],
+  ['paper_citations', []]
+];
+
+/**
+ * Tables whose linked_paper_id points at library papers
+ */
+const LINKED_TABLES = ['paper_references', 'paper_citations'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NORMALIZATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize a DOI: lowercase, without resolver URL or "doi:" prefix
+ * @param {string|null} doi
+ * @returns {string|null}
+ */
+export function normalizeDoi(doi) {
+  if (!doi) return null;
+  const normalized = String(doi).trim().toLowerCase()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//, '')
+    .replace(/^doi:\s*/, '');
+  return normalized || null;
+}
+
+/**
+ * Normalize an arXiv ID: lowercase, without "arXiv:" prefix or version
+ * @param {string|null} arxivId
+ * @returns {string|null}
+ */
+export function normalizeArxivId(arxivId) {
+  if (!arxivId) return null;
+  const normalized = String(arxivId).trim().toLowerCase()
+    .replace(/^arxiv:\s*/, '')
+    .replace(/v\d+$/, '');
+  return normalized || null;
+}
+
+/**
+ * Normalize a bibcode for comparison. Dots are padding, so "2020ApJ...900..123S"
+ * and a hand-typed "2020ApJ.900.123S" compare equal.
+ * @param {string|null} bibcode
+ * @returns {string|null}
+ */
+export function normalizeBibcode(bibcode) {
+  if (!bibcode) return null;
+  const normalized = String(bibcode).trim().replace(/\./g, '').toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * The arXiv ID encoded in an arXiv bibcode, e.g. "2019arXiv190412345A" ->
+ * "1904.12345" and "1996astro.ph.11107N" -> "astro-ph/9611107"
+ * @param {string|null} bibcode
+ * @returns {string|null}
+ */
+export function arxivIdFromBibcode(bibcode) {
+  if (!bibcode) return null;
+
+  const modern = bibcode.match(/^\d{4}arXiv(\d{4})\.?(\d{4,5})[A-Z.]$/i);
+  if (modern) return `${modern[1]}.${modern[2]}`;
+
+  const legacy = bibcode.match(LEGACY_ARXIV_BIBCODE);
+  if (legacy) return `${legacy[2].replace('.', '-')}/${legacy[1]}${legacy[3]}`;
+
+  return null;
+}
+
+/**
+ * Normalize a title for fuzzy comparison: no LaTeX, accents, punctuation or case
+ * @param {string|null} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  return String(title || '')
+    .replace(/\\[a-zA-Z]+\s*/g, ' ')
+    .replace(/[{}$^_\\]/g, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * First author's last name, lowercase and without accents. Authors are
+ * stored "Last, First" but imports sometimes give "First Last".
+ * @param {string[]|string|null} authors - Array or JSON array of names
+ * @returns {string|null}
+ */
+export function firstAuthorKey(authors) {
+  let list = authors;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      list = [list];
+    }
+  }
+  const first = Array.isArray(list) ? String(list[0] || '').trim() : '';
+  if (!first) return null;
+
+  const lastName = first.includes(',') ? first.split(',')[0] : first.split(/\s+/).pop();
+  const key = lastName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+  return key || null;
+}
+
+/**
+ * Dice coefficient over character bigrams of two normalized titles
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function titleSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram);
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DETECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function rowsToObjects(results) {
+  if (results.length === 0) return [];
+  const columns = results[0].columns;
+  return results[0].values.map(row => {
+    const obj = {};
+    columns.forEach((col, i) => obj[col] = row[i]);
+    return obj;
+  });
+}
+
+function tableExists(db, table) {
+  const result = db.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+  return result.length > 0;
+}
+
+/**
+ * Find groups of duplicate papers
+ * @param {Object} db - sql.js database instance
+ * @returns {Array<{paperIds: number[], reasons: string[], keepId: number}>}
+ *   Groups of two or more papers, each with the match reasons found between
+ *   its members ('doi', 'arxiv', 'bibcode', 'title') and a suggested paper to keep
+ */
+export function findDuplicates(db) {
+  const papers = rowsToObjects(db.exec(`
+    SELECT id, bibcode, doi, arxiv_id, title, authors, year, added_date,
+           annotation_count
+    FROM papers
+    WHERE deleted_at IS NULL
+  `));
+
+  // Union-find over paper ids; reasons collect per root
+  const parent = new Map(papers.map(p => [p.id, p.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const pairReasons = [];
+  const union = (a, b, reason) => {
+    if (a === b) return;
+    pairReasons.push([a, b, reason]);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  // Exact identifier matches: bucket by normalized key
+  const buckets = { doi: new Map(), arxiv: new Map(), bibcode: new Map() };
+  const addToBucket = (reason, key, id) => {
+    if (!key) return;
+    const bucket = buckets[reason];
+    if (bucket.has(key)) {
+      union(bucket.get(key), id, reason);
+    } else {
+      bucket.set(key, id);
+    }
+  };
+
+  for (const paper of papers) {
+    addToBucket('doi', normalizeDoi(paper.doi), paper.id);
+    addToBucket('bibcode', normalizeBibcode(paper.bibcode), paper.id);
+
+    // A paper's own arXiv ID and the one in an arXiv bibcode name the same preprint
+    const arxivIds = new Set([normalizeArxivId(paper.arxiv_id), arxivIdFromBibcode(paper.bibcode)]);
+    for (const arxivId of arxivIds) {
+      addToBucket('arxiv', arxivId, paper.id);
+    }
+  }
+
+  // Fuzzy title matches, compared only within the same first author
+  const byAuthor = new Map();
+  for (const paper of papers) {
+    const author = firstAuthorKey(paper.authors);
+    const title = normalizeTitle(paper.title);
+    if (!author || !title || !paper.year) continue;
+    if (!byAuthor.has(author)) byAuthor.set(author, []);
+    byAuthor.get(author).push({ id: paper.id, title, year: paper.year });
+  }
+
+  for (const candidates of byAuthor.values()) {
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const a = candidates[i];
+        const b = candidates[j];
+        if (Math.abs(a.year - b.year) > YEAR_TOLERANCE) continue;
+        if (titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY_THRESHOLD) {
+          union(a.id, b.id, 'title');
+        }
+      }
+    }
+  }
+
+  // Collect groups
+  const groups = new Map();
+  for (const paper of papers) {
+    const root = find(paper.id);
+    if (!groups.has(root)) groups.set(root, { paperIds: [], reasons: new Set() });
+    groups.get(root).paperIds.push(paper.id);
+  }
+  for (const [a, , reason] of pairReasons) {
+    groups.get(find(a)).reasons.add(reason);
+  }
+
+  const byId = new Map(papers.map(p => [p.id, p]));
+  return [...groups.values()]
+    .filter(group => group.paperIds.length > 1)
+    .map(group => ({
+      paperIds: group.paperIds.sort((a, b) => a - b),
+      reasons: [...group.reasons],
+      keepId: suggestKeep(group.paperIds.map(id => byId.get(id)))
+    }));
+}
+
+/**
+ * Suggest which paper of a group to keep: prefer the published (non-arXiv)
+ * ADS record, then the one with a DOI, the most annotations, the oldest
+ * @param {Object[]} papers - Paper rows
+ * @returns {number} Paper ID
+ */
+function suggestKeep(papers) {
+  const score = (p) =>
+    (p.bibcode && !arxivIdFromBibcode(p.bibcode) ? 4 : 0) +
+    (p.doi ? 2 : 0) +
+    (p.bibcode ? 1 : 0);
+
+  return [...papers].sort((a, b) =>
+    score(b) - score(a) ||
+    (b.annotation_count || 0) - (a.annotation_count || 0) ||
+    a.id - b.id
+  )[0].id;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MERGING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getPaperRow(db, paperId) {
+  return rowsToObjects(db.exec('SELECT * FROM papers WHERE id = ?', [paperId]))[0] || null;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || value === '[]';
+}
+
+function insertRow(db, table, row, orIgnore = false) {
+  const columns = Object.keys(row);
+  db.run(
+    `INSERT ${orIgnore ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(col => row[col])
+  );
+}
+
+/**
+ * Field values the kept paper takes from the merged papers
+ * @param {Object} keep - Kept paper row
+ * @param {Object[]} merged - Merged paper rows
+ * @returns {Object} column -> new value (only changed columns)
+ */
+function mergedFieldValues(keep, merged) {
+  const values = {};
+
+  for (const field of FILL_FIELDS) {
+    if (!(field in keep) || !isEmpty(keep[field])) continue;
+    const donor = merged.find(p => !isEmpty(p[field]));
+    if (donor) values[field] = donor[field];
+  }
+
+  // Keywords: union, keeping the kept paper's order first
+  const keywords = [];
+  for (const paper of [keep, ...merged]) {
+    let list = [];
+    try {
+      list = JSON.parse(paper.keywords || '[]');
+    } catch (e) {
+      // Malformed keywords are skipped
+    }
+    for (const keyword of Array.isArray(list) ? list : []) {
+      if (!keywords.some(k => String(k).toLowerCase() === String(keyword).toLowerCase())) {
+        keywords.push(keyword);
+      }
+    }
+  }
+  const keywordsJson = JSON.stringify(keywords);
+  if (keywords.length > 0 && keywordsJson !== keep.keywords) values.keywords = keywordsJson;
+
+  // Reading progress and ratings: the furthest along wins
+  const status = [keep, ...merged]
+    .map(p => p.read_status)
+    .reduce((best, s) => READ_STATUS_ORDER.indexOf(s) > READ_STATUS_ORDER.indexOf(best) ? s : best, keep.read_status);
+  if (status !== keep.read_status) values.read_status = status;
+
+  const rating = Math.max(...[keep, ...merged].map(p => p.rating || 0));
+  if (rating > (keep.rating || 0)) values.rating = rating;
+
+  const citations = Math.max(...[keep, ...merged].map(p => p.citation_count || 0));
+  if (citations > (keep.citation_count || 0)) values.citation_count = citations;
+
+  // The merged record existed since the earliest import
+  const added = [keep, ...merged].map(p => p.added_date).filter(Boolean).sort()[0];
+  if (added && added !== keep.added_date) values.added_date = added;
+
+  return values;
+}
+
+/**
+ * Move one merged paper's related rows to the kept paper
+ * @returns {Object} Undo data for this paper
+ */
+function moveRelatedRows(db, keepId, mergedId) {
+  const undo = { moved: {}, dropped: {}, junctions: {}, relinked: {} };
+
+  for (const table of MOVED_TABLES) {
+    if (!tableExists(db, table)) continue;
+    const ids = rowsToObjects(db.exec(`SELECT id FROM ${table} WHERE paper_id = ?`, [mergedId])).map(r => r.id);
+    if (ids.length === 0) continue;
+    db.run(`UPDATE ${table} SET paper_id = ? WHERE paper_id = ?`, [keepId, mergedId]);
+    undo.moved[table] = ids;
+  }
+
+  for (const [table, keyColumn] of JUNCTION_TABLES) {
+    if (!tableExists(db, table)) continue;
+    const keys = rowsToObjects(db.exec(`SELECT ${keyColumn} AS key FROM ${table} WHERE paper_id = ?`, [mergedId])).map(r => r.key);
+    if (keys.length === 0) continue;
+    const existing = new Set(
+      rowsToObjects(db.exec(`SELECT ${keyColumn} AS key FROM ${table} WHERE paper_id = ?`, [keepId])).map(r => r.key)
+    );
+    const added = keys.filter(key => !existing.has(key));
+    for (const key of added) {
+      db.run(`INSERT INTO ${table} (paper_id, ${keyColumn}) VALUES (?, ?)`, [keepId, key]);
+    }
+    db.run(`DELETE FROM ${table} WHERE paper_id = ?`, [mergedId]);
+    undo.junctions[table] = { keys, added };
+  }
+
+  for (const [table, keyColumns] of KEYED_TABLES) {
+    if (!tableExists(db, table)) continue;
+    const rows = rowsToObjects(db.exec(`SELECT * FROM ${table} WHERE paper_id = ?`, [mergedId]));
+    if (rows.length === 0) continue;
+    const keepRows = rowsToObjects(db.exec(`SELECT * FROM ${table} WHERE paper_id = ?`, [keepId]));
+
+    const conflicts = (row) => keepRows.some(k => keyColumns.every(col => k[col] === row[col]));
+
+    for (const row of rows) {
+      if (conflicts(row)) {
+        db.run(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+        (undo.dropped[table] = undo.dropped[table] || []).push(row);
+      } else {
+        db.run(`UPDATE ${table} SET paper_id = ? WHERE id = ?`, [keepId, row.id]);
+        (undo.moved[table] = undo.moved[table] || []).push(row.id);
+      }
+    }
+  }
+
+  for (const table of LINKED_TABLES) {
+    if (!tableExists(db, table)) continue;
+    const ids = rowsToObjects(db.exec(`SELECT id FROM ${table} WHERE linked_paper_id = ?`, [mergedId])).map(r => r.id);
+    if (ids.length === 0) continue;
+    db.run(`UPDATE ${table} SET linked_paper_id = ? WHERE linked_paper_id = ?`, [keepId, mergedId]);
+    undo.relinked[table] = ids;
+  }
+
+  return undo;
+}
+
+/**
+ * Merge duplicate papers into one. The kept paper gains the others' files,
+ * annotations, collections, tags, sources, summaries and Q&A history, and
+ * fills its empty fields from them; the others are deleted. Does not save.
+ * @param {Object} db - sql.js database instance
+ * @param {number} keepId - Paper to keep
+ * @param {number[]} mergeIds - Papers to merge into it
+ * @returns {number} Merge ID, for undoMerge
+ */
+export function mergePapers(db, keepId, mergeIds) {
+  const ids = [...new Set(mergeIds)].filter(id => id !== keepId);
+  if (ids.length === 0) throw new Error('Select at least two papers to merge');
+
+  const keep = getPaperRow(db, keepId);
+  if (!keep) throw new Error('Paper to keep not found');
+  const merged = ids.map(id => {
+    const paper = getPaperRow(db, id);
+    if (!paper) throw new Error(`Paper ${id} not found`);
+    return paper;
+  });
+
+  const fields = mergedFieldValues(keep, merged);
+  const undo = { fields: {}, papers: [] };
+
+  db.run('BEGIN TRANSACTION');
+  try {
+    for (const paper of merged) {
+      const related = moveRelatedRows(db, keepId, paper.id);
+      // Delete before filling fields: the kept paper may take this one's bibcode
+      db.run('DELETE FROM papers WHERE id = ?', [paper.id]);
+      undo.papers.push({ row: paper, ...related });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      recordChanges(db, keepId, fields, USER_ORIGIN);
+      db.run(
+        `UPDATE papers SET ${columns.map(col => `${col} = ?`).join(', ')}, modified_date = ? WHERE id = ?`,
+        [...columns.map(col => fields[col]), new Date().toISOString(), keepId]
+      );
+      for (const col of columns) {
+        undo.fields[col] = { from: keep[col], to: fields[col] };
+      }
+    }
+
+    db.run(
+      'INSERT INTO paper_merges (kept_paper_id, merged_paper_ids, undo_data, merged_date) VALUES (?, ?, ?, ?)',
+      [keepId, JSON.stringify(ids), JSON.stringify(undo), new Date().toISOString()]
+    );
+    const mergeId = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+
+    db.run('COMMIT');
+    return mergeId;
+  } catch (e) {
+    db.run('ROLLBACK');
+    throw e;
+  }
+}
+
+/**
+ * Recorded merges, newest first
+ * @param {Object} db - sql.js database instance
+ * @returns {Array<{id: number, kept_paper_id: number, merged_paper_ids: number[], merged_titles: string[], merged_date: string}>}
+ */
+export function getMerges(db) {
+  return rowsToObjects(db.exec(`
+    SELECT id, kept_paper_id, merged_paper_ids, undo_data, merged_date
+    FROM paper_merges ORDER BY id DESC
+  `)).map(merge => {
+    const undo = JSON.parse(merge.undo_data);
+    return {
+      id: merge.id,
+      kept_paper_id: merge.kept_paper_id,
+      merged_paper_ids: JSON.parse(merge.merged_paper_ids),
+      merged_titles: undo.papers.map(p => p.row.title),
+      merged_date: merge.merged_date
+    };
+  });
+}
+
+/**
+ * Undo a merge: restore the merged papers and move their rows back. Fields
+ * of the kept paper are restored only if they still hold the merged value.
+ * Does not save.
+ * @param {Object} db - sql.js database instance
+ * @param {number} mergeId
+ * @returns {number[]} IDs of all papers involved (kept first)
+ */
+export function undoMerge(db, mergeId) {
+  const record = rowsToObjects(db.exec('SELECT * FROM paper_merges WHERE id = ?', [mergeId]))[0];
+  if (!record) throw new Error('Merge not found');
+
+  const keepId = record.kept_paper_id;
+  const keep = getPaperRow(db, keepId);
+  if (!keep) throw new Error('The merged paper has since been deleted or merged again');
+
+  const undo = JSON.parse(record.undo_data);
+
+  db.run('BEGIN TRANSACTION');
+  try {
+    // Kept paper first, so a bibcode it took is free for the restored paper
+    const restore = Object.entries(undo.fields).filter(([col, change]) => keep[col] === change.to);
+    if (restore.length > 0) {
+      recordChanges(db, keepId, Object.fromEntries(restore.map(([col, change]) => [col, change.from])), USER_ORIGIN);
+      db.run(
+        `UPDATE papers SET ${restore.map(([col]) => `${col} = ?`).join(', ')} WHERE id = ?`,
+        [...restore.map(([, change]) => change.from), keepId]
+      );
+    }
+
+    for (const paper of undo.papers) {
+      const mergedId = paper.row.id;
+      insertRow(db, 'papers', paper.row);
+
+      for (const [table, ids] of Object.entries(paper.moved)) {
+        if (!tableExists(db, table)) continue;
+        db.run(
+          `UPDATE ${table} SET paper_id = ? WHERE paper_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+          [mergedId, keepId, ...ids]
+        );
+      }
+
+      for (const [table, rows] of Object.entries(paper.dropped)) {
+        if (!tableExists(db, table)) continue;
+        for (const row of rows) insertRow(db, table, row, true);
+      }
+
+      for (const [table, keyColumn, keyTable] of JUNCTION_TABLES) {
+        const junction = paper.junctions[table];
+        if (!junction || !tableExists(db, table)) continue;
+        for (const key of junction.added) {
+          db.run(`DELETE FROM ${table} WHERE paper_id = ? AND ${keyColumn} = ?`, [keepId, key]);
+        }
+        // Skip collections or tags deleted since the merge
+        for (const key of junction.keys) {
+          db.run(
+            `INSERT OR IGNORE INTO ${table} (paper_id, ${keyColumn}) SELECT ?, id FROM ${keyTable} WHERE id = ?`,
+            [mergedId, key]
+          );
+        }
+      }
+
+      for (const [table, ids] of Object.entries(paper.relinked)) {
+        if (!tableExists(db, table)) continue;
+        db.run(
+          `UPDATE ${table} SET linked_paper_id = ? WHERE linked_paper_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+          [mergedId, keepId, ...ids]
+        );
+      }
+    }
+
+    db.run('DELETE FROM paper_merges WHERE id = ?', [mergeId]);
+    db.run('COMMIT');
+  } catch (e) {
+    db.run('ROLLBACK');
+    throw e;
+  }
+
+  return [keepId, ...undo.papers.map(p => p.row.id)];
+}
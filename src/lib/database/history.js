@@ -0,0 +1,221 @@
+/**
+ * Bibliac Core - Paper Edit History
+ *
+ * Every change to a paper's bibliographic metadata is recorded in
+ * paper_history with its old and new value, when it happened and where it
+ * came from (its origin): 'user' for edits made in the app, 'ads-sync' for
+ * ADS lookups and syncs, 'llm-extract' for identifiers found by the LLM, or
+ * 'pdf-text' for identifiers read from a PDF's text when it is imported.
+ *
+ * Fields listed in papers.locked_fields (a JSON array) are never changed by
+ * anything but the user, so a sync can't undo a manual correction.
+ *
+ * Values are stored as they are in the papers table (authors and keywords
+ * as JSON text). Used by both the desktop (database.cjs) and mobile
+ * (mobile-database.js) databases. Nothing here saves the database.
+ */
+
+/**
+ * Origin of changes made by the user
+ */
+export const USER_ORIGIN = 'user';
+
+/**
+ * Paper fields whose changes are recorded and which can be locked
+ */
+export const HISTORY_FIELDS = [
+  'title', 'authors', 'year', 'journal', 'abstract', 'keywords',
+  'doi', 'arxiv_id', 'bibcode', 'bibtex'
+];
+
+// Fields stored as JSON arrays
+const JSON_FIELDS = ['authors', 'keywords'];
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+/**
+ * Convert a value to how it is stored in the papers table
+ * @param {string} field
+ * @param {*} value
+ * @returns {string|number|null}
+ */
+export function toStoredValue(field, value) {
+  if (value === undefined || value === null) return null;
+  if (JSON_FIELDS.includes(field) && typeof value !== 'string') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Convert a stored value back to what updatePaper accepts
+ * @param {string} field
+ * @param {string|null} value - Value as recorded in paper_history
+ * @returns {*}
+ */
+export function fromStoredValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (JSON_FIELDS.includes(field)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  if (field === 'year') {
+    const year = parseInt(value, 10);
+    return Number.isNaN(year) ? null : year;
+  }
+  return value;
+}
+
+// Compare stored values; null and empty text both mean "no value"
+function sameValue(a, b) {
+  const normalize = value => (value === null || value === '' ? null : String(value));
+  return normalize(a) === normalize(b);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCKED FIELDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fields of a paper that only the user may change
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @returns {string[]}
+ */
+export function getLockedFields(db, paperId) {
+  const result = db.exec('SELECT locked_fields FROM papers WHERE id = ?', [paperId]);
+  const value = result[0]?.values[0]?.[0];
+  if (!value) return [];
+  try {
+    const fields = JSON.parse(value);
+    return Array.isArray(fields) ? fields.filter(field => HISTORY_FIELDS.includes(field)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Lock or unlock a field of a paper
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @param {string} field - One of HISTORY_FIELDS
+ * @param {boolean} locked
+ * @returns {string[]} The paper's locked fields afterwards
+ */
+export function setFieldLocked(db, paperId, field, locked) {
+  if (!HISTORY_FIELDS.includes(field)) {
+    throw new Error(`Field "${field}" can't be locked`);
+  }
+  const fields = new Set(getLockedFields(db, paperId));
+  if (locked) {
+    fields.add(field);
+  } else {
+    fields.delete(field);
+  }
+  const list = HISTORY_FIELDS.filter(name => fields.has(name));
+  db.run('UPDATE papers SET locked_fields = ? WHERE id = ?', [list.length ? JSON.stringify(list) : null, paperId]);
+  return list;
+}
+
+/**
+ * Drop updates to locked fields unless the user is making them
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @param {Object} updates - Field updates
+ * @param {string} origin
+ * @returns {{updates: Object, skipped: string[]}} The updates to apply and
+ *   the locked fields that were left alone
+ */
+export function withoutLockedFields(db, paperId, updates, origin) {
+  if (origin === USER_ORIGIN) return { updates, skipped: [] };
+  const locked = getLockedFields(db, paperId);
+  if (!locked.length) return { updates, skipped: [] };
+
+  const allowed = {};
+  const skipped = [];
+  for (const [field, value] of Object.entries(updates)) {
+    if (locked.includes(field)) {
+      skipped.push(field);
+    } else {
+      allowed[field] = value;
+    }
+  }
+  return { updates: allowed, skipped };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HISTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record the changes an update is about to make. Call before the update is
+ * written; fields whose value doesn't change are not recorded.
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @param {Object} updates - Field updates, as passed to updatePaper
+ * @param {string} origin
+ * @param {Date} [now]
+ * @returns {number} Changes recorded
+ */
+export function recordChanges(db, paperId, updates, origin, now = new Date()) {
+  const fields = Object.keys(updates).filter(field => HISTORY_FIELDS.includes(field));
+  if (!fields.length) return 0;
+
+  const current = db.exec(`SELECT ${fields.join(', ')} FROM papers WHERE id = ?`, [paperId])[0]?.values[0];
+  if (!current) return 0;
+
+  let recorded = 0;
+  for (const [i, field] of fields.entries()) {
+    const oldValue = current[i];
+    const newValue = toStoredValue(field, updates[field]);
+    if (sameValue(oldValue, newValue)) continue;
+    db.run(
+      `INSERT INTO paper_history (paper_id, field, old_value, new_value, origin, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        paperId, field,
+        oldValue === null ? null : String(oldValue),
+        newValue === null ? null : String(newValue),
+        origin || USER_ORIGIN, now.toISOString()
+      ]
+    );
+    recorded++;
+  }
+  return recorded;
+}
+
+/**
+ * A paper's recorded changes, newest first
+ * @param {Object} db - sql.js database instance
+ * @param {number} paperId
+ * @returns {{id: number, paper_id: number, field: string, old_value: string|null,
+ *   new_value: string|null, origin: string, changed_at: string}[]}
+ */
+export function getPaperHistory(db, paperId) {
+  return rowsToObjects(db.exec(
+    'SELECT * FROM paper_history WHERE paper_id = ? ORDER BY changed_at DESC, id DESC',
+    [paperId]
+  ));
+}
+
+/**
+ * The update that puts a field back to its value before a recorded change
+ * @param {Object} db - sql.js database instance
+ * @param {number} entryId - paper_history row ID
+ * @returns {{paperId: number, field: string, updates: Object}|null} Null if
+ *   the entry doesn't exist
+ */
+export function getRevertUpdate(db, entryId) {
+  const entry = rowsToObjects(db.exec('SELECT * FROM paper_history WHERE id = ?', [entryId]))[0];
+  if (!entry) return null;
+  return {
+    paperId: entry.paper_id,
+    field: entry.field,
+    updates: { [entry.field]: fromStoredValue(entry.field, entry.old_value) }
+  };
+}
@@ -4,5 +4,6 @@
  * Platform-agnostic database operations using sql.js.
  */
 
-export { DatabaseManager, createDatabaseManager } from './database-manager.js';
-export { SCHEMA_SQL, INDEXES_SQL, MIGRATIONS, applySchema, PAPER_COLUMNS, DEFAULT_SORT } from './schema.js';
+export { DatabaseManager, createDatabaseManager, normalizeTagName } from './database-manager.js';
+export { SCHEMA_SQL, INDEXES_SQL, MIGRATIONS, AGGREGATE_TRIGGERS_SQL, applySchema, PAPER_COLUMNS, DEFAULT_SORT, PAPER_SORT_COLUMNS } from './schema.js';
+export { SCHEMA_MIGRATIONS, SCHEMA_VERSION, SchemaVersionError, getSchemaVersion, runMigrations } from './migrations.js';
@@ -0,0 +1,632 @@
+/**
+ * Bibliac Core - Library Merge
+ *
+ * Merges two copies of a library that were changed independently, e.g. when
+ * iCloud keeps both "library.sqlite" and a "library 2.sqlite" written by
+ * another Mac. Row ids differ between copies, so rows are matched by stable
+ * keys instead:
+ *
+ * - papers: bibcode, DOI, arXiv ID, or title and year
+ * - annotations: paper, page and creation time
+ * - collections: name path ("Thesis/Chapter 2"); tags and smart searches: name
+ * - reading list: bibcode
+ * - a paper's files, summaries, Q&A, page rotations, sources and edit history
+ *
+ * With a base (the last copy both devices had), the merge is three-way: a
+ * change, addition or removal made on one side only is applied. A value both
+ * sides changed differently is a conflict, kept as it is here unless the
+ * resolutions say otherwise; bookkeeping values (dates, counts, paths) go to
+ * whichever side changed the row last instead. A row removed on one side but
+ * changed on the other is kept. Without a base nothing counts as removed and
+ * differing values are conflicts unless one side is empty.
+ *
+ * A base only counts when it is proven to be a common ancestor: every merge
+ * writes a new sync stamp (metadata.sync_stamp) into its result, and the
+ * base is used only if it carries the same stamp as both copies. A copy of a
+ * library that merely looks older (e.g. this device's own file from before a
+ * restart) has no such proof, and treating it as the base would purge rows
+ * added since as "removed on the other side".
+ *
+ * Cached references, citations and embeddings are not merged; they are
+ * fetched or rebuilt again. Neither are authors: papers whose author list
+ * changed are linked again (see authors.js).
+ *
+ * Used by the desktop database (database.cjs). Both copies (and the base)
+ * must have the same schema version. The merge is written into `ours` in
+ * place, so callers pass a copy they can discard. Nothing here saves.
+ */
+
+import { HISTORY_FIELDS } from './history.js';
+import { purgePapers } from './trash.js';
+import { syncPaperAuthors, backfillPaperAuthors } from './authors.js';
+
+/**
+ * Paper fields the user decides on when both sides changed them; other
+ * fields follow the side that modified the paper last
+ */
+const PAPER_CONFLICT_FIELDS = [...HISTORY_FIELDS, 'read_status', 'rating', 'deleted_at', 'locked_fields'];
+
+/**
+ * Rows that belong to a paper: key columns (after the paper), fields the
+ * user decides on, and the column telling which side changed a row last
+ */
+const PAPER_ROW_TABLES = [
+  { table: 'annotations', key: ['page_number', 'created_at'], conflictFields: ['note_content', 'color'], timestamp: 'updated_at' },
+  { table: 'paper_files', key: ['filename'], timestamp: 'added_date' },
+  { table: 'attachments', key: ['filename'], timestamp: 'added_date' },
+  { table: 'paper_summaries', key: [], timestamp: 'generated_date' },
+  { table: 'paper_qa', key: ['created_date', 'question'] },
+  { table: 'pdf_page_rotations', key: ['pdf_source', 'page_number'] },
+  { table: 'paper_sources', key: ['source'], timestamp: 'last_synced' },
+  { table: 'paper_history', key: ['changed_at', 'field', 'origin', 'new_value'] }
+];
+
+const SIDES = ['ours', 'theirs', 'base'];
+
+const SYNC_STAMP_KEY = 'sync_stamp';
+
+/**
+ * Generation a library copy descends from, written by the last merge
+ * @param {Object} db - sql.js database
+ * @returns {string|null}
+ */
+function getSyncStamp(db) {
+  const result = db.exec('SELECT value FROM metadata WHERE key = ?', [SYNC_STAMP_KEY]);
+  return result[0]?.values[0][0] ?? null;
+}
+
+function newSyncStamp() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Whether both copies descend from the base: all three carry the stamp of
+ * the merge that produced it
+ */
+function isCommonAncestor(base, ours, theirs) {
+  const stamp = getSyncStamp(base);
+  return stamp !== null && getSyncStamp(ours) === stamp && getSyncStamp(theirs) === stamp;
+}
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function columnsOf(db, table) {
+  return db.exec(`PRAGMA table_info(${table})`)[0]?.values.map(row => row[1]) || [];
+}
+
+function parseAuthors(value) {
+  try {
+    const authors = JSON.parse(value || '[]');
+    return Array.isArray(authors) ? authors : [];
+  } catch {
+    return [];
+  }
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Compare stored values; null and empty text both mean "no value"
+function sameValue(a, b) {
+  const normalize = value => (isEmpty(value) ? null : String(value));
+  return normalize(a) === normalize(b);
+}
+
+function changedFrom(fields, row, baseRow) {
+  return fields.some(field => !sameValue(row[field], baseRow[field]));
+}
+
+function insertRow(db, table, columns, row, overrides = {}, orIgnore = false) {
+  const values = columns.map(col => (col in overrides ? overrides[col] : row[col] ?? null));
+  db.run(
+    `INSERT ${orIgnore ? 'OR IGNORE ' : ''}INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    values
+  );
+  if (db.getRowsModified() === 0) return null;
+  return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+}
+
+function updateRow(db, table, id, updates) {
+  const fields = Object.keys(updates);
+  db.run(
+    `UPDATE ${table} SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+    [...fields.map(field => updates[field]), id]
+  );
+}
+
+/**
+ * Read the same query from every copy being merged
+ * @returns {{ours: Object[], theirs: Object[], base: Object[]|null}}
+ */
+function readAll(ctx, sql) {
+  return {
+    ours: rowsToObjects(ctx.ours.exec(sql)),
+    theirs: rowsToObjects(ctx.theirs.exec(sql)),
+    base: ctx.base ? rowsToObjects(ctx.base.exec(sql)) : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROW MERGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Decide the merged value of each field of a row present on both sides
+ * @returns {Object} Fields to take from theirs
+ */
+function mergeFields(ctx, spec, key, oursRow, theirsRow, baseRow) {
+  const updates = {};
+  for (const field of spec.fields) {
+    const oursValue = oursRow[field];
+    const theirsValue = theirsRow[field];
+    if (sameValue(oursValue, theirsValue)) continue;
+
+    let take;
+    if (baseRow) {
+      if (sameValue(baseRow[field], oursValue)) take = 'theirs';
+      else if (sameValue(baseRow[field], theirsValue)) take = 'ours';
+    } else if (isEmpty(oursValue)) {
+      take = 'theirs';
+    } else if (isEmpty(theirsValue)) {
+      take = 'ours';
+    }
+
+    if (!take && spec.conflictFields?.includes(field)) {
+      const id = `${spec.table}:${key}:${field}`;
+      ctx.conflicts.push({
+        id,
+        entity: spec.table,
+        label: spec.label(oursRow),
+        field,
+        ours: oursValue,
+        theirs: theirsValue,
+        base: baseRow ? baseRow[field] : undefined
+      });
+      const choice = typeof ctx.resolutions === 'string' ? ctx.resolutions : ctx.resolutions[id];
+      take = choice === 'theirs' ? 'theirs' : 'ours';
+    } else if (!take) {
+      // Bookkeeping value: follow whichever side changed the row last
+      const newer = spec.timestamp && (theirsRow[spec.timestamp] || '') > (oursRow[spec.timestamp] || '');
+      take = newer ? 'theirs' : 'ours';
+    }
+
+    if (take === 'theirs') updates[field] = theirsValue;
+  }
+  return updates;
+}
+
+/**
+ * Three-way merge of one table's rows by stable key
+ * @param {Object} ctx - Merge state
+ * @param {Object} spec
+ * @param {string} spec.table
+ * @param {{ours: Object[], theirs: Object[], base: Object[]|null}} spec.rows
+ * @param {function(Object, string): (string|null)} spec.key - Stable key of a
+ *   row on a side; null skips the row
+ * @param {string[]} spec.fields - Fields to merge
+ * @param {string[]} [spec.conflictFields] - Fields the user decides on
+ * @param {string} [spec.timestamp] - Column telling which side changed a row last
+ * @param {function(Object): string} spec.label - Describes a row in conflicts
+ * @param {function(Object, string): boolean} spec.insert - Adds a row from theirs
+ * @param {function(Object, Object, Object): void} spec.update - Applies
+ *   (oursRow, updates, theirsRow)
+ * @param {function(Object): void} spec.remove - Removes a row from ours
+ */
+function mergeRows(ctx, spec) {
+  const index = side => {
+    const map = new Map();
+    for (const row of spec.rows[side]) {
+      const key = spec.key(row, side);
+      if (key !== null && !map.has(key)) map.set(key, row);
+    }
+    return map;
+  };
+  const ours = index('ours');
+  const theirs = index('theirs');
+  const base = spec.rows.base ? index('base') : null;
+  const stats = ctx.stats[spec.table] || (ctx.stats[spec.table] = { added: 0, updated: 0, removed: 0 });
+
+  for (const [key, theirsRow] of theirs) {
+    const oursRow = ours.get(key);
+    const baseRow = base?.get(key);
+    if (oursRow) {
+      const updates = mergeFields(ctx, spec, key, oursRow, theirsRow, baseRow);
+      if (Object.keys(updates).length > 0) {
+        spec.update(oursRow, updates, theirsRow);
+        stats.updated++;
+      }
+    } else if (baseRow && !changedFrom(spec.fields, theirsRow, baseRow)) {
+      // Removed here and untouched there
+    } else if (spec.insert(theirsRow, key)) {
+      stats.added++;
+    }
+  }
+
+  if (!base) return;
+  for (const [key, oursRow] of ours) {
+    if (theirs.has(key)) continue;
+    const baseRow = base.get(key);
+    if (baseRow && !changedFrom(spec.fields, oursRow, baseRow)) {
+      // Removed there and untouched here
+      spec.remove(oursRow);
+      stats.removed++;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIBRARY-LEVEL TABLES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Name path of each collection ("Parent/Child"), by id
+ */
+function collectionPaths(rows) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const paths = new Map();
+  const pathOf = (row, depth = 0) => {
+    if (paths.has(row.id)) return paths.get(row.id);
+    const parent = byId.get(row.parent_id);
+    const result = parent && depth < 32 ? `${pathOf(parent, depth + 1)}/${row.name}` : row.name;
+    paths.set(row.id, result);
+    return result;
+  };
+  rows.forEach(row => pathOf(row));
+  return paths;
+}
+
+function mergeCollections(ctx) {
+  const rows = readAll(ctx, 'SELECT * FROM collections');
+  for (const side of SIDES) {
+    ctx.collectionPaths[side] = rows[side] ? collectionPaths(rows[side]) : new Map();
+  }
+  for (const [id, collectionPath] of ctx.collectionPaths.ours) ctx.collectionIds.set(collectionPath, id);
+
+  // Parents before children
+  const depth = side => row => ctx.collectionPaths[side].get(row.id).split('/').length;
+  rows.theirs.sort((a, b) => depth('theirs')(a) - depth('theirs')(b));
+
+  const columns = columnsOf(ctx.ours, 'collections').filter(col => col !== 'id');
+  mergeRows(ctx, {
+    table: 'collections',
+    rows,
+    key: (row, side) => ctx.collectionPaths[side].get(row.id),
+    fields: ['is_smart', 'query'],
+    conflictFields: ['query'],
+    label: row => ctx.collectionPaths.ours.get(row.id),
+    insert: (row, key) => {
+      const parentPath = key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : null;
+      const id = insertRow(ctx.ours, 'collections', columns, row, {
+        parent_id: parentPath ? ctx.collectionIds.get(parentPath) ?? null : null
+      });
+      ctx.collectionIds.set(key, id);
+      return true;
+    },
+    update: (row, updates) => updateRow(ctx.ours, 'collections', row.id, updates),
+    remove: row => {
+      ctx.ours.run('DELETE FROM paper_collections WHERE collection_id = ?', [row.id]);
+      ctx.ours.run('DELETE FROM collections WHERE id = ?', [row.id]);
+      ctx.collectionIds.delete(ctx.collectionPaths.ours.get(row.id));
+    }
+  });
+}
+
+function mergeTags(ctx) {
+  const rows = readAll(ctx, 'SELECT * FROM tags');
+  for (const side of SIDES) {
+    ctx.tagNames[side] = new Map((rows[side] || []).map(row => [row.id, row.name.toLowerCase()]));
+  }
+  for (const [id, name] of ctx.tagNames.ours) ctx.tagIds.set(name, id);
+
+  const columns = columnsOf(ctx.ours, 'tags').filter(col => col !== 'id');
+  mergeRows(ctx, {
+    table: 'tags',
+    rows,
+    key: row => row.name.toLowerCase(),
+    fields: ['color'],
+    label: row => row.name,
+    insert: (row, key) => {
+      ctx.tagIds.set(key, insertRow(ctx.ours, 'tags', columns, row));
+      return true;
+    },
+    update: (row, updates) => updateRow(ctx.ours, 'tags', row.id, updates),
+    remove: row => {
+      ctx.ours.run('DELETE FROM paper_tags WHERE tag_id = ?', [row.id]);
+      ctx.ours.run('DELETE FROM tags WHERE id = ?', [row.id]);
+      ctx.tagIds.delete(row.name.toLowerCase());
+    }
+  });
+}
+
+function mergeSmartSearches(ctx) {
+  const rows = readAll(ctx, 'SELECT * FROM smart_searches');
+  const columns = columnsOf(ctx.ours, 'smart_searches').filter(col => col !== 'id');
+  const resultColumns = columnsOf(ctx.ours, 'smart_search_results').filter(col => col !== 'id');
+
+  // Cached results follow the query they were fetched for
+  const copyResults = (theirsSearchId, oursSearchId) => {
+    ctx.ours.run('DELETE FROM smart_search_results WHERE search_id = ?', [oursSearchId]);
+    const results = rowsToObjects(ctx.theirs.exec('SELECT * FROM smart_search_results WHERE search_id = ?', [theirsSearchId]));
+    for (const result of results) {
+      insertRow(ctx.ours, 'smart_search_results', resultColumns, result, { search_id: oursSearchId }, true);
+    }
+  };
+
+  mergeRows(ctx, {
+    table: 'smart_searches',
+    rows,
+    key: row => row.name,
+    fields: columns.filter(col => !['name', 'created_date'].includes(col)),
+    conflictFields: ['query', 'sort_order'],
+    timestamp: 'last_refresh_date',
+    label: row => row.name,
+    insert: row => {
+      copyResults(row.id, insertRow(ctx.ours, 'smart_searches', columns, row));
+      return true;
+    },
+    update: (row, updates, theirsRow) => {
+      updateRow(ctx.ours, 'smart_searches', row.id, updates);
+      if ('query' in updates || 'last_refresh_date' in updates) copyResults(theirsRow.id, row.id);
+    },
+    remove: row => {
+      ctx.ours.run('DELETE FROM smart_search_results WHERE search_id = ?', [row.id]);
+      ctx.ours.run('DELETE FROM smart_searches WHERE id = ?', [row.id]);
+    }
+  });
+}
+
+function mergeReadingList(ctx) {
+  const columns = columnsOf(ctx.ours, 'reading_list').filter(col => col !== 'id');
+  mergeRows(ctx, {
+    table: 'reading_list',
+    rows: readAll(ctx, 'SELECT * FROM reading_list'),
+    key: row => row.bibcode,
+    fields: columns.filter(col => !['bibcode', 'added_date'].includes(col)),
+    timestamp: 'last_viewed_date',
+    label: row => row.title,
+    insert: row => insertRow(ctx.ours, 'reading_list', columns, row, {}, true) !== null,
+    update: (row, updates) => updateRow(ctx.ours, 'reading_list', row.id, updates),
+    remove: row => ctx.ours.run('DELETE FROM reading_list WHERE id = ?', [row.id])
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PAPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Keys a paper can be matched by, most reliable first
+ * @param {Object} paper
+ * @returns {string[]}
+ */
+export function paperMatchKeys(paper) {
+  const keys = [];
+  if (paper.bibcode) keys.push(`bibcode:${paper.bibcode}`);
+  if (paper.doi) keys.push(`doi:${String(paper.doi).toLowerCase()}`);
+  if (paper.arxiv_id) keys.push(`arxiv:${String(paper.arxiv_id).replace(/v\d+$/, '')}`);
+  if (paper.title) {
+    const title = String(paper.title).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (title) keys.push(`title:${title}|${paper.year || ''}`);
+  }
+  return keys;
+}
+
+function indexByMatchKeys(rows) {
+  const index = new Map();
+  for (const row of rows) {
+    for (const key of paperMatchKeys(row)) {
+      if (!index.has(key)) index.set(key, row);
+    }
+  }
+  return index;
+}
+
+function findMatch(index, row) {
+  for (const key of paperMatchKeys(row)) {
+    if (index.has(key)) return index.get(key);
+  }
+  return null;
+}
+
+/**
+ * Give each paper on every side one key, shared by the rows that match
+ */
+function assignPaperKeys(ctx, rows) {
+  const ownKey = (row, side) => paperMatchKeys(row)[0] || `${side}:${row.id}`;
+  const oursIndex = indexByMatchKeys(rows.ours);
+  const theirsIndex = indexByMatchKeys(rows.theirs);
+
+  for (const row of rows.ours) {
+    const key = ownKey(row, 'ours');
+    ctx.paperKeys.ours.set(row.id, key);
+    ctx.paperIds.set(key, row.id);
+    ctx.paperTitles.set(row.id, row.title || 'Untitled');
+  }
+  for (const row of rows.theirs) {
+    const match = findMatch(oursIndex, row);
+    ctx.paperKeys.theirs.set(row.id, match ? ctx.paperKeys.ours.get(match.id) : ownKey(row, 'theirs'));
+  }
+  for (const row of rows.base || []) {
+    const oursMatch = findMatch(oursIndex, row);
+    const theirsMatch = oursMatch ? null : findMatch(theirsIndex, row);
+    ctx.paperKeys.base.set(row.id,
+      oursMatch ? ctx.paperKeys.ours.get(oursMatch.id)
+        : theirsMatch ? ctx.paperKeys.theirs.get(theirsMatch.id)
+          : ownKey(row, 'base'));
+  }
+}
+
+function mergePapers(ctx) {
+  const rows = readAll(ctx, 'SELECT * FROM papers');
+  assignPaperKeys(ctx, rows);
+
+  const columns = columnsOf(ctx.ours, 'papers').filter(col => col !== 'id');
+  mergeRows(ctx, {
+    table: 'papers',
+    rows,
+    key: (row, side) => ctx.paperKeys[side].get(row.id),
+    fields: columns.filter(col => !['added_date', 'modified_date'].includes(col)),
+    conflictFields: PAPER_CONFLICT_FIELDS,
+    timestamp: 'modified_date',
+    label: row => row.title || row.bibcode || 'Untitled',
+    insert: (row, key) => {
+      const id = insertRow(ctx.ours, 'papers', columns, row);
+      ctx.paperIds.set(key, id);
+      ctx.paperTitles.set(id, row.title || 'Untitled');
+      return true;
+    },
+    update: (row, updates, theirsRow) => {
+      const modified = [row.modified_date, theirsRow.modified_date].filter(Boolean).sort().pop() || null;
+      updateRow(ctx.ours, 'papers', row.id, { ...updates, modified_date: modified });
+      if ('authors' in updates) {
+        syncPaperAuthors(ctx.ours, row.id, parseAuthors(updates.authors));
+      }
+    },
+    remove: row => {
+      // Purged once everything else is merged
+      ctx.removedPaperIds.push(row.id);
+      ctx.paperIds.delete(ctx.paperKeys.ours.get(row.id));
+    }
+  });
+}
+
+/**
+ * Read rows that belong to papers. The base only counts for papers both
+ * sides have: the rows of a paper one side removed and the other changed
+ * (so it is kept) all stay.
+ */
+function readPaperRows(ctx, table) {
+  const rows = readAll(ctx, `SELECT * FROM ${table}`);
+  if (rows.base) {
+    const oursKeys = new Set(ctx.paperKeys.ours.values());
+    const theirsKeys = new Set(ctx.paperKeys.theirs.values());
+    rows.base = rows.base.filter(row => {
+      const key = ctx.paperKeys.base.get(row.paper_id);
+      return oursKeys.has(key) && theirsKeys.has(key);
+    });
+  }
+  return rows;
+}
+
+/**
+ * Merge rows that belong to papers, e.g. annotations
+ */
+function mergePaperRows(ctx, { table, key, conflictFields, timestamp }) {
+  const columns = columnsOf(ctx.ours, table).filter(col => col !== 'id');
+  const paperKey = (row, side) => ctx.paperKeys[side].get(row.paper_id) ?? null;
+
+  mergeRows(ctx, {
+    table,
+    rows: readPaperRows(ctx, table),
+    key: (row, side) => {
+      const paper = paperKey(row, side);
+      return paper === null ? null : [paper, ...key.map(col => row[col] ?? '')].join('|');
+    },
+    fields: columns.filter(col => col !== 'paper_id' && !key.includes(col)),
+    conflictFields,
+    timestamp,
+    label: row => (row.page_number
+      ? `${ctx.paperTitles.get(row.paper_id)} (page ${row.page_number})`
+      : ctx.paperTitles.get(row.paper_id)),
+    insert: row => {
+      const paperId = ctx.paperIds.get(ctx.paperKeys.theirs.get(row.paper_id));
+      if (paperId === undefined) return false;
+      return insertRow(ctx.ours, table, columns, row, { paper_id: paperId }, true) !== null;
+    },
+    update: (row, updates) => updateRow(ctx.ours, table, row.id, updates),
+    remove: row => ctx.ours.run(`DELETE FROM ${table} WHERE id = ?`, [row.id])
+  });
+}
+
+/**
+ * Merge a paper's membership in collections or tags
+ */
+function mergeMemberships(ctx, { table, column, names, ids }) {
+  const key = (row, side) => {
+    const paper = ctx.paperKeys[side].get(row.paper_id);
+    const name = names[side].get(row[column]);
+    return paper === undefined || name === undefined ? null : `${paper}|${name}`;
+  };
+
+  mergeRows(ctx, {
+    table,
+    rows: readPaperRows(ctx, table),
+    key,
+    fields: [],
+    label: () => '',
+    insert: row => {
+      const paperId = ctx.paperIds.get(ctx.paperKeys.theirs.get(row.paper_id));
+      const targetId = ids.get(names.theirs.get(row[column]));
+      if (paperId === undefined || targetId === undefined) return false;
+      ctx.ours.run(`INSERT OR IGNORE INTO ${table} (paper_id, ${column}) VALUES (?, ?)`, [paperId, targetId]);
+      return ctx.ours.getRowsModified() > 0;
+    },
+    update: () => {},
+    remove: row => ctx.ours.run(
+      `DELETE FROM ${table} WHERE paper_id = ? AND ${column} = ?`,
+      [row.paper_id, row[column]]
+    )
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MERGE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge another copy of a library into this one. The result gets a new
+ * sync stamp, so a copy of it can serve as the base of the next merge.
+ * @param {Object} ours - sql.js database to merge into (modified in place)
+ * @param {Object} theirs - sql.js database with the other device's changes
+ * @param {Object|null} [base] - sql.js database with the last merge result;
+ *   ignored unless both copies carry its sync stamp
+ * @param {Object<string, 'ours'|'theirs'>|'ours'|'theirs'} [resolutions] -
+ *   Choice per conflict id, or one choice for every conflict; unresolved
+ *   conflicts keep our value
+ * @returns {{conflicts: {id: string, entity: string, label: string, field: string,
+ *   ours: *, theirs: *, base: *}[], stats: Object<string, {added: number,
+ *   updated: number, removed: number}>, threeWay: boolean}} Every conflict
+ *   found (resolved or not), what changed per table, and whether the base
+ *   was used
+ */
+export function mergeLibraries(ours, theirs, base = null, resolutions = {}) {
+  const threeWay = Boolean(base) && isCommonAncestor(base, ours, theirs);
+  const ctx = {
+    ours,
+    theirs,
+    base: threeWay ? base : null,
+    resolutions,
+    conflicts: [],
+    stats: {},
+    paperKeys: { ours: new Map(), theirs: new Map(), base: new Map() },
+    paperIds: new Map(),
+    paperTitles: new Map(),
+    removedPaperIds: [],
+    collectionPaths: {},
+    collectionIds: new Map(),
+    tagNames: {},
+    tagIds: new Map()
+  };
+
+  mergeCollections(ctx);
+  mergeTags(ctx);
+  mergeSmartSearches(ctx);
+  mergeReadingList(ctx);
+  mergePapers(ctx);
+  for (const spec of PAPER_ROW_TABLES) {
+    mergePaperRows(ctx, spec);
+  }
+  mergeMemberships(ctx, { table: 'paper_collections', column: 'collection_id', names: ctx.collectionPaths, ids: ctx.collectionIds });
+  mergeMemberships(ctx, { table: 'paper_tags', column: 'tag_id', names: ctx.tagNames, ids: ctx.tagIds });
+
+  purgePapers(ours, ctx.removedPaperIds);
+  backfillPaperAuthors(ours);
+  ours.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', [SYNC_STAMP_KEY, newSyncStamp()]);
+
+  return { conflicts: ctx.conflicts, stats: ctx.stats, threeWay };
+}
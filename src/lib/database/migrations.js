@@ -0,0 +1,371 @@
+/**
+ * Bibliac Core - Schema Migrations
+ *
+ * Ordered, numbered schema migrations run by both the desktop (database.cjs)
+ * and mobile (mobile-database.js) databases when a library is opened. The
+ * library's version is stored as metadata.schema_version.
+ *
+ * - Pending migrations run in order, each in its own transaction that also
+ *   records the new version, so a failed migration leaves the library at the
+ *   last version that completed
+ * - A backup of the library is taken before the first pending migration
+ * - A library with a newer schema than this app knows is refused with a
+ *   SchemaVersionError instead of being opened (and re-saved) by old code
+ *
+ * Libraries created before versioning have no schema_version and start at 0.
+ * Migrations 1 and 2 only create what is missing, so they also adopt those
+ * libraries, whichever platform last touched them. Later migrations can
+ * assume the version they follow.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit or reorder a released migration.
+ */
+
+import { applySchema } from './schema.js';
+
+/**
+ * Error thrown when a library was last saved with a newer schema
+ */
+export class SchemaVersionError extends Error {
+  constructor(libraryVersion, appVersion) {
+    super(
+      `This library uses database schema version ${libraryVersion}, but this version of Bibliac ` +
+      `only supports up to version ${appVersion}. Update Bibliac to open it.`
+    );
+    this.name = 'SchemaVersionError';
+    this.libraryVersion = libraryVersion;
+    this.appVersion = appVersion;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MIGRATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Plugin data tables: multiple sources per paper and cached refs/cites
+ */
+const PLUGIN_TABLES_SQL = `
+-- Paper source links (multiple sources per paper)
+-- Tracks where each paper came from and what capabilities that source has
+CREATE TABLE IF NOT EXISTS paper_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  paper_id INTEGER NOT NULL,
+
+  -- Source identification
+  source TEXT NOT NULL,           -- 'ads', 'arxiv', 'inspire'
+  source_id TEXT NOT NULL,        -- bibcode, arxiv ID, recid
+
+  -- Source-specific metadata (JSON)
+  source_metadata TEXT,           -- _inspire, _arxiv, etc.
+
+  -- Capabilities at time of import
+  has_references INTEGER DEFAULT 0,
+  has_citations INTEGER DEFAULT 0,
+  has_pdf INTEGER DEFAULT 0,
+  has_bibtex INTEGER DEFAULT 0,
+
+  -- Priority for selecting best source (lower = preferred)
+  -- Stored from plugin.capabilities.priority at import time
+  priority INTEGER DEFAULT 50,
+
+  -- Sync tracking
+  last_synced TEXT,
+  is_primary INTEGER DEFAULT 0,   -- Preferred source for this paper
+
+  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+  UNIQUE(paper_id, source),
+  UNIQUE(source, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_sources_paper ON paper_sources(paper_id);
+CREATE INDEX IF NOT EXISTS idx_paper_sources_source ON paper_sources(source, source_id);
+
+-- Cached references (7-day freshness)
+-- Papers that this paper cites
+CREATE TABLE IF NOT EXISTS paper_references (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  paper_id INTEGER NOT NULL,
+
+  -- Reference identifiers (for linking to library papers)
+  ref_doi TEXT,
+  ref_arxiv_id TEXT,
+  ref_bibcode TEXT,
+  ref_inspire_id TEXT,
+
+  -- Reference metadata
+  ref_title TEXT,
+  ref_authors TEXT,
+  ref_year INTEGER,
+  ref_journal TEXT,
+  ref_citation_count INTEGER,
+
+  -- Source tracking
+  source_plugin TEXT NOT NULL,    -- Which plugin provided this ref
+  cached_at TEXT NOT NULL,
+
+  -- Link to library paper if exists (resolved on display)
+  linked_paper_id INTEGER,
+
+  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+  FOREIGN KEY (linked_paper_id) REFERENCES papers(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_refs_paper ON paper_references(paper_id);
+CREATE INDEX IF NOT EXISTS idx_paper_refs_cached ON paper_references(cached_at);
+CREATE INDEX IF NOT EXISTS idx_paper_refs_doi ON paper_references(ref_doi);
+CREATE INDEX IF NOT EXISTS idx_paper_refs_arxiv ON paper_references(ref_arxiv_id);
+CREATE INDEX IF NOT EXISTS idx_paper_refs_bibcode ON paper_references(ref_bibcode);
+
+-- Cached citations (7-day freshness)
+-- Papers that cite this paper
+CREATE TABLE IF NOT EXISTS paper_citations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  paper_id INTEGER NOT NULL,
+
+  -- Citing paper identifiers
+  citing_doi TEXT,
+  citing_arxiv_id TEXT,
+  citing_bibcode TEXT,
+  citing_inspire_id TEXT,
+
+  -- Citing paper metadata
+  citing_title TEXT,
+  citing_authors TEXT,
+  citing_year INTEGER,
+  citing_journal TEXT,
+  citing_citation_count INTEGER,
+
+  -- Source tracking
+  source_plugin TEXT NOT NULL,
+  cached_at TEXT NOT NULL,
+
+  -- Link to library paper if exists
+  linked_paper_id INTEGER,
+
+  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+  FOREIGN KEY (linked_paper_id) REFERENCES papers(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_paper_cites_paper ON paper_citations(paper_id);
+CREATE INDEX IF NOT EXISTS idx_paper_cites_cached ON paper_citations(cached_at);
+CREATE INDEX IF NOT EXISTS idx_paper_cites_doi ON paper_citations(citing_doi);
+CREATE INDEX IF NOT EXISTS idx_paper_cites_arxiv ON paper_citations(citing_arxiv_id);
+CREATE INDEX IF NOT EXISTS idx_paper_cites_bibcode ON paper_citations(citing_bibcode);
+`;
+
+/**
+ * Add a column unless an earlier, unversioned app already added it
+ * @param {Object} db - sql.js database instance
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column type and constraints
+ * @returns {boolean} Whether the column was added
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const existing = db.exec(`PRAGMA table_info(${table})`)[0]?.values.map(row => row[1]) || [];
+  if (existing.includes(column)) return false;
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Schema migrations in version order. `up` runs inside a transaction and
+ * must not open its own.
+ * @type {{version: number, name: string, up: function(Object): void}[]}
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Baseline library schema',
+    up(db) {
+      applySchema(db);
+    }
+  },
+  {
+    version: 2,
+    name: 'Plugin data tables',
+    up(db) {
+      for (const stmt of PLUGIN_TABLES_SQL.split(';')) {
+        if (stmt.trim()) db.run(stmt);
+      }
+      addColumnIfMissing(db, 'papers', 'source', "TEXT DEFAULT 'ads'");
+      addColumnIfMissing(db, 'papers', 'source_id', 'TEXT');
+      db.run(`
+        UPDATE papers
+        SET source_id = bibcode
+        WHERE source = 'ads' AND bibcode IS NOT NULL AND source_id IS NULL
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'Trash',
+    up(db) {
+      db.run('ALTER TABLE papers ADD COLUMN deleted_at TEXT');
+      db.run('CREATE INDEX IF NOT EXISTS idx_papers_deleted ON papers(deleted_at)');
+    }
+  },
+  {
+    version: 4,
+    name: 'Paper edit history',
+    up(db) {
+      db.run(`
+        CREATE TABLE paper_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          paper_id INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          old_value TEXT,
+          new_value TEXT,
+          origin TEXT NOT NULL,       -- 'user', 'ads-sync', 'llm-extract' or 'pdf-text'
+          changed_at TEXT NOT NULL,
+          FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE
+        )
+      `);
+      db.run('CREATE INDEX idx_paper_history_paper ON paper_history(paper_id, changed_at)');
+      db.run('ALTER TABLE papers ADD COLUMN locked_fields TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'Authors',
+    up(db) {
+      db.run(`
+        CREATE TABLE authors (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,           -- Most complete form seen, e.g. "Abel, Tom"
+          family_key TEXT NOT NULL,     -- Normalized family name, e.g. "abel"
+          orcid TEXT
+        )
+      `);
+      db.run('CREATE INDEX idx_authors_family ON authors(family_key)');
+      db.run('CREATE INDEX idx_authors_orcid ON authors(orcid)');
+      db.run(`
+        CREATE TABLE author_aliases (
+          name_key TEXT PRIMARY KEY,    -- Normalized spelling, e.g. "abel,t g"
+          author_id INTEGER NOT NULL,
+          FOREIGN KEY (author_id) REFERENCES authors(id) ON DELETE CASCADE
+        )
+      `);
+      db.run('CREATE INDEX idx_author_aliases_author ON author_aliases(author_id)');
+      db.run(`
+        CREATE TABLE paper_authors (
+          paper_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,    -- 0-based place in papers.authors
+          author_id INTEGER NOT NULL,
+          name TEXT NOT NULL,           -- As written on the paper
+          affiliation TEXT,
+          orcid TEXT,
+          PRIMARY KEY (paper_id, position),
+          FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+          FOREIGN KEY (author_id) REFERENCES authors(id)
+        )
+      `);
+      db.run('CREATE INDEX idx_paper_authors_author ON paper_authors(author_id)');
+    }
+  },
+  {
+    version: 6,
+    name: 'Embedding chunk positions',
+    up(db) {
+      // Where a chunk sits in the extracted text (character offsets) and on
+      // which PDF page it starts; null for chunks embedded before this
+      db.run('ALTER TABLE text_embeddings ADD COLUMN page_number INTEGER');
+      db.run('ALTER TABLE text_embeddings ADD COLUMN text_start INTEGER');
+      db.run('ALTER TABLE text_embeddings ADD COLUMN text_end INTEGER');
+    }
+  },
+  {
+    version: 7,
+    name: 'File ingest state',
+    up(db) {
+      // Where a PDF is in the post-import pipeline (text, identifiers):
+      // 'pending', 'processing', 'done' or 'failed'. Files from before this
+      // count as done if their text was extracted and are otherwise left alone.
+      db.run('ALTER TABLE paper_files ADD COLUMN ingest_status TEXT');
+      db.run('ALTER TABLE paper_files ADD COLUMN ingest_error TEXT');
+      db.run("UPDATE paper_files SET ingest_status = 'done' WHERE text_extracted = 1");
+      db.run('CREATE INDEX idx_paper_files_ingest ON paper_files(ingest_status)');
+    }
+  }
+];
+
+/**
+ * Newest schema version this app knows
+ */
+export const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUNNER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read a library's schema version
+ * @param {Object} db - sql.js database instance
+ * @returns {number} 0 for new or unversioned libraries
+ */
+export function getSchemaVersion(db) {
+  try {
+    const result = db.exec("SELECT value FROM metadata WHERE key = 'schema_version'");
+    return parseInt(result[0]?.values[0]?.[0], 10) || 0;
+  } catch {
+    // No metadata table yet
+    return 0;
+  }
+}
+
+/**
+ * Whether the database has any tables (i.e. isn't a brand new library)
+ * @param {Object} db - sql.js database instance
+ * @returns {boolean}
+ */
+function hasTables(db) {
+  const result = db.exec("SELECT COUNT(*) FROM sqlite_master WHERE type = 'table'");
+  return (result[0]?.values[0]?.[0] || 0) > 0;
+}
+
+/**
+ * Bring a library's schema up to date
+ * @param {Object} db - sql.js database instance
+ * @param {Object} [options]
+ * @param {function(Uint8Array, number): (void|Promise<void>)} [options.backup] -
+ *   Saves a copy of the library (bytes, current version) before anything
+ *   changes; skipped for brand new libraries. A backup that throws stops the
+ *   migration.
+ * @returns {Promise<{from: number, to: number, applied: number[]}>}
+ * @throws {SchemaVersionError} If the library is newer than this app
+ */
+export async function runMigrations(db, options = {}) {
+  const from = getSchemaVersion(db);
+  if (from > SCHEMA_VERSION) {
+    throw new SchemaVersionError(from, SCHEMA_VERSION);
+  }
+
+  const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > from);
+  if (pending.length === 0) {
+    return { from, to: from, applied: [] };
+  }
+
+  if (options.backup && hasTables(db)) {
+    await options.backup(db.export(), from);
+  }
+
+  const applied = [];
+  for (const migration of pending) {
+    db.run('BEGIN');
+    try {
+      migration.up(db);
+      db.run(
+        "INSERT OR REPLACE INTO metadata (key, value) VALUES ('schema_version', ?)",
+        [String(migration.version)]
+      );
+      db.run('COMMIT');
+    } catch (e) {
+      db.run('ROLLBACK');
+      throw new Error(`Schema migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+    }
+    applied.push(migration.version);
+  }
+
+  return { from, to: applied[applied.length - 1], applied };
+}
@@ -1,194 +1,27 @@
 /**
- * Bibliac - Schema V2: Plugin Data Architecture
+ * Bibliac Core - Plugin Data
  *
- * Adds support for:
+ * Queries for the plugin data tables (created by schema migration 2, see
+ * migrations.js). Supports:
  * - Multiple sources per paper (ADS, arXiv, INSPIRE)
  * - Persistent refs/cites caching with 7-day freshness
  * - Paper deduplication via DOI/arXiv matching
  * - Cross-source capability tracking
+ *
+ * Used by the shared database core (database-manager.js). Nothing here saves.
  */
 
-'use strict';
-
-/**
- * SQL statements to create new plugin data tables
- */
-const PLUGIN_TABLES_SQL = `
--- Paper source links (multiple sources per paper)
--- Tracks where each paper came from and what capabilities that source has
-CREATE TABLE IF NOT EXISTS paper_sources (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  paper_id INTEGER NOT NULL,
-
-  -- Source identification
-  source TEXT NOT NULL,           -- 'ads', 'arxiv', 'inspire'
-  source_id TEXT NOT NULL,        -- bibcode, arxiv ID, recid
-
-  -- Source-specific metadata (JSON)
-  source_metadata TEXT,           -- _inspire, _arxiv, etc.
-
-  -- Capabilities at time of import
-  has_references INTEGER DEFAULT 0,
-  has_citations INTEGER DEFAULT 0,
-  has_pdf INTEGER DEFAULT 0,
-  has_bibtex INTEGER DEFAULT 0,
-
-  -- Priority for selecting best source (lower = preferred)
-  -- Stored from plugin.capabilities.priority at import time
-  priority INTEGER DEFAULT 50,
-
-  -- Sync tracking
-  last_synced TEXT,
-  is_primary INTEGER DEFAULT 0,   -- Preferred source for this paper
-
-  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
-  UNIQUE(paper_id, source),
-  UNIQUE(source, source_id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_paper_sources_paper ON paper_sources(paper_id);
-CREATE INDEX IF NOT EXISTS idx_paper_sources_source ON paper_sources(source, source_id);
-
--- Cached references (7-day freshness)
--- Papers that this paper cites
-CREATE TABLE IF NOT EXISTS paper_references (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  paper_id INTEGER NOT NULL,
-
-  -- Reference identifiers (for linking to library papers)
-  ref_doi TEXT,
-  ref_arxiv_id TEXT,
-  ref_bibcode TEXT,
-  ref_inspire_id TEXT,
-
-  -- Reference metadata
-  ref_title TEXT,
-  ref_authors TEXT,
-  ref_year INTEGER,
-  ref_journal TEXT,
-  ref_citation_count INTEGER,
-
-  -- Source tracking
-  source_plugin TEXT NOT NULL,    -- Which plugin provided this ref
-  cached_at TEXT NOT NULL,
-
-  -- Link to library paper if exists (resolved on display)
-  linked_paper_id INTEGER,
-
-  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
-  FOREIGN KEY (linked_paper_id) REFERENCES papers(id) ON DELETE SET NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_paper_refs_paper ON paper_references(paper_id);
-CREATE INDEX IF NOT EXISTS idx_paper_refs_cached ON paper_references(cached_at);
-CREATE INDEX IF NOT EXISTS idx_paper_refs_doi ON paper_references(ref_doi);
-CREATE INDEX IF NOT EXISTS idx_paper_refs_arxiv ON paper_references(ref_arxiv_id);
-CREATE INDEX IF NOT EXISTS idx_paper_refs_bibcode ON paper_references(ref_bibcode);
-
--- Cached citations (7-day freshness)
--- Papers that cite this paper
-CREATE TABLE IF NOT EXISTS paper_citations (
-  id INTEGER PRIMARY KEY AUTOINCREMENT,
-  paper_id INTEGER NOT NULL,
-
-  -- Citing paper identifiers
-  citing_doi TEXT,
-  citing_arxiv_id TEXT,
-  citing_bibcode TEXT,
-  citing_inspire_id TEXT,
-
-  -- Citing paper metadata
-  citing_title TEXT,
-  citing_authors TEXT,
-  citing_year INTEGER,
-  citing_journal TEXT,
-  citing_citation_count INTEGER,
-
-  -- Source tracking
-  source_plugin TEXT NOT NULL,
-  cached_at TEXT NOT NULL,
-
-  -- Link to library paper if exists
-  linked_paper_id INTEGER,
-
-  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
-  FOREIGN KEY (linked_paper_id) REFERENCES papers(id) ON DELETE SET NULL
-);
-
-CREATE INDEX IF NOT EXISTS idx_paper_cites_paper ON paper_citations(paper_id);
-CREATE INDEX IF NOT EXISTS idx_paper_cites_cached ON paper_citations(cached_at);
-CREATE INDEX IF NOT EXISTS idx_paper_cites_doi ON paper_citations(citing_doi);
-CREATE INDEX IF NOT EXISTS idx_paper_cites_arxiv ON paper_citations(citing_arxiv_id);
-CREATE INDEX IF NOT EXISTS idx_paper_cites_bibcode ON paper_citations(citing_bibcode);
-`;
-
-/**
- * Migrations to add source tracking columns to papers table
- */
-const PAPER_SOURCE_MIGRATIONS = [
-  // Add source column to track primary source
-  'ALTER TABLE papers ADD COLUMN source TEXT DEFAULT \'ads\'',
-  // Add source_id for the ID in that source's system
-  'ALTER TABLE papers ADD COLUMN source_id TEXT'
-];
-
 /**
  * Cache freshness in days
  */
-const CACHE_FRESHNESS_DAYS = 7;
-
-/**
- * Apply schema V2 tables to a database
- * @param {Object} db - sql.js database instance
- */
-function applySchemaV2(db) {
-  // Create new tables
-  const statements = PLUGIN_TABLES_SQL.trim().split(';').filter(s => s.trim());
-  for (const stmt of statements) {
-    if (stmt.trim()) {
-      try {
-        db.run(stmt);
-      } catch (e) {
-        // Table or index might already exist
-        if (!e.message.includes('already exists')) {
-          console.warn('[schema-v2] Warning:', e.message);
-        }
-      }
-    }
-  }
-
-  // Run migrations for papers table
-  for (const migration of PAPER_SOURCE_MIGRATIONS) {
-    try {
-      db.run(migration);
-    } catch (e) {
-      // Column already exists, ignore
-      if (!e.message.includes('duplicate column')) {
-        // Only log unexpected errors
-      }
-    }
-  }
-
-  // Backfill source_id for existing papers
-  try {
-    db.run(`
-      UPDATE papers
-      SET source_id = bibcode
-      WHERE source = 'ads' AND bibcode IS NOT NULL AND source_id IS NULL
-    `);
-  } catch (e) {
-    console.warn('[schema-v2] Backfill warning:', e.message);
-  }
-
-  console.log('[schema-v2] Plugin data tables applied');
-}
+export const CACHE_FRESHNESS_DAYS = 7;
 
 /**
  * Check if a cache is stale
  * @param {string} cachedAt - ISO date string
  * @returns {boolean}
  */
-function isCacheStale(cachedAt) {
+export function isCacheStale(cachedAt) {
   if (!cachedAt) return true;
   const cacheDate = new Date(cachedAt);
   const now = new Date();
@@ -202,7 +35,7 @@ function isCacheStale(cachedAt) {
  * @param {string} dateStr - ISO date string
  * @returns {number}
  */
-function daysSince(dateStr) {
+export function daysSince(dateStr) {
   if (!dateStr) return Infinity;
   const date = new Date(dateStr);
   const now = new Date();
@@ -225,7 +58,7 @@ function daysSince(dateStr) {
  * @param {boolean} [params.isPrimary] - Is this the primary source?
  * @returns {number} The source link ID
  */
-function addPaperSource(db, params) {
+export function addPaperSource(db, params) {
   const {
     paperId,
     source,
@@ -273,7 +106,7 @@ function addPaperSource(db, params) {
  * @param {number} paperId
  * @returns {Array}
  */
-function getPaperSources(db, paperId) {
+export function getPaperSources(db, paperId) {
   const results = db.exec(`
     SELECT * FROM paper_sources WHERE paper_id = ? ORDER BY is_primary DESC, last_synced DESC
   `, [paperId]);
@@ -307,7 +140,7 @@ function getPaperSources(db, paperId) {
  * @param {Array} sources - Paper sources from getPaperSources
  * @returns {Object|null}
  */
-function findBestSourceForRefs(sources) {
+export function findBestSourceForRefs(sources) {
   const withRefs = sources.filter(s => s.has_references);
   if (withRefs.length === 0) return null;
 
@@ -327,7 +160,7 @@ function findBestSourceForRefs(sources) {
  * @param {Array} sources - Paper sources from getPaperSources
  * @returns {Object|null}
  */
-function findBestSourceForCites(sources) {
+export function findBestSourceForCites(sources) {
   const withCites = sources.filter(s => s.has_citations);
   if (withCites.length === 0) return null;
 
@@ -345,16 +178,21 @@ function findBestSourceForCites(sources) {
 // Paper Deduplication
 // ============================================================================
 
+// Papers in the Trash only match when asked for, so callers can restore them
+const trashFilter = includeTrash => includeTrash ? '' : ' AND deleted_at IS NULL';
+
 /**
  * Find existing paper by DOI
  * @param {Object} db
  * @param {string} doi
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrash=false] - Also match papers in the Trash
  * @returns {Object|null}
  */
-function findPaperByDOI(db, doi) {
+export function findPaperByDOI(db, doi, { includeTrash = false } = {}) {
   if (!doi) return null;
   const normalizedDoi = doi.toLowerCase();
-  const results = db.exec(`SELECT * FROM papers WHERE LOWER(doi) = ?`, [normalizedDoi]);
+  const results = db.exec(`SELECT * FROM papers WHERE LOWER(doi) = ?${trashFilter(includeTrash)}`, [normalizedDoi]);
   if (results.length === 0 || results[0].values.length === 0) return null;
 
   const columns = results[0].columns;
@@ -368,17 +206,19 @@ function findPaperByDOI(db, doi) {
  * Find existing paper by arXiv ID
  * @param {Object} db
  * @param {string} arxivId
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrash=false] - Also match papers in the Trash
  * @returns {Object|null}
  */
-function findPaperByArxiv(db, arxivId) {
+export function findPaperByArxiv(db, arxivId, { includeTrash = false } = {}) {
   if (!arxivId) return null;
   // Normalize: remove arXiv: prefix and version suffix
   const normalized = arxivId.replace(/^arXiv:/i, '').replace(/v\d+$/, '');
   const results = db.exec(`
     SELECT * FROM papers
-    WHERE REPLACE(REPLACE(LOWER(arxiv_id), 'arxiv:', ''), 'v1', '') LIKE ?
+    WHERE (REPLACE(REPLACE(LOWER(arxiv_id), 'arxiv:', ''), 'v1', '') LIKE ?
        OR REPLACE(REPLACE(LOWER(arxiv_id), 'arxiv:', ''), 'v2', '') LIKE ?
-       OR REPLACE(REPLACE(LOWER(arxiv_id), 'arxiv:', ''), 'v3', '') LIKE ?
+       OR REPLACE(REPLACE(LOWER(arxiv_id), 'arxiv:', ''), 'v3', '') LIKE ?)${trashFilter(includeTrash)}
   `, [normalized.toLowerCase(), normalized.toLowerCase(), normalized.toLowerCase()]);
 
   if (results.length === 0 || results[0].values.length === 0) return null;
@@ -394,11 +234,13 @@ function findPaperByArxiv(db, arxivId) {
  * Find existing paper by bibcode
  * @param {Object} db
  * @param {string} bibcode
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrash=false] - Also match papers in the Trash
  * @returns {Object|null}
  */
-function findPaperByBibcode(db, bibcode) {
+export function findPaperByBibcode(db, bibcode, { includeTrash = false } = {}) {
   if (!bibcode) return null;
-  const results = db.exec(`SELECT * FROM papers WHERE bibcode = ?`, [bibcode]);
+  const results = db.exec(`SELECT * FROM papers WHERE bibcode = ?${trashFilter(includeTrash)}`, [bibcode]);
   if (results.length === 0 || results[0].values.length === 0) return null;
 
   const columns = results[0].columns;
@@ -410,25 +252,28 @@ function findPaperByBibcode(db, bibcode) {
 
 /**
  * Find or create a paper, deduplicating by DOI/arXiv
+ * A match in the Trash is returned with inTrash set; restoring it is up to
+ * the caller.
  * @param {Object} db
  * @param {Object} paperData
  * @param {string} source - 'ads', 'arxiv', 'inspire'
  * @param {string} sourceId - ID in that source's system
  * @param {Object} capabilities - Plugin capabilities
- * @returns {{paper: Object, isNew: boolean}}
+ * @returns {{paper: Object, isNew: boolean, inTrash: boolean}}
  */
-function findOrCreatePaper(db, paperData, source, sourceId, capabilities = {}) {
+export function findOrCreatePaper(db, paperData, source, sourceId, capabilities = {}) {
   // Step 1: Check for existing paper by identifiers
+  const options = { includeTrash: true };
   let existingPaper = null;
 
   if (paperData.doi) {
-    existingPaper = findPaperByDOI(db, paperData.doi);
+    existingPaper = findPaperByDOI(db, paperData.doi, options);
   }
   if (!existingPaper && paperData.arxiv_id) {
-    existingPaper = findPaperByArxiv(db, paperData.arxiv_id);
+    existingPaper = findPaperByArxiv(db, paperData.arxiv_id, options);
   }
   if (!existingPaper && paperData.bibcode) {
-    existingPaper = findPaperByBibcode(db, paperData.bibcode);
+    existingPaper = findPaperByBibcode(db, paperData.bibcode, options);
   }
 
   if (existingPaper) {
@@ -442,13 +287,13 @@ function findOrCreatePaper(db, paperData, source, sourceId, capabilities = {}) {
       isPrimary: false // Existing paper keeps its primary source
     });
 
-    console.log(`[schema-v2] Found existing paper ${existingPaper.id}, added ${source} source link`);
-    return { paper: existingPaper, isNew: false };
+    console.log(`[plugin-data] Found existing paper ${existingPaper.id}, added ${source} source link`);
+    return { paper: existingPaper, isNew: false, inTrash: Boolean(existingPaper.deleted_at) };
   }
 
   // Step 2: Create new paper - don't do this here, just return null
   // The actual paper creation is handled by the existing addPaper logic
-  return { paper: null, isNew: true };
+  return { paper: null, isNew: true, inTrash: false };
 }
 
 // ============================================================================
@@ -462,7 +307,7 @@ function findOrCreatePaper(db, paperData, source, sourceId, capabilities = {}) {
  * @param {Array} refs - Array of reference paper objects
  * @param {string} sourcePlugin - Which plugin provided these
  */
-function cacheReferences(db, paperId, refs, sourcePlugin) {
+export function cacheReferences(db, paperId, refs, sourcePlugin) {
   const now = new Date().toISOString();
 
   // Clear existing refs from this source (or all if refreshing)
@@ -479,32 +324,35 @@ function cacheReferences(db, paperId, refs, sourcePlugin) {
   `);
 
   for (const ref of refs) {
+    // Plugin papers use camelCase (arxivId, citationCount)
+    const arxivId = ref.arxiv_id || ref.arxivId || null;
+
     // Try to find matching library paper
     let linkedPaperId = null;
     if (ref.doi) {
-      const linked = findPaperByDOI(db, ref.doi);
+      const linked = findPaperByDOI(db, ref.doi, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
-    if (!linkedPaperId && ref.arxiv_id) {
-      const linked = findPaperByArxiv(db, ref.arxiv_id);
+    if (!linkedPaperId && arxivId) {
+      const linked = findPaperByArxiv(db, arxivId, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
     if (!linkedPaperId && ref.bibcode) {
-      const linked = findPaperByBibcode(db, ref.bibcode);
+      const linked = findPaperByBibcode(db, ref.bibcode, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
 
     stmt.run([
       paperId,
       ref.doi || null,
-      ref.arxiv_id || null,
+      arxivId,
       ref.bibcode || null,
       ref._inspire?.recid || ref.inspire_recid || null,
       ref.title || null,
       Array.isArray(ref.authors) ? ref.authors.join('; ') : (ref.authors || null),
       ref.year || null,
       ref.journal || null,
-      ref.citation_count || null,
+      ref.citation_count || ref.citationCount || null,
       sourcePlugin,
       now,
       linkedPaperId
@@ -513,7 +361,7 @@ function cacheReferences(db, paperId, refs, sourcePlugin) {
   }
   stmt.free();
 
-  console.log(`[schema-v2] Cached ${refs.length} references for paper ${paperId} from ${sourcePlugin}`);
+  console.log(`[plugin-data] Cached ${refs.length} references for paper ${paperId} from ${sourcePlugin}`);
 }
 
 /**
@@ -522,9 +370,12 @@ function cacheReferences(db, paperId, refs, sourcePlugin) {
  * @param {number} paperId
  * @returns {{refs: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
  */
-function getCachedReferences(db, paperId) {
+export function getCachedReferences(db, paperId) {
+  // Links to papers in the Trash are kept for when they are restored
   const results = db.exec(`
-    SELECT * FROM paper_references WHERE paper_id = ? ORDER BY ref_year DESC, id
+    SELECT r.*, CASE WHEN p.deleted_at IS NULL THEN r.linked_paper_id END AS library_paper_id
+    FROM paper_references r LEFT JOIN papers p ON p.id = r.linked_paper_id
+    WHERE r.paper_id = ? ORDER BY r.ref_year DESC, r.id
   `, [paperId]);
 
   if (results.length === 0 || results[0].values.length === 0) {
@@ -545,8 +396,8 @@ function getCachedReferences(db, paperId) {
       year: obj.ref_year,
       journal: obj.ref_journal,
       citation_count: obj.ref_citation_count,
-      linked_paper_id: obj.linked_paper_id,
-      inLibrary: obj.linked_paper_id !== null
+      linked_paper_id: obj.library_paper_id,
+      inLibrary: obj.library_paper_id !== null
     };
   });
 
@@ -572,7 +423,7 @@ function getCachedReferences(db, paperId) {
  * @param {Array} cites - Array of citing paper objects
  * @param {string} sourcePlugin - Which plugin provided these
  */
-function cacheCitations(db, paperId, cites, sourcePlugin) {
+export function cacheCitations(db, paperId, cites, sourcePlugin) {
   const now = new Date().toISOString();
 
   // Clear existing cites
@@ -589,32 +440,35 @@ function cacheCitations(db, paperId, cites, sourcePlugin) {
   `);
 
   for (const cite of cites) {
+    // Plugin papers use camelCase (arxivId, citationCount)
+    const arxivId = cite.arxiv_id || cite.arxivId || null;
+
     // Try to find matching library paper
     let linkedPaperId = null;
     if (cite.doi) {
-      const linked = findPaperByDOI(db, cite.doi);
+      const linked = findPaperByDOI(db, cite.doi, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
-    if (!linkedPaperId && cite.arxiv_id) {
-      const linked = findPaperByArxiv(db, cite.arxiv_id);
+    if (!linkedPaperId && arxivId) {
+      const linked = findPaperByArxiv(db, arxivId, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
     if (!linkedPaperId && cite.bibcode) {
-      const linked = findPaperByBibcode(db, cite.bibcode);
+      const linked = findPaperByBibcode(db, cite.bibcode, { includeTrash: true });
       if (linked) linkedPaperId = linked.id;
     }
 
     stmt.run([
       paperId,
       cite.doi || null,
-      cite.arxiv_id || null,
+      arxivId,
       cite.bibcode || null,
       cite._inspire?.recid || cite.inspire_recid || null,
       cite.title || null,
       Array.isArray(cite.authors) ? cite.authors.join('; ') : (cite.authors || null),
       cite.year || null,
       cite.journal || null,
-      cite.citation_count || null,
+      cite.citation_count || cite.citationCount || null,
       sourcePlugin,
       now,
       linkedPaperId
@@ -623,7 +477,7 @@ function cacheCitations(db, paperId, cites, sourcePlugin) {
   }
   stmt.free();
 
-  console.log(`[schema-v2] Cached ${cites.length} citations for paper ${paperId} from ${sourcePlugin}`);
+  console.log(`[plugin-data] Cached ${cites.length} citations for paper ${paperId} from ${sourcePlugin}`);
 }
 
 /**
@@ -632,9 +486,11 @@ function cacheCitations(db, paperId, cites, sourcePlugin) {
  * @param {number} paperId
  * @returns {{cites: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
  */
-function getCachedCitations(db, paperId) {
+export function getCachedCitations(db, paperId) {
   const results = db.exec(`
-    SELECT * FROM paper_citations WHERE paper_id = ? ORDER BY citing_year DESC, id
+    SELECT c.*, CASE WHEN p.deleted_at IS NULL THEN c.linked_paper_id END AS library_paper_id
+    FROM paper_citations c LEFT JOIN papers p ON p.id = c.linked_paper_id
+    WHERE c.paper_id = ? ORDER BY c.citing_year DESC, c.id
   `, [paperId]);
 
   if (results.length === 0 || results[0].values.length === 0) {
@@ -655,8 +511,8 @@ function getCachedCitations(db, paperId) {
       year: obj.citing_year,
       journal: obj.citing_journal,
       citation_count: obj.citing_citation_count,
-      linked_paper_id: obj.linked_paper_id,
-      inLibrary: obj.linked_paper_id !== null
+      linked_paper_id: obj.library_paper_id,
+      inLibrary: obj.library_paper_id !== null
     };
   });
 
@@ -681,8 +537,7 @@ function getCachedCitations(db, paperId) {
  * @param {Object} db
  * @param {number} paperId - Newly added paper ID
  */
-function updateLibraryLinks(db, paperId) {
-  const paper = findPaperByDOI(db, null); // Get paper by ID
+export function updateLibraryLinks(db, paperId) {
   const results = db.exec('SELECT * FROM papers WHERE id = ?', [paperId]);
   if (results.length === 0 || results[0].values.length === 0) return;
 
@@ -719,42 +574,3 @@ function updateLibraryLinks(db, paperId) {
     `, [paperId, paperData.bibcode]);
   }
 }
-
-// ============================================================================
-// Exports
-// ============================================================================
-
-module.exports = {
-  // Schema
-  PLUGIN_TABLES_SQL,
-  PAPER_SOURCE_MIGRATIONS,
-  CACHE_FRESHNESS_DAYS,
-  applySchemaV2,
-
-  // Utilities
-  isCacheStale,
-  daysSince,
-
-  // Paper sources
-  addPaperSource,
-  getPaperSources,
-  findBestSourceForRefs,
-  findBestSourceForCites,
-
-  // Deduplication
-  findPaperByDOI,
-  findPaperByArxiv,
-  findPaperByBibcode,
-  findOrCreatePaper,
-
-  // References caching
-  cacheReferences,
-  getCachedReferences,
-
-  // Citations caching
-  cacheCitations,
-  getCachedCitations,
-
-  // Library links
-  updateLibraryLinks
-};
@@ -0,0 +1,317 @@
+/**
+ * Bibliac Core - "Papers You're Missing" Recommendations
+ *
+ * Ranks works outside the library by how many library papers cite them,
+ * using the cached paper_references. Each citing paper counts with a weight
+ * from its rating and publication year, so a work cited by three seminal
+ * recent papers ranks above one cited by three unrated old ones.
+ *
+ * The index keeps every library paper's contribution in memory. When a
+ * paper's references are re-cached (or its rating changes, or it is
+ * deleted) only that paper is re-read. Library and reading-list membership
+ * are checked when ranking, so importing or saving a work drops it at once.
+ */
+
+import {
+  normalizeDoi,
+  normalizeArxivId,
+  normalizeBibcode,
+  arxivIdFromBibcode,
+  normalizeTitle
+} from './duplicates.js';
+
+/**
+ * Weight of a citing paper by rating (1 = Seminal, 2 = Important, 3 = Useful).
+ * Unrated papers count 1.
+ */
+export const RATING_WEIGHTS = { 1: 3, 2: 2, 3: 1.5 };
+
+/**
+ * A citing paper this many years old counts half as much as a current one
+ */
+export const RECENCY_HALF_LIFE_YEARS = 10;
+
+/**
+ * Works cited by fewer library papers are not recommended by default
+ */
+export const DEFAULT_MIN_CITED_BY = 2;
+
+const WORK_FIELDS = ['doi', 'arxiv_id', 'bibcode', 'inspire_id', 'title', 'authors', 'year', 'journal'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORK IDENTITY AND WEIGHTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Identifier keys for a work. Two works sharing any key are the same work;
+ * the title key is only used when a work has no identifiers.
+ * @param {{doi?: string, arxiv_id?: string, bibcode?: string, title?: string, year?: number}} work
+ * @returns {string[]}
+ */
+export function workKeys(work) {
+  const keys = [];
+  const doi = normalizeDoi(work.doi);
+  const arxivId = normalizeArxivId(work.arxiv_id) || normalizeArxivId(arxivIdFromBibcode(work.bibcode));
+  const bibcode = normalizeBibcode(work.bibcode);
+
+  if (doi) keys.push(`doi:${doi}`);
+  if (arxivId) keys.push(`arxiv:${arxivId}`);
+  if (bibcode) keys.push(`bibcode:${bibcode}`);
+  if (keys.length === 0) {
+    const title = normalizeTitle(work.title);
+    if (title) keys.push(`title:${title}|${work.year || ''}`);
+  }
+  return keys;
+}
+
+/**
+ * How much one citing library paper counts
+ * @param {{rating?: number, year?: number}} paper
+ * @param {number} [currentYear]
+ * @returns {number}
+ */
+export function paperWeight(paper, currentYear = new Date().getFullYear()) {
+  const ratingWeight = RATING_WEIGHTS[paper.rating] || 1;
+  const age = paper.year ? Math.max(0, currentYear - paper.year) : RECENCY_HALF_LIFE_YEARS;
+  return ratingWeight * Math.pow(0.5, age / RECENCY_HALF_LIFE_YEARS);
+}
+
+function rowsToObjects(results) {
+  if (results.length === 0) return [];
+  const columns = results[0].columns;
+  return results[0].values.map(row => {
+    const obj = {};
+    columns.forEach((col, i) => obj[col] = row[i]);
+    return obj;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INDEX
+// ═══════════════════════════════════════════════════════════════════════════
+
+export class RecommendationIndex {
+  /**
+   * @param {Object} db - sql.js database instance
+   */
+  constructor(db) {
+    this.db = db;
+    /** @type {Map<number, {weight: number, works: Set<string>}>|null} Built on first use */
+    this.papers = null;
+    /** @type {Map<string, Object>} Canonical key -> work with its citing paper IDs */
+    this.works = new Map();
+    /** @type {Map<string, string>} Identifier key -> canonical key */
+    this.aliases = new Map();
+    /** @type {Set<number>} Papers to re-read before the next ranking */
+    this.dirty = new Set();
+  }
+
+  /**
+   * Mark a paper's contribution out of date: its cached references, rating
+   * or year changed, or it was trashed, restored or deleted
+   * @param {number} paperId
+   */
+  invalidate(paperId) {
+    if (this.papers) this.dirty.add(paperId);
+  }
+
+  /**
+   * Ranked recommendations
+   * @param {Object} [options]
+   * @param {number} [options.limit=100]
+   * @param {number} [options.minCitedBy=DEFAULT_MIN_CITED_BY]
+   * @returns {{works: Object[], total: number}} Top works (with citing
+   *   paper IDs, most weighted first) and how many qualified in all
+   */
+  getRecommendations({ limit = 100, minCitedBy = DEFAULT_MIN_CITED_BY } = {}) {
+    this.refresh();
+
+    const libraryIds = new Set();
+    const excludedKeys = new Set();
+    for (const paper of rowsToObjects(this.db.exec('SELECT id, doi, arxiv_id, bibcode, title, year FROM papers WHERE deleted_at IS NULL'))) {
+      libraryIds.add(paper.id);
+      workKeys(paper).forEach(key => excludedKeys.add(key));
+    }
+    for (const saved of rowsToObjects(this.db.exec('SELECT doi, arxiv_id, bibcode, title, year FROM reading_list'))) {
+      workKeys(saved).forEach(key => excludedKeys.add(key));
+      // arXiv-only papers are saved with the arXiv ID in the bibcode column
+      workKeys({ arxiv_id: saved.bibcode }).forEach(key => excludedKeys.add(key));
+    }
+
+    const ranked = [];
+    for (const work of this.works.values()) {
+      if (work.citers.size < minCitedBy) continue;
+      if ([...work.linkedIds].some(id => libraryIds.has(id))) continue;
+      if ([...work.keys].some(key => excludedKeys.has(key))) continue;
+
+      const citers = [...work.citers].sort((a, b) => this.papers.get(b).weight - this.papers.get(a).weight);
+      const score = citers.reduce((sum, id) => sum + this.papers.get(id).weight, 0);
+      ranked.push({ work, citers, score });
+    }
+
+    ranked.sort((a, b) =>
+      b.score - a.score ||
+      b.citers.length - a.citers.length ||
+      (b.work.year || 0) - (a.work.year || 0)
+    );
+
+    return {
+      total: ranked.length,
+      works: ranked.slice(0, limit).map(({ work, citers, score }) => ({
+        key: work.key,
+        ...Object.fromEntries(WORK_FIELDS.map(field => [field, work[field]])),
+        sourcePlugin: work.sourcePlugin,
+        citedBy: citers.length,
+        score: Math.round(score * 100) / 100,
+        citingPaperIds: citers
+      }))
+    };
+  }
+
+  /**
+   * Bring the index up to date: build it on first use, then re-read only
+   * the papers marked dirty
+   */
+  refresh() {
+    if (!this.papers) {
+      this.papers = new Map();
+      this.loadPapers(null);
+    } else if (this.dirty.size > 0) {
+      const paperIds = [...this.dirty];
+      for (const paperId of paperIds) {
+        this.removePaper(paperId);
+      }
+      this.loadPapers(paperIds);
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Read papers and their cached references into the index
+   * @param {number[]|null} paperIds - null for the whole library
+   * @private
+   */
+  loadPapers(paperIds) {
+    const where = paperIds ? ` AND id IN (${paperIds.map(() => '?').join(', ')})` : '';
+    const papers = rowsToObjects(this.db.exec(`SELECT id, rating, year FROM papers WHERE deleted_at IS NULL${where}`, paperIds || []));
+    if (papers.length === 0) return;
+
+    const currentYear = new Date().getFullYear();
+    for (const paper of papers) {
+      this.papers.set(paper.id, { weight: paperWeight(paper, currentYear), works: new Set() });
+    }
+
+    const refWhere = paperIds ? `WHERE paper_id IN (${papers.map(() => '?').join(', ')})` : '';
+    const refs = rowsToObjects(this.db.exec(`
+      SELECT paper_id, ref_doi AS doi, ref_arxiv_id AS arxiv_id, ref_bibcode AS bibcode,
+             ref_inspire_id AS inspire_id, ref_title AS title, ref_authors AS authors,
+             ref_year AS year, ref_journal AS journal, source_plugin, linked_paper_id
+      FROM paper_references ${refWhere}
+    `, paperIds ? papers.map(p => p.id) : []));
+
+    for (const ref of refs) {
+      const entry = this.papers.get(ref.paper_id);
+      if (!entry) continue; // Cache rows of a deleted or trashed paper
+
+      const keys = workKeys(ref);
+      if (keys.length === 0) continue;
+
+      const work = this.getWork(keys);
+      if (work.citers.has(ref.paper_id)) continue; // Cited twice in one reference list
+
+      work.citers.add(ref.paper_id);
+      entry.works.add(work.key);
+      if (ref.linked_paper_id) work.linkedIds.add(ref.linked_paper_id);
+      for (const field of WORK_FIELDS) {
+        if (!work[field] && ref[field]) work[field] = ref[field];
+      }
+      if (!work.sourcePlugin) work.sourcePlugin = ref.source_plugin;
+    }
+  }
+
+  /**
+   * Remove a paper's citations from the index
+   * @param {number} paperId
+   * @private
+   */
+  removePaper(paperId) {
+    const entry = this.papers.get(paperId);
+    if (!entry) return;
+
+    for (const key of entry.works) {
+      const work = this.works.get(key);
+      if (!work) continue;
+      work.citers.delete(paperId);
+      if (work.citers.size === 0) this.works.delete(key);
+    }
+    this.papers.delete(paperId);
+  }
+
+  /**
+   * The work for a set of identifier keys, created if new. Keys seen before
+   * under different works (e.g. one reference list gave only a DOI, another
+   * only a bibcode, and a third both) join those works into one.
+   * @param {string[]} keys
+   * @returns {Object}
+   * @private
+   */
+  getWork(keys) {
+    let canonical = null;
+    for (const key of keys) {
+      const existing = this.aliases.get(key);
+      if (!existing || existing === canonical) continue;
+      if (canonical) {
+        this.joinWorks(canonical, existing);
+      } else {
+        canonical = existing;
+      }
+    }
+    canonical = canonical || keys[0];
+
+    let work = this.works.get(canonical);
+    if (!work) {
+      work = { key: canonical, keys: new Set(), citers: new Set(), linkedIds: new Set(), sourcePlugin: null };
+      this.works.set(canonical, work);
+    }
+    for (const key of keys) {
+      this.aliases.set(key, canonical);
+      work.keys.add(key);
+    }
+    return work;
+  }
+
+  /**
+   * Fold one work into another
+   * @param {string} intoKey
+   * @param {string} fromKey
+   * @private
+   */
+  joinWorks(intoKey, fromKey) {
+    for (const [alias, canonical] of this.aliases) {
+      if (canonical === fromKey) this.aliases.set(alias, intoKey);
+    }
+
+    const from = this.works.get(fromKey);
+    if (!from) return;
+    this.works.delete(fromKey);
+
+    let into = this.works.get(intoKey);
+    if (!into) {
+      into = { ...from, key: intoKey };
+      this.works.set(intoKey, into);
+    } else {
+      from.keys.forEach(key => into.keys.add(key));
+      from.citers.forEach(id => into.citers.add(id));
+      from.linkedIds.forEach(id => into.linkedIds.add(id));
+      for (const field of [...WORK_FIELDS, 'sourcePlugin']) {
+        if (!into[field] && from[field]) into[field] = from[field];
+      }
+    }
+
+    for (const paperId of from.citers) {
+      const entry = this.papers.get(paperId);
+      entry.works.delete(fromKey);
+      entry.works.add(intoKey);
+    }
+  }
+}
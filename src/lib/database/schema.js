@@ -1,7 +1,9 @@
 /**
  * Bibliac Core - Database Schema
  *
- * Shared schema definition for both desktop and mobile platforms.
+ * Shared schema definition for both desktop and mobile platforms. This is
+ * the baseline (schema version 1) that every library is brought up to before
+ * the numbered migrations in migrations.js run; later changes go there.
  */
 
 /**
@@ -30,7 +32,8 @@ CREATE TABLE IF NOT EXISTS papers (
   modified_date TEXT,
   import_source TEXT,
   import_source_key TEXT,
-  citation_count INTEGER DEFAULT 0
+  citation_count INTEGER DEFAULT 0,
+  available_sources TEXT
 );
 
 -- Collections table - user-defined folders
@@ -52,6 +55,33 @@ CREATE TABLE IF NOT EXISTS paper_collections (
   FOREIGN KEY (collection_id) REFERENCES collections(id)
 );
 
+-- Tags table - user-owned labels; name is the full path ("methods/mcmc")
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  color TEXT,
+  created_date TEXT
+);
+
+-- Paper-Tag junction table
+CREATE TABLE IF NOT EXISTS paper_tags (
+  paper_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (paper_id, tag_id),
+  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
+-- Duplicate merges - undo_data (JSON) records what each merge moved, changed
+-- and deleted so it can be reversed
+CREATE TABLE IF NOT EXISTS paper_merges (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kept_paper_id INTEGER NOT NULL,
+  merged_paper_ids TEXT NOT NULL,
+  undo_data TEXT NOT NULL,
+  merged_date TEXT NOT NULL
+);
+
 -- Annotations table - PDF highlights and notes
 CREATE TABLE IF NOT EXISTS annotations (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -162,6 +192,42 @@ CREATE TABLE IF NOT EXISTS smart_search_results (
   FOREIGN KEY (search_id) REFERENCES smart_searches(id) ON DELETE CASCADE,
   UNIQUE(search_id, bibcode)
 );
+
+-- Library metadata - key/value pairs, including schema_version
+CREATE TABLE IF NOT EXISTS metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+-- PDF page rotations - per paper, per PDF source
+CREATE TABLE IF NOT EXISTS pdf_page_rotations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  paper_id INTEGER NOT NULL,
+  pdf_source TEXT,
+  page_number INTEGER NOT NULL,
+  rotation INTEGER DEFAULT 0,
+  FOREIGN KEY (paper_id) REFERENCES papers(id) ON DELETE CASCADE,
+  UNIQUE(paper_id, pdf_source, page_number)
+);
+
+-- Reading list - papers saved from search results without adding them
+CREATE TABLE IF NOT EXISTS reading_list (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  bibcode TEXT UNIQUE NOT NULL,
+  doi TEXT,
+  arxiv_id TEXT,
+  title TEXT NOT NULL,
+  authors TEXT,
+  year INTEGER,
+  journal TEXT,
+  abstract TEXT,
+  citation_count INTEGER DEFAULT 0,
+  pdf_path TEXT,
+  pdf_source TEXT,
+  added_date TEXT NOT NULL,
+  last_viewed_date TEXT,
+  view_position TEXT
+);
 `;
 
 /**
@@ -178,15 +244,21 @@ CREATE INDEX IF NOT EXISTS idx_annotations_paper ON annotations(paper_id);
 CREATE INDEX IF NOT EXISTS idx_embeddings_paper ON text_embeddings(paper_id);
 CREATE INDEX IF NOT EXISTS idx_qa_paper ON paper_qa(paper_id);
 CREATE INDEX IF NOT EXISTS idx_collections_parent ON collections(parent_id);
+CREATE INDEX IF NOT EXISTS idx_paper_tags_tag ON paper_tags(tag_id);
 CREATE INDEX IF NOT EXISTS idx_attachments_paper ON attachments(paper_id);
 CREATE INDEX IF NOT EXISTS idx_paper_files_paper ON paper_files(paper_id);
 CREATE INDEX IF NOT EXISTS idx_paper_files_hash ON paper_files(file_hash);
 CREATE INDEX IF NOT EXISTS idx_smart_search_results_search ON smart_search_results(search_id);
 CREATE INDEX IF NOT EXISTS idx_smart_search_results_bibcode ON smart_search_results(bibcode);
+CREATE INDEX IF NOT EXISTS idx_paper_files_status ON paper_files(status);
+CREATE INDEX IF NOT EXISTS idx_pdf_rotations_paper ON pdf_page_rotations(paper_id);
+CREATE INDEX IF NOT EXISTS idx_reading_list_bibcode ON reading_list(bibcode);
+CREATE INDEX IF NOT EXISTS idx_reading_list_added ON reading_list(added_date);
 `;
 
 /**
- * Migration statements for schema updates
+ * Columns added before schema versioning, for libraries created by early
+ * app versions
  */
 export const MIGRATIONS = [
   'ALTER TABLE papers ADD COLUMN rating INTEGER DEFAULT 0',
@@ -194,9 +266,75 @@ export const MIGRATIONS = [
   'ALTER TABLE papers ADD COLUMN import_source_key TEXT',
   'ALTER TABLE papers ADD COLUMN citation_count INTEGER DEFAULT 0',
   'ALTER TABLE annotations ADD COLUMN pdf_source TEXT',
-  'ALTER TABLE papers ADD COLUMN pdf_source TEXT'
+  'ALTER TABLE papers ADD COLUMN pdf_source TEXT',
+  'ALTER TABLE papers ADD COLUMN available_sources TEXT',
+  'ALTER TABLE papers ADD COLUMN pdf_path TEXT'
+];
+
+/**
+ * Per-paper aggregates stored on the papers row so list queries don't need
+ * correlated COUNT(*) subqueries. Triggers keep them current on both
+ * platforms; the triggers live in the database file, so older app versions
+ * writing to a synced library keep them current too.
+ */
+export const AGGREGATE_TRIGGERS_SQL = [
+  `CREATE TRIGGER IF NOT EXISTS trg_annotations_count_insert AFTER INSERT ON annotations
+   BEGIN
+     UPDATE papers SET annotation_count = (SELECT COUNT(*) FROM annotations WHERE paper_id = NEW.paper_id) WHERE id = NEW.paper_id;
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_annotations_count_delete AFTER DELETE ON annotations
+   BEGIN
+     UPDATE papers SET annotation_count = (SELECT COUNT(*) FROM annotations WHERE paper_id = OLD.paper_id) WHERE id = OLD.paper_id;
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_annotations_count_move AFTER UPDATE OF paper_id ON annotations
+   BEGIN
+     UPDATE papers SET annotation_count = (SELECT COUNT(*) FROM annotations WHERE paper_id = papers.id) WHERE id IN (OLD.paper_id, NEW.paper_id);
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_embeddings_indexed_insert AFTER INSERT ON text_embeddings
+   BEGIN
+     UPDATE papers SET is_indexed = 1 WHERE id = NEW.paper_id AND is_indexed = 0;
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_embeddings_indexed_delete AFTER DELETE ON text_embeddings
+   BEGIN
+     UPDATE papers SET is_indexed = EXISTS (SELECT 1 FROM text_embeddings WHERE paper_id = OLD.paper_id) WHERE id = OLD.paper_id;
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_embeddings_indexed_move AFTER UPDATE OF paper_id ON text_embeddings
+   BEGIN
+     UPDATE papers SET is_indexed = EXISTS (SELECT 1 FROM text_embeddings WHERE paper_id = papers.id) WHERE id IN (OLD.paper_id, NEW.paper_id);
+   END`
 ];
 
+const AGGREGATE_BACKFILL_SQL = `
+UPDATE papers SET
+  annotation_count = (SELECT COUNT(*) FROM annotations a WHERE a.paper_id = papers.id),
+  is_indexed = EXISTS (SELECT 1 FROM text_embeddings e WHERE e.paper_id = papers.id)
+`;
+
+/**
+ * Add aggregate columns and their triggers, backfilling existing rows once
+ * @param {Object} db - sql.js database instance
+ */
+function applyAggregateColumns(db) {
+  let added = false;
+  for (const column of ['annotation_count', 'is_indexed']) {
+    try {
+      db.run(`ALTER TABLE papers ADD COLUMN ${column} INTEGER DEFAULT 0`);
+      added = true;
+    } catch (e) {
+      // Column already exists
+    }
+  }
+
+  for (const trigger of AGGREGATE_TRIGGERS_SQL) {
+    db.run(trigger);
+  }
+
+  // Fill once when the columns are first added; triggers take over from there
+  if (added) {
+    db.run(AGGREGATE_BACKFILL_SQL);
+  }
+}
+
 /**
  * Apply schema to a database
  * @param {Object} db - sql.js database instance
@@ -205,6 +343,16 @@ export function applySchema(db) {
   // Run main schema
   db.run(SCHEMA_SQL);
 
+  // Run migrations (ignore errors for existing columns); before the indexes,
+  // some of which are on these columns
+  for (const migration of MIGRATIONS) {
+    try {
+      db.run(migration);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+  }
+
   // Run indexes
   const indexStatements = INDEXES_SQL.trim().split(';').filter(s => s.trim());
   for (const stmt of indexStatements) {
@@ -213,14 +361,7 @@ export function applySchema(db) {
     }
   }
 
-  // Run migrations (ignore errors for existing columns)
-  for (const migration of MIGRATIONS) {
-    try {
-      db.run(migration);
-    } catch (e) {
-      // Column already exists, ignore
-    }
-  }
+  applyAggregateColumns(db);
 }
 
 /**
@@ -230,7 +371,8 @@ export const PAPER_COLUMNS = [
   'id', 'bibcode', 'doi', 'arxiv_id', 'title', 'authors', 'year',
   'journal', 'abstract', 'keywords', 'pdf_path', 'pdf_source', 'text_path', 'bibtex',
   'read_status', 'rating', 'added_date', 'modified_date',
-  'import_source', 'import_source_key', 'citation_count'
+  'import_source', 'import_source_key', 'citation_count',
+  'annotation_count', 'is_indexed'
 ];
 
 /**
@@ -240,3 +382,19 @@ export const DEFAULT_SORT = {
   orderBy: 'added_date',
   order: 'DESC'
 };
+
+/**
+ * Library list sort fields -> ORDER BY expressions (papers aliased as p).
+ * Only these expressions ever reach SQL; unknown fields fall back to 'added'.
+ * Author sorts on the first author as stored ("Lastname, First").
+ */
+export const PAPER_SORT_COLUMNS = {
+  added: 'p.id',
+  title: 'LOWER(p.title)',
+  author: "LOWER(json_extract(p.authors, '$[0]'))",
+  year: 'COALESCE(p.year, 0)',
+  journal: 'LOWER(p.journal)',
+  rating: 'CASE WHEN p.rating > 0 THEN p.rating ELSE 5 END',
+  citations: 'COALESCE(p.citation_count, 0)',
+  bibcode: 'LOWER(p.bibcode)'
+};
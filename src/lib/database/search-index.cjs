@@ -0,0 +1,377 @@
+/**
+ * Bibliac - Full-Text Search Index
+ *
+ * Persistent inverted index over titles, authors, abstracts, keywords,
+ * extracted PDF text and annotation notes.
+ *
+ * The index lives in its own sql.js database (search-index.sqlite next to
+ * library.sqlite) because it stores a copy of every paper's full text. Keeping
+ * it out of the library database keeps library saves small and fast, and the
+ * index can always be rebuilt from library data.
+ *
+ * Uses FTS4: the sql.js builds we ship on desktop and iOS compile FTS3/FTS4
+ * but not FTS5. Ranking is BM25 computed from matchinfo() by a JS function.
+ */
+
+'use strict';
+
+/**
+ * Bump when the index layout changes - forces a full rebuild
+ */
+const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Indexed columns, in FTS column order, with their ranking weights.
+ * Weights mirror the old linear scan (title > authors > notes > abstract > fulltext).
+ */
+const INDEX_COLUMNS = [
+  { name: 'title', weight: 10 },
+  { name: 'authors', weight: 5 },
+  { name: 'abstract', weight: 3 },
+  { name: 'keywords', weight: 3 },
+  { name: 'fulltext', weight: 1 },
+  { name: 'notes', weight: 4 }
+];
+
+const FULLTEXT_COLUMN = INDEX_COLUMNS.findIndex(c => c.name === 'fulltext');
+
+// Snippet markers: control characters that cannot appear in escaped HTML,
+// replaced with <mark> tags after the snippet text has been escaped
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+const SEARCH_INDEX_SQL = `
+CREATE VIRTUAL TABLE IF NOT EXISTS papers_fts USING fts4(
+  ${INDEX_COLUMNS.map(c => c.name).join(', ')},
+  tokenize=unicode61 "remove_diacritics=1"
+);
+
+-- One row per indexed paper; signature detects papers changed outside this index
+CREATE TABLE IF NOT EXISTS indexed_papers (
+  paper_id INTEGER PRIMARY KEY,
+  signature TEXT,
+  indexed_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS index_metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+`;
+
+/**
+ * BM25 ranking over FTS4 matchinfo('pcnalx')
+ * @param {Uint8Array} blob - matchinfo output
+ * @param {number[]} weights - Per-column weights
+ * @returns {number} Score (higher = better)
+ */
+function bm25(blob, weights) {
+  if (!blob || blob.length < 12) return 0;
+  const info = new Uint32Array(blob.buffer, blob.byteOffset, blob.length / 4);
+  const k1 = 1.2;
+  const b = 0.75;
+
+  const phraseCount = info[0];
+  const columnCount = info[1];
+  const totalDocs = info[2];
+  const avgLengthOffset = 3;
+  const docLengthOffset = avgLengthOffset + columnCount;
+  const hitsOffset = docLengthOffset + columnCount;
+
+  let score = 0;
+  for (let p = 0; p < phraseCount; p++) {
+    for (let c = 0; c < columnCount; c++) {
+      const base = hitsOffset + 3 * (c + p * columnCount);
+      const hitsInRow = info[base];
+      const docsWithHits = info[base + 2];
+      if (hitsInRow === 0) continue;
+
+      const idf = Math.log(1 + (totalDocs - docsWithHits + 0.5) / (docsWithHits + 0.5));
+      const avgLength = info[avgLengthOffset + c] || 1;
+      const docLength = info[docLengthOffset + c];
+      const tf = (hitsInRow * (k1 + 1)) /
+        (hitsInRow + k1 * (1 - b + b * (docLength / avgLength)));
+
+      score += (weights[c] ?? 1) * idf * tf;
+    }
+  }
+  return score;
+}
+
+/**
+ * Pick the column contributing the most weighted hits
+ * @param {Uint8Array} blob - matchinfo('pcx') output
+ * @param {number[]} weights - Per-column weights
+ * @returns {number} Column index
+ */
+function bestColumn(blob, weights) {
+  if (!blob || blob.length < 8) return 0;
+  const info = new Uint32Array(blob.buffer, blob.byteOffset, blob.length / 4);
+  const phraseCount = info[0];
+  const columnCount = info[1];
+
+  let best = 0;
+  let bestScore = -1;
+  for (let c = 0; c < columnCount; c++) {
+    let hits = 0;
+    for (let p = 0; p < phraseCount; p++) {
+      hits += info[2 + 3 * (c + p * columnCount)];
+    }
+    const weighted = hits * (weights[c] ?? 1);
+    if (weighted > bestScore) {
+      bestScore = weighted;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Page of the first full-text hit, from FTS4 offsets()
+ * Extracted text separates pages with form feeds, as pdftotext does.
+ * @param {string} offsets - offsets() output: "column term byteOffset size" groups
+ * @param {string} fullText - The row's fulltext column
+ * @returns {number|null} 1-based page, or null if the text has no page breaks
+ */
+function textPage(offsets, fullText) {
+  if (!offsets || !fullText || !fullText.includes('\f')) return null;
+  const values = offsets.split(' ').map(Number);
+  for (let i = 0; i + 3 < values.length; i += 4) {
+    if (values[i] !== FULLTEXT_COLUMN) continue;
+    // Offsets count UTF-8 bytes; form feeds are single bytes either way
+    const bytes = new TextEncoder().encode(fullText).subarray(0, values[i + 2]);
+    return bytes.reduce((page, byte) => (byte === 0x0c ? page + 1 : page), 1);
+  }
+  return null;
+}
+
+/**
+ * Create index tables and register ranking functions on a database
+ * @param {Object} db - sql.js database instance holding the index
+ * @returns {boolean} True if the index is empty or outdated and needs a full rebuild
+ */
+function applySearchIndexSchema(db) {
+  const weights = INDEX_COLUMNS.map(c => c.weight);
+  db.create_function('fts_rank', (blob) => bm25(blob, weights));
+  db.create_function('fts_best_column', (blob) => bestColumn(blob, weights));
+  db.create_function('fts_text_page', textPage);
+
+  let version = null;
+  try {
+    const result = db.exec("SELECT value FROM index_metadata WHERE key = 'version'");
+    version = result[0]?.values[0]?.[0] ?? null;
+  } catch {
+    // Table doesn't exist yet
+  }
+
+  if (version !== null && parseInt(version) !== SEARCH_INDEX_VERSION) {
+    db.run('DROP TABLE IF EXISTS papers_fts');
+    db.run('DROP TABLE IF EXISTS indexed_papers');
+    version = null;
+  }
+
+  db.exec(SEARCH_INDEX_SQL);
+  db.run("INSERT OR REPLACE INTO index_metadata (key, value) VALUES ('version', ?)",
+    [String(SEARCH_INDEX_VERSION)]);
+
+  return version === null;
+}
+
+/**
+ * Build the change-detection signature for a paper from the fields we index.
+ * Status/rating edits leave it unchanged, so they don't trigger re-indexing.
+ * @param {Object} paper - Paper with parsed authors/keywords arrays
+ * @param {string|null} notesStamp - Annotation count and latest update for the paper
+ * @returns {string}
+ */
+function paperSignature(paper, notesStamp) {
+  const metadata = [
+    paper.title,
+    Array.isArray(paper.authors) ? paper.authors.join(';') : paper.authors,
+    paper.abstract,
+    Array.isArray(paper.keywords) ? paper.keywords.join(';') : paper.keywords
+  ].join('\u0000');
+
+  // FNV-1a: cheap, stable across platforms, good enough for change detection
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < metadata.length; i++) {
+    hash ^= metadata.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+
+  return `${hash.toString(16)}|${paper.text_path || ''}|${notesStamp || ''}`;
+}
+
+/**
+ * Add or replace a paper in the index
+ * @param {Object} db - Index database
+ * @param {Object} paper - Paper with parsed authors/keywords arrays
+ * @param {Object} [content]
+ * @param {string} [content.fullText] - Extracted PDF text
+ * @param {Array<{note_content?: string, selection_text?: string}>} [content.annotations]
+ * @param {string} [content.signature] - Change-detection signature
+ */
+function indexPaper(db, paper, content = {}) {
+  const { fullText = '', annotations = [], signature = null } = content;
+
+  const authors = Array.isArray(paper.authors) ? paper.authors.join('; ') : (paper.authors || '');
+  const keywords = Array.isArray(paper.keywords) ? paper.keywords.join('; ') : (paper.keywords || '');
+  const notes = annotations
+    .map(a => [a.note_content, a.selection_text].filter(Boolean).join(' '))
+    .filter(Boolean)
+    .join('\n');
+
+  db.run('DELETE FROM papers_fts WHERE docid = ?', [paper.id]);
+  db.run(`
+    INSERT INTO papers_fts (docid, title, authors, abstract, keywords, fulltext, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    paper.id,
+    paper.title || '',
+    authors,
+    paper.abstract || '',
+    keywords,
+    fullText || '',
+    notes
+  ]);
+  db.run(`
+    INSERT OR REPLACE INTO indexed_papers (paper_id, signature, indexed_at)
+    VALUES (?, ?, ?)
+  `, [paper.id, signature, new Date().toISOString()]);
+}
+
+/**
+ * Remove a paper from the index
+ * @param {Object} db - Index database
+ * @param {number} paperId
+ */
+function removeFromIndex(db, paperId) {
+  db.run('DELETE FROM papers_fts WHERE docid = ?', [paperId]);
+  db.run('DELETE FROM indexed_papers WHERE paper_id = ?', [paperId]);
+}
+
+/**
+ * Get stored signatures for all indexed papers
+ * @param {Object} db - Index database
+ * @returns {Map<number, string>} paper_id -> signature
+ */
+function getIndexedSignatures(db) {
+  const signatures = new Map();
+  const result = db.exec('SELECT paper_id, signature FROM indexed_papers');
+  if (result.length === 0) return signatures;
+  for (const [paperId, signature] of result[0].values) {
+    signatures.set(paperId, signature);
+  }
+  return signatures;
+}
+
+/**
+ * Convert free text to an FTS4 MATCH expression.
+ * Words become prefix terms ANDed together; quoted text stays a phrase.
+ * @param {string} text - User search text
+ * @returns {string|null} MATCH expression, or null if nothing searchable
+ */
+function buildMatchExpression(text) {
+  if (!text) return null;
+  const parts = [];
+  const tokenPattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match[1]) {
+      const words = match[1].match(/[\p{L}\p{N}]+/gu);
+      if (words) parts.push(`"${words.join(' ')}"`);
+    } else {
+      // Split on punctuation so "dark-matter" and "M31," still match tokens
+      const words = match[2].match(/[\p{L}\p{N}]+/gu);
+      if (words) parts.push(...words.map(w => `${w}*`));
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Escape HTML and turn snippet markers into <mark> tags
+ * @param {string} snippet
+ * @returns {string}
+ */
+function snippetToHtml(snippet) {
+  if (!snippet) return '';
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\s+/g, ' ')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Search the index
+ * @param {Object} db - Index database
+ * @param {string} text - Free-text query (field:value filters already removed)
+ * @param {Object} [options]
+ * @param {number} [options.limit=500] - Maximum hits (-1 for no limit)
+ * @returns {Array<{paperId: number, score: number, matchSource: string, snippet: string, page: number|null}>}
+ *   Hits ordered by score, snippet is HTML with <mark> highlights, page is the
+ *   PDF page of the first hit when the best match is in the full text
+ */
+function searchIndex(db, text, options = {}) {
+  const expression = buildMatchExpression(text);
+  if (!expression) return [];
+
+  const limit = options.limit || 500;
+  let result;
+  try {
+    result = db.exec(`
+      SELECT docid,
+        fts_rank(matchinfo(papers_fts, 'pcnalx')) AS score,
+        fts_best_column(matchinfo(papers_fts, 'pcx')) AS best_column,
+        snippet(papers_fts, ?, ?, '…', fts_best_column(matchinfo(papers_fts, 'pcx')), 16) AS snippet,
+        CASE WHEN fts_best_column(matchinfo(papers_fts, 'pcx')) = ?
+          THEN fts_text_page(offsets(papers_fts), fulltext) END AS page
+      FROM papers_fts
+      WHERE papers_fts MATCH ?
+      ORDER BY score DESC
+      LIMIT ?
+    `, [MARK_START, MARK_END, FULLTEXT_COLUMN, expression, limit]);
+  } catch (e) {
+    console.warn('[search-index] Query failed:', expression, e.message);
+    return [];
+  }
+
+  if (result.length === 0) return [];
+
+  return result[0].values.map(([paperId, score, column, snippet, page]) => ({
+    paperId,
+    score,
+    matchSource: INDEX_COLUMNS[column]?.name || 'fulltext',
+    snippet: snippetToHtml(snippet),
+    page: page ?? null
+  }));
+}
+
+/**
+ * Count indexed papers
+ * @param {Object} db - Index database
+ * @returns {number}
+ */
+function getIndexedCount(db) {
+  const result = db.exec('SELECT COUNT(*) FROM indexed_papers');
+  return result[0]?.values[0][0] || 0;
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  INDEX_COLUMNS,
+  applySearchIndexSchema,
+  paperSignature,
+  indexPaper,
+  removeFromIndex,
+  getIndexedSignatures,
+  buildMatchExpression,
+  searchIndex,
+  getIndexedCount
+};
@@ -0,0 +1,212 @@
+/**
+ * Bibliac Core - Library Snapshots
+ *
+ * Snapshots are copies of library.sqlite taken on a schedule into the
+ * library's backups/ folder (see main/snapshot-service.cjs, which also
+ * decides which ones are kept). This module reads and restores them: the
+ * counts shown for each snapshot, the papers it holds, and bringing selected
+ * papers back into the library. It also builds the annotations-only JSON
+ * that can be written next to each snapshot.
+ *
+ * Restoring papers merges them in with library-merge.js, the snapshot's
+ * values winning: fields take their value from the snapshot, and
+ * annotations, files, notes and memberships removed since come back.
+ * Nothing added since is removed.
+ *
+ * Used by the desktop database (database.cjs). Nothing here saves.
+ */
+
+import { mergeLibraries, paperMatchKeys } from './library-merge.js';
+import { purgePapers, restorePapers } from './trash.js';
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+function count(db, sql) {
+  return db.exec(sql)[0]?.values[0][0] || 0;
+}
+
+function parseAuthors(value) {
+  try {
+    const authors = JSON.parse(value || '[]');
+    return Array.isArray(authors) ? authors : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Paper ids of a library by match key (see paperMatchKeys)
+ * @returns {Map<string, number>}
+ */
+function indexPapers(db) {
+  const index = new Map();
+  for (const paper of rowsToObjects(db.exec('SELECT id, bibcode, doi, arxiv_id, title, year FROM papers'))) {
+    for (const key of paperMatchKeys(paper)) {
+      if (!index.has(key)) index.set(key, paper.id);
+    }
+  }
+  return index;
+}
+
+function findPaper(index, paper) {
+  for (const key of paperMatchKeys(paper)) {
+    if (index.has(key)) return index.get(key);
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PREVIEW
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * What a snapshot holds, counted like the export preview (papers in the
+ * Trash are counted separately)
+ * @param {Object} db - sql.js database of the snapshot
+ * @returns {{paperCount: number, trashCount: number, annotationCount: number,
+ *   collectionCount: number, tagCount: number, fileCount: number}}
+ */
+export function getSnapshotStats(db) {
+  return {
+    paperCount: count(db, 'SELECT COUNT(*) FROM papers WHERE deleted_at IS NULL'),
+    trashCount: count(db, 'SELECT COUNT(*) FROM papers WHERE deleted_at IS NOT NULL'),
+    annotationCount: count(db, `SELECT COUNT(*) FROM annotations
+                                WHERE paper_id IN (SELECT id FROM papers WHERE deleted_at IS NULL)`),
+    collectionCount: count(db, 'SELECT COUNT(*) FROM collections'),
+    tagCount: count(db, 'SELECT COUNT(*) FROM tags'),
+    fileCount: count(db, 'SELECT COUNT(*) FROM paper_files')
+  };
+}
+
+/**
+ * The papers in a snapshot, compared with the library as it is now
+ * @param {Object} snapshot - sql.js database of the snapshot
+ * @param {Object} db - sql.js database of the open library
+ * @returns {{id: number, title: string, authors: string[], year: number|null,
+ *   bibcode: string|null, in_trash: boolean, annotation_count: number,
+ *   in_library: boolean, library_annotation_count: number}[]} Sorted by
+ *   title; id is the paper's id in the snapshot
+ */
+export function getSnapshotPapers(snapshot, db) {
+  const index = indexPapers(db);
+  const annotationCounts = new Map(
+    db.exec('SELECT paper_id, COUNT(*) FROM annotations GROUP BY paper_id')[0]?.values || []
+  );
+
+  const papers = rowsToObjects(snapshot.exec(`
+    SELECT p.id, p.title, p.authors, p.year, p.bibcode, p.doi, p.arxiv_id, p.deleted_at,
+           (SELECT COUNT(*) FROM annotations a WHERE a.paper_id = p.id) AS annotation_count
+    FROM papers p
+    ORDER BY p.title COLLATE NOCASE
+  `));
+
+  return papers.map(paper => {
+    const libraryId = findPaper(index, paper);
+    return {
+      id: paper.id,
+      title: paper.title || 'Untitled',
+      authors: parseAuthors(paper.authors),
+      year: paper.year,
+      bibcode: paper.bibcode,
+      in_trash: paper.deleted_at !== null,
+      annotation_count: paper.annotation_count,
+      in_library: libraryId !== null,
+      library_annotation_count: libraryId === null ? 0 : annotationCounts.get(libraryId) || 0
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESTORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Drop everything from a snapshot but the given papers and the collections
+ * and tags they are in
+ */
+function keepOnlyPapers(snapshot, paperIds) {
+  const keep = new Set(paperIds);
+  const others = snapshot.exec('SELECT id FROM papers')[0]?.values.map(row => row[0]).filter(id => !keep.has(id)) || [];
+  purgePapers(snapshot, others);
+
+  snapshot.run('DELETE FROM smart_search_results');
+  snapshot.run('DELETE FROM smart_searches');
+  snapshot.run('DELETE FROM reading_list');
+  snapshot.run('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM paper_tags)');
+
+  // Collections the papers are in, and their parents
+  const parents = new Map(snapshot.exec('SELECT id, parent_id FROM collections')[0]?.values || []);
+  const used = new Set();
+  for (const [id] of snapshot.exec('SELECT DISTINCT collection_id FROM paper_collections')[0]?.values || []) {
+    for (let current = id; current !== null && current !== undefined && !used.has(current); current = parents.get(current)) {
+      used.add(current);
+    }
+  }
+  const unused = [...parents.keys()].filter(id => !used.has(id));
+  if (unused.length) {
+    snapshot.run(`DELETE FROM collections WHERE id IN (${unused.map(() => '?').join(', ')})`, unused);
+  }
+}
+
+/**
+ * Bring papers back from a snapshot. Papers no longer in the library are
+ * added; papers still in it get the snapshot's values and rows back and
+ * leave the Trash.
+ * @param {Object} db - sql.js database of the open library (modified)
+ * @param {Object} snapshot - sql.js database of the snapshot; modified, so
+ *   pass a copy that can be discarded
+ * @param {number[]} paperIds - Paper ids in the snapshot
+ * @returns {{paperIds: number[], stats: Object}} The restored papers' ids in
+ *   the library and what changed per table
+ */
+export function restoreSnapshotPapers(db, snapshot, paperIds) {
+  keepOnlyPapers(snapshot, paperIds);
+  const { stats } = mergeLibraries(db, snapshot, null, 'theirs');
+
+  // Without a base a value beats an empty one, so a paper trashed since the
+  // snapshot is still in the Trash
+  const index = indexPapers(db);
+  const restored = rowsToObjects(snapshot.exec('SELECT bibcode, doi, arxiv_id, title, year FROM papers'))
+    .map(paper => findPaper(index, paper))
+    .filter(id => id !== null);
+  restorePapers(db, restored);
+
+  return { paperIds: restored, stats };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ANNOTATIONS EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every annotation in the library, grouped by paper, for a JSON file that
+ * can be read without the app
+ * @param {Object} db - sql.js database
+ * @param {Date} [now]
+ * @returns {{exported_at: string, papers: Object[]}}
+ */
+export function exportAnnotations(db, now = new Date()) {
+  const papers = rowsToObjects(db.exec(`
+    SELECT id, bibcode, doi, arxiv_id, title, year FROM papers
+    WHERE id IN (SELECT paper_id FROM annotations)
+    ORDER BY title COLLATE NOCASE
+  `));
+  const annotations = rowsToObjects(db.exec(`
+    SELECT paper_id, page_number, selection_text, note_content, color, pdf_source, created_at, updated_at
+    FROM annotations ORDER BY paper_id, page_number, created_at
+  `));
+
+  const byPaper = new Map(papers.map(paper => [paper.id, []]));
+  for (const { paper_id: paperId, ...annotation } of annotations) {
+    byPaper.get(paperId)?.push(annotation);
+  }
+
+  return {
+    exported_at: now.toISOString(),
+    papers: papers.map(({ id, ...paper }) => ({ ...paper, annotations: byPaper.get(id) }))
+  };
+}
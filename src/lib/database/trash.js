@@ -0,0 +1,198 @@
+/**
+ * Bibliac Core - Trash
+ *
+ * Deleting a paper moves it to the Trash: papers.deleted_at is set and the
+ * paper disappears from every list, count and search, but its files,
+ * annotations, summaries, tags and collection memberships stay in place so
+ * a restore brings it back exactly as it was.
+ *
+ * Papers are removed for good when the user empties the Trash, deletes them
+ * from it, or they have been in it longer than the library's retention
+ * period (metadata.trash_retention_days, so it follows the library across
+ * devices). Purging removes the paper's rows from every table; the caller
+ * deletes the files it returns.
+ *
+ * Used by both the desktop (database.cjs) and mobile (mobile-database.js)
+ * databases. Nothing here saves the database.
+ */
+
+import { deleteOrphanAuthors } from './authors.js';
+
+/**
+ * Days a paper stays in the Trash when the library hasn't set its own period
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const RETENTION_KEY = 'trash_retention_days';
+
+/**
+ * Tables holding rows that belong to one paper (paper_id)
+ */
+const PAPER_TABLES = [
+  'annotations', 'attachments', 'paper_files', 'paper_qa', 'text_embeddings',
+  'paper_summaries', 'paper_sources', 'pdf_page_rotations',
+  'paper_references', 'paper_citations', 'paper_collections', 'paper_tags',
+  'paper_history', 'paper_authors'
+];
+
+/**
+ * Tables that link cached references/citations to library papers
+ */
+const LINKED_TABLES = ['paper_references', 'paper_citations'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function placeholders(ids) {
+  return ids.map(() => '?').join(', ');
+}
+
+function rowsToObjects(result) {
+  if (!result.length) return [];
+  const { columns, values } = result[0];
+  return values.map(row => Object.fromEntries(columns.map((col, i) => [col, row[i]])));
+}
+
+/**
+ * Move papers to the Trash
+ * @param {Object} db - sql.js database instance
+ * @param {number[]} ids - Paper IDs
+ * @param {Date} [now]
+ * @returns {number} Papers moved (papers already in the Trash are skipped)
+ */
+export function trashPapers(db, ids, now = new Date()) {
+  if (!ids.length) return 0;
+  db.run(
+    `UPDATE papers SET deleted_at = ? WHERE id IN (${placeholders(ids)}) AND deleted_at IS NULL`,
+    [now.toISOString(), ...ids]
+  );
+  return db.getRowsModified();
+}
+
+/**
+ * Take papers back out of the Trash
+ * @param {Object} db - sql.js database instance
+ * @param {number[]} ids - Paper IDs
+ * @returns {number} Papers restored
+ */
+export function restorePapers(db, ids) {
+  if (!ids.length) return 0;
+  db.run(
+    `UPDATE papers SET deleted_at = NULL WHERE id IN (${placeholders(ids)}) AND deleted_at IS NOT NULL`,
+    ids
+  );
+  return db.getRowsModified();
+}
+
+/**
+ * IDs of every paper in the Trash
+ * @param {Object} db - sql.js database instance
+ * @returns {number[]}
+ */
+export function getTrashedPaperIds(db) {
+  const result = db.exec('SELECT id FROM papers WHERE deleted_at IS NOT NULL');
+  return result.length ? result[0].values.map(row => row[0]) : [];
+}
+
+/**
+ * Number of papers in the Trash
+ * @param {Object} db - sql.js database instance
+ * @returns {number}
+ */
+export function getTrashCount(db) {
+  const result = db.exec('SELECT COUNT(*) FROM papers WHERE deleted_at IS NOT NULL');
+  return result[0]?.values[0][0] || 0;
+}
+
+/**
+ * Days papers stay in the Trash before they are purged
+ * @param {Object} db - sql.js database instance
+ * @returns {number} 0 means papers stay until the Trash is emptied
+ */
+export function getTrashRetentionDays(db) {
+  const result = db.exec('SELECT value FROM metadata WHERE key = ?', [RETENTION_KEY]);
+  const days = parseInt(result[0]?.values[0]?.[0], 10);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Set how many days papers stay in the Trash
+ * @param {Object} db - sql.js database instance
+ * @param {number} days - Whole days, 0 to never purge automatically
+ * @returns {number} The stored value
+ */
+export function setTrashRetentionDays(db, days) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Trash retention must be a whole number of days, got ${days}`);
+  }
+  db.run('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)', [RETENTION_KEY, String(value)]);
+  return value;
+}
+
+/**
+ * Papers that have been in the Trash longer than the retention period
+ * @param {Object} db - sql.js database instance
+ * @param {Date} [now]
+ * @returns {number[]} Paper IDs, empty when retention is 0
+ */
+export function getExpiredTrashIds(db, now = new Date()) {
+  const days = getTrashRetentionDays(db);
+  if (days === 0) return [];
+
+  const cutoff = new Date(now.getTime() - days * MS_PER_DAY).toISOString();
+  const result = db.exec(
+    'SELECT id FROM papers WHERE deleted_at IS NOT NULL AND deleted_at <= ?',
+    [cutoff]
+  );
+  return result.length ? result[0].values.map(row => row[0]) : [];
+}
+
+/**
+ * Permanently delete papers and every row that belongs to them. Cached
+ * references and citations of other papers that linked to them are unlinked.
+ * @param {Object} db - sql.js database instance
+ * @param {number[]} ids - Paper IDs
+ * @returns {{papers: Object[], files: Object[]}} The deleted papers (id,
+ *   bibcode, pdf_path, text_path) and the deleted paper_files rows whose
+ *   stored file no remaining row uses, for the caller to delete from disk
+ */
+export function purgePapers(db, ids) {
+  if (!ids.length) return { papers: [], files: [] };
+  const list = placeholders(ids);
+
+  const papers = rowsToObjects(db.exec(
+    `SELECT id, bibcode, pdf_path, text_path FROM papers WHERE id IN (${list})`,
+    ids
+  ));
+  const removedFiles = rowsToObjects(db.exec(`SELECT * FROM paper_files WHERE paper_id IN (${list})`, ids));
+
+  db.run('BEGIN');
+  try {
+    for (const table of PAPER_TABLES) {
+      db.run(`DELETE FROM ${table} WHERE paper_id IN (${list})`, ids);
+    }
+    for (const table of LINKED_TABLES) {
+      db.run(`UPDATE ${table} SET linked_paper_id = NULL WHERE linked_paper_id IN (${list})`, ids);
+    }
+    db.run(`DELETE FROM papers WHERE id IN (${list})`, ids);
+    deleteOrphanAuthors(db);
+    db.run('COMMIT');
+  } catch (e) {
+    db.run('ROLLBACK');
+    throw e;
+  }
+
+  // Content-addressed files can be shared, with each other or with papers
+  // that weren't purged
+  const seen = new Set();
+  const files = removedFiles.filter(file => {
+    const column = file.file_hash ? 'file_hash' : 'filename';
+    const key = `${column}:${file[column]}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    const result = db.exec(`SELECT COUNT(*) FROM paper_files WHERE ${column} = ?`, [file[column]]);
+    return (result[0]?.values[0][0] || 0) === 0;
+  });
+
+  return { papers, files };
+}
@@ -31,6 +31,26 @@ const FILE_STATUS = {
   CANCELLED: 'cancelled'    // Download was cancelled
 };
 
+// Ingest status - where a PDF is in the post-import pipeline
+const INGEST_STATUS = {
+  PENDING: 'pending',       // Waiting for text extraction
+  PROCESSING: 'processing', // Being processed (reset to pending after a crash)
+  DONE: 'done',             // Text extracted and identifiers checked
+  FAILED: 'failed'          // No text could be read (see ingest_error)
+};
+
+// Ingest pipeline steps, in order, as reported in progress events
+const INGEST_STEPS = {
+  TEXT: 'text',               // Extracting the PDF's text
+  IDENTIFIERS: 'identifiers', // Looking for a DOI, arXiv ID or bibcode
+  REFERENCES: 'references',   // Parsing the reference list
+  ANALYSIS: 'analysis'        // Handing the paper on (embeddings, summary)
+};
+
+// paper_references.source_plugin of references parsed from the PDF's text
+// (see lib/pdf/reference-parser.js), as opposed to a plugin's
+const PDF_REFERENCES_SOURCE = 'pdf';
+
 // Download priority levels
 const PRIORITY = {
   LOW: 0,
@@ -62,6 +82,9 @@ module.exports = {
   FILE_ROLES,
   PDF_SOURCES,
   FILE_STATUS,
+  INGEST_STATUS,
+  INGEST_STEPS,
+  PDF_REFERENCES_SOURCE,
   PRIORITY,
   DEFAULT_RETRY_POLICY,
   DEFAULT_CONCURRENCY,
@@ -261,25 +261,7 @@ class FileManager {
 
     // If no other records use this file, delete the actual file
     if (!isShared) {
-      // Try new content-addressed storage location first
-      if (fileHash && fileRecord.filename) {
-        const storagePath = this.getStoragePath(fileRecord);
-        if (fs.existsSync(storagePath)) {
-          await fs.promises.unlink(storagePath);
-
-          // Try to remove the prefix directory if empty
-          const prefixDir = path.dirname(storagePath);
-          try {
-            const files = await fs.promises.readdir(prefixDir);
-            if (files.length === 0) {
-              await fs.promises.rmdir(prefixDir);
-            }
-          } catch (err) {
-            // Ignore - directory may not be empty or already removed
-          }
-        }
-      }
-
+      await this.deleteStoredFile(fileRecord);
     }
 
     // Note: Symlink cleanup would require tracking which paper/bibcode
@@ -288,6 +270,31 @@ class FileManager {
     return true;
   }
 
+  /**
+   * Delete a file from content-addressed storage. The caller must have
+   * checked that no other record uses it.
+   * @param {Object} fileRecord - File record with file_hash and filename
+   * @returns {Promise<void>}
+   */
+  async deleteStoredFile(fileRecord) {
+    if (!fileRecord.file_hash || !fileRecord.filename) return;
+
+    const storagePath = this.getStoragePath(fileRecord);
+    if (!fs.existsSync(storagePath)) return;
+    await fs.promises.unlink(storagePath);
+
+    // Try to remove the prefix directory if empty
+    const prefixDir = path.dirname(storagePath);
+    try {
+      const files = await fs.promises.readdir(prefixDir);
+      if (files.length === 0) {
+        await fs.promises.rmdir(prefixDir);
+      }
+    } catch (err) {
+      // Ignore - directory may not be empty or already removed
+    }
+  }
+
   /**
    * Get all files for a paper
    * @param {number} paperId - Paper ID
@@ -1,7 +1,8 @@
 /**
  * Bibliac - Files Module
  *
- * Provides download queue, download strategies, and file management.
+ * Provides download queue, download strategies, file management and the
+ * post-import ingest pipeline.
  */
 
 // Re-export constants
@@ -23,3 +24,7 @@ module.exports.DownloadStrategyManager = strategies.DownloadStrategyManager;
 // Re-export FileManager
 const { FileManager } = require('./file-manager.cjs');
 module.exports.FileManager = FileManager;
+
+// Re-export IngestPipeline
+const { IngestPipeline } = require('./ingest-pipeline.cjs');
+module.exports.IngestPipeline = IngestPipeline;
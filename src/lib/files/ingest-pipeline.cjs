@@ -0,0 +1,292 @@
+/**
+ * Bibliac - Ingest Pipeline
+ *
+ * Post-import processing for every new PDF in paper_files, however it got
+ * there (download queue, Files panel, drag and drop, PDF or library import):
+ * extracts its text, looks for identifiers the paper is missing, parses its
+ * reference list and hands the paper on for optional analysis (embeddings,
+ * summary).
+ *
+ * Progress is kept in paper_files.ingest_status, so files left pending or
+ * half-processed by a crash are picked up again by enqueuePending().
+ * Files are processed one at a time: text extraction is CPU-bound.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { FILE_ROLES, INGEST_STATUS, INGEST_STEPS, PDF_REFERENCES_SOURCE } = require('./constants.cjs');
+
+// Identifiers filled in from the text when the paper has none. Bibcodes
+// found in text are only reported: a wrong one would re-key the paper.
+const FILLED_IDENTIFIERS = ['doi', 'arxiv_id'];
+
+/**
+ * @typedef {Object} IngestResult
+ * @property {number} fileId - paper_files record ID
+ * @property {number} paperId - Paper the file belongs to
+ * @property {string} textPath - Extracted text, relative to the library
+ * @property {{bibcode: ?string, arxiv_id: ?string, doi: ?string}} identifiers -
+ *   Identifiers found in the text
+ * @property {string[]} updatedFields - Paper fields filled in from them
+ * @property {number} references - References parsed from the text and cached
+ */
+
+class IngestPipeline extends EventEmitter {
+  /**
+   * Create a new IngestPipeline
+   * @param {Object} options - Configuration options
+   * @param {string} options.libraryPath - Path to the library folder
+   * @param {Object} options.database - Database module reference
+   * @param {Object} options.fileManager - FileManager, to locate stored files
+   * @param {Function} options.extractTextFn - (pdfPath, textPath) => Promise<boolean>,
+   *   writes the PDF's text to textPath
+   * @param {Function} options.detectIdentifiersFn - (text) => {bibcode, arxiv_id, doi}
+   * @param {Function} [options.extractReferencesFn] - (text) => Promise<Object[]>,
+   *   the paper's reference list in the form cacheReferences takes
+   * @param {Function} [options.analyzeFn] - (paper, result) => void, called once
+   *   a paper has text; it should queue its own work rather than wait for it
+   */
+  constructor(options = {}) {
+    super();
+
+    this.libraryPath = options.libraryPath;
+    this.db = options.database;
+    this.fileManager = options.fileManager;
+    this.extractTextFn = options.extractTextFn;
+    this.detectIdentifiersFn = options.detectIdentifiersFn;
+    this.extractReferencesFn = options.extractReferencesFn || null;
+    this.analyzeFn = options.analyzeFn || null;
+
+    // File IDs waiting to be processed
+    this.queue = [];
+
+    // File ID being processed, or null
+    this.active = null;
+
+    // Set by stop() to drop work for a library that was closed
+    this.stopped = false;
+  }
+
+  /**
+   * Add a PDF to the pipeline
+   * @param {number} fileId - paper_files record ID
+   * @returns {boolean} False if it is already queued or being processed
+   */
+  enqueue(fileId) {
+    if (this.stopped || this.active === fileId || this.queue.includes(fileId)) {
+      return false;
+    }
+
+    const file = this.db.getPaperFile(fileId);
+    if (!file || file.file_role !== FILE_ROLES.PDF) return false;
+
+    if (file.ingest_status !== INGEST_STATUS.PENDING) {
+      this.db.updatePaperFile(fileId, { ingest_status: INGEST_STATUS.PENDING, ingest_error: null });
+    }
+
+    this.queue.push(fileId);
+    this.emit('queued', { fileId, paperId: file.paper_id, position: this.queue.length - 1 });
+
+    this._processNext();
+    return true;
+  }
+
+  /**
+   * Queue every PDF still waiting for the pipeline, including files that
+   * were being processed when the app last quit
+   * @returns {number} Number of files queued
+   */
+  enqueuePending() {
+    for (const file of this.db.getPaperFilesByIngestStatus(INGEST_STATUS.PROCESSING)) {
+      this.db.updatePaperFile(file.id, { ingest_status: INGEST_STATUS.PENDING });
+    }
+
+    let added = 0;
+    for (const file of this.db.getPaperFilesByIngestStatus(INGEST_STATUS.PENDING)) {
+      if (this.enqueue(file.id)) added++;
+    }
+    if (added > 0) {
+      console.log(`[IngestPipeline] Queued ${added} pending files`);
+    }
+    return added;
+  }
+
+  /**
+   * Stop taking work, e.g. when the library is closed. Queued files stay
+   * pending in the database and are picked up when it is opened again.
+   */
+  stop() {
+    this.stopped = true;
+    this.queue = [];
+  }
+
+  /**
+   * Get current pipeline status
+   * @returns {{queued: number, activeId: ?number}}
+   */
+  getStatus() {
+    return {
+      queued: this.queue.length,
+      activeId: this.active
+    };
+  }
+
+  /**
+   * Process the next queued file
+   * @private
+   */
+  async _processNext() {
+    if (this.active !== null || this.stopped) return;
+
+    if (this.queue.length === 0) {
+      this.emit('queue-empty');
+      return;
+    }
+
+    const fileId = this.queue.shift();
+    this.active = fileId;
+    try {
+      await this._ingest(fileId);
+    } finally {
+      this.active = null;
+    }
+
+    this._processNext();
+  }
+
+  /**
+   * Run a file through the pipeline, recording the outcome in its record
+   * @private
+   * @param {number} fileId - paper_files record ID
+   */
+  async _ingest(fileId) {
+    const file = this.db.getPaperFile(fileId);
+    if (!file) return;
+
+    const paper = this.db.getPaper(file.paper_id);
+    if (!paper) return;
+
+    const paperId = paper.id;
+    this.db.updatePaperFile(fileId, { ingest_status: INGEST_STATUS.PROCESSING });
+    this.emit('started', { fileId, paperId });
+
+    try {
+      const result = await this._run(file, paper);
+      if (this.stopped) return;
+
+      this.emit('complete', result);
+    } catch (error) {
+      if (this.stopped) return;
+
+      console.error(`[IngestPipeline] File ${fileId} failed:`, error.message);
+      this.db.updatePaperFile(fileId, { ingest_status: INGEST_STATUS.FAILED, ingest_error: error.message });
+      this.emit('error', { fileId, paperId, error: error.message });
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<IngestResult>}
+   */
+  async _run(file, paper) {
+    const fileId = file.id;
+    const paperId = paper.id;
+    const progress = (step) => this.emit('progress', { fileId, paperId, step });
+
+    // Text - reuse what an import already extracted
+    progress(INGEST_STEPS.TEXT);
+    let textPath = file.text_path;
+    if (!file.text_extracted || !textPath || !fs.existsSync(path.join(this.libraryPath, textPath))) {
+      textPath = await this._extractText(file);
+    }
+    if (this.stopped) return null;
+
+    const text = fs.readFileSync(path.join(this.libraryPath, textPath), 'utf-8');
+    if (!text.trim()) {
+      throw new Error('No text could be read from the PDF');
+    }
+
+    // Identifiers
+    progress(INGEST_STEPS.IDENTIFIERS);
+    const identifiers = this.detectIdentifiersFn(text);
+    const updates = {};
+    for (const field of FILLED_IDENTIFIERS) {
+      if (identifiers[field] && !paper[field]) updates[field] = identifiers[field];
+    }
+
+    // The paper's text is what search and the AI features read
+    const paperText = paper.text_path && path.join(this.libraryPath, paper.text_path);
+    if (!paperText || !fs.existsSync(paperText)) {
+      updates.text_path = textPath;
+    }
+
+    let updatedFields = [];
+    if (Object.keys(updates).length > 0) {
+      const skipped = this.db.updatePaper(paperId, updates, true, { origin: 'pdf-text' });
+      updatedFields = Object.keys(updates).filter(key => key !== 'text_path' && !skipped.includes(key));
+    }
+
+    this.db.updatePaperFile(fileId, {
+      text_extracted: 1,
+      text_path: textPath,
+      ingest_status: INGEST_STATUS.DONE,
+      ingest_error: null
+    });
+
+    // References - only for papers no plugin has given a list for
+    let references = 0;
+    if (this.extractReferencesFn && this.db.getCachedReferences(paperId).refs.length === 0) {
+      progress(INGEST_STEPS.REFERENCES);
+      try {
+        const refs = await this.extractReferencesFn(text);
+        if (this.stopped) return null;
+        if (refs.length > 0) {
+          this.db.cacheReferences(paperId, refs, PDF_REFERENCES_SOURCE);
+          references = refs.length;
+        }
+      } catch (error) {
+        console.error(`[IngestPipeline] Reference parsing for paper ${paperId} failed:`, error.message);
+      }
+    }
+
+    const result = { fileId, paperId, textPath, identifiers, updatedFields, references };
+
+    // Analysis
+    if (this.analyzeFn) {
+      progress(INGEST_STEPS.ANALYSIS);
+      try {
+        this.analyzeFn(this.db.getPaper(paperId), result);
+      } catch (error) {
+        console.error(`[IngestPipeline] Analysis for paper ${paperId} failed:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract a stored PDF's text to text/<name>.txt
+   * @private
+   * @returns {Promise<string>} The text path, relative to the library
+   */
+  async _extractText(file) {
+    const pdfPath = this.fileManager.getFile(file.id)?.path;
+    if (!pdfPath) {
+      throw new Error('PDF file not found');
+    }
+
+    const textDir = path.join(this.libraryPath, 'text');
+    await fs.promises.mkdir(textDir, { recursive: true });
+
+    const textPath = `text/${path.basename(file.filename, path.extname(file.filename))}.txt`;
+    await this.extractTextFn(pdfPath, path.join(this.libraryPath, textPath));
+
+    if (!fs.existsSync(path.join(this.libraryPath, textPath))) {
+      throw new Error('No text could be read from the PDF');
+    }
+    return textPath;
+  }
+}
+
+module.exports = { IngestPipeline };
@@ -0,0 +1,311 @@
+/**
+ * Bibliac Core - Citation Graph
+ *
+ * Walks cached references and citations outward from a set of library
+ * papers and scores the works it reaches. Storage is left to the caller:
+ * `getLinks` returns a library paper's cached refs/cites, so the same walk
+ * runs on the Electron and iOS databases.
+ *
+ * Only library papers can be expanded (only they have cached links); works
+ * outside the library are leaves of the graph.
+ */
+
+export const DEFAULT_MAX_DEPTH = 2;
+export const DEFAULT_MAX_NODES = 300;
+
+/** Minimum number of citing papers in the graph for a work to count as co-cited */
+export const CO_CITED_THRESHOLD = 2;
+
+/**
+ * @typedef {Object} CachedWork
+ * @property {string} [doi]
+ * @property {string} [arxiv_id]
+ * @property {string} [bibcode]
+ * @property {string} [title]
+ * @property {string|string[]} [authors]
+ * @property {number} [year]
+ * @property {string} [journal]
+ * @property {number|null} [linked_paper_id] - Library paper ID, if the work is in the library
+ */
+
+/**
+ * @typedef {Object} PaperLinks
+ * @property {Object} paper - The library paper (id, title, authors, year, doi, arxiv_id, bibcode)
+ * @property {CachedWork[]} refs - Works the paper cites
+ * @property {CachedWork[]} cites - Works citing the paper
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - 'paper:<id>' for library papers, 'work:<key>' otherwise
+ * @property {number|null} paperId - Library paper ID
+ * @property {boolean} inLibrary
+ * @property {boolean} seed
+ * @property {boolean} expanded - Whether the node's own refs/cites were walked
+ * @property {number} depth - Hops from the nearest seed
+ * @property {string|null} title
+ * @property {string|null} authors
+ * @property {number|null} year
+ * @property {string|null} journal
+ * @property {string|null} doi
+ * @property {string|null} arxiv_id
+ * @property {string|null} bibcode
+ * @property {number} citedBy - Graph nodes citing this node
+ * @property {number} coCitation - Graph nodes citing both this node and a seed
+ * @property {number} coupling - References shared with the seeds
+ * @property {boolean} coCited - Outside the library and cited by at least CO_CITED_THRESHOLD graph nodes
+ */
+
+/**
+ * Identifier keys for a work, strongest first. Two records sharing any key
+ * are treated as the same work.
+ * @param {CachedWork} work
+ * @returns {string[]}
+ */
+export function workKeys(work) {
+  const keys = [];
+  if (work.doi) {
+    keys.push('doi:' + String(work.doi).trim().toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, ''));
+  }
+  if (work.arxiv_id) {
+    keys.push('arxiv:' + String(work.arxiv_id).trim().toLowerCase().replace(/^arxiv:/, '').replace(/v\d+$/, ''));
+  }
+  if (work.bibcode) {
+    keys.push('bibcode:' + String(work.bibcode).trim());
+  }
+  if (keys.length === 0 && work.title) {
+    const title = String(work.title).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (title) keys.push(`title:${title}|${work.year || ''}`);
+  }
+  return keys;
+}
+
+function formatAuthors(authors) {
+  if (!authors) return null;
+  if (Array.isArray(authors)) return authors.join('; ');
+  if (typeof authors === 'string' && authors.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(authors);
+      if (Array.isArray(parsed)) return parsed.join('; ');
+    } catch {
+      // Not JSON - fall through to the raw string
+    }
+  }
+  return String(authors);
+}
+
+/**
+ * Build a citation graph from one or more library papers.
+ *
+ * Edges point from the citing work to the cited work. Nodes reached through
+ * several seeds keep their smallest depth.
+ *
+ * @param {Object} options
+ * @param {number[]} options.seedIds - Library paper IDs to start from
+ * @param {function(number): (PaperLinks|null|Promise<PaperLinks|null>)} options.getLinks
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - Hops to walk from the seeds
+ * @param {number} [options.maxNodes=DEFAULT_MAX_NODES] - Stop adding nodes past this many
+ * @returns {Promise<{nodes: GraphNode[], edges: {source: string, target: string}[], truncated: boolean}>}
+ */
+export async function buildCitationGraph({ seedIds, getLinks, maxDepth = DEFAULT_MAX_DEPTH, maxNodes = DEFAULT_MAX_NODES }) {
+  const nodes = new Map();
+  const aliases = new Map();
+  const edges = new Map();
+  let truncated = false;
+
+  const fill = (node, work) => {
+    node.title = node.title || work.title || null;
+    node.authors = node.authors || formatAuthors(work.authors);
+    node.year = node.year || work.year || null;
+    node.journal = node.journal || work.journal || null;
+    node.doi = node.doi || work.doi || null;
+    node.arxiv_id = node.arxiv_id || work.arxiv_id || null;
+    node.bibcode = node.bibcode || work.bibcode || null;
+  };
+
+  // Find or create the node for a work, registering any new identifier aliases
+  const addWork = (work, paperId, depth) => {
+    const keys = workKeys(work);
+    const id = paperId ? `paper:${paperId}` : null;
+    let node = id ? nodes.get(id) : null;
+    if (!node) {
+      const aliased = keys.map(key => aliases.get(key)).find(Boolean);
+      if (aliased && (!id || !nodes.get(aliased).paperId)) node = nodes.get(aliased);
+    }
+
+    if (!node) {
+      if (!id && keys.length === 0) return null;
+      if (nodes.size >= maxNodes) {
+        truncated = true;
+        return null;
+      }
+      node = {
+        id: id || `work:${keys[0]}`,
+        paperId: paperId || null,
+        inLibrary: !!paperId,
+        seed: false,
+        expanded: false,
+        depth,
+        title: null, authors: null, year: null, journal: null,
+        doi: null, arxiv_id: null, bibcode: null,
+        citedBy: 0, coCitation: 0, coupling: 0, coCited: false
+      };
+      nodes.set(node.id, node);
+    } else if (paperId && !node.paperId) {
+      // A work first seen without a library link turns out to be a library paper
+      nodes.delete(node.id);
+      const existingEdges = [...edges.values()];
+      edges.clear();
+      for (const edge of existingEdges) {
+        if (edge.source === node.id) edge.source = id;
+        if (edge.target === node.id) edge.target = id;
+        edges.set(`${edge.source}>${edge.target}`, edge);
+      }
+      for (const [key, value] of aliases) {
+        if (value === node.id) aliases.set(key, id);
+      }
+      node.id = id;
+      node.paperId = paperId;
+      node.inLibrary = true;
+      nodes.set(id, node);
+    }
+
+    node.depth = Math.min(node.depth, depth);
+    fill(node, work);
+    for (const key of keys) {
+      if (!aliases.has(key)) aliases.set(key, node.id);
+    }
+    return node;
+  };
+
+  const addEdge = (source, target) => {
+    if (source.id === target.id) return;
+    edges.set(`${source.id}>${target.id}`, { source: source.id, target: target.id });
+  };
+
+  const queue = [];
+  const queued = new Set();
+  const enqueue = (paperId, depth) => {
+    if (queued.has(paperId)) return;
+    queued.add(paperId);
+    queue.push({ paperId, depth });
+  };
+
+  for (const paperId of seedIds) enqueue(paperId, 0);
+
+  while (queue.length > 0) {
+    const { paperId, depth } = queue.shift();
+    const links = await getLinks(paperId);
+    if (!links?.paper) continue;
+
+    const node = addWork(links.paper, paperId, depth);
+    if (!node) continue;
+    node.expanded = true;
+    if (depth === 0) node.seed = true;
+    if (depth >= maxDepth) continue;
+
+    for (const ref of links.refs || []) {
+      const target = addWork(ref, ref.linked_paper_id, depth + 1);
+      if (!target) continue;
+      addEdge(node, target);
+      if (target.paperId && depth + 1 < maxDepth) enqueue(target.paperId, depth + 1);
+    }
+    for (const cite of links.cites || []) {
+      const source = addWork(cite, cite.linked_paper_id, depth + 1);
+      if (!source) continue;
+      addEdge(source, node);
+      if (source.paperId && depth + 1 < maxDepth) enqueue(source.paperId, depth + 1);
+    }
+  }
+
+  const graph = { nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+  scoreGraph(graph);
+  return graph;
+}
+
+/**
+ * Index a graph's edges by citing and cited node
+ * @param {{edges: {source: string, target: string}[]}} graph
+ * @returns {{refs: Map<string, Set<string>>, citers: Map<string, Set<string>>}}
+ */
+function indexEdges(graph) {
+  const refs = new Map();
+  const citers = new Map();
+  for (const { source, target } of graph.edges) {
+    if (!refs.has(source)) refs.set(source, new Set());
+    if (!citers.has(target)) citers.set(target, new Set());
+    refs.get(source).add(target);
+    citers.get(target).add(source);
+  }
+  return { refs, citers };
+}
+
+function intersectionSize(a, b) {
+  if (!a || !b) return 0;
+  let count = 0;
+  for (const item of a) {
+    if (b.has(item)) count++;
+  }
+  return count;
+}
+
+/**
+ * Co-citation strength: how many graph nodes cite both works
+ * @param {Object} graph - Result of buildCitationGraph
+ * @param {string} a - Node ID
+ * @param {string} b - Node ID
+ * @returns {number}
+ */
+export function coCitationStrength(graph, a, b) {
+  const { citers } = indexEdges(graph);
+  return intersectionSize(citers.get(a), citers.get(b));
+}
+
+/**
+ * Bibliographic coupling strength: how many references both works share
+ * @param {Object} graph - Result of buildCitationGraph
+ * @param {string} a - Node ID
+ * @param {string} b - Node ID
+ * @returns {number}
+ */
+export function couplingStrength(graph, a, b) {
+  const { refs } = indexEdges(graph);
+  return intersectionSize(refs.get(a), refs.get(b));
+}
+
+/**
+ * Fill in each node's citedBy, coCitation, coupling and coCited scores,
+ * measuring co-citation and coupling against the seeds as a group
+ * @param {Object} graph - Result of buildCitationGraph (modified in place)
+ */
+export function scoreGraph(graph) {
+  const { refs, citers } = indexEdges(graph);
+  const seeds = new Set(graph.nodes.filter(node => node.seed).map(node => node.id));
+
+  for (const node of graph.nodes) {
+    const nodeCiters = citers.get(node.id) || new Set();
+    node.citedBy = nodeCiters.size;
+
+    if (node.seed) {
+      node.coCitation = 0;
+      node.coupling = 0;
+    } else {
+      let coCitation = 0;
+      for (const citer of nodeCiters) {
+        const citerRefs = refs.get(citer);
+        if ([...seeds].some(seed => citerRefs.has(seed))) coCitation++;
+      }
+      node.coCitation = coCitation;
+
+      const seedRefs = new Set();
+      for (const seed of seeds) {
+        for (const ref of refs.get(seed) || []) {
+          if (ref !== node.id) seedRefs.add(ref);
+        }
+      }
+      node.coupling = intersectionSize(refs.get(node.id), seedRefs);
+    }
+
+    node.coCited = !node.inLibrary && node.citedBy >= CO_CITED_THRESHOLD;
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Bibliac Core - Graph Module
+ *
+ * Citation graph walk and co-citation / bibliographic-coupling scores.
+ */
+
+export {
+  buildCitationGraph,
+  scoreGraph,
+  coCitationStrength,
+  couplingStrength,
+  workKeys,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_NODES,
+  CO_CITED_THRESHOLD
+} from './citation-graph.js';
@@ -18,6 +18,8 @@ export * from './ads-api/index.js';
 export * from './bibtex/index.js';
 export * from './database/index.js';
 export * from './pdf/index.js';
+export * from './graph/index.js';
+export * from './search/index.js';
 export * from './utils/index.js';
 export * from './adapters/index.js';
 export * from './types.js';
@@ -0,0 +1,236 @@
+/**
+ * Bibliac Core - Citation Markers
+ *
+ * Finds in-text citation markers in a paper's text and matches them to the
+ * entries of its reference list, so the PDF viewer can link "[23]" or
+ * "Smith et al. (2019)" to the work it cites.
+ *
+ * Recognised markers:
+ *   Numbered:     [23]  [4, 7–9]
+ *   Narrative:    Smith et al. (2019)  Smith, Lee & Jones (2019a, 2020)
+ *   Parenthetical: (Smith 2019; Jones et al. 2020b) - one marker per citation
+ *
+ * Numbered markers need the reference list in its printed order, which only
+ * the list parsed from the PDF has (see reference-parser.js); author-year
+ * markers also match cached references from a source plugin.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const YEAR = '(?:1[6-9]\\d{2}|20\\d{2})[a-z]?';
+const NAME = '(?:(?:van|von|der|den|de|del|di|da|du|la|le)\\s)*\\p{Lu}[\\p{L}\'’-]+';
+const AUTHORS = `(${NAME})(?:\\s+et\\s+al\\.?|(?:,\\s*${NAME})*,?\\s+(?:and|&)\\s+${NAME})?`;
+
+const NUMBERED = /\[(\d{1,3}(?:\s*[-–—]\s*\d{1,3})?(?:\s*[,;]\s*\d{1,3}(?:\s*[-–—]\s*\d{1,3})?)*)\]/g;
+const NARRATIVE = new RegExp(`${AUTHORS}\\s*\\((${YEAR}(?:\\s*,\\s*${YEAR})*)\\)`, 'gu');
+const PARENTHETICAL = /\(([^()]*\d{4}[a-z]?[^()]*)\)/g;
+const PARENTHETICAL_PART = new RegExp(`^(?:(?:e\\.g\\.|i\\.e\\.|see(?:\\s+also)?|cf\\.)\\s*,?\\s*)?${AUTHORS},?\\s+(${YEAR}(?:\\s*,\\s*${YEAR})*)$`, 'u');
+
+// Ranges longer than this are more likely page ranges than citations
+const MAX_RANGE = 50;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKER DETECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} CitationMarker
+ * @property {number} start - Offset of the marker in the text
+ * @property {number} end - Offset just past it
+ * @property {number[]} [numbers] - Reference numbers, for numbered markers
+ * @property {{author: string, year: string}[]} [cites] - First author surname
+ *   and year (with any a/b suffix), for author-year markers
+ */
+
+function expandNumbers(list) {
+  const numbers = [];
+  for (const part of list.split(/\s*[,;]\s*/)) {
+    const [from, to] = part.split(/\s*[-–—]\s*/).map(Number);
+    if (to === undefined) {
+      numbers.push(from);
+    } else if (to >= from && to - from <= MAX_RANGE) {
+      for (let n = from; n <= to; n++) numbers.push(n);
+    } else {
+      return null;
+    }
+  }
+  return numbers;
+}
+
+function yearCites(author, years) {
+  return years.split(/\s*,\s*/).map(year => ({ author, year }));
+}
+
+/**
+ * Find the citation markers in a piece of text (a text layer item or line)
+ * @param {string} text
+ * @returns {CitationMarker[]} In order of their position
+ */
+export function findCitationMarkers(text) {
+  if (!text) return [];
+  const markers = [];
+
+  for (const match of text.matchAll(NUMBERED)) {
+    const numbers = expandNumbers(match[1]);
+    if (numbers) markers.push({ start: match.index, end: match.index + match[0].length, numbers });
+  }
+
+  for (const match of text.matchAll(NARRATIVE)) {
+    markers.push({ start: match.index, end: match.index + match[0].length, cites: yearCites(match[1], match[2]) });
+  }
+
+  // "(Smith 2019; Jones 2020)": each citation is its own marker
+  for (const match of text.matchAll(PARENTHETICAL)) {
+    let offset = match.index + 1;
+    for (const part of match[1].split(';')) {
+      const trimmed = part.trim();
+      const cite = trimmed.match(PARENTHETICAL_PART);
+      if (cite) {
+        const start = offset + part.indexOf(trimmed);
+        markers.push({ start, end: start + trimmed.length, cites: yearCites(cite[1], cite[2]) });
+      }
+      offset += part.length + 1;
+    }
+  }
+
+  // Drop markers overlapping an earlier one
+  markers.sort((a, b) => a.start - b.start);
+  return markers.filter((marker, i) => i === 0 || marker.start >= markers[i - 1].end);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} CitationTarget
+ * @property {number|null} number - Position in the printed reference list
+ * @property {string[]} authors
+ * @property {number|null} year
+ * @property {string|null} title
+ * @property {string|null} journal
+ * @property {string|null} doi
+ * @property {string|null} arxiv_id
+ * @property {string|null} bibcode
+ * @property {number|null} linked_paper_id - Library paper, if any
+ */
+
+function normalizeName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[’']/g, '').toLowerCase();
+}
+
+// "Smith, J." → smith; "John Smith" → smith
+function firstAuthorSurname(authors) {
+  const first = (authors || [])[0];
+  if (!first) return null;
+  const surname = first.includes(',') ? first.split(',')[0] : first.trim().split(/\s+/).pop();
+  return normalizeName(surname.trim());
+}
+
+function toAuthorList(authors) {
+  if (Array.isArray(authors)) return authors;
+  return authors ? authors.split('; ') : [];
+}
+
+function sameWork(a, b) {
+  if (a.doi && b.doi) return a.doi.toLowerCase() === b.doi.toLowerCase();
+  if (a.arxiv_id && b.arxiv_id) return a.arxiv_id.replace(/v\d+$/, '') === b.arxiv_id.replace(/v\d+$/, '');
+  if (a.bibcode && b.bibcode) return a.bibcode === b.bibcode;
+  return Boolean(a.year) && a.year === b.year && firstAuthorSurname(a.authors) === firstAuthorSurname(b.authors);
+}
+
+/**
+ * Combine the reference list parsed from the PDF (printed order) with the
+ * cached references (paper_references rows), which may come from a plugin
+ * and carry better metadata and library links
+ * @param {Object[]} parsed - From extractReferences(), in printed order
+ * @param {Object[]} cached - From getCachedReferences().refs
+ * @returns {CitationTarget[]} Parsed entries first, numbered; then cached
+ *   references that matched none of them
+ */
+export function buildCitationTargets(parsed = [], cached = []) {
+  const cachedRefs = cached.map(ref => ({ ...ref, authors: toAuthorList(ref.authors) }));
+  const used = new Set();
+
+  const targets = parsed.map((ref, i) => {
+    const matchIndex = cachedRefs.findIndex((candidate, j) => !used.has(j) && sameWork(ref, candidate));
+    const match = matchIndex >= 0 ? cachedRefs[matchIndex] : null;
+    if (match) used.add(matchIndex);
+
+    return {
+      number: ref.number ?? i + 1,
+      authors: match?.authors.length ? match.authors : ref.authors,
+      year: match?.year || ref.year || null,
+      title: match?.title || ref.title || ref.raw || null,
+      journal: match?.journal || ref.journal || null,
+      doi: match?.doi || ref.doi || null,
+      arxiv_id: match?.arxiv_id || ref.arxiv_id || null,
+      bibcode: match?.bibcode || ref.bibcode || null,
+      linked_paper_id: match?.linked_paper_id ?? null
+    };
+  });
+
+  cachedRefs.forEach((ref, j) => {
+    if (used.has(j)) return;
+    targets.push({
+      number: null,
+      authors: ref.authors,
+      year: ref.year || null,
+      title: ref.title || null,
+      journal: ref.journal || null,
+      doi: ref.doi || null,
+      arxiv_id: ref.arxiv_id || null,
+      bibcode: ref.bibcode || null,
+      linked_paper_id: ref.linked_paper_id ?? null
+    });
+  });
+
+  return targets;
+}
+
+/**
+ * Find the references a marker cites
+ * @param {CitationMarker} marker
+ * @param {CitationTarget[]} targets
+ * @returns {number[]} Indices into targets, in citation order
+ */
+export function matchCitationMarker(marker, targets) {
+  const indices = [];
+
+  for (const number of marker.numbers || []) {
+    const index = targets.findIndex(target => target.number === number);
+    if (index >= 0) indices.push(index);
+  }
+
+  for (const { author, year } of marker.cites || []) {
+    const surname = normalizeName(author);
+    const candidates = [];
+    targets.forEach((target, index) => {
+      if (String(target.year) === year.slice(0, 4) && firstAuthorSurname(target.authors) === surname) {
+        candidates.push(index);
+      }
+    });
+
+    // "2019b" is the second of the author's 2019 papers, in list order
+    const suffix = year.length > 4 ? year.charCodeAt(4) - 97 : 0;
+    const index = candidates[suffix] ?? candidates[0];
+    if (index !== undefined) indices.push(index);
+  }
+
+  return indices;
+}
+
+/**
+ * Find the markers in each text and the references they cite
+ * @param {string[]} texts - E.g. the items of a page's text layer
+ * @param {CitationTarget[]} targets - From buildCitationTargets()
+ * @returns {Array<Array<{start: number, end: number, targets: number[]}>>}
+ *   For each text, its markers that cite at least one target
+ */
+export function linkCitationMarkers(texts, targets) {
+  return texts.map(text => findCitationMarkers(text)
+    .map(marker => ({ start: marker.start, end: marker.end, targets: matchCitationMarker(marker, targets) }))
+    .filter(marker => marker.targets.length > 0));
+}
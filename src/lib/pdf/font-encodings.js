@@ -0,0 +1,170 @@
+/**
+ * Bibliac Core - PDF Font Encodings
+ *
+ * Character code and glyph name tables for turning the bytes a PDF shows
+ * with a simple (single-byte) font into Unicode text, for fonts that don't
+ * carry a ToUnicode map.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BASE ENCODINGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function asciiTable() {
+  const table = new Array(256).fill('');
+  for (let code = 0x20; code < 0x7f; code++) {
+    table[code] = String.fromCharCode(code);
+  }
+  return table;
+}
+
+function withCodes(table, codes) {
+  for (const [code, char] of Object.entries(codes)) {
+    table[Number(code)] = char;
+  }
+  return table;
+}
+
+const WIN_ANSI_ENCODING = (() => {
+  const table = asciiTable();
+  for (let code = 0xa0; code <= 0xff; code++) {
+    table[code] = String.fromCharCode(code);
+  }
+  return withCodes(table, {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+    0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+    0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+    0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+  });
+})();
+
+const STANDARD_ENCODING = withCodes(asciiTable(), {
+  0x27: '’', 0x60: '‘',
+  0xa1: '¡', 0xa2: '¢', 0xa3: '£', 0xa4: '⁄', 0xa5: '¥', 0xa6: 'ƒ', 0xa7: '§',
+  0xa8: '¤', 0xa9: '\'', 0xaa: '“', 0xab: '«', 0xac: '‹', 0xad: '›', 0xae: 'ﬁ',
+  0xaf: 'ﬂ', 0xb1: '–', 0xb2: '†', 0xb3: '‡', 0xb4: '·', 0xb6: '¶', 0xb7: '•',
+  0xb8: '‚', 0xb9: '„', 0xba: '”', 0xbb: '»', 0xbc: '…', 0xbd: '‰', 0xbf: '¿',
+  0xc1: '`', 0xc2: '´', 0xc3: 'ˆ', 0xc4: '˜', 0xc5: '¯', 0xc6: '˘', 0xc7: '˙',
+  0xc8: '¨', 0xca: '˚', 0xcb: '¸', 0xcd: '˝', 0xce: '˛', 0xcf: 'ˇ', 0xd0: '—',
+  0xe1: 'Æ', 0xe3: 'ª', 0xe8: 'Ł', 0xe9: 'Ø', 0xea: 'Œ', 0xeb: 'º', 0xf1: 'æ',
+  0xf5: 'ı', 0xf8: 'ł', 0xf9: 'ø', 0xfa: 'œ', 0xfb: 'ß'
+});
+
+const MAC_ROMAN_ENCODING = (() => {
+  const table = asciiTable();
+  const high = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+    '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ�ÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+  for (let i = 0; i < high.length; i++) {
+    table[0x80 + i] = high[i];
+  }
+  // 0xF0 is the Apple logo in Mac OS Roman, unused in PDF's MacRomanEncoding
+  table[0xf0] = '';
+  return table;
+})();
+
+const BASE_ENCODINGS = {
+  WinAnsiEncoding: WIN_ANSI_ENCODING,
+  StandardEncoding: STANDARD_ENCODING,
+  MacRomanEncoding: MAC_ROMAN_ENCODING
+};
+
+/**
+ * A named base encoding as a code -> text table
+ * @param {string|null} name - e.g. "WinAnsiEncoding"
+ * @returns {string[]} 256 entries ('' for unused codes); StandardEncoding
+ *   for unknown names
+ */
+export function getBaseEncoding(name) {
+  return (BASE_ENCODINGS[name] || STANDARD_ENCODING).slice();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GLYPH NAMES
+// ═══════════════════════════════════════════════════════════════════════════
+
+// The Adobe Glyph List names that turn up in scientific papers. Letters and
+// accented letters ("eacute") are worked out in glyphNameToUnicode.
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: '\'', quoteright: '’', parenleft: '(', parenright: ')',
+  asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<',
+  equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+  grave: '`', quoteleft: '‘', braceleft: '{', bar: '|', braceright: '}',
+  asciitilde: '~', exclamdown: '¡', cent: '¢', sterling: '£', fraction: '⁄',
+  yen: '¥', florin: 'ƒ', section: '§', currency: '¤', quotedblleft: '“',
+  quotedblright: '”', guillemotleft: '«', guillemotright: '»', guilsinglleft: '‹',
+  guilsinglright: '›', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl',
+  endash: '–', emdash: '—', dagger: '†', daggerdbl: '‡', periodcentered: '·',
+  paragraph: '¶', bullet: '•', quotesinglbase: '‚', quotedblbase: '„',
+  ellipsis: '…', perthousand: '‰', questiondown: '¿', acute: '´', circumflex: 'ˆ',
+  tilde: '˜', macron: '¯', breve: '˘', dotaccent: '˙', dieresis: '¨', ring: '˚',
+  cedilla: '¸', hungarumlaut: '˝', ogonek: '˛', caron: 'ˇ', AE: 'Æ', ae: 'æ',
+  OE: 'Œ', oe: 'œ', Oslash: 'Ø', oslash: 'ø', Lslash: 'Ł', lslash: 'ł',
+  germandbls: 'ß', dotlessi: 'ı', dotlessj: 'ȷ', ordfeminine: 'ª',
+  ordmasculine: 'º', degree: '°', plusminus: '±', multiply: '×', divide: '÷',
+  minus: '−', copyright: '©', registered: '®', trademark: '™', logicalnot: '¬',
+  Eth: 'Ð', eth: 'ð', Thorn: 'Þ', thorn: 'þ', onehalf: '½', onequarter: '¼',
+  threequarters: '¾', onesuperior: '¹', twosuperior: '²', threesuperior: '³',
+  brokenbar: '¦', Euro: '€', infinity: '∞', lessequal: '≤', greaterequal: '≥',
+  notequal: '≠', approxequal: '≈', partialdiff: '∂', summation: '∑',
+  product: '∏', integral: '∫', radical: '√', proportional: '∝', element: '∈',
+  arrowright: '→', arrowleft: '←', arrowup: '↑', arrowdown: '↓', nabla: '∇',
+  similar: '∼', prime: '′', epsilon1: 'ϵ', theta1: 'ϑ', phi1: 'ϕ',
+  sigma1: 'ς', omega1: 'ϖ', nbspace: ' ', sfthyphen: '­'
+};
+
+const GREEK_LETTERS = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota',
+  'kappa', 'lambda', 'mu', 'nu', 'xi', 'omicron', 'pi', 'rho', 'sigma', 'tau',
+  'upsilon', 'phi', 'chi', 'psi', 'omega'
+];
+
+GREEK_LETTERS.forEach((name, i) => {
+  // Unicode leaves a gap before sigma (final sigma in lower case)
+  const offset = i >= 17 ? i + 1 : i;
+  GLYPH_NAMES[name] = String.fromCharCode(0x3b1 + offset);
+  GLYPH_NAMES[name[0].toUpperCase() + name.slice(1)] = String.fromCharCode(0x391 + offset);
+});
+
+// Combining marks for accented letter names such as "eacute" or "Ccaron"
+const ACCENTS = {
+  grave: '̀', acute: '́', circumflex: '̂', tilde: '̃',
+  macron: '̄', breve: '̆', dotaccent: '̇', dieresis: '̈',
+  ring: '̊', hungarumlaut: '̋', caron: '̌', cedilla: '̧',
+  ogonek: '̨'
+};
+
+const ACCENTED_NAME = new RegExp(`^([A-Za-z])(${Object.keys(ACCENTS).join('|')})$`);
+
+/**
+ * Unicode text for a glyph name from a font's Differences array
+ * @param {string} name - e.g. "eacute", "uni00E9", "f_f_i", "a.sc"
+ * @returns {string} '' for names with no known meaning (e.g. "g42")
+ */
+export function glyphNameToUnicode(name) {
+  if (!name) return '';
+  if (Object.prototype.hasOwnProperty.call(GLYPH_NAMES, name)) return GLYPH_NAMES[name];
+  if (/^[A-Za-z]$/.test(name)) return name;
+
+  const uni = name.match(/^uni((?:[0-9A-Fa-f]{4})+)$/);
+  if (uni) {
+    return uni[1].match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  const u = name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (u) {
+    const codePoint = parseInt(u[1], 16);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+  }
+
+  const accented = name.match(ACCENTED_NAME);
+  if (accented) return (accented[1] + ACCENTS[accented[2]]).normalize('NFC');
+
+  // Variants ("a.sc", "one.oldstyle") and ligatures of components ("f_f_i")
+  if (name.includes('.')) return glyphNameToUnicode(name.slice(0, name.indexOf('.')));
+  if (name.includes('_')) return name.split('_').map(glyphNameToUnicode).join('');
+
+  return '';
+}
@@ -6,3 +6,26 @@
 
 export { sanitizeBibcodeForFilename, generatePdfFilename, getSourceTypeFromFilename } from './utils.js';
 export { PDF_SOURCE_TYPES, PDF_SOURCE_LABELS, DEFAULT_PDF_PRIORITY } from './constants.js';
+export {
+  extractPdfText,
+  pageAtOffset,
+  locateTextRange,
+  layoutPathForText,
+  PAGE_BREAK,
+  LAYOUT_VERSION
+} from './text-extraction.js';
+export {
+  findReferencesSection,
+  splitReferences,
+  parseReference,
+  buildBibcode,
+  extractReferences,
+  toCachedReferences,
+  resolveReferences
+} from './reference-parser.js';
+export {
+  findCitationMarkers,
+  buildCitationTargets,
+  matchCitationMarker,
+  linkCitationMarkers
+} from './citation-markers.js';
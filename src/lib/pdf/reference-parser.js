@@ -0,0 +1,491 @@
+/**
+ * Bibliac Core - Reference List Parser
+ *
+ * Finds the bibliography in a paper's extracted text, splits it into entries
+ * and parses each entry into the fields paper_references stores, so papers
+ * that came from a bare PDF (or a source without getReferences) still get a
+ * references list, offline.
+ *
+ * Handles the styles astronomy and physics papers mostly use:
+ *   Author-year:  Smith, J. A., & Jones, K. 2016, ApJ, 900, 100
+ *                 Smith J. A., Jones K., 2016, MNRAS, 460, 1
+ *   Numbered:     [12] A. Einstein, B. Podolsky, and N. Rosen, Phys. Rev. 47, 777 (1935)
+ *                 12. Smith, J. 2016, A&A, 641, A6
+ *
+ * Parsing is heuristic: fields that can't be read are left null. Entries
+ * that carry a DOI or arXiv ID, or whose journal/volume/page give a bibcode,
+ * can be completed through a plugin lookup with resolveReferences().
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PATTERNS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Heading that starts the bibliography, alone on its line (optionally numbered)
+const REFERENCES_HEADING = /^(?:(?:\d+|[IVX]+)\.?\s+)?(?:references(?:\s+and\s+notes)?|references\s+cited|bibliography|literature\s+cited|works\s+cited)\s*:?$/i;
+
+// Headings that end it
+const SECTION_END_HEADING = /^(?:(?:\d+|[A-Z])\.?\s+)?(?:appendix|appendices|supplementary\s+(?:material|information)|supporting\s+information)\b/i;
+
+const YEAR = '(?:1[6-9]\\d{2}|20\\d{2})';
+const PAREN_YEAR = new RegExp(`\\((${YEAR})[a-z]?\\)`);
+const BARE_YEAR = new RegExp(`(?:^|[\\s,;.(])(${YEAR})[a-z]?(?=[\\s,;.):]|$)`);
+
+const DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>]+)/;
+const ARXIV_PATTERNS = [
+  /arXiv\s*:?\s*(\d{4}\.\d{4,5})(?:v\d+)?/i,
+  /arxiv\.org\/(?:abs|pdf)\/(\d{4}\.\d{4,5})(?:v\d+)?/i,
+  /\b((?:astro-ph|hep-th|hep-ph|hep-ex|hep-lat|gr-qc|nucl-th|nucl-ex|quant-ph|cond-mat|physics|math)(?:\.[A-Z]{2})?\/\d{7})(?:v\d+)?/
+];
+
+// Journal name: up to six capitalised abbreviations ("ApJ", "A&A", "Phys. Rev. D")
+const JOURNAL = '((?:[A-Z][A-Za-z&]*\\.?\\s?){1,6})';
+
+// Physics style: Phys. Rev. Lett. 19, 1264 (1967)
+const PHYSICS_CITATION = new RegExp(`${JOURNAL}\\s*(\\d+)\\s*,\\s*([A-Z]?\\d+)\\s*\\((${YEAR})\\)`);
+
+// Astronomy style: ApJ, 900, 100 / A&A, 641, A6 / ApJL, 848, L12
+const ASTRO_CITATION = new RegExp(`(?:^|[,.;]\\s*)${JOURNAL},\\s*(\\d+)\\s*,\\s*([A-Z]?\\d+)\\b`);
+
+const INITIALS = '[A-Z]\\.(?:\\s?-?[A-Z]\\.)*';
+const SURNAME = '(?:(?:van|von|der|den|de|del|della|di|da|du|la|le|dos|ten|ter)\\s)*\\p{Lu}[\\p{L}\'’-]*(?:[\\s-]\\p{Lu}[\\p{L}\'’-]*)*';
+
+const ONLY_INITIALS = new RegExp(`^${INITIALS}$`);
+const ONLY_SURNAME = new RegExp(`^${SURNAME}$`, 'u');
+const INITIALS_THEN_SURNAME = new RegExp(`^(${INITIALS})\\s*(${SURNAME})$`, 'u');
+const SURNAME_THEN_INITIALS = new RegExp(`^(${SURNAME})\\s+(${INITIALS})$`, 'u');
+const GROUP_AUTHOR = /\b(?:Collaboration|Team|Consortium|Survey)\b/;
+
+// Line that starts an author-year entry: "Smith, J.", "Smith J.", "van den Bosch, F. C."
+const ENTRY_START = new RegExp(`^(?:${SURNAME},?\\s+${INITIALS}|[\\p{Lu}][\\p{L}\\s]*\\b(?:Collaboration|Team)\\b|(?:—|–|-{2,3})\\s*[,.])`, 'u');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// JOURNAL ABBREVIATIONS → ADS BIBSTEMS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Keys are the journal as cited, with spaces and dots removed, lowercased
+const BIBSTEMS = {
+  apj: 'ApJ',
+  astrophysj: 'ApJ',
+  apjl: 'ApJ',
+  apjlett: 'ApJ',
+  apjs: 'ApJS',
+  astrophysjsuppl: 'ApJS',
+  aj: 'AJ',
+  astronj: 'AJ',
+  mnras: 'MNRAS',
+  monnotrastronsoc: 'MNRAS',
+  'a&a': 'A&A',
+  aa: 'A&A',
+  astronastrophys: 'A&A',
+  'ara&a': 'ARA&A',
+  pasp: 'PASP',
+  pasj: 'PASJ',
+  nature: 'Natur',
+  natastron: 'NatAs',
+  science: 'Sci',
+  icarus: 'Icar',
+  jcap: 'JCAP',
+  jcosmolastropartphys: 'JCAP',
+  physreva: 'PhRvA',
+  physrevb: 'PhRvB',
+  physrevc: 'PhRvC',
+  physrevd: 'PhRvD',
+  physreve: 'PhRvE',
+  physrevlett: 'PhRvL',
+  prl: 'PhRvL',
+  prd: 'PhRvD',
+  physrev: 'PhRv'
+};
+
+// Letter journals that share a bibstem with the main journal
+const LETTER_JOURNALS = new Set(['apjl', 'apjlett']);
+
+function normalizeJournal(journal) {
+  return journal.replace(/[\s.]/g, '').toLowerCase();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SECTION DETECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the references section of a paper's text
+ * @param {string} text - Extracted text (pages separated by form feeds)
+ * @returns {string|null} The section without its heading, or null if none
+ */
+export function findReferencesSection(text) {
+  if (!text) return null;
+
+  const lines = text.replace(/\f/g, '\n').split('\n');
+
+  // The last heading wins: the table of contents or a sentence citing
+  // "the references below" come earlier
+  let start = -1;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (REFERENCES_HEADING.test(lines[i].trim())) {
+      start = i + 1;
+      break;
+    }
+  }
+  if (start < 0) return null;
+
+  let end = lines.length;
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.length < 80 && SECTION_END_HEADING.test(line)) {
+      end = i;
+      break;
+    }
+  }
+
+  const section = lines.slice(start, end).join('\n').trim();
+  return section || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENTRY SPLITTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Join wrapped lines, undoing end-of-line hyphenation
+ */
+function joinLines(lines) {
+  let result = '';
+  for (const line of lines) {
+    if (!result) {
+      result = line;
+    } else if (/[a-z]-$/.test(result) && /^[a-z]/.test(line)) {
+      result = result.slice(0, -1) + line;
+    } else if (/[/-]$/.test(result)) {
+      // URLs and DOIs broken at a slash or hyphen
+      result += line;
+    } else {
+      result += ' ' + line;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split a references section into one string per entry
+ * @param {string} section - Text returned by findReferencesSection
+ * @returns {string[]}
+ */
+export function splitReferences(section) {
+  if (!section) return [];
+
+  // Drop blank lines and bare page numbers
+  const lines = section.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^\d{1,4}$/.test(line));
+
+  const entries = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) entries.push(joinLines(current));
+    current = [];
+  };
+
+  const bracketed = lines.filter(line => /^\[\d+\]/.test(line)).length;
+  const dotted = lines.filter(line => /^\d+\.\s/.test(line)).length;
+
+  if (bracketed >= 2) {
+    // [1] ... [2] ...
+    for (const line of lines) {
+      if (/^\[\d+\]/.test(line)) flush();
+      current.push(line);
+    }
+  } else if (dotted >= 2) {
+    // 1. ... 2. ... - only the next number starts an entry, so a
+    // wrapped line starting with a volume or page number does not
+    let next = 1;
+    for (const line of lines) {
+      const label = line.match(/^(\d+)\.\s/);
+      if (label && Number(label[1]) === next) {
+        flush();
+        next++;
+      }
+      current.push(line);
+    }
+  } else {
+    // Author-year: a line starting with an author begins a new entry once
+    // the current one has its year (long author lists wrap onto such lines)
+    for (const line of lines) {
+      if (current.length > 0 && ENTRY_START.test(line) && BARE_YEAR.test(joinLines(current))) {
+        flush();
+      }
+      current.push(line);
+    }
+  }
+  flush();
+
+  return entries.filter(entry => entry.length >= 10);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENTRY PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ParsedReference
+ * @property {string} raw - The entry as it appears in the text
+ * @property {number|null} number - Its label in a numbered list ("[12]", "12.")
+ * @property {string[]} authors - "Surname, I." form
+ * @property {number|null} year
+ * @property {string|null} title
+ * @property {string|null} journal - As cited, e.g. "ApJ" or "Phys. Rev. Lett."
+ * @property {string|null} volume
+ * @property {string|null} page
+ * @property {string|null} doi
+ * @property {string|null} arxiv_id - Without version
+ * @property {string|null} bibcode - Built from journal, volume and page
+ */
+
+/**
+ * Parse an author list into "Surname, I." names
+ * @returns {{authors: string[], rest: string}} rest is whatever followed the
+ *   names (the title, in physics style)
+ */
+function parseAuthors(segment) {
+  const parts = segment
+    .replace(/\bet\s+al\.?/g, ',et al.,')
+    .replace(/,?\s+(?:and|&)\s+/g, ', ')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const authors = [];
+  let surname = null;
+  let i = 0;
+
+  for (; i < parts.length; i++) {
+    const part = parts[i];
+    let match;
+
+    if (part === 'et al.') {
+      i++;
+      break;
+    } else if (surname && ONLY_INITIALS.test(part)) {
+      authors.push(`${surname}, ${part}`);
+      surname = null;
+    } else if ((match = part.match(INITIALS_THEN_SURNAME))) {
+      authors.push(`${match[2]}, ${match[1]}`);
+    } else if ((match = part.match(SURNAME_THEN_INITIALS))) {
+      authors.push(`${match[1]}, ${match[2]}`);
+    } else if (GROUP_AUTHOR.test(part) && part.split(/\s+/).length <= 6) {
+      authors.push(part);
+    } else if (!surname && ONLY_SURNAME.test(part)) {
+      surname = part;
+    } else {
+      break;
+    }
+  }
+
+  return { authors, rest: parts.slice(i).join(', ') };
+}
+
+function cleanTitle(title) {
+  if (!title) return null;
+  const cleaned = title.replace(/^[\s,.;:]+|[\s,;:]+$/g, '').replace(/\.$/, '');
+  // "in Editor, A., eds, Proceedings ..." names the book, not the paper
+  if (/^in\s/.test(cleaned)) return null;
+  return cleaned.length >= 10 && /\s/.test(cleaned) ? cleaned : null;
+}
+
+function findArxivId(text) {
+  for (const pattern of ARXIV_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Parse one bibliography entry
+ * @param {string} raw - Entry text from splitReferences
+ * @returns {ParsedReference}
+ */
+export function parseReference(raw) {
+  const label = raw.match(/^\s*(?:\[(\d+)\]|(\d+)\.)\s*/);
+  const text = (label ? raw.slice(label[0].length) : raw).trim();
+
+  const doiMatch = text.match(DOI_PATTERN);
+  const doi = doiMatch ? doiMatch[1].replace(/[.,;)\]]+$/, '') : null;
+  const arxivId = findArxivId(text);
+
+  // Identifiers and URLs are full of digits that look like years or pages
+  const body = text
+    .replace(/(?:https?:\/\/\S+|doi:\s*\S+|10\.\d{4,9}\/\S+)/gi, ' ')
+    .replace(/arXiv\s*:?\s*\S+/gi, ' ');
+
+  const citation = body.match(PHYSICS_CITATION) || body.match(ASTRO_CITATION);
+  const parenYear = body.match(PAREN_YEAR);
+  const bareYear = body.match(BARE_YEAR);
+
+  let journal = null;
+  let volume = null;
+  let page = null;
+  let citationStart = body.length;
+  if (citation) {
+    journal = citation[1].trim();
+    volume = citation[2];
+    page = citation[3];
+    citationStart = citation.index + citation[0].indexOf(citation[1]);
+  }
+
+  // Author-year puts the year right after the names; physics style has it
+  // in parentheses at the end
+  const yearMatch = bareYear && bareYear.index < citationStart ? bareYear : (parenYear || bareYear);
+  const year = yearMatch ? Number(yearMatch[1]) : null;
+  const yearStart = yearMatch ? yearMatch.index + yearMatch[0].indexOf(yearMatch[1]) : body.length;
+  const authorYear = yearMatch && yearStart < citationStart;
+
+  const quoted = text.match(/[“"]([^”"]{10,})[”"]/);
+  let authors;
+  let title = quoted ? cleanTitle(quoted[1]) : null;
+
+  if (authorYear) {
+    authors = parseAuthors(body.slice(0, yearStart).replace(/[(,\s]+$/, '')).authors;
+    if (!title) {
+      const afterYear = body.slice(yearMatch.index + yearMatch[0].length, citationStart);
+      title = cleanTitle(afterYear.replace(/^[a-z]?\)?/, ''));
+    }
+  } else {
+    const quoteStart = quoted ? body.indexOf(quoted[0][0]) : -1;
+    const namesEnd = quoteStart >= 0 ? quoteStart : citationStart;
+    const parsed = parseAuthors(body.slice(0, namesEnd));
+    authors = parsed.authors;
+    // A collaboration in parentheses after the names is not a title
+    if (!title) title = cleanTitle(parsed.rest.replace(/\([^)]*\)/g, ''));
+  }
+
+  const reference = {
+    raw: raw.trim(),
+    number: label ? Number(label[1] || label[2]) : null,
+    authors,
+    year,
+    title,
+    journal,
+    volume,
+    page,
+    doi,
+    arxiv_id: arxivId,
+    bibcode: null
+  };
+  reference.bibcode = buildBibcode(reference);
+  return reference;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BIBCODES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build the ADS bibcode of a journal article from its citation
+ * (YYYYJJJJJVVVVMPPPPA: year, bibstem, volume, qualifier, page, initial)
+ * @param {{year: ?number, journal: ?string, volume: ?string, page: ?string, authors?: string[]}} ref
+ * @returns {string|null} Null for journals without a known bibstem
+ */
+export function buildBibcode({ year, journal, volume, page, authors = [] }) {
+  if (!year || !journal || !volume || !page) return null;
+
+  const key = normalizeJournal(journal);
+  const bibstem = BIBSTEMS[key];
+  if (!bibstem || !/^\d{1,4}$/.test(volume)) return null;
+
+  // Qualifier: letter pages (ApJL "L12", A&A "A6"), or the leading digits of
+  // six-digit article numbers (PhRvD 122003 → "l2003")
+  let qualifier = LETTER_JOURNALS.has(key) ? 'L' : '.';
+  let number = page;
+  const letter = page.match(/^([A-Z])(\d+)$/);
+  if (letter) {
+    qualifier = letter[1];
+    number = letter[2];
+  } else if (/^\d{6}$/.test(page) && Number(page.slice(0, 2)) >= 1 && Number(page.slice(0, 2)) <= 26) {
+    qualifier = String.fromCharCode(96 + Number(page.slice(0, 2)));
+    number = page.slice(2);
+  }
+  if (!/^\d{1,4}$/.test(number)) return null;
+
+  const initial = (authors[0] || '').match(/\p{L}/u)?.[0]?.toUpperCase() || '.';
+
+  return `${year}${bibstem.padEnd(5, '.')}${volume.padStart(4, '.')}${qualifier}${number.padStart(4, '.')}${initial}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find, split and parse the reference list in a paper's text
+ * @param {string} text - Extracted text
+ * @returns {ParsedReference[]} Empty if no references section was found
+ */
+export function extractReferences(text) {
+  return splitReferences(findReferencesSection(text)).map(parseReference);
+}
+
+/**
+ * Parsed references in the form cacheReferences takes: entries whose title
+ * couldn't be read are listed by their text
+ * @param {ParsedReference[]} refs
+ * @returns {Object[]}
+ */
+export function toCachedReferences(refs) {
+  return refs.map(ref => ({ ...ref, title: ref.title || ref.raw }));
+}
+
+/**
+ * Complete parsed references with the records a lookup finds for their
+ * DOI, arXiv ID or bibcode. References without identifiers, or that the
+ * lookup doesn't find, are returned unchanged.
+ * @param {ParsedReference[]} refs
+ * @param {Function} lookupFn - (identifier) => Promise<Paper|null>, e.g. PluginManager.lookup
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=5] - Lookups run at the same time
+ * @param {Function} [options.onProgress] - ({done, total, resolved}) => void
+ * @returns {Promise<Array<ParsedReference & {resolved?: boolean, citation_count?: number}>>}
+ */
+export async function resolveReferences(refs, lookupFn, { batchSize = 5, onProgress } = {}) {
+  const results = [];
+  let resolved = 0;
+
+  for (let i = 0; i < refs.length; i += batchSize) {
+    const batch = refs.slice(i, i + batchSize);
+    const found = await Promise.all(batch.map(async (ref) => {
+      const identifier = ref.doi || ref.arxiv_id || ref.bibcode;
+      if (!identifier) return null;
+      try {
+        return await lookupFn(identifier);
+      } catch {
+        return null;
+      }
+    }));
+
+    batch.forEach((ref, j) => {
+      const paper = found[j];
+      if (!paper) {
+        results.push(ref);
+        return;
+      }
+      resolved++;
+      results.push({
+        ...ref,
+        title: paper.title || ref.title,
+        authors: paper.authors?.length ? paper.authors : ref.authors,
+        year: paper.year || ref.year,
+        journal: paper.journal || ref.journal,
+        doi: ref.doi || paper.doi || null,
+        arxiv_id: ref.arxiv_id || paper.arxivId || null,
+        bibcode: paper.bibcode || ref.bibcode,
+        citation_count: paper.citationCount ?? null,
+        resolved: true
+      });
+    });
+
+    onProgress?.({ done: results.length, total: refs.length, resolved });
+  }
+
+  return results;
+}
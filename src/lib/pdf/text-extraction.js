@@ -0,0 +1,878 @@
+/**
+ * Bibliac Core - PDF Text Extraction
+ *
+ * Reads the text out of a PDF in plain JavaScript (on top of pdf-lib), so it
+ * works the same in Electron's main process and in the iOS web view, where
+ * pdftotext and OCR aren't available.
+ *
+ * The text comes out the way pdftotext writes it: one line per text line,
+ * pages separated by form feeds. Next to it goes a page layout mapping
+ * character offsets in that text back to a page and a box on the page, so
+ * search hits, embedding chunks and annotations can point at the exact place.
+ *
+ * Layout format (stored next to the text file as <name>.pages.json):
+ *   {
+ *     version: 1,
+ *     pages: [{
+ *       page: 1,              // 1-based page number
+ *       start, end,           // character range of the page in the text
+ *       width, height,        // page size in points, as displayed (after /Rotate)
+ *       lines: [[start, end, x, y, width, height, flow], ...]
+ *     }]
+ *   }
+ * Line boxes are fractions of the displayed page measured from its top-left
+ * corner, the same convention as annotation selection_rects. flow is left
+ * out for left-to-right lines, else 'rtl', 'ttb' or 'btt' (rotated text).
+ */
+
+import {
+  PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFRawStream, decodePDFRawStream
+} from 'pdf-lib';
+import { getBaseEncoding, glyphNameToUnicode } from './font-encodings.js';
+
+export const PAGE_BREAK = '\f';
+export const LAYOUT_VERSION = 1;
+
+// Form XObjects can nest (and, in broken files, include themselves)
+const MAX_FORM_DEPTH = 8;
+
+// Line assembly thresholds, as fractions of the font size
+const LINE_SHIFT = 0.5;   // baseline moves further than this: new line
+const SPACE_GAP = 0.15;   // horizontal gap wider than this: word break
+const ASCENT = 0.8;
+const DESCENT = 0.2;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXTRACTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extract the text and page layout of a PDF
+ * @param {Uint8Array|ArrayBuffer|string} data - PDF bytes (or base64)
+ * @returns {Promise<{text: string, layout: Object}>} Text with pages
+ *   separated by PAGE_BREAK, and the layout described above
+ * @throws {Error} If the PDF can't be parsed or is encrypted
+ */
+export async function extractPdfText(data) {
+  const doc = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  if (doc.isEncrypted) throw new Error('PDF is encrypted');
+
+  const fonts = createFontCache();
+  const texts = [];
+  const pages = [];
+  let offset = 0;
+
+  const pdfPages = doc.getPages();
+  for (let index = 0; index < pdfPages.length; index++) {
+    if (index > 0) {
+      offset += PAGE_BREAK.length;
+      // Long papers shouldn't freeze the UI thread on iOS
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    let lines = [];
+    try {
+      lines = readPageLines(pdfPages[index], fonts);
+    } catch (e) {
+      console.warn(`[pdf-text] Could not read page ${index + 1}:`, e.message);
+    }
+
+    const { text, entry } = layoutPage(pdfPages[index], index + 1, lines, offset);
+    texts.push(text);
+    pages.push(entry);
+    offset += text.length;
+  }
+
+  return { text: texts.join(PAGE_BREAK), layout: { version: LAYOUT_VERSION, pages } };
+}
+
+/**
+ * Page number of a character offset in extracted text
+ * @param {string} text - Text with pages separated by PAGE_BREAK
+ * @param {number} offset - Character offset
+ * @returns {number|null} 1-based page, or null for text without page breaks
+ */
+export function pageAtOffset(text, offset) {
+  if (!text || !text.includes(PAGE_BREAK)) return null;
+  let page = 1;
+  let index = text.indexOf(PAGE_BREAK);
+  while (index !== -1 && index < offset) {
+    page++;
+    index = text.indexOf(PAGE_BREAK, index + 1);
+  }
+  return page;
+}
+
+/**
+ * Boxes covering a character range, per page
+ * Partial lines are cut in proportion to their length in characters.
+ * @param {Object} layout - Layout from extractPdfText
+ * @param {number} start - First character offset
+ * @param {number} end - Offset after the last character
+ * @returns {Array<{page: number, rects: Array<{x, y, width, height}>}>}
+ */
+export function locateTextRange(layout, start, end) {
+  const found = [];
+  for (const page of layout?.pages || []) {
+    if (page.end <= start || page.start >= end) continue;
+
+    const rects = [];
+    for (const [lineStart, lineEnd, x, y, width, height, flow] of page.lines) {
+      if (lineEnd <= start || lineStart >= end) continue;
+      const length = lineEnd - lineStart;
+      const from = (Math.max(start, lineStart) - lineStart) / length;
+      const to = (Math.min(end, lineEnd) - lineStart) / length;
+      if (flow === 'ttb' || flow === 'btt') {
+        const top = flow === 'ttb' ? from : 1 - to;
+        rects.push({ x, y: round(y + height * top), width, height: round(height * (to - from)) });
+      } else {
+        const left = flow === 'rtl' ? 1 - to : from;
+        rects.push({ x: round(x + width * left), y, width: round(width * (to - from)), height });
+      }
+    }
+    if (rects.length > 0) found.push({ page: page.page, rects });
+  }
+  return found;
+}
+
+/**
+ * Path of the layout file stored next to a text file
+ * @param {string} textPath - e.g. "text/paper.txt"
+ * @returns {string} e.g. "text/paper.pages.json"
+ */
+export function layoutPathForText(textPath) {
+  return textPath.replace(/\.txt$/i, '') + '.pages.json';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PAGES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function readPageLines(page, fonts) {
+  const contents = page.node.Contents();
+  const streams = contents instanceof PDFArray
+    ? Array.from({ length: contents.size() }, (_, k) => contents.lookup(k))
+    : [contents];
+
+  const collector = createLineCollector();
+  for (const stream of streams) {
+    if (!stream) continue;
+    runContent(decodeStream(stream), page.node.Resources(), initialState(IDENTITY), { collector, fonts, depth: 0 });
+  }
+  return collector.finish();
+}
+
+// Turn the collected lines (in PDF user space) into page text and layout
+function layoutPage(page, pageNumber, lines, offset) {
+  const box = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  // Fraction of the displayed page from its top-left corner
+  const toDisplay = (px, py) => {
+    const u = (px - box.x) / box.width;
+    const v = (box.y + box.height - py) / box.height;
+    if (rotation === 90) return [1 - v, u];
+    if (rotation === 180) return [1 - u, 1 - v];
+    if (rotation === 270) return [v, 1 - u];
+    return [u, v];
+  };
+
+  // Which way a line's text runs on the displayed page
+  const flowOf = ([dx, dy]) => {
+    const [a, b] = [dx, -dy];
+    const [fx, fy] = rotation === 90 ? [-b, a] : rotation === 180 ? [-a, -b] : rotation === 270 ? [b, -a] : [a, b];
+    if (Math.abs(fy) > Math.abs(fx)) return fy > 0 ? 'ttb' : 'btt';
+    return fx < 0 ? 'rtl' : null;
+  };
+
+  const entryLines = [];
+  let text = '';
+  for (const line of lines) {
+    if (text) text += '\n';
+    const start = offset + text.length;
+    text += line.text;
+
+    const [x0, y0] = toDisplay(line.minX, line.minY);
+    const [x1, y1] = toDisplay(line.maxX, line.maxY);
+    const left = clamp(Math.min(x0, x1));
+    const top = clamp(Math.min(y0, y1));
+    const entry = [
+      start, offset + text.length,
+      round(left), round(top),
+      round(clamp(Math.max(x0, x1)) - left), round(clamp(Math.max(y0, y1)) - top)
+    ];
+    const flow = flowOf(line.dir);
+    if (flow) entry.push(flow);
+    entryLines.push(entry);
+  }
+
+  const sideways = rotation === 90 || rotation === 270;
+  return {
+    text,
+    entry: {
+      page: pageNumber,
+      start: offset,
+      end: offset + text.length,
+      width: round(sideways ? box.height : box.width),
+      height: round(sideways ? box.width : box.height),
+      lines: entryLines
+    }
+  };
+}
+
+// Joins glyphs into lines in content stream order
+function createLineCollector() {
+  const lines = [];
+  let line = null;
+
+  const continuesLine = (glyph) => {
+    if (line.dir[0] * glyph.dir[0] + line.dir[1] * glyph.dir[1] < 0.99) return false;
+    const dx = glyph.start[0] - line.end[0];
+    const dy = glyph.start[1] - line.end[1];
+    const size = Math.max(line.size, glyph.size);
+    const along = dx * line.dir[0] + dy * line.dir[1];
+    const across = dx * line.up[0] + dy * line.up[1];
+    return Math.abs(across) <= LINE_SHIFT * size && along >= -LINE_SHIFT * size;
+  };
+
+  return {
+    add(glyph) {
+      const blank = glyph.text.trim() === '';
+      if (line && continuesLine(glyph)) {
+        const dx = glyph.start[0] - line.end[0];
+        const dy = glyph.start[1] - line.end[1];
+        const gap = dx * line.dir[0] + dy * line.dir[1];
+        if ((blank || gap > SPACE_GAP * glyph.size) && glyph.text && !line.text.endsWith(' ')) {
+          line.text += ' ';
+        }
+      } else {
+        if (blank) return;
+        line = {
+          text: '', dir: glyph.dir, up: glyph.up, size: glyph.size,
+          minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity
+        };
+        lines.push(line);
+      }
+
+      line.end = glyph.end;
+      line.size = Math.max(line.size, glyph.size);
+      if (blank) return;
+
+      line.text += glyph.text;
+      const [ux, uy] = glyph.up;
+      for (const [x, y] of [glyph.start, glyph.end]) {
+        for (const height of [-DESCENT * glyph.size, ASCENT * glyph.size]) {
+          line.minX = Math.min(line.minX, x + ux * height);
+          line.maxX = Math.max(line.maxX, x + ux * height);
+          line.minY = Math.min(line.minY, y + uy * height);
+          line.maxY = Math.max(line.maxY, y + uy * height);
+        }
+      }
+    },
+
+    finish() {
+      for (const item of lines) item.text = item.text.trimEnd();
+      return lines.filter(item => item.text);
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONTENT STREAMS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function initialState(ctm) {
+  return { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+}
+
+function runContent(bytes, resources, state, context) {
+  const { collector, fonts, depth } = context;
+  const saved = [];
+  let gs = { ...state };
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+
+  const nextLine = (tx, ty) => {
+    tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  };
+
+  const show = (string) => {
+    if (!gs.font || !(string instanceof Uint8Array)) return;
+    for (const glyph of gs.font.decode(string)) {
+      const advance = (glyph.width * gs.size + gs.charSpacing + (glyph.wordSpace ? gs.wordSpacing : 0)) * gs.scale;
+      const m = multiply(tm, gs.ctm);
+      const start = applyMatrix(m, 0, gs.rise);
+      const top = applyMatrix(m, 0, gs.rise + gs.size);
+      const upX = top[0] - start[0];
+      const upY = top[1] - start[1];
+      const size = Math.hypot(upX, upY);
+      if (size > 0) {
+        const up = [upX / size, upY / size];
+        collector.add({
+          text: glyph.text,
+          start,
+          end: applyMatrix(m, advance, gs.rise),
+          up,
+          dir: [up[1], -up[0]],
+          size
+        });
+      }
+      tm = multiply([1, 0, 0, 1, advance, 0], tm);
+    }
+  };
+
+  const drawForm = (name) => {
+    if (depth >= MAX_FORM_DEPTH || !name || !(resources instanceof PDFDict)) return;
+    const xobjects = lookup(resources, 'XObject');
+    const form = xobjects instanceof PDFDict ? lookup(xobjects, name) : null;
+    if (!(form instanceof PDFRawStream) || nameValue(lookup(form.dict, 'Subtype')) !== 'Form') return;
+
+    const matrix = numberArray(lookup(form.dict, 'Matrix'));
+    const formResources = lookup(form.dict, 'Resources');
+    runContent(
+      decodeStream(form),
+      formResources instanceof PDFDict ? formResources : resources,
+      { ...gs, ctm: matrix.length === 6 ? multiply(matrix, gs.ctm) : gs.ctm },
+      { collector, fonts, depth: depth + 1 }
+    );
+  };
+
+  for (const { op, args } of parseOperations(bytes)) {
+    const n = (k) => (typeof args[k] === 'number' ? args[k] : 0);
+    switch (op) {
+      case 'q': saved.push({ ...gs }); break;
+      case 'Q': if (saved.length > 0) gs = saved.pop(); break;
+      case 'cm': if (args.length === 6) gs.ctm = multiply(args.map((_, k) => n(k)), gs.ctm); break;
+      case 'BT': tm = tlm = IDENTITY; break;
+      case 'Tf':
+        gs.font = fonts.get(resources, args[0]?.name);
+        gs.size = n(1);
+        break;
+      case 'Tc': gs.charSpacing = n(0); break;
+      case 'Tw': gs.wordSpacing = n(0); break;
+      case 'Tz': gs.scale = n(0) / 100; break;
+      case 'TL': gs.leading = n(0); break;
+      case 'Ts': gs.rise = n(0); break;
+      case 'Td': nextLine(n(0), n(1)); break;
+      case 'TD':
+        gs.leading = -n(1);
+        nextLine(n(0), n(1));
+        break;
+      case 'Tm':
+        tlm = [0, 1, 2, 3, 4, 5].map(n);
+        tm = tlm;
+        break;
+      case 'T*': nextLine(0, -gs.leading); break;
+      case 'Tj': show(args[0]); break;
+      case 'TJ':
+        for (const item of Array.isArray(args[0]) ? args[0] : []) {
+          if (typeof item === 'number') {
+            tm = multiply([1, 0, 0, 1, (-item / 1000) * gs.size * gs.scale, 0], tm);
+          } else {
+            show(item);
+          }
+        }
+        break;
+      case '\'':
+        nextLine(0, -gs.leading);
+        show(args[0]);
+        break;
+      case '"':
+        gs.wordSpacing = n(0);
+        gs.charSpacing = n(1);
+        nextLine(0, -gs.leading);
+        show(args[2]);
+        break;
+      case 'Do': drawForm(args[0]?.name); break;
+    }
+  }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([0x25, 0x28, 0x29, 0x2f, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d]);
+const KEYWORDS = new Map([['true', true], ['false', false], ['null', null]]);
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+// String escapes: \n \r \t \b \f \( \) \\
+const ESCAPES = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c, 0x28: 0x28, 0x29: 0x29, 0x5c: 0x5c };
+
+/**
+ * Split a content stream into operators and their operands
+ * Strings come back as Uint8Array, names as {name}, arrays as arrays.
+ */
+function parseOperations(bytes) {
+  const operations = [];
+  let operands = [];
+  const open = []; // arrays and dictionaries being read
+  const add = value => (open.length > 0 ? open[open.length - 1] : operands).push(value);
+
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    if (WHITESPACE.has(byte)) {
+      i++;
+    } else if (byte === 0x25) { // % comment
+      while (i < bytes.length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+    } else if (byte === 0x28) { // (string)
+      const [value, next] = readLiteralString(bytes, i + 1);
+      add(value);
+      i = next;
+    } else if (byte === 0x3c && bytes[i + 1] === 0x3c) { // << dictionary
+      open.push([]);
+      i += 2;
+    } else if (byte === 0x3e && bytes[i + 1] === 0x3e) {
+      add({ dictionary: open.pop() || [] });
+      i += 2;
+    } else if (byte === 0x3c) { // <hex string>
+      const [value, next] = readHexString(bytes, i + 1);
+      add(value);
+      i = next;
+    } else if (byte === 0x5b) {
+      open.push([]);
+      i++;
+    } else if (byte === 0x5d) {
+      add(open.pop() || []);
+      i++;
+    } else {
+      let end = i + 1;
+      while (end < bytes.length && !WHITESPACE.has(bytes[end]) && !DELIMITERS.has(bytes[end])) end++;
+      if (byte === 0x2f) {
+        add({ name: latin1(bytes.subarray(i + 1, end)).replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+      } else if (DELIMITERS.has(byte)) {
+        end = i + 1; // stray ) > { }
+      } else {
+        const word = latin1(bytes.subarray(i, end));
+        if (NUMBER.test(word)) {
+          add(parseFloat(word));
+        } else if (KEYWORDS.has(word)) {
+          add(KEYWORDS.get(word));
+        } else if (word === 'BI') {
+          end = skipInlineImage(bytes, end);
+          open.length = 0;
+          operands = [];
+        } else {
+          open.length = 0;
+          operations.push({ op: word, args: operands });
+          operands = [];
+        }
+      }
+      i = end;
+    }
+  }
+  return operations;
+}
+
+function readLiteralString(bytes, i) {
+  const out = [];
+  let depth = 1;
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    if (byte === 0x5c) {
+      const next = bytes[i++];
+      if (ESCAPES[next] !== undefined) {
+        out.push(ESCAPES[next]);
+      } else if (next >= 0x30 && next <= 0x37) {
+        let code = next - 0x30;
+        for (let k = 0; k < 2 && bytes[i] >= 0x30 && bytes[i] <= 0x37; k++) {
+          code = code * 8 + bytes[i++] - 0x30;
+        }
+        out.push(code & 0xff);
+      } else if (next === 0x0d) {
+        if (bytes[i] === 0x0a) i++; // line continuation
+      } else if (next !== 0x0a && next !== undefined) {
+        out.push(next);
+      }
+      continue;
+    }
+    if (byte === 0x28) depth++;
+    if (byte === 0x29 && --depth === 0) break;
+    out.push(byte);
+  }
+  return [Uint8Array.from(out), i];
+}
+
+function readHexString(bytes, i) {
+  const digits = [];
+  while (i < bytes.length && bytes[i] !== 0x3e) {
+    const digit = hexDigit(bytes[i++]);
+    if (digit >= 0) digits.push(digit);
+  }
+  if (digits.length % 2 === 1) digits.push(0);
+  const out = new Uint8Array(digits.length / 2);
+  for (let k = 0; k < out.length; k++) out[k] = digits[2 * k] * 16 + digits[2 * k + 1];
+  return [out, i + 1];
+}
+
+// Skip "<dictionary> ID <binary data> EI" after an inline image's BI
+function skipInlineImage(bytes, i) {
+  const isKeyword = (k, first, second) => bytes[k] === first && bytes[k + 1] === second &&
+    WHITESPACE.has(bytes[k - 1]) && (k + 2 >= bytes.length || WHITESPACE.has(bytes[k + 2]));
+
+  while (i < bytes.length && !isKeyword(i, 0x49, 0x44)) i++; // ID
+  for (i += 3; i < bytes.length; i++) {
+    if (isKeyword(i, 0x45, 0x49)) return i + 2; // EI
+  }
+  return bytes.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FONTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LIGATURES = { 'ﬀ': 'ff', 'ﬁ': 'fi', 'ﬂ': 'fl', 'ﬃ': 'ffi', 'ﬄ': 'ffl', 'ﬅ': 'st', 'ﬆ': 'st' };
+const TWO_BYTE_CODESPACE = [{ length: 2, low: 0, high: 0xffff }];
+
+function createFontCache() {
+  const loaded = new Map(); // font dictionary -> font (null if unreadable)
+  return {
+    get(resources, name) {
+      const fontResources = resources instanceof PDFDict ? lookup(resources, 'Font') : null;
+      const dict = name && fontResources instanceof PDFDict ? lookup(fontResources, name) : null;
+      if (!(dict instanceof PDFDict)) return null;
+
+      if (!loaded.has(dict)) {
+        let font = null;
+        try {
+          font = loadFont(dict);
+        } catch (e) {
+          console.warn(`[pdf-text] Could not read font ${name}:`, e.message);
+        }
+        loaded.set(dict, font);
+      }
+      return loaded.get(dict);
+    }
+  };
+}
+
+/**
+ * A font as {decode(bytes) -> [{text, width, wordSpace}]}, with widths in
+ * text space units per unit of font size
+ */
+function loadFont(dict) {
+  const toUnicode = lookup(dict, 'ToUnicode');
+  const unicodeMap = toUnicode instanceof PDFRawStream ? parseCMap(latin1(decodeStream(toUnicode))) : null;
+  return nameValue(lookup(dict, 'Subtype')) === 'Type0'
+    ? loadCompositeFont(dict, unicodeMap)
+    : loadSimpleFont(dict, unicodeMap);
+}
+
+function loadSimpleFont(dict, unicodeMap) {
+  const encoding = simpleFontEncoding(dict);
+  const firstChar = numberValue(lookup(dict, 'FirstChar')) || 0;
+  const widths = numberArray(lookup(dict, 'Widths'));
+  const descriptor = lookup(dict, 'FontDescriptor');
+  const missingWidth = descriptor instanceof PDFDict ? numberValue(lookup(descriptor, 'MissingWidth')) : undefined;
+
+  // Type 3 glyphs are measured in their own FontMatrix, everything else in 1/1000 em
+  const fontMatrix = numberArray(lookup(dict, 'FontMatrix'));
+  const unit = nameValue(lookup(dict, 'Subtype')) === 'Type3' && fontMatrix.length === 6 ? fontMatrix[0] : 0.001;
+  const monospace = /Courier/i.test(nameValue(lookup(dict, 'BaseFont')) || '');
+
+  const glyphs = new Array(256);
+  const glyphFor = (code) => {
+    if (!glyphs[code]) {
+      const text = cleanText(lookupCMap(unicodeMap, code) ?? encoding[code] ?? '');
+      let width = widths[code - firstChar] ?? missingWidth;
+      if (width === undefined) {
+        // The standard 14 fonts may come without widths; approximate them
+        width = widths.length > 0 ? 0 : monospace ? 600 : text === ' ' ? 250 : 500;
+      }
+      glyphs[code] = { text, width: width * unit, wordSpace: code === 0x20 };
+    }
+    return glyphs[code];
+  };
+
+  return { decode: bytes => Array.from(bytes, glyphFor) };
+}
+
+function simpleFontEncoding(dict) {
+  const encoding = lookup(dict, 'Encoding');
+  if (encoding instanceof PDFName) return getBaseEncoding(nameValue(encoding));
+
+  const baseName = encoding instanceof PDFDict ? nameValue(lookup(encoding, 'BaseEncoding')) : null;
+  const table = (!baseName && builtInEncoding(dict)) || getBaseEncoding(baseName);
+  if (!(encoding instanceof PDFDict)) return table;
+
+  const differences = lookup(encoding, 'Differences');
+  if (differences instanceof PDFArray) {
+    let code = 0;
+    for (let k = 0; k < differences.size(); k++) {
+      const item = differences.lookup(k);
+      if (item instanceof PDFNumber) {
+        code = item.asNumber();
+      } else if (item instanceof PDFName && code < 256) {
+        table[code++] = glyphNameToUnicode(item.decodeText());
+      }
+    }
+  }
+  return table;
+}
+
+// The encoding an embedded Type 1 font program declares in its cleartext
+// part ("dup 65 /A put"), which TeX fonts rely on
+function builtInEncoding(dict) {
+  const descriptor = lookup(dict, 'FontDescriptor');
+  const fontFile = descriptor instanceof PDFDict ? lookup(descriptor, 'FontFile') : null;
+  if (!(fontFile instanceof PDFRawStream)) return null;
+
+  const program = decodeStream(fontFile);
+  const clearLength = numberValue(lookup(fontFile.dict, 'Length1')) || program.length;
+  const header = latin1(program.subarray(0, clearLength));
+  if (/\/Encoding\s+StandardEncoding/.test(header)) return null;
+
+  const table = new Array(256).fill('');
+  let found = false;
+  for (const [, code, name] of header.matchAll(/dup\s+(\d+)\s*\/(\S+)\s+put/g)) {
+    if (Number(code) < 256) {
+      table[Number(code)] = glyphNameToUnicode(name);
+      found = true;
+    }
+  }
+  return found ? table : null;
+}
+
+function loadCompositeFont(dict, unicodeMap) {
+  const encoding = lookup(dict, 'Encoding');
+  const cmap = encoding instanceof PDFRawStream ? parseCMap(latin1(decodeStream(encoding))) : null;
+  const identity = /^Identity-/.test(nameValue(encoding) || '');
+  const codespace = cmap?.codespace.length > 0 ? cmap.codespace
+    : !identity && unicodeMap?.codespace.length > 0 ? unicodeMap.codespace
+      : TWO_BYTE_CODESPACE;
+  const minLength = Math.min(...codespace.map(range => range.length));
+
+  const descendants = lookup(dict, 'DescendantFonts');
+  const cidFont = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+  const defaultWidth = (cidFont instanceof PDFDict ? numberValue(lookup(cidFont, 'DW')) : undefined) ?? 1000;
+  const widthOf = cidWidths(cidFont instanceof PDFDict ? lookup(cidFont, 'W') : null, defaultWidth);
+
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      let i = 0;
+      while (i < bytes.length) {
+        let length = 0;
+        let code = 0;
+        for (let size = 1, value = 0; size <= 4 && i + size <= bytes.length; size++) {
+          value = value * 256 + bytes[i + size - 1];
+          if (codespace.some(range => range.length === size && value >= range.low && value <= range.high)) {
+            length = size;
+            code = value;
+            break;
+          }
+        }
+        if (!length) {
+          length = Math.min(minLength, bytes.length - i);
+          for (let k = 0; k < length; k++) code = code * 256 + bytes[i + k];
+        }
+        i += length;
+
+        const cid = cmap ? lookupCid(cmap, code) : code;
+        glyphs.push({
+          text: cleanText(lookupCMap(unicodeMap, code) ?? ''),
+          width: widthOf(cid) / 1000,
+          wordSpace: length === 1 && code === 0x20
+        });
+      }
+      return glyphs;
+    }
+  };
+}
+
+// CID widths from a W array: [cid [w1 w2 ...]] or [firstCid lastCid w]
+function cidWidths(array, defaultWidth) {
+  const single = new Map();
+  const ranges = [];
+  if (array instanceof PDFArray) {
+    let k = 0;
+    while (k < array.size()) {
+      const first = numberValue(array.lookup(k));
+      const next = array.lookup(k + 1);
+      if (first === undefined) break;
+      if (next instanceof PDFArray) {
+        numberArray(next).forEach((width, offset) => single.set(first + offset, width));
+        k += 2;
+      } else {
+        const last = numberValue(next);
+        const width = numberValue(array.lookup(k + 2));
+        if (last === undefined || width === undefined) break;
+        ranges.push([first, last, width]);
+        k += 3;
+      }
+    }
+  }
+  return (cid) => {
+    if (single.has(cid)) return single.get(cid);
+    const range = ranges.find(([first, last]) => cid >= first && cid <= last);
+    return range ? range[2] : defaultWidth;
+  };
+}
+
+function cleanText(text) {
+  let out = '';
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (LIGATURES[char]) out += LIGATURES[char];
+    else if (code === 0x09 || code === 0x0a || code === 0x0d || code === 0xa0) out += ' ';
+    else if (code >= 0x20) out += char;
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CMAPS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a CMap: ToUnicode maps (bfchar/bfrange) and CID encodings
+ * (cidchar/cidrange) share the syntax
+ */
+function parseCMap(source) {
+  const cmap = { codespace: [], chars: new Map(), ranges: [], cids: new Map(), cidRanges: [] };
+  const tokens = source.match(/<[0-9A-Fa-f\s]*>|\[|\]|\/[^\s/[\]<>()]+|[^\s/[\]<>()%]+/g) || [];
+
+  let k = 0;
+  const until = (keyword, step, read) => {
+    while (k < tokens.length && tokens[k] !== keyword) {
+      read();
+      k += step;
+    }
+  };
+
+  while (k < tokens.length) {
+    const token = tokens[k++];
+    if (token === 'begincodespacerange') {
+      until('endcodespacerange', 2, () => {
+        const low = hexToken(tokens[k]);
+        cmap.codespace.push({ length: low.length, low: low.value, high: hexToken(tokens[k + 1]).value });
+      });
+    } else if (token === 'beginbfchar') {
+      until('endbfchar', 2, () => {
+        cmap.chars.set(hexToken(tokens[k]).value, unicodeToken(tokens[k + 1]));
+      });
+    } else if (token === 'beginbfrange') {
+      while (k < tokens.length && tokens[k] !== 'endbfrange') {
+        const low = hexToken(tokens[k]).value;
+        const high = hexToken(tokens[k + 1]).value;
+        if (tokens[k + 2] === '[') {
+          k += 3;
+          for (let code = low; k < tokens.length && tokens[k] !== ']'; code++) {
+            cmap.chars.set(code, unicodeToken(tokens[k++]));
+          }
+          k++;
+        } else {
+          cmap.ranges.push({ low, high, start: unicodeToken(tokens[k + 2]) });
+          k += 3;
+        }
+      }
+    } else if (token === 'begincidchar') {
+      until('endcidchar', 2, () => {
+        cmap.cids.set(hexToken(tokens[k]).value, Number(tokens[k + 1]));
+      });
+    } else if (token === 'begincidrange') {
+      until('endcidrange', 3, () => {
+        cmap.cidRanges.push({ low: hexToken(tokens[k]).value, high: hexToken(tokens[k + 1]).value, cid: Number(tokens[k + 2]) });
+      });
+    }
+  }
+  return cmap;
+}
+
+function lookupCMap(cmap, code) {
+  if (!cmap) return undefined;
+  if (cmap.chars.has(code)) return cmap.chars.get(code);
+  const range = cmap.ranges.find(item => code >= item.low && code <= item.high);
+  if (!range || !range.start) return undefined;
+  // Ranges count up from the destination's last character
+  const start = range.start;
+  return start.slice(0, -1) + String.fromCharCode(start.charCodeAt(start.length - 1) + code - range.low);
+}
+
+function lookupCid(cmap, code) {
+  if (cmap.cids.has(code)) return cmap.cids.get(code);
+  const range = cmap.cidRanges.find(item => code >= item.low && code <= item.high);
+  return range ? range.cid + code - range.low : 0;
+}
+
+function hexToken(token) {
+  const hex = (token || '').replace(/[<>\s]/g, '');
+  return { length: Math.ceil(hex.length / 2), value: hex ? parseInt(hex, 16) : 0 };
+}
+
+// A bfchar/bfrange destination: UTF-16BE hex or a glyph name
+function unicodeToken(token) {
+  if (!token) return '';
+  if (token.startsWith('/')) return glyphNameToUnicode(token.slice(1));
+  const hex = token.replace(/[<>\s]/g, '');
+  let out = '';
+  for (let k = 0; k + 4 <= hex.length; k += 4) out += String.fromCharCode(parseInt(hex.slice(k, k + 4), 16));
+  if (hex.length === 2) out = String.fromCharCode(parseInt(hex, 16));
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function lookup(dict, key) {
+  return dict.lookup(PDFName.of(key));
+}
+
+function nameValue(object) {
+  return object instanceof PDFName ? object.decodeText() : null;
+}
+
+function numberValue(object) {
+  return object instanceof PDFNumber ? object.asNumber() : undefined;
+}
+
+function numberArray(object) {
+  if (!(object instanceof PDFArray)) return [];
+  return Array.from({ length: object.size() }, (_, k) => numberValue(object.lookup(k)) ?? 0);
+}
+
+function decodeStream(stream) {
+  if (stream instanceof PDFRawStream) return decodePDFRawStream(stream).decode();
+  return typeof stream?.getContents === 'function' ? stream.getContents() : new Uint8Array(0);
+}
+
+function latin1(bytes) {
+  let out = '';
+  for (let k = 0; k < bytes.length; k += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(k, k + 0x8000));
+  }
+  return out;
+}
+
+function hexDigit(byte) {
+  if (byte >= 0x30 && byte <= 0x39) return byte - 0x30;
+  if (byte >= 0x41 && byte <= 0x46) return byte - 0x37;
+  if (byte >= 0x61 && byte <= 0x66) return byte - 0x57;
+  return -1;
+}
+
+// [a b c d e f] matrices as in the PDF spec; m1 is applied first
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
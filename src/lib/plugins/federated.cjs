@@ -0,0 +1,96 @@
+/**
+ * Federated Search Query
+ *
+ * The search box syntax of merged search across all enabled plugins, parsed
+ * into a UnifiedQuery every plugin can translate and formatted back from one.
+ * Merging the plugins' results is done by lib/search/federated-results.js.
+ */
+
+'use strict';
+
+const { parseYearValue } = require('./query.cjs');
+
+/**
+ * Query fields understood by parseFederatedQuery, with their aliases
+ */
+const QUERY_FIELDS = {
+  author: 'author',
+  au: 'author',
+  title: 'title',
+  ti: 'title',
+  abstract: 'abstract',
+  abs: 'abstract',
+  year: 'year',
+  doi: 'doi',
+  arxiv: 'arxivId',
+  bibcode: 'bibcode',
+  keyword: 'keywords'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUERY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse the search box text into a UnifiedQuery every plugin can translate.
+ * Understands author:, title:, abstract:, year: (2020 or 2018-2020), doi:,
+ * arxiv:, bibcode: and keyword: (values may be quoted); everything else is
+ * free text.
+ * @param {string} text
+ * @returns {import('./types.cjs').UnifiedQuery}
+ */
+function parseFederatedQuery(text) {
+  const query = {};
+  const freeText = [];
+  const tokens = String(text || '').matchAll(/(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g);
+
+  for (const [token, field, quoted, bare, phrase, word] of tokens) {
+    const key = field && QUERY_FIELDS[field.toLowerCase()];
+    const value = (quoted ?? bare ?? '').trim();
+
+    if (!key) {
+      freeText.push(phrase !== undefined ? `"${phrase}"` : (word ?? token));
+    } else if (key === 'year') {
+      const year = parseYearValue(value);
+      if (year !== null) query.year = year;
+    } else if (key === 'keywords') {
+      if (value) query.keywords = [...(query.keywords || []), value];
+    } else if (value) {
+      query[key] = value;
+    }
+  }
+
+  if (freeText.length > 0) query.fullText = freeText.join(' ');
+  return query;
+}
+
+/**
+ * Format a UnifiedQuery in the syntax parseFederatedQuery reads
+ * @param {import('./types.cjs').UnifiedQuery} query
+ * @returns {string}
+ */
+function formatFederatedQuery(query) {
+  const quote = (value) => {
+    const text = String(value).replace(/"/g, '');
+    return /\s/.test(text) ? `"${text}"` : text;
+  };
+
+  const parts = [];
+  if (query.author) parts.push(`author:${quote(query.author)}`);
+  if (query.title) parts.push(`title:${quote(query.title)}`);
+  if (query.abstract) parts.push(`abstract:${quote(query.abstract)}`);
+  if (query.year) {
+    parts.push(`year:${Array.isArray(query.year) ? `${query.year[0]}-${query.year[1]}` : query.year}`);
+  }
+  if (query.doi) parts.push(`doi:${query.doi}`);
+  if (query.arxivId) parts.push(`arxiv:${query.arxivId}`);
+  if (query.bibcode) parts.push(`bibcode:${query.bibcode}`);
+  for (const keyword of query.keywords || []) parts.push(`keyword:${quote(keyword)}`);
+  if (query.fullText) parts.push(query.fullText);
+  return parts.join(' ');
+}
+
+module.exports = {
+  parseFederatedQuery,
+  formatFederatedQuery
+};
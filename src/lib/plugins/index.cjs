@@ -1,13 +1,18 @@
 /**
  * Plugin System Entry Point
  *
- * Exports all plugin-related types and the singleton manager instance.
+ * Exports all plugin-related types, the singleton manager instance, the
+ * third-party plugin loader, query translation helpers and the federated
+ * search syntax. Merging federated results is in lib/search (an ES module).
  */
 
 'use strict';
 
 const types = require('./types.cjs');
 const { PluginManager, pluginManager } = require('./manager.cjs');
+const { PluginLoader, readManifest, MANIFEST_FILE } = require('./loader.cjs');
+const query = require('./query.cjs');
+const { parseFederatedQuery, formatFederatedQuery } = require('./federated.cjs');
 
 module.exports = {
   // Types and factories
@@ -15,5 +20,17 @@ module.exports = {
 
   // Manager
   PluginManager,
-  pluginManager
+  pluginManager,
+
+  // Third-party plugins
+  PluginLoader,
+  readManifest,
+  MANIFEST_FILE,
+
+  // Query translation
+  ...query,
+
+  // Federated search
+  parseFederatedQuery,
+  formatFederatedQuery
 };
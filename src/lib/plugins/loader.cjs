@@ -0,0 +1,407 @@
+/**
+ * Third-Party Plugin Loader
+ *
+ * Discovers source plugins in a user plugins directory (one folder per
+ * plugin) and loads them into the PluginManager at runtime. Each folder
+ * holds a plugin.json manifest:
+ *
+ *   {
+ *     "id": "group-preprints",
+ *     "name": "Group Preprint Server",
+ *     "version": "1.2.0",
+ *     "apiVersion": 1,
+ *     "main": "index.cjs",
+ *     "description": "Preprints from our group's server",
+ *     "capabilities": { "search": true, "lookup": true }
+ *   }
+ *
+ * The main module exports a SourcePlugin, or a function that takes the app
+ * API (see createAppApi) and returns one. A plugin that fails to load or
+ * initialize is left unregistered and reported with its error; it never
+ * stops other plugins or the app from starting.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const types = require('./types.cjs');
+
+const { PLUGIN_API_VERSION, validatePlugin } = types;
+
+const MANIFEST_FILE = 'plugin.json';
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+/**
+ * @typedef {Object} PluginManifest
+ * @property {string} id - Plugin ID (must match the plugin's id)
+ * @property {string} name - Human-readable name
+ * @property {string} version - Plugin version
+ * @property {number} apiVersion - Plugin API version the plugin was written for
+ * @property {string} [main='index.cjs'] - Entry module, relative to the plugin folder
+ * @property {string} [description]
+ * @property {Object<string, boolean>} capabilities - Declared capabilities
+ */
+
+/**
+ * Check a manifest's fields
+ * @param {Object} manifest
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function checkManifest(manifest) {
+  const errors = [];
+
+  if (typeof manifest.id !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(manifest.id)) {
+    errors.push('"id" must be lowercase alphanumeric with optional - or _');
+  }
+  if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+    errors.push('"name" is required');
+  }
+  if (typeof manifest.version !== 'string' || !manifest.version.trim()) {
+    errors.push('"version" is required');
+  }
+  if (!Number.isInteger(manifest.apiVersion)) {
+    errors.push('"apiVersion" must be an integer');
+  } else if (manifest.apiVersion !== PLUGIN_API_VERSION) {
+    errors.push(`requires plugin API version ${manifest.apiVersion}, but this app provides version ${PLUGIN_API_VERSION}`);
+  }
+  if (manifest.main !== undefined && (typeof manifest.main !== 'string' || path.isAbsolute(manifest.main))) {
+    errors.push('"main" must be a path relative to the plugin folder');
+  }
+  if (!manifest.capabilities || typeof manifest.capabilities !== 'object' || Array.isArray(manifest.capabilities)) {
+    errors.push('"capabilities" must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * Read and check the manifest in a plugin folder
+ * @param {string} directory - Plugin folder
+ * @returns {PluginManifest}
+ * @throws {Error} If the manifest is missing, unreadable or invalid
+ */
+function readManifest(directory) {
+  const file = path.join(directory, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${MANIFEST_FILE} found`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${err.message}`);
+  }
+
+  const errors = checkManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${errors.join(', ')}`);
+  }
+  return manifest;
+}
+
+/**
+ * Capabilities the manifest and the plugin disagree on
+ * @param {PluginManifest} manifest
+ * @param {import('./types.cjs').SourcePlugin} plugin
+ * @returns {string[]}
+ */
+function capabilityMismatches(manifest, plugin) {
+  return Object.entries(manifest.capabilities)
+    .filter(([name, declared]) => name !== 'priority' && !!declared !== !!plugin.capabilities?.[name])
+    .map(([name]) => name);
+}
+
+/**
+ * The API handed to plugins whose main module exports a factory function,
+ * so they can build papers without requiring app internals
+ * @returns {Object}
+ */
+function createAppApi() {
+  return Object.freeze({
+    apiVersion: PLUGIN_API_VERSION,
+    createPaper: types.createPaper,
+    createDefaultCapabilities: types.createDefaultCapabilities,
+    createDefaultSearchCapabilities: types.createDefaultSearchCapabilities,
+    SORT_OPTIONS: types.SORT_OPTIONS,
+    PDF_SOURCE_TYPES: types.PDF_SOURCE_TYPES,
+    AUTH_TYPES: types.AUTH_TYPES
+  });
+}
+
+// ============================================================================
+// Loader
+// ============================================================================
+
+/**
+ * @typedef {Object} ThirdPartyPluginStatus
+ * @property {string} id - Plugin ID (folder name if the manifest is unreadable)
+ * @property {string} directory - Plugin folder
+ * @property {PluginManifest|null} manifest
+ * @property {'loaded'|'disabled'|'error'} state
+ * @property {string|null} error - Why the plugin is not loaded
+ */
+
+class PluginLoader {
+  /**
+   * @param {Object} options
+   * @param {import('./manager.cjs').PluginManager} options.manager
+   * @param {string} options.directory - User plugins directory
+   * @param {function(string): boolean} [options.isDisabled] - Whether the
+   *   user turned a plugin off
+   */
+  constructor({ manager, directory, isDisabled = () => false }) {
+    this.manager = manager;
+    this.directory = directory;
+    this.isDisabled = isDisabled;
+
+    /** @type {Map<string, ThirdPartyPluginStatus>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Whether a plugin ID belongs to a discovered third-party plugin
+   * @param {string} pluginId
+   * @returns {boolean}
+   */
+  has(pluginId) {
+    return this.entries.has(pluginId);
+  }
+
+  /**
+   * Scan the plugins directory. Loaded plugins are kept; new folders are
+   * added; folders that disappeared are forgotten (unload them first).
+   * @returns {ThirdPartyPluginStatus[]}
+   */
+  discover() {
+    let folders = [];
+    try {
+      folders = fs.readdirSync(this.directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => path.join(this.directory, entry.name));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('[PluginLoader] Cannot read plugins directory:', err.message);
+      }
+    }
+
+    const found = new Map();
+    for (const directory of folders) {
+      const loaded = [...this.entries.values()].find(e => e.directory === directory && e.state === 'loaded');
+      if (loaded) {
+        found.set(loaded.id, loaded);
+        continue;
+      }
+
+      let entry;
+      try {
+        const manifest = readManifest(directory);
+        entry = { id: manifest.id, directory, manifest, state: 'disabled', error: null };
+      } catch (err) {
+        entry = { id: path.basename(directory), directory, manifest: null, state: 'error', error: err.message };
+      }
+
+      if (found.has(entry.id)) {
+        entry = {
+          id: path.basename(directory),
+          directory,
+          manifest: null,
+          state: 'error',
+          error: `Plugin ID "${entry.id}" is used by another plugin folder`
+        };
+      }
+      found.set(entry.id, entry);
+    }
+
+    this.entries = found;
+    return this.getStatus();
+  }
+
+  /**
+   * Discover plugins and load every one the user has not disabled
+   * @returns {Promise<ThirdPartyPluginStatus[]>}
+   */
+  async loadAll() {
+    this.discover();
+    for (const entry of this.entries.values()) {
+      if (entry.state === 'loaded' || !entry.manifest) continue;
+      if (this.isDisabled(entry.id)) continue;
+      await this.load(entry.id);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Load, validate, register and initialize one discovered plugin. Errors
+   * are recorded on the entry, not thrown.
+   * @param {string} pluginId
+   * @returns {Promise<ThirdPartyPluginStatus>}
+   */
+  async load(pluginId) {
+    const entry = this.entries.get(pluginId);
+    if (!entry) {
+      throw new Error(`Plugin "${pluginId}" was not found in the plugins directory`);
+    }
+    if (entry.state === 'loaded' || !entry.manifest) return entry;
+
+    let registered = false;
+    try {
+      if (this.manager.get(entry.id)) {
+        throw new Error(`A plugin with ID "${entry.id}" is already registered`);
+      }
+
+      const plugin = this._requirePlugin(entry);
+      if (plugin.id !== entry.manifest.id) {
+        throw new Error(`Plugin ID "${plugin.id}" does not match "${entry.manifest.id}" in ${MANIFEST_FILE}`);
+      }
+      const validation = validatePlugin(plugin);
+      if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+      }
+      const mismatches = capabilityMismatches(entry.manifest, plugin);
+      if (mismatches.length > 0) {
+        throw new Error(`Capabilities differ from ${MANIFEST_FILE}: ${mismatches.join(', ')}`);
+      }
+
+      this.manager.register(plugin);
+      registered = true;
+      if (typeof plugin.initialize === 'function') {
+        await plugin.initialize(this.manager.getInitOptions());
+      }
+
+      entry.state = 'loaded';
+      entry.error = null;
+      console.log(`[PluginLoader] Loaded ${entry.id} ${entry.manifest.version} from ${entry.directory}`);
+    } catch (err) {
+      console.error(`[PluginLoader] Failed to load ${entry.id}:`, err.message);
+      if (registered) {
+        await this.manager.unregister(entry.id).catch(() => {});
+      }
+      this._forgetModules(entry.directory);
+      entry.state = 'error';
+      entry.error = err.message;
+    }
+    return entry;
+  }
+
+  /**
+   * Unregister a loaded plugin and drop its modules, so loading it again
+   * picks up changed files
+   * @param {string} pluginId
+   * @returns {Promise<ThirdPartyPluginStatus>}
+   */
+  async unload(pluginId) {
+    const entry = this.entries.get(pluginId);
+    if (!entry) {
+      throw new Error(`Plugin "${pluginId}" was not found in the plugins directory`);
+    }
+
+    if (entry.state === 'loaded') {
+      await this.manager.unregister(entry.id);
+      this._forgetModules(entry.directory);
+      console.log(`[PluginLoader] Unloaded ${entry.id}`);
+    }
+    if (entry.manifest) {
+      entry.state = 'disabled';
+      entry.error = null;
+    }
+    return entry;
+  }
+
+  /**
+   * Unload everything, rescan the directory and load again
+   * @returns {Promise<ThirdPartyPluginStatus[]>}
+   */
+  async reload() {
+    for (const entry of [...this.entries.values()]) {
+      if (entry.state === 'loaded') await this.unload(entry.id);
+    }
+    return this.loadAll();
+  }
+
+  /**
+   * Status of every discovered plugin
+   * @returns {ThirdPartyPluginStatus[]}
+   */
+  getStatus() {
+    return [...this.entries.values()].map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Built-in plugins (from the manager) followed by third-party ones, in
+   * one list for the Preferences UI
+   * @returns {Object[]}
+   */
+  getPluginList() {
+    const registered = new Map(this.manager.getPluginInfo().map(info => [info.id, info]));
+
+    const builtIn = [...registered.values()]
+      .filter(info => !this.entries.has(info.id))
+      .map(info => ({ ...info, builtIn: true, state: info.enabled ? 'loaded' : 'disabled', error: null }));
+
+    const thirdParty = [...this.entries.values()].map(entry => {
+      const info = registered.get(entry.id);
+      return {
+        ...info,
+        id: entry.id,
+        name: info?.name || entry.manifest?.name || entry.id,
+        icon: info?.icon || '',
+        description: info?.description || entry.manifest?.description || '',
+        capabilities: info?.capabilities || entry.manifest?.capabilities || {},
+        version: entry.manifest?.version || null,
+        enabled: entry.state === 'loaded',
+        builtIn: false,
+        state: entry.state,
+        error: entry.error,
+        directory: entry.directory
+      };
+    });
+
+    return [...builtIn, ...thirdParty];
+  }
+
+  /**
+   * Require a plugin's main module and resolve factory exports
+   * @param {ThirdPartyPluginStatus} entry
+   * @returns {import('./types.cjs').SourcePlugin}
+   * @private
+   */
+  _requirePlugin(entry) {
+    const mainFile = path.resolve(entry.directory, entry.manifest.main || 'index.cjs');
+    if (!mainFile.startsWith(path.resolve(entry.directory) + path.sep)) {
+      throw new Error('"main" must stay inside the plugin folder');
+    }
+
+    const exported = require(mainFile);
+    const plugin = typeof exported === 'function' ? exported(createAppApi()) : exported;
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error('Main module must export a plugin object or a function returning one');
+    }
+    return plugin;
+  }
+
+  /**
+   * Remove a plugin folder's modules from the require cache
+   * @param {string} directory
+   * @private
+   */
+  _forgetModules(directory) {
+    const prefix = path.resolve(directory) + path.sep;
+    for (const file of Object.keys(require.cache)) {
+      if (file.startsWith(prefix)) {
+        delete require.cache[file];
+      }
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  checkManifest,
+  readManifest,
+  PluginLoader
+};
@@ -11,8 +11,13 @@
 'use strict';
 
 const EventEmitter = require('events');
+const path = require('path');
+const { pathToFileURL } = require('url');
 const { validatePlugin } = require('./types.cjs');
 
+// Merging of federated results (ES module, see lib/search/federated-results.js)
+let federatedResults = null;
+
 class PluginManager extends EventEmitter {
   constructor() {
     super();
@@ -25,6 +30,9 @@ class PluginManager extends EventEmitter {
 
     /** @type {Map<string, number>} */
     this.lastRequestTime = new Map();
+
+    /** @type {string|null} Contact email for sources with a "polite" pool */
+    this.mailto = null;
   }
 
   // ==========================================================================
@@ -276,6 +284,27 @@ class PluginManager extends EventEmitter {
     return { results, errors };
   }
 
+  /**
+   * Federated search with the same work from several plugins merged into one
+   * row (see lib/search/federated-results.js). Plugins that failed are listed
+   * in `errors`.
+   * @param {import('./types.cjs').UnifiedQuery} query - Search query
+   * @returns {Promise<{papers: Object[], errors: {source: string, message: string}[], totals: Object<string, number>}>}
+   */
+  async mergedSearch(query) {
+    const { results, errors } = await this.federatedSearch(query);
+
+    const priorities = {};
+    for (const plugin of this.list()) {
+      priorities[plugin.id] = plugin.capabilities.priority;
+    }
+
+    if (!federatedResults) {
+      federatedResults = await import(pathToFileURL(path.join(__dirname, '../search/federated-results.js')).href);
+    }
+    return federatedResults.mergeSearchResults(results, errors, { priorities });
+  }
+
   /**
    * Lookup a paper by identifier across all plugins
    * @param {string} identifier - DOI, arXiv ID, bibcode, etc.
@@ -388,6 +417,8 @@ class PluginManager extends EventEmitter {
       'ads': 50,      // ADS: 5000/day, fairly generous
       'arxiv': 3000,  // arXiv: Recommends 3s between requests
       'inspire': 350, // INSPIRE: 15 requests per 5s = 333ms
+      'crossref': 100, // Crossref: 10 requests/s in the polite pool
+      'openalex': 100, // OpenAlex: 10 requests/s
       'default': 100
     };
     return delays[pluginId] || delays.default;
@@ -469,13 +500,17 @@ class PluginManager extends EventEmitter {
 
   /**
    * Initialize all registered plugins
+   * @param {Object} [options]
+   * @param {string|null} [options.mailto] - Contact email, passed to every plugin
    */
-  async initialize() {
+  async initialize(options = {}) {
+    if (options.mailto !== undefined) this.mailto = options.mailto?.trim() || null;
+
     const initPromises = Array.from(this.plugins.values())
       .filter(reg => typeof reg.plugin.initialize === 'function')
       .map(async reg => {
         try {
-          await reg.plugin.initialize();
+          await reg.plugin.initialize(this.getInitOptions());
           console.log(`[PluginManager] Initialized plugin: ${reg.id}`);
         } catch (err) {
           console.error(`[PluginManager] Failed to initialize ${reg.id}:`, err);
@@ -487,6 +522,27 @@ class PluginManager extends EventEmitter {
     this.emit('initialized');
   }
 
+  /**
+   * Options every plugin's initialize() receives
+   * @returns {{mailto: string|null}}
+   */
+  getInitOptions() {
+    return { mailto: this.mailto };
+  }
+
+  /**
+   * Change the contact email, for plugins that support it (setMailto)
+   * @param {string|null} mailto
+   */
+  setMailto(mailto) {
+    this.mailto = mailto?.trim() || null;
+    for (const reg of this.plugins.values()) {
+      if (typeof reg.plugin.setMailto === 'function') {
+        reg.plugin.setMailto(this.mailto);
+      }
+    }
+  }
+
   /**
    * Shutdown all plugins
    */
@@ -0,0 +1,178 @@
+/**
+ * Unified Query Helpers
+ *
+ * Shared pieces for translating a UnifiedQuery to a plugin's native query
+ * syntax and parsing native queries back:
+ * - A tokenizer that keeps quoted phrases, field:"values" and [ranges] whole
+ * - Year value parsing ("2020", "2018-2022", "[2018 TO 2022]", "2018->2022")
+ * - Which clauses of a query a plugin cannot search (from searchCapabilities)
+ *
+ * Plugins that implement parseNativeQuery(text) let a query typed for one
+ * source be converted to another.
+ */
+
+'use strict';
+
+/**
+ * UnifiedQuery clauses that end up in the query string, in display order
+ */
+const QUERY_CLAUSES = ['title', 'author', 'abstract', 'fullText', 'year', 'doi', 'arxivId', 'bibcode', 'keywords'];
+
+const CLAUSE_LABELS = {
+  title: 'Title',
+  author: 'Author',
+  abstract: 'Abstract',
+  fullText: 'Full-text',
+  year: 'Year',
+  doi: 'DOI',
+  arxivId: 'arXiv ID',
+  bibcode: 'Bibcode',
+  keywords: 'Keyword'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TOKENIZING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Split a query into tokens: parentheses, quoted phrases (with an optional
+ * field: prefix), field:[bracketed ranges] and plain words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeQuery(text) {
+  return String(text || '').match(/\(|\)|[^\s()"[]*(?:"(?:[^"\\]|\\.)*"|\[[^\]]*\])|[^\s()]+/g) || [];
+}
+
+/**
+ * Remove surrounding double quotes (and unescape inner ones)
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  const match = String(value).match(/^"([\s\S]*)"$/);
+  return match ? match[1].replace(/\\"/g, '"') : String(value);
+}
+
+/**
+ * Split a "field:value" token; tokens without a field prefix have field null
+ * @param {string} token
+ * @returns {{field: string|null, value: string}}
+ */
+function splitFieldToken(token) {
+  const match = token.match(/^([A-Za-z_]+):([\s\S]+)$/);
+  if (!match) return { field: null, value: unquote(token) };
+  return { field: match[1], value: unquote(match[2]) };
+}
+
+/**
+ * Parse a year or year range. Open ranges end at the current year.
+ * @param {string} value - "2020", "2018-2022", "2018-", "[2018 TO 2022]", "2018->2022"
+ * @returns {number|[number, number]|null}
+ */
+function parseYearValue(value) {
+  const text = String(value || '').trim();
+  if (/^\d{4}$/.test(text)) return Number(text);
+
+  const range = text.match(/^\[?\s*(\d{4}|\*)?\s*(?:-|->|\s+TO\s+)\s*(\d{4}|\*)?\s*\]?$/i);
+  if (!range) return null;
+
+  const from = range[1] && range[1] !== '*' ? Number(range[1]) : null;
+  const to = range[2] && range[2] !== '*' ? Number(range[2]) : null;
+  if (from === null && to === null) return null;
+  if (from !== null && from === to) return from;
+  return [from ?? 0, to ?? new Date().getFullYear()];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CAPABILITIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a query has nothing to search for
+ * @param {import('./types.cjs').UnifiedQuery} query
+ * @returns {boolean}
+ */
+function isEmptyQuery(query) {
+  if (!query) return true;
+  if (query.raw) return false;
+  return QUERY_CLAUSES.every(clause => {
+    const value = query[clause];
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  });
+}
+
+/**
+ * Clauses of a query that a plugin can't search, from its searchCapabilities.
+ * Plugins that don't list queryFields are assumed to handle every field if
+ * they support field search, and only free text otherwise.
+ * @param {import('./types.cjs').UnifiedQuery} query
+ * @param {import('./types.cjs').SearchCapabilities} [searchCapabilities]
+ * @returns {{clause: string, message: string}[]}
+ */
+function getUnsupportedClauses(query, searchCapabilities = {}) {
+  const fields = searchCapabilities.queryFields;
+  const supports = (clause) => fields
+    ? fields.includes(clause)
+    : clause === 'fullText' || !!searchCapabilities.supportsFieldSearch;
+
+  const unsupported = [];
+  for (const clause of QUERY_CLAUSES) {
+    if (isEmptyQuery({ [clause]: query[clause] })) continue;
+    if (!supports(clause)) {
+      unsupported.push({ clause, message: `${CLAUSE_LABELS[clause]} search is not supported` });
+    } else if (clause === 'year' && Array.isArray(query.year) && searchCapabilities.supportsDateRange === false) {
+      unsupported.push({ clause, message: 'Year ranges are not supported' });
+    }
+  }
+
+  const sortOptions = searchCapabilities.sortOptions;
+  if (query.sort && sortOptions && !sortOptions.includes(query.sort)) {
+    unsupported.push({ clause: 'sort', message: `Sorting by ${query.sort} is not supported` });
+  }
+
+  return unsupported;
+}
+
+/**
+ * Translate a query for one plugin, leaving out (and reporting) the clauses
+ * it can't search
+ * @param {import('./types.cjs').SourcePlugin} plugin
+ * @param {import('./types.cjs').UnifiedQuery} query
+ * @returns {{query: string, unsupported: {source: string, clause: string, message: string}[]}}
+ */
+function translateForPlugin(plugin, query) {
+  const unsupported = getUnsupportedClauses(query, plugin.searchCapabilities)
+    .map(entry => ({ source: plugin.id, ...entry }));
+
+  const supported = { ...query };
+  for (const { clause } of unsupported) delete supported[clause];
+
+  const native = typeof plugin.translateQuery === 'function' ? plugin.translateQuery(supported) : '';
+  return { query: native || '', unsupported };
+}
+
+/**
+ * Parse a plugin's native query into a UnifiedQuery
+ * @param {import('./types.cjs').SourcePlugin} plugin
+ * @param {string} text
+ * @returns {import('./types.cjs').UnifiedQuery|null} null if the plugin can't
+ *   parse queries or the text uses syntax a UnifiedQuery can't express
+ */
+function parseForPlugin(plugin, text) {
+  if (!plugin || typeof plugin.parseNativeQuery !== 'function') return null;
+  const query = plugin.parseNativeQuery(text);
+  return query && !isEmptyQuery(query) ? query : null;
+}
+
+module.exports = {
+  QUERY_CLAUSES,
+  tokenizeQuery,
+  unquote,
+  splitFieldToken,
+  parseYearValue,
+  isEmptyQuery,
+  getUnsupportedClauses,
+  translateForPlugin,
+  parseForPlugin
+};
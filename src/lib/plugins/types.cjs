@@ -86,6 +86,9 @@
  * @property {number} maxResults - Maximum results per query
  * @property {string} queryLanguage - Native query language ('ads', 'arxiv', 'inspire', 'generic')
  * @property {string[]} sortOptions - Available sort options
+ * @property {string[]} [queryFields] - UnifiedQuery fields translateQuery handles
+ *   ('title', 'author', 'abstract', 'fullText', 'year', 'doi', 'arxivId', 'bibcode', 'keywords').
+ *   Clauses for other fields are left out of the query and reported to the user.
  */
 
 // ============================================================================
@@ -163,7 +166,9 @@
  * @property {function(): RateLimitStatus} getRateLimitStatus - Get current rate limit
  *
  * @property {function(UnifiedQuery): Promise<SearchResult>} search - Search for papers
- * @property {function(string): string} translateQuery - Convert unified to native query
+ * @property {function(UnifiedQuery): string} translateQuery - Convert unified to native query
+ * @property {function(string): (UnifiedQuery|null)} [parseNativeQuery] - Parse a native query
+ *   back into a UnifiedQuery (null if it uses syntax a UnifiedQuery can't express)
  *
  * @property {function(string): Promise<Paper|null>} getRecord - Get paper by source ID
  * @property {function(string): Promise<Paper|null>} [getByDOI] - Lookup by DOI
@@ -182,7 +187,9 @@
  * @property {function(Object): string} [getRecordUrl] - Get URL to view paper on source website
  * @property {string} [nlPrompt] - Natural language translation prompt for this source
  *
- * @property {function(): Promise<void>} [initialize] - Called when plugin is loaded
+ * @property {function({mailto: string|null}): Promise<void>} [initialize] - Called when plugin is
+ *   loaded, with the user's contact email
+ * @property {function(string|null): void} [setMailto] - Called when the contact email changes
  * @property {function(): Promise<void>} [shutdown] - Called when plugin is unloaded
  */
 
@@ -209,6 +216,17 @@
  * @property {Object} [data] - Event-specific data
  */
 
+// ============================================================================
+// Plugin API Version
+// ============================================================================
+
+/**
+ * Version of the SourcePlugin contract. Third-party plugins name the version
+ * they were written against in their manifest (apiVersion); bump this when
+ * the contract changes in a way that breaks existing plugins.
+ */
+const PLUGIN_API_VERSION = 1;
+
 // ============================================================================
 // Factory & Helpers
 // ============================================================================
@@ -312,6 +330,8 @@ function validatePlugin(plugin) {
 // ============================================================================
 
 module.exports = {
+  PLUGIN_API_VERSION,
+
   // Factory functions
   createPaper,
   createDefaultCapabilities,
@@ -0,0 +1,250 @@
+/**
+ * Bibliac Core - Federated Search Results
+ *
+ * Collapses the per-plugin results of a federated search into one
+ * de-duplicated list. The same work found in several sources (e.g. ADS, arXiv
+ * and INSPIRE) becomes one row that lists every source it came from.
+ *
+ * Works match on DOI, arXiv ID (ignoring version, including the ID encoded in
+ * arXiv bibcodes) or bibcode, normalized as for duplicate detection (see
+ * database/duplicates.js). Works without a shared identifier match on
+ * normalized title when their years are at most one apart and they don't
+ * carry different DOIs or arXiv IDs.
+ *
+ * Ranking interleaves the sources: the best hit of each source (in plugin
+ * priority order), then the second best of each, and so on. A merged row
+ * takes the position of its best-placed source.
+ */
+
+import {
+  normalizeDoi,
+  normalizeArxivId,
+  normalizeBibcode,
+  arxivIdFromBibcode,
+  normalizeTitle
+} from '../database/duplicates.js';
+
+/**
+ * Preprint and published versions are often a year apart
+ */
+const YEAR_TOLERANCE = 1;
+
+/**
+ * Plugins without a declared priority sort after the built-ins
+ */
+const DEFAULT_PRIORITY = 50;
+
+/**
+ * Fields taken from the highest-priority source that has them
+ */
+const FIRST_FIELDS = ['title', 'year', 'journal', 'doi', 'arxivId', 'bibcode', 'inspireId', 'bibtex'];
+
+/**
+ * Fields where the longest value wins (the richest abstract, the full author list)
+ */
+const LONGEST_FIELDS = ['abstract', 'authors', 'keywords'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORK IDENTITY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalized identifiers of a plugin paper
+ * @param {import('../plugins/types.cjs').Paper} paper
+ * @returns {{doi: string|null, arxivId: string|null, bibcode: string|null, title: string}}
+ */
+function paperIdentity(paper) {
+  return {
+    doi: normalizeDoi(paper.doi),
+    arxivId: normalizeArxivId(paper.arxivId) || normalizeArxivId(arxivIdFromBibcode(paper.bibcode)),
+    bibcode: normalizeBibcode(paper.bibcode),
+    title: normalizeTitle(paper.title)
+  };
+}
+
+/**
+ * Identifier keys of a paper; two papers sharing any key are the same work
+ * @param {ReturnType<typeof paperIdentity>} identity
+ * @returns {string[]}
+ */
+function identifierKeys(identity) {
+  const keys = [];
+  if (identity.doi) keys.push(`doi:${identity.doi}`);
+  if (identity.arxivId) keys.push(`arxiv:${identity.arxivId}`);
+  if (identity.bibcode) keys.push(`bibcode:${identity.bibcode}`);
+  return keys;
+}
+
+/**
+ * Whether a paper may join a group on title alone: close years and no
+ * conflicting DOI or arXiv ID
+ * @param {Object} group
+ * @param {ReturnType<typeof paperIdentity>} identity
+ * @param {number|undefined} year
+ * @returns {boolean}
+ */
+function titleMatches(group, identity, year) {
+  if (identity.doi && group.dois.size > 0 && !group.dois.has(identity.doi)) return false;
+  if (identity.arxivId && group.arxivIds.size > 0 && !group.arxivIds.has(identity.arxivId)) return false;
+  if (year && group.years.size > 0) {
+    return [...group.years].some(y => Math.abs(y - year) <= YEAR_TOLERANCE);
+  }
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MERGING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function valueLength(value) {
+  return Array.isArray(value) ? value.length : String(value).length;
+}
+
+/**
+ * Build the merged row for a group of hits
+ * @param {Object} group
+ * @param {(pluginId: string) => number} priorityOf
+ * @returns {Object} Paper with sources and fieldSources
+ */
+function buildRow(group, priorityOf) {
+  const hits = [...group.hits].sort((a, b) =>
+    priorityOf(a.source) - priorityOf(b.source) || a.rank - b.rank);
+  const primary = hits[0];
+
+  const row = { ...primary.paper };
+  const fieldSources = {};
+
+  for (const field of FIRST_FIELDS) {
+    const hit = hits.find(h => !isEmpty(h.paper[field]));
+    if (hit) {
+      row[field] = hit.paper[field];
+      fieldSources[field] = hit.source;
+    }
+  }
+
+  for (const field of LONGEST_FIELDS) {
+    let best = null;
+    for (const hit of hits) {
+      const value = hit.paper[field];
+      if (isEmpty(value)) continue;
+      if (!best || valueLength(value) > valueLength(best.paper[field])) best = hit;
+    }
+    if (best) {
+      row[field] = best.paper[field];
+      fieldSources[field] = best.source;
+    }
+  }
+
+  let cited = null;
+  for (const hit of hits) {
+    const count = hit.paper.citationCount;
+    if (typeof count === 'number' && (!cited || count > cited.paper.citationCount)) cited = hit;
+  }
+  if (cited) {
+    row.citationCount = cited.paper.citationCount;
+    fieldSources.citationCount = cited.source;
+  }
+
+  row.source = primary.source;
+  row.sourceId = primary.paper.sourceId;
+  row.sources = hits.map(h => ({ source: h.source, sourceId: h.paper.sourceId, rank: h.rank }));
+  row.fieldSources = fieldSources;
+  return row;
+}
+
+/**
+ * Merge per-plugin search results into one de-duplicated, interleaved list
+ * @param {Map<string, import('../plugins/types.cjs').SearchResult>} results - Per-plugin results
+ * @param {Map<string, Error>} [errors] - Per-plugin failures
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.priorities] - Plugin ID -> priority (lower first)
+ * @returns {{papers: Object[], errors: {source: string, message: string}[], totals: Object<string, number>}}
+ */
+export function mergeSearchResults(results, errors = new Map(), options = {}) {
+  const priorities = options.priorities || {};
+  const priorityOf = (pluginId) => priorities[pluginId] ?? DEFAULT_PRIORITY;
+  const byPriority = (a, b) => priorityOf(a) - priorityOf(b) || a.localeCompare(b);
+
+  const sources = [...results.keys()].sort(byPriority);
+  const lists = sources.map(source => results.get(source)?.papers || []);
+  const longest = Math.max(0, ...lists.map(list => list.length));
+
+  const groups = [];
+  const byKey = new Map();
+  const byTitle = new Map();
+
+  const index = (group, identity, year) => {
+    for (const key of identifierKeys(identity)) byKey.set(key, group);
+    if (identity.doi) group.dois.add(identity.doi);
+    if (identity.arxivId) group.arxivIds.add(identity.arxivId);
+    if (year) group.years.add(year);
+    if (identity.title) {
+      if (!byTitle.has(identity.title)) byTitle.set(identity.title, new Set());
+      byTitle.get(identity.title).add(group);
+    }
+  };
+
+  // Fold group `from` into `into` (a paper turned out to link two groups)
+  const absorb = (into, from) => {
+    for (const hit of from.hits) {
+      if (!into.hits.some(h => h.source === hit.source)) into.hits.push(hit);
+      index(into, hit.identity, hit.paper.year);
+    }
+    for (const titleGroups of byTitle.values()) titleGroups.delete(from);
+    into.position = Math.min(into.position, from.position);
+    from.absorbed = true;
+  };
+
+  let position = 0;
+  for (let rank = 0; rank < longest; rank++) {
+    sources.forEach((source, i) => {
+      const paper = lists[i][rank];
+      if (!paper) return;
+
+      const identity = paperIdentity(paper);
+      const hit = { source, rank, paper, identity };
+
+      const matched = [...new Set(identifierKeys(identity).map(key => byKey.get(key)).filter(Boolean))];
+      let group = matched[0];
+      for (const other of matched.slice(1)) absorb(group, other);
+
+      if (!group && identity.title) {
+        group = [...(byTitle.get(identity.title) || [])]
+          .find(g => !g.hits.some(h => h.source === source) && titleMatches(g, identity, paper.year));
+      }
+
+      if (!group) {
+        group = { hits: [], dois: new Set(), arxivIds: new Set(), years: new Set(), position: position++ };
+        groups.push(group);
+      }
+
+      // The same work twice from one source: keep its best-ranked hit
+      if (!group.hits.some(h => h.source === source)) group.hits.push(hit);
+      index(group, identity, paper.year);
+    });
+  }
+
+  const papers = groups
+    .filter(group => !group.absorbed)
+    .sort((a, b) => a.position - b.position)
+    .map(group => buildRow(group, priorityOf));
+
+  const totals = {};
+  for (const source of sources) {
+    totals[source] = results.get(source)?.totalResults ?? lists[sources.indexOf(source)].length;
+  }
+
+  return {
+    papers,
+    errors: [...errors.keys()].sort(byPriority).map(source => ({
+      source,
+      message: errors.get(source)?.message || String(errors.get(source))
+    })),
+    totals
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * Bibliac Core - Search Module
+ *
+ * The local library query language: parsing and evaluation against papers.
+ * Merging the results of a search across several sources into one list.
+ */
+
+export {
+  QuerySyntaxError,
+  SEARCH_FIELDS,
+  tokenize,
+  parseLibraryQuery,
+  collectTextTerms,
+  queryUsesField,
+  matchesQuery
+} from './query-parser.js';
+
+export { mergeSearchResults } from './federated-results.js';
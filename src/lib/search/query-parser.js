@@ -0,0 +1,571 @@
+/**
+ * Bibliac Core - Local Library Query Language
+ *
+ * Parses and evaluates library search queries:
+ *
+ *   dark matter author:Abel                 implicit AND
+ *   author:Smith OR author:Jones            OR (binds looser than AND)
+ *   NOT status:read, -has:pdf               negation
+ *   (halo OR subhalo) year:2018-2022        grouping, ranges (also 2018..2022)
+ *   "dark energy" title:"weak lensing"      phrases
+ *   author:(Abel OR Bryan)                  field applied to a group
+ *   added:>2025-01-01 citations:>=100       comparisons
+ *   tag:methods                             tag or any tag nested under it
+ *
+ * Free text is matched by the caller (full-text index); fields are matched
+ * here against paper objects. Operators must be uppercase, like ADS. A
+ * "word:" prefix that isn't a known field ("Re:", a pasted URL) is free text.
+ * Both apps use it: desktop for search and smart collections, iOS for smart
+ * collections.
+ */
+
+/**
+ * Error thrown for malformed queries. `position` is the 0-based offset
+ * into the query string, for pointing at the problem in the UI.
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Searchable fields and how their values are compared
+ * - text: case-insensitive substring
+ * - number: exact, comparison (>, >=, <, <=) or range (a-b or a..b)
+ * - date: comparison or range (a..b or a-b) on ISO dates, prefix match, or "30d" for the last N days
+ * - enum: exact match against a fixed set
+ */
+export const SEARCH_FIELDS = {
+  author: { type: 'text', description: 'Author name' },
+  title: { type: 'text', description: 'Title words' },
+  abstract: { type: 'text', description: 'Abstract words' },
+  journal: { type: 'text', description: 'Journal name' },
+  bibcode: { type: 'text', description: 'ADS bibcode' },
+  source: { type: 'text', description: 'Import source file' },
+  keyword: { type: 'text', description: 'Paper keyword' },
+  collection: { type: 'text', description: 'Collection name' },
+  tag: { type: 'text', description: 'Tag, including nested tags (tag:methods matches methods/mcmc)' },
+  doi: { type: 'text', description: 'DOI' },
+  arxiv: { type: 'text', description: 'arXiv ID (version ignored)' },
+  year: { type: 'number', description: 'Publication year, e.g. 2020, 2018-2022, >2015' },
+  citations: { type: 'number', description: 'Citation count, e.g. >100' },
+  rating: { type: 'number', description: 'Rating 1-4 or seminal, important, useful, meh' },
+  added: { type: 'date', description: 'Date added, e.g. >2025-01-01, 2024-06, 2024..2025, 30d' },
+  status: { type: 'enum', values: ['unread', 'reading', 'read'], description: 'Read status' },
+  has: { type: 'enum', values: ['pdf', 'notes', 'abstract', 'doi', 'arxiv'], description: 'Paper has an attachment or field' }
+};
+
+const RATING_LABELS = { seminal: 1, important: 2, useful: 3, meh: 4 };
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Tokenizer
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Split a query into tokens
+ * @param {string} query
+ * @returns {Array<{type: string, pos: number, value?: string, field?: string, quoted?: boolean}>}
+ */
+export function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QuerySyntaxError('Missing closing quote', start);
+    }
+    return { value: query.slice(start + 1, end), next: end + 1 };
+  };
+
+  const readBare = (start) => {
+    let end = start;
+    while (end < query.length && !/[\s()]/.test(query[end])) end++;
+    return { value: query.slice(start, end), next: end };
+  };
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(') {
+      tokens.push({ type: 'lparen', pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === ')') {
+      tokens.push({ type: 'rparen', pos: i });
+      i++;
+      continue;
+    }
+
+    // Leading "-" negates the following term: -has:pdf, -"dark energy"
+    if (ch === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not', pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const { value, next } = readQuoted(i);
+      tokens.push({ type: 'text', value, quoted: true, pos: i });
+      i = next;
+      continue;
+    }
+
+    const fieldMatch = /^([a-zA-Z]+):/.exec(query.slice(i));
+    if (fieldMatch && SEARCH_FIELDS[fieldMatch[1].toLowerCase()]) {
+      const field = fieldMatch[1].toLowerCase();
+      const valueStart = i + fieldMatch[0].length;
+
+      if (query[valueStart] === '(') {
+        tokens.push({ type: 'fieldgroup', field, pos: i });
+        i = valueStart; // "(" is emitted as lparen on the next pass
+        continue;
+      }
+
+      if (query[valueStart] === '"') {
+        const { value, next } = readQuoted(valueStart);
+        tokens.push({ type: 'field', field, value, quoted: true, pos: i });
+        i = next;
+        continue;
+      }
+
+      const { value, next } = readBare(valueStart);
+      if (!value) {
+        throw new QuerySyntaxError(`Missing value after "${fieldMatch[0]}"`, i);
+      }
+      tokens.push({ type: 'field', field, value, quoted: false, pos: i });
+      i = next;
+      continue;
+    }
+
+    const { value, next } = readBare(i);
+    if (OPERATORS.includes(value)) {
+      tokens.push({ type: value.toLowerCase(), pos: i });
+    } else {
+      tokens.push({ type: 'text', value, quoted: false, pos: i });
+    }
+    i = next;
+  }
+
+  return tokens;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Parser
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a field value into a comparison node
+ * @param {string} field
+ * @param {string} raw - Value as typed
+ * @param {boolean} quoted
+ * @param {number} pos - Position for error messages
+ * @returns {Object} Field AST node
+ */
+function parseFieldValue(field, raw, quoted, pos) {
+  const def = SEARCH_FIELDS[field];
+  const value = raw.trim();
+
+  if (!value) {
+    throw new QuerySyntaxError(`Missing value after "${field}:"`, pos);
+  }
+
+  if (def.type === 'text') {
+    return { type: 'field', field, op: 'contains', value: value.toLowerCase(), quoted };
+  }
+
+  if (def.type === 'enum') {
+    const lower = value.toLowerCase();
+    if (!def.values.includes(lower)) {
+      throw new QuerySyntaxError(
+        `Invalid value "${value}" for ${field}:. Expected one of: ${def.values.join(', ')}`,
+        pos
+      );
+    }
+    return { type: 'field', field, op: '=', value: lower };
+  }
+
+  if (def.type === 'number') {
+    const toNumber = (text) => {
+      const lower = text.toLowerCase();
+      if (field === 'rating' && RATING_LABELS[lower]) return RATING_LABELS[lower];
+      if (!/^\d+$/.test(text)) {
+        throw new QuerySyntaxError(`Expected a number for ${field}:, got "${text}"`, pos);
+      }
+      return parseInt(text, 10);
+    };
+
+    const comparison = /^(>=|<=|>|<|=)(.+)$/.exec(value);
+    if (comparison) {
+      return { type: 'field', field, op: comparison[1], value: toNumber(comparison[2]) };
+    }
+
+    const range = /^(\d+)(-|\.\.)(\d+)$/.exec(value);
+    if (range) {
+      const from = toNumber(range[1]);
+      const to = toNumber(range[3]);
+      if (from > to) {
+        throw new QuerySyntaxError(`Range ${field}:${value} is reversed (did you mean ${to}${range[2]}${from}?)`, pos);
+      }
+      return { type: 'field', field, op: 'range', value: from, value2: to };
+    }
+
+    return { type: 'field', field, op: '=', value: toNumber(value) };
+  }
+
+  // date
+  const relative = /^(\d+)d$/i.exec(value);
+  if (relative) {
+    return { type: 'field', field, op: 'within-days', value: parseInt(relative[1], 10) };
+  }
+
+  const checkDate = (text) => {
+    if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text) || isNaN(Date.parse(text))) {
+      throw new QuerySyntaxError(
+        `Invalid date "${text}" for ${field}:. Use YYYY, YYYY-MM or YYYY-MM-DD`,
+        pos
+      );
+    }
+    return text;
+  };
+
+  const comparison = /^(>=|<=|>|<)(.+)$/.exec(value);
+  if (comparison) {
+    return { type: 'field', field, op: comparison[1], value: checkDate(comparison[2]) };
+  }
+
+  // "2024-01..2024-06", or with "-" between full dates: 2024-2025, 2024-01-2024-06
+  const range = /^(.+)\.\.(.+)$/.exec(value) ||
+    /^(\d{4}(?:-\d{2}(?:-\d{2})?)?)-(\d{4}(?:-\d{2}(?:-\d{2})?)?)$/.exec(value);
+  if (range) {
+    return { type: 'field', field, op: 'range', value: checkDate(range[1]), value2: checkDate(range[2]) };
+  }
+
+  return { type: 'field', field, op: 'prefix', value: checkDate(value) };
+}
+
+/**
+ * Parse a library query into an AST
+ *
+ * Node types:
+ *   { type: 'and' | 'or', children: Node[] }
+ *   { type: 'not', child: Node }
+ *   { type: 'field', field, op, value, value2? }
+ *   { type: 'text', id, value, phrase }
+ *
+ * @param {string} query
+ * @returns {Object|null} AST root, or null for an empty query
+ * @throws {QuerySyntaxError}
+ */
+export function parseLibraryQuery(query) {
+  const tokens = tokenize(query || '');
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  let textId = 0;
+  const peek = () => tokens[index];
+  const endPos = (query || '').length;
+
+  // Field from an enclosing field group: author:(Abel OR Bryan)
+  const fieldStack = [];
+
+  const describe = (token) => {
+    if (!token) return 'end of query';
+    if (token.type === 'rparen') return '")"';
+    if (['and', 'or', 'not'].includes(token.type)) return `"${token.type.toUpperCase()}"`;
+    return `"${token.value ?? token.field}"`;
+  };
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      const opToken = tokens[index++];
+      if (!peek() || peek().type === 'rparen' || peek().type === 'or' || peek().type === 'and') {
+        throw new QuerySyntaxError(`Expected a term after "OR", found ${describe(peek())}`, peek()?.pos ?? opToken.pos);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') {
+        const opToken = tokens[index++];
+        if (!peek() || ['rparen', 'or', 'and'].includes(peek().type)) {
+          throw new QuerySyntaxError(`Expected a term after "AND", found ${describe(peek())}`, peek()?.pos ?? opToken.pos);
+        }
+      }
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw new QuerySyntaxError('Unexpected end of query', endPos);
+    }
+
+    if (token.type === 'not') {
+      index++;
+      if (!peek() || ['rparen', 'or', 'and'].includes(peek().type)) {
+        throw new QuerySyntaxError(`Expected a term after "NOT", found ${describe(peek())}`, peek()?.pos ?? token.pos);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+
+    return parsePrimary();
+  }
+
+  function parseGroup(openToken) {
+    if (peek()?.type === 'rparen') {
+      throw new QuerySyntaxError('Empty parentheses', openToken.pos);
+    }
+    const node = parseOr();
+    if (peek()?.type !== 'rparen') {
+      throw new QuerySyntaxError('Missing closing ")"', openToken.pos);
+    }
+    index++;
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+
+    switch (token.type) {
+      case 'lparen':
+        return parseGroup(token);
+
+      case 'fieldgroup': {
+        const open = tokens[index++]; // always lparen, see tokenize()
+        fieldStack.push(token.field);
+        const node = parseGroup(open);
+        fieldStack.pop();
+        return node;
+      }
+
+      case 'field':
+        return parseFieldValue(token.field, token.value, token.quoted, token.pos);
+
+      case 'text': {
+        const field = fieldStack[fieldStack.length - 1];
+        if (field) {
+          return parseFieldValue(field, token.value, token.quoted, token.pos);
+        }
+        return { type: 'text', id: textId++, value: token.value, phrase: token.quoted };
+      }
+
+      case 'rparen':
+        throw new QuerySyntaxError('Unexpected ")" without matching "("', token.pos);
+
+      default:
+        throw new QuerySyntaxError(`Unexpected ${describe(token)}`, token.pos);
+    }
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    if (token.type === 'rparen') {
+      throw new QuerySyntaxError('Unexpected ")" without matching "("', token.pos);
+    }
+    throw new QuerySyntaxError(`Unexpected ${describe(token)}`, token.pos);
+  }
+  return ast;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// Evaluation
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Collect free-text nodes (for the caller to resolve against its text index)
+ * @param {Object|null} ast
+ * @param {boolean} [negated=false] - Internal: inside a NOT
+ * @returns {Array<{id: number, value: string, phrase: boolean, negated: boolean}>}
+ */
+export function collectTextTerms(ast, negated = false) {
+  if (!ast) return [];
+  switch (ast.type) {
+    case 'text':
+      return [{ id: ast.id, value: ast.value, phrase: ast.phrase, negated }];
+    case 'not':
+      return collectTextTerms(ast.child, !negated);
+    case 'and':
+    case 'or':
+      return ast.children.flatMap(child => collectTextTerms(child, negated));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Check whether a query references a field (to skip loading unused context)
+ * @param {Object|null} ast
+ * @param {string} field
+ * @returns {boolean}
+ */
+export function queryUsesField(ast, field) {
+  if (!ast) return false;
+  switch (ast.type) {
+    case 'field':
+      return ast.field === field;
+    case 'not':
+      return queryUsesField(ast.child, field);
+    case 'and':
+    case 'or':
+      return ast.children.some(child => queryUsesField(child, field));
+    default:
+      return false;
+  }
+}
+
+function normalizeArxiv(id) {
+  return (id || '').toLowerCase().replace(/^arxiv:/, '').replace(/v\d+$/, '');
+}
+
+function normalizeDoi(doi) {
+  return (doi || '').toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, '').replace(/^doi:/, '');
+}
+
+function compareNumber(actual, node) {
+  switch (node.op) {
+    case '>': return actual > node.value;
+    case '>=': return actual >= node.value;
+    case '<': return actual < node.value;
+    case '<=': return actual <= node.value;
+    case 'range': return actual >= node.value && actual <= node.value2;
+    default: return actual === node.value;
+  }
+}
+
+function compareDate(isoDate, node, now) {
+  if (!isoDate) return false;
+  const date = isoDate.slice(0, 10);
+
+  switch (node.op) {
+    case 'within-days': {
+      const cutoff = new Date(now.getTime() - node.value * 24 * 60 * 60 * 1000);
+      return new Date(isoDate) >= cutoff;
+    }
+    // Partial dates compare by prefix: ">2024" means after the whole of 2024
+    case '>': return date > node.value && !date.startsWith(node.value);
+    case '>=': return date >= node.value || date.startsWith(node.value);
+    case '<': return date < node.value && !date.startsWith(node.value);
+    case '<=': return date <= node.value || date.startsWith(node.value);
+    case 'range':
+      return (date >= node.value || date.startsWith(node.value)) &&
+        (date <= node.value2 || date.startsWith(node.value2));
+    default: return date.startsWith(node.value);
+  }
+}
+
+/**
+ * Evaluate a field node against a paper
+ * @param {Object} node
+ * @param {Object} paper - Paper with parsed authors/keywords arrays
+ * @param {Object} context - See matchesQuery
+ * @returns {boolean}
+ */
+function matchField(node, paper, context) {
+  const includes = (text) => (text || '').toLowerCase().includes(node.value);
+
+  switch (node.field) {
+    case 'author':
+      return !!context.matchAuthor?.(node, paper) || includes((paper.authors || []).join('; '));
+    case 'title':
+      return includes(paper.title);
+    case 'abstract':
+      return includes(paper.abstract);
+    case 'journal':
+      return includes(paper.journal);
+    case 'bibcode':
+      return includes(paper.bibcode);
+    case 'source':
+      return includes(paper.import_source);
+    case 'keyword':
+      return (paper.keywords || []).some(k => includes(k));
+    case 'collection':
+      return (context.collections?.get(paper.id) || []).some(name => includes(name));
+    case 'tag': {
+      const tag = node.value.replace(/^\/+|\/+$/g, '');
+      return (paper.tags || []).some(name => {
+        const lower = name.toLowerCase();
+        return lower === tag || lower.startsWith(tag + '/');
+      });
+    }
+    case 'doi':
+      return !!paper.doi && normalizeDoi(paper.doi).includes(normalizeDoi(node.value));
+    case 'arxiv':
+      return !!paper.arxiv_id && normalizeArxiv(paper.arxiv_id).startsWith(normalizeArxiv(node.value));
+    case 'year':
+      return paper.year != null && compareNumber(parseInt(paper.year, 10), node);
+    case 'citations':
+      return compareNumber(paper.citation_count || 0, node);
+    case 'rating':
+      return compareNumber(paper.rating || 0, node);
+    case 'added':
+      return compareDate(paper.added_date, node, context.now || new Date());
+    case 'status':
+      return (paper.read_status || 'unread') === node.value;
+    case 'has':
+      switch (node.value) {
+        case 'pdf': return !!paper.pdf_path || !!context.pdfPaperIds?.has(paper.id);
+        case 'notes': return (paper.annotation_count || 0) > 0;
+        case 'abstract': return !!paper.abstract;
+        case 'doi': return !!paper.doi;
+        case 'arxiv': return !!paper.arxiv_id;
+        default: return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a query AST against a paper
+ * @param {Object|null} ast
+ * @param {Object} paper - Paper with parsed authors/keywords, tag names and annotation_count
+ * @param {Object} [context]
+ * @param {Function} [context.matchText] - (textNode, paper) => boolean for free-text terms
+ * @param {Function} [context.matchAuthor] - (authorNode, paper) => boolean, matching
+ *   names as the same person ("Abel, T." and "Abel, Tom"); author terms also
+ *   match as substrings of the author list
+ * @param {Map<number, string[]>} [context.collections] - paper_id -> collection names
+ * @param {Set<number>} [context.pdfPaperIds] - Papers with a PDF in paper_files
+ * @param {Date} [context.now] - Reference time for relative dates
+ * @returns {boolean}
+ */
+export function matchesQuery(ast, paper, context = {}) {
+  if (!ast) return true;
+  switch (ast.type) {
+    case 'and':
+      return ast.children.every(child => matchesQuery(child, paper, context));
+    case 'or':
+      return ast.children.some(child => matchesQuery(child, paper, context));
+    case 'not':
+      return !matchesQuery(ast.child, paper, context);
+    case 'field':
+      return matchField(ast, paper, context);
+    case 'text':
+      if (context.matchText) return context.matchText(ast, paper);
+      return [paper.title, (paper.authors || []).join('; '), paper.abstract]
+        .some(text => (text || '').toLowerCase().includes(ast.value.toLowerCase()));
+    default:
+      return false;
+  }
+}
@@ -118,7 +118,7 @@ function adsRequest(endpoint, method, token, body = null) {
  * @returns {Promise<{docs: ADSDocument[], numFound: number}>} Search results
  */
 async function search(token, query, options = {}) {
-  const fields = options.fields || 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count';
+  const fields = options.fields || 'bibcode,title,author,year,doi,abstract,keyword,pub,identifier,arxiv_class,citation_count,aff,orcid_pub';
   const rows = options.rows || 25;
   const start = options.start || 0;
 
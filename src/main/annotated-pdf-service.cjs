@@ -0,0 +1,208 @@
+// Bibliac - Annotated PDF Export
+// Writes a paper's highlights and notes into its PDF as standard annotation
+// objects, so any PDF reader shows them
+
+const {
+  PDFDocument,
+  PDFHexString,
+  PDFString,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  setGraphicsState,
+  setFillingRgbColor,
+  moveTo,
+  lineTo,
+  closePath,
+  fill
+} = require('pdf-lib');
+
+const DEFAULT_COLOR = '#ffeb3b';
+const NOTE_ICON_SIZE = 20;
+const NOTE_MARGIN = 12;
+
+// Annotation flag: print with the page
+const FLAG_PRINT = 4;
+
+/**
+ * Map a point given as fractions of the page as the viewer displays it
+ * (origin top-left, after rotation) to PDF user space
+ * @param {number} fx - Fraction of the displayed width
+ * @param {number} fy - Fraction of the displayed height
+ * @param {{x: number, y: number, width: number, height: number}} box - Crop box
+ * @param {number} rotation - Clockwise display rotation in degrees
+ * @returns {[number, number]}
+ */
+function toPdfPoint(fx, fy, box, rotation) {
+  const { x, y, width, height } = box;
+  switch (rotation) {
+    case 90: return [x + fy * width, y + fx * height];
+    case 180: return [x + width - fx * width, y + fy * height];
+    case 270: return [x + width - fy * width, y + height - fx * height];
+    default: return [x + fx * width, y + height - fy * height];
+  }
+}
+
+function parseColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '') || /^#?([0-9a-f]{6})$/i.exec(DEFAULT_COLOR);
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255];
+}
+
+// created_at is ISO, or "YYYY-MM-DD HH:MM:SS" (UTC) from the column default
+function parseTimestamp(value) {
+  if (!value) return new Date();
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date) ? new Date() : date;
+}
+
+function isAnchorNote(annotation) {
+  const rects = annotation.selection_rects || [];
+  return !annotation.selection_text && rects.length === 1 &&
+    (rects[0].isAnchor || (rects[0].width === 0 && rects[0].height === 0));
+}
+
+function markupFields(annotation, author) {
+  const fields = {
+    Type: 'Annot',
+    F: FLAG_PRINT,
+    NM: PDFString.of(`bibliac-${annotation.id}`),
+    T: PDFHexString.fromText(author || ''),
+    CreationDate: PDFString.fromDate(parseTimestamp(annotation.created_at)),
+    M: PDFString.fromDate(parseTimestamp(annotation.updated_at || annotation.created_at)),
+    C: parseColor(annotation.color)
+  };
+  if (annotation.note_content?.trim()) {
+    fields.Contents = PDFHexString.fromText(annotation.note_content);
+  }
+  return fields;
+}
+
+/**
+ * Highlight annotation over the selection's rects, with an appearance
+ * stream so readers that don't generate one still draw it
+ */
+function createHighlight(pdfDoc, annotation, box, rotation, author) {
+  const quadPoints = [];
+  for (const rect of annotation.selection_rects) {
+    const { x, y, width, height } = rect;
+    // Upper-left, upper-right, lower-left, lower-right as displayed
+    quadPoints.push(
+      ...toPdfPoint(x, y, box, rotation),
+      ...toPdfPoint(x + width, y, box, rotation),
+      ...toPdfPoint(x, y + height, box, rotation),
+      ...toPdfPoint(x + width, y + height, box, rotation)
+    );
+  }
+
+  const xs = quadPoints.filter((_, i) => i % 2 === 0);
+  const ys = quadPoints.filter((_, i) => i % 2 === 1);
+  const bounds = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  const [r, g, b] = parseColor(annotation.color);
+
+  const operators = [pushGraphicsState(), setGraphicsState('GS0'), setFillingRgbColor(r, g, b)];
+  for (let i = 0; i < quadPoints.length; i += 8) {
+    const q = quadPoints.slice(i, i + 8);
+    operators.push(moveTo(q[0], q[1]), lineTo(q[2], q[3]), lineTo(q[6], q[7]), lineTo(q[4], q[5]), closePath(), fill());
+  }
+  operators.push(popGraphicsState());
+
+  const appearance = pdfDoc.context.formXObject(operators, {
+    BBox: bounds,
+    Resources: { ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply' } } }
+  });
+
+  return pdfDoc.context.obj({
+    ...markupFields(annotation, author),
+    Subtype: 'Highlight',
+    Rect: bounds,
+    QuadPoints: quadPoints,
+    AP: { N: pdfDoc.context.register(appearance) }
+  });
+}
+
+/**
+ * Sticky note at the anchor point, or at the page's top-left corner for
+ * general notes
+ */
+function createNote(pdfDoc, annotation, box, rotation, author) {
+  const sideways = rotation === 90 || rotation === 270;
+  const displayWidth = sideways ? box.height : box.width;
+  const displayHeight = sideways ? box.width : box.height;
+
+  const anchor = annotation.selection_rects?.[0];
+  const fx = anchor ? anchor.x : NOTE_MARGIN / displayWidth;
+  const fy = anchor ? anchor.y : NOTE_MARGIN / displayHeight;
+
+  // Icon with its displayed top-left corner on the anchor
+  const [x1, y1] = toPdfPoint(fx, fy, box, rotation);
+  const [x2, y2] = toPdfPoint(fx + NOTE_ICON_SIZE / displayWidth, fy + NOTE_ICON_SIZE / displayHeight, box, rotation);
+
+  return pdfDoc.context.obj({
+    ...markupFields(annotation, author),
+    Subtype: 'Text',
+    Name: 'Comment',
+    Open: false,
+    Rect: [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)]
+  });
+}
+
+/**
+ * Add annotations to a loaded PDF and rotate its pages as the viewer shows them
+ * @param {PDFDocument} pdfDoc
+ * @param {import('../lib/types.js').Annotation[]} annotations - selection_rects
+ *   parsed, as fractions of the displayed page
+ * @param {Object} [options]
+ * @param {Object<number, number>} [options.rotations] - By page number, from
+ *   getPageRotations(); the viewer shows other pages unrotated
+ * @param {string} [options.author] - Written as each annotation's author
+ * @returns {number} Number of annotations written
+ */
+function addAnnotationsToPdf(pdfDoc, annotations, options = {}) {
+  const { rotations = {}, author = '' } = options;
+  const pages = pdfDoc.getPages();
+
+  pages.forEach((page, index) => {
+    const rotation = rotations[index + 1] || 0;
+    if (page.getRotation().angle !== rotation) page.setRotation(degrees(rotation));
+  });
+
+  let written = 0;
+  for (const annotation of annotations) {
+    const page = pages[(annotation.page_number || 1) - 1];
+    if (!page) continue;
+
+    const box = page.getCropBox();
+    const rotation = rotations[annotation.page_number || 1] || 0;
+    const hasNote = Boolean(annotation.note_content?.trim());
+
+    let dict = null;
+    if (isAnchorNote(annotation) || !annotation.selection_rects?.length) {
+      if (hasNote) dict = createNote(pdfDoc, annotation, box, rotation, author);
+    } else {
+      dict = createHighlight(pdfDoc, annotation, box, rotation, author);
+    }
+
+    if (dict) {
+      page.node.addAnnot(pdfDoc.context.register(dict));
+      written++;
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Copy of a PDF with the annotations written in
+ * @param {Uint8Array|Buffer} pdfBytes
+ * @param {import('../lib/types.js').Annotation[]} annotations
+ * @param {Object} [options] - As for addAnnotationsToPdf
+ * @returns {Promise<{bytes: Uint8Array, count: number}>}
+ */
+async function exportAnnotatedPdf(pdfBytes, annotations, options = {}) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const count = addAnnotationsToPdf(pdfDoc, annotations, options);
+  return { bytes: await pdfDoc.save(), count };
+}
+
+module.exports = { addAnnotationsToPdf, exportAnnotatedPdf, toPdfPoint };
@@ -92,6 +92,44 @@ function paperToBibtex(paper) {
   return lines.join('\n');
 }
 
+// Merge keywords (e.g. user tags) into an entry's keywords field, adding it if missing
+function addBibtexKeywords(entry, keywords) {
+  if (!entry || !keywords || keywords.length === 0) return entry;
+
+  const field = entry.match(/\bkeywords\s*=\s*([{"])/i);
+  if (field) {
+    const start = field.index + field[0].length;
+    let end = start;
+    if (field[1] === '{') {
+      let depth = 1;
+      while (end < entry.length) {
+        if (entry[end] === '{') depth++;
+        else if (entry[end] === '}' && --depth === 0) break;
+        end++;
+      }
+    } else {
+      end = entry.indexOf('"', start);
+      if (end === -1) return entry;
+    }
+
+    const existing = entry.slice(start, end);
+    const present = new Set(existing.split(',').map(k => k.trim().toLowerCase()));
+    const added = keywords.filter(k => !present.has(k.toLowerCase()));
+    if (added.length === 0) return entry;
+
+    const value = [existing.trim(), ...added.map(escapeLatex)].filter(Boolean).join(', ');
+    return entry.slice(0, start) + value + entry.slice(end);
+  }
+
+  // No keywords field: insert one right after "@type{key,"
+  const header = entry.match(/@\w+\s*\{[^,]*,/);
+  if (!header) return entry;
+  const insertAt = header.index + header[0].length;
+  return entry.slice(0, insertAt) +
+    `\n  keywords = {${keywords.map(escapeLatex).join(', ')}},` +
+    entry.slice(insertAt);
+}
+
 // Escape special LaTeX characters
 function escapeLatex(str) {
   if (!str) return '';
@@ -219,7 +257,7 @@ function updateMasterBib(libraryPath, papers) {
   return bibPath;
 }
 
-// Export selected papers to a separate .bib file
+// Export selected papers to a separate .bib file, with tags as keywords
 function exportBibtex(papers, outputPath) {
   const header = `% BibTeX export from Bibliac
 % Exported: ${new Date().toISOString()}
@@ -228,7 +266,7 @@ function exportBibtex(papers, outputPath) {
 `;
 
   const entries = papers
-    .map(paper => paperToBibtex(paper))
+    .map(paper => addBibtexKeywords(paperToBibtex(paper), paper.tags))
     .join('\n\n');
 
   fs.writeFileSync(outputPath, header + entries + '\n');
@@ -439,5 +477,6 @@ module.exports = {
   exportBibtex,
   getCiteCommand,
   getMultiCiteCommand,
+  addBibtexKeywords,
   importBibtex
 };
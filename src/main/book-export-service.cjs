@@ -5,17 +5,20 @@
 
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 const fs = require('fs');
+const { addAnnotationsToPdf } = require('./annotated-pdf-service.cjs');
 
 /**
  * Export selected papers as a merged PDF book
  * @param {Object} options
- * @param {Array} options.papers - Papers to include with pdfPath, title, authors, year, abstract, bibtex
+ * @param {Array} options.papers - Papers to include with pdfPath, title, authors, year, abstract, bibtex,
+ *   and, to write them into the paper's pages, annotations and rotations
  * @param {string} options.bookTitle - Title for the book
+ * @param {string} [options.author] - Author of the written annotations
  * @param {Function} options.onProgress - Progress callback (phase, current, total)
  * @returns {Promise<Uint8Array>} The merged PDF as bytes
  */
 async function exportBook(options) {
-  const { papers, bookTitle, onProgress } = options;
+  const { papers, bookTitle, author, onProgress } = options;
 
   // Create temp document to merge PDFs first
   const contentPdf = await PDFDocument.create();
@@ -40,6 +43,9 @@ async function exportBook(options) {
       try {
         const pdfBytes = fs.readFileSync(paper.pdfPath);
         const sourcePdf = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+        if (paper.annotations) {
+          addAnnotationsToPdf(sourcePdf, paper.annotations, { rotations: paper.rotations, author });
+        }
         const copiedPages = await contentPdf.copyPages(sourcePdf, sourcePdf.getPageIndices());
         copiedPages.forEach(page => contentPdf.addPage(page));
         currentPage += copiedPages.length;
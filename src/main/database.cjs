@@ -4,8 +4,8 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
-const { applySchema } = require('../shared/database-schema.cjs');
-const { applySchemaV2 } = require('../lib/database/schema-v2.cjs');
+const { pathToFileURL } = require('url');
+const searchIndex = require('../lib/database/search-index.cjs');
 
 /**
  * @typedef {Object} Paper
@@ -31,572 +31,829 @@ const { applySchemaV2 } = require('../lib/database/schema-v2.cjs');
  * @property {boolean} [is_indexed] - Has embeddings (computed)
  * @property {number} [annotation_count] - Number of annotations (computed)
  * @property {number} [citation_count] - Number of citing papers (computed)
+ * @property {string[]} [tags] - Full tag paths, e.g. "methods/mcmc"
  */
 
 /**
  * @typedef {Object} GetAllPapersOptions
  * @property {string} [readStatus] - Filter by read status
+ * @property {number} [collectionId] - Only papers in this (regular) collection
+ * @property {string} [tag] - Only papers with this tag or a tag nested under it
  * @property {string} [search] - Search term for title/authors/abstract
- * @property {string} [orderBy] - Column to sort by (default: "added_date")
- * @property {string} [order] - Sort direction: "ASC" or "DESC" (default: "DESC")
+ * @property {string} [trash] - "exclude" papers in the Trash (default), "only" list the Trash, or "include" both
+ * @property {string} [orderBy] - Sort field: added, title, author, year, journal, rating, citations, bibcode (default: "added")
+ * @property {string} [order] - Sort direction: "asc" or "desc", any case (default: "desc")
  * @property {number} [limit] - Maximum number of results
  */
 
+/**
+ * @typedef {Object} PaperPage
+ * @property {Paper[]} papers - Papers in this page
+ * @property {number} total - Papers matching the filters across all pages
+ * @property {number} offset - Offset of the first paper in this page
+ */
+
 /**
  * @typedef {Object} SearchResult
  * @property {Paper} paper - The matching paper
  * @property {number} matchCount - Relevance score
- * @property {string} matchSource - Where match was found: "title", "authors", "abstract", "fulltext", "field"
- * @property {string} context - Snippet showing match context
+ * @property {string} matchSource - Where match was found: "title", "authors", "abstract", "keywords", "fulltext", "notes", "field"
+ * @property {string} context - HTML snippet showing match context, matches wrapped in <mark>
+ * @property {number|null} page - PDF page of the match, for full-text matches in paged text
  */
 
 let db = null;
 let dbPath = null;
+let libraryRoot = null;
 let SQL = null;
 
-// Initialize sql.js and load/create database
-async function initDatabase(libraryPath) {
+// The shared database core (see lib/database/database-manager.js); db is its sql.js database
+let core = null;
+let databaseCore = null;
+
+// Schema migrations, library merging, snapshots, plugin data and
+// recommendations (ES modules, see lib/database/)
+let schemaMigrations = null;
+let libraryMerge = null;
+let snapshots = null;
+let pluginData = null;
+let recommendations = null;
+
+// Library query language (ES module, see lib/search/query-parser.js)
+let queryParser = null;
+
+// Full-text search index (separate database, see lib/database/search-index.cjs)
+let searchDb = null;
+let searchDbPath = null;
+let searchSaveTimer = null;
+const SEARCH_INDEX_SAVE_DELAY = 2000;
+
+// "Papers you're missing" index over cached references (see lib/database/recommendations.js)
+let recommendationIndex = null;
+
+// Load sql.js and the shared ES modules
+async function loadModules() {
   if (!SQL) {
     SQL = await initSqlJs();
   }
 
-  dbPath = path.join(libraryPath, 'library.sqlite');
+  if (!databaseCore) {
+    databaseCore = await import(pathToFileURL(path.join(__dirname, '../lib/database/database-manager.js')).href);
+  }
+  if (!schemaMigrations) {
+    schemaMigrations = await import(pathToFileURL(path.join(__dirname, '../lib/database/migrations.js')).href);
+  }
+  if (!libraryMerge) {
+    libraryMerge = await import(pathToFileURL(path.join(__dirname, '../lib/database/library-merge.js')).href);
+  }
+  if (!snapshots) {
+    snapshots = await import(pathToFileURL(path.join(__dirname, '../lib/database/snapshots.js')).href);
+  }
+  if (!pluginData) {
+    pluginData = await import(pathToFileURL(path.join(__dirname, '../lib/database/plugin-data.js')).href);
+  }
+  if (!recommendations) {
+    recommendations = await import(pathToFileURL(path.join(__dirname, '../lib/database/recommendations.js')).href);
+  }
+  if (!queryParser) {
+    queryParser = await import(pathToFileURL(path.join(__dirname, '../lib/search/query-parser.js')).href);
+  }
+}
+
+// Initialize sql.js and load/create database
+async function initDatabase(libraryPath) {
+  await loadModules();
+
+  const libraryDbPath = path.join(libraryPath, 'library.sqlite');
 
   // Load existing database or create new one
-  if (fs.existsSync(dbPath) && fs.statSync(dbPath).size > 0) {
-    const fileBuffer = fs.readFileSync(dbPath);
-    db = new SQL.Database(fileBuffer);
-    // Ensure all tables exist (for migrations)
-    createSchema();
-    saveDatabase();
-  } else {
-    db = new SQL.Database();
-    createSchema();
-    saveDatabase();
+  const fileBuffer = fs.existsSync(libraryDbPath) && fs.statSync(libraryDbPath).size > 0
+    ? fs.readFileSync(libraryDbPath)
+    : null;
+
+  // Opening brings the schema up to date, first backing up the file as it was
+  // read (library-backup-v<version>-<timestamp>.sqlite). A library saved by a
+  // newer app version is refused here, before anything could write it back.
+  const opened = databaseCore.createDatabaseManager({
+    initSqlJs: () => SQL,
+    load: () => fileBuffer,
+    save: data => fs.writeFileSync(libraryDbPath, Buffer.from(data)),
+    backup: (bytes, version) => {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(libraryPath, `library-backup-v${version}-${timestamp}.sqlite`);
+      fs.writeFileSync(backupPath, fileBuffer || Buffer.from(bytes));
+      console.log(`[migrations] Backed up library to ${path.basename(backupPath)}`);
+    }
+  });
+  const { from, applied, linkedAuthors } = await opened.init();
+  if (applied.length > 0) {
+    console.log(`[migrations] Migrated schema from version ${from} to ${applied[applied.length - 1]}`);
   }
+  if (linkedAuthors > 0) console.log(`[authors] Linked authors of ${linkedAuthors} papers`);
 
-  return true;
-}
+  core = opened;
+  db = core.db;
+  dbPath = libraryDbPath;
+  libraryRoot = libraryPath;
+  saveDatabase();
 
-// Create database schema using shared definition
-function createSchema() {
-  applySchema(db);
-  // Apply V2 schema (plugin data tables: paper_sources, paper_references, paper_citations)
-  applySchemaV2(db);
+  openSearchIndex(libraryPath);
+  recommendationIndex = new recommendations.RecommendationIndex(db);
+
+  return true;
 }
 
 // Save database to file
 function saveDatabase() {
-  if (db && dbPath) {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
+  if (core && dbPath) {
+    core.save();
   }
 }
 
 // Close database
 function closeDatabase() {
-  if (db) {
+  closeSearchIndex();
+  if (core) {
     saveDatabase();
-    db.close();
+    core.close();
+    core = null;
     db = null;
   }
 }
 
-// Paper operations
+// ═══════════════════════════════════════════════════════════════════════════
+// LIBRARY MERGE (see lib/database/library-merge.js)
+// ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Add a new paper to the database
- * @param {Partial<Paper>} paper - Paper data (id, added_date, modified_date are auto-generated)
- * @returns {number} The ID of the newly created paper
+ * Load a library file into memory at the current schema version
+ * @param {string} filePath
+ * @returns {Promise<Object>} sql.js database
  */
-function addPaper(paper) {
-  const now = new Date().toISOString();
-  // Note: pdf_path column is deprecated - use paper_files table instead
-  const stmt = db.prepare(`
-    INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal,
-                        abstract, keywords, text_path, bibtex,
-                        read_status, added_date, modified_date, import_source, import_source_key, citation_count, available_sources)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  stmt.run([
-    paper.bibcode || null,
-    paper.doi || null,
-    paper.arxiv_id || null,
-    paper.title || 'Untitled',
-    JSON.stringify(paper.authors || []),
-    paper.year || null,
-    paper.journal || null,
-    paper.abstract || null,
-    JSON.stringify(paper.keywords || []),
-    paper.text_path || null,
-    paper.bibtex || null,
-    paper.read_status || 'unread',
-    now,
-    now,
-    paper.import_source || null,
-    paper.import_source_key || null,
-    paper.citation_count || 0,
-    paper.available_sources || null
-  ]);
-  stmt.free();
-
-  saveDatabase();
-
-  // Return the inserted paper with ID
-  const result = db.exec(`SELECT last_insert_rowid() as id`);
-  return result[0].values[0][0];
+async function openLibraryCopy(filePath) {
+  const copy = new SQL.Database(fs.readFileSync(filePath));
+  try {
+    await schemaMigrations.runMigrations(copy);
+  } catch (error) {
+    copy.close();
+    throw error;
+  }
+  return copy;
 }
 
-// Bulk insert papers for fast .bib import - no intermediate saves
-// Note: pdf_path column is deprecated - use paper_files table instead
-function addPapersBulk(papers, progressCallback = null) {
-  const now = new Date().toISOString();
-  const inserted = [];
-  const skipped = [];
-
-  const stmt = db.prepare(`
-    INSERT INTO papers (bibcode, doi, arxiv_id, title, authors, year, journal,
-                        abstract, keywords, text_path, bibtex,
-                        read_status, added_date, modified_date, import_source, import_source_key, citation_count, available_sources)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `);
-
-  for (let i = 0; i < papers.length; i++) {
-    const paper = papers[i];
-
-    // Check for duplicates by DOI, arXiv ID, or title+year
-    let isDuplicate = false;
-
-    if (paper.doi) {
-      const existing = db.exec(`SELECT id FROM papers WHERE doi = ?`, [paper.doi]);
-      if (existing.length > 0 && existing[0].values.length > 0) {
-        isDuplicate = true;
-      }
-    }
-
-    if (!isDuplicate && paper.arxiv_id) {
-      const existing = db.exec(`SELECT id FROM papers WHERE arxiv_id = ?`, [paper.arxiv_id]);
-      if (existing.length > 0 && existing[0].values.length > 0) {
-        isDuplicate = true;
-      }
-    }
+/**
+ * Merge a conflicting copy of a library file into another, in memory. The
+ * files are only read; the caller writes the result.
+ * @param {Object} options
+ * @param {string} options.mainPath - This device's library.sqlite
+ * @param {string} options.conflictPath - The other device's copy
+ * @param {string|null} [options.basePath] - The result of the last merge;
+ *   without it, or if either copy doesn't descend from it, nothing is
+ *   treated as removed
+ * @param {Object<string, 'ours'|'theirs'>} [options.resolutions] - Choice per conflict id
+ * @returns {Promise<{conflicts: Object[], stats: Object, threeWay: boolean, data: Uint8Array}>}
+ *   The conflicts found, what changed, whether the base was used, and the
+ *   merged library file
+ * @throws {SchemaVersionError} If either copy is newer than this app
+ */
+async function mergeLibraryFiles({ mainPath, conflictPath, basePath = null, resolutions = {} }) {
+  await loadModules();
 
-    if (!isDuplicate && paper.title && paper.year) {
-      const existing = db.exec(`SELECT id FROM papers WHERE title = ? AND year = ?`, [paper.title, paper.year]);
-      if (existing.length > 0 && existing[0].values.length > 0) {
-        isDuplicate = true;
-      }
-    }
+  const opened = [];
+  try {
+    const ours = await openLibraryCopy(mainPath);
+    opened.push(ours);
+    const theirs = await openLibraryCopy(conflictPath);
+    opened.push(theirs);
+    const base = basePath && fs.existsSync(basePath) ? await openLibraryCopy(basePath) : null;
+    if (base) opened.push(base);
+
+    const { conflicts, stats, threeWay } = libraryMerge.mergeLibraries(ours, theirs, base, resolutions);
+    return { conflicts, stats, threeWay, data: ours.export() };
+  } finally {
+    opened.forEach(copy => copy.close());
+  }
+}
 
-    if (isDuplicate) {
-      skipped.push({ paper, reason: 'duplicate' });
-    } else {
-      try {
-        stmt.run([
-          paper.bibcode || null,
-          paper.doi || null,
-          paper.arxiv_id || null,
-          paper.title || 'Untitled',
-          JSON.stringify(paper.authors || []),
-          paper.year || null,
-          paper.journal || null,
-          paper.abstract || null,
-          JSON.stringify(paper.keywords || []),
-          paper.text_path || null,
-          paper.bibtex || null,
-          paper.read_status || 'unread',
-          now,
-          now,
-          paper.import_source || null,
-          paper.import_source_key || null,
-          paper.citation_count || 0,
-          paper.available_sources || null
-        ]);
-        stmt.reset();
-
-        const result = db.exec(`SELECT last_insert_rowid() as id`);
-        inserted.push({ id: result[0].values[0][0], title: paper.title });
-      } catch (e) {
-        skipped.push({ paper, reason: e.message });
-      }
-    }
+// ═══════════════════════════════════════════════════════════════════════════
+// SNAPSHOTS (see lib/database/snapshots.js)
+// ═══════════════════════════════════════════════════════════════════════════
 
-    // Report progress every 10 entries
-    if (progressCallback && (i + 1) % 10 === 0) {
-      progressCallback({
-        current: i + 1,
-        total: papers.length,
-        inserted: inserted.length,
-        skipped: skipped.length
-      });
-    }
+/**
+ * Count what a snapshot file holds
+ * @param {string} filePath
+ * @returns {Promise<Object>} See snapshots.getSnapshotStats
+ * @throws {SchemaVersionError} If the snapshot is newer than this app
+ */
+async function getSnapshotStats(filePath) {
+  const snapshot = await openLibraryCopy(filePath);
+  try {
+    return snapshots.getSnapshotStats(snapshot);
+  } finally {
+    snapshot.close();
   }
+}
 
-  stmt.free();
+/**
+ * List the papers in a snapshot file, compared with the open library
+ * @param {string} filePath
+ * @returns {Promise<Object[]>} See snapshots.getSnapshotPapers
+ */
+async function getSnapshotPapers(filePath) {
+  const snapshot = await openLibraryCopy(filePath);
+  try {
+    return snapshots.getSnapshotPapers(snapshot, db);
+  } finally {
+    snapshot.close();
+  }
+}
 
-  // Single save at the end
+/**
+ * Bring papers back from a snapshot file into the open library
+ * @param {string} filePath
+ * @param {number[]} paperIds - Paper ids in the snapshot
+ * @returns {Promise<{paperIds: number[], stats: Object}>} The restored
+ *   papers' ids in the library and what changed per table
+ */
+async function restorePapersFromSnapshot(filePath, paperIds) {
+  const snapshot = await openLibraryCopy(filePath);
+  let restored;
+  try {
+    restored = snapshots.restoreSnapshotPapers(db, snapshot, paperIds);
+  } finally {
+    snapshot.close();
+  }
   saveDatabase();
+  for (const id of restored.paperIds) {
+    reindexPaper(id);
+    recommendationIndex?.invalidate(id);
+  }
+  return restored;
+}
 
-  return { inserted, skipped };
+/**
+ * Every annotation in the library, grouped by paper, for the JSON kept next
+ * to a snapshot
+ * @returns {Object}
+ */
+function exportAnnotations() {
+  return snapshots.exportAnnotations(db);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// FULL-TEXT SEARCH INDEX
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Update paper fields
- * @param {number} id - Paper ID
- * @param {Partial<Paper>} updates - Fields to update (authors/keywords can be arrays)
- * @param {boolean} [save=true] - Whether to save database immediately
+ * Open (or create) the search index and bring it up to date with the library.
+ * Index failures are logged but never block opening the library.
+ * @param {string} libraryPath - Path to library folder
  */
-function updatePaper(id, updates, save = true) {
-  const fields = [];
-  const values = [];
+function openSearchIndex(libraryPath) {
+  closeSearchIndex();
+  searchDbPath = path.join(libraryPath, 'search-index.sqlite');
 
-  for (const [key, value] of Object.entries(updates)) {
-    if (key === 'authors' || key === 'keywords') {
-      fields.push(`${key} = ?`);
-      values.push(JSON.stringify(value));
+  try {
+    if (fs.existsSync(searchDbPath) && fs.statSync(searchDbPath).size > 0) {
+      searchDb = new SQL.Database(fs.readFileSync(searchDbPath));
     } else {
-      fields.push(`${key} = ?`);
-      values.push(value);
+      searchDb = new SQL.Database();
     }
+  } catch (e) {
+    console.warn('[search-index] Could not load index, rebuilding:', e.message);
+    searchDb = new SQL.Database();
   }
 
-  fields.push('modified_date = ?');
-  values.push(new Date().toISOString());
-  values.push(id);
+  try {
+    const needsRebuild = searchIndex.applySearchIndexSchema(searchDb);
+    if (needsRebuild) {
+      searchDb.run('DELETE FROM papers_fts');
+      searchDb.run('DELETE FROM indexed_papers');
+    }
+    syncSearchIndex();
+  } catch (e) {
+    console.error('[search-index] Failed to open index:', e.message);
+    searchDb = null;
+  }
+}
 
-  db.run(`UPDATE papers SET ${fields.join(', ')} WHERE id = ?`, values);
-  if (save) saveDatabase();
+/**
+ * Flush pending index writes and close the index
+ */
+function closeSearchIndex() {
+  if (searchSaveTimer) {
+    clearTimeout(searchSaveTimer);
+    searchSaveTimer = null;
+  }
+  if (searchDb) {
+    saveSearchIndex();
+    searchDb.close();
+    searchDb = null;
+  }
 }
 
-function deletePaper(id, save = true) {
-  db.run(`DELETE FROM paper_collections WHERE paper_id = ?`, [id]);
-  db.run(`DELETE FROM papers WHERE id = ?`, [id]);
-  if (save) saveDatabase();
+function saveSearchIndex() {
+  if (!searchDb || !searchDbPath) return;
+  try {
+    fs.writeFileSync(searchDbPath, Buffer.from(searchDb.export()));
+  } catch (e) {
+    console.warn('[search-index] Failed to save index:', e.message);
+  }
 }
 
-function getPaper(id) {
-  const stmt = db.prepare(`SELECT * FROM papers WHERE id = ?`);
-  stmt.bind([id]);
+// Index writes are frequent (every annotation edit), so batch them into one save
+function scheduleSearchIndexSave() {
+  if (searchSaveTimer) return;
+  searchSaveTimer = setTimeout(() => {
+    searchSaveTimer = null;
+    saveSearchIndex();
+  }, SEARCH_INDEX_SAVE_DELAY);
+  searchSaveTimer.unref?.();
+}
 
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    return parsePaperRow(row);
+/**
+ * Latest annotation change per paper, used in index signatures
+ * @param {number} [paperId] - Limit to one paper
+ * @returns {Map<number, string>} paper_id -> "<count>:<latest timestamp>"
+ */
+function getAnnotationStamps(paperId = null) {
+  const stamps = new Map();
+  const results = db.exec(`
+    SELECT paper_id, COUNT(*) || ':' || MAX(COALESCE(updated_at, created_at))
+    FROM annotations
+    ${paperId !== null ? 'WHERE paper_id = ?' : ''}
+    GROUP BY paper_id
+  `, paperId !== null ? [paperId] : []);
+  if (results.length === 0) return stamps;
+  for (const [id, stamp] of results[0].values) {
+    stamps.set(id, stamp);
   }
-  stmt.free();
-  return null;
+  return stamps;
 }
 
-function getPaperByBibcode(bibcode) {
-  const stmt = db.prepare(`SELECT * FROM papers WHERE bibcode = ?`);
-  stmt.bind([bibcode]);
+/**
+ * Read the extracted text for a paper, from papers.text_path or a paper_files record
+ * @param {Object} paper - Paper row
+ * @returns {string}
+ */
+function readPaperText(paper) {
+  if (!libraryRoot) return '';
+
+  let textPath = paper.text_path;
+  if (!textPath) {
+    const results = db.exec(`
+      SELECT text_path FROM paper_files
+      WHERE paper_id = ? AND text_path IS NOT NULL
+      ORDER BY added_date DESC LIMIT 1
+    `, [paper.id]);
+    textPath = results[0]?.values[0]?.[0] || null;
+  }
+  if (!textPath) return '';
 
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    return parsePaperRow(row);
+  try {
+    const textFile = path.join(libraryRoot, textPath);
+    return fs.existsSync(textFile) ? fs.readFileSync(textFile, 'utf-8') : '';
+  } catch (e) {
+    return '';
   }
-  stmt.free();
-  return null;
+}
+
+function indexPaperRow(paper, notesStamp) {
+  searchIndex.indexPaper(searchDb, paper, {
+    fullText: readPaperText(paper),
+    annotations: getAnnotations(paper.id),
+    signature: searchIndex.paperSignature(paper, notesStamp)
+  });
 }
 
 /**
- * Get all papers with optional filtering and sorting
- * @param {GetAllPapersOptions} [options={}] - Query options
- * @returns {Paper[]} Array of papers with computed fields (is_indexed, annotation_count, citation_count)
+ * Re-index a single paper after it (or its notes) changed
+ * @param {number} paperId
  */
-function getAllPapers(options = {}) {
-  // Note: citation_count comes from p.citation_count (stored from ADS metadata)
-  // not from counting citations table rows (which may only have 50 entries)
-  let query = `
-    SELECT p.*,
-      (SELECT COUNT(*) FROM text_embeddings e WHERE e.paper_id = p.id) > 0 AS is_indexed,
-      (SELECT COUNT(*) FROM annotations a WHERE a.paper_id = p.id) AS annotation_count
-    FROM papers p`;
-  const conditions = [];
-  const values = [];
-
-  if (options.readStatus) {
-    conditions.push(`p.read_status = ?`);
-    values.push(options.readStatus);
+function reindexPaper(paperId) {
+  if (!searchDb || paperId === null || paperId === undefined) return;
+  try {
+    const paper = getPaper(paperId);
+    if (paper && !paper.deleted_at) {
+      indexPaperRow(paper, getAnnotationStamps(paperId).get(paperId));
+    } else {
+      searchIndex.removeFromIndex(searchDb, paperId);
+    }
+    scheduleSearchIndexSave();
+  } catch (e) {
+    console.warn(`[search-index] Failed to index paper ${paperId}:`, e.message);
   }
+}
 
-  if (options.search) {
-    conditions.push(`(p.title LIKE ? OR p.authors LIKE ? OR p.abstract LIKE ?)`);
-    const searchTerm = `%${options.search}%`;
-    values.push(searchTerm, searchTerm, searchTerm);
+function removeFromSearchIndex(paperId) {
+  if (!searchDb) return;
+  try {
+    searchIndex.removeFromIndex(searchDb, paperId);
+    scheduleSearchIndexSave();
+  } catch (e) {
+    console.warn(`[search-index] Failed to remove paper ${paperId}:`, e.message);
   }
+}
 
-  if (conditions.length > 0) {
-    query += ` WHERE ${conditions.join(' AND ')}`;
+/**
+ * Bring the index in line with the library: index new or changed papers
+ * (including changes synced from another device) and drop deleted ones.
+ * @returns {{indexed: number, removed: number}}
+ */
+function syncSearchIndex() {
+  if (!searchDb || !db) return { indexed: 0, removed: 0 };
+
+  const indexed = searchIndex.getIndexedSignatures(searchDb);
+  const stamps = getAnnotationStamps();
+  const results = db.exec('SELECT * FROM papers WHERE deleted_at IS NULL');
+  const seen = new Set();
+  let indexedCount = 0;
+  let removedCount = 0;
+
+  if (results.length > 0) {
+    const columns = results[0].columns;
+    for (const row of results[0].values) {
+      const obj = {};
+      columns.forEach((col, i) => obj[col] = row[i]);
+      const paper = parsePaperRow(obj);
+      seen.add(paper.id);
+
+      const signature = searchIndex.paperSignature(paper, stamps.get(paper.id));
+      if (indexed.get(paper.id) !== signature) {
+        indexPaperRow(paper, stamps.get(paper.id));
+        indexedCount++;
+      }
+    }
   }
 
-  query += ` ORDER BY ${options.orderBy || 'p.added_date'} ${options.order || 'DESC'}`;
+  for (const paperId of indexed.keys()) {
+    if (!seen.has(paperId)) {
+      searchIndex.removeFromIndex(searchDb, paperId);
+      removedCount++;
+    }
+  }
 
-  if (options.limit) {
-    query += ` LIMIT ${options.limit}`;
+  if (indexedCount > 0 || removedCount > 0) {
+    console.log(`[search-index] Indexed ${indexedCount} papers, removed ${removedCount}`);
+    saveSearchIndex();
   }
+  return { indexed: indexedCount, removed: removedCount };
+}
 
-  const results = db.exec(query, values);
-  if (results.length === 0) return [];
+/**
+ * Drop and rebuild the whole index
+ * @returns {{indexed: number, removed: number}}
+ */
+function rebuildSearchIndex() {
+  if (!searchDb) return { indexed: 0, removed: 0 };
+  searchDb.run('DELETE FROM papers_fts');
+  searchDb.run('DELETE FROM indexed_papers');
+  return syncSearchIndex();
+}
 
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    return parsePaperRow(obj);
-  });
+/**
+ * Index status for the UI
+ * @returns {{available: boolean, indexedCount: number}}
+ */
+function getSearchIndexStatus() {
+  if (!searchDb) return { available: false, indexedCount: 0 };
+  return { available: true, indexedCount: searchIndex.getIndexedCount(searchDb) };
 }
 
-// Parse field-specific search queries like "author:Smith year:2020 dark matter"
-function parseSearchQuery(query) {
-  const fields = {};
-  const generalTerms = [];
+// Paper operations
 
-  // Match field:value patterns (supports quoted values and comparison operators)
-  // Supports: author, year, title, bibcode, journal, source, status, rating, has, citations
-  const fieldPattern = /(author|year|title|bibcode|journal|source|status|rating|has|citations):("([^"]+)"|([<>=]*\S+))/gi;
-  let remaining = query;
-  let match;
+/**
+ * Add a new paper to the database
+ * @param {Partial<Paper>} paper - Paper data (id, added_date, modified_date are auto-generated)
+ * @returns {number} The ID of the newly created paper
+ */
+function addPaper(paper) {
+  const id = core.addPaper(paper);
+  saveDatabase();
+  reindexPaper(id);
+  return id;
+}
 
-  while ((match = fieldPattern.exec(query)) !== null) {
-    const field = match[1].toLowerCase();
-    const value = match[3] || match[4]; // Quoted or unquoted value
-    fields[field] = value.toLowerCase();
-    // Remove matched part from remaining
-    remaining = remaining.replace(match[0], '');
+// Bulk insert papers for fast .bib import - no intermediate saves
+function addPapersBulk(papers, progressCallback = null) {
+  const result = core.addPapersBulk(papers, progressCallback);
+
+  // Single save at the end
+  saveDatabase();
+
+  for (const { id } of result.inserted) {
+    reindexPaper(id);
   }
 
-  // Remaining text is general search terms
-  const generalText = remaining.trim();
-  if (generalText) {
-    generalTerms.push(generalText.toLowerCase());
+  return result;
+}
+
+/**
+ * Update paper fields. Metadata changes are recorded in the paper's edit
+ * history; locked fields are left alone unless the user makes the change.
+ * @param {number} id - Paper ID
+ * @param {Partial<Paper>} updates - Fields to update (authors/keywords can be
+ *   arrays). author_details (per author: affiliation, orcid, as from
+ *   adsToPaper) goes with authors into the paper's author links.
+ * @param {boolean} [save=true] - Whether to save database immediately
+ * @param {Object} [options]
+ * @param {string} [options.origin='user'] - Where the change comes from:
+ *   'user', 'ads-sync', 'llm-extract' or 'pdf-text'
+ * @returns {string[]} Locked fields that were not updated
+ */
+function updatePaper(id, updates, save = true, options = {}) {
+  const { fields, skipped } = core.updatePaper(id, updates, options);
+  if (fields.length === 0) return skipped;
+  if (save) saveDatabase();
+
+  if (fields.some(key => INDEXED_PAPER_FIELDS.includes(key))) {
+    reindexPaper(id);
+  }
+  if (fields.includes('rating') || fields.includes('year')) {
+    recommendationIndex?.invalidate(id);
   }
+  return skipped;
+}
+
+// Paper fields that feed the search index; other updates skip re-indexing
+const INDEXED_PAPER_FIELDS = ['title', 'authors', 'abstract', 'keywords', 'text_path'];
 
-  return { fields, generalTerms };
+/**
+ * Permanently delete a paper and everything attached to it. Does not touch
+ * files on disk; the IPC layer moves papers to the Trash instead.
+ * @param {number} id
+ * @param {boolean} [save=true]
+ */
+function deletePaper(id, save = true) {
+  purgePapers([id], save);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TRASH (see lib/database/trash.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Full-text search across papers, including PDF text files
- * Supports field-specific queries like "author:Smith year:2020 dark matter"
- * @param {string} searchTerm - Search query (supports field:value syntax)
- * @param {string} libraryPath - Path to library folder (for reading text files)
- * @returns {SearchResult[]} Results sorted by relevance (matchCount descending)
+ * Move papers to the Trash. They keep their files, notes, tags and collections.
+ * @param {number[]} ids
+ * @param {boolean} [save=true]
+ * @returns {number} Papers moved
  */
-function searchPapersFullText(searchTerm, libraryPath) {
-  console.log('searchPapersFullText called:', searchTerm, libraryPath);
-  const results = [];
-  const papers = getAllPapers();
-  console.log('Total papers in DB:', papers.length);
+function trashPapers(ids, save = true) {
+  const moved = core.trashPapers(ids);
+  if (save) saveDatabase();
+  for (const id of ids) {
+    removeFromSearchIndex(id);
+    recommendationIndex?.invalidate(id);
+  }
+  return moved;
+}
 
-  // Parse field-specific queries
-  const { fields, generalTerms } = parseSearchQuery(searchTerm);
-  const hasFieldFilters = Object.keys(fields).length > 0;
-  const searchLower = generalTerms.join(' ').toLowerCase();
+/**
+ * Take papers back out of the Trash
+ * @param {number[]} ids
+ * @returns {number} Papers restored
+ */
+function restorePapers(ids) {
+  const restored = core.restorePapers(ids);
+  saveDatabase();
+  for (const id of ids) {
+    reindexPaper(id);
+    recommendationIndex?.invalidate(id);
+  }
+  return restored;
+}
 
-  // Escape special regex characters for safe regex creation
-  const escapedTerm = searchLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  let searchRegex;
-  try {
-    searchRegex = escapedTerm ? new RegExp(escapedTerm, 'gi') : null;
-  } catch (e) {
-    // Fallback to simple string matching if regex fails
-    searchRegex = null;
+/**
+ * Permanently delete papers (usually from the Trash)
+ * @param {number[]} ids
+ * @param {boolean} [save=true]
+ * @returns {{papers: Object[], files: Object[]}} Deleted papers and the
+ *   paper_files records whose files are no longer used, to delete from disk
+ */
+function purgePapers(ids, save = true) {
+  const purged = core.purgePapers(ids);
+  if (save) saveDatabase();
+  for (const id of ids) {
+    removeFromSearchIndex(id);
+    recommendationIndex?.invalidate(id);
   }
+  return purged;
+}
 
-  for (const paper of papers) {
-    // First check field-specific filters
-    if (hasFieldFilters) {
-      let fieldMatch = true;
+function getTrashedPaperIds() {
+  return core.getTrashedPaperIds();
+}
 
-      if (fields.author) {
-        const authorsStr = (paper.authors?.join(' ') || '').toLowerCase();
-        if (!authorsStr.includes(fields.author)) fieldMatch = false;
-      }
-      if (fields.year && fieldMatch) {
-        const paperYear = String(paper.year || '');
-        if (!paperYear.includes(fields.year)) fieldMatch = false;
-      }
-      if (fields.title && fieldMatch) {
-        const titleLower = (paper.title || '').toLowerCase();
-        if (!titleLower.includes(fields.title)) fieldMatch = false;
-      }
-      if (fields.bibcode && fieldMatch) {
-        const bibcodeLower = (paper.bibcode || '').toLowerCase();
-        if (!bibcodeLower.includes(fields.bibcode)) fieldMatch = false;
-      }
-      if (fields.journal && fieldMatch) {
-        const journalLower = (paper.journal || '').toLowerCase();
-        if (!journalLower.includes(fields.journal)) fieldMatch = false;
-      }
-      if (fields.source && fieldMatch) {
-        const sourceLower = (paper.import_source || '').toLowerCase();
-        if (!sourceLower.includes(fields.source)) fieldMatch = false;
-      }
+/**
+ * Papers that have been in the Trash longer than the library's retention period
+ * @returns {number[]}
+ */
+function getExpiredTrashIds() {
+  return core.getExpiredTrashIds();
+}
 
-      // Status filter: status:unread, status:reading, status:read
-      if (fields.status && fieldMatch) {
-        const statusLower = (paper.read_status || 'unread').toLowerCase();
-        if (statusLower !== fields.status) fieldMatch = false;
-      }
+function getTrashRetentionDays() {
+  return core.getTrashRetentionDays();
+}
 
-      // Rating filter: rating:1, rating:2, rating:3, rating:4 (or seminal, important, useful, meh)
-      if (fields.rating && fieldMatch) {
-        const ratingMap = { 'seminal': 1, 'important': 2, 'useful': 3, 'meh': 4 };
-        let targetRating = parseInt(fields.rating);
-        if (isNaN(targetRating)) {
-          targetRating = ratingMap[fields.rating] || 0;
-        }
-        if ((paper.rating || 0) !== targetRating) fieldMatch = false;
-      }
+function setTrashRetentionDays(days) {
+  const value = core.setTrashRetentionDays(days);
+  saveDatabase();
+  return value;
+}
 
-      // Has filter: has:pdf, has:notes, has:abstract
-      if (fields.has && fieldMatch) {
-        const hasType = fields.has;
-        if (hasType === 'pdf' && !paper.pdf_path) fieldMatch = false;
-        if (hasType === 'notes' && !(paper.annotation_count > 0)) fieldMatch = false;
-        if (hasType === 'abstract' && !paper.abstract) fieldMatch = false;
-      }
+// ═══════════════════════════════════════════════════════════════════════════
+// EDIT HISTORY (see lib/database/history.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * A paper's recorded metadata changes (newest first) and locked fields
+ * @param {number} paperId
+ * @returns {{history: Object[], lockedFields: string[]}}
+ */
+function getPaperHistory(paperId) {
+  return core.getPaperHistory(paperId);
+}
+
+/**
+ * Put a field back to its value before a recorded change. The revert is
+ * itself recorded as a user change.
+ * @param {number} entryId - paper_history row ID
+ * @returns {number|null} The paper ID, or null if the entry doesn't exist
+ */
+function revertPaperField(entryId) {
+  const paperId = core.revertPaperField(entryId);
+  if (paperId === null) return null;
+  saveDatabase();
+  reindexPaper(paperId);
+  recommendationIndex?.invalidate(paperId);
+  return paperId;
+}
+
+/**
+ * Lock a field so only the user can change it, or unlock it
+ * @param {number} paperId
+ * @param {string} field
+ * @param {boolean} locked
+ * @returns {string[]} The paper's locked fields
+ */
+function setPaperFieldLocked(paperId, field, locked) {
+  const fields = core.setPaperFieldLocked(paperId, field, locked);
+  saveDatabase();
+  return fields;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTHORS (see lib/database/authors.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * A paper's authors in order, linked to author IDs
+ * @param {number} paperId
+ * @returns {Object[]}
+ */
+function getPaperAuthors(paperId) {
+  return core.getPaperAuthors(paperId);
+}
+
+/**
+ * An author with their library papers, co-authors and possible namesakes
+ * @param {number} authorId
+ * @returns {Object|null}
+ */
+function getAuthor(authorId) {
+  return core.getAuthor(authorId);
+}
+
+/**
+ * Merge authors that are the same person into one
+ * @param {number} keepId
+ * @param {number[]} mergeIds
+ */
+function mergeAuthors(keepId, mergeIds) {
+  core.mergeAuthors(keepId, mergeIds);
+  saveDatabase();
+}
+
+function getPaper(id) {
+  return core.getPaper(id);
+}
+
+function getPaperByBibcode(bibcode) {
+  return core.getPaperByBibcode(bibcode);
+}
+
+/**
+ * Get all papers with optional filtering and sorting
+ * @param {GetAllPapersOptions} [options={}] - Query options
+ * @returns {Paper[]} Array of papers including the precomputed is_indexed and annotation_count
+ */
+function getAllPapers(options = {}) {
+  return core.getAllPapers(options);
+}
 
-      // Citations filter: citations:>10, citations:<5, citations:>=100
-      if (fields.citations && fieldMatch) {
-        const citationStr = fields.citations;
-        const paperCitations = paper.citation_count || 0;
-
-        if (citationStr.startsWith('>=')) {
-          const num = parseInt(citationStr.substring(2));
-          if (paperCitations < num) fieldMatch = false;
-        } else if (citationStr.startsWith('<=')) {
-          const num = parseInt(citationStr.substring(2));
-          if (paperCitations > num) fieldMatch = false;
-        } else if (citationStr.startsWith('>')) {
-          const num = parseInt(citationStr.substring(1));
-          if (paperCitations <= num) fieldMatch = false;
-        } else if (citationStr.startsWith('<')) {
-          const num = parseInt(citationStr.substring(1));
-          if (paperCitations >= num) fieldMatch = false;
-        } else {
-          const num = parseInt(citationStr);
-          if (paperCitations !== num) fieldMatch = false;
-        }
-      }
+/**
+ * Get one page of the library list. Offset-based: the list is re-queried
+ * with the same filters and sort, so a page is a stable slice as long as
+ * the library doesn't change in between.
+ * @param {GetAllPapersOptions & {offset?: number, limit?: number}} [options={}]
+ * @returns {PaperPage}
+ */
+function getPapersPage(options = {}) {
+  return core.getPapersPage(options);
+}
 
-      if (!fieldMatch) continue; // Skip this paper if field filter doesn't match
-    }
+/**
+ * Look up each free-text term of a parsed query in the search index, once
+ * @param {Object} ast - Parsed query
+ * @returns {Map<string, Map<number, Object>>|null} Index hits by paper id,
+ *   per term id; null without an index
+ */
+function indexTextHits(ast) {
+  if (!searchDb) return null;
+
+  const textHits = new Map();
+  for (const term of queryParser.collectTextTerms(ast)) {
+    const text = term.phrase ? `"${term.value}"` : term.value;
+    const hits = searchIndex.searchIndex(searchDb, text, { limit: -1 });
+    textHits.set(term.id, new Map(hits.map(hit => [hit.paperId, hit])));
+  }
+  return textHits;
+}
 
-    // If no general search terms and we passed field filters, include the paper
-    if (!searchLower && hasFieldFilters) {
-      results.push({
-        paper,
-        matchCount: 1,
-        matchSource: 'field',
-        context: ''
-      });
-      continue;
-    }
+/**
+ * Free-text matcher for a parsed query, backed by the search index. Null
+ * without an index (the query then matches free text against title,
+ * authors and abstract).
+ * @param {Object} ast - Parsed query
+ * @param {Map|null} [textHits] - From indexTextHits, if already looked up
+ * @returns {Function|null} (textNode, paper) => boolean
+ */
+function indexTextMatcher(ast, textHits = indexTextHits(ast)) {
+  if (!textHits) return null;
+  return (node, paper) => textHits.get(node.id).has(paper.id);
+}
 
-    // If no search terms at all, skip (shouldn't happen but safeguard)
-    if (!searchLower) continue;
-    let matchCount = 0;
-    let context = '';
-    let matchSource = '';
-
-    // Search in title
-    if (paper.title && paper.title.toLowerCase().includes(searchLower)) {
-      matchCount += 10; // Weight title matches higher
-      matchSource = 'title';
-      context = paper.title;
-    }
+/**
+ * Full-text search across papers, including PDF text and annotation notes.
+ * Accepts the library query language (see lib/search/query-parser.js):
+ * free-text terms are matched against the search index and ranked, fields
+ * like "author:Smith year:2018-2022 -has:pdf" filter, AND/OR/NOT combine.
+ * @param {string} searchTerm - Search query
+ * @param {string} [libraryPath] - Path to library folder (opens the index if needed)
+ * @returns {SearchResult[]} Results sorted by relevance (matchCount descending)
+ * @throws {QuerySyntaxError} If the query is malformed
+ */
+function searchPapersFullText(searchTerm, libraryPath) {
+  const ast = queryParser.parseLibraryQuery(searchTerm);
+  if (!ast) return [];
 
-    // Search in authors
-    const authorsStr = paper.authors?.join(' ') || '';
-    if (authorsStr.toLowerCase().includes(searchLower)) {
-      matchCount += 5; // Weight author matches
-      if (!matchSource) {
-        matchSource = 'authors';
-        context = authorsStr;
-      }
-    }
+  if (!searchDb && libraryPath) {
+    openSearchIndex(libraryPath);
+  }
 
-    // Search in abstract
-    if (paper.abstract && paper.abstract.toLowerCase().includes(searchLower)) {
-      matchCount += 3;
-      if (!matchSource) {
-        matchSource = 'abstract';
-        const idx = paper.abstract.toLowerCase().indexOf(searchLower);
-        const start = Math.max(0, idx - 50);
-        const end = Math.min(paper.abstract.length, idx + searchTerm.length + 50);
-        context = (start > 0 ? '...' : '') + paper.abstract.substring(start, end) + (end < paper.abstract.length ? '...' : '');
-      }
-    }
+  return runLibraryQuery(ast, getAllPapers());
+}
 
-    // Search in full-text file
-    if (paper.text_path) {
-      const textFile = path.join(libraryPath, paper.text_path);
-      if (fs.existsSync(textFile)) {
-        try {
-          const content = fs.readFileSync(textFile, 'utf-8');
-          if (searchRegex) {
-            const matches = content.match(searchRegex);
-            if (matches) {
-              matchCount += matches.length;
-              if (!matchSource) {
-                matchSource = 'fulltext';
-                const lowerContent = content.toLowerCase();
-                const matchIndex = lowerContent.indexOf(searchLower);
-                const start = Math.max(0, matchIndex - 100);
-                const end = Math.min(content.length, matchIndex + searchTerm.length + 100);
-                context = (start > 0 ? '...' : '') + content.substring(start, end) + (end < content.length ? '...' : '');
-              }
-            }
-          } else if (content.toLowerCase().includes(searchLower)) {
-            matchCount += 1;
-            if (!matchSource) {
-              matchSource = 'fulltext';
-              const lowerContent = content.toLowerCase();
-              const matchIndex = lowerContent.indexOf(searchLower);
-              const start = Math.max(0, matchIndex - 100);
-              const end = Math.min(content.length, matchIndex + searchTerm.length + 100);
-              context = (start > 0 ? '...' : '') + content.substring(start, end) + (end < content.length ? '...' : '');
-            }
-          }
-        } catch (e) {
-          // Ignore read errors
-        }
-      }
-    }
+/**
+ * Evaluate a parsed query against a set of papers
+ * @param {Object} ast - Parsed query
+ * @param {Object[]} papers - Candidate papers
+ * @returns {SearchResult[]} Matching papers sorted by relevance
+ */
+function runLibraryQuery(ast, papers) {
+  // Without an index, matchesQuery falls back to substring matching on
+  // title/authors/abstract
+  const textHits = indexTextHits(ast);
+
+  const positiveTerms = queryParser.collectTextTerms(ast).filter(term => !term.negated);
+  const context = core.buildQueryContext(ast);
+  const matchText = indexTextMatcher(ast, textHits);
+  if (matchText) {
+    context.matchText = matchText;
+  }
 
-    // Search in annotations/notes for this paper
-    const annotations = getAnnotations(paper.id);
-    for (const annotation of annotations) {
-      const noteContent = (annotation.note_content || '').toLowerCase();
-      const selectionText = (annotation.selection_text || '').toLowerCase();
-      const combinedText = noteContent + ' ' + selectionText;
-
-      if (combinedText.includes(searchLower)) {
-        matchCount += 4; // Weight note matches higher than abstract
-        if (!matchSource) {
-          matchSource = 'notes';
-          // Show the matching note as context
-          const noteText = annotation.note_content || annotation.selection_text || '';
-          const idx = combinedText.indexOf(searchLower);
-          const start = Math.max(0, idx - 50);
-          const end = Math.min(noteText.length, idx + searchTerm.length + 50);
-          context = (start > 0 ? '...' : '') + noteText.substring(start, end) + (end < noteText.length ? '...' : '');
-        }
-      }
+  const results = [];
+  for (const paper of papers) {
+    if (!queryParser.matchesQuery(ast, paper, context)) continue;
+
+    // Rank by the sum of term scores; the best-scoring hit supplies the snippet
+    let score = 0;
+    let bestHit = null;
+    for (const term of positiveTerms) {
+      const hit = textHits?.get(term.id).get(paper.id);
+      if (!hit) continue;
+      score += hit.score;
+      if (!bestHit || hit.score > bestHit.score) bestHit = hit;
     }
 
-    if (matchCount > 0) {
-      results.push({
-        paper,
-        matchCount,
-        matchSource,
-        context
-      });
-    }
+    results.push({
+      paper,
+      matchCount: bestHit ? score : 1,
+      matchSource: bestHit ? bestHit.matchSource : 'field',
+      context: bestHit ? bestHit.snippet : '',
+      page: bestHit ? bestHit.page : null
+    });
   }
 
   return results.sort((a, b) => b.matchCount - a.matchCount);
@@ -612,434 +869,334 @@ function parsePaperRow(row) {
 
 // Collections
 
+/**
+ * Create a collection
+ * @param {string} name
+ * @param {number|null} [parentId] - Parent collection for nesting
+ * @param {boolean} [isSmart] - Membership computed from `query`
+ * @param {string|null} [query] - Library query (smart collections only)
+ * @returns {number} New collection ID
+ * @throws {QuerySyntaxError} If a smart collection's query is malformed
+ */
 function createCollection(name, parentId = null, isSmart = false, query = null) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO collections (name, parent_id, is_smart, query, created_date)
-    VALUES (?, ?, ?, ?, ?)
-  `, [name, parentId, isSmart ? 1 : 0, query, now]);
+  const id = core.createCollection(name, parentId, isSmart, query);
   saveDatabase();
+  return id;
+}
 
-  const result = db.exec(`SELECT last_insert_rowid() as id`);
-  return result[0].values[0][0];
+/**
+ * Rename, move, or change the query of a collection
+ * @param {number} collectionId
+ * @param {Object} updates
+ * @param {string} [updates.name]
+ * @param {number|null} [updates.parentId]
+ * @param {string} [updates.query] - Ignored for regular collections
+ * @throws {QuerySyntaxError} If the new query is malformed
+ */
+function updateCollection(collectionId, updates) {
+  core.updateCollection(collectionId, updates);
+  saveDatabase();
 }
 
+/**
+ * Get all collections. Smart collection counts are evaluated live;
+ * a smart collection whose query no longer parses gets `query_error`.
+ * @returns {Object[]} Collections ordered by name
+ */
 function getCollections() {
-  const results = db.exec(`
-    SELECT c.*, COUNT(pc.paper_id) as paper_count
-    FROM collections c
-    LEFT JOIN paper_collections pc ON c.id = pc.collection_id
-    GROUP BY c.id
-    ORDER BY c.name
-  `);
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    obj.is_smart = obj.is_smart === 1;
-    return obj;
-  });
+  return core.getCollections({ textMatcher: indexTextMatcher });
 }
 
 function addPaperToCollection(paperId, collectionId) {
-  db.run(`
-    INSERT OR IGNORE INTO paper_collections (paper_id, collection_id)
-    VALUES (?, ?)
-  `, [paperId, collectionId]);
+  core.addPaperToCollection(paperId, collectionId);
   saveDatabase();
 }
 
 function removePaperFromCollection(paperId, collectionId) {
-  db.run(`
-    DELETE FROM paper_collections WHERE paper_id = ? AND collection_id = ?
-  `, [paperId, collectionId]);
+  core.removePaperFromCollection(paperId, collectionId);
   saveDatabase();
 }
 
 function getPapersInCollection(collectionId) {
-  const results = db.exec(`
-    SELECT p.* FROM papers p
-    JOIN paper_collections pc ON p.id = pc.paper_id
-    WHERE pc.collection_id = ?
-    ORDER BY p.added_date DESC
-  `, [collectionId]);
-
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    return parsePaperRow(obj);
-  });
+  return core.getPapersInCollection(collectionId);
 }
 
 /**
  * Get a single collection by ID
  */
 function getCollection(collectionId) {
-  const results = db.exec(`SELECT * FROM collections WHERE id = ?`, [collectionId]);
-  if (results.length === 0 || results[0].values.length === 0) return null;
-
-  const columns = results[0].columns;
-  const row = results[0].values[0];
-  const obj = {};
-  columns.forEach((col, i) => obj[col] = row[i]);
-  obj.is_smart = obj.is_smart === 1;
-  return obj;
+  return core.getCollection(collectionId);
 }
 
 /**
- * Get papers matching a smart collection's query
+ * Get papers matching a smart collection's query, newest first
+ * like regular collections
+ * @param {number} collectionId
+ * @param {string} [libraryPath] - Path to library folder (opens the search index if needed)
+ * @returns {Object[]} Papers
  */
 function getPapersInSmartCollection(collectionId, libraryPath) {
-  const collection = getCollection(collectionId);
-  if (!collection || !collection.is_smart || !collection.query) {
-    return [];
+  if (!searchDb && libraryPath) {
+    openSearchIndex(libraryPath);
   }
-
-  // Use existing search function with the stored query
-  return searchPapersFullText(collection.query, libraryPath);
+  return core.getSmartCollectionPapers(collectionId, { textMatcher: indexTextMatcher });
 }
 
+/**
+ * Delete a collection. Its papers stay in the library; child collections
+ * move up to the deleted collection's parent.
+ */
 function deleteCollection(collectionId) {
-  db.run(`DELETE FROM paper_collections WHERE collection_id = ?`, [collectionId]);
-  db.run(`DELETE FROM collections WHERE id = ?`, [collectionId]);
+  core.deleteCollection(collectionId);
   saveDatabase();
 }
 
-// Stats
+// ═══════════════════════════════════════════════════════════════════════════
+// TAGS
+// ═══════════════════════════════════════════════════════════════════════════
 
-function getStats() {
-  const totalResult = db.exec(`SELECT COUNT(*) as count FROM papers`);
-  const total = totalResult[0]?.values[0][0] || 0;
+/**
+ * Normalize a tag path: trim each segment and drop empty ones,
+ * so " methods / mcmc/" becomes "methods/mcmc"
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} If the name has no segments
+ */
+function normalizeTagName(name) {
+  return databaseCore.normalizeTagName(name);
+}
+
+/**
+ * Get a tag by ID
+ * @param {number} tagId
+ * @returns {Object|null}
+ */
+function getTag(tagId) {
+  return core.getTag(tagId);
+}
 
-  const unreadResult = db.exec(`SELECT COUNT(*) as count FROM papers WHERE read_status = 'unread'`);
-  const unread = unreadResult[0]?.values[0][0] || 0;
+/**
+ * Get all tags with the number of papers tagged directly with each
+ * @returns {Array<{id: number, name: string, color: string|null, paper_count: number}>}
+ *   Ordered by path, so parents come before their children
+ */
+function getTags() {
+  return core.getTags();
+}
+
+/**
+ * Create a tag (and its ancestors). Creating an existing tag updates its color.
+ * @param {string} name - Tag path, e.g. "methods/mcmc"
+ * @param {string|null} [color] - CSS color
+ * @returns {number} Tag ID
+ */
+function createTag(name, color = null) {
+  const id = core.createTag(name, color);
+  saveDatabase();
+  return id;
+}
+
+/**
+ * Rename, move, or recolor a tag. Renaming carries nested tags along.
+ * @param {number} tagId
+ * @param {Object} updates - { name, color }
+ * @throws {Error} If the tag is missing or the new path is taken
+ */
+function updateTag(tagId, updates) {
+  core.updateTag(tagId, updates);
+  saveDatabase();
+}
+
+/**
+ * Delete a tag and its nested tags. Papers stay in the library.
+ * @param {number} tagId
+ */
+function deleteTag(tagId) {
+  core.deleteTag(tagId);
+  saveDatabase();
+}
+
+/**
+ * Tag papers, creating the tag if needed
+ * @param {number[]} paperIds
+ * @param {string} name - Tag path
+ * @param {boolean} [save=true] - Save the database afterwards
+ * @returns {number} Tag ID
+ */
+function tagPapers(paperIds, name, save = true) {
+  const tagId = core.tagPapers(paperIds, name);
+  if (save) saveDatabase();
+  return tagId;
+}
+
+/**
+ * Remove a tag from papers. Nested tags are left alone.
+ * @param {number[]} paperIds
+ * @param {number} tagId
+ */
+function untagPapers(paperIds, tagId) {
+  core.untagPapers(paperIds, tagId);
+  saveDatabase();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DUPLICATES
+// ═══════════════════════════════════════════════════════════════════════════
 
-  const readingResult = db.exec(`SELECT COUNT(*) as count FROM papers WHERE read_status = 'reading'`);
-  const reading = readingResult[0]?.values[0][0] || 0;
+/**
+ * Find groups of duplicate papers (see lib/database/duplicates.js)
+ * @returns {Array<{papers: Paper[], reasons: string[], keepId: number}>}
+ *   Each paper has file_count set, to help choose which to keep
+ */
+function findDuplicatePapers() {
+  return core.findDuplicatePapers();
+}
+
+/**
+ * Merge duplicate papers into one, keeping an undo record
+ * @param {number} keepId - Paper to keep
+ * @param {number[]} mergeIds - Papers to merge into it (deleted)
+ * @returns {number} Merge ID
+ */
+function mergePapers(keepId, mergeIds) {
+  const mergeId = core.mergePapers(keepId, mergeIds);
+  saveDatabase();
+
+  for (const id of mergeIds) {
+    removeFromSearchIndex(id);
+    recommendationIndex?.invalidate(id);
+  }
+  reindexPaper(keepId);
+  recommendationIndex?.invalidate(keepId);
+  return mergeId;
+}
+
+/**
+ * Recorded merges that can be undone, newest first
+ * @returns {Array}
+ */
+function getPaperMerges() {
+  return core.getPaperMerges();
+}
+
+/**
+ * Undo a merge, restoring the merged papers
+ * @param {number} mergeId
+ * @returns {number[]} IDs of the papers involved, kept paper first
+ */
+function undoPaperMerge(mergeId) {
+  const paperIds = core.undoPaperMerge(mergeId);
+  saveDatabase();
+
+  for (const id of paperIds) {
+    reindexPaper(id);
+    recommendationIndex?.invalidate(id);
+  }
+  return paperIds;
+}
 
-  const readResult = db.exec(`SELECT COUNT(*) as count FROM papers WHERE read_status = 'read'`);
-  const read = readResult[0]?.values[0][0] || 0;
+// Stats
 
-  return { total, unread, reading, read };
+function getStats() {
+  return core.getStats();
 }
 
 // LLM Summaries
 
 function getSummary(paperId) {
-  const stmt = db.prepare(`SELECT * FROM paper_summaries WHERE paper_id = ?`);
-  stmt.bind([paperId]);
-
-  if (stmt.step()) {
-    const row = stmt.getAsObject();
-    stmt.free();
-    return {
-      ...row,
-      key_points: row.key_points ? JSON.parse(row.key_points) : []
-    };
-  }
-  stmt.free();
-  return null;
+  return core.getSummary(paperId);
 }
 
 function saveSummary(paperId, summary, keyPoints, model) {
-  const now = new Date().toISOString();
-  const existing = getSummary(paperId);
-
-  if (existing) {
-    db.run(`
-      UPDATE paper_summaries
-      SET summary = ?, key_points = ?, model = ?, generated_date = ?
-      WHERE paper_id = ?
-    `, [summary, JSON.stringify(keyPoints), model, now, paperId]);
-  } else {
-    db.run(`
-      INSERT INTO paper_summaries (paper_id, summary, key_points, model, generated_date)
-      VALUES (?, ?, ?, ?, ?)
-    `, [paperId, summary, JSON.stringify(keyPoints), model, now]);
-  }
+  const id = core.saveSummary(paperId, summary, keyPoints, model);
   saveDatabase();
+  return id;
 }
 
 function deleteSummary(paperId) {
-  db.run(`DELETE FROM paper_summaries WHERE paper_id = ?`, [paperId]);
+  core.deleteSummary(paperId);
   saveDatabase();
 }
 
 // LLM Q&A
 
 function getQAHistory(paperId, limit = 20) {
-  const results = db.exec(`
-    SELECT * FROM paper_qa
-    WHERE paper_id = ?
-    ORDER BY created_date DESC
-    LIMIT ?
-  `, [paperId, limit]);
-
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    return obj;
-  }).reverse(); // Return in chronological order
+  return core.getQAHistory(paperId, limit);
 }
 
 function saveQA(paperId, question, answer, contextUsed, model) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO paper_qa (paper_id, question, answer, context_used, model, created_date)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `, [paperId, question, answer, contextUsed, model, now]);
+  const id = core.saveQA(paperId, question, answer, contextUsed, model);
   saveDatabase();
+  return id;
 }
 
 function clearQAHistory(paperId) {
-  db.run(`DELETE FROM paper_qa WHERE paper_id = ?`, [paperId]);
+  core.clearQAHistory(paperId);
   saveDatabase();
 }
 
 // Text Embeddings
 
 function getEmbeddings(paperId) {
-  const results = db.exec(`
-    SELECT * FROM text_embeddings
-    WHERE paper_id = ?
-    ORDER BY chunk_index
-  `, [paperId]);
-
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    // Convert BLOB to Float32Array
-    if (obj.embedding) {
-      obj.embedding = new Float32Array(obj.embedding.buffer);
-    }
-    return obj;
-  });
+  return core.getEmbeddings(paperId);
 }
 
 function hasEmbeddings(paperId) {
-  const results = db.exec(`SELECT COUNT(*) FROM text_embeddings WHERE paper_id = ?`, [paperId]);
-  return results[0]?.values[0][0] > 0;
+  return core.hasEmbeddings(paperId);
 }
 
 function getUnindexedPaperIds() {
-  const results = db.exec(`
-    SELECT p.id FROM papers p
-    LEFT JOIN text_embeddings e ON p.id = e.paper_id
-    WHERE e.id IS NULL
-  `);
-  if (results.length === 0) return [];
-  return results[0].values.map(row => row[0]);
+  return core.getUnindexedPaperIds();
 }
 
 function saveEmbeddings(paperId, chunks) {
-  // Clear existing embeddings for this paper
-  db.run(`DELETE FROM text_embeddings WHERE paper_id = ?`, [paperId]);
-
-  const now = new Date().toISOString();
-  const stmt = db.prepare(`
-    INSERT INTO text_embeddings (paper_id, chunk_index, chunk_text, embedding, created_date)
-    VALUES (?, ?, ?, ?, ?)
-  `);
-
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    // Convert Float32Array to Buffer for storage
-    const embeddingBuffer = Buffer.from(new Float32Array(chunk.embedding).buffer);
-    stmt.run([paperId, chunk.chunkIndex, chunk.chunkText, embeddingBuffer, now]);
-  }
-
-  stmt.free();
+  core.saveEmbeddings(paperId, chunks);
   saveDatabase();
 }
 
 function deleteEmbeddings(paperId) {
-  db.run(`DELETE FROM text_embeddings WHERE paper_id = ?`, [paperId]);
+  core.deleteEmbeddings(paperId);
   saveDatabase();
 }
 
 function getAllEmbeddings() {
-  const results = db.exec(`
-    SELECT te.*, p.title, p.bibcode
-    FROM text_embeddings te
-    JOIN papers p ON te.paper_id = p.id
-    ORDER BY te.paper_id, te.chunk_index
-  `);
-
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    if (obj.embedding) {
-      obj.embedding = new Float32Array(obj.embedding.buffer);
-    }
-    return obj;
-  });
+  return core.getAllEmbeddings();
 }
 
 // Annotations
 
-function getAnnotations(paperId) {
-  // Use prepared statement since db.exec doesn't support parameterized queries
-  const stmt = db.prepare(`
-    SELECT * FROM annotations
-    WHERE paper_id = ?
-    ORDER BY page_number, id
-  `);
-  stmt.bind([paperId]);
-
-  const annotations = [];
-  while (stmt.step()) {
-    const obj = stmt.getAsObject();
-    // Parse selection_rects JSON
-    if (obj.selection_rects) {
-      try {
-        obj.selection_rects = JSON.parse(obj.selection_rects);
-      } catch (e) {
-        obj.selection_rects = [];
-      }
-    }
-    annotations.push(obj);
-  }
-  stmt.free();
-  return annotations;
+function getAnnotations(paperId, pdfSource = null) {
+  return core.getAnnotations(paperId, pdfSource);
 }
 
 function getAnnotationCountsBySource(paperId) {
-  // Use prepared statement since db.exec doesn't support parameterized queries
-  const stmt = db.prepare(`
-    SELECT pdf_source, COUNT(*) as count
-    FROM annotations
-    WHERE paper_id = ?
-    GROUP BY pdf_source
-  `);
-  stmt.bind([paperId]);
-
-  const counts = {};
-  while (stmt.step()) {
-    const row = stmt.get();
-    const source = row[0] || 'unknown';
-    counts[source] = row[1];
-  }
-  stmt.free();
-  return counts;
+  return core.getAnnotationCountsBySource(paperId);
 }
 
 function createAnnotation(paperId, data) {
-  const now = new Date().toISOString();
-
-  // Use db.run() like other functions - it works with parameters
-  db.run(`
-    INSERT INTO annotations (paper_id, page_number, selection_text, selection_rects, note_content, color, pdf_source, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    paperId,
-    data.page_number || 1,
-    data.selection_text || null,
-    typeof data.selection_rects === 'string' ? data.selection_rects : JSON.stringify(data.selection_rects || []),
-    data.note_content || '',
-    data.color || '#ffeb3b',
-    data.pdf_source || null,
-    now,
-    now
-  ]);
-
-  // Get ID immediately after insert, before saveDatabase
-  const result = db.exec(`SELECT last_insert_rowid() as id`);
-  const id = result[0].values[0][0];
-
+  const id = core.createAnnotation(paperId, data);
   saveDatabase();
-
-  // Return the created annotation - use exec with ID directly (safe since it's from db)
-  const selectResult = db.exec(`SELECT * FROM annotations WHERE id = ${id}`);
-
-  if (selectResult.length === 0 || selectResult[0].values.length === 0) {
-    // Fallback: get the most recent annotation for this paper
-    const fallbackResult = db.exec(`SELECT * FROM annotations WHERE paper_id = ${paperId} ORDER BY id DESC LIMIT 1`);
-    if (fallbackResult.length > 0 && fallbackResult[0].values.length > 0) {
-      const columns = fallbackResult[0].columns;
-      const row = fallbackResult[0].values[0];
-      const obj = {};
-      columns.forEach((col, i) => obj[col] = row[i]);
-      if (obj.selection_rects) {
-        try {
-          obj.selection_rects = JSON.parse(obj.selection_rects);
-        } catch (e) {
-          obj.selection_rects = [];
-        }
-      }
-      return obj;
-    }
-    return null;
-  }
-
-  const columns = selectResult[0].columns;
-  const row = selectResult[0].values[0];
-  const obj = {};
-  columns.forEach((col, i) => obj[col] = row[i]);
-
-  // Parse selection_rects JSON
-  if (obj.selection_rects) {
-    try {
-      obj.selection_rects = JSON.parse(obj.selection_rects);
-    } catch (e) {
-      obj.selection_rects = [];
-    }
-  }
-  return obj;
+  reindexPaper(paperId);
+  return core.getAnnotation(id);
 }
 
 function updateAnnotation(id, data) {
-  const fields = [];
-  const values = [];
-
-  if (data.note_content !== undefined) {
-    fields.push('note_content = ?');
-    values.push(data.note_content);
-  }
-  if (data.color !== undefined) {
-    fields.push('color = ?');
-    values.push(data.color);
-  }
-  if (data.selection_text !== undefined) {
-    fields.push('selection_text = ?');
-    values.push(data.selection_text);
-  }
-  if (data.selection_rects !== undefined) {
-    fields.push('selection_rects = ?');
-    values.push(typeof data.selection_rects === 'string' ? data.selection_rects : JSON.stringify(data.selection_rects));
-  }
-
-  if (fields.length === 0) return;
-
-  fields.push('updated_at = ?');
-  values.push(new Date().toISOString());
-  values.push(id);
-
-  db.run(`UPDATE annotations SET ${fields.join(', ')} WHERE id = ?`, values);
+  if (!core.updateAnnotation(id, data)) return;
   saveDatabase();
+  reindexPaper(core.getAnnotationPaperId(id));
 }
 
 function deleteAnnotation(id) {
-  db.run(`DELETE FROM annotations WHERE id = ?`, [id]);
+  const paperId = core.getAnnotationPaperId(id);
+  core.deleteAnnotation(id);
   saveDatabase();
+  if (paperId !== null) reindexPaper(paperId);
 }
 
 function deleteAnnotationsForPaper(paperId) {
-  db.run(`DELETE FROM annotations WHERE paper_id = ?`, [paperId]);
+  core.deleteAnnotationsForPaper(paperId);
   saveDatabase();
+  reindexPaper(paperId);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1047,48 +1204,16 @@ function deleteAnnotationsForPaper(paperId) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 function getPageRotations(paperId, pdfSource = null) {
-  const sourceCondition = pdfSource ? 'AND pdf_source = ?' : 'AND (pdf_source IS NULL OR pdf_source = ?)';
-  const params = pdfSource ? [paperId, pdfSource] : [paperId, ''];
-
-  const results = db.exec(
-    `SELECT page_number, rotation FROM pdf_page_rotations WHERE paper_id = ? ${sourceCondition}`,
-    params
-  );
-
-  if (results.length === 0) return {};
-
-  const rotations = {};
-  for (const row of results[0].values) {
-    rotations[row[0]] = row[1];
-  }
-  return rotations;
+  return core.getPageRotations(paperId, pdfSource);
 }
 
 function setPageRotation(paperId, pageNumber, rotation, pdfSource = null) {
-  // Use REPLACE to upsert
-  db.run(
-    `INSERT OR REPLACE INTO pdf_page_rotations (paper_id, pdf_source, page_number, rotation)
-     VALUES (?, ?, ?, ?)`,
-    [paperId, pdfSource || '', pageNumber, rotation]
-  );
+  core.setPageRotation(paperId, pageNumber, rotation, pdfSource);
   saveDatabase();
 }
 
 function setPageRotations(paperId, rotations, pdfSource = null) {
-  // Clear existing rotations for this paper/source
-  const sourceCondition = pdfSource ? 'AND pdf_source = ?' : 'AND (pdf_source IS NULL OR pdf_source = ?)';
-  const deleteParams = pdfSource ? [paperId, pdfSource] : [paperId, ''];
-  db.run(`DELETE FROM pdf_page_rotations WHERE paper_id = ? ${sourceCondition}`, deleteParams);
-
-  // Insert new rotations
-  for (const [pageNum, rotation] of Object.entries(rotations)) {
-    if (rotation !== 0) {
-      db.run(
-        `INSERT INTO pdf_page_rotations (paper_id, pdf_source, page_number, rotation) VALUES (?, ?, ?, ?)`,
-        [paperId, pdfSource || '', parseInt(pageNum), rotation]
-      );
-    }
-  }
+  core.setPageRotations(paperId, rotations, pdfSource);
   saveDatabase();
 }
 
@@ -1096,41 +1221,17 @@ function setPageRotations(paperId, rotations, pdfSource = null) {
 // SCHEMA VERSION & METADATA
 // ═══════════════════════════════════════════════════════════════════════════
 
+// The version is set by the migration runner as each migration completes
 function getSchemaVersion() {
-  try {
-    const result = db.exec("SELECT value FROM metadata WHERE key = 'schema_version'");
-    if (result.length > 0 && result[0].values.length > 0) {
-      return parseInt(result[0].values[0][0]) || 1;
-    }
-    return 1;
-  } catch {
-    return 1;
-  }
-}
-
-function setSchemaVersion(version) {
-  db.run("INSERT OR REPLACE INTO metadata (key, value) VALUES ('schema_version', ?)", [String(version)]);
-  saveDatabase();
+  return core.getSchemaVersion();
 }
 
 function getMetadata(key) {
-  try {
-    const stmt = db.prepare("SELECT value FROM metadata WHERE key = ?");
-    stmt.bind([key]);
-    if (stmt.step()) {
-      const value = stmt.get()[0];
-      stmt.free();
-      return value;
-    }
-    stmt.free();
-    return null;
-  } catch {
-    return null;
-  }
+  return core.getMetadata(key);
 }
 
 function setMetadata(key, value) {
-  db.run("INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)", [key, value]);
+  core.setMetadata(key, value);
   saveDatabase();
 }
 
@@ -1145,31 +1246,8 @@ function setMetadata(key, value) {
  * @returns {number} The ID of the newly created file record
  */
 function addPaperFile(paperId, fileData) {
-  const now = new Date().toISOString();
-  db.run(`
-    INSERT INTO paper_files (paper_id, file_hash, filename, original_name, mime_type, file_size, file_role, source_type, source_url, added_date, status, error_message, text_extracted, text_path)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    paperId,
-    fileData.file_hash || null,
-    fileData.filename,
-    fileData.original_name || fileData.filename,
-    fileData.mime_type || 'application/octet-stream',
-    fileData.file_size || 0,
-    fileData.file_role || 'pdf',
-    fileData.source_type || 'manual',
-    fileData.source_url || null,
-    fileData.added_date || now,
-    fileData.status || 'ready',
-    fileData.error_message || null,
-    fileData.text_extracted || 0,
-    fileData.text_path || null
-  ]);
-
-  const result = db.exec(`SELECT last_insert_rowid() as id`);
-  const id = result[0].values[0][0];
+  const id = core.addPaperFile(paperId, fileData);
   saveDatabase();
-
   return id;
 }
 
@@ -1180,36 +1258,7 @@ function addPaperFile(paperId, fileData) {
  * @returns {Array} Array of file records
  */
 function getPaperFiles(paperId, filters = {}) {
-  let query = `SELECT * FROM paper_files WHERE paper_id = ?`;
-  const params = [paperId];
-
-  if (filters.role) {
-    query += ` AND file_role = ?`;
-    params.push(filters.role);
-  }
-
-  if (filters.status) {
-    query += ` AND status = ?`;
-    params.push(filters.status);
-  }
-
-  if (filters.sourceType) {
-    query += ` AND source_type = ?`;
-    params.push(filters.sourceType);
-  }
-
-  query += ` ORDER BY added_date DESC`;
-
-  const stmt = db.prepare(query);
-  stmt.bind(params);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-
-  return files;
+  return core.getPaperFiles(paperId, filters);
 }
 
 /**
@@ -1218,16 +1267,7 @@ function getPaperFiles(paperId, filters = {}) {
  * @returns {Object|null} File record or null
  */
 function getPaperFile(fileId) {
-  const stmt = db.prepare(`SELECT * FROM paper_files WHERE id = ?`);
-  stmt.bind([fileId]);
-
-  let file = null;
-  if (stmt.step()) {
-    file = stmt.getAsObject();
-  }
-  stmt.free();
-
-  return file;
+  return core.getPaperFile(fileId);
 }
 
 /**
@@ -1236,28 +1276,13 @@ function getPaperFile(fileId) {
  * @param {Object} updates - Fields to update
  */
 function updatePaperFile(fileId, updates) {
-  const fields = [];
-  const values = [];
-
-  const allowedFields = [
-    'file_hash', 'filename', 'original_name', 'mime_type', 'file_size',
-    'file_role', 'source_type', 'source_url', 'status', 'error_message',
-    'text_extracted', 'text_path'
-  ];
-
-  for (const [key, value] of Object.entries(updates)) {
-    if (allowedFields.includes(key)) {
-      fields.push(`${key} = ?`);
-      values.push(value);
-    }
-  }
-
-  if (fields.length === 0) return;
-
-  values.push(fileId);
-
-  db.run(`UPDATE paper_files SET ${fields.join(', ')} WHERE id = ?`, values);
+  if (!core.updatePaperFile(fileId, updates)) return;
   saveDatabase();
+
+  if (updates.text_path !== undefined) {
+    const file = getPaperFile(fileId);
+    if (file) reindexPaper(file.paper_id);
+  }
 }
 
 /**
@@ -1266,16 +1291,7 @@ function updatePaperFile(fileId, updates) {
  * @returns {Array} Array of file records with this hash
  */
 function getFileByHash(hash) {
-  const stmt = db.prepare(`SELECT * FROM paper_files WHERE file_hash = ?`);
-  stmt.bind([hash]);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
-
-  return files;
+  return core.getFilesByHash(hash);
 }
 
 /**
@@ -1284,22 +1300,16 @@ function getFileByHash(hash) {
  * @returns {Array} Array of file records
  */
 function getPaperFilesByStatus(status) {
-  const stmt = db.prepare(`
-    SELECT pf.*, p.bibcode, p.title
-    FROM paper_files pf
-    JOIN papers p ON pf.paper_id = p.id
-    WHERE pf.status = ?
-    ORDER BY pf.added_date ASC
-  `);
-  stmt.bind([status]);
-
-  const files = [];
-  while (stmt.step()) {
-    files.push(stmt.getAsObject());
-  }
-  stmt.free();
+  return core.getPaperFilesByStatus(status);
+}
 
-  return files;
+/**
+ * Get all PDFs in an ingest state (pending, processing, done, failed)
+ * @param {string} ingestStatus - Ingest status
+ * @returns {Array} Array of file records, oldest first
+ */
+function getPaperFilesByIngestStatus(ingestStatus) {
+  return core.getPaperFilesByIngestStatus(ingestStatus);
 }
 
 /**
@@ -1307,12 +1317,12 @@ function getPaperFilesByStatus(status) {
  * @param {number} paperId - Paper ID
  */
 function deletePaperFiles(paperId) {
-  db.run(`DELETE FROM paper_files WHERE paper_id = ?`, [paperId]);
+  core.deletePaperFiles(paperId);
   saveDatabase();
 }
 
 function deletePaperFile(id) {
-  db.run(`DELETE FROM paper_files WHERE id = ?`, [id]);
+  core.deletePaperFile(id);
   saveDatabase();
 }
 
@@ -1326,23 +1336,7 @@ function deletePaperFile(id) {
  * @returns {number} The ID of the newly created search
  */
 function createSmartSearch(data) {
-  const now = new Date().toISOString();
-  const maxOrderResult = db.exec('SELECT MAX(display_order) FROM smart_searches');
-  const maxOrder = maxOrderResult[0]?.values[0][0] || 0;
-
-  db.run(`
-    INSERT INTO smart_searches (name, query, sort_order, display_order, created_date)
-    VALUES (?, ?, ?, ?, ?)
-  `, [
-    data.name,
-    data.query,
-    data.sortOrder || 'date desc',
-    maxOrder + 1,
-    now
-  ]);
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  const id = result[0].values[0][0];
+  const id = core.createSmartSearch(data);
   saveDatabase();
   return id;
 }
@@ -1353,16 +1347,7 @@ function createSmartSearch(data) {
  * @returns {Object|null} Search object or null
  */
 function getSmartSearch(id) {
-  const stmt = db.prepare('SELECT * FROM smart_searches WHERE id = ?');
-  stmt.bind([id]);
-
-  if (stmt.step()) {
-    const obj = stmt.getAsObject();
-    stmt.free();
-    return obj;
-  }
-  stmt.free();
-  return null;
+  return core.getSmartSearch(id);
 }
 
 /**
@@ -1370,17 +1355,7 @@ function getSmartSearch(id) {
  * @returns {Array} Array of search objects
  */
 function getAllSmartSearches() {
-  const results = db.exec(`
-    SELECT * FROM smart_searches ORDER BY display_order ASC, created_date DESC
-  `);
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    return obj;
-  });
+  return core.getAllSmartSearches();
 }
 
 /**
@@ -1389,67 +1364,34 @@ function getAllSmartSearches() {
  * @param {Object} updates - Fields to update
  */
 function updateSmartSearch(id, updates) {
-  const fields = [];
-  const values = [];
-
-  const allowedFields = ['name', 'query', 'sort_order', 'display_order', 'last_refresh_date', 'result_count', 'error_message'];
-
-  for (const [key, value] of Object.entries(updates)) {
-    if (allowedFields.includes(key)) {
-      fields.push(`${key} = ?`);
-      values.push(value);
-    }
-  }
-
-  if (fields.length === 0) return;
-
-  values.push(id);
-  db.run(`UPDATE smart_searches SET ${fields.join(', ')} WHERE id = ?`, values);
+  core.updateSmartSearch(id, updates);
   saveDatabase();
 }
 
 /**
- * Delete a smart search (cascade deletes results)
+ * Delete a smart search and its cached results
  * @param {number} id - Search ID
  */
 function deleteSmartSearch(id) {
-  // Delete results first (in case FK cascade doesn't work with sql.js)
-  db.run('DELETE FROM smart_search_results WHERE search_id = ?', [id]);
-  db.run('DELETE FROM smart_searches WHERE id = ?', [id]);
+  core.deleteSmartSearch(id);
   saveDatabase();
 }
 
 /**
- * Clear all cached results for a search
+ * Clear all cached results for a search. Does not save.
  * @param {number} searchId - Search ID
  */
 function clearSmartSearchResults(searchId) {
-  db.run('DELETE FROM smart_search_results WHERE search_id = ?', [searchId]);
+  core.clearSmartSearchResults(searchId);
 }
 
 /**
- * Add a result to a smart search
+ * Add a result to a smart search. Does not save.
  * @param {number} searchId - Search ID
  * @param {Object} data - Paper data from ADS
  */
 function addSmartSearchResult(searchId, data) {
-  db.run(`
-    INSERT OR REPLACE INTO smart_search_results
-    (search_id, bibcode, title, authors, year, journal, abstract, doi, arxiv_id, citation_count, cached_date)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    searchId,
-    data.bibcode,
-    data.title || null,
-    typeof data.authors === 'string' ? data.authors : JSON.stringify(data.authors || []),
-    data.year || null,
-    data.journal || null,
-    data.abstract || null,
-    data.doi || null,
-    data.arxiv_id || null,
-    data.citation_count || 0,
-    data.cached_date || new Date().toISOString()
-  ]);
+  core.addSmartSearchResult(searchId, data);
 }
 
 /**
@@ -1458,33 +1400,7 @@ function addSmartSearchResult(searchId, data) {
  * @returns {Array} Results with inLibrary and libraryPaperId fields
  */
 function getSmartSearchResultsWithLibraryStatus(searchId) {
-  const results = db.exec(`
-    SELECT ssr.*, p.id as library_paper_id
-    FROM smart_search_results ssr
-    LEFT JOIN papers p ON ssr.bibcode = p.bibcode
-    WHERE ssr.search_id = ?
-    ORDER BY ssr.id
-  `, [searchId]);
-
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    // Parse authors JSON
-    if (obj.authors && typeof obj.authors === 'string') {
-      try {
-        obj.authors = JSON.parse(obj.authors);
-      } catch (e) {
-        obj.authors = [];
-      }
-    }
-    // Add computed fields
-    obj.inLibrary = obj.library_paper_id !== null;
-    obj.libraryPaperId = obj.library_paper_id;
-    return obj;
-  });
+  return core.getSmartSearchResultsWithLibraryStatus(searchId);
 }
 
 /**
@@ -1492,9 +1408,7 @@ function getSmartSearchResultsWithLibraryStatus(searchId) {
  * @param {number[]} orderedIds - Array of search IDs in desired order
  */
 function reorderSmartSearches(orderedIds) {
-  orderedIds.forEach((id, index) => {
-    db.run('UPDATE smart_searches SET display_order = ? WHERE id = ?', [index, id]);
-  });
+  core.reorderSmartSearches(orderedIds);
   saveDatabase();
 }
 
@@ -1504,16 +1418,7 @@ function reorderSmartSearches(orderedIds) {
  * @returns {string[]} Array of bibcodes that exist in library
  */
 function checkBibcodesInLibrary(bibcodes) {
-  if (!bibcodes || bibcodes.length === 0) return [];
-
-  const placeholders = bibcodes.map(() => '?').join(',');
-  const results = db.exec(
-    `SELECT bibcode FROM papers WHERE bibcode IN (${placeholders})`,
-    bibcodes
-  );
-
-  if (results.length === 0) return [];
-  return results[0].values.map(row => row[0]);
+  return core.checkBibcodesInLibrary(bibcodes);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1526,30 +1431,7 @@ function checkBibcodesInLibrary(bibcodes) {
  * @returns {number} The ID of the newly created reading list entry
  */
 function addToReadingList(paper) {
-  const now = new Date().toISOString();
-
-  db.run(`
-    INSERT OR REPLACE INTO reading_list
-    (bibcode, doi, arxiv_id, title, authors, year, journal, abstract, citation_count, pdf_path, pdf_source, added_date, last_viewed_date)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `, [
-    paper.bibcode,
-    paper.doi || null,
-    paper.arxiv_id || null,
-    paper.title || 'Untitled',
-    typeof paper.authors === 'string' ? paper.authors : JSON.stringify(paper.authors || []),
-    paper.year || null,
-    paper.journal || null,
-    paper.abstract || null,
-    paper.citation_count || 0,
-    paper.pdf_path || null,
-    paper.pdf_source || null,
-    now,
-    now
-  ]);
-
-  const result = db.exec('SELECT last_insert_rowid()');
-  const id = result[0].values[0][0];
+  const id = core.addToReadingList(paper);
   saveDatabase();
   return id;
 }
@@ -1559,7 +1441,7 @@ function addToReadingList(paper) {
  * @param {string} bibcode - Paper bibcode
  */
 function removeFromReadingList(bibcode) {
-  db.run('DELETE FROM reading_list WHERE bibcode = ?', [bibcode]);
+  core.removeFromReadingList(bibcode);
   saveDatabase();
 }
 
@@ -1568,27 +1450,7 @@ function removeFromReadingList(bibcode) {
  * @returns {Array} Array of reading list papers
  */
 function getReadingList() {
-  const results = db.exec(`
-    SELECT * FROM reading_list ORDER BY added_date DESC
-  `);
-  if (results.length === 0) return [];
-
-  const columns = results[0].columns;
-  return results[0].values.map(row => {
-    const obj = {};
-    columns.forEach((col, i) => obj[col] = row[i]);
-    // Parse authors JSON
-    if (obj.authors && typeof obj.authors === 'string') {
-      try {
-        obj.authors = JSON.parse(obj.authors);
-      } catch (e) {
-        obj.authors = [];
-      }
-    }
-    // Add marker for reading list papers
-    obj.isReadingList = true;
-    return obj;
-  });
+  return core.getReadingList();
 }
 
 /**
@@ -1597,25 +1459,7 @@ function getReadingList() {
  * @returns {Object|null} Reading list paper or null
  */
 function getReadingListPaper(bibcode) {
-  const stmt = db.prepare('SELECT * FROM reading_list WHERE bibcode = ?');
-  stmt.bind([bibcode]);
-
-  if (stmt.step()) {
-    const obj = stmt.getAsObject();
-    stmt.free();
-    // Parse authors JSON
-    if (obj.authors && typeof obj.authors === 'string') {
-      try {
-        obj.authors = JSON.parse(obj.authors);
-      } catch (e) {
-        obj.authors = [];
-      }
-    }
-    obj.isReadingList = true;
-    return obj;
-  }
-  stmt.free();
-  return null;
+  return core.getReadingListPaper(bibcode);
 }
 
 /**
@@ -1624,8 +1468,7 @@ function getReadingListPaper(bibcode) {
  * @returns {boolean}
  */
 function isInReadingList(bibcode) {
-  const results = db.exec('SELECT 1 FROM reading_list WHERE bibcode = ?', [bibcode]);
-  return results.length > 0 && results[0].values.length > 0;
+  return core.isInReadingList(bibcode);
 }
 
 /**
@@ -1634,22 +1477,7 @@ function isInReadingList(bibcode) {
  * @param {Object} updates - Fields to update
  */
 function updateReadingListPaper(bibcode, updates) {
-  const fields = [];
-  const values = [];
-
-  const allowedFields = ['pdf_path', 'pdf_source', 'last_viewed_date', 'view_position'];
-
-  for (const [key, value] of Object.entries(updates)) {
-    if (allowedFields.includes(key)) {
-      fields.push(`${key} = ?`);
-      values.push(value);
-    }
-  }
-
-  if (fields.length === 0) return;
-
-  values.push(bibcode);
-  db.run(`UPDATE reading_list SET ${fields.join(', ')} WHERE bibcode = ?`, values);
+  core.updateReadingListPaper(bibcode, updates);
   saveDatabase();
 }
 
@@ -1658,8 +1486,7 @@ function updateReadingListPaper(bibcode, updates) {
  * @returns {number}
  */
 function getReadingListCount() {
-  const results = db.exec('SELECT COUNT(*) FROM reading_list');
-  return results[0]?.values[0][0] || 0;
+  return core.getReadingListCount();
 }
 
 /**
@@ -1668,24 +1495,13 @@ function getReadingListCount() {
  * @returns {string[]} Array of bibcodes in reading list
  */
 function checkBibcodesInReadingList(bibcodes) {
-  if (!bibcodes || bibcodes.length === 0) return [];
-
-  const placeholders = bibcodes.map(() => '?').join(',');
-  const results = db.exec(
-    `SELECT bibcode FROM reading_list WHERE bibcode IN (${placeholders})`,
-    bibcodes
-  );
-
-  if (results.length === 0) return [];
-  return results[0].values.map(row => row[0]);
+  return core.checkBibcodesInReadingList(bibcodes);
 }
 
-// ============================================================================
-// PLUGIN DATA ARCHITECTURE (Schema V2)
+// ═══════════════════════════════════════════════════════════════════════════
+// PLUGIN DATA (see lib/database/plugin-data.js)
 // Paper sources, cached references/citations, deduplication
-// ============================================================================
-
-const schemaV2 = require('../lib/database/schema-v2.cjs');
+// ═══════════════════════════════════════════════════════════════════════════
 
 /**
  * Add a source link for a paper
@@ -1693,7 +1509,7 @@ const schemaV2 = require('../lib/database/schema-v2.cjs');
  * @returns {number} Source link ID
  */
 function addPaperSource(params) {
-  const result = schemaV2.addPaperSource(db, params);
+  const result = core.addPaperSource(params);
   saveDatabase();
   return result;
 }
@@ -1704,7 +1520,7 @@ function addPaperSource(params) {
  * @returns {Array}
  */
 function getPaperSources(paperId) {
-  return schemaV2.getPaperSources(db, paperId);
+  return core.getPaperSources(paperId);
 }
 
 /**
@@ -1713,7 +1529,7 @@ function getPaperSources(paperId) {
  * @returns {Object|null}
  */
 function findBestSourceForRefs(sources) {
-  return schemaV2.findBestSourceForRefs(sources);
+  return pluginData.findBestSourceForRefs(sources);
 }
 
 /**
@@ -1722,7 +1538,7 @@ function findBestSourceForRefs(sources) {
  * @returns {Object|null}
  */
 function findBestSourceForCites(sources) {
-  return schemaV2.findBestSourceForCites(sources);
+  return pluginData.findBestSourceForCites(sources);
 }
 
 /**
@@ -1731,7 +1547,7 @@ function findBestSourceForCites(sources) {
  * @returns {Object|null}
  */
 function findPaperByDOI(doi) {
-  return schemaV2.findPaperByDOI(db, doi);
+  return core.findPaperByDOI(doi);
 }
 
 /**
@@ -1740,7 +1556,7 @@ function findPaperByDOI(doi) {
  * @returns {Object|null}
  */
 function findPaperByArxiv(arxivId) {
-  return schemaV2.findPaperByArxiv(db, arxivId);
+  return core.findPaperByArxiv(arxivId);
 }
 
 /**
@@ -1749,10 +1565,11 @@ function findPaperByArxiv(arxivId) {
  * @param {string} source
  * @param {string} sourceId
  * @param {Object} capabilities
- * @returns {{paper: Object, isNew: boolean}}
+ * @returns {{paper: Object, isNew: boolean, inTrash: boolean}} inTrash when
+ *   the match is in the Trash, for the caller to restore
  */
 function findOrCreatePaper(paperData, source, sourceId, capabilities) {
-  const result = schemaV2.findOrCreatePaper(db, paperData, source, sourceId, capabilities);
+  const result = core.findOrCreatePaper(paperData, source, sourceId, capabilities);
   if (!result.isNew) {
     saveDatabase();
   }
@@ -1766,8 +1583,9 @@ function findOrCreatePaper(paperData, source, sourceId, capabilities) {
  * @param {string} sourcePlugin
  */
 function cacheReferences(paperId, refs, sourcePlugin) {
-  schemaV2.cacheReferences(db, paperId, refs, sourcePlugin);
+  core.cacheReferences(paperId, refs, sourcePlugin);
   saveDatabase();
+  recommendationIndex?.invalidate(paperId);
 }
 
 /**
@@ -1776,7 +1594,7 @@ function cacheReferences(paperId, refs, sourcePlugin) {
  * @returns {{refs: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
  */
 function getCachedReferences(paperId) {
-  return schemaV2.getCachedReferences(db, paperId);
+  return core.getCachedReferences(paperId);
 }
 
 /**
@@ -1786,7 +1604,7 @@ function getCachedReferences(paperId) {
  * @param {string} sourcePlugin
  */
 function cacheCitations(paperId, cites, sourcePlugin) {
-  schemaV2.cacheCitations(db, paperId, cites, sourcePlugin);
+  core.cacheCitations(paperId, cites, sourcePlugin);
   saveDatabase();
 }
 
@@ -1796,7 +1614,7 @@ function cacheCitations(paperId, cites, sourcePlugin) {
  * @returns {{cites: Array, sourcePlugin: string, cachedAt: string, isStale: boolean}}
  */
 function getCachedCitations(paperId) {
-  return schemaV2.getCachedCitations(db, paperId);
+  return core.getCachedCitations(paperId);
 }
 
 /**
@@ -1804,17 +1622,62 @@ function getCachedCitations(paperId) {
  * @param {number} paperId
  */
 function updateLibraryLinks(paperId) {
-  schemaV2.updateLibraryLinks(db, paperId);
+  core.updateLibraryLinks(paperId);
   saveDatabase();
 }
 
+/**
+ * Get a library paper with its cached references and citations, for walking
+ * the citation graph. Links to papers deleted or trashed since caching are dropped.
+ * @param {number} paperId
+ * @returns {{paper: Object, refs: Array, cites: Array}|null}
+ */
+function getCitationLinks(paperId) {
+  return core.getCitationLinks(paperId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECOMMENDATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Works outside the library and reading list that many library papers cite
+ * (see lib/database/recommendations.js)
+ * @param {Object} [options] - { limit, minCitedBy }
+ * @returns {{works: Object[], total: number}} Each work has citingPapers
+ *   ({id, title}, most weighted first) in place of citingPaperIds
+ */
+function getRecommendations(options = {}) {
+  const { works, total } = recommendationIndex.getRecommendations(options);
+
+  const titles = new Map();
+  const citingIds = [...new Set(works.flatMap(work => work.citingPaperIds))];
+  if (citingIds.length > 0) {
+    const results = db.exec(
+      `SELECT id, title FROM papers WHERE id IN (${citingIds.map(() => '?').join(', ')})`,
+      citingIds
+    );
+    if (results.length > 0) {
+      for (const [id, title] of results[0].values) titles.set(id, title);
+    }
+  }
+
+  return {
+    total,
+    works: works.map(({ citingPaperIds, ...work }) => ({
+      ...work,
+      citingPapers: citingPaperIds.map(id => ({ id, title: titles.get(id) || 'Untitled' }))
+    }))
+  };
+}
+
 /**
  * Check if cache is stale
  * @param {string} cachedAt - ISO date string
  * @returns {boolean}
  */
 function isCacheStale(cachedAt) {
-  return schemaV2.isCacheStale(cachedAt);
+  return pluginData.isCacheStale(cachedAt);
 }
 
 /**
@@ -1823,7 +1686,7 @@ function isCacheStale(cachedAt) {
  * @returns {number}
  */
 function daysSince(dateStr) {
-  return schemaV2.daysSince(dateStr);
+  return pluginData.daysSince(dateStr);
 }
 
 module.exports = {
@@ -1836,9 +1699,33 @@ module.exports = {
   deletePaper,
   getPaper,
   getPaperByBibcode,
+  trashPapers,
+  restorePapers,
+  purgePapers,
+  getTrashedPaperIds,
+  getExpiredTrashIds,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getPaperHistory,
+  revertPaperField,
+  setPaperFieldLocked,
+  getPaperAuthors,
+  getAuthor,
+  mergeAuthors,
+  mergeLibraryFiles,
+  getSnapshotStats,
+  getSnapshotPapers,
+  restorePapersFromSnapshot,
+  exportAnnotations,
   getAllPapers,
+  getPapersPage,
   searchPapersFullText,
+  // Full-text search index
+  syncSearchIndex,
+  rebuildSearchIndex,
+  getSearchIndexStatus,
   createCollection,
+  updateCollection,
   getCollections,
   addPaperToCollection,
   removePaperFromCollection,
@@ -1846,6 +1733,18 @@ module.exports = {
   getCollection,
   getPapersInSmartCollection,
   deleteCollection,
+  normalizeTagName,
+  getTags,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+  tagPapers,
+  untagPapers,
+  findDuplicatePapers,
+  mergePapers,
+  getPaperMerges,
+  undoPaperMerge,
   getStats,
   // LLM functions
   getSummary,
@@ -1873,7 +1772,6 @@ module.exports = {
   setPageRotations,
   // Schema version & metadata
   getSchemaVersion,
-  setSchemaVersion,
   getMetadata,
   setMetadata,
   // Paper files
@@ -1883,6 +1781,7 @@ module.exports = {
   updatePaperFile,
   getFileByHash,
   getPaperFilesByStatus,
+  getPaperFilesByIngestStatus,
   deletePaperFile,
   deletePaperFiles,
   // Smart ADS Searches
@@ -1918,6 +1817,8 @@ module.exports = {
   cacheCitations,
   getCachedCitations,
   updateLibraryLinks,
+  getCitationLinks,
+  getRecommendations,
   isCacheStale,
   daysSince
 };
@@ -152,7 +152,8 @@ async function exportLibrary(options, database, libraryPath, savePath, progressC
           pdf_path: p.pdf_path,
           pdf_source: p.pdf_source,
           import_source: p.import_source,
-          import_source_key: p.import_source_key
+          import_source_key: p.import_source_key,
+          tags: p.tags || []
         })),
         collections: collections.map(c => ({
           id: c.id,
@@ -166,6 +167,12 @@ async function exportLibrary(options, database, libraryPath, savePath, progressC
             .map(pc => pc.paper_bibcode)
             .filter(Boolean)
         })),
+        // Tag definitions carry colors; papers reference tags by full path
+        tags: (database.getTags ? database.getTags() : []).map(t => ({
+          name: t.name,
+          color: t.color,
+          created_date: t.created_date
+        })),
         refs: {},
         cites: {},
         annotations: {},
@@ -266,6 +273,7 @@ async function exportLibrary(options, database, libraryPath, savePath, progressC
       const stats = {
         paperCount: papers.length,
         collectionCount: collections.length,
+        tagCount: libraryData.tags.length,
         smartSearchCount: (libraryData.smartSearches || []).length,
         pdfCount: 0,
         annotationCount: 0,
@@ -380,6 +388,7 @@ async function previewImport(filePath) {
         ...manifest.stats,
         papers: libraryData.papers?.length || 0,
         collections: libraryData.collections?.length || 0,
+        tags: libraryData.tags?.length || 0,
         refs: Object.keys(libraryData.refs || {}).length,
         cites: Object.keys(libraryData.cites || {}).length,
         annotations: Object.keys(libraryData.annotations || {}).length
@@ -419,6 +428,7 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
         pdfsImported: 0,
         annotationsImported: 0,
         collectionsImported: 0,
+        tagsImported: 0,
         errors: []
       };
 
@@ -450,7 +460,7 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
 
       // If replace mode, clear existing papers
       if (mode === 'replace') {
-        const existingPapers = database.getAllPapers();
+        const existingPapers = database.getAllPapers({ trash: 'include' });
         for (const paper of existingPapers) {
           database.deletePaper(paper.id, false);
         }
@@ -459,6 +469,12 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
         for (const coll of existingCollections) {
           database.deleteCollection(coll.id);
         }
+        // Clear tags too (deleting a tag removes its nested tags)
+        if (database.getTags && database.deleteTag) {
+          for (const tag of database.getTags()) {
+            database.deleteTag(tag.id);
+          }
+        }
         // Clear smart searches too
         if (database.getAllSmartSearches && database.deleteSmartSearch) {
           const existingSearches = database.getAllSmartSearches();
@@ -469,6 +485,30 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
         database.saveDatabase();
       }
 
+      // Import tag definitions first so colors survive; papers add any missing tags
+      const canTag = !!(database.createTag && database.tagPapers);
+      if (canTag) {
+        for (const tag of libraryData.tags || []) {
+          try {
+            database.createTag(tag.name, tag.color || null);
+            results.tagsImported++;
+          } catch (e) {
+            results.errors.push(`Failed to import tag: ${tag.name} - ${e.message}`);
+          }
+        }
+      }
+
+      const applyTags = (paperId, tags) => {
+        if (!canTag || !Array.isArray(tags)) return;
+        for (const name of tags) {
+          try {
+            database.tagPapers([paperId], name, false);
+          } catch (e) {
+            results.errors.push(`Failed to tag paper with ${name} - ${e.message}`);
+          }
+        }
+      };
+
       // Import papers
       const bibcodeToNewId = {};
       const papers = libraryData.papers || [];
@@ -491,6 +531,8 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
           if (existingPaper) {
             results.papersSkipped++;
             bibcodeToNewId[paper.bibcode] = existingPaper.id;
+            // Tags merge into the existing paper
+            applyTags(existingPaper.id, paper.tags);
             continue;
           }
         }
@@ -504,6 +546,7 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
         try {
           const newId = database.addPaper(paperToImport);
           results.papersImported++;
+          applyTags(newId, paper.tags);
 
           if (paper.bibcode) {
             bibcodeToNewId[paper.bibcode] = newId;
@@ -663,6 +706,17 @@ async function importLibrary(options, database, libraryPath, progressCallback) {
 
                 // Update paper with pdf_path
                 database.updatePaper(paperId, { pdf_path: `papers/${filename}` }, false);
+
+                // Register it like any other PDF so its text gets extracted
+                database.addPaperFile(paperId, {
+                  filename,
+                  original_name: filename,
+                  mime_type: 'application/pdf',
+                  file_size: pdfEntry.content.length,
+                  file_role: 'pdf',
+                  source_type: 'IMPORTED',
+                  status: 'ready'
+                });
                 results.pdfsImported++;
               } catch (e) {
                 results.errors.push(`Failed to import PDF: ${filename} - ${e.message}`);
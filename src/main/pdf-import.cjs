@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { pathToFileURL } = require('url');
 const os = require('os');
 
 const execAsync = promisify(exec);
@@ -133,8 +134,43 @@ async function runOcr(pdfPath, outputPath) {
   return false;
 }
 
-// Extract text from PDF using pdftotext, with OCR fallback for scanned documents
+// Shared in-process extractor (ESM), loaded on first use
+let textExtraction = null;
+async function loadTextExtraction() {
+  if (!textExtraction) {
+    textExtraction = await import(pathToFileURL(path.join(__dirname, '../lib/pdf/text-extraction.js')).href);
+  }
+  return textExtraction;
+}
+
+// Page layout stored next to a text file (same naming as layoutPathForText
+// in lib/pdf/text-extraction.js, which is ESM and can't be required here)
+function layoutPathForText(textPath) {
+  return textPath.replace(/\.txt$/i, '') + '.pages.json';
+}
+
+// Extract text from PDF in-process, writing the page layout next to the text.
+// Falls back to pdftotext, then OCR for scanned documents
 async function extractText(pdfPath, outputPath) {
+  const layoutPath = layoutPathForText(outputPath);
+
+  try {
+    const { extractPdfText } = await loadTextExtraction();
+    const { text, layout } = await extractPdfText(fs.readFileSync(pdfPath));
+    fs.writeFileSync(outputPath, text);
+
+    if (isTextMeaningful(outputPath)) {
+      fs.writeFileSync(layoutPath, JSON.stringify(layout));
+      return true;
+    }
+    console.log('PDF appears to be scanned (minimal text extracted), attempting OCR...');
+  } catch (error) {
+    console.warn('In-process text extraction failed, trying pdftotext:', error.message);
+  }
+
+  // Text from the tools below has no layout; don't keep one from an earlier run
+  if (fs.existsSync(layoutPath)) fs.unlinkSync(layoutPath);
+
   try {
     // Try pdftotext first (from poppler or xpdf)
     const escapedPdf = pdfPath.replace(/'/g, "'\\''");
@@ -474,9 +510,11 @@ function deletePaperFiles(libraryPath, pdfPath, textPath) {
   }
 
   if (textPath) {
-    const fullTextPath = path.join(libraryPath, textPath);
-    if (fs.existsSync(fullTextPath)) {
-      fs.unlinkSync(fullTextPath);
+    for (const filePath of [textPath, layoutPathForText(textPath)]) {
+      const fullPath = path.join(libraryPath, filePath);
+      if (fs.existsSync(fullPath)) {
+        fs.unlinkSync(fullPath);
+      }
     }
   }
 }
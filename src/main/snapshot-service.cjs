@@ -0,0 +1,251 @@
+// Bibliac - Library Snapshot Service
+// Scheduled copies of library.sqlite in the library's backups/ folder,
+// thinned to a few per hour, day and week
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FOLDER = 'backups';
+
+/**
+ * Snapshot settings used until the user changes them
+ */
+const DEFAULT_SNAPSHOT_SETTINGS = {
+  enabled: true,
+  intervalHours: 1,
+  includeAnnotations: false,  // Also write annotations-<time>.json
+  keepHourly: 24,
+  keepDaily: 7,
+  keepWeekly: 8
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// library-2024-03-01T10-00-00Z.sqlite: the time (UTC) it was taken
+const SNAPSHOT_FILE_PATTERN = /^library-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})Z\.sqlite$/;
+
+/**
+ * Settings with anything missing or invalid replaced by the default
+ * @param {Object} [settings]
+ * @returns {Object}
+ */
+function normalizeSettings(settings = {}) {
+  const result = { ...DEFAULT_SNAPSHOT_SETTINGS };
+  if (typeof settings.enabled === 'boolean') result.enabled = settings.enabled;
+  if (typeof settings.includeAnnotations === 'boolean') result.includeAnnotations = settings.includeAnnotations;
+  for (const key of ['intervalHours', 'keepHourly', 'keepDaily', 'keepWeekly']) {
+    const value = Number(settings[key]);
+    if (Number.isInteger(value) && value >= 0) result[key] = value;
+  }
+  result.intervalHours = Math.max(result.intervalHours, 1);
+  return result;
+}
+
+/**
+ * File name of a snapshot taken at a given time
+ * @param {Date} date
+ * @returns {string}
+ */
+function snapshotFileName(date) {
+  return `library-${date.toISOString().slice(0, 19).replace(/:/g, '-')}Z.sqlite`;
+}
+
+/**
+ * When a snapshot was taken, from its file name
+ * @param {string} filename
+ * @returns {Date|null} Null if it isn't a snapshot file
+ */
+function parseSnapshotDate(filename) {
+  const match = SNAPSHOT_FILE_PATTERN.exec(filename);
+  if (!match) return null;
+  const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The annotations JSON written next to a snapshot
+ * @param {string} filename - Snapshot file name
+ * @returns {string}
+ */
+function annotationsFileName(filename) {
+  return filename.replace(/^library-/, 'annotations-').replace(/\.sqlite$/, '.json');
+}
+
+/**
+ * Snapshots of a library, newest first
+ * @param {string} libraryPath
+ * @returns {{filename: string, path: string, date: Date, modified: Date, size: number,
+ *   hasAnnotations: boolean}[]}
+ */
+function listSnapshots(libraryPath) {
+  const folder = path.join(libraryPath, SNAPSHOT_FOLDER);
+  if (!fs.existsSync(folder)) return [];
+
+  const files = new Set(fs.readdirSync(folder));
+  const snapshots = [];
+  for (const filename of files) {
+    const date = parseSnapshotDate(filename);
+    if (!date) continue;
+    const filePath = path.join(folder, filename);
+    const stat = fs.statSync(filePath);
+    snapshots.push({
+      filename,
+      path: filePath,
+      date,
+      modified: stat.mtime,
+      size: stat.size,
+      hasAnnotations: files.has(annotationsFileName(filename))
+    });
+  }
+  return snapshots.sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Path of a snapshot by file name, or null if there is no such snapshot
+ * @param {string} libraryPath
+ * @param {string} filename
+ * @returns {string|null}
+ */
+function getSnapshotPath(libraryPath, filename) {
+  if (typeof filename !== 'string' || !parseSnapshotDate(filename)) return null;
+  const filePath = path.join(libraryPath, SNAPSHOT_FOLDER, filename);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RETENTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pick the snapshots to keep: the newest snapshot of each of the last
+ * keepHourly hours, keepDaily days and keepWeekly weeks (UTC, weeks starting
+ * Monday) that have one. The newest snapshot is always kept.
+ * @param {{date: Date}[]} snapshots
+ * @param {Object} settings
+ * @returns {Set<Object>} The snapshots to keep
+ */
+function selectSnapshotsToKeep(snapshots, settings) {
+  const { keepHourly, keepDaily, keepWeekly } = normalizeSettings(settings);
+  const sorted = [...snapshots].sort((a, b) => b.date - a.date);
+  const keep = new Set(sorted.slice(0, 1));
+
+  const tiers = [
+    { count: keepHourly, bucket: date => Math.floor(date.getTime() / HOUR_MS) },
+    { count: keepDaily, bucket: date => Math.floor(date.getTime() / DAY_MS) },
+    // 1 January 1970 was a Thursday
+    { count: keepWeekly, bucket: date => Math.floor((date.getTime() / DAY_MS + 3) / 7) }
+  ];
+  for (const { count, bucket } of tiers) {
+    const buckets = new Set();
+    for (const snapshot of sorted) {
+      if (buckets.size >= count) break;
+      const key = bucket(snapshot.date);
+      if (buckets.has(key)) continue;
+      buckets.add(key);
+      keep.add(snapshot);
+    }
+  }
+  return keep;
+}
+
+/**
+ * Delete the snapshots the retention settings no longer keep
+ * @param {string} libraryPath
+ * @param {Object} settings
+ * @returns {number} Snapshots deleted
+ */
+function pruneSnapshots(libraryPath, settings) {
+  const snapshots = listSnapshots(libraryPath);
+  const keep = selectSnapshotsToKeep(snapshots, settings);
+
+  let deleted = 0;
+  for (const snapshot of snapshots) {
+    if (keep.has(snapshot)) continue;
+    try {
+      fs.unlinkSync(snapshot.path);
+      const annotationsPath = path.join(path.dirname(snapshot.path), annotationsFileName(snapshot.filename));
+      if (fs.existsSync(annotationsPath)) fs.unlinkSync(annotationsPath);
+      deleted++;
+    } catch (error) {
+      console.warn(`[Snapshots] Could not delete ${snapshot.filename}:`, error.message);
+    }
+  }
+  return deleted;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TAKING SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a scheduled snapshot should be taken: the last one is older than
+ * the interval and the library has been saved since
+ * @param {string} libraryPath
+ * @param {Object} settings
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isSnapshotDue(libraryPath, settings, now = new Date()) {
+  const { enabled, intervalHours } = normalizeSettings(settings);
+  const libraryDbPath = path.join(libraryPath, 'library.sqlite');
+  if (!enabled || !fs.existsSync(libraryDbPath)) return false;
+
+  const [latest] = listSnapshots(libraryPath);
+  if (!latest) return true;
+  if (now - latest.date < intervalHours * HOUR_MS) return false;
+  return fs.statSync(libraryDbPath).mtime > latest.modified;
+}
+
+/**
+ * Save the open library and copy it into the backups folder
+ * @param {Object} database - Database module instance
+ * @param {string} libraryPath
+ * @param {Object} settings
+ * @param {Date} [now]
+ * @returns {Object} The snapshot, as listed by listSnapshots
+ */
+function createSnapshot(database, libraryPath, settings, now = new Date()) {
+  const { includeAnnotations } = normalizeSettings(settings);
+  const folder = path.join(libraryPath, SNAPSHOT_FOLDER);
+  fs.mkdirSync(folder, { recursive: true });
+
+  database.saveDatabase();
+
+  // Copy under a temporary name so a half-written snapshot is never listed
+  const filename = snapshotFileName(now);
+  const snapshotPath = path.join(folder, filename);
+  fs.copyFileSync(path.join(libraryPath, 'library.sqlite'), `${snapshotPath}.partial`);
+  fs.renameSync(`${snapshotPath}.partial`, snapshotPath);
+
+  if (includeAnnotations) {
+    fs.writeFileSync(
+      path.join(folder, annotationsFileName(filename)),
+      JSON.stringify(database.exportAnnotations(), null, 2)
+    );
+  }
+
+  const stat = fs.statSync(snapshotPath);
+  return {
+    filename,
+    path: snapshotPath,
+    date: parseSnapshotDate(filename),
+    modified: stat.mtime,
+    size: stat.size,
+    hasAnnotations: includeAnnotations
+  };
+}
+
+module.exports = {
+  SNAPSHOT_FOLDER,
+  DEFAULT_SNAPSHOT_SETTINGS,
+  normalizeSettings,
+  snapshotFileName,
+  parseSnapshotDate,
+  listSnapshots,
+  getSnapshotPath,
+  selectSnapshotsToKeep,
+  pruneSnapshots,
+  isSnapshotDue,
+  createSnapshot
+};
@@ -14,9 +14,30 @@ const {
   PDF_SOURCE_TYPES,
   AUTH_TYPES
 } = require('../../lib/plugins/types.cjs');
+const {
+  tokenizeQuery,
+  splitFieldToken,
+  parseYearValue
+} = require('../../lib/plugins/query.cjs');
 
 const adsApi = require('../../main/ads-api.cjs');
 
+/**
+ * ADS search fields that map to UnifiedQuery fields
+ */
+const ADS_QUERY_FIELDS = {
+  title: 'title',
+  author: 'author',
+  abs: 'abstract',
+  abstract: 'abstract',
+  full: 'fullText',
+  year: 'year',
+  doi: 'doi',
+  arxiv: 'arxivId',
+  bibcode: 'bibcode',
+  keyword: 'keywords'
+};
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -47,7 +68,17 @@ function adsDocToPaper(adsDoc) {
 }
 
 /**
- * Convert UnifiedQuery to ADS query string
+ * Quote a value for an ADS field search
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteADS(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Convert UnifiedQuery to ADS query string. Clauses are ANDed (ADS joins
+ * space-separated terms with AND).
  * @param {Object} query - UnifiedQuery object
  * @returns {string} ADS query string
  */
@@ -59,31 +90,30 @@ function translateQueryToADS(query) {
 
   const parts = [];
 
-  // Exact lookups
+  // Identifiers
   if (query.bibcode) {
-    return `bibcode:"${query.bibcode}"`;
+    parts.push(`bibcode:${quoteADS(query.bibcode)}`);
   }
   if (query.doi) {
-    return `doi:"${query.doi}"`;
+    parts.push(`doi:${quoteADS(query.doi)}`);
   }
   if (query.arxivId) {
     const normalizedId = query.arxivId.replace(/^arXiv:/i, '');
-    return `arxiv:${normalizedId}`;
+    parts.push(`arxiv:${normalizedId}`);
   }
 
   // Field searches
   if (query.title) {
-    parts.push(`title:"${query.title}"`);
+    parts.push(`title:${quoteADS(query.title)}`);
   }
   if (query.author) {
-    // Use ^ for first author if specified
-    parts.push(`author:"${query.author}"`);
+    parts.push(`author:${quoteADS(query.author)}`);
   }
   if (query.abstract) {
-    parts.push(`abs:"${query.abstract}"`);
+    parts.push(`abs:${quoteADS(query.abstract)}`);
   }
   if (query.fullText) {
-    parts.push(`full:"${query.fullText}"`);
+    parts.push(`full:${quoteADS(query.fullText)}`);
   }
 
   // Year filter
@@ -95,15 +125,80 @@ function translateQueryToADS(query) {
     }
   }
 
-  // Keywords
+  // Keywords (any of them)
   if (query.keywords && query.keywords.length > 0) {
-    const kwQuery = query.keywords.map(kw => `keyword:"${kw}"`).join(' OR ');
-    parts.push(`(${kwQuery})`);
+    const kwQuery = query.keywords.map(kw => `keyword:${quoteADS(kw)}`).join(' OR ');
+    parts.push(query.keywords.length > 1 ? `(${kwQuery})` : kwQuery);
   }
 
   return parts.join(' ');
 }
 
+/**
+ * Parse an ADS query string back into a UnifiedQuery. Unfielded terms become
+ * fullText.
+ * @param {string} text - ADS query
+ * @returns {Object|null} UnifiedQuery, or null if the query uses ADS syntax
+ *   with no UnifiedQuery equivalent (other fields, OR/NOT, first-author ^, ...)
+ */
+function parseADSQuery(text) {
+  const tokens = tokenizeQuery(text);
+  const query = {};
+  const freeText = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === 'AND') continue;
+
+    // (keyword:"a" OR keyword:"b")
+    if (token === '(') {
+      const close = tokens.indexOf(')', i);
+      const inner = tokens.slice(i + 1, close);
+      if (close < 0 || query.keywords || inner.length === 0) return null;
+      const keywords = [];
+      for (let j = 0; j < inner.length; j++) {
+        if (j % 2 === 1) {
+          if (inner[j] !== 'OR') return null;
+          continue;
+        }
+        const { field, value } = splitFieldToken(inner[j]);
+        if (field !== 'keyword') return null;
+        keywords.push(value);
+      }
+      query.keywords = keywords;
+      i = close;
+      continue;
+    }
+
+    const { field, value } = splitFieldToken(token);
+    if (!field) {
+      if (['OR', 'NOT', ')'].includes(token)) return null;
+      freeText.push(token);
+      continue;
+    }
+
+    const key = ADS_QUERY_FIELDS[field.toLowerCase()];
+    if (!key || key in query || !value) return null;
+
+    if (key === 'year') {
+      query.year = parseYearValue(value);
+      if (query.year === null) return null;
+    } else if (key === 'keywords') {
+      query.keywords = [value];
+    } else if (key === 'author' && value.startsWith('^')) {
+      return null;
+    } else {
+      query[key] = value;
+    }
+  }
+
+  if (freeText.length > 0) {
+    if (query.fullText) return null;
+    query.fullText = freeText.join(' ');
+  }
+  return query;
+}
+
 /**
  * Convert sort option to ADS format
  * @param {string} sort - Sort option ('date', 'citations', 'relevance')
@@ -216,7 +311,8 @@ const adsPlugin = {
     supportsFieldSearch: true,
     maxResults: 2000,
     queryLanguage: 'ads',
-    sortOptions: ['date', 'citations', 'relevance']
+    sortOptions: ['date', 'citations', 'relevance'],
+    queryFields: ['title', 'author', 'abstract', 'fullText', 'year', 'doi', 'arxivId', 'bibcode', 'keywords']
   },
 
   // Search UI configuration
@@ -350,6 +446,15 @@ Return ONLY the query string, no explanation.`,
     return translateQueryToADS(query);
   },
 
+  /**
+   * Parse an ADS query back into a UnifiedQuery
+   * @param {string} text
+   * @returns {UnifiedQuery|null}
+   */
+  parseNativeQuery(text) {
+    return parseADSQuery(text);
+  },
+
   /**
    * Search for papers
    * @param {UnifiedQuery} query
@@ -601,6 +706,7 @@ module.exports = {
   adsPlugin,
   // Also export helper functions for testing
   translateQueryToADS,
+  parseADSQuery,
   adsDocToPaper,
   esourcesToPdfSources
 };
@@ -18,6 +18,11 @@ const {
   createDefaultSearchCapabilities,
   PDF_SOURCE_TYPES
 } = require('../../lib/plugins/types.cjs');
+const {
+  tokenizeQuery,
+  splitFieldToken,
+  parseYearValue
+} = require('../../lib/plugins/query.cjs');
 
 // =============================================================================
 // Constants
@@ -303,6 +308,19 @@ function parseTotalResults(xml) {
 // Query Translation
 // =============================================================================
 
+/**
+ * arXiv search_query prefixes that map to UnifiedQuery fields
+ */
+const ARXIV_QUERY_FIELDS = {
+  ti: 'title',
+  au: 'author',
+  abs: 'abstract',
+  all: 'fullText',
+  id: 'arxivId',
+  cat: 'keywords',
+  submittedDate: 'year'
+};
+
 /**
  * Translate UnifiedQuery to arXiv query string
  * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
@@ -331,30 +349,94 @@ function translateQuery(query) {
     parts.push(`abs:${escapeQueryTerm(query.abstract)}`);
   }
 
-  // Full-text/all fields search
+  // All-fields search (arXiv has no full-text search)
   if (query.fullText) {
     parts.push(`all:${escapeQueryTerm(query.fullText)}`);
   }
 
-  // arXiv ID lookup
+  // arXiv ID (search() looks these up with id_list instead)
   if (query.arxivId) {
-    const normalized = normalizeArxivId(query.arxivId);
-    // Use id_list for exact ID lookup (handled separately in search)
-    return `id:${normalized}`;
+    parts.push(`id:${normalizeArxivId(query.arxivId)}`);
+  }
+
+  // Year filter on submission date
+  if (query.year) {
+    const [from, to] = Array.isArray(query.year) ? query.year : [query.year, query.year];
+    parts.push(`submittedDate:[${from}01010000 TO ${to}12312359]`);
   }
 
   // Keywords (search in categories)
   if (query.keywords && query.keywords.length > 0) {
     const catQueries = query.keywords.map(k => `cat:${escapeQueryTerm(k)}`);
-    parts.push(`(${catQueries.join(' OR ')})`);
+    parts.push(catQueries.length > 1 ? `(${catQueries.join(' OR ')})` : catQueries[0]);
   }
 
-  // If no specific fields, use 'all' for any text
-  if (parts.length === 0 && query.fullText) {
-    parts.push(`all:${escapeQueryTerm(query.fullText)}`);
+  return parts.join(' AND ');
+}
+
+/**
+ * Parse an arXiv search_query back into a UnifiedQuery. Unprefixed terms
+ * become fullText.
+ * @param {string} text
+ * @returns {import('../../lib/plugins/types.cjs').UnifiedQuery|null} null if
+ *   the query uses syntax with no UnifiedQuery equivalent (OR, ANDNOT, other prefixes)
+ */
+function parseQuery(text) {
+  const tokens = tokenizeQuery(text);
+  const query = {};
+  const freeText = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === 'AND') continue;
+
+    // (cat:a OR cat:b)
+    if (token === '(') {
+      const close = tokens.indexOf(')', i);
+      const inner = tokens.slice(i + 1, close);
+      if (close < 0 || query.keywords || inner.length === 0) return null;
+      const keywords = [];
+      for (let j = 0; j < inner.length; j++) {
+        if (j % 2 === 1) {
+          if (inner[j] !== 'OR') return null;
+          continue;
+        }
+        const { field, value } = splitFieldToken(inner[j]);
+        if (field !== 'cat') return null;
+        keywords.push(value);
+      }
+      query.keywords = keywords;
+      i = close;
+      continue;
+    }
+
+    const { field, value } = splitFieldToken(token);
+    if (!field) {
+      if (['OR', 'ANDNOT', ')'].includes(token)) return null;
+      freeText.push(token);
+      continue;
+    }
+
+    const key = ARXIV_QUERY_FIELDS[field];
+    if (!key || key in query || !value) return null;
+
+    if (key === 'year') {
+      // submittedDate:[YYYYMMDDhhmm TO YYYYMMDDhhmm]
+      const range = value.match(/^\[(\d{4})\d*\s+TO\s+(\d{4})\d*\]$/);
+      query.year = range ? parseYearValue(`${range[1]}-${range[2]}`) : null;
+      if (query.year === null) return null;
+    } else if (key === 'keywords') {
+      query.keywords = [value];
+    } else {
+      query[key] = value;
+    }
   }
 
-  return parts.join(' AND ');
+  if (freeText.length > 0) {
+    if (query.fullText) return null;
+    query.fullText = freeText.join(' ');
+  }
+  return query;
 }
 
 /**
@@ -433,12 +515,13 @@ const arxivPlugin = {
     supportsFullText: false,  // arXiv only searches metadata
     supportsReferences: false,
     supportsCitations: false,
-    supportsDateRange: false, // Date filtering is limited
+    supportsDateRange: true,  // On submission date
     supportsBooleanOperators: true,
     supportsFieldSearch: true,
     maxResults: 2000,  // arXiv has a 2000 result limit per query
     queryLanguage: 'arxiv',
-    sortOptions: ['date', 'relevance']
+    sortOptions: ['date', 'relevance'],
+    queryFields: ['title', 'author', 'abstract', 'fullText', 'year', 'arxivId', 'keywords']
   },
 
   // Search UI configuration
@@ -601,6 +684,8 @@ Return ONLY the query string, no explanation.`,
 
   translateQuery,
 
+  parseNativeQuery: parseQuery,
+
   // ===========================================================================
   // Record Lookup
   // ===========================================================================
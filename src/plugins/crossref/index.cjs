@@ -0,0 +1,864 @@
+/**
+ * Crossref Plugin
+ *
+ * Provides search, DOI lookup, references and BibTeX for works registered
+ * with Crossref - most journal articles, across all disciplines. Useful for
+ * chemistry, biology and other fields that ADS and INSPIRE do not cover.
+ *
+ * API Documentation: https://api.crossref.org/swagger-ui/index.html
+ * Etiquette: https://www.crossref.org/documentation/retrieve-metadata/rest-api/tips-for-using-the-crossref-rest-api/
+ * Rate Limit: reported per response in X-Rate-Limit-Limit / X-Rate-Limit-Interval.
+ * Requests carrying a contact address (mailto) go to the faster "polite" pool.
+ */
+
+'use strict';
+
+const https = require('https');
+const {
+  createPaper,
+  createDefaultCapabilities,
+  createDefaultSearchCapabilities,
+  PDF_SOURCE_TYPES
+} = require('../../lib/plugins/types.cjs');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const CROSSREF_API_BASE = 'https://api.crossref.org';
+const DOI_RESOLVER_BASE = 'https://doi.org';
+
+// Default limits until the API reports its own (requests per window)
+const RATE_LIMIT_WINDOW_MS = 1000;
+const POLITE_RATE_LIMIT = 10;
+const PUBLIC_RATE_LIMIT = 5;
+
+// DOIs per filter query in getBatch (keeps URLs well under length limits)
+const BATCH_SIZE = 50;
+
+const MAX_REDIRECTS = 5;
+
+// Fields requested for search and batch results. Reference lists are left
+// out: they can be thousands of entries and are only needed by getReferences.
+const LIST_FIELDS = [
+  'DOI', 'title', 'subtitle', 'author', 'container-title', 'issued', 'published-print',
+  'published-online', 'created', 'abstract', 'subject', 'is-referenced-by-count',
+  'references-count', 'type', 'publisher', 'volume', 'issue', 'page', 'URL', 'link', 'relation'
+].join(',');
+
+// Query-string fields (field:value) and the Crossref parameter each maps to
+const QUERY_FIELDS = {
+  author: 'query.author',
+  title: 'query.bibliographic',
+  journal: 'query.container-title',
+  publisher: 'query.publisher-name',
+  affiliation: 'query.affiliation'
+};
+
+// Query-string fields that become filters
+const FILTER_FIELDS = {
+  doi: 'doi',
+  type: 'type',
+  orcid: 'orcid',
+  issn: 'issn'
+};
+
+// =============================================================================
+// HTTP Request Helper
+// =============================================================================
+
+/**
+ * Make an HTTPS GET request, following redirects (doi.org content
+ * negotiation redirects to the registration agency)
+ * @param {string} url - Full URL to fetch
+ * @param {Object} options
+ * @param {string} options.accept - Accept header
+ * @param {string} options.userAgent - User-Agent header
+ * @param {number} [redirects=0] - Redirects followed so far
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function httpsGet(url, { accept, userAgent }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    console.log('[Crossref] HTTP GET:', url);
+
+    const urlObj = new URL(url);
+    const options = {
+      hostname: urlObj.hostname,
+      port: 443,
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': accept
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error('Crossref: too many redirects'));
+          return;
+        }
+        const next = new URL(res.headers.location, url).toString();
+        httpsGet(next, { accept, userAgent }, redirects + 1).then(resolve, reject);
+        return;
+      }
+
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        console.log('[Crossref] HTTP response status:', res.statusCode);
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.on('error', (err) => {
+      console.error('[Crossref] Request error:', err.message);
+      reject(err);
+    });
+
+    req.end();
+  });
+}
+
+// =============================================================================
+// Paper Transformation
+// =============================================================================
+
+/**
+ * Year from a Crossref date object ({ 'date-parts': [[2013, 8, 1]] })
+ * @param {Object} [date]
+ * @returns {number|null}
+ */
+function yearFromDate(date) {
+  const year = date?.['date-parts']?.[0]?.[0];
+  return Number.isInteger(year) ? year : null;
+}
+
+/**
+ * Strip JATS markup from a Crossref abstract
+ * @param {string} [abstract]
+ * @returns {string}
+ */
+function cleanAbstract(abstract) {
+  if (!abstract) return '';
+  return abstract
+    .replace(/<jats:title>[\s\S]*?<\/jats:title>/g, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format a Crossref contributor as "Family, Given" (the form ADS uses)
+ * @param {Object} author
+ * @returns {string}
+ */
+function formatAuthor(author) {
+  if (author.family) {
+    return author.given ? `${author.family}, ${author.given}` : author.family;
+  }
+  return author.name || author.given || '';
+}
+
+/**
+ * arXiv ID of a work: arXiv's own DOIs, or a preprint relation
+ * @param {Object} item - Crossref work
+ * @returns {string|null}
+ */
+function extractArxivId(item) {
+  const fromDoi = (doi) => doi?.match(/^10\.48550\/arxiv\.(.+)$/i)?.[1] || null;
+
+  const own = fromDoi(item.DOI);
+  if (own) return own;
+
+  for (const relation of item.relation?.['has-preprint'] || []) {
+    if (relation['id-type'] === 'arxiv') return relation.id.replace(/^arxiv:/i, '');
+    if (relation['id-type'] === 'doi' && fromDoi(relation.id)) return fromDoi(relation.id);
+  }
+  return null;
+}
+
+/**
+ * Transform a Crossref work to the unified Paper format
+ * @param {Object} item - Crossref work (message of /works/{doi}, or a list item)
+ * @returns {import('../../lib/plugins/types.cjs').Paper}
+ */
+function transformWorkToPaper(item) {
+  let title = item.title?.[0] || 'Untitled';
+  if (item.subtitle?.[0]) title += `: ${item.subtitle[0]}`;
+
+  const year = yearFromDate(item.issued) ||
+    yearFromDate(item['published-print']) ||
+    yearFromDate(item['published-online']) ||
+    yearFromDate(item.created);
+
+  return createPaper({
+    title,
+    authors: (item.author || []).map(formatAuthor).filter(Boolean),
+    abstract: cleanAbstract(item.abstract),
+    year,
+    journal: item['container-title']?.[0] || '',
+    doi: item.DOI,
+    arxivId: extractArxivId(item),
+    citationCount: item['is-referenced-by-count'] || 0,
+    keywords: item.subject || [],
+    // Crossref-specific metadata
+    _crossref: {
+      type: item.type,
+      publisher: item.publisher,
+      volume: item.volume,
+      issue: item.issue,
+      page: item.page,
+      url: item.URL,
+      referenceCount: item['references-count'] ?? item['reference-count'] ?? 0,
+      links: item.link || []
+    }
+  }, 'crossref', item.DOI);
+}
+
+/**
+ * Transform an entry of a work's reference list. Entries are whatever the
+ * publisher deposited: often only a DOI, sometimes only an unstructured string.
+ * @param {Object} ref - Crossref reference entry
+ * @returns {import('../../lib/plugins/types.cjs').Paper}
+ */
+function transformReferenceToPaper(ref) {
+  const year = parseInt(ref.year, 10);
+  return createPaper({
+    title: ref['article-title'] || ref['volume-title'] || ref.unstructured || 'Untitled',
+    authors: ref.author ? [ref.author] : [],
+    year: Number.isNaN(year) ? null : year,
+    journal: ref['journal-title'] || '',
+    doi: ref.DOI || null
+  }, 'crossref', ref.DOI || ref.key);
+}
+
+// =============================================================================
+// Query Translation
+// =============================================================================
+
+/**
+ * Quote a query-string value if it contains spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  const text = String(value);
+  return /\s/.test(text) ? `"${text.replace(/"/g, '')}"` : text;
+}
+
+/**
+ * Translate UnifiedQuery to a Crossref query string (field:value terms, see
+ * parseQuery)
+ * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
+ * @returns {string}
+ */
+function translateQuery(query) {
+  // Raw query passed directly
+  if (query.raw) {
+    return query.raw;
+  }
+
+  const parts = [];
+
+  if (query.author) {
+    parts.push(`author:${quote(query.author)}`);
+  }
+
+  if (query.title) {
+    parts.push(`title:${quote(query.title)}`);
+  }
+
+  if (query.year) {
+    if (Array.isArray(query.year)) {
+      parts.push(`year:${query.year[0]}-${query.year[1]}`);
+    } else {
+      parts.push(`year:${query.year}`);
+    }
+  }
+
+  if (query.doi) {
+    parts.push(`doi:${query.doi}`);
+  }
+
+  // Crossref has no abstract field search; abstract and keyword terms go
+  // to the general query, which matches against all bibliographic metadata
+  if (query.abstract) {
+    parts.push(query.abstract);
+  }
+
+  if (query.keywords && query.keywords.length > 0) {
+    parts.push(query.keywords.join(' '));
+  }
+
+  if (query.fullText) {
+    parts.push(query.fullText);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Parse a Crossref query string into API parameters.
+ *
+ * Supports author:, title:, journal:, publisher:, affiliation: (field
+ * queries), year:2020 / year:2018-2022 / year:2018- (publication date),
+ * doi:, type:, orcid: and issn: (filters). Values with spaces are quoted.
+ * Anything else is a free-text query over all bibliographic metadata.
+ *
+ * @param {string} queryString
+ * @returns {URLSearchParams}
+ */
+function parseQuery(queryString) {
+  const params = new URLSearchParams();
+  const filters = [];
+  const freeText = [];
+
+  const termPattern = /(\w+):("([^"]*)"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = termPattern.exec(queryString)) !== null) {
+    const [, rawField, rawValue, quotedValue, quotedText, word] = match;
+    const field = rawField?.toLowerCase();
+    const value = quotedValue ?? rawValue;
+
+    if (field && QUERY_FIELDS[field]) {
+      const param = QUERY_FIELDS[field];
+      params.set(param, params.has(param) ? `${params.get(param)} ${value}` : value);
+    } else if (field && FILTER_FIELDS[field]) {
+      filters.push(`${FILTER_FIELDS[field]}:${value}`);
+    } else if (field === 'year') {
+      const [from, until] = value.split('-');
+      if (from) filters.push(`from-pub-date:${from}`);
+      if (until !== undefined) {
+        if (until) filters.push(`until-pub-date:${until}`);
+      } else if (from) {
+        filters.push(`until-pub-date:${from}`);
+      }
+    } else {
+      freeText.push(quotedText !== undefined ? `"${quotedText}"` : match[0]);
+    }
+  }
+
+  if (freeText.length > 0) params.set('query', freeText.join(' '));
+  if (filters.length > 0) params.set('filter', filters.join(','));
+  return params;
+}
+
+/**
+ * Map sort option to Crossref sort parameter
+ * @param {'date'|'citations'|'relevance'} sort
+ * @returns {string}
+ */
+function mapSortBy(sort) {
+  switch (sort) {
+    case 'date':
+      return 'published';
+    case 'citations':
+      return 'is-referenced-by-count';
+    case 'relevance':
+    default:
+      return 'relevance';
+  }
+}
+
+// =============================================================================
+// Rate Limiting
+// =============================================================================
+
+/** @type {number[]} Track request times for rate limiting */
+let requestTimes = [];
+
+/** Limits reported by the API, or null until the first response */
+let reportedLimit = null;
+let reportedWindowMs = null;
+
+/**
+ * Current requests-per-window limit: what Crossref last reported, else the
+ * documented default for the pool we are in
+ * @param {boolean} polite - Whether requests carry a mailto
+ * @returns {{limit: number, windowMs: number}}
+ */
+function currentLimit(polite) {
+  return {
+    limit: reportedLimit || (polite ? POLITE_RATE_LIMIT : PUBLIC_RATE_LIMIT),
+    windowMs: reportedWindowMs || RATE_LIMIT_WINDOW_MS
+  };
+}
+
+/**
+ * Record the limits from a response's X-Rate-Limit-* headers
+ * @param {Object} headers
+ */
+function updateRateLimit(headers) {
+  const limit = parseInt(headers?.['x-rate-limit-limit'], 10);
+  const interval = headers?.['x-rate-limit-interval']?.match(/^(\d+)s$/);
+  if (limit > 0) reportedLimit = limit;
+  if (interval) reportedWindowMs = parseInt(interval[1], 10) * 1000;
+}
+
+/**
+ * Wait for rate limit if necessary
+ * @param {boolean} polite - Whether requests carry a mailto
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit(polite) {
+  const { limit, windowMs } = currentLimit(polite);
+  const now = Date.now();
+  requestTimes = requestTimes.filter(t => now - t < windowMs);
+
+  if (requestTimes.length >= limit) {
+    const waitTime = windowMs - (now - requestTimes[0]) + 50;
+    console.log('[Crossref] Rate limit: waiting', waitTime, 'ms');
+    await new Promise(resolve => setTimeout(resolve, waitTime));
+    requestTimes = requestTimes.filter(t => Date.now() - t < windowMs);
+  }
+
+  requestTimes.push(Date.now());
+}
+
+// =============================================================================
+// Crossref Plugin
+// =============================================================================
+
+/**
+ * @type {import('../../lib/plugins/types.cjs').SourcePlugin}
+ */
+const crossrefPlugin = {
+  id: 'crossref',
+  name: 'Crossref',
+  icon: '🔗', // link emoji
+  description: 'DOI registration agency covering journal articles in all disciplines',
+  homepage: 'https://www.crossref.org',
+
+  capabilities: {
+    ...createDefaultCapabilities(),
+    search: true,
+    lookup: true,
+    references: true,   // When the publisher deposited them openly
+    citations: false,   // Cited-by data is only available to Crossref members
+    pdfDownload: false, // Publisher links are usually paywalled
+    bibtex: true,
+    metadata: true,
+    priority: 40  // Broad coverage, but no citations and uneven references
+  },
+
+  searchCapabilities: {
+    ...createDefaultSearchCapabilities(),
+    supportsFullText: false,
+    supportsReferences: true,
+    supportsCitations: false,
+    supportsDateRange: true,
+    supportsBooleanOperators: false,
+    supportsFieldSearch: true,
+    maxResults: 1000,
+    queryLanguage: 'crossref',
+    sortOptions: ['date', 'citations', 'relevance'],
+    queryFields: ['title', 'author', 'abstract', 'fullText', 'year', 'doi', 'keywords']
+  },
+
+  // Search UI configuration
+  searchConfig: {
+    title: 'Search Crossref',
+    placeholder: 'e.g., author:"Doudna" title:CRISPR year:2012-2014',
+    nlPlaceholder: 'e.g., papers by Doudna about CRISPR from 2012 to 2014...',
+    shortcuts: [
+      { label: 'author:', insert: 'author:' },
+      { label: 'title:', insert: 'title:' },
+      { label: 'journal:', insert: 'journal:' },
+      { label: 'year:', insert: 'year:' },
+      { label: 'doi:', insert: 'doi:' },
+      { label: 'type:', insert: 'type:' },
+      { label: 'orcid:', insert: 'orcid:' }
+    ],
+    exampleSearches: [
+      { label: 'Author + topic', query: 'author:"Doudna" CRISPR' },
+      { label: 'Title words', query: 'title:"metal-organic frameworks"' },
+      { label: 'Journal + year', query: 'journal:"Nature Chemistry" year:2023' },
+      { label: 'Year range', query: 'title:"protein folding" year:2018-2022' },
+      { label: 'By ORCID', query: 'orcid:0000-0002-1825-0097' },
+      { label: 'Books only', query: 'type:book "organic synthesis"' }
+    ]
+  },
+
+  // Natural language translation prompt
+  nlPrompt: `You translate a user's natural-language request about scholarly literature into one Crossref search query string.
+
+Crossref Query Syntax:
+- Author: author:"<name>"
+- Title words: title:"<words>"
+- Journal: journal:"<full journal name>"
+- Publisher: publisher:"<name>"
+- Affiliation: affiliation:"<institution>"
+- Year: year:<year>, year:<start>-<end>, or year:<start>- (from a year on)
+- DOI: doi:<value>
+- Work type: type:journal-article, type:book, type:book-chapter, type:proceedings-article, type:posted-content
+- Author ORCID: orcid:<id>
+- Any other words are matched against all bibliographic metadata
+- Terms are combined; there are no and/or/not operators
+
+Examples:
+- "papers by Doudna on CRISPR" → author:"Doudna" CRISPR
+- "metal-organic framework papers in Nature Chemistry since 2020" → journal:"Nature Chemistry" title:"metal-organic framework" year:2020-
+- "book chapters about organic synthesis" → type:book-chapter "organic synthesis"
+
+Return ONLY the query string, no explanation.`,
+
+  auth: {
+    type: 'none',
+    description: 'Crossref API is open access. A contact email puts requests in the faster "polite" pool.',
+    helpUrl: 'https://www.crossref.org/documentation/retrieve-metadata/rest-api/tips-for-using-the-crossref-rest-api/'
+  },
+
+  /** @type {string|null} Contact address sent with requests (polite pool) */
+  _mailto: null,
+
+  /**
+   * HTTP transport: (url, {accept, userAgent}) => {statusCode, headers, body}.
+   * Tests replace it with one serving recorded responses.
+   */
+  _transport: httpsGet,
+
+  // ===========================================================================
+  // Lifecycle & Authentication
+  // ===========================================================================
+
+  /**
+   * Initialize the plugin
+   * @param {Object} options
+   * @param {string} [options.mailto] - Contact email for the polite pool
+   */
+  async initialize(options = {}) {
+    if (options.mailto) {
+      this.setMailto(options.mailto);
+    }
+  },
+
+  /**
+   * Set or clear the contact address sent with requests
+   * @param {string|null} mailto
+   */
+  setMailto(mailto) {
+    this._mailto = mailto?.trim() || null;
+  },
+
+  async validateAuth() {
+    // Crossref doesn't require authentication
+    return true;
+  },
+
+  getRateLimitStatus() {
+    const { limit, windowMs } = currentLimit(!!this._mailto);
+    const now = Date.now();
+    const activeRequests = requestTimes.filter(t => now - t < windowMs);
+    const remaining = Math.max(0, limit - activeRequests.length);
+
+    return {
+      remaining,
+      limit,
+      resetAt: activeRequests.length > 0 ? activeRequests[0] + windowMs : now,
+      retryAfter: remaining > 0 ? 0 : Math.ceil((windowMs - (now - activeRequests[0])) / 1000)
+    };
+  },
+
+  // ===========================================================================
+  // Requests
+  // ===========================================================================
+
+  /**
+   * Rate-limited GET against Crossref
+   * @param {string} url
+   * @param {string} [accept='application/json']
+   * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+   * @private
+   */
+  async _get(url, accept = 'application/json') {
+    const polite = !!this._mailto;
+    await waitForRateLimit(polite);
+
+    const userAgent = polite
+      ? `Bibliac/1.0 (scientific bibliography manager; mailto:${this._mailto})`
+      : 'Bibliac/1.0 (scientific bibliography manager)';
+    const response = await this._transport(url, { accept, userAgent });
+    updateRateLimit(response.headers);
+
+    if (response.statusCode === 429) {
+      console.error('[Crossref] Rate limited (429)');
+      throw new Error('Crossref API rate limit exceeded. Please wait a moment.');
+    }
+    return response;
+  },
+
+  /**
+   * GET a Crossref API path and return the response's message
+   * @param {string} path - Path under the API base, including any query string
+   * @returns {Promise<Object|null>} The message, or null if not found
+   * @private
+   */
+  async _getJson(path) {
+    const url = new URL(`${CROSSREF_API_BASE}${path}`);
+    if (this._mailto) url.searchParams.set('mailto', this._mailto);
+
+    const response = await this._get(url.toString());
+    if (response.statusCode === 404) return null;
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      console.error('[Crossref] API error:', response.statusCode, response.body.slice(0, 200));
+      throw new Error(`Crossref API error: ${response.statusCode}`);
+    }
+
+    try {
+      return JSON.parse(response.body).message;
+    } catch (err) {
+      throw new Error(`Failed to parse Crossref response: ${err.message}`);
+    }
+  },
+
+  // ===========================================================================
+  // Search
+  // ===========================================================================
+
+  /**
+   * Search Crossref for works
+   * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
+   * @returns {Promise<import('../../lib/plugins/types.cjs').SearchResult>}
+   */
+  async search(query) {
+    console.log('[Crossref] search() called with:', JSON.stringify(query));
+
+    const searchQuery = translateQuery(query);
+    if (!searchQuery.trim()) {
+      return { papers: [], totalResults: 0 };
+    }
+
+    const params = parseQuery(searchQuery);
+    const limit = query.limit || 25;
+    params.set('rows', String(limit));
+    params.set('offset', String(query.offset || 0));
+    params.set('select', LIST_FIELDS);
+    if (query.sort) {
+      params.set('sort', mapSortBy(query.sort));
+      params.set('order', query.sortDirection || 'desc');
+    }
+
+    const message = await this._getJson(`/works?${params.toString()}`);
+    const items = message?.items || [];
+    const papers = items.map(transformWorkToPaper);
+
+    console.log('[Crossref] Found', message?.['total-results'] || 0, 'total results, returned', papers.length, 'papers');
+
+    return {
+      papers,
+      totalResults: message?.['total-results'] || 0,
+      metadata: {
+        query: searchQuery,
+        offset: query.offset || 0,
+        size: limit
+      }
+    };
+  },
+
+  translateQuery,
+
+  // ===========================================================================
+  // Record Lookup
+  // ===========================================================================
+
+  /**
+   * Get a single work by DOI
+   * @param {string} doi
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper|null>}
+   */
+  async getRecord(doi) {
+    console.log('[Crossref] getRecord() for DOI:', doi);
+
+    try {
+      const message = await this._getJson(`/works/${encodeURIComponent(doi)}`);
+      return message ? transformWorkToPaper(message) : null;
+    } catch (err) {
+      console.error('[Crossref] getRecord error:', err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Lookup by DOI (the Crossref record ID)
+   * @param {string} doi
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper|null>}
+   */
+  async getByDOI(doi) {
+    return this.getRecord(doi);
+  },
+
+  /**
+   * Batch lookup by DOI. DOIs Crossref doesn't know are left out; results
+   * come back in the order requested.
+   * @param {string[]} dois
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper[]>}
+   */
+  async getBatch(dois) {
+    console.log('[Crossref] getBatch() for', dois.length, 'DOIs');
+
+    const byDoi = new Map();
+    for (let i = 0; i < dois.length; i += BATCH_SIZE) {
+      const chunk = dois.slice(i, i + BATCH_SIZE);
+      const params = new URLSearchParams();
+      params.set('filter', chunk.map(doi => `doi:${doi}`).join(','));
+      params.set('rows', String(chunk.length));
+      params.set('select', LIST_FIELDS);
+
+      const message = await this._getJson(`/works?${params.toString()}`);
+      for (const item of message?.items || []) {
+        byDoi.set(item.DOI.toLowerCase(), transformWorkToPaper(item));
+      }
+    }
+
+    return dois.map(doi => byDoi.get(doi.toLowerCase())).filter(Boolean);
+  },
+
+  // ===========================================================================
+  // References
+  // ===========================================================================
+
+  /**
+   * Get references (works this work cites). Only available when the
+   * publisher deposited the reference list and made it public. References
+   * with DOIs are filled in from their Crossref records.
+   * @param {string} doi
+   * @param {Object} options
+   * @param {number} [options.limit=200]
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper[]>}
+   */
+  async getReferences(doi, options = {}) {
+    console.log('[Crossref] getReferences() for DOI:', doi);
+
+    const message = await this._getJson(`/works/${encodeURIComponent(doi)}`);
+    const references = (message?.reference || []).slice(0, options.limit || 200);
+    console.log('[Crossref] Found', references.length, 'references in metadata');
+
+    const refDois = references.map(ref => ref.DOI).filter(Boolean);
+    let resolved = new Map();
+    if (refDois.length > 0) {
+      try {
+        const papers = await this.getBatch(refDois);
+        resolved = new Map(papers.map(paper => [paper.doi.toLowerCase(), paper]));
+      } catch (err) {
+        // Fall back to the deposited reference metadata
+        console.warn('[Crossref] Could not resolve reference DOIs:', err.message);
+      }
+    }
+
+    return references.map(ref =>
+      (ref.DOI && resolved.get(ref.DOI.toLowerCase())) || transformReferenceToPaper(ref)
+    );
+  },
+
+  // ===========================================================================
+  // PDF Sources
+  // ===========================================================================
+
+  /**
+   * Get PDF links the publisher deposited with Crossref. These usually need
+   * a subscription, so the plugin does not claim the pdfDownload capability.
+   * @param {string|Object} doiOrPaper - DOI or paper object
+   * @returns {Promise<import('../../lib/plugins/types.cjs').PdfSource[]>}
+   */
+  async getPdfSources(doiOrPaper) {
+    let paper = doiOrPaper;
+    if (typeof doiOrPaper !== 'object' || !doiOrPaper._crossref) {
+      const doi = typeof doiOrPaper === 'object' ? doiOrPaper.doi : doiOrPaper;
+      paper = doi ? await this.getRecord(doi) : null;
+    }
+    if (!paper) return [];
+
+    return paper._crossref.links
+      .filter(link => link['content-type'] === 'application/pdf')
+      .map((link, index) => ({
+        type: PDF_SOURCE_TYPES.PUBLISHER,
+        url: link.URL,
+        label: 'Publisher PDF',
+        requiresAuth: true,
+        priority: index + 1
+      }));
+  },
+
+  /**
+   * Download PDF from source (placeholder - handled by app)
+   * @param {import('../../lib/plugins/types.cjs').PdfSource} source
+   * @param {Object} options
+   * @returns {Promise<Buffer>}
+   */
+  async downloadPdf(source, options = {}) {
+    // PDF download is handled by the main app's pdf-download module
+    throw new Error('PDF download should be handled by the application pdf-download module');
+  },
+
+  // ===========================================================================
+  // BibTeX
+  // ===========================================================================
+
+  /**
+   * Get BibTeX for a work via DOI content negotiation
+   * @param {string} doi
+   * @returns {Promise<string>}
+   */
+  async getBibtex(doi) {
+    console.log('[Crossref] getBibtex() for DOI:', doi);
+
+    const response = await this._get(`${DOI_RESOLVER_BASE}/${encodeURI(doi)}`, 'application/x-bibtex');
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw new Error(`Crossref BibTeX error: ${response.statusCode}`);
+    }
+
+    return response.body.trim();
+  },
+
+  /**
+   * Get BibTeX for multiple works
+   * @param {string[]} dois
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getBibtexBatch(dois) {
+    console.log('[Crossref] getBibtexBatch() for', dois.length, 'DOIs');
+
+    const results = new Map();
+
+    for (const doi of dois) {
+      try {
+        results.set(doi, await this.getBibtex(doi));
+      } catch (err) {
+        console.error('[Crossref] getBibtex error for', doi, ':', err.message);
+        results.set(doi, `% Error: ${err.message}`);
+      }
+    }
+
+    return results;
+  },
+
+  // ===========================================================================
+  // Web URL
+  // ===========================================================================
+
+  /**
+   * Get URL to view the work (its DOI landing page)
+   * @param {Object} paper - Paper object with doi or sourceId
+   * @returns {string|null}
+   */
+  getRecordUrl(paper) {
+    const doi = paper.doi || paper.sourceId;
+    if (!doi) return null;
+    return `${DOI_RESOLVER_BASE}/${doi}`;
+  }
+};
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = crossrefPlugin;
@@ -17,6 +17,11 @@ const {
   createDefaultSearchCapabilities,
   PDF_SOURCE_TYPES
 } = require('../../lib/plugins/types.cjs');
+const {
+  tokenizeQuery,
+  unquote,
+  parseYearValue
+} = require('../../lib/plugins/query.cjs');
 
 // =============================================================================
 // Constants
@@ -242,6 +247,51 @@ function transformHitToPaper(hit) {
 // Query Translation
 // =============================================================================
 
+/**
+ * SPIRES keywords that map to UnifiedQuery fields
+ */
+const INSPIRE_QUERY_KEYWORDS = {
+  a: 'author',
+  au: 'author',
+  author: 'author',
+  t: 'title',
+  ti: 'title',
+  title: 'title',
+  ab: 'abstract',
+  abstract: 'abstract',
+  d: 'year',
+  date: 'year',
+  doi: 'doi',
+  eprint: 'arxivId',
+  arxiv: 'arxivId',
+  k: 'keywords',
+  kw: 'keywords',
+  keyword: 'keywords'
+};
+
+/**
+ * SPIRES keywords with no UnifiedQuery equivalent; queries using them
+ * can't be converted
+ */
+const INSPIRE_OTHER_KEYWORDS = new Set([
+  'j', 'journal', 'topcite', 'topcit', 'cn', 'collaboration', 'refersto', 'citedby',
+  'ea', 'exactauthor', 'fa', 'firstauthor', 'tc', 'type', 'texkey', 'cited',
+  'af', 'aff', 'affiliation', 'r', 'rn', 'reportnumber', 'exp', 'experiment',
+  'ft', 'fulltext', 'ac', 'authorcount', 'primarch', 'cc'
+]);
+
+/**
+ * Quote a multi-word value (or one that starts with a SPIRES keyword)
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteSpires(value) {
+  const text = String(value).replace(/"/g, '');
+  const first = text.split(/\s+/)[0].toLowerCase();
+  const needsQuotes = /\s/.test(text) || first in INSPIRE_QUERY_KEYWORDS || INSPIRE_OTHER_KEYWORDS.has(first);
+  return needsQuotes ? `"${text}"` : text;
+}
+
 /**
  * Translate UnifiedQuery to INSPIRE query string
  * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
@@ -255,19 +305,19 @@ function translateQuery(query) {
 
   const parts = [];
 
-  // Author search
+  // Author search (SPIRES matches "Last, First" and initials unquoted)
   if (query.author) {
     parts.push(`a ${query.author}`);
   }
 
   // Title search
   if (query.title) {
-    parts.push(`t "${query.title}"`);
+    parts.push(`t "${String(query.title).replace(/"/g, '')}"`);
   }
 
   // Abstract search
   if (query.abstract) {
-    parts.push(`ab ${query.abstract}`);
+    parts.push(`ab ${quoteSpires(query.abstract)}`);
   }
 
   // Year search
@@ -286,17 +336,102 @@ function translateQuery(query) {
 
   // arXiv ID search
   if (query.arxivId) {
-    parts.push(`eprint ${query.arxivId}`);
+    parts.push(`eprint ${query.arxivId.replace(/^arXiv:/i, '')}`);
+  }
+
+  // Keywords (any of them)
+  if (query.keywords && query.keywords.length > 0) {
+    const kwQuery = query.keywords.map(k => `k ${quoteSpires(k)}`).join(' or ');
+    parts.push(query.keywords.length > 1 ? `(${kwQuery})` : kwQuery);
   }
 
-  // Full text search (use "find" for general search)
+  // Free text (INSPIRE has no full-text search; matches any field)
   if (query.fullText) {
-    parts.push(query.fullText);
+    parts.push(quoteSpires(query.fullText));
   }
 
   return parts.join(' and ');
 }
 
+/**
+ * Parse one SPIRES clause ("a witten", "k lattice") into [field, value]
+ * @param {string[]} tokens
+ * @returns {[string, string]|null}
+ */
+function parseSpiresClause(tokens) {
+  const keyword = tokens[0].toLowerCase();
+  if (INSPIRE_OTHER_KEYWORDS.has(keyword) || /^\w+:/.test(tokens[0])) return null;
+
+  const field = INSPIRE_QUERY_KEYWORDS[keyword];
+  const valueTokens = field ? tokens.slice(1) : tokens;
+  if (valueTokens.length === 0 || valueTokens.some(t => t === '(' || t === ')')) return null;
+
+  const value = valueTokens.length === 1 ? unquote(valueTokens[0]) : valueTokens.join(' ');
+  return [field || 'fullText', value];
+}
+
+/**
+ * Parse an INSPIRE (SPIRES-style) query back into a UnifiedQuery. Clauses
+ * without a keyword become fullText.
+ * @param {string} text
+ * @returns {import('../../lib/plugins/types.cjs').UnifiedQuery|null} null if
+ *   the query uses syntax with no UnifiedQuery equivalent (or/not, other keywords)
+ */
+function parseQuery(text) {
+  const tokens = tokenizeQuery(String(text || '').replace(/^\s*(find|fin|f)\s+/i, ''));
+
+  // Split into clauses on "and"
+  const clauses = [[]];
+  for (const token of tokens) {
+    if (token.toLowerCase() === 'and') {
+      clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(token);
+    }
+  }
+
+  const query = {};
+  for (const clause of clauses) {
+    if (clause.length === 0) return null;
+
+    // (k a or k b)
+    if (clause[0] === '(') {
+      if (clause[clause.length - 1] !== ')' || query.keywords) return null;
+      const keywords = [];
+      let current = [];
+      for (const token of [...clause.slice(1, -1), 'or']) {
+        if (token.toLowerCase() !== 'or') {
+          current.push(token);
+          continue;
+        }
+        const parsed = current.length > 0 && parseSpiresClause(current);
+        if (!parsed || parsed[0] !== 'keywords') return null;
+        keywords.push(parsed[1]);
+        current = [];
+      }
+      query.keywords = keywords;
+      continue;
+    }
+
+    if (clause.some(t => ['or', 'not'].includes(t.toLowerCase()))) return null;
+    const parsed = parseSpiresClause(clause);
+    if (!parsed) return null;
+
+    const [field, value] = parsed;
+    if (field in query) return null;
+    if (field === 'year') {
+      query.year = parseYearValue(value);
+      if (query.year === null) return null;
+    } else if (field === 'keywords') {
+      query.keywords = [value];
+    } else {
+      query[field] = value;
+    }
+  }
+
+  return query;
+}
+
 /**
  * Map sort option to INSPIRE sort parameter
  * @param {'date'|'citations'|'relevance'} sort
@@ -378,7 +513,8 @@ const inspirePlugin = {
     supportsFieldSearch: true,
     maxResults: 1000,
     queryLanguage: 'inspire',
-    sortOptions: ['date', 'citations', 'relevance']
+    sortOptions: ['date', 'citations', 'relevance'],
+    queryFields: ['title', 'author', 'abstract', 'fullText', 'year', 'doi', 'arxivId', 'keywords']
   },
 
   // Search UI configuration
@@ -515,6 +651,8 @@ Return ONLY the query string, no explanation.`,
 
   translateQuery,
 
+  parseNativeQuery: parseQuery,
+
   // ===========================================================================
   // Record Lookup
   // ===========================================================================
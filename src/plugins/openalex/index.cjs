@@ -0,0 +1,814 @@
+/**
+ * OpenAlex Plugin
+ *
+ * Provides search, DOI / arXiv lookup, references, citations and open-access
+ * PDF links from OpenAlex, an open index of scholarly works in all fields.
+ * Gives papers outside astronomy and HEP working references and citations.
+ *
+ * API Documentation: https://docs.openalex.org
+ * Rate Limit: 10 requests per second, 100,000 per day. Requests carrying a
+ * contact address (mailto) go to the "polite" pool.
+ */
+
+'use strict';
+
+const https = require('https');
+const {
+  createPaper,
+  createDefaultCapabilities,
+  createDefaultSearchCapabilities,
+  PDF_SOURCE_TYPES
+} = require('../../lib/plugins/types.cjs');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+const OPENALEX_API_BASE = 'https://api.openalex.org';
+const OPENALEX_WEB_BASE = 'https://openalex.org';
+
+// Rate limiting: 10 requests per second
+const RATE_LIMIT_WINDOW_MS = 1000;
+const RATE_LIMIT_MAX_REQUESTS = 10;
+
+// Values per OR filter (OpenAlex allows up to 100)
+const BATCH_SIZE = 50;
+
+// Results per page (OpenAlex allows up to 200)
+const MAX_PER_PAGE = 200;
+
+// Fields requested for list results. referenced_works is left out: it is
+// only needed by getReferences, which fetches the full record.
+const LIST_FIELDS = [
+  'id', 'doi', 'ids', 'title', 'display_name', 'publication_year', 'authorships',
+  'primary_location', 'best_oa_location', 'locations', 'open_access', 'cited_by_count',
+  'abstract_inverted_index', 'keywords', 'type', 'biblio', 'referenced_works_count'
+].join(',');
+
+// Query-string fields (field:value) and the OpenAlex filter each maps to
+const FILTER_FIELDS = {
+  author: 'raw_author_name.search',
+  title: 'title.search',
+  abstract: 'abstract.search',
+  doi: 'doi',
+  type: 'type',
+  orcid: 'authorships.author.orcid'
+};
+
+// =============================================================================
+// HTTP Request Helper
+// =============================================================================
+
+/**
+ * Make an HTTPS GET request
+ * @param {string} url - Full URL to fetch
+ * @param {Object} options
+ * @param {string} options.userAgent - User-Agent header
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function httpsGet(url, { userAgent }) {
+  return new Promise((resolve, reject) => {
+    console.log('[OpenAlex] HTTP GET:', url);
+
+    const urlObj = new URL(url);
+    const options = {
+      hostname: urlObj.hostname,
+      port: 443,
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'application/json'
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        console.log('[OpenAlex] HTTP response status:', res.statusCode);
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.on('error', (err) => {
+      console.error('[OpenAlex] Request error:', err.message);
+      reject(err);
+    });
+
+    req.end();
+  });
+}
+
+// =============================================================================
+// Paper Transformation
+// =============================================================================
+
+/**
+ * Short OpenAlex ID ('W2741809807') from a full ID URL
+ * @param {string} id
+ * @returns {string}
+ */
+function shortId(id) {
+  return String(id || '').replace(/^https?:\/\/openalex\.org\//i, '');
+}
+
+/**
+ * Bare DOI from OpenAlex's DOI URL form
+ * @param {string} [doi]
+ * @returns {string|null}
+ */
+function bareDoi(doi) {
+  return doi ? doi.replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : null;
+}
+
+/**
+ * Rebuild an abstract from OpenAlex's inverted index ({ word: [positions] })
+ * @param {Object} [index]
+ * @returns {string}
+ */
+function abstractFromInvertedIndex(index) {
+  if (!index) return '';
+  const words = [];
+  for (const [word, positions] of Object.entries(index)) {
+    for (const position of positions) {
+      words[position] = word;
+    }
+  }
+  return words.filter(Boolean).join(' ');
+}
+
+/**
+ * arXiv ID of a work, from arXiv's DOI or an arxiv.org location
+ * @param {Object} work - OpenAlex work
+ * @returns {string|null}
+ */
+function extractArxivId(work) {
+  const fromDoi = bareDoi(work.doi)?.match(/^10\.48550\/arxiv\.(.+)$/i);
+  if (fromDoi) return fromDoi[1];
+
+  for (const location of work.locations || []) {
+    const match = location.landing_page_url?.match(/arxiv\.org\/abs\/([^?#]+?)(v\d+)?$/i);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Transform an OpenAlex work to the unified Paper format
+ * @param {Object} work - OpenAlex work object
+ * @returns {import('../../lib/plugins/types.cjs').Paper}
+ */
+function transformWorkToPaper(work) {
+  const id = shortId(work.id);
+
+  return createPaper({
+    title: work.title || work.display_name || 'Untitled',
+    authors: (work.authorships || [])
+      .map(a => a.author?.display_name || a.raw_author_name)
+      .filter(Boolean),
+    abstract: abstractFromInvertedIndex(work.abstract_inverted_index),
+    year: work.publication_year || null,
+    journal: work.primary_location?.source?.display_name || '',
+    doi: bareDoi(work.doi),
+    arxivId: extractArxivId(work),
+    citationCount: work.cited_by_count || 0,
+    keywords: (work.keywords || []).map(k => k.display_name).filter(Boolean),
+    // OpenAlex-specific metadata
+    _openalex: {
+      id,
+      type: work.type,
+      biblio: work.biblio,
+      isOpenAccess: !!work.open_access?.is_oa,
+      oaStatus: work.open_access?.oa_status,
+      bestOaLocation: work.best_oa_location || null,
+      locations: work.locations || [],
+      referenceCount: work.referenced_works_count || 0
+    }
+  }, 'openalex', id);
+}
+
+// =============================================================================
+// Query Translation
+// =============================================================================
+
+/**
+ * Quote a query-string value if it contains spaces
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+  const text = String(value);
+  return /\s/.test(text) ? `"${text.replace(/"/g, '')}"` : text;
+}
+
+/**
+ * Translate UnifiedQuery to an OpenAlex query string (field:value terms, see
+ * parseQuery)
+ * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
+ * @returns {string}
+ */
+function translateQuery(query) {
+  // Raw query passed directly
+  if (query.raw) {
+    return query.raw;
+  }
+
+  const parts = [];
+
+  if (query.author) {
+    parts.push(`author:${quote(query.author)}`);
+  }
+
+  if (query.title) {
+    parts.push(`title:${quote(query.title)}`);
+  }
+
+  if (query.abstract) {
+    parts.push(`abstract:${quote(query.abstract)}`);
+  }
+
+  if (query.year) {
+    if (Array.isArray(query.year)) {
+      parts.push(`year:${query.year[0]}-${query.year[1]}`);
+    } else {
+      parts.push(`year:${query.year}`);
+    }
+  }
+
+  if (query.doi) {
+    parts.push(`doi:${query.doi}`);
+  }
+
+  if (query.keywords && query.keywords.length > 0) {
+    parts.push(query.keywords.join(' '));
+  }
+
+  if (query.fullText) {
+    parts.push(query.fullText);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Parse an OpenAlex query string into API parameters.
+ *
+ * Supports author:, title:, abstract:, doi:, type: and orcid: (filters),
+ * year:2020 / year:2018-2022 / year:2018- (publication year), oa:true (open
+ * access only) and cited:>100 (citation count). Values with spaces are
+ * quoted. Anything else is a full-text search.
+ *
+ * @param {string} queryString
+ * @returns {URLSearchParams}
+ */
+function parseQuery(queryString) {
+  const params = new URLSearchParams();
+  const filters = [];
+  const freeText = [];
+
+  // Filter values are comma-separated, so commas inside a value must go
+  const filterValue = (value) => value.replace(/,/g, ' ').trim();
+
+  const termPattern = /(\w+):("([^"]*)"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = termPattern.exec(queryString)) !== null) {
+    const [, rawField, rawValue, quotedValue, quotedText] = match;
+    const field = rawField?.toLowerCase();
+    const value = quotedValue ?? rawValue;
+
+    if (field && FILTER_FIELDS[field]) {
+      filters.push(`${FILTER_FIELDS[field]}:${filterValue(value)}`);
+    } else if (field === 'year') {
+      const [from, until] = value.split('-');
+      if (until === undefined) {
+        filters.push(`publication_year:${from}`);
+      } else {
+        if (from) filters.push(`from_publication_date:${from}-01-01`);
+        if (until) filters.push(`to_publication_date:${until}-12-31`);
+      }
+    } else if (field === 'oa') {
+      filters.push(`is_oa:${value === 'false' ? 'false' : 'true'}`);
+    } else if (field === 'cited') {
+      filters.push(`cited_by_count:${value}`);
+    } else {
+      freeText.push(quotedText !== undefined ? `"${quotedText}"` : match[0]);
+    }
+  }
+
+  if (freeText.length > 0) params.set('search', freeText.join(' '));
+  if (filters.length > 0) params.set('filter', filters.join(','));
+  return params;
+}
+
+/**
+ * Map sort option to OpenAlex sort parameter
+ * @param {'date'|'citations'|'relevance'} sort
+ * @param {'asc'|'desc'} [direction='desc']
+ * @returns {string|null} null for relevance (OpenAlex's default when searching)
+ */
+function mapSortBy(sort, direction = 'desc') {
+  switch (sort) {
+    case 'date':
+      return `publication_date:${direction}`;
+    case 'citations':
+      return `cited_by_count:${direction}`;
+    case 'relevance':
+    default:
+      return null;
+  }
+}
+
+/**
+ * Path of the single-work endpoint for an OpenAlex ID, DOI or arXiv ID
+ * @param {string} id
+ * @returns {string}
+ */
+function workPath(id) {
+  const value = shortId(String(id).trim());
+  if (/^W\d+$/i.test(value)) return `/works/${value.toUpperCase()}`;
+  return `/works/doi:${encodeURIComponent(bareDoi(value))}`;
+}
+
+// =============================================================================
+// Rate Limiting
+// =============================================================================
+
+/** @type {number[]} Track request times for rate limiting */
+let requestTimes = [];
+
+/**
+ * Wait for rate limit if necessary
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit() {
+  const now = Date.now();
+  requestTimes = requestTimes.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+
+  if (requestTimes.length >= RATE_LIMIT_MAX_REQUESTS) {
+    const waitTime = RATE_LIMIT_WINDOW_MS - (now - requestTimes[0]) + 50;
+    console.log('[OpenAlex] Rate limit: waiting', waitTime, 'ms');
+    await new Promise(resolve => setTimeout(resolve, waitTime));
+    requestTimes = requestTimes.filter(t => Date.now() - t < RATE_LIMIT_WINDOW_MS);
+  }
+
+  requestTimes.push(Date.now());
+}
+
+// =============================================================================
+// OpenAlex Plugin
+// =============================================================================
+
+/**
+ * @type {import('../../lib/plugins/types.cjs').SourcePlugin}
+ */
+const openalexPlugin = {
+  id: 'openalex',
+  name: 'OpenAlex',
+  icon: '🌐', // globe emoji
+  description: 'Open index of scholarly works in all fields, with references and citations',
+  homepage: 'https://openalex.org',
+
+  capabilities: {
+    ...createDefaultCapabilities(),
+    search: true,
+    lookup: true,
+    references: true,
+    citations: true,
+    pdfDownload: true,  // Open-access locations
+    bibtex: false,
+    metadata: true,
+    // After ADS and INSPIRE (curated for their fields), ahead of arXiv and
+    // Crossref, which have no citations
+    priority: 25
+  },
+
+  searchCapabilities: {
+    ...createDefaultSearchCapabilities(),
+    supportsFullText: true,  // search= covers title, abstract and full text
+    supportsReferences: true,
+    supportsCitations: true,
+    supportsDateRange: true,
+    supportsBooleanOperators: true,
+    supportsFieldSearch: true,
+    maxResults: 10000,
+    queryLanguage: 'openalex',
+    sortOptions: ['date', 'citations', 'relevance'],
+    queryFields: ['title', 'author', 'abstract', 'fullText', 'year', 'doi', 'keywords']
+  },
+
+  // Search UI configuration
+  searchConfig: {
+    title: 'Search OpenAlex',
+    placeholder: 'e.g., author:"Hinton" title:"deep learning" year:2015-',
+    nlPlaceholder: 'e.g., highly cited open-access papers on coral bleaching...',
+    shortcuts: [
+      { label: 'author:', insert: 'author:' },
+      { label: 'title:', insert: 'title:' },
+      { label: 'abstract:', insert: 'abstract:' },
+      { label: 'year:', insert: 'year:' },
+      { label: 'doi:', insert: 'doi:' },
+      { label: 'oa:true', insert: 'oa:true ' },
+      { label: 'cited:', insert: 'cited:>' }
+    ],
+    exampleSearches: [
+      { label: 'Author + title', query: 'author:"Hinton" title:"deep learning"' },
+      { label: 'Topic since a year', query: '"coral bleaching" year:2018-' },
+      { label: 'Highly cited', query: 'title:"CRISPR" cited:>1000' },
+      { label: 'Open access only', query: 'abstract:"microplastics" oa:true' },
+      { label: 'Boolean search', query: '(graphene OR "carbon nanotubes") AND battery' }
+    ]
+  },
+
+  // Natural language translation prompt
+  nlPrompt: `You translate a user's natural-language request about scholarly literature into one OpenAlex search query string.
+
+OpenAlex Query Syntax:
+- Author: author:"<name>"
+- Title words: title:"<words>"
+- Abstract words: abstract:"<words>"
+- Year: year:<year>, year:<start>-<end>, or year:<start>- (from a year on)
+- DOI: doi:<value>
+- Work type: type:article, type:book, type:book-chapter, type:dataset, type:preprint, type:review
+- Author ORCID: orcid:<id>
+- Open access only: oa:true
+- Citation count: cited:>100
+- Any other words are a full-text search; they may use AND, OR, NOT and parentheses
+
+Examples:
+- "Hinton's papers on deep learning" → author:"Hinton" title:"deep learning"
+- "open-access papers on microplastics in rivers since 2020" → microplastics rivers oa:true year:2020-
+- "highly cited reviews of CRISPR" → CRISPR type:review cited:>500
+
+Return ONLY the query string, no explanation.`,
+
+  auth: {
+    type: 'none',
+    description: 'OpenAlex is open access. A contact email puts requests in the "polite" pool.',
+    helpUrl: 'https://docs.openalex.org/how-to-use-the-api/rate-limits-and-authentication'
+  },
+
+  /** @type {string|null} Contact address sent with requests (polite pool) */
+  _mailto: null,
+
+  /**
+   * HTTP transport: (url, {userAgent}) => {statusCode, headers, body}.
+   * Tests replace it with one serving recorded responses.
+   */
+  _transport: httpsGet,
+
+  // ===========================================================================
+  // Lifecycle & Authentication
+  // ===========================================================================
+
+  /**
+   * Initialize the plugin
+   * @param {Object} options
+   * @param {string} [options.mailto] - Contact email for the polite pool
+   */
+  async initialize(options = {}) {
+    if (options.mailto) {
+      this.setMailto(options.mailto);
+    }
+  },
+
+  /**
+   * Set or clear the contact address sent with requests
+   * @param {string|null} mailto
+   */
+  setMailto(mailto) {
+    this._mailto = mailto?.trim() || null;
+  },
+
+  async validateAuth() {
+    // OpenAlex doesn't require authentication
+    return true;
+  },
+
+  getRateLimitStatus() {
+    const now = Date.now();
+    const activeRequests = requestTimes.filter(t => now - t < RATE_LIMIT_WINDOW_MS);
+    const remaining = Math.max(0, RATE_LIMIT_MAX_REQUESTS - activeRequests.length);
+
+    return {
+      remaining,
+      limit: RATE_LIMIT_MAX_REQUESTS,
+      resetAt: activeRequests.length > 0 ? activeRequests[0] + RATE_LIMIT_WINDOW_MS : now,
+      retryAfter: remaining > 0 ? 0 : Math.ceil((RATE_LIMIT_WINDOW_MS - (now - activeRequests[0])) / 1000)
+    };
+  },
+
+  // ===========================================================================
+  // Requests
+  // ===========================================================================
+
+  /**
+   * Rate-limited GET of an OpenAlex API path, returning the parsed JSON
+   * @param {string} path - Path under the API base, including any query string
+   * @returns {Promise<Object|null>} Response body, or null if not found
+   * @private
+   */
+  async _getJson(path) {
+    const url = new URL(`${OPENALEX_API_BASE}${path}`);
+    if (this._mailto) url.searchParams.set('mailto', this._mailto);
+
+    await waitForRateLimit();
+
+    const userAgent = this._mailto
+      ? `Bibliac/1.0 (scientific bibliography manager; mailto:${this._mailto})`
+      : 'Bibliac/1.0 (scientific bibliography manager)';
+    const response = await this._transport(url.toString(), { userAgent });
+
+    if (response.statusCode === 404) return null;
+    if (response.statusCode === 429) {
+      console.error('[OpenAlex] Rate limited (429)');
+      throw new Error('OpenAlex API rate limit exceeded. Please wait a moment.');
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      console.error('[OpenAlex] API error:', response.statusCode, response.body.slice(0, 200));
+      throw new Error(`OpenAlex API error: ${response.statusCode}`);
+    }
+
+    try {
+      return JSON.parse(response.body);
+    } catch (err) {
+      throw new Error(`Failed to parse OpenAlex response: ${err.message}`);
+    }
+  },
+
+  /**
+   * Fetch works matching an OR filter over many values, in batches
+   * @param {string} filter - Filter name ('openalex', 'doi')
+   * @param {string[]} values
+   * @returns {Promise<Object[]>} OpenAlex works, in no particular order
+   * @private
+   */
+  async _getWorksByFilter(filter, values) {
+    const works = [];
+    for (let i = 0; i < values.length; i += BATCH_SIZE) {
+      const chunk = values.slice(i, i + BATCH_SIZE);
+      const params = new URLSearchParams();
+      params.set('filter', `${filter}:${chunk.join('|')}`);
+      params.set('per-page', String(chunk.length));
+      params.set('select', LIST_FIELDS);
+
+      const response = await this._getJson(`/works?${params.toString()}`);
+      works.push(...(response?.results || []));
+    }
+    return works;
+  },
+
+  // ===========================================================================
+  // Search
+  // ===========================================================================
+
+  /**
+   * Search OpenAlex for works
+   * @param {import('../../lib/plugins/types.cjs').UnifiedQuery} query
+   * @returns {Promise<import('../../lib/plugins/types.cjs').SearchResult>}
+   */
+  async search(query) {
+    console.log('[OpenAlex] search() called with:', JSON.stringify(query));
+
+    const searchQuery = translateQuery(query);
+    if (!searchQuery.trim()) {
+      return { papers: [], totalResults: 0 };
+    }
+
+    const params = parseQuery(searchQuery);
+    const limit = Math.min(query.limit || 25, MAX_PER_PAGE);
+    params.set('per-page', String(limit));
+    params.set('page', String(Math.floor((query.offset || 0) / limit) + 1));
+    params.set('select', LIST_FIELDS);
+    const sort = mapSortBy(query.sort, query.sortDirection);
+    if (sort) params.set('sort', sort);
+
+    const response = await this._getJson(`/works?${params.toString()}`);
+    const papers = (response?.results || []).map(transformWorkToPaper);
+    const total = response?.meta?.count || 0;
+
+    console.log('[OpenAlex] Found', total, 'total results, returned', papers.length, 'papers');
+
+    return {
+      papers,
+      totalResults: total,
+      metadata: {
+        query: searchQuery,
+        page: Math.floor((query.offset || 0) / limit) + 1,
+        size: limit
+      }
+    };
+  },
+
+  translateQuery,
+
+  // ===========================================================================
+  // Record Lookup
+  // ===========================================================================
+
+  /**
+   * Get a single work by OpenAlex ID ('W2741809807') or DOI
+   * @param {string} id
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper|null>}
+   */
+  async getRecord(id) {
+    console.log('[OpenAlex] getRecord() for:', id);
+
+    try {
+      const work = await this._getJson(workPath(id));
+      return work ? transformWorkToPaper(work) : null;
+    } catch (err) {
+      console.error('[OpenAlex] getRecord error:', err.message);
+      return null;
+    }
+  },
+
+  /**
+   * Lookup by DOI
+   * @param {string} doi
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper|null>}
+   */
+  async getByDOI(doi) {
+    console.log('[OpenAlex] getByDOI():', doi);
+    return this.getRecord(bareDoi(doi));
+  },
+
+  /**
+   * Lookup by arXiv ID, through the DOI arXiv registers for every preprint
+   * @param {string} arxivId
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper|null>}
+   */
+  async getByArxiv(arxivId) {
+    console.log('[OpenAlex] getByArxiv():', arxivId);
+    const normalized = String(arxivId).trim().replace(/^arxiv:/i, '').replace(/v\d+$/, '');
+    return this.getRecord(`10.48550/arXiv.${normalized}`);
+  },
+
+  /**
+   * Batch lookup by OpenAlex ID or DOI (mixed lists are fine). Unknown IDs
+   * are left out; results come back in the order requested.
+   * @param {string[]} ids
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper[]>}
+   */
+  async getBatch(ids) {
+    console.log('[OpenAlex] getBatch() for', ids.length, 'IDs');
+
+    const openalexIds = [];
+    const dois = [];
+    for (const id of ids) {
+      const value = shortId(id);
+      if (/^W\d+$/i.test(value)) {
+        openalexIds.push(value.toUpperCase());
+      } else {
+        dois.push(bareDoi(value));
+      }
+    }
+
+    const papers = [
+      ...(openalexIds.length > 0 ? await this._getWorksByFilter('openalex', openalexIds) : []),
+      ...(dois.length > 0 ? await this._getWorksByFilter('doi', dois) : [])
+    ].map(transformWorkToPaper);
+
+    const byKey = new Map();
+    for (const paper of papers) {
+      byKey.set(paper.sourceId.toUpperCase(), paper);
+      if (paper.doi) byKey.set(paper.doi.toUpperCase(), paper);
+    }
+    return ids
+      .map(id => byKey.get(shortId(id).toUpperCase()) || byKey.get((bareDoi(shortId(id)) || '').toUpperCase()))
+      .filter(Boolean);
+  },
+
+  // ===========================================================================
+  // References & Citations
+  // ===========================================================================
+
+  /**
+   * Get references (works this work cites)
+   * @param {string} id - OpenAlex ID or DOI
+   * @param {Object} options
+   * @param {number} [options.limit=200]
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper[]>}
+   */
+  async getReferences(id, options = {}) {
+    console.log('[OpenAlex] getReferences() for:', id);
+
+    const work = await this._getJson(workPath(id));
+    const refIds = (work?.referenced_works || []).map(shortId).slice(0, options.limit || 200);
+    console.log('[OpenAlex] Found', refIds.length, 'referenced works');
+
+    if (refIds.length === 0) {
+      return [];
+    }
+
+    return this.getBatch(refIds);
+  },
+
+  /**
+   * Get citations (works that cite this work), most cited first
+   * @param {string} id - OpenAlex ID or DOI
+   * @param {Object} options
+   * @param {number} [options.limit=200]
+   * @returns {Promise<import('../../lib/plugins/types.cjs').Paper[]>}
+   */
+  async getCitations(id, options = {}) {
+    console.log('[OpenAlex] getCitations() for:', id);
+
+    // The cites: filter needs the OpenAlex ID
+    let workId = shortId(id);
+    if (!/^W\d+$/i.test(workId)) {
+      const paper = await this.getRecord(id);
+      if (!paper) return [];
+      workId = paper.sourceId;
+    }
+
+    const limit = Math.min(options.limit || 200, MAX_PER_PAGE);
+    const params = new URLSearchParams();
+    params.set('filter', `cites:${workId.toUpperCase()}`);
+    params.set('per-page', String(limit));
+    params.set('sort', 'cited_by_count:desc');
+    params.set('select', LIST_FIELDS);
+
+    const response = await this._getJson(`/works?${params.toString()}`);
+    const papers = (response?.results || []).map(transformWorkToPaper);
+
+    console.log('[OpenAlex] Found', papers.length, 'citing works');
+
+    return papers;
+  },
+
+  // ===========================================================================
+  // PDF Sources
+  // ===========================================================================
+
+  /**
+   * Get open-access PDF sources for a work, best location first
+   * @param {string|Object} idOrPaper - OpenAlex ID, DOI or paper object
+   * @returns {Promise<import('../../lib/plugins/types.cjs').PdfSource[]>}
+   */
+  async getPdfSources(idOrPaper) {
+    let paper = idOrPaper;
+    if (typeof idOrPaper !== 'object' || !idOrPaper._openalex) {
+      const id = typeof idOrPaper === 'object' ? (idOrPaper.sourceId || idOrPaper.doi) : idOrPaper;
+      paper = id ? await this.getRecord(id) : null;
+    }
+    if (!paper) return [];
+
+    const { bestOaLocation, locations } = paper._openalex;
+    const candidates = [bestOaLocation, ...locations].filter(location => location?.is_oa && location.pdf_url);
+
+    const seen = new Set();
+    const sources = [];
+    for (const location of candidates) {
+      if (seen.has(location.pdf_url)) continue;
+      seen.add(location.pdf_url);
+
+      const isArxiv = /arxiv\.org/i.test(location.pdf_url);
+      sources.push({
+        type: isArxiv ? PDF_SOURCE_TYPES.ARXIV : PDF_SOURCE_TYPES.OPEN_ACCESS,
+        url: location.pdf_url,
+        label: isArxiv ? 'arXiv PDF' : `Open Access (${location.source?.display_name || 'OpenAlex'})`,
+        requiresAuth: false,
+        priority: sources.length + 1
+      });
+    }
+
+    console.log('[OpenAlex] Found', sources.length, 'open-access PDF sources');
+    return sources;
+  },
+
+  /**
+   * Download PDF from source (placeholder - handled by app)
+   * @param {import('../../lib/plugins/types.cjs').PdfSource} source
+   * @param {Object} options
+   * @returns {Promise<Buffer>}
+   */
+  async downloadPdf(source, options = {}) {
+    // PDF download is handled by the main app's pdf-download module
+    throw new Error('PDF download should be handled by the application pdf-download module');
+  },
+
+  // ===========================================================================
+  // Web URL
+  // ===========================================================================
+
+  /**
+   * Get URL to view the work on OpenAlex
+   * @param {Object} paper - Paper object with _openalex.id or sourceId
+   * @returns {string|null}
+   */
+  getRecordUrl(paper) {
+    const id = paper._openalex?.id || paper.sourceId;
+    if (!id) return null;
+    return `${OPENALEX_WEB_BASE}/${shortId(id)}`;
+  }
+};
+
+// =============================================================================
+// Module Exports
+// =============================================================================
+
+module.exports = openalexPlugin;
@@ -14,6 +14,16 @@ class BibliacApp {
     this.currentView = 'all';
     this.currentCollection = null;
     this.collections = [];
+    this.paperPaging = null; // Paged list state, see loadPaperPages()
+    this.paperPageRequest = 0;
+    this.editingCollectionId = null; // Collection open in the collection modal, null when creating
+    this.tags = [];
+    this.currentTag = null; // Tag path being viewed (papers with it or a nested tag)
+    this.tagModal = null; // { mode: 'create'|'edit'|'apply', tagId, paperIds, color } while the tag modal is open
+    this.duplicateGroups = []; // [{ papers, reasons, keepId }] shown in the duplicates modal
+    this.citationGraph = null; // { seedIds, label, graph, positions, selectedId } shown in the citation graph modal
+    this.missingPapers = []; // Recommended works shown in the "Papers You're Missing" modal
+    this.missingPapersRefreshTimer = null;
     this.hasAdsToken = false;
     this.isIOS = false; // Platform detection
     this.isMobileView = window.matchMedia('(max-width: 768px)').matches;
@@ -26,7 +36,10 @@ class BibliacApp {
     this.pdfDoc = null;
     this.pdfScale = 1.0; // Will be loaded from settings
     this.pageRotations = {};
+    this.citationTargets = null; // { paperId, promise } - refs the open PDF's citation markers point to
+    this.citationPopover = null; // Popover for a hovered/clicked citation marker
     this.currentPdfSource = null; // Track which PDF source is currently loaded
+    this.currentPdfFilePath = null; // Absolute path of the loaded PDF, for exports
     this.pdfPagePositions = {}; // Store last page position per paper ID
     this.isRendering = false; // Prevent concurrent renders
     this.pendingRender = null; // Queue next render if one is in progress
@@ -37,6 +50,7 @@ class BibliacApp {
     this.currentAdsNLQuery = null;    // Natural language query that generated currentAdsQuery
     this.adsSearchResultCount = 0;    // Total results from ADS
     this.currentSearchSource = 'ads'; // Active search source plugin ('ads', 'arxiv', etc.)
+    this.thirdPartySources = new Map(); // Searchable third-party plugins: id -> name
 
     // Refs/Cites query mode (unified approach)
     this.refsQueryBibcode = null;      // Bibcode we're viewing refs for
@@ -157,6 +171,7 @@ class BibliacApp {
 
     // Set up the download queue panel
     this.setupDownloadQueue();
+    this.setupIngestProgress();
 
     this.libraryPath = await window.electronAPI.getLibraryPath();
 
@@ -220,6 +235,7 @@ class BibliacApp {
         this.showMainScreen(info);
         await this.loadPapers();
         await this.loadCollections();
+        await this.loadTags();
         await this.loadSmartSearches();
         await this.checkAdsToken();
         await this.checkProxyStatus();
@@ -339,10 +355,16 @@ class BibliacApp {
     document.getElementById('action-sheet-overlay')?.addEventListener('click', () => {
       this.hideSelectionActionSheet();
       this.hideCollectionsActionSheet();
+      this.hideTagsActionSheet();
     });
     document.getElementById('as-cancel-btn')?.addEventListener('click', () => {
       this.hideSelectionActionSheet();
     });
+    document.getElementById('as-restore-btn')?.addEventListener('click', () => {
+      this.hideSelectionActionSheet();
+      this.restoreSelectedPapers();
+      this.exitSelectionMode();
+    });
     document.getElementById('as-delete-btn')?.addEventListener('click', () => {
       this.hideSelectionActionSheet();
       this.removeSelectedPapers();
@@ -380,6 +402,23 @@ class BibliacApp {
     document.getElementById('collections-cancel-btn')?.addEventListener('click', () => {
       this.hideCollectionsActionSheet();
     });
+    document.getElementById('as-add-tag-btn')?.addEventListener('click', () => {
+      this.hideSelectionActionSheet();
+      this.showTagsActionSheet('add');
+    });
+    document.getElementById('as-remove-tag-btn')?.addEventListener('click', () => {
+      this.hideSelectionActionSheet();
+      this.showTagsActionSheet('remove');
+    });
+    document.getElementById('as-citation-graph-btn')?.addEventListener('click', () => {
+      this.hideSelectionActionSheet();
+      const paperIds = [...this.selectedPapers].filter(id => typeof id === 'number');
+      this.exitSelectionMode();
+      this.showCitationGraph(paperIds);
+    });
+    document.getElementById('tags-cancel-btn')?.addEventListener('click', () => {
+      this.hideTagsActionSheet();
+    });
 
     // Read status action sheet handlers
     document.getElementById('as-read-status-btn')?.addEventListener('click', () => {
@@ -425,17 +464,18 @@ class BibliacApp {
       });
     });
 
-    // ADS examples section collapsible
-    document.querySelector('.ads-examples-header.collapsible')?.addEventListener('click', (e) => {
-      const header = e.currentTarget;
-      const targetId = header.dataset.toggle;
-      const content = document.getElementById(targetId);
-      const toggle = header.querySelector('.section-toggle');
-      content?.classList.toggle('hidden');
-      header.classList.toggle('expanded');
-      if (toggle) {
-        toggle.textContent = header.classList.contains('expanded') ? '−' : '+';
-      }
+    // ADS examples and query builder sections collapsible
+    document.querySelectorAll('.ads-examples-header.collapsible').forEach(header => {
+      header.addEventListener('click', () => {
+        const targetId = header.dataset.toggle;
+        const content = document.getElementById(targetId);
+        const toggle = header.querySelector('.section-toggle');
+        content?.classList.toggle('hidden');
+        header.classList.toggle('expanded');
+        if (toggle) {
+          toggle.textContent = header.classList.contains('expanded') ? '−' : '+';
+        }
+      });
     });
 
     // ADS example "Use" button click handlers
@@ -533,7 +573,8 @@ class BibliacApp {
       'unread': 'Unread',
       'reading': 'Reading',
       'read': 'Read',
-      'reading-list': 'Reading List'
+      'reading-list': 'Reading List',
+      'trash': 'Trash'
     };
 
     const currentView = this.currentView || 'all';
@@ -611,6 +652,15 @@ class BibliacApp {
     ).join('');
   }
 
+  renderFilterTags() {
+    const optgroup = document.getElementById('filter-tags-group');
+    if (!optgroup) return;
+
+    optgroup.innerHTML = this.getTagTree().map(tag =>
+      `<option value="tag:${tag.id}">🏷 ${this.escapeHtml(tag.name)}</option>`
+    ).join('');
+  }
+
   renderFilterSmartSearches() {
     const optgroup = document.getElementById('filter-smart-searches-group');
     if (!optgroup) return;
@@ -633,6 +683,9 @@ class BibliacApp {
       select.value = `search:${this.currentSmartSearch}`;
     } else if (this.currentCollection) {
       select.value = `col:${this.currentCollection}`;
+    } else if (this.currentTag) {
+      const tag = this.tags.find(t => t.name === this.currentTag);
+      select.value = tag ? `tag:${tag.id}` : 'all';
     } else {
       select.value = this.currentView || 'all';
     }
@@ -650,6 +703,9 @@ class BibliacApp {
       } else if (value.startsWith('search:')) {
         const searchId = parseInt(value.substring(7));
         this.selectSmartSearch(searchId);
+      } else if (value.startsWith('tag:')) {
+        const tag = this.tags.find(t => t.id === parseInt(value.substring(4)));
+        if (tag) this.selectTag(tag.name);
       } else {
         this.setView(value);
       }
@@ -1360,6 +1416,7 @@ class BibliacApp {
         await this.loadPapers();
         console.log('[switchToLibrary] Loading collections...');
         await this.loadCollections();
+        await this.loadTags();
         console.log('[switchToLibrary] Loading smart searches...');
         await this.loadSmartSearches();
         console.log('[switchToLibrary] Updating library picker...');
@@ -1795,7 +1852,9 @@ class BibliacApp {
     const size = file.file_size ? this.formatFileSize(file.file_size) : '';
     const isPrimary = file.is_primary;
     const sourceLabel = this.getSourceLabel(file.source_type);
-    const meta = [sourceLabel, size].filter(Boolean).join(' · ');
+    const ingestLabel = file.ingest_status === 'pending' || file.ingest_status === 'processing' ? 'Reading text…' :
+                        file.ingest_status === 'failed' ? 'No text' : '';
+    const meta = [sourceLabel, size, ingestLabel].filter(Boolean).join(' · ');
 
     // Make file items draggable for external drag-and-drop
     return `
@@ -1804,9 +1863,12 @@ class BibliacApp {
         <span class="file-icon">${icon}</span>
         <div class="file-info">
           <div class="file-name">${this.escapeHtml(file.original_name || file.filename || 'Unknown')}</div>
-          <div class="file-meta">${meta}</div>
+          <div class="file-meta"${file.ingest_error ? ` title="${this.escapeHtml(file.ingest_error)}"` : ''}>${meta}</div>
         </div>
         <div class="file-actions">
+          ${file.ingest_status === 'failed' ? `
+            <button class="file-retry-btn" data-file-id="${file.id}" title="Try reading the text again">↻</button>
+          ` : ''}
           ${file.file_role === 'pdf' ? `
             <button class="file-primary-btn ${isPrimary ? 'active' : ''}"
                     data-file-id="${file.id}" title="Set as primary PDF">★</button>
@@ -1896,6 +1958,16 @@ class BibliacApp {
       });
     });
 
+    // Retry text extraction handlers
+    filesList.querySelectorAll('.file-retry-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await window.electronAPI.ingest?.retry(parseInt(btn.dataset.fileId));
+        const paper = this.papers.find(p => p.id === paperId);
+        if (paper) await this.renderFilesPanel(paper);
+      });
+    });
+
     // Delete button handlers
     filesList.querySelectorAll('.file-delete-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -2229,6 +2301,54 @@ class BibliacApp {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // INGEST PIPELINE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  setupIngestProgress() {
+    const ingest = window.electronAPI?.ingest;
+    if (!ingest) return;
+
+    const stepLabels = {
+      text: 'Reading text',
+      identifiers: 'Looking for identifiers',
+      analysis: 'Queueing AI indexing'
+    };
+    const paperLabel = (paperId) => {
+      const paper = this.papers.find(p => p.id === paperId);
+      return paper ? (paper.bibcode || paper.title?.substring(0, 40)) : `ID ${paperId}`;
+    };
+
+    ingest.onProgress(data => {
+      this.consoleLog(`${stepLabels[data.step] || data.step}: ${paperLabel(data.paperId)}`, 'info');
+    });
+
+    ingest.onComplete(async data => {
+      const found = data.updatedFields.length > 0 ? ` (found ${data.updatedFields.join(', ')})` : '';
+      this.consoleLog(`PDF text ready: ${paperLabel(data.paperId)}${found}`, 'success');
+      await this.refreshIngestedPaper(data.paperId);
+    });
+
+    ingest.onError(async data => {
+      this.consoleLog(`Could not read PDF text: ${paperLabel(data.paperId)} - ${data.error}`, 'error');
+      await this.refreshIngestedPaper(data.paperId);
+    });
+  }
+
+  // Pick up a paper's new text path and identifiers after its PDF was ingested
+  async refreshIngestedPaper(paperId) {
+    const paper = this.papers.find(p => p.id === paperId);
+    if (!paper) return;
+
+    const updated = await window.electronAPI.getPaper(paperId);
+    if (!updated) return;
+    Object.assign(paper, updated);
+
+    if (this.selectedPaper?.id === paperId) {
+      await this.renderFilesPanel(paper);
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // DOWNLOAD QUEUE METHODS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -2542,6 +2662,7 @@ class BibliacApp {
         this.libraryPath = result.path;
         await this.loadPapers();
         await this.loadCollections();
+        await this.loadTags();
         await this.updateLibraryPickerDisplay();
       } else {
         this.consoleLog(`Migration failed: ${result.error}`, 'error');
@@ -2595,7 +2716,15 @@ class BibliacApp {
       otherMeta.textContent = `Modified: ${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
     }
 
+    // Start from the choice of actions
+    document.getElementById('conflict-actions')?.classList.remove('hidden');
+    document.getElementById('conflict-note')?.classList.remove('hidden');
+    document.getElementById('conflict-merge-panel')?.classList.add('hidden');
+
     // Set up button handlers
+    const mergeBtn = document.getElementById('conflict-merge');
+    if (mergeBtn) mergeBtn.onclick = () => this.previewConflictMerge();
+
     document.getElementById('conflict-keep-current')?.addEventListener('click', () => {
       this.resolveConflict('keep-current');
     }, { once: true });
@@ -2611,14 +2740,100 @@ class BibliacApp {
     modal.classList.remove('hidden');
   }
 
-  async resolveConflict(action) {
+  /**
+   * Merge the conflict copy in a dry run. Without field conflicts the merge
+   * goes ahead; otherwise each conflicting field is listed to pick a side.
+   */
+  async previewConflictMerge() {
+    const mergeBtn = document.getElementById('conflict-merge');
+    const originalText = mergeBtn.textContent;
+    mergeBtn.textContent = 'Comparing...';
+    mergeBtn.disabled = true;
+
+    let preview;
+    try {
+      preview = await window.electronAPI.previewLibraryMerge({
+        libraryPath: this.libraryPath,
+        conflictPath: this.currentConflict.path
+      });
+    } finally {
+      mergeBtn.textContent = originalText;
+      mergeBtn.disabled = false;
+    }
+
+    if (!preview.success) {
+      this.consoleLog(`Failed to compare library versions: ${preview.error}`, 'error');
+      alert(`Failed to compare library versions: ${preview.error}`);
+      return;
+    }
+    if (preview.conflicts.length === 0) {
+      await this.resolveConflict('merge');
+      return;
+    }
+
+    const fieldLabels = {
+      title: 'title', authors: 'authors', year: 'year', journal: 'journal', abstract: 'abstract',
+      keywords: 'keywords', doi: 'DOI', arxiv_id: 'arXiv ID', bibcode: 'bibcode', bibtex: 'BibTeX',
+      read_status: 'read status', rating: 'rating', deleted_at: 'Trash', locked_fields: 'locked fields',
+      note_content: 'note', color: 'highlight color', query: 'query', sort_order: 'sort order'
+    };
+    const formatValue = value => {
+      if (value === null || value === undefined || value === '') return '(empty)';
+      const text = String(value);
+      return text.length > 160 ? `${text.substring(0, 160)}…` : text;
+    };
+
+    const summary = document.getElementById('conflict-merge-summary');
+    summary.textContent = preview.hasBase
+      ? `${preview.conflicts.length} field(s) were changed differently on both devices. Everything else merges automatically.`
+      : `${preview.conflicts.length} field(s) differ between the two versions. Neither version is known to descend from the last merge on this Mac, so nothing is treated as deleted.`;
+
+    const list = document.getElementById('conflict-merge-list');
+    list.innerHTML = preview.conflicts.map((conflict, i) => `
+      <div class="conflict-merge-item" data-index="${i}">
+        <div class="conflict-merge-item-title">
+          ${this.escapeHtml(conflict.label || 'Untitled')}
+          <span class="conflict-merge-field">· ${fieldLabels[conflict.field] || this.escapeHtml(conflict.field)}</span>
+        </div>
+        <label class="conflict-merge-choice">
+          <input type="radio" name="conflict-${i}" value="ours" checked>
+          <span>This device: <span class="conflict-merge-value">${this.escapeHtml(formatValue(conflict.ours))}</span></span>
+        </label>
+        <label class="conflict-merge-choice">
+          <input type="radio" name="conflict-${i}" value="theirs">
+          <span>Other device: <span class="conflict-merge-value">${this.escapeHtml(formatValue(conflict.theirs))}</span></span>
+        </label>
+      </div>
+    `).join('');
+
+    document.getElementById('conflict-actions')?.classList.add('hidden');
+    document.getElementById('conflict-note')?.classList.add('hidden');
+    document.getElementById('conflict-merge-panel')?.classList.remove('hidden');
+
+    document.getElementById('conflict-merge-cancel').onclick = () => {
+      document.getElementById('conflict-merge-panel')?.classList.add('hidden');
+      document.getElementById('conflict-actions')?.classList.remove('hidden');
+      document.getElementById('conflict-note')?.classList.remove('hidden');
+    };
+    document.getElementById('conflict-merge-confirm').onclick = () => {
+      const resolutions = {};
+      list.querySelectorAll('.conflict-merge-item').forEach(item => {
+        const conflict = preview.conflicts[parseInt(item.dataset.index)];
+        resolutions[conflict.id] = item.querySelector('input:checked')?.value || 'ours';
+      });
+      this.resolveConflict('merge', resolutions);
+    };
+  }
+
+  async resolveConflict(action, resolutions = {}) {
     const modal = document.getElementById('conflict-modal');
 
     try {
       const result = await window.electronAPI.resolveLibraryConflict({
         libraryPath: this.libraryPath,
         conflictPath: this.currentConflict.path,
-        action
+        action,
+        resolutions
       });
 
       if (result.success) {
@@ -2627,6 +2842,7 @@ class BibliacApp {
         // Reload papers after resolution
         await this.loadPapers();
         await this.loadCollections();
+        await this.loadTags();
       } else {
         this.consoleLog(`Failed to resolve conflict: ${result.error}`, 'error');
         alert(`Failed to resolve conflict: ${result.error}`);
@@ -2751,6 +2967,9 @@ class BibliacApp {
           case 'reset-summary-prompt-btn':
             this.resetSummaryPrompt();
             break;
+          case 'missing-papers-nav':
+            this.showMissingPapers();
+            break;
           // ADS Search pane button (iOS compatibility)
           case 'ads-search-btn':
             this.switchTab('ads-search');
@@ -2780,6 +2999,13 @@ class BibliacApp {
           case 'feedback-submit-btn':
             this.submitFeedback();
             break;
+          // Trash toolbar buttons
+          case 'trash-restore-btn':
+            this.restoreSelectedPapers();
+            break;
+          case 'trash-empty-btn':
+            this.emptyTrash();
+            break;
           // Smart ADS Search buttons
           case 'search-refresh-btn':
             this.refreshSmartSearch();
@@ -2829,19 +3055,7 @@ class BibliacApp {
 
         // Intercept refs/cites tabs to execute query instead of switching
         if (tabName === 'refs' || tabName === 'cites') {
-          // Check if source supports refs/cites (arXiv doesn't)
-          if (this.selectedPaper?.source === 'arxiv' ||
-              (this.selectedPaper?.arxivId && !this.selectedPaper?.bibcode)) {
-            this.showNotification('References and citations are not available for arXiv papers', 'warn');
-            return;
-          }
-
-          if (this.selectedPaper && this.selectedPaper.bibcode) {
-            if (tabName === 'refs') {
-              this.executeRefsQuery(this.selectedPaper.bibcode, this.selectedPaper);
-            } else {
-              this.executeCitesQuery(this.selectedPaper.bibcode, this.selectedPaper);
-            }
+          if (this.selectedPaper && this.openRefsCites(tabName, this.selectedPaper)) {
             return; // Don't proceed with normal tab switch
           }
         }
@@ -2914,9 +3128,9 @@ class BibliacApp {
         return;
       }
 
-      // Collection item click in Library tab - filter and switch back (but not if clicking delete button)
+      // Collection item click in Library tab - filter and switch back (but not if clicking delete/edit buttons)
       const collectionItemInTab = target.closest('#tab-collections-list .collection-item');
-      if (collectionItemInTab && !target.closest('.collection-delete-btn')) {
+      if (collectionItemInTab && !target.closest('.collection-delete-btn, .collection-edit-btn')) {
         // Check if it's a smart search item
         if (collectionItemInTab.dataset.smartSearchId) {
           const searchId = parseInt(collectionItemInTab.dataset.smartSearchId);
@@ -2939,6 +3153,13 @@ class BibliacApp {
         return;
       }
 
+      // Collection edit button click in Library tab
+      if (target.closest('#tab-collections-list .collection-edit-btn')) {
+        const collectionId = target.closest('.collection-item')?.dataset.collectionId;
+        if (collectionId) this.showCollectionModal(parseInt(collectionId));
+        return;
+      }
+
       // Collection delete button click in Library tab
       if (target.closest('#tab-collections-list .collection-delete-btn:not(.smart-search-delete-btn)')) {
         const collectionItem = target.closest('.collection-item');
@@ -3198,11 +3419,35 @@ class BibliacApp {
     // Collections
     document.getElementById('add-collection-btn')?.addEventListener('click', () => this.showCollectionModal());
     document.getElementById('collection-cancel-btn')?.addEventListener('click', () => this.hideCollectionModal());
-    document.getElementById('collection-save-btn')?.addEventListener('click', () => this.createCollection());
+    document.getElementById('collection-save-btn')?.addEventListener('click', () => this.saveCollection());
+
+    // Tags
+    document.getElementById('add-tag-btn')?.addEventListener('click', () => this.showTagModal('create'));
+    document.getElementById('tag-cancel-btn')?.addEventListener('click', () => this.hideTagModal());
+    document.getElementById('tag-save-btn')?.addEventListener('click', () => this.saveTag());
+    document.getElementById('tag-name-input')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.saveTag();
+    });
 
     // Preferences modal
     document.getElementById('preferences-cancel-btn')?.addEventListener('click', () => this.hidePreferencesModal());
     document.getElementById('preferences-save-btn')?.addEventListener('click', () => this.savePreferences());
+    document.getElementById('plugin-open-folder-btn')?.addEventListener('click', () => window.electronAPI.plugins.openFolder());
+    document.getElementById('plugin-reload-btn')?.addEventListener('click', () => this.reloadThirdPartyPlugins());
+    document.getElementById('plugin-prefs-list')?.addEventListener('change', (e) => {
+      if (e.target.matches('input[data-plugin-id]')) {
+        this.setPluginEnabled(e.target.dataset.pluginId, e.target.checked);
+      }
+    });
+
+    // Source plugins loaded, unloaded, enabled or disabled
+    window.electronAPI.plugins?.onChanged?.(() => {
+      this.refreshSearchSources();
+      if (!document.getElementById('preferences-modal')?.classList.contains('hidden')) {
+        this.loadPluginPreferences();
+      }
+    });
+    this.refreshSearchSources();
 
     // Smart collection type toggle
     document.querySelectorAll('input[name="collection-type"]').forEach(radio => {
@@ -3224,6 +3469,7 @@ class BibliacApp {
       const searchInput = document.getElementById('search-input');
       searchInput.value = '';
       searchInput.focus();
+      this.showSearchError(null);
       this.loadPapers();
     });
 
@@ -3270,11 +3516,17 @@ class BibliacApp {
       if (e.key === 'Enter') this.executeAdsPaneSearch();
     });
 
-    // Source selector for search
+    // Source selector for search - carries the typed query over to the new source
     document.getElementById('search-source-selector')?.addEventListener('change', (e) => {
+      const previousSource = this.currentSearchSource;
       this.onSearchSourceChanged(e.target.value);
+      this.convertSearchQuery(previousSource, e.target.value);
     });
 
+    // Query builder
+    document.getElementById('qb-build-btn')?.addEventListener('click', () => this.applyQueryBuilder());
+    document.getElementById('qb-clear-btn')?.addEventListener('click', () => this.clearQueryBuilder());
+
     // Save ADS Search as Smart Search
     document.getElementById('ads-save-search-btn')?.addEventListener('click', () => this.saveAdsSearchAsSmartSearch());
 
@@ -3352,7 +3604,23 @@ class BibliacApp {
     });
     document.getElementById('ctx-collections-submenu')?.addEventListener('mouseleave', () => this.hideCollectionsSubmenu());
     document.getElementById('ctx-remove-from-collection')?.addEventListener('click', () => this.removeFromCurrentCollection());
+    document.getElementById('ctx-add-tag')?.addEventListener('click', () => {
+      this.hideContextMenu();
+      this.showTagModal('apply');
+    });
+    document.getElementById('ctx-remove-tag')?.addEventListener('mouseenter', () => this.showRemoveTagSubmenu());
+    document.getElementById('ctx-remove-tag')?.addEventListener('mouseleave', (e) => {
+      if (!e.relatedTarget?.closest('#ctx-remove-tag-submenu')) {
+        setTimeout(() => this.hideRemoveTagSubmenu(), 100);
+      }
+    });
+    document.getElementById('ctx-remove-tag-submenu')?.addEventListener('mouseleave', () => this.hideRemoveTagSubmenu());
     document.getElementById('ctx-delete-papers')?.addEventListener('click', () => this.removeSelectedPapers());
+    document.getElementById('ctx-restore-papers')?.addEventListener('click', () => {
+      this.hideContextMenu();
+      this.restoreSelectedPapers();
+    });
+    document.getElementById('trash-retention-select')?.addEventListener('change', (e) => this.setTrashRetention(e.target.value));
     document.getElementById('ctx-open-ads')?.addEventListener('click', () => this.openSelectedPaperInADS());
     document.getElementById('ctx-open-publisher')?.addEventListener('click', () => this.openPublisherPDF());
     document.getElementById('ctx-sync-paper')?.addEventListener('click', () => this.syncSelectedPapers());
@@ -3361,6 +3629,14 @@ class BibliacApp {
       this.hideContextMenu();
       this.showExportBookModal();
     });
+    document.getElementById('ctx-citation-graph')?.addEventListener('click', () => {
+      this.hideContextMenu();
+      this.showCitationGraph([...this.selectedPapers].filter(id => typeof id === 'number'));
+    });
+    document.getElementById('ctx-merge-papers')?.addEventListener('click', () => {
+      this.hideContextMenu();
+      this.showDuplicatesModal([...this.selectedPapers].filter(id => typeof id === 'number'));
+    });
     document.getElementById('ctx-add-to-library')?.addEventListener('click', () => {
       this.hideContextMenu();
       this.addSelectedPapersToLibrary();
@@ -3491,6 +3767,7 @@ class BibliacApp {
     document.getElementById('add-note-btn')?.addEventListener('click', () => this.createGeneralNote());
     document.getElementById('ctx-add-note')?.addEventListener('click', () => this.createNoteFromSelection());
     document.getElementById('export-annotations-btn')?.addEventListener('click', () => this.exportAnnotations());
+    document.getElementById('export-annotated-pdf-btn')?.addEventListener('click', () => this.exportAnnotatedPdf());
 
     // Panel collapse toggles
     document.getElementById('sidebar-collapse-btn')?.addEventListener('click', () => this.toggleSidebar());
@@ -3530,6 +3807,39 @@ class BibliacApp {
     window.electronAPI.onShowExportModal?.(() => this.showExportModal());
     window.electronAPI.onShowImportModal?.(() => this.showImportModal());
     window.electronAPI.onShowExportBookModal?.(() => this.showExportBookModal());
+    window.electronAPI.onShowDuplicatesModal?.(() => this.showDuplicatesModal());
+    window.electronAPI.onShowCitationGraph?.(() => this.showCitationGraph());
+
+    // Duplicates modal
+    document.getElementById('duplicates-close-btn')?.addEventListener('click', () => this.hideDuplicatesModal());
+
+    // Author page
+    document.getElementById('author-close-btn')?.addEventListener('click', () => this.hideAuthorModal());
+    document.getElementById('author-filter-btn')?.addEventListener('click', () => this.filterByAuthor());
+
+    // Snapshots modal
+    window.electronAPI.onShowSnapshotsModal?.(() => this.showSnapshotsModal());
+    document.getElementById('snapshots-close-btn')?.addEventListener('click', () => this.hideSnapshotsModal());
+    document.getElementById('snapshots-create-btn')?.addEventListener('click', () => this.createSnapshot());
+    document.querySelectorAll('.snapshots-settings input, .snapshots-settings select').forEach(input => {
+      input.addEventListener('change', () => this.saveSnapshotSettings());
+    });
+    document.getElementById('snapshot-papers-back-btn')?.addEventListener('click', () => this.showSnapshotList());
+    document.getElementById('snapshot-papers-restore-btn')?.addEventListener('click', () => this.restoreSnapshotPapers());
+
+    // Papers you're missing (desktop only: ranking runs in the main process)
+    if (!window.electronAPI.getRecommendations) {
+      document.querySelector('.missing-papers-section')?.classList.add('hidden');
+    }
+    window.electronAPI.onRecommendationsChanged?.(() => this.scheduleMissingPapersRefresh());
+    document.getElementById('missing-papers-close-btn')?.addEventListener('click', () => this.hideMissingPapers());
+    document.getElementById('missing-papers-import-btn')?.addEventListener('click', () => {
+      this.importMissingPapers(this.getSelectedMissingPapers());
+    });
+
+    // Citation graph modal
+    document.getElementById('citation-graph-close-btn')?.addEventListener('click', () => this.hideCitationGraph());
+    document.getElementById('citation-graph-depth')?.addEventListener('change', () => this.loadCitationGraph());
 
     // Window-wide BibTeX file drop handler
     document.body.addEventListener('dragover', (e) => {
@@ -3686,6 +3996,12 @@ class BibliacApp {
   }
 
   sortPapers() {
+    // Paged lists are sorted by the database; reload with the new order
+    if (this.isPagedList()) {
+      this.loadPaperPages(this.paperPaging.filter);
+      return;
+    }
+
     const field = this.sortField;
     const order = this.sortOrder;
     const mult = order === 'asc' ? 1 : -1;
@@ -3966,13 +4282,7 @@ class BibliacApp {
       case 'R':
         // Shift+R: View references
         if (this.selectedPaper) {
-          // Check if source supports refs/cites
-          if (this.selectedPaper.source === 'arxiv' ||
-              (this.selectedPaper.arxivId && !this.selectedPaper.bibcode)) {
-            this.showNotification('References not available for arXiv papers', 'warn');
-          } else if (this.selectedPaper.bibcode) {
-            this.executeRefsQuery(this.selectedPaper.bibcode, this.selectedPaper);
-          }
+          this.openRefsCites('refs', this.selectedPaper);
         }
         break;
       case 'r':
@@ -3986,13 +4296,7 @@ class BibliacApp {
       case 'C':
         // Shift+C: View citations
         if (this.selectedPaper) {
-          // Check if source supports refs/cites
-          if (this.selectedPaper.source === 'arxiv' ||
-              (this.selectedPaper.arxivId && !this.selectedPaper.bibcode)) {
-            this.showNotification('Citations not available for arXiv papers', 'warn');
-          } else if (this.selectedPaper.bibcode) {
-            this.executeCitesQuery(this.selectedPaper.bibcode, this.selectedPaper);
-          }
+          this.openRefsCites('cites', this.selectedPaper);
         }
         break;
       case 's':
@@ -4549,6 +4853,8 @@ class BibliacApp {
 
     // Update reading list count
     this.updateReadingListCount();
+    this.updateTrashCount();
+    this.updateMissingPapersCount();
 
     if (pathDisplay && info.path) {
       const folderName = info.path.split('/').pop();
@@ -4558,6 +4864,8 @@ class BibliacApp {
   }
 
   async loadPapers() {
+    this.searchSnippets = null;
+
     // Ad-hoc ADS search - papers already set by executeAdsPaneSearch
     if (this.isAdsSearchActive) {
       this.sortPapers();
@@ -4580,15 +4888,79 @@ class BibliacApp {
 
     let options = {};
 
-    if (this.currentView !== 'all') {
+    if (this.currentView === 'trash') {
+      options.trash = 'only';
+    } else if (this.currentView !== 'all') {
       options.readStatus = this.currentView;
     }
 
-    this.papers = await window.electronAPI.getAllPapers(options);
-    this.sortPapers();
+    if (this.currentTag) {
+      options.tag = this.currentTag;
+    }
+
+    await this.loadPaperPages(options);
+    this.refreshSmartCollectionCounts();
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PAGED PAPER LIST
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Library and collection lists are sorted by the database and fetched a page
+  // at a time as the list scrolls; this.papers holds the loaded prefix.
+
+  // True while this.papers is the paged list (replacing the array, as search
+  // and ADS views do, leaves paged mode)
+  isPagedList() {
+    return !!this.paperPaging && this.paperPaging.papers === this.papers;
+  }
+
+  // Length of the whole list, including pages not loaded yet
+  getPaperListLength() {
+    return this.isPagedList() ? this.paperPaging.total : this.papers.length;
+  }
+
+  async loadPaperPages(filter) {
+    const query = { ...filter, orderBy: this.sortField, order: this.sortOrder };
+    const request = ++this.paperPageRequest;
+
+    const page = await window.electronAPI.getPapersPage({ ...query, offset: 0, limit: this.PAPER_PAGE_SIZE });
+    if (request !== this.paperPageRequest) return; // Superseded by a newer load
+
+    this.papers = page.papers;
+    this.paperPaging = { filter, query, total: page.total, papers: this.papers, loading: null };
     this.renderPaperList();
   }
 
+  // Fetch pages until the paper at `index` is loaded
+  async loadPapersThrough(index) {
+    const paging = this.paperPaging;
+    while (this.isPagedList() && this.paperPaging === paging &&
+           index >= this.papers.length && this.papers.length < paging.total) {
+      if (!paging.loading) {
+        const offset = this.papers.length;
+        const limit = Math.ceil((index + 1 - offset) / this.PAPER_PAGE_SIZE) * this.PAPER_PAGE_SIZE;
+        paging.loading = window.electronAPI.getPapersPage({ ...paging.query, offset, limit })
+          .then(page => this.appendPaperPage(paging, page))
+          .finally(() => { paging.loading = null; });
+      }
+      await paging.loading;
+    }
+  }
+
+  appendPaperPage(paging, page) {
+    // The list was reloaded or replaced while this page was in flight
+    if (!this.isPagedList() || this.paperPaging !== paging) return;
+
+    this.papers.push(...page.papers);
+    // Papers deleted since the first page: stop at what the database has
+    paging.total = page.papers.length > 0 ? page.total : this.papers.length;
+
+    if (this._virtualContainer?.isConnected) {
+      this._virtualContainer.style.height = `${paging.total * this.PAPER_ITEM_HEIGHT}px`;
+      this.updateVirtualPaperList();
+    }
+  }
+
   async loadCollections() {
     this.collections = await window.electronAPI.getCollections();
     this.renderCollections();
@@ -4603,6 +4975,95 @@ class BibliacApp {
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TRASH
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  isTrashView() {
+    return this.currentView === 'trash' && !this.currentSmartSearch && !this.isAdsSearchActive;
+  }
+
+  async updateTrashCount() {
+    const count = await window.electronAPI.getTrashCount?.();
+    const countEl = document.getElementById('trash-count');
+    if (countEl) {
+      countEl.textContent = count || 0;
+    }
+  }
+
+  async updateTrashToolbar() {
+    const toolbar = document.getElementById('trash-toolbar');
+    if (!toolbar) return;
+
+    const show = this.isTrashView();
+    toolbar.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const days = await window.electronAPI.getTrashRetention?.();
+    const select = document.getElementById('trash-retention-select');
+    if (select && days !== null && days !== undefined) {
+      // Keep a period set on another device even if it isn't a preset
+      if (!select.querySelector(`option[value="${days}"]`)) {
+        select.insertAdjacentHTML('beforeend', `<option value="${days}">Delete after ${days} days</option>`);
+      }
+      select.value = String(days);
+    }
+  }
+
+  async setTrashRetention(days) {
+    const result = await window.electronAPI.setTrashRetention(parseInt(days));
+    if (!result.success) {
+      alert(`Failed to change Trash retention: ${result.error}`);
+      return;
+    }
+    // Shortening the period may have purged papers
+    await this.refreshAfterTrashChange();
+  }
+
+  async restoreSelectedPapers() {
+    if (!this.isTrashView() || this.selectedPapers.size === 0) return;
+
+    const result = await window.electronAPI.restorePapers(Array.from(this.selectedPapers));
+    if (!result.success) {
+      alert(`Failed to restore papers: ${result.error}`);
+      return;
+    }
+    this.showNotification(`Restored ${result.restored} paper${result.restored === 1 ? '' : 's'}`, 'success');
+    await this.refreshAfterTrashChange();
+  }
+
+  async emptyTrash() {
+    const count = await window.electronAPI.getTrashCount();
+    if (!count) return;
+
+    const message = `Permanently delete ${count} paper${count === 1 ? '' : 's'} in the Trash?\n\n` +
+      'Their PDFs, notes and annotations will be deleted. This cannot be undone.';
+    if (!confirm(message)) return;
+
+    const result = await window.electronAPI.emptyTrash();
+    if (!result.success) {
+      alert(`Failed to empty Trash: ${result.error}`);
+      return;
+    }
+    await this.refreshAfterTrashChange();
+  }
+
+  async refreshAfterTrashChange() {
+    this.selectedPapers.clear();
+    this.selectedPaper = null;
+    this.lastClickedIndex = -1;
+    document.getElementById('viewer-wrapper').classList.add('hidden');
+    document.getElementById('detail-placeholder').classList.remove('hidden');
+    document.body.classList.remove('has-selected-paper');
+
+    await this.loadPapers();
+    await this.loadCollections();
+    const info = await window.electronAPI.getLibraryInfo(this.libraryPath);
+    if (info) this.updateLibraryDisplay(info);
+    else this.updateTrashCount();
+    this.updateSelectionUI();
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // SMART ADS SEARCHES
   // ═══════════════════════════════════════════════════════════════════════════
@@ -4622,6 +5083,7 @@ class BibliacApp {
     this.currentSmartSearch = searchId;
     this.currentView = null;
     this.currentCollection = null;
+    this.currentTag = null;
 
     // Clear selections
     this.selectedPapers.clear();
@@ -4862,9 +5324,21 @@ class BibliacApp {
       return;
     }
 
+    await this.importSearchResults(papersToAdd);
+  }
+
+  /**
+   * Import search result papers with one batch call. Merged search rows
+   * carry their sources, and are imported from their own metadata with links
+   * to all of them.
+   * @param {Object[]} papersToAdd - Search result papers not yet in the library
+   */
+  async importSearchResults(papersToAdd) {
     // Use batch import for faster processing
     this.showNotification(`Importing ${papersToAdd.length} papers...`, 'info');
-    const result = await window.electronAPI.adsImportPapers(papersToAdd);
+    const result = papersToAdd.every(p => p.sources)
+      ? await window.electronAPI.plugins.importMerged(papersToAdd)
+      : await window.electronAPI.adsImportPapers(papersToAdd);
 
     if (result.success) {
       const added = result.results.imported.length;
@@ -4872,7 +5346,9 @@ class BibliacApp {
 
       // Mark papers as in library (and no longer in reading list)
       for (const imported of result.results.imported) {
-        const paper = this.papers.find(p => p.bibcode === imported.paper?.bibcode);
+        const paper = this.papers.find(p =>
+          (imported.paper?.id && p.id === imported.paper.id) ||
+          (imported.paper?.bibcode && p.bibcode === imported.paper.bibcode));
         if (paper) {
           paper.inLibrary = true;
           paper.libraryPaperId = imported.id;
@@ -5004,12 +5480,26 @@ class BibliacApp {
   // Virtual scrolling configuration
   PAPER_ITEM_HEIGHT = 58; // Fixed height per paper item in pixels
   VIRTUAL_BUFFER = 5; // Extra items to render above/below visible area
+  PAPER_PAGE_SIZE = 200; // Papers fetched per page for library/collection lists
 
   renderPaperList() {
     const listEl = document.getElementById('paper-list');
-    console.log('renderPaperList called, papers:', this.papers.length);
+    const listLength = this.getPaperListLength();
+    console.log('renderPaperList called, papers:', listLength);
+    this.updateTrashToolbar();
 
-    if (this.papers.length === 0) {
+    if (listLength === 0 && this.isTrashView()) {
+      listEl.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🗑</div>
+          <h3>Trash is empty</h3>
+          <p>Deleted papers stay here, with their PDFs and notes, until they are purged</p>
+        </div>
+      `;
+      return;
+    }
+
+    if (listLength === 0) {
       listEl.innerHTML = `
         <div class="empty-state">
           <div class="empty-icon">📚</div>
@@ -5023,7 +5513,7 @@ class BibliacApp {
     }
 
     // Use virtual scrolling for large lists (>100 papers)
-    if (this.papers.length > 100) {
+    if (listLength > 100) {
       this.renderVirtualPaperList();
     } else {
       this.renderFullPaperList();
@@ -5032,7 +5522,7 @@ class BibliacApp {
 
   renderFullPaperList() {
     const listEl = document.getElementById('paper-list');
-    const inCollection = !!this.currentCollection;
+    const inCollection = this.inManualCollection();
     const isAdsSearchView = !!this.currentSmartSearch || this.isAdsSearchActive;
 
     // Determine action based on context
@@ -5086,10 +5576,11 @@ class BibliacApp {
             ${this.escapeHtml(paper.title || 'Untitled')}
           </div>
           <div class="paper-item-meta">
-            ${actionButtons}${inLibraryBadge}<span class="paper-item-authors">${this.formatAuthors(paper.authors, true)}</span>
+            ${actionButtons}${inLibraryBadge}${this.getSourceBadgesHtml(paper)}${this.getPaperAuthorsHtml(paper)}
             <span>${paper.year || ''}</span>
             ${paper.citation_count > 0 ? `<span class="citation-count" title="${paper.citation_count} citations">🔗${paper.citation_count}</span>` : ''}
             ${this.getRatingEmoji(paper.rating)}
+            ${this.getPaperTagsHtml(paper)}
             ${hasProgress ? `<span class="reading-progress" title="Page ${pos.page}/${pos.totalPages} (${progressPct}%)">📖${progressPct}%</span>` : ''}
             ${paper.is_indexed ? '<span class="indexed-indicator" title="Indexed for AI search">⚡</span>' : ''}
           </div>
@@ -5102,7 +5593,7 @@ class BibliacApp {
 
   renderVirtualPaperList() {
     const listEl = document.getElementById('paper-list');
-    const totalHeight = this.papers.length * this.PAPER_ITEM_HEIGHT;
+    const totalHeight = this.getPaperListLength() * this.PAPER_ITEM_HEIGHT;
 
     // Create virtual scroll container
     listEl.innerHTML = `<div class="virtual-scroll-container" style="height: ${totalHeight}px; position: relative;"></div>`;
@@ -5138,7 +5629,7 @@ class BibliacApp {
 
     const scrollTop = listEl.scrollTop;
     const viewportHeight = listEl.clientHeight;
-    const inCollection = !!this.currentCollection;
+    const inCollection = this.inManualCollection();
     const isAdsSearchView = !!this.currentSmartSearch || this.isAdsSearchActive;
 
     // Determine action based on context
@@ -5160,15 +5651,23 @@ class BibliacApp {
     // Calculate visible range
     const startIndex = Math.max(0, Math.floor(scrollTop / this.PAPER_ITEM_HEIGHT) - this.VIRTUAL_BUFFER);
     const endIndex = Math.min(
-      this.papers.length - 1,
+      this.getPaperListLength() - 1,
       Math.ceil((scrollTop + viewportHeight) / this.PAPER_ITEM_HEIGHT) + this.VIRTUAL_BUFFER
     );
 
     // Generate HTML for visible items only
     let html = '';
+    let needsPage = false;
     for (let i = startIndex; i <= endIndex; i++) {
       const paper = this.papers[i];
       const top = i * this.PAPER_ITEM_HEIGHT;
+
+      // Row on a page that hasn't loaded yet
+      if (!paper) {
+        needsPage = true;
+        html += `<div class="paper-item-placeholder" style="position: absolute; top: ${top}px; left: 0; right: 0; height: ${this.PAPER_ITEM_HEIGHT}px;"></div>`;
+        continue;
+      }
       const pos = this.pdfPagePositions[paper.id];
       const hasProgress = pos && pos.totalPages > 0 && pos.page > 1;
       const progressPct = hasProgress ? Math.round((pos.page / pos.totalPages) * 100) : 0;
@@ -5205,10 +5704,11 @@ class BibliacApp {
               ${this.escapeHtml(paper.title || 'Untitled')}
             </div>
             <div class="paper-item-meta">
-              ${actionButtons}${inLibraryBadge}<span class="paper-item-authors">${this.formatAuthors(paper.authors, true)}</span>
+              ${actionButtons}${inLibraryBadge}${this.getSourceBadgesHtml(paper)}${this.getPaperAuthorsHtml(paper)}
               <span>${paper.year || ''}</span>
               ${paper.citation_count > 0 ? `<span class="citation-count" title="${paper.citation_count} citations">🔗${paper.citation_count}</span>` : ''}
               ${this.getRatingEmoji(paper.rating)}
+              ${this.getPaperTagsHtml(paper)}
               ${hasProgress ? `<span class="reading-progress" title="Page ${pos.page}/${pos.totalPages} (${progressPct}%)">📖${progressPct}%</span>` : ''}
               ${paper.is_indexed ? '<span class="indexed-indicator" title="Indexed for AI search">⚡</span>' : ''}
             </div>
@@ -5219,6 +5719,8 @@ class BibliacApp {
 
     container.innerHTML = html;
     this.attachPaperListHandlers(container);
+
+    if (needsPage) this.loadPapersThrough(endIndex);
   }
 
   attachPaperListHandlers(container) {
@@ -5283,7 +5785,20 @@ class BibliacApp {
     container.querySelectorAll('.paper-action-btn.add-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
-        const bibcode = btn.closest('.paper-swipe-container').dataset.bibcode;
+        const row = btn.closest('.paper-swipe-container');
+
+        // Merged search rows are imported with links to all their sources
+        const merged = this.papers.find(p => String(p.id) === row.dataset.id && p.sources);
+        if (merged) {
+          if (merged.inLibrary) {
+            this.showNotification('Paper already in library', 'info');
+          } else {
+            await this.importSearchResults([merged]);
+          }
+          return;
+        }
+
+        const bibcode = row.dataset.bibcode;
         if (!bibcode) return;
 
         const paper = this.papers.find(p => p.bibcode === bibcode);
@@ -5429,7 +5944,7 @@ class BibliacApp {
               swipeContainer.classList.remove('swiped');
               if (paperItem) paperItem.style.transform = '';
             }
-          } else if (this.currentCollection) {
+          } else if (this.inManualCollection()) {
             // Remove from collection
             const paperId = parseInt(rawId);
             await window.electronAPI.removePaperFromCollection(paperId, this.currentCollection);
@@ -5582,7 +6097,10 @@ class BibliacApp {
     this.updateBottomBarButtonStates();
   }
 
-  selectAllPapers() {
+  async selectAllPapers() {
+    // Select-all covers the whole list, not just the loaded pages
+    await this.loadPapersThrough(this.getPaperListLength() - 1);
+
     this.selectedPapers.clear();
     this.papers.forEach(p => this.selectedPapers.add(p.id));
     this.updatePaperListSelection();
@@ -5639,7 +6157,7 @@ class BibliacApp {
     // Show/hide "Remove from Collection" based on whether we're viewing a collection
     const removeBtn = document.getElementById('as-remove-from-collection-btn');
     if (removeBtn) {
-      if (this.currentCollection) {
+      if (this.inManualCollection()) {
         removeBtn.classList.remove('hidden');
       } else {
         removeBtn.classList.add('hidden');
@@ -5661,6 +6179,16 @@ class BibliacApp {
       syncBtn?.classList.remove('hidden');
     }
 
+    const inTrash = this.isTrashView();
+    document.getElementById('as-restore-btn')?.classList.toggle('hidden', !inTrash);
+    if (deleteBtn) deleteBtn.textContent = inTrash ? 'Delete Permanently' : 'Move to Trash';
+
+    // Tags apply to library papers only
+    const canTag = !this.currentSmartSearch && !this.isAdsSearchActive && this.currentView !== 'reading-list' && !inTrash;
+    document.getElementById('as-add-tag-btn')?.classList.toggle('hidden', !canTag);
+    document.getElementById('as-remove-tag-btn')?.classList.toggle('hidden', !canTag);
+    document.getElementById('as-citation-graph-btn')?.classList.toggle('hidden', !canTag);
+
     document.getElementById('action-sheet-overlay')?.classList.remove('hidden');
     document.getElementById('selection-action-sheet')?.classList.remove('hidden');
   }
@@ -5674,10 +6202,11 @@ class BibliacApp {
     const content = document.getElementById('collections-sheet-content');
     if (!content) return;
 
-    if (this.collections.length === 0) {
+    const collections = this.collections.filter(c => !c.is_smart);
+    if (collections.length === 0) {
       content.innerHTML = '<div class="action-sheet-btn" style="color: var(--text-muted);">No collections</div>';
     } else {
-      content.innerHTML = this.collections.map(c =>
+      content.innerHTML = collections.map(c =>
         `<button class="action-sheet-btn" data-collection-id="${c.id}">${this.escapeHtml(c.name)}</button>`
       ).join('');
 
@@ -5861,8 +6390,8 @@ class BibliacApp {
 
     sheet.innerHTML = `
       <div class="action-sheet-content">
-        <div class="action-sheet-title">Delete "${title}"?</div>
-        <button class="action-sheet-btn action-sheet-danger" id="confirm-delete-btn">Delete Paper</button>
+        <div class="action-sheet-title">${this.isTrashView() ? 'Permanently delete' : 'Move to Trash:'} "${title}"?</div>
+        <button class="action-sheet-btn action-sheet-danger" id="confirm-delete-btn">${this.isTrashView() ? 'Delete Permanently' : 'Move to Trash'}</button>
       </div>
       <button class="action-sheet-cancel" id="cancel-delete-btn">Cancel</button>
     `;
@@ -5952,18 +6481,22 @@ class BibliacApp {
 
     // Update menu items based on context
     const removeFromCollectionItem = document.getElementById('ctx-remove-from-collection');
-    if (this.currentCollection) {
+    if (this.inManualCollection()) {
       removeFromCollectionItem.classList.remove('disabled');
       removeFromCollectionItem.style.display = 'block';
     } else {
       removeFromCollectionItem.style.display = 'none';
     }
 
-    // Update delete text based on selection count
+    // Update delete text based on selection count; in the Trash it deletes for good
+    const inTrash = this.isTrashView();
     const deleteItem = document.getElementById('ctx-delete-papers');
+    const deleteAction = inTrash ? 'Delete' : 'Move';
+    const deleteTarget = inTrash ? 'Permanently' : 'to Trash';
     deleteItem.textContent = this.selectedPapers.size > 1
-      ? `Delete ${this.selectedPapers.size} Papers`
-      : 'Delete';
+      ? `${deleteAction} ${this.selectedPapers.size} Papers ${deleteTarget}`
+      : `${deleteAction} ${deleteTarget}`;
+    document.getElementById('ctx-restore-papers')?.classList.toggle('hidden', !inTrash);
 
     // Update export book text based on selection count
     const exportBookItem = document.getElementById('ctx-export-book');
@@ -5994,6 +6527,20 @@ class BibliacApp {
       document.getElementById('ctx-open-publisher')?.style.setProperty('display', 'block');
     }
 
+    // Tags apply to library papers only
+    const canTag = !this.currentSmartSearch && !this.isAdsSearchActive && this.currentView !== 'reading-list' && !inTrash;
+    document.getElementById('ctx-add-tag')?.classList.toggle('hidden', !canTag);
+    document.getElementById('ctx-remove-tag')?.classList.toggle('hidden', !canTag);
+
+    document.getElementById('ctx-citation-graph')?.classList.toggle('hidden', !canTag || !window.electronAPI.buildCitationGraph);
+
+    const mergeItem = document.getElementById('ctx-merge-papers');
+    if (mergeItem) {
+      const canMerge = canTag && this.selectedPapers.size > 1 && !!window.electronAPI.mergePapers;
+      mergeItem.classList.toggle('hidden', !canMerge);
+      mergeItem.textContent = `Merge ${this.selectedPapers.size} Papers…`;
+    }
+
     menu.classList.remove('hidden');
 
     // Ensure menu doesn't go off screen
@@ -6010,6 +6557,7 @@ class BibliacApp {
     document.getElementById('paper-context-menu').classList.add('hidden');
     this.hideCollectionsSubmenu();
     this.hideReadStatusSubmenu();
+    this.hideRemoveTagSubmenu();
   }
 
   showCollectionsSubmenu() {
@@ -6018,10 +6566,11 @@ class BibliacApp {
     const parentRect = parentItem.getBoundingClientRect();
 
     // Populate with collections
-    if (this.collections.length === 0) {
+    const collections = this.collections.filter(c => !c.is_smart);
+    if (collections.length === 0) {
       submenu.innerHTML = '<div class="context-submenu-item empty">No collections</div>';
     } else {
-      submenu.innerHTML = this.collections.map(c =>
+      submenu.innerHTML = collections.map(c =>
         `<div class="context-submenu-item" data-collection-id="${c.id}">${this.escapeHtml(c.name)}</div>`
       ).join('');
 
@@ -6094,7 +6643,7 @@ class BibliacApp {
 
   async addSelectedToCollection(collectionId) {
     const collection = this.collections.find(c => c.id === collectionId);
-    if (!collection) return;
+    if (!collection || collection.is_smart) return;
 
     // For smart search papers, first add to library
     if (this.currentSmartSearch) {
@@ -6159,12 +6708,13 @@ class BibliacApp {
       return;
     }
 
-    listEl.innerHTML = this.collections.map(col => `
-      <div class="nav-item${this.currentCollection === col.id ? ' active' : ''}${col.is_smart ? ' smart' : ''}" data-collection="${col.id}">
+    listEl.innerHTML = this.getCollectionTree().map(({ col, depth }) => `
+      <div class="nav-item${this.currentCollection === col.id ? ' active' : ''}${col.is_smart ? ' smart' : ''}${col.query_error ? ' query-invalid' : ''}" data-collection="${col.id}" style="--depth: ${depth}"${this.getCollectionTooltip(col)}>
         <button class="collection-delete-btn" data-delete-collection="${col.id}" title="Delete collection">−</button>
         <span class="nav-icon">${col.is_smart ? '🔍' : '📁'}</span>
         <span class="collection-name">${this.escapeHtml(col.name)}</span>
-        <span class="nav-count">${col.paper_count || 0}</span>
+        <button class="collection-edit-btn" data-edit-collection="${col.id}" title="Edit collection">✎</button>
+        <span class="nav-count">${col.paper_count ?? '—'}</span>
       </div>
     `).join('');
 
@@ -6177,6 +6727,14 @@ class BibliacApp {
       });
     });
 
+    // Edit buttons
+    listEl.querySelectorAll('.collection-edit-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showCollectionModal(parseInt(btn.dataset.editCollection));
+      });
+    });
+
     listEl.querySelectorAll('.nav-item[data-collection]').forEach(item => {
       const id = parseInt(item.dataset.collection);
 
@@ -6184,7 +6742,9 @@ class BibliacApp {
         this.selectCollection(id);
       });
 
-      // Drag-drop support
+      // Drag-drop support (smart collection membership comes from the query)
+      if (item.classList.contains('smart')) return;
+
       item.addEventListener('dragover', (e) => {
         e.preventDefault();
         item.classList.add('drag-over');
@@ -6202,6 +6762,47 @@ class BibliacApp {
     });
   }
 
+  // Collections in display order: depth-first, children under their parent
+  getCollectionTree() {
+    const ids = new Set(this.collections.map(c => c.id));
+    const childrenOf = new Map();
+    for (const col of this.collections) {
+      const parentId = ids.has(col.parent_id) ? col.parent_id : null;
+      if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+      childrenOf.get(parentId).push(col);
+    }
+
+    const tree = [];
+    const visit = (parentId, depth) => {
+      for (const col of childrenOf.get(parentId) || []) {
+        tree.push({ col, depth });
+        visit(col.id, depth + 1);
+      }
+    };
+    visit(null, 0);
+    return tree;
+  }
+
+  // Smart collections show their query (or why it's broken) on hover
+  getCollectionTooltip(col) {
+    if (!col.is_smart) return '';
+    const text = col.query_error ? `Invalid query: ${col.query_error}` : col.query;
+    return ` title="${this.escapeHtml(text).replace(/"/g, '&quot;')}"`;
+  }
+
+  // Manual add/remove only applies to regular collections
+  inManualCollection() {
+    if (!this.currentCollection) return false;
+    const collection = this.collections.find(c => c.id === this.currentCollection);
+    return !collection?.is_smart;
+  }
+
+  // Smart collection counts depend on paper fields; refetch after papers change
+  async refreshSmartCollectionCounts() {
+    if (!this.collections.some(c => c.is_smart)) return;
+    await this.loadCollections();
+  }
+
   // Render libraries list in the Library tab
   async renderLibrariesTab() {
     const container = document.getElementById('libraries-list');
@@ -6242,16 +6843,17 @@ class BibliacApp {
       <div class="collection-item${!this.currentCollection && !this.currentSmartSearch ? ' active' : ''}" data-collection-id="">
         <span class="collection-icon">📚</span>
         <span class="collection-name">All Papers</span>
-        <span class="collection-count">${this.papers.length}</span>
+        <span class="collection-count">${this.getPaperListLength()}</span>
       </div>
     `;
 
     // Add user collections
-    html += this.collections.map(col => `
-      <div class="collection-item${this.currentCollection === col.id ? ' active' : ''}" data-collection-id="${col.id}">
+    html += this.getCollectionTree().map(({ col, depth }) => `
+      <div class="collection-item${this.currentCollection === col.id ? ' active' : ''}${col.query_error ? ' query-invalid' : ''}" data-collection-id="${col.id}" style="--depth: ${depth}"${this.getCollectionTooltip(col)}>
         <span class="collection-icon">${col.is_smart ? '🔍' : '📁'}</span>
         <span class="collection-name">${this.escapeHtml(col.name)}</span>
-        <span class="collection-count">${col.paper_count || 0}</span>
+        <span class="collection-count">${col.paper_count ?? '—'}</span>
+        <button class="collection-edit-btn" title="Edit collection">✎</button>
         <button class="collection-delete-btn" title="Delete collection">×</button>
       </div>
     `).join('');
@@ -6460,11 +7062,12 @@ class BibliacApp {
       window.electronAPI.setPdfPosition(this.selectedPaper.id, position);
     }
 
-    const paper = this.papers.find(p => p.id === id);
-
-    // For local papers, fallback to database lookup; for ADS papers, just use the array
-    const resolvedPaper = paper || (!this.currentSmartSearch ? await window.electronAPI.getPaper(id) : null);
+    // For local papers, fallback to database lookup (the paper may be on a list page
+    // that isn't loaded yet); for ADS papers, just use the array
+    const resolvedPaper = this.papers.find(p => p.id === id) ||
+      (!this.currentSmartSearch ? await window.electronAPI.getPaper(id) : null);
     if (!resolvedPaper) return;
+    const paper = resolvedPaper;
 
     this.selectedPaper = resolvedPaper;
 
@@ -6552,6 +7155,9 @@ class BibliacApp {
       });
     }
 
+    this.renderPaperTags(resolvedPaper);
+    this.renderAuthorLinks(resolvedPaper);
+
     // Update keywords
     const keywordsEl = document.getElementById('keywords-list');
     if (paper.keywords?.length) {
@@ -6852,6 +7458,10 @@ class BibliacApp {
       this.pdfDoc.destroy();
       this.pdfDoc = null;
     }
+    this.currentPdfFilePath = pdfFilePath || null;
+
+    // Citation targets are rebuilt for each PDF opened (its refs may have changed)
+    this.citationTargets = null;
 
     // Reset page rotations for new document and load saved rotations
     this.pageRotations = {};
@@ -6911,8 +7521,10 @@ class BibliacApp {
 
       document.getElementById('total-pages').textContent = this.pdfDoc.numPages;
 
-      // Get saved position if available, but validate it
-      const savedPos = this.pdfPagePositions[paper.id];
+      // Get saved position if available, but validate it. A full-text search
+      // hit opens on the page it was found on instead
+      const hitPage = this.searchSnippets?.get(paper.id)?.page;
+      const savedPos = hitPage ? { page: hitPage, offset: 0 } : this.pdfPagePositions[paper.id];
       let targetPage = savedPos?.page || 1;
       let pageOffset = savedPos?.offset || 0;
 
@@ -7111,6 +7723,7 @@ class BibliacApp {
 
     const container = document.getElementById('pdf-container');
     container.innerHTML = '';
+    this.hideCitationPopover();
 
     // Use device pixel ratio for sharper rendering on high-DPI displays
     // Multiply by 1.2 for extra sharpness on desktop
@@ -7179,35 +7792,7 @@ class BibliacApp {
       wrapper.appendChild(canvas);
 
       // Create text layer for text selection
-      const textLayerDiv = document.createElement('div');
-      textLayerDiv.className = 'pdf-text-layer';
-      textLayerDiv.style.width = `${viewport.width}px`;
-      textLayerDiv.style.height = `${viewport.height}px`;
-
-      const textContent = await page.getTextContent();
-
-      // Store text divs for potential future use
-      const textDivs = [];
-
-      // Render text layer using PDF.js
-      const textLayer = pdfjsLib.renderTextLayer({
-        textContentSource: textContent,
-        container: textLayerDiv,
-        viewport: viewport,
-        textDivs: textDivs
-      });
-
-      // Wait for text layer to render
-      if (textLayer.promise) {
-        await textLayer.promise;
-      }
-
-      // Add end-of-content marker for better multi-line selection
-      const endOfContent = document.createElement('div');
-      endOfContent.className = 'endOfContent';
-      textLayerDiv.appendChild(endOfContent);
-
-      wrapper.appendChild(textLayerDiv);
+      wrapper.appendChild(await this.renderPageTextLayer(page, viewport));
 
       // Render annotation layer for clickable links
       try {
@@ -7347,6 +7932,10 @@ class BibliacApp {
     const canvas = document.querySelector(`.pdf-page[data-page="${pageNum}"]`);
     if (!canvas) return;
 
+    const wrapper = canvas.closest('.pdf-page-wrapper');
+    wrapper.style.width = `${viewport.width}px`;
+    wrapper.style.height = `${viewport.height}px`;
+
     // Use device pixel ratio for sharper rendering
     // Multiply by 1.2 for extra sharpness on desktop
     const dpr = (window.devicePixelRatio || 1) * 1.2;
@@ -7363,13 +7952,293 @@ class BibliacApp {
     ctx.scale(dpr, dpr);
 
     await page.render({ canvasContext: ctx, viewport }).promise;
-  }
 
-  getCurrentVisiblePage() {
-    const container = document.getElementById('pdf-container');
-    const wrappers = container.querySelectorAll('.pdf-page-wrapper');
+    // Text layer to match the new rotation
+    const textLayerDiv = await this.renderPageTextLayer(page, viewport);
+    wrapper.querySelector('.pdf-text-layer')?.replaceWith(textLayerDiv);
+  }
 
-    if (wrappers.length === 0) return 1;
+  /**
+   * Render a page's text layer (text selection and citation markers)
+   * @param {Object} page - PDF.js page
+   * @param {Object} viewport - Viewport the page canvas was rendered with
+   * @returns {Promise<HTMLElement>} The layer, for the page wrapper
+   */
+  async renderPageTextLayer(page, viewport) {
+    const textLayerDiv = document.createElement('div');
+    textLayerDiv.className = 'pdf-text-layer';
+    textLayerDiv.style.width = `${viewport.width}px`;
+    textLayerDiv.style.height = `${viewport.height}px`;
+
+    const textContent = await page.getTextContent();
+
+    // One div per text item, for linking citation markers
+    const textDivs = [];
+
+    // Render text layer using PDF.js
+    const textLayer = pdfjsLib.renderTextLayer({
+      textContentSource: textContent,
+      container: textLayerDiv,
+      viewport: viewport,
+      textDivs: textDivs
+    });
+
+    // Wait for text layer to render
+    if (textLayer.promise) {
+      await textLayer.promise;
+    }
+
+    // Add end-of-content marker for better multi-line selection
+    const endOfContent = document.createElement('div');
+    endOfContent.className = 'endOfContent';
+    textLayerDiv.appendChild(endOfContent);
+
+    // Linked in the background: the page is usable without them
+    this.linkPageCitations(textLayerDiv, textDivs);
+
+    return textLayerDiv;
+  }
+
+  // ===== In-PDF Citation Markers =====
+
+  /**
+   * Reference entries the open PDF's citation markers point to, fetched
+   * once per paper. Only library papers have them (desktop only).
+   * @returns {Promise<Object[]|null>}
+   */
+  loadCitationTargets() {
+    const paperId = this.selectedPaper?.id;
+    if (!Number.isInteger(paperId) || !window.electronAPI.pluginData?.getCitationTargets) {
+      return Promise.resolve(null);
+    }
+
+    if (this.citationTargets?.paperId !== paperId) {
+      this.citationTargets = {
+        paperId,
+        promise: window.electronAPI.pluginData.getCitationTargets(paperId)
+          .then(result => result.success ? result.data : null)
+      };
+    }
+    return this.citationTargets.promise;
+  }
+
+  /**
+   * Wrap the citation markers in a page's text layer ("[23]", "Smith et al.
+   * (2019)") in spans that show the cited reference on hover or click
+   * @param {HTMLElement} textLayerDiv - The page's text layer
+   * @param {HTMLElement[]} textDivs - Its text item divs
+   */
+  async linkPageCitations(textLayerDiv, textDivs) {
+    const paperId = this.selectedPaper?.id;
+    const targets = await this.loadCitationTargets();
+    if (!targets?.length || textDivs.length === 0) return;
+
+    const texts = textDivs.map(div => div.textContent);
+    const result = await window.electronAPI.pluginData.linkCitationMarkers(paperId, texts);
+    if (!result.success || this.selectedPaper?.id !== paperId) return;
+
+    result.data.forEach((markers, i) => {
+      if (markers.length === 0) return;
+
+      const text = texts[i];
+      const fragment = document.createDocumentFragment();
+      let pos = 0;
+      for (const marker of markers) {
+        fragment.append(text.slice(pos, marker.start));
+        const span = document.createElement('span');
+        span.className = 'pdf-citation-marker';
+        span.dataset.targets = marker.targets.join(',');
+        span.textContent = text.slice(marker.start, marker.end);
+        fragment.append(span);
+        pos = marker.end;
+      }
+      fragment.append(text.slice(pos));
+      textDivs[i].replaceChildren(fragment);
+    });
+
+    // Hover shows the popover after a short delay, click at once
+    let hoverTimer = null;
+    textLayerDiv.addEventListener('mouseover', (e) => {
+      const marker = e.target.closest('.pdf-citation-marker');
+      if (!marker) return;
+      clearTimeout(hoverTimer);
+      hoverTimer = setTimeout(() => this.showCitationPopover(marker, targets), 350);
+    });
+    textLayerDiv.addEventListener('mouseout', (e) => {
+      if (!e.target.closest('.pdf-citation-marker')) return;
+      clearTimeout(hoverTimer);
+      this.scheduleHideCitationPopover();
+    });
+    textLayerDiv.addEventListener('click', (e) => {
+      const marker = e.target.closest('.pdf-citation-marker');
+      // Leave clicks that end a text selection alone
+      if (!marker || !window.getSelection().isCollapsed) return;
+      clearTimeout(hoverTimer);
+      this.showCitationPopover(marker, targets);
+    });
+  }
+
+  /**
+   * Show the references a citation marker points to next to it
+   * @param {HTMLElement} marker - .pdf-citation-marker span
+   * @param {Object[]} targets - From loadCitationTargets()
+   */
+  showCitationPopover(marker, targets) {
+    this.hideCitationPopover();
+
+    const entries = marker.dataset.targets.split(',').map(Number).map(index => targets[index]).filter(Boolean);
+    if (entries.length === 0) return;
+
+    const popover = document.createElement('div');
+    popover.className = 'citation-popover';
+    popover.innerHTML = entries.map((target, i) => {
+      const meta = [this.formatAuthorsShort(target.authors), target.year, target.journal].filter(Boolean).join(' · ');
+      const hasIdentifier = Boolean(target.doi || target.arxiv_id || target.bibcode);
+      const status = target.inLibrary ? 'In library' : (target.inReadingList ? 'In reading list' : 'Not in library');
+      const statusClass = target.inLibrary ? 'in-library' : (target.inReadingList ? 'in-reading-list' : '');
+      return `
+        <div class="citation-popover-entry" data-index="${i}">
+          <div class="citation-popover-title">${target.number ? `<span class="citation-popover-number">[${target.number}]</span> ` : ''}${this.escapeHtml(target.title || 'Untitled reference')}</div>
+          ${meta ? `<div class="citation-popover-meta">${this.escapeHtml(meta)}</div>` : ''}
+          <div class="citation-popover-status ${statusClass}">${status}</div>
+          <div class="citation-popover-actions">
+            <button data-action="open"${target.inLibrary || hasIdentifier ? '' : ' disabled'}>Open</button>
+            ${target.inLibrary ? '' : `<button data-action="add"${hasIdentifier ? '' : ' disabled'}>Add to Library</button>`}
+            ${target.inLibrary || target.inReadingList ? '' : `<button data-action="save"${hasIdentifier ? '' : ' disabled'}>Reading List</button>`}
+          </div>
+        </div>`;
+    }).join('');
+
+    // Below the marker, or above it near the bottom of the window
+    const rect = marker.getBoundingClientRect();
+    popover.style.position = 'fixed';
+    popover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 368))}px`;
+    document.body.appendChild(popover);
+    const top = rect.bottom + 4 + popover.offsetHeight > window.innerHeight
+      ? rect.top - 4 - popover.offsetHeight
+      : rect.bottom + 4;
+    popover.style.top = `${Math.max(8, top)}px`;
+
+    popover.addEventListener('mouseenter', () => clearTimeout(this.citationPopoverHideTimer));
+    popover.addEventListener('mouseleave', () => this.scheduleHideCitationPopover());
+    popover.querySelectorAll('button[data-action]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const target = entries[Number(btn.closest('.citation-popover-entry').dataset.index)];
+        btn.disabled = true;
+        await this.handleCitationAction(btn.dataset.action, target);
+      });
+    });
+
+    this.citationPopover = popover;
+
+    // Close on a click anywhere else
+    this.citationPopoverOutsideClick = (e) => {
+      if (!popover.contains(e.target) && e.target !== marker) this.hideCitationPopover();
+    };
+    setTimeout(() => document.addEventListener('mousedown', this.citationPopoverOutsideClick), 0);
+  }
+
+  scheduleHideCitationPopover() {
+    clearTimeout(this.citationPopoverHideTimer);
+    this.citationPopoverHideTimer = setTimeout(() => this.hideCitationPopover(), 300);
+  }
+
+  hideCitationPopover() {
+    clearTimeout(this.citationPopoverHideTimer);
+    if (this.citationPopoverOutsideClick) {
+      document.removeEventListener('mousedown', this.citationPopoverOutsideClick);
+      this.citationPopoverOutsideClick = null;
+    }
+    this.citationPopover?.remove();
+    this.citationPopover = null;
+  }
+
+  /**
+   * Run a citation popover button
+   * @param {'open'|'add'|'save'} action
+   * @param {Object} target - Citation target (see loadCitationTargets)
+   */
+  async handleCitationAction(action, target) {
+    const work = {
+      key: target.doi || target.arxiv_id || target.bibcode,
+      bibcode: target.bibcode,
+      doi: target.doi,
+      arxiv_id: target.arxiv_id,
+      title: target.title,
+      authors: target.authors,
+      year: target.year,
+      journal: target.journal
+    };
+
+    if (action === 'open') {
+      this.hideCitationPopover();
+      if (target.inLibrary) {
+        // displayPaper falls back to the database when the paper isn't in the current list
+        await this.selectPaper(target.linked_paper_id);
+      } else if (target.bibcode) {
+        window.electronAPI.openExternal(`https://ui.adsabs.harvard.edu/abs/${target.bibcode}/abstract`);
+      } else if (target.doi) {
+        window.electronAPI.openExternal(`https://doi.org/${target.doi}`);
+      } else if (target.arxiv_id) {
+        window.electronAPI.openExternal(`https://arxiv.org/abs/${target.arxiv_id}`);
+      }
+      return;
+    }
+
+    if (action === 'add') {
+      this.showNotification('Adding to library...', 'info');
+      const result = await window.electronAPI.importRecommendations([{ ...work, authors: work.authors.join('; ') }]);
+      if (!result?.success) {
+        this.showNotification(`Import failed: ${result?.error || 'unknown error'}`, 'error');
+        return;
+      }
+
+      const { imported, skipped, failed } = result.results;
+      const added = imported[0] || skipped[0];
+      if (!added) {
+        this.showNotification(`Import failed: ${failed[0]?.error || 'not found'}`, 'error');
+        return;
+      }
+
+      target.inLibrary = true;
+      target.inReadingList = false;
+      target.linked_paper_id = added.id;
+      this.hideCitationPopover();
+      if (imported.length > 0) {
+        if (this.currentCollection) {
+          await this.loadPapersInCollection(this.currentCollection);
+        } else {
+          await this.loadPapers();
+        }
+        await this.updateReadingListCount();
+      }
+      this.showNotification(imported.length > 0 ? 'Added to library' : 'Already in library', 'success');
+      return;
+    }
+
+    if (action === 'save') {
+      const result = await window.electronAPI.readingListAdd({
+        ...work,
+        bibcode: target.bibcode || target.arxiv_id,
+        arxivId: target.arxiv_id
+      });
+      if (result?.success) {
+        target.inReadingList = true;
+        this.hideCitationPopover();
+        await this.updateReadingListCount();
+        this.showNotification('Saved to reading list', 'success');
+      } else {
+        this.showNotification(result?.error || 'Failed to save', 'error');
+      }
+    }
+  }
+
+  getCurrentVisiblePage() {
+    const container = document.getElementById('pdf-container');
+    const wrappers = container.querySelectorAll('.pdf-page-wrapper');
+
+    if (wrappers.length === 0) return 1;
 
     // Use scrollTop-based calculation (much faster than getBoundingClientRect)
     const scrollTop = container.scrollTop;
@@ -7483,6 +8352,8 @@ class BibliacApp {
     }
 
     recordInfoEl.innerHTML = recordItems.join('');
+
+    await this.renderPaperHistory(paper);
   }
 
   /**
@@ -7781,6 +8652,7 @@ class BibliacApp {
   setView(view) {
     this.currentView = view;
     this.currentCollection = null;
+    this.currentTag = null;
 
     // Exit smart search mode when selecting a built-in view
     if (this.currentSmartSearch) {
@@ -7801,7 +8673,7 @@ class BibliacApp {
     document.querySelectorAll('.nav-item[data-view]').forEach(item => {
       item.classList.toggle('active', item.dataset.view === view);
     });
-    document.querySelectorAll('.nav-item[data-collection]').forEach(item => {
+    document.querySelectorAll('.nav-item[data-collection], .nav-item[data-tag-id]').forEach(item => {
       item.classList.remove('active');
     });
 
@@ -7813,6 +8685,7 @@ class BibliacApp {
   async selectCollection(collectionId) {
     this.currentCollection = collectionId;
     this.currentView = null;
+    this.currentTag = null;
 
     // Exit smart search mode when selecting a collection
     if (this.currentSmartSearch) {
@@ -7836,14 +8709,24 @@ class BibliacApp {
     document.querySelectorAll('.nav-item[data-collection]').forEach(item => {
       item.classList.toggle('active', parseInt(item.dataset.collection) === collectionId);
     });
+    document.querySelectorAll('.nav-item[data-tag-id]').forEach(item => {
+      item.classList.remove('active');
+    });
 
     this.updateFilterLabel();
-    this.papers = await window.electronAPI.getPapersInCollection(collectionId);
-    this.sortPapers();
-    this.renderPaperList();
+    await this.loadPapersInCollection(collectionId);
   }
 
   async loadPapersInCollection(collectionId) {
+    this.searchSnippets = null;
+
+    // Regular collections page like the library; smart collections are query results
+    const collection = this.collections.find(c => c.id === collectionId);
+    if (collection && !collection.is_smart) {
+      await this.loadPaperPages({ collectionId });
+      return;
+    }
+
     this.papers = await window.electronAPI.getPapersInCollection(collectionId);
     this.sortPapers();
     this.renderPaperList();
@@ -7945,32 +8828,45 @@ class BibliacApp {
 
     // Check if we're in reading list mode
     const isReadingList = this.currentView === 'reading-list';
-    const locationName = isReadingList ? 'reading list' : 'library';
+    const inTrash = this.isTrashView();
+    const paper = count === 1 ? this.papers.find(p => this.selectedPapers.has(p.id)) : null;
+    const subject = count === 1 ? `"${paper?.title || 'Untitled'}"` : `${count} papers`;
 
-    // Build confirmation message
+    // Build confirmation message. Library papers go to the Trash, so only
+    // the reading list and the Trash itself delete for good.
     let message;
-    if (count === 1) {
-      const paper = this.papers.find(p => this.selectedPapers.has(p.id));
-      const title = paper?.title || 'Untitled';
-      message = `Remove "${title}" from ${locationName}?\n\nThis will delete the paper entry and its PDF file.`;
+    if (isReadingList) {
+      message = `Remove ${subject} from reading list?\n\nThis will delete the saved entry and its PDF file.`;
+    } else if (inTrash) {
+      message = `Permanently delete ${subject}?\n\nTheir PDFs, notes and annotations will be deleted. This cannot be undone.`;
     } else {
-      message = `Remove ${count} papers from ${locationName}?\n\nThis will delete all paper entries and their PDF files.`;
+      message = `Move ${subject} to the Trash?\n\nPDFs, notes and collections are kept until the Trash is emptied.`;
     }
 
     if (!confirm(message)) {
       return;
     }
 
+    await this.deletePapers(Array.from(this.selectedPapers));
+  }
+
+  // Delete papers from the current view without asking: reading list entries
+  // are removed, library papers go to the Trash, and papers in the Trash are
+  // deleted permanently
+  async deletePapers(ids) {
+    const isReadingList = this.currentView === 'reading-list';
+
     try {
       if (isReadingList) {
         // Delete from reading list - use bibcode (which is used as id for reading list papers)
-        const bibcodes = Array.from(this.selectedPapers);
-        for (const bibcode of bibcodes) {
+        for (const bibcode of ids) {
           await window.electronAPI.readingListRemove(bibcode);
         }
+      } else if (this.isTrashView()) {
+        const result = await window.electronAPI.purgePapers(ids);
+        if (!result.success) throw new Error(result.error);
       } else {
         // Use bulk delete for library papers
-        const ids = Array.from(this.selectedPapers);
         await window.electronAPI.deletePapersBulk(ids);
       }
 
@@ -7990,8 +8886,10 @@ class BibliacApp {
       if (isReadingList) {
         await this.updateReadingListCount();
       } else {
+        await this.loadCollections();
         const info = await window.electronAPI.getLibraryInfo(this.libraryPath);
         if (info) this.updateLibraryDisplay(info);
+        else this.updateTrashCount();
       }
       this.updateSelectionUI();
 
@@ -8003,6 +8901,7 @@ class BibliacApp {
 
   async searchPapers(query) {
     if (!query.trim()) {
+      this.showSearchError(null);
       await this.loadPapers();
       return;
     }
@@ -8010,14 +8909,68 @@ class BibliacApp {
     console.log('Searching for:', query);
     const results = await window.electronAPI.searchPapers(query);
     console.log('Search results:', results);
+
+    // Malformed query: keep the current list and explain what's wrong
+    if (results?.error) {
+      this.showSearchError(results.error, results.position);
+      return;
+    }
+    this.showSearchError(null);
+
     this.papers = results.map(r => r.paper);
+    // Keep snippets for hits the title alone doesn't explain
+    this.searchSnippets = new Map(
+      results.filter(r => r.context && r.matchSource !== 'title').map(r => [r.paper.id, r])
+    );
     console.log('Papers after search:', this.papers);
     this.sortPapers();
     this.renderPaperList();
   }
 
+  showSearchError(message, position = null) {
+    const searchInput = document.getElementById('search-input');
+    const errorEl = document.getElementById('search-error');
+    searchInput?.classList.toggle('invalid', !!message);
+    if (!errorEl) return;
+
+    if (!message) {
+      errorEl.classList.add('hidden');
+      errorEl.textContent = '';
+      return;
+    }
+
+    errorEl.textContent = position !== null ? `${message} (at character ${position + 1})` : message;
+    errorEl.classList.remove('hidden');
+  }
+
+  // Search hits show their highlighted snippet (HTML from the search index) in place of the authors
+  getPaperAuthorsHtml(paper) {
+    const hit = this.searchSnippets?.get(paper.id);
+    if (hit) {
+      const page = hit.page ? `<span class="paper-item-snippet-page">p. ${hit.page}</span> ` : '';
+      return `<span class="paper-item-authors paper-item-snippet" title="Matched in ${hit.matchSource}">${page}${hit.context}</span>`;
+    }
+    return `<span class="paper-item-authors">${this.formatAuthors(paper.authors, true)}</span>`;
+  }
+
+  // Display name of a search source (built-in or third-party plugin)
+  getSourceName(sourceId) {
+    const names = { 'ads': 'ADS', 'arxiv': 'arXiv', 'inspire': 'INSPIRE', 'crossref': 'Crossref', 'openalex': 'OpenAlex' };
+    return names[sourceId] || this.thirdPartySources.get(sourceId) || sourceId;
+  }
+
+  // Merged search results show which sources found them
+  getSourceBadgesHtml(paper) {
+    if (!paper.isAdsSearch || !paper.sources?.length) return '';
+    const badges = paper.sources.map(s =>
+      `<span class="source-badge" title="#${s.rank + 1} in ${this.escapeHtml(this.getSourceName(s.source))}">${this.escapeHtml(this.getSourceName(s.source))}</span>`
+    ).join('');
+    return `<span class="source-badges">${badges}</span>`;
+  }
+
   async updatePaperStatus(paperId, status) {
     await window.electronAPI.updatePaper(paperId, { read_status: status });
+    this.refreshSmartCollectionCounts();
 
     // Update in local list
     const paper = this.papers.find(p => p.id === paperId);
@@ -8035,6 +8988,7 @@ class BibliacApp {
 
   async updatePaperRating(paperId, rating) {
     await window.electronAPI.updatePaper(paperId, { rating: rating });
+    this.refreshSmartCollectionCounts();
 
     // Update in local list
     const paper = this.papers.find(p => p.id === paperId);
@@ -8789,29 +9743,8 @@ class BibliacApp {
       const result = await window.electronAPI.saveBibtex(this.selectedPaper.id, bibtex);
 
       if (result.success) {
-        // Update local paper object with new metadata
-        Object.assign(this.selectedPaper, result.paper);
-
-        // Update the papers array
-        const index = this.papers.findIndex(p => p.id === this.selectedPaper.id);
-        if (index !== -1) {
-          this.papers[index] = result.paper;
-        }
-
-        // Refresh paper list to show updated title/authors
-        this.renderPaperList();
-
-        // Update the detail view
-        document.getElementById('paper-title').textContent = result.paper.title || 'Untitled';
-        document.getElementById('paper-authors').textContent = result.paper.authors?.slice(0, 3).join(', ') || '';
-        document.getElementById('paper-year').textContent = result.paper.year || '';
-        document.getElementById('paper-journal').textContent = result.paper.journal || '';
-
-        // Update abstract if present
-        const abstractEl = document.getElementById('abstract-content');
-        if (result.paper.abstract) {
-          abstractEl.innerHTML = `<p>${this.sanitizeAbstract(result.paper.abstract)}</p>`;
-        }
+        this.applyUpdatedPaper(result.paper);
+        this.renderPaperHistory(result.paper);
 
         btn.textContent = '✓ Saved!';
         btn.disabled = false;
@@ -8835,6 +9768,143 @@ class BibliacApp {
     }
   }
 
+  /**
+   * Show a paper's saved metadata changes in the list and detail view
+   * @param {Object} paper - The paper as returned after the update
+   */
+  applyUpdatedPaper(paper) {
+    // Update local paper object with new metadata
+    Object.assign(this.selectedPaper, paper);
+
+    // Update the papers array
+    const index = this.papers.findIndex(p => p.id === paper.id);
+    if (index !== -1) {
+      this.papers[index] = paper;
+    }
+
+    // Refresh paper list to show updated title/authors
+    this.renderPaperList();
+
+    // Update the detail view
+    document.getElementById('paper-title').textContent = paper.title || 'Untitled';
+    document.getElementById('paper-authors').textContent = paper.authors?.slice(0, 3).join(', ') || '';
+    document.getElementById('paper-year').textContent = paper.year || '';
+    document.getElementById('paper-journal').textContent = paper.journal || '';
+
+    // Update abstract if present
+    const abstractEl = document.getElementById('abstract-content');
+    if (paper.abstract) {
+      abstractEl.innerHTML = `<p>${this.sanitizeAbstract(paper.abstract)}</p>`;
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // EDIT HISTORY
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Render a paper's metadata edit history and field locks in the Info tab
+   * @param {Object} paper
+   */
+  async renderPaperHistory(paper) {
+    const section = document.getElementById('paper-history-section');
+    if (!section) return;
+
+    // Only library papers have a history
+    if (this.currentSmartSearch || typeof paper.id !== 'number' || !window.electronAPI.getPaperHistory) {
+      section.classList.add('hidden');
+      return;
+    }
+    section.classList.remove('hidden');
+
+    const { history, lockedFields } = await window.electronAPI.getPaperHistory(paper.id);
+    if (this.selectedPaper?.id !== paper.id) return;
+
+    const fieldLabels = {
+      title: 'Title', authors: 'Authors', year: 'Year', journal: 'Journal',
+      abstract: 'Abstract', keywords: 'Keywords', doi: 'DOI', arxiv_id: 'arXiv ID',
+      bibcode: 'Bibcode', bibtex: 'BibTeX'
+    };
+    const originLabels = { 'user': 'You', 'ads-sync': 'ADS sync', 'llm-extract': 'AI extraction', 'pdf-text': 'PDF text' };
+
+    const locksEl = document.getElementById('paper-history-locks');
+    locksEl.innerHTML = Object.entries(fieldLabels).map(([field, label]) => `
+      <label class="history-lock" title="Keep ADS syncs and automatic lookups from changing the ${label.toLowerCase()}">
+        <input type="checkbox" data-field="${field}"${lockedFields.includes(field) ? ' checked' : ''}>
+        <span>${lockedFields.includes(field) ? '🔒' : '🔓'} ${label}</span>
+      </label>
+    `).join('');
+
+    const listEl = document.getElementById('paper-history-list');
+    if (history.length === 0) {
+      listEl.innerHTML = '<span class="no-files">No changes recorded</span>';
+    } else {
+      listEl.innerHTML = history.map(entry => `
+        <div class="history-entry" data-entry-id="${entry.id}">
+          <div class="history-entry-header">
+            <span class="history-field">${fieldLabels[entry.field] || this.escapeHtml(entry.field)}</span>
+            <span class="history-origin">${this.escapeHtml(originLabels[entry.origin] || entry.origin)}</span>
+            <span class="history-date">${new Date(entry.changed_at).toLocaleString()}</span>
+            <button class="history-revert-btn" data-entry-id="${entry.id}" title="Restore the value before this change">Revert</button>
+          </div>
+          <div class="history-values">
+            <span class="history-old">${this.escapeHtml(this.formatHistoryValue(entry.field, entry.old_value))}</span>
+            <span class="history-arrow">→</span>
+            <span class="history-new">${this.escapeHtml(this.formatHistoryValue(entry.field, entry.new_value))}</span>
+          </div>
+        </div>
+      `).join('');
+    }
+
+    locksEl.querySelectorAll('input[type="checkbox"]').forEach(input => {
+      input.addEventListener('change', () => this.setPaperFieldLocked(paper.id, input.dataset.field, input.checked));
+    });
+    listEl.querySelectorAll('.history-revert-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.revertPaperField(parseInt(btn.dataset.entryId)));
+    });
+  }
+
+  /**
+   * Short display text for a value recorded in the edit history
+   * @param {string} field
+   * @param {string|null} value - Value as stored (authors/keywords as JSON)
+   * @returns {string}
+   */
+  formatHistoryValue(field, value) {
+    if (value === null || value === '') return '(empty)';
+    let text = value;
+    if (field === 'authors' || field === 'keywords') {
+      try {
+        text = JSON.parse(value).join('; ');
+      } catch {
+        // Show the raw value
+      }
+    }
+    return text.length > 200 ? `${text.substring(0, 200)}…` : text;
+  }
+
+  async revertPaperField(entryId) {
+    const result = await window.electronAPI.revertPaperField(entryId);
+    if (!result.success) {
+      this.showNotification(result.error || 'Failed to revert change', 'error');
+      return;
+    }
+
+    this.applyUpdatedPaper(result.paper);
+    await this.displayBibtex(result.paper);
+    this.showNotification('Change reverted', 'success');
+  }
+
+  async setPaperFieldLocked(paperId, field, locked) {
+    const result = await window.electronAPI.setPaperFieldLocked(paperId, field, locked);
+    if (!result.success) {
+      this.showNotification(result.error || 'Failed to update lock', 'error');
+    }
+    if (this.selectedPaper?.id === paperId) {
+      await this.renderPaperHistory(this.selectedPaper);
+    }
+  }
+
   openInWeb() {
     if (!this.selectedPaper) return;
 
@@ -9697,12 +10767,13 @@ class BibliacApp {
     }
   }
 
-  selectNextPaper() {
+  async selectNextPaper() {
     if (!this.papers.length) return;
 
     const currentIndex = this.selectedPaper
       ? this.papers.findIndex(p => p.id === this.selectedPaper.id)
       : -1;
+    await this.loadPapersThrough(currentIndex + 1);
 
     const nextIndex = Math.min(currentIndex + 1, this.papers.length - 1);
     this.selectPaper(this.papers[nextIndex].id);
@@ -10150,10 +11221,15 @@ class BibliacApp {
 
     // Setup drag-and-drop
     this.setupPriorityListDragDrop();
+
+    this.loadPluginPreferences();
+
+    document.getElementById('contact-email-input').value = await window.electronAPI.getContactEmail();
   }
 
   hidePreferencesModal() {
     document.getElementById('preferences-modal').classList.add('hidden');
+    document.getElementById('preferences-modal-status').textContent = '';
   }
 
   updatePriorityListUI(priorityOrder) {
@@ -10217,11 +11293,63 @@ class BibliacApp {
     });
   }
 
+  async loadPluginPreferences() {
+    const list = document.getElementById('plugin-prefs-list');
+    if (!list) return;
+
+    const result = await window.electronAPI.plugins.list();
+    if (!result.success) {
+      list.innerHTML = `<li><span class="plugin-error">${this.escapeHtml(result.error)}</span></li>`;
+      return;
+    }
+
+    list.innerHTML = result.data.map(plugin => `
+      <li title="${this.escapeHtml(plugin.directory || plugin.description || '').replace(/"/g, '&quot;')}">
+        <input type="checkbox" data-plugin-id="${this.escapeHtml(plugin.id)}"
+          ${plugin.enabled ? 'checked' : ''} ${plugin.state === 'error' && !plugin.version ? 'disabled' : ''}>
+        <span class="source-name">${plugin.icon ? `${plugin.icon} ` : ''}${this.escapeHtml(plugin.name)}</span>
+        ${plugin.version ? `<span class="plugin-version">v${this.escapeHtml(plugin.version)}</span>` : ''}
+        <span class="source-desc">${plugin.builtIn ? 'Built-in' : 'Third-party'}${plugin.description ? ` · ${this.escapeHtml(plugin.description)}` : ''}</span>
+        ${plugin.error ? `<span class="plugin-error">⚠ ${this.escapeHtml(plugin.error)}</span>` : ''}
+      </li>
+    `).join('');
+  }
+
+  async setPluginEnabled(pluginId, enabled) {
+    const result = await window.electronAPI.plugins.setEnabled(pluginId, enabled);
+    if (!result.success) {
+      this.showNotification(`Plugin ${pluginId}: ${result.error}`, 'error');
+    }
+    this.loadPluginPreferences();
+  }
+
+  async reloadThirdPartyPlugins() {
+    const result = await window.electronAPI.plugins.reloadThirdParty();
+    if (!result.success) {
+      this.showNotification(`Failed to reload plugins: ${result.error}`, 'error');
+      return;
+    }
+    const failed = result.data.filter(plugin => plugin.state === 'error');
+    if (failed.length > 0) {
+      this.showNotification(`${failed.length} plugin${failed.length === 1 ? '' : 's'} failed to load`, 'warn');
+    }
+    this.loadPluginPreferences();
+  }
+
   async savePreferences() {
     const list = document.getElementById('pdf-priority-list');
     const items = Array.from(list.querySelectorAll('li'));
     const priority = items.map(item => item.dataset.source);
 
+    const statusEl = document.getElementById('preferences-modal-status');
+    const email = document.getElementById('contact-email-input').value.trim();
+    const emailResult = await window.electronAPI.setContactEmail(email);
+    if (!emailResult.success) {
+      statusEl.className = 'modal-status error';
+      statusEl.textContent = emailResult.error;
+      return;
+    }
+
     const result = await window.electronAPI.setPdfPriority(priority);
     if (result.success) {
       this.hidePreferencesModal();
@@ -10229,7 +11357,38 @@ class BibliacApp {
   }
 
   // Collection Modal
-  showCollectionModal() {
+  showCollectionModal(collectionId = null) {
+    const collection = collectionId ? this.collections.find(c => c.id === collectionId) : null;
+    this.editingCollectionId = collection ? collection.id : null;
+
+    // Parents: regular collections, excluding the edited collection's own subtree
+    const excluded = new Set();
+    if (collection) {
+      excluded.add(collection.id);
+      for (const { col } of this.getCollectionTree()) {
+        if (excluded.has(col.parent_id)) excluded.add(col.id);
+      }
+    }
+    const parentSelect = document.getElementById('collection-parent-select');
+    parentSelect.innerHTML = '<option value="">Top level</option>' + this.getCollectionTree()
+      .filter(({ col }) => !col.is_smart && !excluded.has(col.id))
+      .map(({ col, depth }) =>
+        `<option value="${col.id}">${'&nbsp;&nbsp;'.repeat(depth)}${this.escapeHtml(col.name)}</option>`
+      ).join('');
+    parentSelect.value = collection?.parent_id ?? '';
+
+    document.getElementById('collection-modal-title').textContent = collection ? 'Edit Collection' : 'New Collection';
+    document.getElementById('collection-save-btn').textContent = collection ? 'Save' : 'Create';
+    document.getElementById('collection-name-input').value = collection?.name || '';
+
+    // A collection's type is fixed once created
+    const isSmart = !!collection?.is_smart;
+    document.querySelector(`input[name="collection-type"][value="${isSmart ? 'smart' : 'regular'}"]`).checked = true;
+    document.getElementById('collection-type-toggle')?.classList.toggle('disabled', !!collection);
+    document.getElementById('smart-collection-options')?.classList.toggle('hidden', !isSmart);
+    document.getElementById('collection-query-input').value = collection?.query || '';
+    this.showCollectionQueryError(collection?.query_error || null);
+
     document.getElementById('collection-modal').classList.remove('hidden');
     document.getElementById('collection-name-input').focus();
   }
@@ -10241,12 +11400,24 @@ class BibliacApp {
     document.querySelector('input[name="collection-type"][value="regular"]').checked = true;
     document.getElementById('smart-collection-options')?.classList.add('hidden');
     document.getElementById('collection-query-input').value = '';
+    this.showCollectionQueryError(null);
+    this.editingCollectionId = null;
+  }
+
+  showCollectionQueryError(message) {
+    const errorEl = document.getElementById('collection-query-error');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
   }
 
-  async createCollection() {
+  async saveCollection() {
     const name = document.getElementById('collection-name-input').value.trim();
     if (!name) return;
 
+    const parentValue = document.getElementById('collection-parent-select')?.value;
+    const parentId = parentValue ? parseInt(parentValue) : null;
+
     // Check if this is a smart collection
     const isSmartRadio = document.querySelector('input[name="collection-type"][value="smart"]');
     const isSmart = isSmartRadio?.checked || false;
@@ -10254,13 +11425,32 @@ class BibliacApp {
 
     // Smart collections require a query
     if (isSmart && !query) {
-      this.showNotification('Smart collections require a search query', 'error');
+      this.showCollectionQueryError('Smart collections require a search query');
+      return;
+    }
+
+    const editingId = this.editingCollectionId;
+    const result = editingId
+      ? await window.electronAPI.updateCollection(editingId, { name, parentId, ...(isSmart ? { query } : {}) })
+      : await window.electronAPI.createCollection(name, parentId, isSmart, query);
+
+    if (!result?.success) {
+      // Query syntax errors carry a position; anything else is a general failure
+      if (result?.position !== undefined && result?.position !== null) {
+        this.showCollectionQueryError(`${result.error} (at character ${result.position + 1})`);
+      } else {
+        this.showNotification(result?.error || 'Failed to save collection', 'error');
+      }
       return;
     }
 
-    await window.electronAPI.createCollection(name, null, isSmart, query);
     await this.loadCollections();
     this.hideCollectionModal();
+
+    // Membership of an edited smart collection may have changed
+    if (editingId && this.currentCollection === editingId) {
+      await this.loadPapersInCollection(editingId);
+    }
   }
 
   async deleteCollection(collectionId) {
@@ -10283,31 +11473,1442 @@ class BibliacApp {
   }
 
 
-  // ===== ADS Search Pane Methods =====
+  // ═══════════════════════════════════════════════════════════════════════════
+  // AUTHORS
+  // ═══════════════════════════════════════════════════════════════════════════
 
-  async executeAdsPaneSearch() {
-    const query = document.getElementById('ads-pane-query-input').value.trim();
-    if (!query) return;
+  /**
+   * Turn the author names in the abstract header into links to author pages
+   * @param {Object} paper
+   */
+  async renderAuthorLinks(paper) {
+    // Only library papers have linked authors
+    if (this.currentSmartSearch || typeof paper.id !== 'number' || !window.electronAPI.getPaperAuthors) return;
+
+    const paperAuthors = await window.electronAPI.getPaperAuthors(paper.id);
+    const authorsEl = document.querySelector('#abstract-content .abstract-authors');
+    if (this.selectedPaper?.id !== paper.id || !authorsEl || !paperAuthors?.length) return;
+
+    authorsEl.innerHTML = paperAuthors.map(author => {
+      const title = [author.affiliation, author.orcid && `ORCID ${author.orcid}`].filter(Boolean).join(' · ');
+      return `<a href="#" class="author-link" data-author-id="${author.author_id}"${title ? ` title="${this.escapeHtml(title)}"` : ''}>${this.escapeHtml(author.name)}</a>`;
+    }).join('; ');
+    authorsEl.querySelectorAll('.author-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showAuthorModal(parseInt(link.dataset.authorId));
+      });
+    });
+  }
 
-    const searchBtn = document.getElementById('ads-pane-search-btn');
-    searchBtn.textContent = 'Searching...';
-    searchBtn.disabled = true;
+  async showAuthorModal(authorId) {
+    const modal = document.getElementById('author-modal');
+    if (!modal || !window.electronAPI.getAuthor) return;
 
-    const source = this.currentSearchSource || 'ads';
+    const author = await window.electronAPI.getAuthor(authorId);
+    if (!author) {
+      this.showNotification('Author not found', 'error');
+      return;
+    }
+    this.currentAuthor = author;
+    this.renderAuthorPage(author);
+    modal.classList.remove('hidden');
+  }
 
-    try {
-      let result;
-      let papers = [];
-      let totalResults = 0;
+  hideAuthorModal() {
+    document.getElementById('author-modal')?.classList.add('hidden');
+    this.currentAuthor = null;
+  }
 
-      if (source === 'arxiv') {
-        // Use plugin system for arXiv search
-        result = await window.electronAPI.plugins.search({ raw: query }, 'arxiv');
-        if (result.success && result.data) {
-          papers = result.data.papers || [];
-          totalResults = result.data.totalResults || papers.length;
+  renderAuthorPage(author) {
+    document.getElementById('author-name').textContent = author.name;
 
-          // Map arXiv papers to expected format
+    const details = [];
+    if (author.orcid) {
+      details.push(`<a href="#" class="author-orcid" data-url="https://orcid.org/${this.escapeHtml(author.orcid)}">ORCID ${this.escapeHtml(author.orcid)}</a>`);
+    }
+    if (author.affiliation) details.push(`<span>${this.escapeHtml(author.affiliation)}</span>`);
+    if (author.aliases.length) details.push(`<span>Also written ${author.aliases.map(name => this.escapeHtml(name)).join('; ')}</span>`);
+    document.getElementById('author-details').innerHTML = details.join('');
+
+    const papersEl = document.getElementById('author-papers');
+    document.getElementById('author-papers-heading').textContent =
+      `${author.papers.length} ${author.papers.length === 1 ? 'paper' : 'papers'} in your library`;
+    papersEl.innerHTML = author.papers.map(paper => `
+      <div class="author-paper" data-paper-id="${paper.id}">
+        <div class="author-paper-title">${this.escapeHtml(paper.title || 'Untitled')}</div>
+        <div class="author-paper-meta">${paper.year || ''}${paper.journal ? ` · ${this.escapeHtml(paper.journal)}` : ''} · author ${paper.position + 1} of ${paper.author_count}</div>
+      </div>
+    `).join('') || '<p class="duplicates-empty">No papers outside the Trash.</p>';
+
+    const coauthorsEl = document.getElementById('author-coauthors');
+    coauthorsEl.innerHTML = author.coauthors.map(coauthor => `
+      <a href="#" class="author-chip" data-author-id="${coauthor.id}">${this.escapeHtml(coauthor.name)} <span class="author-chip-count">${coauthor.paper_count}</span></a>
+    `).join('') || '<span class="no-files">No co-authors</span>';
+
+    const namesakesSection = document.getElementById('author-namesakes-section');
+    namesakesSection.classList.toggle('hidden', author.namesakes.length === 0);
+    document.getElementById('author-namesakes').innerHTML = author.namesakes.map(other => `
+      <div class="author-namesake">
+        <a href="#" class="author-chip" data-author-id="${other.id}">${this.escapeHtml(other.name)} <span class="author-chip-count">${other.paper_count}</span></a>
+        ${other.orcid ? `<span class="author-paper-meta">ORCID ${this.escapeHtml(other.orcid)}</span>` : ''}
+        <button class="secondary-button small" data-merge-author="${other.id}">Same person</button>
+      </div>
+    `).join('');
+
+    document.querySelector('#author-details .author-orcid')?.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.electronAPI.openExternal(e.currentTarget.dataset.url);
+    });
+    papersEl.querySelectorAll('.author-paper').forEach(el => {
+      el.addEventListener('click', () => {
+        this.hideAuthorModal();
+        this.selectPaper(parseInt(el.dataset.paperId));
+      });
+    });
+    document.querySelectorAll('#author-modal .author-chip').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showAuthorModal(parseInt(link.dataset.authorId));
+      });
+    });
+    document.querySelectorAll('#author-namesakes [data-merge-author]').forEach(btn => {
+      btn.addEventListener('click', () => this.mergeAuthor(author, parseInt(btn.dataset.mergeAuthor)));
+    });
+  }
+
+  async mergeAuthor(author, otherId) {
+    const other = author.namesakes.find(namesake => namesake.id === otherId);
+    if (!other || !confirm(`Treat "${other.name}" as the same person as "${author.name}"? Their papers will be listed together.`)) return;
+
+    const result = await window.electronAPI.mergeAuthors(author.id, [otherId]);
+    if (!result.success) {
+      this.showNotification(result.error || 'Failed to merge authors', 'error');
+      return;
+    }
+    this.currentAuthor = result.author;
+    this.renderAuthorPage(result.author);
+    if (this.selectedPaper) this.renderAuthorLinks(this.selectedPaper);
+    this.showNotification('Authors merged', 'success');
+  }
+
+  // Show the author's papers in the library list
+  async filterByAuthor() {
+    if (!this.currentAuthor) return;
+    const query = `author:"${this.currentAuthor.orcid || this.currentAuthor.name.replace(/"/g, '')}"`;
+    this.hideAuthorModal();
+
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) searchInput.value = query;
+    await this.searchPapers(query);
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TAGS
+  // ═══════════════════════════════════════════════════════════════════════════
+  // Tags are full paths ("methods/mcmc"): the tree comes from the "/"
+  // separators, every ancestor exists as its own tag, and viewing a tag
+  // includes papers with any tag nested under it.
+
+  TAG_COLORS = ['#f87171', '#fb923c', '#facc15', '#4ade80', '#2dd4bf', '#60a5fa', '#a78bfa', '#f472b6'];
+
+  async loadTags() {
+    this.tags = await window.electronAPI.getTags() || [];
+    this.renderTags();
+    this.renderFilterTags();
+  }
+
+  // Inline style for a tag color; colors arrive from imports, so only hex is trusted
+  getTagColorStyle(color, property = 'background') {
+    return /^#[0-9a-f]{3,8}$/i.test(color || '') ? ` style="${property}: ${color}"` : '';
+  }
+
+  getTagByName(name) {
+    const lower = name.toLowerCase();
+    return this.tags.find(t => t.name.toLowerCase() === lower) || null;
+  }
+
+  renderTags() {
+    const listEl = document.getElementById('tags-list');
+    if (!listEl) return;
+
+    if (this.tags.length === 0) {
+      listEl.innerHTML = '<div class="nav-item placeholder">No tags yet</div>';
+      return;
+    }
+
+    listEl.innerHTML = this.getTagTree().map(tag => {
+      const segments = tag.name.split('/');
+      return `
+        <div class="nav-item tag-item${this.currentTag === tag.name ? ' active' : ''}" data-tag-id="${tag.id}" style="--depth: ${segments.length - 1}" title="${this.escapeHtml(tag.name).replace(/"/g, '&quot;')}">
+          <button class="collection-delete-btn" data-delete-tag="${tag.id}" title="Delete tag">−</button>
+          <span class="tag-color-dot"${this.getTagColorStyle(tag.color)}></span>
+          <span class="collection-name">${this.escapeHtml(segments[segments.length - 1])}</span>
+          <button class="collection-edit-btn" data-edit-tag="${tag.id}" title="Edit tag">✎</button>
+          <span class="nav-count">${tag.paper_count}</span>
+        </div>
+      `;
+    }).join('');
+
+    listEl.querySelectorAll('[data-delete-tag]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await this.deleteTag(parseInt(btn.dataset.deleteTag));
+      });
+    });
+
+    listEl.querySelectorAll('[data-edit-tag]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showTagModal('edit', parseInt(btn.dataset.editTag));
+      });
+    });
+
+    listEl.querySelectorAll('.nav-item[data-tag-id]').forEach(item => {
+      const tag = this.tags.find(t => t.id === parseInt(item.dataset.tagId));
+
+      item.addEventListener('click', () => this.selectTag(tag.name));
+
+      // Dropping papers on a tag tags them
+      item.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        item.classList.add('drag-over');
+      });
+      item.addEventListener('dragleave', () => {
+        item.classList.remove('drag-over');
+      });
+      item.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        item.classList.remove('drag-over');
+        await this.tagSelectedPapers(tag.name);
+      });
+    });
+  }
+
+  // Tags in display order: compared segment by segment so children follow
+  // their parent ("a", "a/b", "a-c" rather than "a", "a-c", "a/b")
+  getTagTree() {
+    const collator = new Intl.Collator(undefined, { sensitivity: 'base' });
+    return [...this.tags].sort((a, b) => {
+      const sa = a.name.split('/');
+      const sb = b.name.split('/');
+      for (let i = 0; i < Math.min(sa.length, sb.length); i++) {
+        const cmp = collator.compare(sa[i], sb[i]);
+        if (cmp !== 0) return cmp;
+      }
+      return sa.length - sb.length;
+    });
+  }
+
+  async selectTag(tagName) {
+    this.currentTag = tagName;
+    this.currentCollection = null;
+    this.currentView = null;
+
+    if (this.currentSmartSearch) {
+      this.exitSmartSearchView();
+    }
+
+    if (this.isAdsSearchActive) {
+      this.isAdsSearchActive = false;
+      this.currentAdsQuery = null;
+      this.currentAdsNLQuery = null;
+      this.adsSearchResultCount = 0;
+      const toolbar = document.getElementById('smart-search-toolbar');
+      toolbar?.classList.add('hidden');
+      this.hideAdsSearchToolbar();
+    }
+
+    document.querySelectorAll('.nav-item[data-view], .nav-item[data-collection]').forEach(item => {
+      item.classList.remove('active');
+    });
+    document.querySelectorAll('.nav-item[data-tag-id]').forEach(item => {
+      const tag = this.tags.find(t => t.id === parseInt(item.dataset.tagId));
+      item.classList.toggle('active', tag?.name === tagName);
+    });
+
+    this.updateFilterLabel();
+    await this.loadPapers();
+  }
+
+  // Compact tag markers for the paper list; the full paths are in the tooltip
+  getPaperTagsHtml(paper) {
+    if (!paper.tags?.length) return '';
+    const dots = paper.tags.slice(0, 5).map(name =>
+      `<span class="tag-color-dot"${this.getTagColorStyle(this.getTagByName(name)?.color)}></span>`
+    ).join('');
+    const title = this.escapeHtml(paper.tags.join(', ')).replace(/"/g, '&quot;');
+    return `<span class="paper-item-tags" title="${title}">${dots}</span>`;
+  }
+
+  // Tag chips in the paper details, with remove buttons and an add button
+  renderPaperTags(paper) {
+    const section = document.getElementById('paper-tags-section');
+    const listEl = document.getElementById('paper-tags-list');
+    if (!section || !listEl) return;
+
+    const isLibraryPaper = typeof paper?.id === 'number' && !paper.isReadingList && !this.currentSmartSearch && !this.isAdsSearchActive;
+    section.classList.toggle('hidden', !isLibraryPaper);
+    if (!isLibraryPaper) return;
+
+    listEl.innerHTML = (paper.tags || []).map(name => {
+      const tag = this.getTagByName(name);
+      return `
+        <span class="paper-tag-chip"${this.getTagColorStyle(tag?.color, 'border-color')}>
+          ${this.escapeHtml(name)}
+          <button class="paper-tag-remove" data-tag-id="${tag?.id ?? ''}" title="Remove tag">×</button>
+        </span>
+      `;
+    }).join('') + '<button class="paper-tag-add" id="paper-tag-add-btn" title="Add tag">+ Tag</button>';
+
+    listEl.querySelectorAll('.paper-tag-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const tagId = parseInt(btn.dataset.tagId);
+        if (tagId) this.untagPapers([paper.id], tagId);
+      });
+    });
+    document.getElementById('paper-tag-add-btn')?.addEventListener('click', () => {
+      this.showTagModal('apply', null, [paper.id]);
+    });
+  }
+
+  // Tag modal: create a tag, edit (rename/move/recolor) one, or apply a
+  // tag to papers, creating it if needed
+  showTagModal(mode, tagId = null, paperIds = null) {
+    const tag = tagId ? this.tags.find(t => t.id === tagId) : null;
+    if (mode === 'edit' && !tag) return;
+
+    if (mode === 'apply') {
+      paperIds = paperIds || [...this.selectedPapers].filter(id => typeof id === 'number');
+      if (paperIds.length === 0) {
+        this.showNotification('No papers selected', 'warn');
+        return;
+      }
+    }
+
+    this.tagModal = { mode, tagId: tag?.id ?? null, paperIds, color: tag?.color || null };
+
+    const titles = {
+      create: 'New Tag',
+      edit: 'Edit Tag',
+      apply: paperIds?.length > 1 ? `Tag ${paperIds.length} Papers` : 'Tag Paper'
+    };
+    document.getElementById('tag-modal-title').textContent = titles[mode];
+    document.getElementById('tag-save-btn').textContent = mode === 'edit' ? 'Save' : mode === 'apply' ? 'Add Tag' : 'Create';
+    document.getElementById('tag-name-input').value = tag?.name || '';
+    document.getElementById('tag-name-suggestions').innerHTML = this.tags
+      .map(t => `<option value="${this.escapeHtml(t.name).replace(/"/g, '&quot;')}"></option>`)
+      .join('');
+
+    // Existing tags keep their color when applied; only new and edited tags pick one
+    document.getElementById('tag-color-options')?.classList.toggle('hidden', mode === 'apply');
+    this.renderTagColorOptions();
+    this.showTagModalError(null);
+
+    document.getElementById('tag-modal').classList.remove('hidden');
+    document.getElementById('tag-name-input').focus();
+  }
+
+  hideTagModal() {
+    document.getElementById('tag-modal').classList.add('hidden');
+    document.getElementById('tag-name-input').value = '';
+    this.showTagModalError(null);
+    this.tagModal = null;
+  }
+
+  renderTagColorOptions() {
+    const container = document.getElementById('tag-color-options');
+    if (!container || !this.tagModal) return;
+
+    const selected = this.tagModal.color;
+    container.innerHTML = `<button class="tag-color-swatch none${!selected ? ' selected' : ''}" data-color="" title="No color"></button>` +
+      this.TAG_COLORS.map(color =>
+        `<button class="tag-color-swatch${selected === color ? ' selected' : ''}" data-color="${color}" style="background: ${color}" title="${color}"></button>`
+      ).join('');
+
+    container.querySelectorAll('.tag-color-swatch').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.tagModal.color = btn.dataset.color || null;
+        this.renderTagColorOptions();
+      });
+    });
+  }
+
+  showTagModalError(message) {
+    const errorEl = document.getElementById('tag-modal-error');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  }
+
+  async saveTag() {
+    const modal = this.tagModal;
+    if (!modal) return;
+
+    const name = document.getElementById('tag-name-input').value.trim();
+    if (!name) return;
+
+    if (modal.mode === 'apply') {
+      const tagged = await this.tagPapers(modal.paperIds, name);
+      if (!tagged) return;
+      this.hideTagModal();
+      if (this.isSelectionMode) this.exitSelectionMode();
+      return;
+    }
+
+    const result = modal.mode === 'edit'
+      ? await window.electronAPI.updateTag(modal.tagId, { name, color: modal.color })
+      : await window.electronAPI.createTag(name, modal.color);
+
+    if (!result?.success) {
+      this.showTagModalError(result?.error || 'Failed to save tag');
+      return;
+    }
+
+    const oldName = modal.mode === 'edit' ? this.tags.find(t => t.id === modal.tagId)?.name : null;
+
+    this.hideTagModal();
+    await this.loadTags();
+
+    const newName = oldName && this.tags.find(t => t.id === modal.tagId)?.name;
+    if (newName && newName !== oldName) {
+      // Follow the viewed tag to its new path, then rename it (and any
+      // nested tags) on the loaded papers
+      if (this.isTagOrDescendant(this.currentTag, oldName)) {
+        this.currentTag = newName + this.currentTag.slice(oldName.length);
+      }
+      this.updateLocalPaperTags(null, tags => tags.map(name =>
+        this.isTagOrDescendant(name, oldName) ? newName + name.slice(oldName.length) : name));
+    } else {
+      this.renderPaperList();
+    }
+  }
+
+  // Whether a tag path is the given tag or nested under it (case-insensitive)
+  isTagOrDescendant(name, ancestor) {
+    if (!name || !ancestor) return false;
+    const lower = name.toLowerCase();
+    const prefix = ancestor.toLowerCase();
+    return lower === prefix || lower.startsWith(prefix + '/');
+  }
+
+  async deleteTag(tagId) {
+    const tag = this.tags.find(t => t.id === tagId);
+    if (!tag) return;
+
+    const confirmed = confirm(`Delete tag "${tag.name}" and any tags nested under it?\n\nThis will not delete the papers, only the tags.`);
+    if (!confirmed) return;
+
+    await window.electronAPI.deleteTag(tagId);
+    await this.loadTags();
+
+    if (this.isTagOrDescendant(this.currentTag, tag.name)) {
+      this.setView('all');
+    } else {
+      this.updateLocalPaperTags(null, tags => tags.filter(name => !this.isTagOrDescendant(name, tag.name)));
+    }
+  }
+
+  // Tag papers by tag path; returns false (after showing why) on failure
+  async tagPapers(paperIds, name) {
+    if (paperIds.length === 0) return false;
+
+    const result = await window.electronAPI.tagPapers(paperIds, name);
+    if (!result?.success) {
+      const message = result?.error || 'Failed to add tag';
+      if (this.tagModal) {
+        this.showTagModalError(message);
+      } else {
+        this.showNotification(message, 'error');
+      }
+      return false;
+    }
+
+    await this.loadTags();
+    const tag = this.tags.find(t => t.id === result.id);
+    if (tag) {
+      this.updateLocalPaperTags(paperIds, tags =>
+        tags.includes(tag.name) ? tags : [...tags, tag.name].sort((a, b) => a.localeCompare(b)));
+    }
+
+    const msg = paperIds.length === 1 ? 'Tagged paper' : `Tagged ${paperIds.length} papers`;
+    this.showNotification(`${msg} "${tag?.name || name}"`, 'success');
+    return true;
+  }
+
+  async tagSelectedPapers(name) {
+    const paperIds = [...this.selectedPapers].filter(id => typeof id === 'number');
+    await this.tagPapers(paperIds, name);
+  }
+
+  async untagPapers(paperIds, tagId) {
+    const tag = this.tags.find(t => t.id === tagId);
+    if (!tag || paperIds.length === 0) return;
+
+    await window.electronAPI.untagPapers(paperIds, tagId);
+    await this.loadTags();
+    this.updateLocalPaperTags(paperIds, tags => tags.filter(name => name !== tag.name));
+  }
+
+  // Keep loaded papers in step with a tag change without refetching the list
+  // (paperIds null: every loaded paper)
+  updateLocalPaperTags(paperIds, update) {
+    const affects = paper => paper && (!paperIds || paperIds.includes(paper.id));
+    for (const paper of this.papers) {
+      if (affects(paper)) paper.tags = update(paper.tags || []);
+    }
+    if (affects(this.selectedPaper) && !this.papers.includes(this.selectedPaper)) {
+      this.selectedPaper.tags = update(this.selectedPaper.tags || []);
+    }
+
+    // Tag views and smart collections (tag: queries) may have changed membership
+    if (this.currentTag) {
+      this.loadPapers();
+    } else {
+      this.renderPaperList();
+      this.refreshSmartCollectionCounts();
+    }
+
+    if (affects(this.selectedPaper)) {
+      this.renderPaperTags(this.selectedPaper);
+    }
+  }
+
+  // Tags present on any selected paper, for removal
+  getSelectedPaperTags() {
+    const names = new Set();
+    for (const paper of this.papers) {
+      if (paper && this.selectedPapers.has(paper.id)) {
+        (paper.tags || []).forEach(name => names.add(name));
+      }
+    }
+    return this.tags.filter(tag => names.has(tag.name));
+  }
+
+  // iOS: pick a tag to add to or remove from the selection
+  showTagsActionSheet(mode) {
+    const content = document.getElementById('tags-sheet-content');
+    if (!content) return;
+
+    const paperIds = [...this.selectedPapers].filter(id => typeof id === 'number');
+    const tags = mode === 'remove' ? this.getSelectedPaperTags() : this.tags;
+
+    let html = tags.map(tag =>
+      `<button class="action-sheet-btn" data-tag-id="${tag.id}"><span class="tag-color-dot"${this.getTagColorStyle(tag.color)}></span> ${this.escapeHtml(tag.name)}</button>`
+    ).join('');
+    if (mode === 'add') {
+      html += '<button class="action-sheet-btn" id="tags-sheet-new-btn">New Tag…</button>';
+    } else if (tags.length === 0) {
+      html = '<div class="action-sheet-btn" style="color: var(--text-muted);">No tags on selected papers</div>';
+    }
+    content.innerHTML = html;
+
+    content.querySelectorAll('.action-sheet-btn[data-tag-id]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const tag = this.tags.find(t => t.id === parseInt(btn.dataset.tagId));
+        this.hideTagsActionSheet();
+        if (mode === 'remove') {
+          await this.untagPapers(paperIds, tag.id);
+        } else {
+          await this.tagPapers(paperIds, tag.name);
+        }
+        this.exitSelectionMode();
+      });
+    });
+    document.getElementById('tags-sheet-new-btn')?.addEventListener('click', () => {
+      this.hideTagsActionSheet();
+      this.showTagModal('apply', null, paperIds);
+    });
+
+    document.getElementById('action-sheet-overlay')?.classList.remove('hidden');
+    document.getElementById('tags-action-sheet')?.classList.remove('hidden');
+  }
+
+  hideTagsActionSheet() {
+    document.getElementById('tags-action-sheet')?.classList.add('hidden');
+    document.getElementById('action-sheet-overlay')?.classList.add('hidden');
+  }
+
+  // Desktop: context submenu of tags on the selection
+  showRemoveTagSubmenu() {
+    const submenu = document.getElementById('ctx-remove-tag-submenu');
+    const parentItem = document.getElementById('ctx-remove-tag');
+    if (!submenu || !parentItem) return;
+
+    const tags = this.getSelectedPaperTags();
+    if (tags.length === 0) {
+      submenu.innerHTML = '<div class="context-submenu-item empty">No tags</div>';
+    } else {
+      submenu.innerHTML = tags.map(tag =>
+        `<div class="context-submenu-item" data-tag-id="${tag.id}"><span class="tag-color-dot"${this.getTagColorStyle(tag.color)}></span> ${this.escapeHtml(tag.name)}</div>`
+      ).join('');
+
+      submenu.querySelectorAll('.context-submenu-item[data-tag-id]').forEach(item => {
+        item.addEventListener('click', () => {
+          const paperIds = [...this.selectedPapers].filter(id => typeof id === 'number');
+          this.untagPapers(paperIds, parseInt(item.dataset.tagId));
+          this.hideContextMenu();
+        });
+      });
+    }
+
+    const parentRect = parentItem.getBoundingClientRect();
+    submenu.style.top = `${parentRect.top}px`;
+    submenu.style.left = `${parentRect.right + 2}px`;
+    submenu.classList.remove('hidden');
+
+    const rect = submenu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) {
+      submenu.style.left = `${parentRect.left - rect.width - 2}px`;
+    }
+  }
+
+  hideRemoveTagSubmenu() {
+    document.getElementById('ctx-remove-tag-submenu')?.classList.add('hidden');
+  }
+
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // DUPLICATES
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  DUPLICATE_REASONS = {
+    doi: 'Same DOI',
+    arxiv: 'Same arXiv ID',
+    bibcode: 'Same bibcode',
+    title: 'Similar title, author and year',
+    selected: 'Selected papers'
+  };
+
+  // Show duplicate groups found in the library, or one group of the given
+  // papers (merging a selection by hand)
+  async showDuplicatesModal(paperIds = null) {
+    const modal = document.getElementById('duplicates-modal');
+    if (!modal) return;
+
+    const listEl = document.getElementById('duplicates-list');
+    listEl.innerHTML = '<p class="duplicates-empty">Searching for duplicates…</p>';
+    modal.classList.remove('hidden');
+
+    if (paperIds) {
+      const papers = (await Promise.all(paperIds.map(id => window.electronAPI.getPaper(id)))).filter(Boolean);
+      this.duplicateGroups = papers.length > 1
+        ? [{ papers, reasons: ['selected'], keepId: papers[0].id }]
+        : [];
+    } else {
+      this.duplicateGroups = await window.electronAPI.findDuplicatePapers() || [];
+    }
+
+    this.renderDuplicateGroups();
+    await this.renderPaperMerges();
+  }
+
+  hideDuplicatesModal() {
+    document.getElementById('duplicates-modal')?.classList.add('hidden');
+    this.duplicateGroups = [];
+  }
+
+  renderDuplicateGroups() {
+    const listEl = document.getElementById('duplicates-list');
+    if (!listEl) return;
+
+    if (this.duplicateGroups.length === 0) {
+      listEl.innerHTML = '<p class="duplicates-empty">No duplicate papers found.</p>';
+      return;
+    }
+
+    listEl.innerHTML = this.duplicateGroups.map((group, index) => `
+      <div class="duplicate-group">
+        <div class="duplicate-group-header">
+          <span class="duplicate-reasons">${group.reasons.map(r => this.DUPLICATE_REASONS[r] || r).join(' · ')}</span>
+          <button class="secondary-button small" data-skip-group="${index}">Skip</button>
+          <button class="primary-button small" data-merge-group="${index}">Merge</button>
+        </div>
+        ${group.papers.map(paper => `
+          <label class="duplicate-paper">
+            <input type="radio" name="duplicate-keep-${index}" value="${paper.id}"${paper.id === group.keepId ? ' checked' : ''}>
+            <div class="duplicate-paper-info">
+              <div class="duplicate-paper-title">${this.escapeHtml(paper.title || 'Untitled')}</div>
+              <div class="duplicate-paper-meta">${this.escapeHtml(this.formatAuthorsShort(paper.authors))} ${paper.year || ''}${paper.journal ? ` · ${this.escapeHtml(paper.journal)}` : ''}</div>
+              <div class="duplicate-paper-meta">${[paper.bibcode, paper.doi && `doi:${paper.doi}`, paper.arxiv_id && `arXiv:${paper.arxiv_id}`].filter(Boolean).map(id => this.escapeHtml(id)).join(' · ')}</div>
+              <div class="duplicate-paper-meta">${paper.annotation_count || 0} annotations · ${paper.file_count ?? 0} files${paper.tags?.length ? ` · ${this.escapeHtml(paper.tags.join(', '))}` : ''}</div>
+            </div>
+          </label>
+        `).join('')}
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('[data-merge-group]').forEach(btn => {
+      btn.addEventListener('click', () => this.mergeDuplicateGroup(parseInt(btn.dataset.mergeGroup)));
+    });
+    listEl.querySelectorAll('[data-skip-group]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.duplicateGroups.splice(parseInt(btn.dataset.skipGroup), 1);
+        this.renderDuplicateGroups();
+      });
+    });
+  }
+
+  async mergeDuplicateGroup(index) {
+    const group = this.duplicateGroups[index];
+    if (!group) return;
+
+    const checked = document.querySelector(`input[name="duplicate-keep-${index}"]:checked`);
+    const keepId = checked ? parseInt(checked.value) : group.keepId;
+    const mergeIds = group.papers.map(p => p.id).filter(id => id !== keepId);
+
+    const result = await window.electronAPI.mergePapers(keepId, mergeIds);
+    if (!result?.success) {
+      this.showNotification(result?.error || 'Merge failed', 'error');
+      return;
+    }
+
+    this.duplicateGroups.splice(index, 1);
+    this.renderDuplicateGroups();
+    await this.renderPaperMerges();
+
+    // Merged papers no longer exist: drop them from the selection
+    for (const id of mergeIds) {
+      this.selectedPapers.delete(id);
+    }
+    await this.refreshAfterMerge();
+    if (mergeIds.includes(this.selectedPaper?.id)) {
+      this.selectedPapers.add(keepId);
+      await this.displayPaper(keepId);
+    }
+
+    this.showNotification(`Merged ${group.papers.length} papers`, 'success');
+  }
+
+  // Recent merges, each with an undo button
+  async renderPaperMerges() {
+    const section = document.getElementById('duplicates-merges-section');
+    const listEl = document.getElementById('duplicates-merges-list');
+    if (!section || !listEl) return;
+
+    const merges = await window.electronAPI.getPaperMerges() || [];
+    section.classList.toggle('hidden', merges.length === 0);
+
+    listEl.innerHTML = merges.slice(0, 20).map(merge => `
+      <div class="duplicate-merge">
+        <div class="duplicate-paper-info">
+          <div class="duplicate-paper-title">${this.escapeHtml(merge.merged_titles.map(t => t || 'Untitled').join('; '))}</div>
+          <div class="duplicate-paper-meta">Merged ${new Date(merge.merged_date).toLocaleString()}</div>
+        </div>
+        <button class="secondary-button small" data-undo-merge="${merge.id}">Undo</button>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('[data-undo-merge]').forEach(btn => {
+      btn.addEventListener('click', () => this.undoPaperMerge(parseInt(btn.dataset.undoMerge)));
+    });
+  }
+
+  async undoPaperMerge(mergeId) {
+    const result = await window.electronAPI.undoPaperMerge(mergeId);
+    if (!result?.success) {
+      this.showNotification(result?.error || 'Undo failed', 'error');
+      return;
+    }
+
+    await this.renderPaperMerges();
+    await this.refreshAfterMerge();
+    this.showNotification('Merge undone', 'success');
+  }
+
+  // Merging moves collection and tag memberships, so their counts change too
+  async refreshAfterMerge() {
+    await this.loadCollections();
+    await this.loadTags();
+    if (this.currentCollection) {
+      await this.loadPapersInCollection(this.currentCollection);
+    } else {
+      await this.loadPapers();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LIBRARY SNAPSHOTS
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  async showSnapshotsModal() {
+    const modal = document.getElementById('snapshots-modal');
+    if (!modal || !window.electronAPI.listLibrarySnapshots) return;
+
+    this.showSnapshotList();
+    modal.classList.remove('hidden');
+    await this.loadSnapshots();
+  }
+
+  hideSnapshotsModal() {
+    document.getElementById('snapshots-modal')?.classList.add('hidden');
+    this.snapshots = [];
+    this.snapshotPapersFile = null;
+  }
+
+  showSnapshotList() {
+    document.getElementById('snapshots-browser')?.classList.remove('hidden');
+    document.getElementById('snapshot-papers-panel')?.classList.add('hidden');
+  }
+
+  async loadSnapshots() {
+    const listEl = document.getElementById('snapshots-list');
+    if (!listEl) return;
+
+    const { snapshots, settings } = await window.electronAPI.listLibrarySnapshots();
+    this.snapshots = snapshots;
+    this.renderSnapshotSettings(settings);
+
+    const totalSize = snapshots.reduce((sum, snapshot) => sum + snapshot.size, 0);
+    document.getElementById('snapshots-summary').textContent = snapshots.length
+      ? `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} (${this.formatBytes(totalSize)}) in the library's backups folder`
+      : '';
+
+    if (snapshots.length === 0) {
+      listEl.innerHTML = '<p class="duplicates-empty">No snapshots yet.</p>';
+      return;
+    }
+
+    listEl.innerHTML = snapshots.map((snapshot, index) => `
+      <div class="snapshot-item">
+        <div class="snapshot-info">
+          <div class="snapshot-title">${new Date(snapshot.date).toLocaleString()}</div>
+          <div class="snapshot-meta" data-snapshot-stats="${index}">Counting…</div>
+          <div class="snapshot-meta">${this.formatBytes(snapshot.size)}${snapshot.hasAnnotations ? ' · with annotations JSON' : ''}</div>
+        </div>
+        <button class="secondary-button small" data-snapshot-papers="${index}">Choose Papers…</button>
+        <button class="primary-button small" data-snapshot-restore="${index}">Restore Library</button>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('[data-snapshot-papers]').forEach(btn => {
+      btn.addEventListener('click', () => this.showSnapshotPapers(this.snapshots[parseInt(btn.dataset.snapshotPapers)]));
+    });
+    listEl.querySelectorAll('[data-snapshot-restore]').forEach(btn => {
+      btn.addEventListener('click', () => this.restoreLibrarySnapshot(this.snapshots[parseInt(btn.dataset.snapshotRestore)]));
+    });
+
+    // Counting opens each snapshot, so fill the counts in one at a time
+    for (const [index, snapshot] of snapshots.entries()) {
+      const result = await window.electronAPI.getSnapshotStats(snapshot.filename);
+      const statsEl = listEl.querySelector(`[data-snapshot-stats="${index}"]`);
+      if (!statsEl || this.snapshots !== snapshots) return;
+
+      if (result?.success) {
+        const { paperCount, annotationCount, collectionCount, trashCount } = result.stats;
+        statsEl.textContent = `${paperCount} papers · ${annotationCount} annotations · ${collectionCount} collections${trashCount ? ` · ${trashCount} in Trash` : ''}`;
+      } else {
+        statsEl.textContent = result?.error || 'Could not read this snapshot';
+      }
+    }
+  }
+
+  renderSnapshotSettings(settings) {
+    document.getElementById('snapshots-enabled').checked = settings.enabled;
+    document.getElementById('snapshots-interval').value = String(settings.intervalHours);
+    document.getElementById('snapshots-keep-hourly').value = settings.keepHourly;
+    document.getElementById('snapshots-keep-daily').value = settings.keepDaily;
+    document.getElementById('snapshots-keep-weekly').value = settings.keepWeekly;
+    document.getElementById('snapshots-annotations').checked = settings.includeAnnotations;
+  }
+
+  async saveSnapshotSettings() {
+    const result = await window.electronAPI.setSnapshotSettings({
+      enabled: document.getElementById('snapshots-enabled').checked,
+      intervalHours: parseInt(document.getElementById('snapshots-interval').value),
+      keepHourly: parseInt(document.getElementById('snapshots-keep-hourly').value),
+      keepDaily: parseInt(document.getElementById('snapshots-keep-daily').value),
+      keepWeekly: parseInt(document.getElementById('snapshots-keep-weekly').value),
+      includeAnnotations: document.getElementById('snapshots-annotations').checked
+    });
+
+    this.renderSnapshotSettings(result.settings);
+    if (result.deleted > 0) {
+      this.showNotification(`Deleted ${result.deleted} snapshots the new settings don't keep`, 'info');
+      await this.loadSnapshots();
+    }
+  }
+
+  async createSnapshot() {
+    const result = await window.electronAPI.createLibrarySnapshot();
+    if (!result?.success) {
+      this.showNotification(result?.error || 'Snapshot failed', 'error');
+      return;
+    }
+    this.showNotification('Snapshot saved', 'success');
+    await this.loadSnapshots();
+  }
+
+  async restoreLibrarySnapshot(snapshot) {
+    if (!snapshot) return;
+    const message = `Replace the whole library with the snapshot from ${new Date(snapshot.date).toLocaleString()}?\n\n` +
+      'The library as it is now is saved as a snapshot first.';
+    if (!confirm(message)) return;
+
+    const result = await window.electronAPI.restoreLibrarySnapshot(snapshot.filename);
+    if (!result?.success) {
+      this.showNotification(result?.error || 'Restore failed', 'error');
+      return;
+    }
+
+    this.hideSnapshotsModal();
+    await this.refreshAfterMerge();
+    this.showNotification('Library restored from snapshot', 'success');
+  }
+
+  async showSnapshotPapers(snapshot) {
+    if (!snapshot) return;
+    const listEl = document.getElementById('snapshot-papers-list');
+    const summaryEl = document.getElementById('snapshot-papers-summary');
+    document.getElementById('snapshots-browser')?.classList.add('hidden');
+    document.getElementById('snapshot-papers-panel')?.classList.remove('hidden');
+    summaryEl.textContent = `Snapshot from ${new Date(snapshot.date).toLocaleString()}`;
+    listEl.innerHTML = '<p class="duplicates-empty">Reading snapshot…</p>';
+
+    const result = await window.electronAPI.getSnapshotPapers(snapshot.filename);
+    if (!result?.success) {
+      listEl.innerHTML = `<p class="duplicates-empty">${this.escapeHtml(result?.error || 'Could not read this snapshot')}</p>`;
+      return;
+    }
+    this.snapshotPapersFile = snapshot.filename;
+
+    // Papers the library lost or has fewer annotations for now come first
+    const differs = paper => !paper.in_library || paper.annotation_count > paper.library_annotation_count;
+    const papers = [...result.papers].sort((a, b) => differs(b) - differs(a));
+    const changed = papers.filter(differs).length;
+    summaryEl.textContent = `Snapshot from ${new Date(snapshot.date).toLocaleString()}: ${papers.length} papers, ` +
+      `${changed} missing from the library or with annotations missing. Restored papers get the snapshot's metadata, ` +
+      'notes and annotations back; nothing added since is removed.';
+
+    listEl.innerHTML = papers.length ? papers.map(paper => {
+      const status = [
+        !paper.in_library && 'Not in library',
+        paper.in_library && paper.annotation_count > paper.library_annotation_count &&
+          `${paper.annotation_count - paper.library_annotation_count} annotations missing`,
+        paper.in_trash && 'In Trash in snapshot'
+      ].filter(Boolean);
+      return `
+        <label class="snapshot-item snapshot-paper">
+          <input type="checkbox" value="${paper.id}"${differs(paper) ? ' checked' : ''}>
+          <div class="snapshot-info">
+            <div class="snapshot-title">${this.escapeHtml(paper.title)}</div>
+            <div class="snapshot-meta">${this.escapeHtml(this.formatAuthorsShort(paper.authors))} ${paper.year || ''} · ${paper.annotation_count} annotations</div>
+            ${status.length ? `<div class="snapshot-meta snapshot-status">${status.join(' · ')}</div>` : ''}
+          </div>
+        </label>
+      `;
+    }).join('') : '<p class="duplicates-empty">This snapshot has no papers.</p>';
+  }
+
+  async restoreSnapshotPapers() {
+    const ids = [...document.querySelectorAll('#snapshot-papers-list input:checked')].map(input => parseInt(input.value));
+    if (!this.snapshotPapersFile || ids.length === 0) {
+      this.showNotification('Select the papers to restore', 'info');
+      return;
+    }
+
+    const result = await window.electronAPI.restoreSnapshotPapers(this.snapshotPapersFile, ids);
+    if (!result?.success) {
+      this.showNotification(result?.error || 'Restore failed', 'error');
+      return;
+    }
+
+    this.hideSnapshotsModal();
+    await this.refreshAfterMerge();
+    if (this.selectedPaper) await this.displayPaper(this.selectedPaper.id);
+    this.showNotification(`Restored ${result.restored} paper${result.restored === 1 ? '' : 's'}`, 'success');
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CITATION GRAPH
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  CITATION_GRAPH_RING_GAP = 140;
+  CITATION_GRAPH_NODE_SPACING = 18;
+
+  // Open the graph for the given papers; from the menu, use the selected
+  // library papers, falling back to the open collection
+  async showCitationGraph(paperIds = null) {
+    const modal = document.getElementById('citation-graph-modal');
+    if (!modal || !window.electronAPI.buildCitationGraph) return;
+
+    const inLibraryView = !this.currentSmartSearch && !this.isAdsSearchActive && this.currentView !== 'reading-list';
+    if (!inLibraryView) {
+      this.showNotification('The citation graph starts from library papers', 'info');
+      return;
+    }
+
+    let label;
+    if (!paperIds) {
+      const selected = [...this.selectedPapers].filter(id => typeof id === 'number');
+      if (this.currentCollection && selected.length <= 1) {
+        const papers = await window.electronAPI.getPapersInCollection(this.currentCollection) || [];
+        paperIds = papers.map(p => p.id);
+        label = this.collections.find(c => c.id === this.currentCollection)?.name;
+      } else {
+        paperIds = selected;
+      }
+    }
+    if (paperIds.length === 0) {
+      this.showNotification('Select a paper or open a collection first', 'info');
+      return;
+    }
+    if (!label) {
+      label = paperIds.length === 1
+        ? this.papers.find(p => p.id === paperIds[0])?.title || 'Selected paper'
+        : `${paperIds.length} papers`;
+    }
+
+    this.citationGraph = { seedIds: paperIds, label, graph: null, selectedId: null };
+    document.getElementById('citation-graph-title').textContent = `Citation Graph — ${label}`;
+    modal.classList.remove('hidden');
+    await this.loadCitationGraph();
+  }
+
+  hideCitationGraph() {
+    document.getElementById('citation-graph-modal')?.classList.add('hidden');
+    this.citationGraph = null;
+  }
+
+  async loadCitationGraph() {
+    if (!this.citationGraph) return;
+    const status = document.getElementById('citation-graph-status');
+    status.textContent = 'Building graph…';
+    document.getElementById('citation-graph-svg').innerHTML = '';
+
+    const maxDepth = parseInt(document.getElementById('citation-graph-depth').value);
+    const result = await window.electronAPI.buildCitationGraph(this.citationGraph.seedIds, { maxDepth });
+    if (!this.citationGraph) return;
+    if (!result?.success) {
+      status.textContent = '';
+      this.showNotification(result?.error || 'Failed to build citation graph', 'error');
+      return;
+    }
+
+    this.citationGraph.graph = result.graph;
+    this.citationGraph.positions = this.layoutCitationGraph(result.graph);
+    this.citationGraph.selectedId = result.graph.nodes.find(node => node.seed)?.id || null;
+    this.renderCitationGraph();
+  }
+
+  // Radial layout: seeds in the middle, one ring per hop. Each ring is
+  // ordered by the angle of its neighbours on inner rings to keep edges short.
+  layoutCitationGraph(graph) {
+    const positions = new Map();
+    const neighbours = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const { source, target } of graph.edges) {
+      neighbours.get(source)?.push(target);
+      neighbours.get(target)?.push(source);
+    }
+
+    const maxDepth = Math.max(0, ...graph.nodes.map(node => node.depth));
+    let radius = 0;
+    for (let depth = 0; depth <= maxDepth; depth++) {
+      const ring = graph.nodes
+        .filter(node => node.depth === depth)
+        .map(node => {
+          const placed = neighbours.get(node.id).map(id => positions.get(id)).filter(Boolean);
+          const x = placed.reduce((sum, p) => sum + p.x, 0);
+          const y = placed.reduce((sum, p) => sum + p.y, 0);
+          return { node, angle: placed.length > 0 ? Math.atan2(y, x) : 0 };
+        })
+        .sort((a, b) => a.angle - b.angle);
+
+      const minRadius = ring.length * this.CITATION_GRAPH_NODE_SPACING / (2 * Math.PI);
+      if (depth === 0) {
+        radius = ring.length > 1 ? Math.max(60, minRadius) : 0;
+      } else {
+        radius = Math.max(radius + this.CITATION_GRAPH_RING_GAP, minRadius);
+      }
+
+      ring.forEach(({ node }, i) => {
+        const angle = (2 * Math.PI * i) / ring.length - Math.PI / 2;
+        positions.set(node.id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+      });
+    }
+    return positions;
+  }
+
+  renderCitationGraph() {
+    const { graph, positions, selectedId } = this.citationGraph;
+    const svg = document.getElementById('citation-graph-svg');
+    const status = document.getElementById('citation-graph-status');
+
+    const libraryCount = graph.nodes.filter(node => node.inLibrary).length;
+    status.textContent = `${graph.nodes.length} papers · ${libraryCount} in library` +
+      (graph.truncated ? ` · limited to the first ${graph.nodes.length}` : '');
+
+    if (graph.edges.length === 0) {
+      svg.innerHTML = '';
+      document.getElementById('citation-graph-details').innerHTML =
+        '<p class="citation-graph-empty">No cached references or citations yet. Open the References or Citations tab of a paper to fetch them.</p>';
+      document.getElementById('citation-graph-missing').innerHTML = '';
+      return;
+    }
+
+    const extent = Math.max(100, ...[...positions.values()].map(p => Math.hypot(p.x, p.y))) + 20;
+    svg.setAttribute('viewBox', `${-extent} ${-extent} ${2 * extent} ${2 * extent}`);
+
+    const edgesHtml = graph.edges.map(({ source, target }) => {
+      const a = positions.get(source);
+      const b = positions.get(target);
+      const highlight = source === selectedId || target === selectedId ? ' highlight' : '';
+      return `<line class="graph-edge${highlight}" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"></line>`;
+    }).join('');
+
+    const nodesHtml = graph.nodes.map((node, index) => {
+      const p = positions.get(node.id);
+      const classes = ['graph-node'];
+      if (node.inLibrary) classes.push('in-library');
+      if (node.seed) classes.push('seed');
+      if (node.coCited) classes.push('co-cited');
+      if (node.id === selectedId) classes.push('selected');
+      const r = 4 + Math.min(8, Math.sqrt(node.citedBy) * 2);
+      return `<circle class="${classes.join(' ')}" data-node-index="${index}" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${r.toFixed(1)}">` +
+        `<title>${this.escapeHtml(node.title || node.bibcode || 'Untitled')}${node.year ? ` (${node.year})` : ''}</title></circle>`;
+    }).join('');
+
+    svg.innerHTML = `<g>${edgesHtml}</g><g>${nodesHtml}</g>`;
+    svg.querySelectorAll('[data-node-index]').forEach(el => {
+      el.addEventListener('click', () => this.selectCitationGraphNode(graph.nodes[parseInt(el.dataset.nodeIndex)].id));
+    });
+
+    this.renderCitationGraphDetails();
+    this.renderCitationGraphMissing();
+  }
+
+  selectCitationGraphNode(nodeId) {
+    if (!this.citationGraph) return;
+    this.citationGraph.selectedId = nodeId;
+    this.renderCitationGraph();
+  }
+
+  renderCitationGraphDetails() {
+    const el = document.getElementById('citation-graph-details');
+    const { graph, selectedId } = this.citationGraph;
+    const node = graph.nodes.find(n => n.id === selectedId);
+    if (!node) {
+      el.innerHTML = '<p class="citation-graph-empty">Click a node to see the paper.</p>';
+      return;
+    }
+
+    const identifier = node.bibcode || node.arxiv_id;
+    const canSave = !!window.electronAPI.readingListAdd && !!identifier;
+    const scores = [
+      `Cited by ${node.citedBy} in graph`,
+      !node.seed && `co-cited with ${node.coCitation}`,
+      !node.seed && `${node.coupling} shared refs`
+    ].filter(Boolean).join(' · ');
+
+    el.innerHTML = `
+      <div class="citation-graph-node-title">${this.escapeHtml(node.title || node.bibcode || 'Untitled')}</div>
+      <div class="duplicate-paper-meta">${this.escapeHtml(this.formatAuthorsShort(node.authors ? node.authors.split('; ') : []))} ${node.year || ''}${node.journal ? ` · ${this.escapeHtml(node.journal)}` : ''}</div>
+      <div class="duplicate-paper-meta">${[node.bibcode, node.doi && `doi:${node.doi}`, node.arxiv_id && `arXiv:${node.arxiv_id}`].filter(Boolean).map(id => this.escapeHtml(id)).join(' · ')}</div>
+      <div class="duplicate-paper-meta">${node.inLibrary ? 'In library' : 'Not in library'} · ${scores}</div>
+      <div class="citation-graph-node-actions">
+        ${node.inLibrary ? `
+          <button class="secondary-button small" data-graph-action="open">Show in Library</button>
+          ${node.seed ? '' : '<button class="secondary-button small" data-graph-action="explore">Explore from Here</button>'}
+        ` : `
+          <button class="primary-button small" data-graph-action="import"${node.bibcode ? '' : ' disabled title="Needs a bibcode"'}>Add to Library</button>
+          ${canSave ? '<button class="secondary-button small" data-graph-action="save">Add to Reading List</button>' : ''}
+        `}
+      </div>
+    `;
+
+    el.querySelector('[data-graph-action="open"]')?.addEventListener('click', () => this.openCitationGraphNode(node));
+    el.querySelector('[data-graph-action="explore"]')?.addEventListener('click', () => {
+      this.citationGraph.seedIds = [node.paperId];
+      document.getElementById('citation-graph-title').textContent = `Citation Graph — ${node.title || 'Untitled'}`;
+      this.loadCitationGraph();
+    });
+    el.querySelector('[data-graph-action="import"]')?.addEventListener('click', () => this.importCitationGraphNode(node));
+    el.querySelector('[data-graph-action="save"]')?.addEventListener('click', () => this.saveCitationGraphNode(node));
+  }
+
+  // Highly co-cited works outside the library, most cited first
+  renderCitationGraphMissing() {
+    const el = document.getElementById('citation-graph-missing');
+    const { graph } = this.citationGraph;
+    const missing = graph.nodes
+      .filter(node => node.coCited)
+      .sort((a, b) => b.citedBy - a.citedBy || b.coCitation - a.coCitation || (b.year || 0) - (a.year || 0))
+      .slice(0, 50);
+
+    if (missing.length === 0) {
+      el.innerHTML = '<p class="citation-graph-empty">None found at this depth.</p>';
+      return;
+    }
+
+    el.innerHTML = missing.map(node => `
+      <div class="citation-graph-missing-item${node.id === this.citationGraph.selectedId ? ' active' : ''}" data-node-index="${graph.nodes.indexOf(node)}">
+        <span class="citation-graph-missing-count">${node.citedBy}</span>
+        <span class="citation-graph-missing-title">${this.escapeHtml(node.title || node.bibcode || 'Untitled')}${node.year ? ` (${node.year})` : ''}</span>
+      </div>
+    `).join('');
+
+    el.querySelectorAll('[data-node-index]').forEach(item => {
+      item.addEventListener('click', () => this.selectCitationGraphNode(graph.nodes[parseInt(item.dataset.nodeIndex)].id));
+    });
+  }
+
+  async openCitationGraphNode(node) {
+    this.hideCitationGraph();
+    // displayPaper falls back to the database when the paper isn't in the current list
+    await this.selectPaper(node.paperId);
+  }
+
+  async importCitationGraphNode(node) {
+    const result = await window.electronAPI.adsImportPapers([{
+      bibcode: node.bibcode,
+      title: node.title,
+      authors: node.authors ? node.authors.split('; ') : [],
+      year: node.year,
+      journal: node.journal
+    }]);
+    if (!result?.success) {
+      this.showNotification(`Import failed: ${result?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    const imported = result.results.imported[0];
+    if (!imported) {
+      this.showNotification(result.results.skipped.length > 0 ? 'Paper already in library' : 'Import failed', 'info');
+      return;
+    }
+
+    if (this.citationGraph) {
+      node.inLibrary = true;
+      node.coCited = false;
+      node.paperId = imported.id;
+      this.renderCitationGraph();
+    }
+    if (this.currentCollection) {
+      await this.loadPapersInCollection(this.currentCollection);
+    } else {
+      await this.loadPapers();
+    }
+    await this.updateReadingListCount();
+    this.showNotification(`Added "${node.title?.substring(0, 50) || node.bibcode}" to library`, 'success');
+  }
+
+  async saveCitationGraphNode(node) {
+    const result = await window.electronAPI.readingListAdd({
+      bibcode: node.bibcode || node.arxiv_id,
+      arxivId: node.arxiv_id,
+      arxiv_id: node.arxiv_id,
+      doi: node.doi,
+      title: node.title,
+      authors: node.authors ? node.authors.split('; ') : [],
+      year: node.year,
+      journal: node.journal
+    });
+    if (result?.success) {
+      await this.updateReadingListCount();
+      this.showNotification('Saved to reading list', 'success');
+    } else {
+      this.showNotification(result?.error || 'Failed to save', 'error');
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PAPERS YOU'RE MISSING
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  MISSING_PAPERS_LIMIT = 100;
+
+  async updateMissingPapersCount() {
+    if (!window.electronAPI.getRecommendations) return;
+    const { total } = await window.electronAPI.getRecommendations({ limit: 0 });
+    const countEl = document.getElementById('missing-papers-count');
+    if (countEl) countEl.textContent = total || 0;
+  }
+
+  // Refs caches update one paper at a time (e.g. while browsing References
+  // tabs), so coalesce bursts of change events into one refresh
+  scheduleMissingPapersRefresh() {
+    clearTimeout(this.missingPapersRefreshTimer);
+    this.missingPapersRefreshTimer = setTimeout(() => {
+      this.updateMissingPapersCount();
+      if (!document.getElementById('missing-papers-modal')?.classList.contains('hidden')) {
+        this.loadMissingPapers();
+      }
+    }, 1000);
+  }
+
+  async showMissingPapers() {
+    const modal = document.getElementById('missing-papers-modal');
+    if (!modal || !window.electronAPI.getRecommendations) return;
+
+    const active = await window.electronAPI.plugins?.getActive();
+    document.getElementById('missing-papers-source').textContent = active?.data
+      ? `Imports use ${active.data.name}.`
+      : 'No source plugin is active; select one to import.';
+
+    modal.classList.remove('hidden');
+    await this.loadMissingPapers();
+  }
+
+  hideMissingPapers() {
+    document.getElementById('missing-papers-modal')?.classList.add('hidden');
+    this.missingPapers = [];
+  }
+
+  async loadMissingPapers() {
+    const { works, total } = await window.electronAPI.getRecommendations({ limit: this.MISSING_PAPERS_LIMIT });
+    this.missingPapers = works;
+
+    const countEl = document.getElementById('missing-papers-count');
+    if (countEl) countEl.textContent = total;
+    document.getElementById('missing-papers-summary').textContent = total > works.length
+      ? `Showing the top ${works.length} of ${total}.`
+      : '';
+
+    this.renderMissingPapers();
+  }
+
+  renderMissingPapers() {
+    const listEl = document.getElementById('missing-papers-list');
+    if (!listEl) return;
+
+    if (this.missingPapers.length === 0) {
+      listEl.innerHTML = '<p class="missing-papers-empty">Nothing yet. Recommendations come from the references of your papers; open the References tab of a few papers to fetch them.</p>';
+      this.updateMissingPapersSelection();
+      return;
+    }
+
+    const canSave = !!window.electronAPI.readingListAdd;
+    listEl.innerHTML = this.missingPapers.map((work, index) => `
+      <div class="missing-paper" data-index="${index}">
+        <input type="checkbox" class="missing-paper-check" data-index="${index}">
+        <div class="missing-paper-count" title="Weighted score ${work.score}">${work.citedBy}</div>
+        <div class="missing-paper-info">
+          <div class="missing-paper-title">${this.escapeHtml(work.title || work.bibcode || work.doi || 'Untitled')}</div>
+          <div class="missing-paper-meta">${this.escapeHtml(this.formatAuthorsShort(work.authors))} ${work.year || ''}${work.journal ? ` · ${this.escapeHtml(work.journal)}` : ''}</div>
+          <div class="missing-paper-meta" title="${this.escapeHtml(work.citingPapers.map(p => p.title).join('\n'))}">Cited by ${this.escapeHtml(work.citingPapers.slice(0, 3).map(p => p.title).join('; '))}${work.citedBy > 3 ? ` and ${work.citedBy - 3} more` : ''}</div>
+        </div>
+        <div class="missing-paper-actions">
+          <button class="primary-button small" data-import-index="${index}">Import</button>
+          ${canSave && (work.bibcode || work.arxiv_id) ? `<button class="secondary-button small" data-save-index="${index}">Save for Later</button>` : ''}
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.missing-paper-check').forEach(box => {
+      box.addEventListener('change', () => this.updateMissingPapersSelection());
+    });
+    listEl.querySelectorAll('[data-import-index]').forEach(btn => {
+      btn.addEventListener('click', () => this.importMissingPapers([this.missingPapers[parseInt(btn.dataset.importIndex)]]));
+    });
+    listEl.querySelectorAll('[data-save-index]').forEach(btn => {
+      btn.addEventListener('click', () => this.saveMissingPaper(this.missingPapers[parseInt(btn.dataset.saveIndex)]));
+    });
+    this.updateMissingPapersSelection();
+  }
+
+  getSelectedMissingPapers() {
+    return [...document.querySelectorAll('.missing-paper-check:checked')]
+      .map(box => this.missingPapers[parseInt(box.dataset.index)]);
+  }
+
+  updateMissingPapersSelection() {
+    const count = this.getSelectedMissingPapers().length;
+    const btn = document.getElementById('missing-papers-import-btn');
+    if (!btn) return;
+    btn.disabled = count === 0;
+    btn.textContent = count > 1 ? `Import ${count} Papers` : 'Import Selected';
+  }
+
+  async importMissingPapers(works) {
+    if (works.length === 0) return;
+
+    this.showNotification(`Importing ${works.length} paper${works.length === 1 ? '' : 's'}...`, 'info');
+    const result = await window.electronAPI.importRecommendations(works);
+    if (!result?.success) {
+      this.showNotification(`Import failed: ${result?.error || 'unknown error'}`, 'error');
+      return;
+    }
+
+    const { imported, skipped, failed } = result.results;
+    let msg = imported.length === 1 ? 'Imported 1 paper' : `Imported ${imported.length} papers`;
+    if (skipped.length > 0) msg += ` (${skipped.length} already in library)`;
+    if (failed.length > 0) msg += `, ${failed.length} failed: ${failed[0].error}`;
+    this.showNotification(msg, failed.length > 0 ? 'warn' : 'success');
+
+    await this.loadMissingPapers();
+    if (imported.length > 0) {
+      if (this.currentCollection) {
+        await this.loadPapersInCollection(this.currentCollection);
+      } else {
+        await this.loadPapers();
+      }
+      const info = await window.electronAPI.getLibraryInfo(this.libraryPath);
+      if (info) this.updateLibraryDisplay(info);
+    }
+  }
+
+  async saveMissingPaper(work) {
+    const result = await window.electronAPI.readingListAdd({
+      bibcode: work.bibcode || work.arxiv_id,
+      arxivId: work.arxiv_id,
+      arxiv_id: work.arxiv_id,
+      doi: work.doi,
+      title: work.title,
+      authors: work.authors ? work.authors.split('; ') : [],
+      year: work.year,
+      journal: work.journal
+    });
+    if (result?.success) {
+      await this.updateReadingListCount();
+      await this.loadMissingPapers();
+      this.showNotification('Saved to reading list', 'success');
+    } else {
+      this.showNotification(result?.error || 'Failed to save', 'error');
+    }
+  }
+
+  // ===== ADS Search Pane Methods =====
+
+  async executeAdsPaneSearch() {
+    const query = document.getElementById('ads-pane-query-input').value.trim();
+    if (!query) return;
+
+    const searchBtn = document.getElementById('ads-pane-search-btn');
+    searchBtn.textContent = 'Searching...';
+    searchBtn.disabled = true;
+
+    const source = this.currentSearchSource || 'ads';
+
+    try {
+      let result;
+      let papers = [];
+      let totalResults = 0;
+      let failedSources = [];
+
+      if (source === 'all') {
+        // Merged search across all enabled plugins: one row per work,
+        // listing every source it was found in
+        result = await window.electronAPI.plugins.federatedSearch(query);
+        if (result.success && result.data) {
+          papers = result.data.papers.map(p => ({
+            ...p,
+            id: p.sourceId,
+            bibcode: p.bibcode || null,
+            arxiv_id: p.arxivId,
+            citation_count: p.citationCount,
+            isAdsSearch: true
+          }));
+          totalResults = papers.length;
+          failedSources = result.data.errors;
+        }
+      } else if (source === 'arxiv') {
+        // Use plugin system for arXiv search
+        result = await window.electronAPI.plugins.search({ raw: query }, 'arxiv');
+        if (result.success && result.data) {
+          papers = result.data.papers || [];
+          totalResults = result.data.totalResults || papers.length;
+
+          // Map arXiv papers to expected format
           papers = papers.map(p => ({
             ...p,
             id: p.arxivId || p.sourceId,
@@ -10316,6 +12917,21 @@ class BibliacApp {
             source: 'arxiv'
           }));
         }
+      } else if (source !== 'ads' && source !== 'inspire') {
+        // Use plugin system for Crossref, OpenAlex and third-party sources
+        // (papers are keyed by their source ID)
+        result = await window.electronAPI.plugins.search({ raw: query, limit: 100 }, source);
+        if (result.success && result.data) {
+          papers = (result.data.papers || []).map(p => ({
+            ...p,
+            id: p.sourceId,
+            bibcode: p.bibcode || null,
+            arxiv_id: p.arxivId,
+            isAdsSearch: true,
+            source
+          }));
+          totalResults = result.data.totalResults || papers.length;
+        }
       } else {
         // Use existing ADS import for ADS search
         result = await window.electronAPI.adsImportSearch(query, { rows: 1000 });
@@ -10368,8 +12984,9 @@ class BibliacApp {
         }
 
         // Show search toolbar with source name
-        const sourceNames = { 'ads': 'ADS Search', 'arxiv': 'arXiv Search' };
-        this.showSearchToolbar(query, totalResults, sourceNames[source] || 'Search');
+        const sourceNames = { 'ads': 'ADS Search', 'arxiv': 'arXiv Search', 'crossref': 'Crossref Search', 'openalex': 'OpenAlex Search', 'all': 'All Sources' };
+        const sourceName = sourceNames[source] || (this.thirdPartySources.has(source) ? `${this.thirdPartySources.get(source)} Search` : 'Search');
+        this.showSearchToolbar(query, totalResults, sourceName, failedSources);
 
         // Switch to library tab to show results in main list
         this.switchTab('library');
@@ -10394,6 +13011,106 @@ class BibliacApp {
     }
   }
 
+  /**
+   * Read the query builder form into a UnifiedQuery
+   * @returns {Object} UnifiedQuery
+   */
+  buildQueryFromForm() {
+    const query = {};
+    document.querySelectorAll('#query-builder-content input[data-clause]').forEach(input => {
+      const value = input.value.trim();
+      if (value) query[input.dataset.clause] = value;
+    });
+
+    const from = parseInt(document.getElementById('qb-year-from')?.value, 10);
+    const to = parseInt(document.getElementById('qb-year-to')?.value, 10);
+    if (from && to) {
+      query.year = from === to ? from : [Math.min(from, to), Math.max(from, to)];
+    } else if (from || to) {
+      query.year = from ? [from, new Date().getFullYear()] : [0, to];
+    }
+
+    const keywords = (document.getElementById('qb-keywords')?.value || '')
+      .split(',').map(k => k.trim()).filter(Boolean);
+    if (keywords.length > 0) query.keywords = keywords;
+
+    return query;
+  }
+
+  /**
+   * Translate the query builder form for the current source into the search box
+   */
+  async applyQueryBuilder() {
+    const query = this.buildQueryFromForm();
+    if (Object.keys(query).length === 0) return;
+
+    const result = await window.electronAPI.plugins.translateQuery(query, this.currentSearchSource);
+    if (!result.success) {
+      this.showAdsPaneError(result.error);
+      return;
+    }
+
+    const inputEl = document.getElementById('ads-pane-query-input');
+    if (inputEl) {
+      inputEl.value = result.data.query;
+      inputEl.focus();
+    }
+    this.showQueryNotice(result.data.unsupported);
+  }
+
+  clearQueryBuilder() {
+    document.querySelectorAll('#query-builder-content input').forEach(input => {
+      input.value = '';
+    });
+    this.showQueryNotice([]);
+  }
+
+  /**
+   * Show which query clauses the search source(s) will ignore
+   * @param {{source: string, clause: string, message: string}[]} unsupported
+   * @param {string} [intro] - Lead-in text
+   */
+  showQueryNotice(unsupported, intro = 'Left out of the search:') {
+    const noticeEl = document.getElementById('query-translation-notice');
+    if (!noticeEl) return;
+
+    if (!unsupported?.length) {
+      noticeEl.classList.add('hidden');
+      noticeEl.innerHTML = '';
+      return;
+    }
+
+    const items = unsupported.map(u =>
+      `<li>${this.escapeHtml(this.getSourceName(u.source))}: ${this.escapeHtml(u.message)}</li>`);
+    noticeEl.innerHTML = `⚠ ${this.escapeHtml(intro)}<ul>${items.join('')}</ul>`;
+    noticeEl.classList.remove('hidden');
+  }
+
+  /**
+   * Rewrite the search box query in the new source's syntax. Queries that use
+   * syntax only the old source understands are left as typed.
+   * @param {string} from - Previous source ID
+   * @param {string} to - New source ID
+   */
+  async convertSearchQuery(from, to) {
+    const inputEl = document.getElementById('ads-pane-query-input');
+    const text = inputEl?.value.trim();
+    this.showQueryNotice([]);
+    if (!text || from === to) return;
+
+    try {
+      const result = await window.electronAPI.plugins.convertQuery(text, from, to);
+      if (!result.success || !result.data?.query) return;
+
+      // The user may have kept typing while the query was converted
+      if (inputEl.value.trim() !== text || this.currentSearchSource !== to) return;
+      inputEl.value = result.data.query;
+      this.showQueryNotice(result.data.unsupported, `Converted from ${this.getSourceName(from)}; left out:`);
+    } catch (error) {
+      console.warn('Query conversion failed:', error);
+    }
+  }
+
   /**
    * Handle search source change from dropdown
    * @param {string} sourceId - Plugin ID ('ads', 'arxiv', etc.)
@@ -10401,6 +13118,12 @@ class BibliacApp {
   onSearchSourceChanged(sourceId) {
     this.currentSearchSource = sourceId;
 
+    // Third-party plugins describe their own search UI
+    if (this.thirdPartySources.has(sourceId)) {
+      this.applyPluginSearchConfig(sourceId);
+      return;
+    }
+
     // Update title
     const titleEl = document.getElementById('search-source-title');
     const inputEl = document.getElementById('ads-pane-query-input');
@@ -10426,6 +13149,24 @@ class BibliacApp {
         placeholder: 'e.g., a witten and t "string theory"',
         nlPlaceholder: 'e.g., highly cited papers on supersymmetry from 2023',
         showShortcuts: true
+      },
+      'crossref': {
+        title: 'Search Crossref',
+        placeholder: 'e.g., author:"Doudna" title:CRISPR year:2012-2014',
+        nlPlaceholder: 'e.g., papers by Doudna about CRISPR from 2012 to 2014',
+        showShortcuts: true
+      },
+      'openalex': {
+        title: 'Search OpenAlex',
+        placeholder: 'e.g., author:"Hinton" title:"deep learning" year:2015-',
+        nlPlaceholder: 'e.g., highly cited open-access papers on coral bleaching',
+        showShortcuts: true
+      },
+      'all': {
+        title: 'Search All Sources',
+        placeholder: 'e.g., author:"Abbott" title:"gravitational waves" year:2016',
+        nlPlaceholder: 'e.g., papers by Abbott on gravitational waves from 2016',
+        showShortcuts: true
       }
     };
 
@@ -10455,6 +13196,36 @@ class BibliacApp {
           <button class="ads-shortcut-btn" data-insert="topcite " data-target="ads-pane-query-input">topcite</button>
           <button class="ads-shortcut-btn" data-insert="j " data-target="ads-pane-query-input">j</button>
         `;
+      } else if (sourceId === 'crossref') {
+        shortcutsEl.innerHTML = `
+          <button class="ads-shortcut-btn" data-insert="author:" data-target="ads-pane-query-input">author:</button>
+          <button class="ads-shortcut-btn" data-insert="title:" data-target="ads-pane-query-input">title:</button>
+          <button class="ads-shortcut-btn" data-insert="journal:" data-target="ads-pane-query-input">journal:</button>
+          <button class="ads-shortcut-btn" data-insert="year:" data-target="ads-pane-query-input">year:</button>
+          <button class="ads-shortcut-btn" data-insert="doi:" data-target="ads-pane-query-input">doi:</button>
+          <button class="ads-shortcut-btn" data-insert="type:" data-target="ads-pane-query-input">type:</button>
+          <button class="ads-shortcut-btn" data-insert="orcid:" data-target="ads-pane-query-input">orcid:</button>
+        `;
+      } else if (sourceId === 'openalex') {
+        shortcutsEl.innerHTML = `
+          <button class="ads-shortcut-btn" data-insert="author:" data-target="ads-pane-query-input">author:</button>
+          <button class="ads-shortcut-btn" data-insert="title:" data-target="ads-pane-query-input">title:</button>
+          <button class="ads-shortcut-btn" data-insert="abstract:" data-target="ads-pane-query-input">abstract:</button>
+          <button class="ads-shortcut-btn" data-insert="year:" data-target="ads-pane-query-input">year:</button>
+          <button class="ads-shortcut-btn" data-insert="doi:" data-target="ads-pane-query-input">doi:</button>
+          <button class="ads-shortcut-btn" data-insert="oa:true " data-target="ads-pane-query-input">oa:true</button>
+          <button class="ads-shortcut-btn" data-insert="cited:>" data-target="ads-pane-query-input">cited:</button>
+        `;
+      } else if (sourceId === 'all') {
+        // Fields every source understands (see federated.cjs)
+        shortcutsEl.innerHTML = `
+          <button class="ads-shortcut-btn" data-insert="author:" data-target="ads-pane-query-input">author:</button>
+          <button class="ads-shortcut-btn" data-insert="title:" data-target="ads-pane-query-input">title:</button>
+          <button class="ads-shortcut-btn" data-insert="abstract:" data-target="ads-pane-query-input">abstract:</button>
+          <button class="ads-shortcut-btn" data-insert="year:" data-target="ads-pane-query-input">year:</button>
+          <button class="ads-shortcut-btn" data-insert="doi:" data-target="ads-pane-query-input">doi:</button>
+          <button class="ads-shortcut-btn" data-insert="arxiv:" data-target="ads-pane-query-input">arxiv:</button>
+        `;
       } else {
         // ADS shortcuts (default)
         shortcutsEl.innerHTML = `
@@ -10570,6 +13341,88 @@ class BibliacApp {
             <button class="ads-example-use-btn">Use</button>
           </div>
         `;
+      } else if (sourceId === 'crossref') {
+        // Crossref examples
+        examplesEl.innerHTML = `
+          <div class="ads-example-item" data-query='author:"Doudna" CRISPR'>
+            <span class="ads-example-label">Author + topic</span>
+            <code class="ads-example-query">author:"Doudna" CRISPR</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='title:"metal-organic frameworks"'>
+            <span class="ads-example-label">Title words</span>
+            <code class="ads-example-query">title:"metal-organic frameworks"</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='journal:"Nature Chemistry" year:2023'>
+            <span class="ads-example-label">Journal + year</span>
+            <code class="ads-example-query">journal:"Nature Chemistry" year:2023</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='title:"protein folding" year:2018-2022'>
+            <span class="ads-example-label">Year range</span>
+            <code class="ads-example-query">title:"protein folding" year:2018-2022</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='orcid:0000-0002-1825-0097'>
+            <span class="ads-example-label">By ORCID</span>
+            <code class="ads-example-query">orcid:0000-0002-1825-0097</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='type:book "organic synthesis"'>
+            <span class="ads-example-label">Books only</span>
+            <code class="ads-example-query">type:book "organic synthesis"</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+        `;
+      } else if (sourceId === 'openalex') {
+        // OpenAlex examples
+        examplesEl.innerHTML = `
+          <div class="ads-example-item" data-query='author:"Hinton" title:"deep learning"'>
+            <span class="ads-example-label">Author + title</span>
+            <code class="ads-example-query">author:"Hinton" title:"deep learning"</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='"coral bleaching" year:2018-'>
+            <span class="ads-example-label">Topic since a year</span>
+            <code class="ads-example-query">"coral bleaching" year:2018-</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='title:"CRISPR" cited:>1000'>
+            <span class="ads-example-label">Highly cited</span>
+            <code class="ads-example-query">title:"CRISPR" cited:>1000</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='abstract:"microplastics" oa:true'>
+            <span class="ads-example-label">Open access only</span>
+            <code class="ads-example-query">abstract:"microplastics" oa:true</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='(graphene OR "carbon nanotubes") AND battery'>
+            <span class="ads-example-label">Boolean search</span>
+            <code class="ads-example-query">(graphene OR "carbon nanotubes") AND battery</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+        `;
+      } else if (sourceId === 'all') {
+        // Merged search examples
+        examplesEl.innerHTML = `
+          <div class="ads-example-item" data-query='author:"Abbott" title:"gravitational waves"'>
+            <span class="ads-example-label">Author + title</span>
+            <code class="ads-example-query">author:"Abbott" title:"gravitational waves"</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='"dark matter" year:2020-2024'>
+            <span class="ads-example-label">Topic in a year range</span>
+            <code class="ads-example-query">"dark matter" year:2020-2024</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+          <div class="ads-example-item" data-query='doi:10.1103/PhysRevLett.116.061102'>
+            <span class="ads-example-label">One paper, every source</span>
+            <code class="ads-example-query">doi:10.1103/PhysRevLett.116.061102</code>
+            <button class="ads-example-use-btn">Use</button>
+          </div>
+        `;
       } else {
         // ADS examples (default)
         examplesEl.innerHTML = `
@@ -10627,10 +13480,90 @@ class BibliacApp {
     // Load plugin-specific NL prompt
     this.loadPluginNLPrompt(sourceId);
 
-    // Notify plugin system (optional, for future use)
+    // Notify plugin system (optional, for future use); 'all' is not a plugin
+    if (sourceId !== 'all') window.electronAPI.plugins?.setActive(sourceId);
+  }
+
+  /**
+   * Set up the search pane from a plugin's searchConfig (third-party sources)
+   * @param {string} sourceId
+   */
+  async applyPluginSearchConfig(sourceId) {
+    const result = await window.electronAPI.plugins.getSearchConfig(sourceId);
+    if (!result.success || this.currentSearchSource !== sourceId) return;
+    const config = result.data;
+
+    const titleEl = document.getElementById('search-source-title');
+    const inputEl = document.getElementById('ads-pane-query-input');
+    const nlInputEl = document.getElementById('ads-nl-input');
+    const shortcutsEl = document.querySelector('.ads-shortcuts');
+    const examplesEl = document.getElementById('ads-examples-content');
+
+    if (titleEl) titleEl.textContent = config.title;
+    if (inputEl) inputEl.placeholder = config.placeholder || '';
+    if (nlInputEl) nlInputEl.placeholder = config.nlPlaceholder || '';
+
+    if (shortcutsEl) {
+      shortcutsEl.innerHTML = (config.shortcuts || []).map(shortcut => `
+        <button class="ads-shortcut-btn" data-insert="${this.escapeHtml(shortcut.insert).replace(/"/g, '&quot;')}" data-target="ads-pane-query-input">${this.escapeHtml(shortcut.label)}</button>
+      `).join('');
+      this.bindShortcutButtons();
+    }
+
+    if (examplesEl) {
+      examplesEl.innerHTML = (config.exampleSearches || []).map(example => `
+        <div class="ads-example-item" data-query="${this.escapeHtml(example.query).replace(/"/g, '&quot;')}">
+          <span class="ads-example-label">${this.escapeHtml(example.label)}</span>
+          <code class="ads-example-query">${this.escapeHtml(example.query)}</code>
+          <button class="ads-example-use-btn">Use</button>
+        </div>
+      `).join('');
+      this.bindExampleButtons();
+    }
+
+    this.loadPluginNLPrompt(sourceId);
     window.electronAPI.plugins?.setActive(sourceId);
   }
 
+  /**
+   * Show enabled sources in the search source selector: hide disabled
+   * built-ins, add searchable third-party plugins
+   */
+  async refreshSearchSources() {
+    const selector = document.getElementById('search-source-selector');
+    const result = await window.electronAPI.plugins?.list();
+    if (!selector || !result?.success) return;
+
+    const plugins = new Map(result.data.map(plugin => [plugin.id, plugin]));
+
+    this.thirdPartySources = new Map(result.data
+      .filter(plugin => !plugin.builtIn && plugin.enabled && plugin.capabilities?.search)
+      .map(plugin => [plugin.id, plugin.name]));
+
+    for (const option of [...selector.options]) {
+      if (option.dataset.thirdParty && !this.thirdPartySources.has(option.value)) {
+        option.remove();
+      } else if (!option.dataset.thirdParty) {
+        option.hidden = plugins.get(option.value)?.enabled === false;
+      }
+    }
+    for (const [id, name] of this.thirdPartySources) {
+      if (selector.querySelector(`option[value="${CSS.escape(id)}"]`)) continue;
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = name;
+      option.dataset.thirdParty = 'true';
+      selector.appendChild(option);
+    }
+
+    // The selected source went away: fall back to ADS
+    const selected = selector.selectedOptions[0];
+    if (!selected || selected.hidden) {
+      selector.value = 'ads';
+      this.onSearchSourceChanged('ads');
+    }
+  }
+
   /**
    * Load the NL prompt for the current plugin
    */
@@ -10701,7 +13634,7 @@ class BibliacApp {
     this.showSearchToolbar(query, resultCount, 'ADS Search');
   }
 
-  showSearchToolbar(query, resultCount, sourceName = 'Search') {
+  showSearchToolbar(query, resultCount, sourceName = 'Search', failedSources = []) {
     const toolbar = document.getElementById('smart-search-toolbar');
     if (toolbar) {
       toolbar.classList.remove('hidden');
@@ -10709,6 +13642,15 @@ class BibliacApp {
       document.getElementById('search-toolbar-meta').textContent =
         `${resultCount} results${resultCount > 1000 ? ' (showing first 1000)' : ''} • "${query}"`;
 
+      // Sources that failed in a merged search (the others' results are shown)
+      const errorsEl = document.getElementById('search-toolbar-errors');
+      if (errorsEl) {
+        const failures = failedSources.map(f => `${this.getSourceName(f.source)}: ${f.message}`);
+        errorsEl.textContent = failures.length > 0 ? `⚠ Not searched: ${failures.join(' • ')}` : '';
+        errorsEl.title = failures.join('\n');
+        errorsEl.classList.toggle('hidden', failures.length === 0);
+      }
+
       // Show "Save as Smart Search" button only for ADS (smart searches use ADS queries)
       const saveBtn = document.getElementById('ads-save-search-btn');
       if (saveBtn) {
@@ -10745,6 +13687,145 @@ class BibliacApp {
 
   // ===== Refs/Cites Query Mode =====
 
+  /**
+   * Show the references or citations of a paper, by whichever route its
+   * identifiers allow
+   * @param {'refs'|'cites'} type
+   * @param {Object} paper
+   * @returns {boolean} false if the paper has no route (show the plain tab)
+   */
+  openRefsCites(type, paper) {
+    // Library papers without a bibcode: main looks them up by DOI or arXiv ID
+    // in the plugins that provide refs/cites, and caches the result. Refs can
+    // also come from the reference list in the paper's PDF text.
+    const hasPdfText = type === 'refs' && paper.text_path;
+    if (!paper.isAdsSearch && !paper.bibcode && (paper.doi || paper.arxiv_id || hasPdfText)) {
+      this.executeLibraryRefsCitesQuery(type, paper);
+      return true;
+    }
+
+    // Check if source supports refs/cites (arXiv doesn't)
+    if (paper.source === 'arxiv' || (paper.arxivId && !paper.bibcode && paper.source !== 'openalex')) {
+      this.showNotification(`${type === 'refs' ? 'References' : 'Citations'} not available for arXiv papers`, 'warn');
+      return true;
+    }
+
+    const id = paper.source === 'openalex' ? paper.sourceId : paper.bibcode;
+    if (!id) return false;
+
+    if (type === 'refs') {
+      this.executeRefsQuery(id, paper);
+    } else {
+      this.executeCitesQuery(id, paper);
+    }
+    return true;
+  }
+
+  /**
+   * Refs/cites of a library paper with no bibcode, through the main
+   * process's cached lookup (plugin-data:get-refs-smart / get-cites-smart)
+   * @param {'refs'|'cites'} type
+   * @param {Object} sourcePaper - Library paper
+   */
+  async executeLibraryRefsCitesQuery(type, sourcePaper) {
+    const isRefs = type === 'refs';
+    const label = isRefs ? 'references' : 'citations';
+    const cache = isRefs ? this.refsCache : this.citesCache;
+    const cacheKey = `library:${sourcePaper.id}`;
+
+    let cached = cache.get(cacheKey);
+    if (!cached) {
+      this.showNotification(`Loading ${label}...`, 'info');
+
+      const result = isRefs
+        ? await window.electronAPI.pluginData.getRefsSmart(sourcePaper.id)
+        : await window.electronAPI.pluginData.getCitesSmart(sourcePaper.id);
+      if (!result.success) {
+        this.showNotification(`Error loading ${label}: ${result.error}`, 'error');
+        return;
+      }
+
+      const { sourcePlugin } = result.data;
+      const papers = this.toRefsCitesPapers(isRefs ? result.data.refs : result.data.cites, sourcePlugin);
+
+      cached = { papers, count: papers.length, fromPdf: sourcePlugin === 'pdf' };
+      // Don't remember a miss: another source may know the paper next time
+      if (papers.length > 0) cache.set(cacheKey, cached);
+    }
+
+    if (cached.papers.length === 0) {
+      this.showNotification(`No ${label} found for this paper`, 'info');
+      return;
+    }
+
+    // Push current state to navigation stack if already in refs/cites mode
+    if (this.isRefsCitesMode()) {
+      this.refsCitesNavStack.push({
+        type: this.refsQueryBibcode ? 'refs' : 'cites',
+        bibcode: this.refsQueryBibcode || this.citesQueryBibcode,
+        sourcePaper: this.refsQuerySourcePaper,
+        papers: [...this.papers],
+        selectedPaperId: this.selectedPaper?.id || this.selectedPaper?.bibcode
+      });
+    }
+
+    this.refsQuerySourcePaper = sourcePaper;
+    this.refsQueryBibcode = isRefs ? cacheKey : null;
+    this.citesQueryBibcode = isRefs ? null : cacheKey;
+
+    // No search query reproduces these lists, so there's nothing to save
+    this.currentAdsQuery = null;
+    this.currentAdsNLQuery = `${isRefs ? 'References' : 'Citations'} of ${sourcePaper.title}`;
+
+    this.showRefsCitesResults(cached.papers, cached.count, type, sourcePaper);
+  }
+
+  // List rows for a library paper's refs/cites: fresh results are plugin
+  // papers, cached ones are paper_references rows
+  toRefsCitesPapers(works, sourcePlugin) {
+    return (works || []).map((work, i) => ({
+      ...work,
+      id: work.bibcode || work.sourceId || work.doi || work.arxiv_id || work.arxivId || `${sourcePlugin}-${i}`,
+      bibcode: work.bibcode || null,
+      arxiv_id: work.arxiv_id || work.arxivId || null,
+      authors: Array.isArray(work.authors) ? work.authors : (work.authors ? work.authors.split('; ') : []),
+      citation_count: work.citation_count ?? work.citationCount ?? null,
+      isAdsSearch: true,
+      source: work.source || sourcePlugin
+    }));
+  }
+
+  /**
+   * Look up the references parsed from a paper's PDF in the plugins and
+   * show the completed list in place of the current one
+   * @param {Object} sourcePaper - Library paper whose refs are shown
+   */
+  async resolvePdfReferences(sourcePaper) {
+    this.showNotification('Looking up references...', 'info');
+
+    const result = await window.electronAPI.pluginData.resolvePdfRefs(sourcePaper.id);
+    if (!result.success) {
+      this.showNotification(`Error looking up references: ${result.error}`, 'error');
+      return;
+    }
+
+    const papers = this.toRefsCitesPapers(result.data.refs, 'pdf');
+    this.refsCache.set(`library:${sourcePaper.id}`, { papers, count: papers.length, fromPdf: true });
+    this.showNotification(`Found ${result.data.resolved} of ${papers.length} references`, 'success');
+
+    if (this.refsQueryBibcode === `library:${sourcePaper.id}`) {
+      this.showRefsCitesResults(papers, papers.length, 'refs', sourcePaper);
+    }
+  }
+
+  // Query for "Save as Smart Search" of a refs/cites list (null if the
+  // source has no query that reproduces it)
+  getRefsCitesQuery(type, source, sourceId) {
+    if (source === 'inspire') return `refersto:recid:${sourceId}`;
+    if (source === 'openalex' || source === 'library') return null;
+    return `${type === 'refs' ? 'references' : 'citations'}(bibcode:"${sourceId}")`;
+  }
+
   async executeRefsQuery(bibcode, sourcePaper) {
     if (!bibcode) return;
 
@@ -10779,7 +13860,7 @@ class BibliacApp {
       this.refsQuerySourcePaper = sourcePaper;
       this.refsQueryBibcode = cacheKey;
       this.citesQueryBibcode = null;
-      this.currentAdsQuery = source === 'inspire' ? `refersto:recid:${sourceId}` : `references(bibcode:"${bibcode}")`;
+      this.currentAdsQuery = this.getRefsCitesQuery('refs', source, sourceId);
       this.currentAdsNLQuery = `References of ${sourcePaper?.title || bibcode}`;
       this.showRefsCitesResults(cached.papers, cached.count, 'refs', sourcePaper);
       return;
@@ -10792,16 +13873,17 @@ class BibliacApp {
       let papers = [];
       let numFound = 0;
 
-      if (source === 'inspire') {
-        // Use plugin system for INSPIRE
-        console.log('[INSPIRE] Getting references for recid:', sourceId);
-        const result = await window.electronAPI.plugins.getReferences('inspire', sourceId);
+      if (source === 'inspire' || source === 'openalex') {
+        // Use plugin system for INSPIRE and OpenAlex
+        console.log(`[${source}] Getting references for:`, sourceId);
+        const result = await window.electronAPI.plugins.getReferences(source, sourceId);
         if (result.success) {
           papers = result.data.map(p => ({
             ...p,
             id: p.sourceId || p._inspire?.recid,
+            arxiv_id: p.arxiv_id || p.arxivId,
             isAdsSearch: true,
-            source: 'inspire'
+            source
           }));
           numFound = papers.length;
         } else {
@@ -10853,7 +13935,7 @@ class BibliacApp {
       this.citesQueryBibcode = null;
 
       // Store query for "Save as Smart Search"
-      this.currentAdsQuery = source === 'inspire' ? `refersto:recid:${sourceId}` : `references(bibcode:"${bibcode}")`;
+      this.currentAdsQuery = this.getRefsCitesQuery('refs', source, sourceId);
       this.currentAdsNLQuery = `References of ${sourcePaper?.title || bibcode}`;
 
       this.showRefsCitesResults(papers, numFound, 'refs', sourcePaper);
@@ -10896,7 +13978,7 @@ class BibliacApp {
       this.refsQuerySourcePaper = sourcePaper;
       this.citesQueryBibcode = cacheKey;
       this.refsQueryBibcode = null;
-      this.currentAdsQuery = source === 'inspire' ? `refersto:recid:${sourceId}` : `citations(bibcode:"${bibcode}")`;
+      this.currentAdsQuery = this.getRefsCitesQuery('cites', source, sourceId);
       this.currentAdsNLQuery = `Citations of ${sourcePaper?.title || bibcode}`;
       this.showRefsCitesResults(cached.papers, cached.count, 'cites', sourcePaper);
       return;
@@ -10909,16 +13991,17 @@ class BibliacApp {
       let papers = [];
       let numFound = 0;
 
-      if (source === 'inspire') {
-        // Use plugin system for INSPIRE
-        console.log('[INSPIRE] Getting citations for recid:', sourceId);
-        const result = await window.electronAPI.plugins.getCitations('inspire', sourceId);
+      if (source === 'inspire' || source === 'openalex') {
+        // Use plugin system for INSPIRE and OpenAlex
+        console.log(`[${source}] Getting citations for:`, sourceId);
+        const result = await window.electronAPI.plugins.getCitations(source, sourceId);
         if (result.success) {
           papers = result.data.map(p => ({
             ...p,
             id: p.sourceId || p._inspire?.recid,
+            arxiv_id: p.arxiv_id || p.arxivId,
             isAdsSearch: true,
-            source: 'inspire'
+            source
           }));
           numFound = papers.length;
         } else {
@@ -10970,7 +14053,7 @@ class BibliacApp {
       this.refsQueryBibcode = null;
 
       // Store query for "Save as Smart Search"
-      this.currentAdsQuery = source === 'inspire' ? `refersto:recid:${sourceId}` : `citations(bibcode:"${bibcode}")`;
+      this.currentAdsQuery = this.getRefsCitesQuery('cites', source, sourceId);
       this.currentAdsNLQuery = `Citations of ${sourcePaper?.title || bibcode}`;
 
       this.showRefsCitesResults(papers, numFound, 'cites', sourcePaper);
@@ -10985,6 +14068,7 @@ class BibliacApp {
     this.currentSmartSearch = null;
     this.currentView = null;
     this.currentCollection = null;
+    this.currentTag = null;
 
     // Clear selections
     this.selectedPapers.clear();
@@ -11042,11 +14126,15 @@ class BibliacApp {
       }
     }
 
+    // References parsed from a library paper's PDF can be looked up online
+    const fromPdf = type === 'refs' && sourcePaper?.id && this.refsCache.get(`library:${sourcePaper.id}`)?.fromPdf;
+
     // Update header HTML with three-line layout
     header.innerHTML = `
       <div class="refs-cites-row refs-cites-row-top">
         <span class="refs-cites-type">${typeLabel} of:</span>
         <div class="refs-cites-actions">
+          ${fromPdf ? '<button class="refs-cites-resolve-btn" title="Parsed from the PDF - look up online">🔍</button>' : ''}
           <button class="refs-cites-save-btn" title="Save as Smart Search">💾</button>
           <button class="refs-cites-close-btn" title="Close">✕</button>
         </div>
@@ -11069,6 +14157,10 @@ class BibliacApp {
       this.saveAdsSearchAsSmartSearch();
     });
 
+    header.querySelector('.refs-cites-resolve-btn')?.addEventListener('click', () => {
+      this.resolvePdfReferences(sourcePaper);
+    });
+
     header.classList.remove('hidden');
   }
 
@@ -11090,9 +14182,11 @@ class BibliacApp {
       this.citesQueryBibcode = prevState.type === 'cites' ? prevState.bibcode : null;
       this.refsQuerySourcePaper = prevState.sourcePaper;
 
-      // Restore query for "Save as Smart Search"
-      const queryType = prevState.type === 'refs' ? 'references' : 'citations';
-      this.currentAdsQuery = `${queryType}(bibcode:"${prevState.bibcode}")`;
+      // Restore query for "Save as Smart Search" (the stack holds `${source}:${sourceId}` keys)
+      const separator = prevState.bibcode.indexOf(':');
+      this.currentAdsQuery = this.getRefsCitesQuery(
+        prevState.type, prevState.bibcode.slice(0, separator), prevState.bibcode.slice(separator + 1)
+      );
       this.currentAdsNLQuery = `${prevState.type === 'refs' ? 'References' : 'Citations'} of ${prevState.sourcePaper?.title || prevState.bibcode}`;
 
       // Update header and render
@@ -11473,6 +14567,11 @@ class BibliacApp {
     const summaryPrompt = await window.electronAPI.getSummaryPrompt();
     document.getElementById('summary-prompt-textarea').value = summaryPrompt;
 
+    // Analysis of newly added PDFs (desktop only: the iOS app has no ingest pipeline)
+    document.getElementById('llm-import-section')?.classList.toggle('hidden', this.isIOS);
+    document.getElementById('llm-embed-on-import').checked = !!this.llmConfig.embedOnImport;
+    document.getElementById('llm-summarize-on-import').checked = !!this.llmConfig.summarizeOnImport;
+
     // Show API key status for cloud providers
     for (const provider of ['anthropic', 'gemini', 'perplexity']) {
       const hasKey = await window.electronAPI.getApiKey(provider);
@@ -11823,7 +14922,9 @@ Time: ${systemInfo.timestamp}`;
       perplexity: {
         model: document.getElementById('perplexity-model-select').value
       },
-      summaryPrompt: this.llmConfig?.summaryPrompt || null
+      summaryPrompt: this.llmConfig?.summaryPrompt || null,
+      embedOnImport: document.getElementById('llm-embed-on-import').checked,
+      summarizeOnImport: document.getElementById('llm-summarize-on-import').checked
     };
 
     // Save API keys for cloud providers
@@ -12694,15 +15795,18 @@ Time: ${systemInfo.timestamp}`;
             <span>${authors} ${paper.year || ''}</span>
             <span class="ai-search-result-score">${score}% match</span>
           </div>
-          ${r.matchedChunk ? `<div class="ai-search-result-chunk">${this.escapeHtml(r.matchedChunk)}</div>` : ''}
+          ${r.matchedChunk ? `<div class="ai-search-result-chunk">${r.matchedPage ? `<span class="ai-search-result-page">p. ${r.matchedPage}</span> ` : ''}${this.escapeHtml(r.matchedChunk)}</div>` : ''}
         </div>
       `;
     }).join('');
 
-    // Add click handlers to navigate to papers
-    resultsEl.querySelectorAll('.ai-search-result').forEach(item => {
+    // Add click handlers to navigate to papers, at the page the chunk is on
+    resultsEl.querySelectorAll('.ai-search-result').forEach((item, index) => {
       item.addEventListener('click', () => {
         const paperId = parseInt(item.dataset.paperId);
+        if (results[index].matchedPage) {
+          this.pdfPagePositions[paperId] = { page: results[index].matchedPage, offset: 0 };
+        }
         this.selectPaper(paperId);
         // Switch to PDF tab
         this.switchTab('pdf');
@@ -12899,6 +16003,24 @@ Time: ${systemInfo.timestamp}`;
     }
   }
 
+  async exportAnnotatedPdf() {
+    if (!this.selectedPaper || !this.currentPdfFilePath) {
+      this.showNotification('No PDF open', 'error');
+      return;
+    }
+
+    const result = await window.electronAPI.exportAnnotatedPdf({
+      paperId: this.selectedPaper.id,
+      pdfPath: this.currentPdfFilePath,
+      pdfSource: this.currentPdfSource
+    });
+    if (result.success) {
+      this.showNotification(`Exported PDF with ${result.count} annotations`, 'success');
+    } else if (!result.canceled) {
+      this.showNotification(result.error || 'Export failed', 'error');
+    }
+  }
+
   async createGeneralNote() {
     if (!this.selectedPaper) return;
 
@@ -13788,7 +16910,8 @@ Time: ${systemInfo.timestamp}`;
         paperIds,
         bookTitle,
         lastPdfSources: this.lastPdfSources,
-        forSharing
+        forSharing,
+        includeAnnotations: document.getElementById('export-book-annotations')?.checked || false
       });
 
       if (result.success) {
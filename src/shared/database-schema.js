@@ -13,5 +13,6 @@ export {
   MIGRATIONS,
   applySchema,
   PAPER_COLUMNS,
-  DEFAULT_SORT
+  DEFAULT_SORT,
+  PAPER_SORT_COLUMNS
 } from '../lib/database/schema.js';
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for annotated-pdf-service.cjs
+ * Writes highlights and notes into a generated PDF and reads them back with pdf-lib
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import annotatedPdf from '../../src/main/annotated-pdf-service.cjs';
+
+const { exportAnnotatedPdf, toPdfPoint } = annotatedPdf;
+
+const makePdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([600, 800]);
+  pdfDoc.addPage([600, 800]);
+  return pdfDoc.save();
+};
+
+const readAnnots = (pdfDoc, pageIndex) => {
+  const page = pdfDoc.getPage(pageIndex);
+  const annots = page.node.Annots();
+  if (!annots) return [];
+  return annots.asArray().map(ref => pdfDoc.context.lookup(ref));
+};
+
+const get = (dict, key) => dict.get(PDFName.of(key));
+const numbers = array => array.asArray().map(n => n.asNumber());
+
+const annotations = [
+  {
+    id: 1, page_number: 1, selection_text: 'dark matter',
+    selection_rects: [{ x: 0.1, y: 0.25, width: 0.5, height: 0.05 }],
+    note_content: 'Check this', color: '#4ade80', created_at: '2026-03-01 12:00:00'
+  },
+  {
+    id: 2, page_number: 2, selection_text: null,
+    selection_rects: [{ x: 0.5, y: 0.5, width: 0, height: 0, isAnchor: true }],
+    note_content: 'Margin note', color: '#ffeb3b', created_at: '2026-03-02T08:30:00.000Z'
+  },
+  { id: 3, page_number: 2, selection_text: null, selection_rects: [], note_content: '', color: '#ffeb3b' }
+];
+
+describe('toPdfPoint', () => {
+  it('should map displayed fractions back through each rotation', () => {
+    const box = { x: 0, y: 0, width: 600, height: 800 };
+
+    expect(toPdfPoint(0, 0, box, 0)).toEqual([0, 800]);
+    expect(toPdfPoint(0, 0, box, 90)).toEqual([0, 0]);
+    expect(toPdfPoint(0, 0, box, 180)).toEqual([600, 0]);
+    expect(toPdfPoint(0, 0, box, 270)).toEqual([600, 800]);
+    expect(toPdfPoint(0.25, 0.5, box, 90)).toEqual([300, 200]);
+  });
+});
+
+describe('exportAnnotatedPdf', () => {
+  it('should write highlights and notes as PDF annotations with color, author and dates', async () => {
+    const { bytes, count } = await exportAnnotatedPdf(await makePdf(), annotations, { author: 'jdoe' });
+    const pdfDoc = await PDFDocument.load(bytes);
+
+    expect(count).toBe(2);
+
+    const [highlight] = readAnnots(pdfDoc, 0);
+    expect(get(highlight, 'Subtype').toString()).toBe('/Highlight');
+    expect(numbers(get(highlight, 'QuadPoints'))).toEqual([60, 600, 360, 600, 60, 560, 360, 560]);
+    expect(numbers(get(highlight, 'Rect'))).toEqual([60, 560, 360, 600]);
+    expect(numbers(get(highlight, 'C')).map(c => Math.round(c * 255))).toEqual([0x4a, 0xde, 0x80]);
+    expect(get(highlight, 'T').decodeText()).toBe('jdoe');
+    expect(get(highlight, 'Contents').decodeText()).toBe('Check this');
+    expect(get(highlight, 'CreationDate').decodeText()).toBe('D:20260301120000Z');
+    expect(get(highlight, 'AP')).toBeDefined();
+
+    // The empty general note is left out
+    const notes = readAnnots(pdfDoc, 1);
+    expect(notes).toHaveLength(1);
+    expect(get(notes[0], 'Subtype').toString()).toBe('/Text');
+    expect(get(notes[0], 'Contents').decodeText()).toBe('Margin note');
+    expect(numbers(get(notes[0], 'Rect'))).toEqual([300, 380, 320, 400]);
+  });
+
+  it('should rotate pages as the viewer shows them and place highlights accordingly', async () => {
+    const { bytes } = await exportAnnotatedPdf(await makePdf(), annotations.slice(0, 1), { rotations: { 1: 90 } });
+    const pdfDoc = await PDFDocument.load(bytes);
+
+    expect(pdfDoc.getPage(0).getRotation().angle).toBe(90);
+    expect(pdfDoc.getPage(1).getRotation().angle).toBe(0);
+
+    // Displayed page is 800 wide and 600 tall
+    const [highlight] = readAnnots(pdfDoc, 0);
+    expect(numbers(get(highlight, 'Rect'))).toEqual([150, 80, 180, 480]);
+  });
+});
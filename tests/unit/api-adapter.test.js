@@ -135,8 +135,12 @@ vi.mock('../../src/capacitor/mobile-database.js', () => ({
   addPaper: vi.fn(() => 1),
   updatePaper: vi.fn(() => true),
   deletePaper: vi.fn(() => true),
+  trashPapers: vi.fn(() => 1),
+  getExpiredTrashIds: vi.fn(() => []),
   getCollections: vi.fn(() => []),
   createCollection: vi.fn(() => 1),
+  updateCollection: vi.fn(),
+  deleteCollection: vi.fn(),
   addPaperToCollection: vi.fn(),
   removePaperFromCollection: vi.fn()
 }));
@@ -565,23 +569,16 @@ describe('api-adapter.js', () => {
   });
 
   describe('deletePaper', () => {
-    it('should delete paper and its PDF', async () => {
+    it('should move the paper to the Trash and keep its PDF', async () => {
       const { Filesystem } = await import('@capacitor/filesystem');
       const MobileDB = await import('../../src/capacitor/mobile-database.js');
 
-      MobileDB.getPaper.mockReturnValueOnce({
-        id: 1,
-        pdf_path: 'papers/test.pdf'
-      });
-
       const result = await capacitorAPI.deletePaper(1);
 
       expect(result.success).toBe(true);
-      expect(Filesystem.deleteFile).toHaveBeenCalledWith({
-        path: 'Bibliac/papers/test.pdf',
-        directory: 'DOCUMENTS'
-      });
-      expect(MobileDB.deletePaper).toHaveBeenCalledWith(1);
+      expect(MobileDB.trashPapers).toHaveBeenCalledWith([1]);
+      expect(MobileDB.deletePaper).not.toHaveBeenCalled();
+      expect(Filesystem.deleteFile).not.toHaveBeenCalled();
     });
   });
 
@@ -732,7 +729,7 @@ describe('api-adapter.js', () => {
       const result = await capacitorAPI.createCollection('New Collection');
 
       expect(result.success).toBe(true);
-      expect(MobileDB.createCollection).toHaveBeenCalledWith('New Collection', null);
+      expect(MobileDB.createCollection).toHaveBeenCalledWith('New Collection', null, false, null);
     });
   });
 
@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for Authors
+ * Tests author name matching, linking papers to authors and author pages
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+import { purgePapers } from '../../src/lib/database/trash.js';
+import {
+  parseAuthorName,
+  authorNamesMatch,
+  normalizeOrcid,
+  syncPaperAuthors,
+  backfillPaperAuthors,
+  mergeAuthors,
+  getPaperAuthors,
+  findPaperIdsByAuthor,
+  getAuthor
+} from '../../src/lib/database/authors.js';
+
+const rows = (db, sql) => db.exec(sql)[0]?.values || [];
+
+describe('author names', () => {
+  it('should split names written either way', () => {
+    expect(parseAuthorName('Abel, Tom G.')).toEqual({ family: 'abel', given: ['tom', 'g'] });
+    expect(parseAuthorName('Tom G. Abel')).toEqual({ family: 'abel', given: ['tom', 'g'] });
+    expect(parseAuthorName('van den Berg, J.-P.')).toEqual({ family: 'vandenberg', given: ['j', 'p'] });
+    expect(parseAuthorName('Smith, John, Jr.')).toEqual({ family: 'smith', given: ['john'] });
+  });
+
+  it('should ignore diacritics and LaTeX accents', () => {
+    expect(parseAuthorName('Schrödinger, Erwin').family).toBe('schrodinger');
+    expect(parseAuthorName('Schr{\\"o}dinger, E.').family).toBe('schrodinger');
+    expect(parseAuthorName('Ho\\l{}ownia, S.').family).toBe('holownia');
+  });
+
+  it('should match initials to full given names', () => {
+    expect(authorNamesMatch('Abel, T.', 'Abel, Tom')).toBe(true);
+    expect(authorNamesMatch('Abel, Tom', 'Tom Abel')).toBe(true);
+    expect(authorNamesMatch('Abel, T. G.', 'Abel, Tom')).toBe(true);
+    expect(authorNamesMatch('Abel, Tom', 'Abel, Tim')).toBe(false);
+    expect(authorNamesMatch('Abel, T.', 'Abel, M.')).toBe(false);
+    expect(authorNamesMatch('Abel, T.', 'Able, T.')).toBe(false);
+  });
+
+  it('should find ORCID iDs in ids and URLs', () => {
+    expect(normalizeOrcid('https://orcid.org/0000-0001-9161-999x')).toBe('0000-0001-9161-999X');
+    expect(normalizeOrcid('-')).toBeNull();
+  });
+});
+
+describe('authors', () => {
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await runMigrations(db);
+    db.run(`INSERT INTO papers (id, title, year, authors) VALUES
+            (1, 'Formation of the First Star', 2002, '["Abel, Tom", "Bryan, Greg L.", "Norman, Michael L."]'),
+            (2, 'Cosmological Simulations', 2000, '["Abel, T.", "Norman, M. L."]'),
+            (3, 'Stellar Winds', 2010, '["Abel, Tim"]')`);
+  });
+
+  it('should link every paper that has authors', () => {
+    expect(backfillPaperAuthors(db)).toBe(3);
+
+    const first = getPaperAuthors(db, 1);
+    expect(first.map(author => author.name)).toEqual(['Abel, Tom', 'Bryan, Greg L.', 'Norman, Michael L.']);
+    const second = getPaperAuthors(db, 2);
+    expect(second[0].author_id).toBe(first[0].author_id);
+    expect(second[1].author_id).toBe(first[2].author_id);
+    expect(getPaperAuthors(db, 3)[0].author_id).not.toBe(first[0].author_id);
+    expect(backfillPaperAuthors(db)).toBe(0);
+  });
+
+  it('should filter papers by the same person however the name is written', () => {
+    backfillPaperAuthors(db);
+
+    expect([...findPaperIdsByAuthor(db, 'abel, t.')].sort()).toEqual([1, 2, 3]);
+    expect([...findPaperIdsByAuthor(db, 'abel, tom')].sort()).toEqual([1, 2]);
+    expect([...findPaperIdsByAuthor(db, 'tom abel')].sort()).toEqual([1, 2]);
+    expect([...findPaperIdsByAuthor(db, 'norman, michael')].sort()).toEqual([1, 2]);
+  });
+
+  it('should keep ORCID iDs and affiliations and match by ORCID', () => {
+    backfillPaperAuthors(db);
+    syncPaperAuthors(db, 3, ['Abel, Tim'], [{ affiliation: 'Lund', orcid: 'https://orcid.org/0000-0002-1825-0097' }]);
+    syncPaperAuthors(db, 1, ['Abel, T.', 'Bryan, Greg L.'], [{ orcid: '0000-0002-1825-0097' }, {}]);
+
+    const authorId = getPaperAuthors(db, 3)[0].author_id;
+    expect(getPaperAuthors(db, 1)[0].author_id).toBe(authorId);
+    expect([...findPaperIdsByAuthor(db, '0000-0002-1825-0097')].sort()).toEqual([1, 3]);
+
+    // Syncing the same names without details keeps what ADS reported
+    syncPaperAuthors(db, 3, ['Abel, Tim']);
+    expect(getPaperAuthors(db, 3)[0]).toMatchObject({ affiliation: 'Lund', orcid: '0000-0002-1825-0097' });
+  });
+
+  it('should show an author page and keep merges', () => {
+    backfillPaperAuthors(db);
+    const tom = getPaperAuthors(db, 1)[0].author_id;
+    const tim = getPaperAuthors(db, 3)[0].author_id;
+    db.run("UPDATE papers SET deleted_at = '2024-01-01' WHERE id = 2");
+
+    const author = getAuthor(db, tom);
+    expect(author.name).toBe('Abel, Tom');
+    expect(author.papers.map(paper => paper.id)).toEqual([1]);
+    expect(author.coauthors.map(coauthor => coauthor.name)).toEqual(['Bryan, Greg L.', 'Norman, Michael L.']);
+    expect(author.namesakes).toEqual([]);
+
+    mergeAuthors(db, tom, [tim]);
+    syncPaperAuthors(db, 3, ['Abel, Tim']);
+    expect(getPaperAuthors(db, 3)[0].author_id).toBe(tom);
+    expect(getAuthor(db, tom).aliases).toEqual(['Abel, Tim']);
+    expect(getAuthor(db, tim)).toBeNull();
+  });
+
+  it('should remove authors left without papers', () => {
+    backfillPaperAuthors(db);
+    purgePapers(db, [3]);
+
+    expect(rows(db, "SELECT COUNT(*) FROM authors WHERE name = 'Abel, Tim'")).toEqual([[0]]);
+    expect(rows(db, 'SELECT COUNT(*) FROM paper_authors WHERE paper_id = 3')).toEqual([[0]]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for citation-graph.js
+ * Tests the graph walk and co-citation / coupling scores over in-memory links
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildCitationGraph,
+  coCitationStrength,
+  couplingStrength,
+  workKeys
+} from '../../src/lib/graph/index.js';
+
+describe('citation-graph.js', () => {
+  // Library: 1 cites 2 and two outside works; 2 cites one of them again and
+  // a third outside work; 3 cites paper 2, so it is two hops from paper 1
+  const library = {
+    1: {
+      paper: { id: 1, title: 'Seed', bibcode: '2020A' },
+      refs: [
+        { bibcode: '2019B', title: 'Library ref', linked_paper_id: 2 },
+        { doi: '10.1/X', title: 'Outside X' },
+        { bibcode: '2010Y', title: 'Outside Y' }
+      ],
+      cites: [{ bibcode: '2021Z', title: 'Outside citer' }]
+    },
+    2: {
+      paper: { id: 2, title: 'Library ref', bibcode: '2019B', authors: ['Smith, A.'] },
+      refs: [
+        { doi: 'https://doi.org/10.1/x', bibcode: '2015X', title: 'Outside X' },
+        { bibcode: '2012W', title: 'Outside W' },
+        { bibcode: '2010Y', title: 'Outside Y' }
+      ],
+      cites: [
+        { bibcode: '2020A', linked_paper_id: 1 },
+        { bibcode: '2022C', linked_paper_id: 3 }
+      ]
+    },
+    3: {
+      paper: { id: 3, title: 'Two hops away', bibcode: '2022C' },
+      refs: [{ bibcode: '2019B', linked_paper_id: 2 }],
+      cites: []
+    }
+  };
+  const getLinks = (id) => library[id] || null;
+
+  const byTitle = (graph, title) => graph.nodes.find(node => node.title === title);
+  const byId = (graph, id) => graph.nodes.find(node => node.id === id);
+
+  describe('workKeys', () => {
+    it('should normalize identifiers and fall back to title and year', () => {
+      expect(workKeys({ doi: 'https://doi.org/10.1/ABC', arxiv_id: 'arXiv:2101.00001v2' }))
+        .toEqual(['doi:10.1/abc', 'arxiv:2101.00001']);
+      expect(workKeys({ title: 'Dark Matter: Halos!', year: 1997 })).toEqual(['title:dark matter halos|1997']);
+      expect(workKeys({})).toEqual([]);
+    });
+  });
+
+  describe('buildCitationGraph', () => {
+    it('should walk library links and merge records sharing an identifier', async () => {
+      const graph = await buildCitationGraph({ seedIds: [1], getLinks, maxDepth: 1 });
+
+      expect(graph.nodes.map(node => node.title).sort()).toEqual(
+        ['Library ref', 'Outside X', 'Outside Y', 'Outside citer', 'Seed']
+      );
+      expect(byTitle(graph, 'Seed')).toMatchObject({ id: 'paper:1', seed: true, depth: 0, expanded: true });
+      expect(byTitle(graph, 'Library ref')).toMatchObject({ inLibrary: true, depth: 1, expanded: false });
+      expect(graph.edges).toContainEqual({ source: 'work:bibcode:2021Z', target: 'paper:1' });
+      expect(graph.truncated).toBe(false);
+    });
+
+    it('should expand library papers up to the depth limit', async () => {
+      const graph = await buildCitationGraph({ seedIds: [1], getLinks, maxDepth: 2 });
+
+      const x = byTitle(graph, 'Outside X');
+      expect(x.bibcode).toBe('2015X');
+      expect(byTitle(graph, 'Library ref').authors).toBe('Smith, A.');
+      // Reached through a citation record, so not expanded and no title yet
+      expect(byId(graph, 'paper:3')).toMatchObject({ depth: 2, expanded: false, title: null, bibcode: '2022C' });
+      expect(graph.nodes).toHaveLength(7);
+    });
+
+    it('should score co-citation and coupling and flag co-cited missing works', async () => {
+      const graph = await buildCitationGraph({ seedIds: [1], getLinks, maxDepth: 2 });
+
+      const x = byTitle(graph, 'Outside X');
+      expect(x).toMatchObject({ citedBy: 2, coCited: true });
+      expect(byTitle(graph, 'Outside W')).toMatchObject({ citedBy: 1, coCited: false });
+      expect(byTitle(graph, 'Library ref')).toMatchObject({ citedBy: 2, coCited: false, coupling: 2 });
+      expect(byId(graph, 'paper:3').coCitation).toBe(0);
+
+      expect(coCitationStrength(graph, x.id, 'paper:2')).toBe(1);
+      expect(couplingStrength(graph, 'paper:1', 'paper:2')).toBe(2);
+    });
+
+    it('should stop adding nodes at the limit', async () => {
+      const graph = await buildCitationGraph({ seedIds: [1], getLinks, maxNodes: 3 });
+
+      expect(graph.nodes).toHaveLength(3);
+      expect(graph.truncated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit Tests for citation-markers.js
+ * Links in-text citations of the fixture papers to their reference lists
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { extractReferences } from '../../src/lib/pdf/reference-parser.js';
+import {
+  findCitationMarkers,
+  buildCitationTargets,
+  linkCitationMarkers
+} from '../../src/lib/pdf/citation-markers.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`../fixtures/references/${name}`, import.meta.url)), 'utf8');
+
+describe('findCitationMarkers', () => {
+  it('should find numbered, narrative and parenthetical citations', () => {
+    const text = 'as shown (Mateo 1998; Walker et al. 2009b), see Navarro, Frenk & White (1996) and [1, 3–5].';
+    const markers = findCitationMarkers(text);
+
+    expect(markers.map(m => text.slice(m.start, m.end))).toEqual([
+      'Mateo 1998',
+      'Walker et al. 2009b',
+      'Navarro, Frenk & White (1996)',
+      '[1, 3–5]'
+    ]);
+    expect(markers[1].cites).toEqual([{ author: 'Walker', year: '2009b' }]);
+    expect(markers[3].numbers).toEqual([1, 3, 4, 5]);
+  });
+
+  it('should ignore bracketed page ranges and parentheses without citations', () => {
+    expect(findCitationMarkers('pages [100-400] of the survey (see Section 2)')).toEqual([]);
+  });
+});
+
+describe('linkCitationMarkers', () => {
+  it('should link numbered markers by their position in the printed list', () => {
+    const targets = buildCitationTargets(extractReferences(fixture('physics-numbered.txt')));
+
+    const [markers] = linkCitationMarkers(['gravitational waves [2, 3] and [9]'], targets);
+
+    expect(markers).toEqual([{ start: 20, end: 26, targets: [1, 2] }]);
+    expect(targets[2]).toMatchObject({ number: 3, title: 'A Model of Leptons' });
+  });
+
+  it('should link author-year markers and prefer cached metadata for the same work', () => {
+    const cached = [
+      { bibcode: '2009ApJ...704.1274W', title: 'A Universal Mass Profile', authors: 'Walker, M. G.; Mateo, M.', year: 2009, linked_paper_id: 7 },
+      { bibcode: '2015MNRAS.446..521B', title: 'Not in the printed list', authors: 'Brook, C.', year: 2015, linked_paper_id: null }
+    ];
+    const targets = buildCitationTargets(extractReferences(fixture('astro-author-year.txt')), cached);
+
+    const [markers] = linkCitationMarkers(['(Walker et al. 2009; Brook 2015)'], targets);
+
+    expect(markers.map(m => m.targets)).toEqual([[7], [8]]);
+    expect(targets[7]).toMatchObject({ number: 8, title: 'A Universal Mass Profile', arxiv_id: '0906.0341', linked_paper_id: 7 });
+    expect(targets[8]).toMatchObject({ number: null, bibcode: '2015MNRAS.446..521B' });
+  });
+});
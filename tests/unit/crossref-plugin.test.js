@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for the Crossref plugin
+ * Requests are answered from recorded API responses in tests/fixtures/crossref
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import crossrefPlugin from '../../src/plugins/crossref/index.cjs';
+import { validatePlugin } from '../../src/lib/plugins/types.cjs';
+import { PluginManager } from '../../src/lib/plugins/manager.cjs';
+
+const fixture = (name) => readFileSync(
+  fileURLToPath(new URL(`../fixtures/crossref/${name}`, import.meta.url)),
+  'utf8'
+);
+
+// Headers Crossref sends with every polite-pool response
+const RATE_LIMIT_HEADERS = { 'x-rate-limit-limit': '50', 'x-rate-limit-interval': '1s' };
+
+describe('Crossref plugin', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    crossrefPlugin.setMailto('lab@example.org');
+    crossrefPlugin._transport = async (url, { accept, userAgent }) => {
+      const parsed = new URL(url);
+      requests.push({ url: parsed, accept, userAgent });
+
+      const respond = (name) => ({ statusCode: 200, headers: RATE_LIMIT_HEADERS, body: fixture(name) });
+      if (parsed.hostname === 'doi.org') return respond('work.bib');
+      if (decodeURIComponent(parsed.pathname) === '/works/10.1038/nature12373') return respond('work.json');
+      if (parsed.pathname === '/works' && parsed.searchParams.get('filter')?.startsWith('doi:')) return respond('batch.json');
+      if (parsed.pathname === '/works') return respond('search.json');
+      return { statusCode: 404, headers: RATE_LIMIT_HEADERS, body: 'Resource not found.' };
+    };
+  });
+
+  it('should implement the SourcePlugin contract', () => {
+    expect(validatePlugin(crossrefPlugin)).toEqual({ valid: true, errors: [] });
+    expect(crossrefPlugin.searchConfig.shortcuts.length).toBeGreaterThan(0);
+    expect(crossrefPlugin.nlPrompt).toContain('Crossref Query Syntax');
+  });
+
+  describe('search', () => {
+    it('should map field terms to Crossref queries and filters', async () => {
+      await crossrefPlugin.search({ raw: 'author:"Jennifer Doudna" title:CRISPR year:2012-2014 type:journal-article Cas9', limit: 10, sort: 'citations' });
+
+      const params = requests[0].url.searchParams;
+      expect(params.get('query.author')).toBe('Jennifer Doudna');
+      expect(params.get('query.bibliographic')).toBe('CRISPR');
+      expect(params.get('query')).toBe('Cas9');
+      expect(params.get('filter')).toBe('from-pub-date:2012,until-pub-date:2014,type:journal-article');
+      expect(params.get('rows')).toBe('10');
+      expect(params.get('sort')).toBe('is-referenced-by-count');
+      expect(params.get('mailto')).toBe('lab@example.org');
+      expect(requests[0].userAgent).toContain('mailto:lab@example.org');
+    });
+
+    it('should translate unified queries', () => {
+      expect(crossrefPlugin.translateQuery({ author: 'Doudna', title: 'guide RNA', year: [2012, 2014] }))
+        .toBe('author:Doudna title:"guide RNA" year:2012-2014');
+    });
+
+    it('should transform works to papers', async () => {
+      const result = await crossrefPlugin.search({ raw: 'CRISPR' });
+
+      expect(result.totalResults).toBe(2184);
+      const [article, preprint] = result.papers;
+      expect(article).toMatchObject({
+        source: 'crossref',
+        sourceId: '10.1126/science.1225829',
+        doi: '10.1126/science.1225829',
+        authors: ['Jinek, Martin', 'Doudna, Jennifer A.', 'CRISPR Consortium'],
+        year: 2012,
+        journal: 'Science',
+        citationCount: 15021,
+        abstract: 'Clustered regularly interspaced short palindromic repeats (CRISPR) function in Streptococcus immunity.'
+      });
+      expect(preprint).toMatchObject({ title: 'Guide RNA design: a preprint', arxivId: '2101.00001', year: 2021 });
+    });
+  });
+
+  describe('lookup', () => {
+    it('should get a record by DOI', async () => {
+      const paper = await crossrefPlugin.getRecord('10.1038/nature12373');
+
+      expect(paper).toMatchObject({ title: 'Nanometre-scale thermometry in a living cell', year: 2013, arxivId: '1304.1068' });
+      expect(crossrefPlugin.getRecordUrl(paper)).toBe('https://doi.org/10.1038/nature12373');
+      expect(await crossrefPlugin.getRecord('10.1000/missing')).toBeNull();
+    });
+
+    it('should batch DOIs into one filter query and keep the requested order', async () => {
+      const papers = await crossrefPlugin.getBatch(['10.1000/not-in-crossref', '10.1038/NNANO.2012.180']);
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0].url.searchParams.get('filter')).toBe('doi:10.1000/not-in-crossref,doi:10.1038/NNANO.2012.180');
+      expect(papers.map(paper => paper.doi)).toEqual(['10.1038/nnano.2012.180']);
+    });
+  });
+
+  describe('getReferences', () => {
+    it('should resolve reference DOIs and fall back to the deposited metadata', async () => {
+      const refs = await crossrefPlugin.getReferences('10.1038/nature12373');
+
+      expect(refs).toHaveLength(3);
+      expect(refs[0]).toMatchObject({ doi: '10.1038/nnano.2012.180', title: 'Nanoscale thermal probing', authors: ['Yue, Yanan', 'Wang, Xinwei'] });
+      expect(refs[1]).toMatchObject({ doi: '10.1000/not-in-crossref', title: 'A reference Crossref does not know', year: 2011 });
+      expect(refs[2]).toMatchObject({ sourceId: 'BFnature12373_CR3', doi: null });
+      expect(refs[2].title).toMatch(/^Lowell, B\. B\./);
+    });
+  });
+
+  it('should get BibTeX through DOI content negotiation', async () => {
+    const bibtex = await crossrefPlugin.getBibtex('10.1038/nature12373');
+
+    expect(requests[0].url.toString()).toBe('https://doi.org/10.1038/nature12373');
+    expect(requests[0].accept).toBe('application/x-bibtex');
+    expect(bibtex).toMatch(/^@article\{Kucsko_2013,/);
+  });
+
+  it('should take the contact email from the plugin manager', async () => {
+    const manager = new PluginManager();
+    manager.register(crossrefPlugin);
+    crossrefPlugin.setMailto(null);
+
+    await manager.initialize({ mailto: ' lab@example.org ' });
+    await crossrefPlugin.getRecord('10.1038/nature12373');
+    expect(requests[0].url.searchParams.get('mailto')).toBe('lab@example.org');
+
+    manager.setMailto('');
+    await crossrefPlugin.getRecord('10.1038/nature12373');
+    expect(requests[1].url.searchParams.has('mailto')).toBe(false);
+    expect(requests[1].userAgent).not.toContain('mailto:');
+  });
+
+  it('should report the rate limit Crossref sends', async () => {
+    await crossrefPlugin.getRecord('10.1038/nature12373');
+
+    const status = crossrefPlugin.getRateLimitStatus();
+    expect(status.limit).toBe(50);
+    expect(status.remaining).toBeLessThan(50);
+  });
+});
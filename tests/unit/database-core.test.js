@@ -0,0 +1,235 @@
+/**
+ * Unit Tests for the shared database core
+ * Runs DatabaseManager, used by both desktop and iOS, against sql.js with
+ * in-memory storage adapters
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { createDatabaseManager } from '../../src/lib/database/database-manager.js';
+import { SCHEMA_VERSION } from '../../src/lib/database/migrations.js';
+
+describe('DatabaseManager', () => {
+  let SQL;
+  let stored;
+  let backups;
+  let manager;
+
+  const open = async () => {
+    const opened = createDatabaseManager({
+      initSqlJs: () => SQL,
+      load: () => stored,
+      save: data => { stored = data; },
+      backup: (bytes, version) => { backups.push(version); }
+    });
+    await opened.init();
+    return opened;
+  };
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    stored = null;
+    backups = [];
+    manager = await open();
+  });
+
+  describe('storage', () => {
+    it('should start a new library at the current schema without saving', () => {
+      expect(manager.getSchemaVersion()).toBe(SCHEMA_VERSION);
+      expect(stored).toBeNull();
+      expect(backups).toEqual([]);
+    });
+
+    it('should reopen what the save adapter was given', async () => {
+      const id = manager.addPaper({ title: 'Saved', authors: ['Abel, Tom'] });
+      await manager.save();
+      manager.close();
+      expect(manager.isInitialized()).toBe(false);
+
+      const reopened = await open();
+      expect(reopened.getPaper(id)).toMatchObject({ title: 'Saved', authors: ['Abel, Tom'] });
+      expect(reopened.getPaperAuthors(id)[0].name).toBe('Abel, Tom');
+    });
+  });
+
+  describe('papers', () => {
+    it('should filter, sort and page the library', () => {
+      manager.addPaper({ title: 'B', year: 2001, read_status: 'read' });
+      manager.addPaper({ title: 'A', year: 1999 });
+      const trashed = manager.addPaper({ title: 'C', year: 2010 });
+      manager.trashPapers([trashed]);
+
+      expect(manager.getAllPapers({ orderBy: 'year', order: 'asc' }).map(p => p.title)).toEqual(['A', 'B']);
+      expect(manager.getAllPapers({ readStatus: 'read' }).map(p => p.title)).toEqual(['B']);
+      expect(manager.getPapersPage({ orderBy: 'title', order: 'asc', limit: 1, offset: 1 }))
+        .toMatchObject({ total: 2, offset: 1, papers: [{ title: 'B' }] });
+      expect(manager.getStats()).toEqual({ total: 2, unread: 1, reading: 0, read: 1, trash: 1 });
+    });
+
+    it('should leave locked fields to the user', () => {
+      const id = manager.addPaper({ title: 'Original' });
+      manager.setPaperFieldLocked(id, 'title', true);
+
+      expect(manager.updatePaper(id, { title: 'From ADS', year: 2020 }, { origin: 'ads-sync' }))
+        .toEqual({ fields: ['year'], skipped: ['title'] });
+      expect(manager.updatePaper(id, { title: 'Mine' })).toEqual({ fields: ['title'], skipped: [] });
+      expect(manager.getPaper(id)).toMatchObject({ title: 'Mine', year: 2020 });
+    });
+  });
+
+  describe('collections and tags', () => {
+    it('should keep papers when collections and tags go', () => {
+      const paperId = manager.addPaper({ title: 'Paper' });
+      const parent = manager.createCollection('Parent');
+      const child = manager.createCollection('Child', parent);
+      manager.addPaperToCollection(paperId, child);
+      expect(manager.getPapersInCollection(child).map(p => p.id)).toEqual([paperId]);
+
+      manager.tagPapers([paperId], 'methods/mcmc');
+      expect(manager.getPaper(paperId).tags).toEqual(['methods/mcmc']);
+      expect(manager.getAllPapers({ tag: 'methods' })).toHaveLength(1);
+
+      manager.deleteCollection(parent);
+      expect(manager.getCollection(child).parent_id).toBeNull();
+      manager.deleteTag(manager.getTagByName('methods').id);
+      expect(manager.getTags()).toEqual([]);
+      expect(manager.getPaper(paperId).tags).toEqual([]);
+    });
+
+    it('should evaluate smart collection queries for counts and membership', () => {
+      const recent = manager.addPaper({ title: 'Dark energy survey', authors: ['Abel, Tom'], year: 2021 });
+      manager.addPaper({ title: 'Halo shapes', year: 2010 });
+      const trashed = manager.addPaper({ title: 'Dark flows', year: 2022 });
+      manager.trashPapers([trashed]);
+
+      const smart = manager.createCollection('Recent dark', null, true, 'dark year:2020..2023');
+      const byAuthor = manager.createCollection('Abel', null, true, 'author:Abel');
+      manager.db.run('UPDATE collections SET query = ? WHERE id = ?', ['year:2022-2020', byAuthor]);
+
+      expect(manager.getSmartCollectionPapers(smart).map(p => p.id)).toEqual([recent]);
+      const counts = Object.fromEntries(manager.getCollections().map(c => [c.name, c]));
+      expect(counts['Recent dark'].paper_count).toBe(1);
+      expect(counts.Abel).toMatchObject({ paper_count: 0, query_error: expect.stringMatching(/reversed/) });
+      expect(() => manager.updateCollection(smart, { query: 'status:skimmed' })).toThrow(/Invalid value/);
+    });
+  });
+
+  describe('annotations and files', () => {
+    it('should accept annotation fields from either platform', () => {
+      const paperId = manager.addPaper({ title: 'Paper' });
+      manager.createAnnotation(paperId, { page_number: 1, selection_text: 'a', pdf_source: 'EPRINT_PDF' });
+      const id = manager.createAnnotation(paperId, { pageNumber: 2, content: 'b', position: [{ x: 1 }] });
+
+      expect(manager.getAnnotation(id)).toMatchObject({ page_number: 2, selection_text: 'b', selection_rects: [{ x: 1 }] });
+      expect(manager.getAnnotations(paperId, 'EPRINT_PDF')).toHaveLength(1);
+      expect(manager.getAnnotationCountsBySource(paperId)).toEqual({ EPRINT_PDF: 1, unknown: 1 });
+      expect(manager.updateAnnotation(id, { note: 'seen' })).toBe(true);
+      expect(manager.getAnnotation(id).note_content).toBe('seen');
+    });
+
+    it('should order a paper\'s PDFs by source', () => {
+      const paperId = manager.addPaper({ title: 'Paper' });
+      manager.addPaperFile(paperId, { filename: 'arxiv.pdf', source_type: 'arxiv', file_hash: 'h1' });
+      manager.addPaperFile(paperId, { filename: 'pub.pdf', source_type: 'publisher' });
+      manager.addPaperFile(paperId, { filename: 'queued.pdf', status: 'queued' });
+
+      expect(manager.getPaperPdfs(paperId).map(f => f.filename)).toEqual(['pub.pdf', 'arxiv.pdf']);
+      expect(manager.getFilesByHash('h1')).toHaveLength(1);
+      expect(manager.getPendingFiles().map(f => f.filename)).toEqual(['queued.pdf']);
+    });
+  });
+
+  describe('duplicates', () => {
+    it('should merge duplicate papers and undo the merge', () => {
+      const published = manager.addPaper({ title: 'Dark matter halos', doi: '10.1/halos', authors: ['Abel, Tom'] });
+      const preprint = manager.addPaper({ title: 'Dark matter halos', arxiv_id: '2101.00001', doi: '10.1/HALOS' });
+      manager.addPaperFile(preprint, { filename: 'arxiv.pdf', source_type: 'arxiv' });
+
+      const [group] = manager.findDuplicatePapers();
+      expect(group.papers.map(p => p.id).sort()).toEqual([published, preprint].sort());
+      expect(group.papers.find(p => p.id === preprint).file_count).toBe(1);
+
+      const mergeId = manager.mergePapers(published, [preprint]);
+      expect(manager.getPaper(preprint)).toBeNull();
+      expect(manager.getPaper(published).arxiv_id).toBe('2101.00001');
+      expect(manager.getPaperPdfs(published).map(f => f.filename)).toEqual(['arxiv.pdf']);
+      expect(manager.getPaperMerges().map(m => m.id)).toEqual([mergeId]);
+
+      expect(manager.undoPaperMerge(mergeId)).toEqual([published, preprint]);
+      expect(manager.getPaper(published).arxiv_id).toBeNull();
+      expect(manager.getPaperPdfs(preprint)).toHaveLength(1);
+      expect(manager.findDuplicatePapers()).toHaveLength(1);
+    });
+  });
+
+  describe('reading list and smart searches', () => {
+    it('should mark which results are already in the library', () => {
+      manager.addPaper({ title: 'Owned', bibcode: '2020ApJ...1A' });
+      manager.addToReadingList({ bibcode: '2021ApJ...2B', title: 'Later', authors: ['Doe, J.'] });
+      expect(manager.getReadingList()[0]).toMatchObject({ title: 'Later', authors: ['Doe, J.'] });
+      expect(manager.checkBibcodesInReadingList(['2021ApJ...2B', 'x'])).toEqual(['2021ApJ...2B']);
+
+      const searchId = manager.createSmartSearch({ name: 'Mine', query: 'author:"Doe"' });
+      manager.addSmartSearchResult(searchId, { bibcode: '2020ApJ...1A', authors: ['Doe, J.'] });
+      manager.addSmartSearchResult(searchId, { bibcode: '2022ApJ...3C' });
+      expect(manager.getSmartSearchResultsWithLibraryStatus(searchId).map(r => r.inLibrary)).toEqual([true, false]);
+
+      manager.deleteSmartSearch(searchId);
+      expect(manager.getAllSmartSearches()).toEqual([]);
+    });
+  });
+
+  describe('LLM data', () => {
+    it('should keep summaries, questions and embeddings per paper', () => {
+      const paperId = manager.addPaper({ title: 'Paper' });
+      manager.saveSummary(paperId, 'Short', ['one'], 'model');
+      expect(manager.getSummary(paperId)).toMatchObject({ summary: 'Short', key_points: ['one'] });
+
+      manager.saveQA(paperId, 'Why?', 'Because', null, 'model');
+      expect(manager.getQAHistory(paperId).map(qa => qa.question)).toEqual(['Why?']);
+
+      manager.saveEmbeddings(paperId, [{ chunkIndex: 0, chunkText: 'text', embedding: [0.5, 1] }]);
+      expect(Array.from(manager.getEmbeddings(paperId)[0].embedding)).toEqual([0.5, 1]);
+      expect(manager.getUnindexedPaperIds()).toEqual([]);
+    });
+  });
+
+  describe('plugin data', () => {
+    it('should link cached references to library papers', () => {
+      const citing = manager.addPaper({ title: 'Citing' });
+      const cited = manager.addPaper({ title: 'Cited', doi: '10.1/cited' });
+      manager.cacheReferences(citing, [
+        { doi: '10.1/cited', title: 'Cited' },
+        { bibcode: '1999Other', title: 'Elsewhere', authors: ['Roe, R.'] }
+      ], 'ads');
+
+      const { refs, sourcePlugin } = manager.getCachedReferences(citing);
+      expect(sourcePlugin).toBe('ads');
+      expect(refs.find(ref => ref.title === 'Cited').linked_paper_id).toBe(cited);
+
+      manager.purgePapers([cited]);
+      expect(manager.getCitationLinks(citing).refs.every(ref => ref.linked_paper_id === null)).toBe(true);
+    });
+
+    it('should leave papers in the Trash out of lookups until restored', () => {
+      const citing = manager.addPaper({ title: 'Citing' });
+      const trashed = manager.addPaper({ title: 'Trashed', doi: '10.1/trashed', arxiv_id: '2101.00001' });
+      manager.trashPapers([trashed]);
+      manager.cacheReferences(citing, [{ doi: '10.1/trashed', title: 'Trashed' }], 'ads');
+
+      expect(manager.findPaperByDOI('10.1/TRASHED')).toBeNull();
+      expect(manager.findPaperByArxiv('arXiv:2101.00001v1')).toBeNull();
+      expect(manager.getCachedReferences(citing).refs[0]).toMatchObject({ linked_paper_id: null, inLibrary: false });
+      expect(manager.findOrCreatePaper({ arxiv_id: '2101.00001' }, 'arxiv', '2101.00001'))
+        .toMatchObject({ paper: { id: trashed }, isNew: false, inTrash: true });
+
+      manager.restorePapers([trashed]);
+      expect(manager.findPaperByDOI('10.1/trashed').id).toBe(trashed);
+      expect(manager.getCachedReferences(citing).refs[0]).toMatchObject({ linked_paper_id: trashed, inLibrary: true });
+      expect(manager.findOrCreatePaper({ doi: '10.1/trashed' }, 'ads', 'x').inTrash).toBe(false);
+    });
+  });
+});
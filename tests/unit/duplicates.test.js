@@ -0,0 +1,202 @@
+/**
+ * Unit Tests for duplicates.js
+ * Tests duplicate detection, merging and undo against a real sql.js database
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import * as duplicates from '../../src/lib/database/duplicates.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+
+describe('duplicates.js', () => {
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await runMigrations(db);
+  });
+
+  const addPaper = (fields) => {
+    const row = {
+      title: 'Dark matter halos',
+      authors: JSON.stringify(['Navarro, J.', 'Frenk, C.']),
+      year: 1997,
+      added_date: '2025-01-01T00:00:00Z',
+      ...fields
+    };
+    const columns = Object.keys(row);
+    db.run(
+      `INSERT INTO papers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(col => row[col])
+    );
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  };
+
+  const query = (sql, params = []) => {
+    const result = db.exec(sql, params);
+    return result.length > 0 ? result[0].values : [];
+  };
+
+  describe('arxivIdFromBibcode', () => {
+    it('should read modern and legacy arXiv bibcodes', () => {
+      expect(duplicates.arxivIdFromBibcode('2019arXiv190412345A')).toBe('1904.12345');
+      expect(duplicates.arxivIdFromBibcode('1996astro.ph.11107N')).toBe('astro-ph/9611107');
+      expect(duplicates.arxivIdFromBibcode('1997ApJ...490..493N')).toBeNull();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should match DOIs regardless of case and resolver prefix', () => {
+      const a = addPaper({ doi: '10.1086/304888' });
+      const b = addPaper({ doi: 'https://doi.org/10.1086/304888', title: 'Something else' });
+
+      const groups = duplicates.findDuplicates(db);
+
+      expect(groups).toEqual([{ paperIds: [a, b], reasons: ['doi'], keepId: a }]);
+    });
+
+    it('should match an arXiv ID against an arXiv bibcode, ignoring versions', () => {
+      const published = addPaper({ bibcode: '1997ApJ...490..493N', arxiv_id: 'astro-ph/9611107v2' });
+      const preprint = addPaper({ bibcode: '1996astro.ph.11107N', title: 'Untitled preprint' });
+
+      const [group] = duplicates.findDuplicates(db);
+
+      expect(group.paperIds).toEqual([published, preprint]);
+      expect(group.reasons).toContain('arxiv');
+      expect(group.keepId).toBe(published);
+    });
+
+    it('should match near-identical titles with the same first author and year', () => {
+      addPaper({ title: 'The Structure of Cold Dark Matter Halos' });
+      addPaper({ title: 'The structure of cold dark matter haloes', authors: JSON.stringify(['J. F. Navarro']), year: 1996 });
+      addPaper({ title: 'The structure of cold dark matter halos', authors: JSON.stringify(['White, S.']) });
+      addPaper({ title: 'The structure of cold dark matter halos', year: 2005 });
+
+      const groups = duplicates.findDuplicates(db);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].paperIds).toEqual([1, 2]);
+      expect(groups[0].reasons).toEqual(['title']);
+    });
+  });
+
+  describe('mergePapers', () => {
+    let keep;
+    let dupe;
+
+    beforeEach(() => {
+      keep = addPaper({ bibcode: '1997ApJ...490..493N', read_status: 'unread', keywords: '["halos"]' });
+      dupe = addPaper({
+        arxiv_id: 'astro-ph/9611107', abstract: 'A universal profile.', read_status: 'read',
+        rating: 2, keywords: '["Halos", "cosmology"]', added_date: '2024-06-01T00:00:00Z'
+      });
+
+      db.run("INSERT INTO collections (name) VALUES ('Thesis')");
+      db.run("INSERT INTO tags (name) VALUES ('methods')");
+      db.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (?, 1)', [dupe]);
+      db.run('INSERT INTO paper_tags (paper_id, tag_id) VALUES (?, 1), (?, 1)', [keep, dupe]);
+      db.run("INSERT INTO annotations (paper_id, page_number, note_content) VALUES (?, 1, 'note')", [dupe]);
+      db.run("INSERT INTO paper_files (paper_id, filename, mime_type, file_role, added_date) VALUES (?, 'a.pdf', 'application/pdf', 'pdf', 'now')", [dupe]);
+      db.run("INSERT INTO paper_summaries (paper_id, summary) VALUES (?, 'kept'), (?, 'dropped')", [keep, dupe]);
+      db.run("INSERT INTO paper_qa (paper_id, question) VALUES (?, 'why?')", [dupe]);
+      db.run("INSERT INTO paper_sources (paper_id, source, source_id) VALUES (?, 'ads', 'x'), (?, 'arxiv', 'y')", [keep, dupe]);
+      db.run("INSERT INTO paper_references (paper_id, source_plugin, cached_at, linked_paper_id) VALUES (?, 'ads', 'now', ?)", [keep, dupe]);
+    });
+
+    it('should move related rows to the kept paper and delete the duplicate', () => {
+      duplicates.mergePapers(db, keep, [dupe]);
+
+      expect(query('SELECT id FROM papers')).toEqual([[keep]]);
+      expect(query('SELECT paper_id FROM paper_collections')).toEqual([[keep]]);
+      expect(query('SELECT paper_id FROM paper_tags')).toEqual([[keep]]);
+      expect(query('SELECT paper_id FROM annotations')).toEqual([[keep]]);
+      expect(query('SELECT paper_id FROM paper_files')).toEqual([[keep]]);
+      expect(query('SELECT paper_id FROM paper_qa')).toEqual([[keep]]);
+      expect(query('SELECT summary FROM paper_summaries')).toEqual([['kept']]);
+      expect(query('SELECT paper_id, source FROM paper_sources ORDER BY source')).toEqual([[keep, 'ads'], [keep, 'arxiv']]);
+      expect(query('SELECT linked_paper_id FROM paper_references')).toEqual([[keep]]);
+    });
+
+    it('should fill empty fields and combine reading state', () => {
+      duplicates.mergePapers(db, keep, [dupe]);
+
+      const [row] = db.exec('SELECT * FROM papers').map(r => Object.fromEntries(r.columns.map((c, i) => [c, r.values[0][i]])));
+      expect(row.bibcode).toBe('1997ApJ...490..493N');
+      expect(row.arxiv_id).toBe('astro-ph/9611107');
+      expect(row.abstract).toBe('A universal profile.');
+      expect(row.read_status).toBe('read');
+      expect(row.rating).toBe(2);
+      expect(JSON.parse(row.keywords)).toEqual(['halos', 'cosmology']);
+      expect(row.added_date).toBe('2024-06-01T00:00:00Z');
+      expect(row.annotation_count).toBe(1);
+    });
+
+    it('should refuse to merge a paper into itself', () => {
+      expect(() => duplicates.mergePapers(db, keep, [keep])).toThrow('Select at least two papers');
+    });
+  });
+
+  describe('undoMerge', () => {
+    it('should restore the duplicate and its rows, keeping later edits', () => {
+      const keep = addPaper({ bibcode: '1997ApJ...490..493N' });
+      const dupe = addPaper({ arxiv_id: 'astro-ph/9611107', abstract: 'From arXiv', rating: 3 });
+      db.run("INSERT INTO collections (name) VALUES ('Thesis')");
+      db.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (?, 1)', [dupe]);
+      db.run('INSERT INTO annotations (paper_id, page_number) VALUES (?, 1)', [dupe]);
+      db.run("INSERT INTO paper_summaries (paper_id, summary) VALUES (?, 'kept'), (?, 'dropped')", [keep, dupe]);
+
+      const mergeId = duplicates.mergePapers(db, keep, [dupe]);
+      expect(duplicates.getMerges(db)).toMatchObject([{ id: mergeId, kept_paper_id: keep, merged_paper_ids: [dupe] }]);
+
+      // Edited after the merge: the undo must not revert it
+      db.run("UPDATE papers SET abstract = 'Edited' WHERE id = ?", [keep]);
+      db.run('INSERT INTO annotations (paper_id, page_number) VALUES (?, 2)', [keep]);
+
+      expect(duplicates.undoMerge(db, mergeId)).toEqual([keep, dupe]);
+
+      expect(query('SELECT id, abstract, arxiv_id, rating FROM papers ORDER BY id')).toEqual([
+        [keep, 'Edited', null, 0],
+        [dupe, 'From arXiv', 'astro-ph/9611107', 3]
+      ]);
+      expect(query('SELECT paper_id, page_number FROM annotations ORDER BY page_number')).toEqual([[dupe, 1], [keep, 2]]);
+      expect(query('SELECT paper_id FROM paper_collections')).toEqual([[dupe]]);
+      expect(query('SELECT paper_id, summary FROM paper_summaries ORDER BY paper_id')).toEqual([[keep, 'kept'], [dupe, 'dropped']]);
+      expect(query('SELECT annotation_count FROM papers ORDER BY id')).toEqual([[1], [1]]);
+      expect(duplicates.getMerges(db)).toEqual([]);
+    });
+
+    it('should record filled and restored fields in the kept paper\'s history', () => {
+      const keep = addPaper({ bibcode: '1997ApJ...490..493N' });
+      const dupe = addPaper({ arxiv_id: 'astro-ph/9611107', abstract: 'From arXiv' });
+      const history = () => query(
+        'SELECT field, old_value, new_value, origin FROM paper_history WHERE paper_id = ? ORDER BY id', [keep]
+      );
+
+      const mergeId = duplicates.mergePapers(db, keep, [dupe]);
+      expect(history()).toEqual([
+        ['arxiv_id', null, 'astro-ph/9611107', 'user'],
+        ['abstract', null, 'From arXiv', 'user']
+      ]);
+
+      duplicates.undoMerge(db, mergeId);
+      expect(history().slice(2).sort()).toEqual([
+        ['abstract', 'From arXiv', null, 'user'],
+        ['arxiv_id', 'astro-ph/9611107', null, 'user']
+      ]);
+    });
+
+    it('should fail when the kept paper no longer exists', () => {
+      const keep = addPaper({});
+      const dupe = addPaper({});
+      const mergeId = duplicates.mergePapers(db, keep, [dupe]);
+      db.run('DELETE FROM papers WHERE id = ?', [keep]);
+
+      expect(() => duplicates.undoMerge(db, mergeId)).toThrow('since been deleted');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit Tests for merged federated search
+ * Tests de-duplication, field selection and interleaved ranking across sources
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeSearchResults } from '../../src/lib/search/federated-results.js';
+import { parseFederatedQuery } from '../../src/lib/plugins/federated.cjs';
+import { PluginManager } from '../../src/lib/plugins/manager.cjs';
+
+const PRIORITIES = { ads: 10, inspire: 20, arxiv: 30 };
+
+const paper = (source, sourceId, fields) => ({ title: 'Untitled', authors: [], source, sourceId, ...fields });
+
+const GW_ADS = paper('ads', '2016PhRvL.116f1102A', {
+  bibcode: '2016PhRvL.116f1102A',
+  doi: '10.1103/PhysRevLett.116.061102',
+  title: 'Observation of Gravitational Waves from a Binary Black Hole Merger',
+  authors: ['Abbott, B. P.', 'Abbott, R.'],
+  year: 2016,
+  journal: 'Physical Review Letters',
+  citationCount: 9000
+});
+const GW_ARXIV = paper('arxiv', '1602.03837', {
+  arxivId: '1602.03837v2',
+  title: 'Observation of Gravitational Waves from a Binary Black Hole Merger',
+  authors: ['B. P. Abbott'],
+  year: 2016,
+  abstract: 'On September 14, 2015 at 09:50:45 UTC the two detectors of LIGO simultaneously observed a transient signal.'
+});
+const GW_INSPIRE = paper('inspire', '1424009', {
+  doi: '10.1103/physrevlett.116.061102',
+  arxivId: '1602.03837',
+  title: 'Observation of Gravitational Waves from a Binary Black Hole Merger',
+  authors: ['Abbott, B.P.', 'Abbott, R.', 'Abbott, T.D.'],
+  year: 2016,
+  abstract: 'On September 14, 2015 LIGO observed a signal.',
+  citationCount: 9400
+});
+
+const results = (entries) => new Map(Object.entries(entries).map(([source, papers]) => [
+  source, { papers, totalResults: papers.length * 10 }
+]));
+
+describe('mergeSearchResults', () => {
+  it('should collapse the same work from several sources into one row', () => {
+    const merged = mergeSearchResults(results({
+      arxiv: [GW_ARXIV],
+      inspire: [GW_INSPIRE],
+      ads: [GW_ADS]
+    }), new Map(), { priorities: PRIORITIES });
+
+    expect(merged.papers).toHaveLength(1);
+    expect(merged.papers[0].sources).toEqual([
+      { source: 'ads', sourceId: '2016PhRvL.116f1102A', rank: 0 },
+      { source: 'inspire', sourceId: '1424009', rank: 0 },
+      { source: 'arxiv', sourceId: '1602.03837', rank: 0 }
+    ]);
+    expect(merged.totals).toEqual({ ads: 10, inspire: 10, arxiv: 10 });
+  });
+
+  it('should pick the richest value of each field', () => {
+    const [row] = mergeSearchResults(results({
+      ads: [GW_ADS], inspire: [GW_INSPIRE], arxiv: [GW_ARXIV]
+    }), new Map(), { priorities: PRIORITIES }).papers;
+
+    expect(row).toMatchObject({
+      source: 'ads',
+      sourceId: '2016PhRvL.116f1102A',
+      bibcode: '2016PhRvL.116f1102A',
+      doi: '10.1103/PhysRevLett.116.061102',
+      arxivId: '1602.03837',
+      journal: 'Physical Review Letters',
+      authors: GW_INSPIRE.authors,
+      abstract: GW_ARXIV.abstract,
+      citationCount: 9400
+    });
+    expect(row.fieldSources).toMatchObject({ doi: 'ads', arxivId: 'inspire', authors: 'inspire', abstract: 'arxiv', citationCount: 'inspire' });
+  });
+
+  it('should match on normalized title only when years agree and identifiers do not conflict', () => {
+    const merged = mergeSearchResults(results({
+      ads: [
+        paper('ads', 'A1', { title: 'Dark Matter Halos', year: 1996 }),
+        paper('ads', 'A2', { title: 'Galaxy Clusters', year: 2001, doi: '10.1/one' })
+      ],
+      arxiv: [
+        paper('arxiv', 'X1', { title: 'Dark matter halos.', year: 1997 }),
+        paper('arxiv', 'X2', { title: 'Galaxy clusters', year: 2001, doi: '10.1/two' }),
+        paper('arxiv', 'X3', { title: 'Dark Matter Halos', year: 2010 })
+      ]
+    }), new Map(), { priorities: PRIORITIES });
+
+    expect(merged.papers.map(row => row.sources.map(s => s.sourceId))).toEqual([
+      ['A1', 'X1'], ['A2'], ['X2'], ['X3']
+    ]);
+  });
+
+  it('should join groups linked by a later hit and keep the best position', () => {
+    const merged = mergeSearchResults(results({
+      ads: [paper('ads', 'A1', { title: 'One', doi: '10.1/a' }), paper('ads', 'A2', { title: 'Two' })],
+      arxiv: [paper('arxiv', 'X1', { title: 'One (preprint)', arxivId: '2001.00001' }), paper('arxiv', 'X2', { title: 'Three' })],
+      inspire: [paper('inspire', 'I1', { title: 'Four' }), paper('inspire', 'I2', { title: 'One', doi: '10.1/A', arxivId: '2001.00001' })]
+    }), new Map(), { priorities: PRIORITIES });
+
+    expect(merged.papers.map(row => row.sources.map(s => s.sourceId))).toEqual([
+      ['A1', 'I2', 'X1'], ['I1'], ['A2'], ['X2']
+    ]);
+  });
+
+  it('should interleave rankings by source priority', () => {
+    const merged = mergeSearchResults(results({
+      arxiv: [paper('arxiv', 'X1', { title: 'X one' }), paper('arxiv', 'X2', { title: 'X two' })],
+      ads: [paper('ads', 'A1', { title: 'A one' }), paper('ads', 'A2', { title: 'A two' }), paper('ads', 'A3', { title: 'A three' })]
+    }), new Map(), { priorities: PRIORITIES });
+
+    expect(merged.papers.map(row => row.sourceId)).toEqual(['A1', 'X1', 'A2', 'X2', 'A3']);
+  });
+
+  it('should report failed sources', () => {
+    const merged = mergeSearchResults(results({ arxiv: [] }), new Map([
+      ['inspire', new Error('HTTP 503')],
+      ['ads', new Error('No API token')]
+    ]), { priorities: PRIORITIES });
+
+    expect(merged.errors).toEqual([
+      { source: 'ads', message: 'No API token' },
+      { source: 'inspire', message: 'HTTP 503' }
+    ]);
+  });
+});
+
+describe('PluginManager.mergedSearch', () => {
+  it('should merge the results of all enabled search plugins', async () => {
+    const manager = new PluginManager();
+    const source = (id, priority, search) => ({
+      id, name: id, auth: { type: 'none' }, capabilities: { search: true, priority }, search
+    });
+    manager.register(source('ads', 10, async () => ({ papers: [GW_ADS], totalResults: 1 })));
+    manager.register(source('arxiv', 30, async () => ({ papers: [GW_ARXIV], totalResults: 1 })));
+    manager.register(source('inspire', 20, async () => { throw new Error('HTTP 503'); }));
+    manager.register(source('crossref', 40, async () => { throw new Error('disabled'); }));
+    manager.disable('crossref');
+
+    const merged = await manager.mergedSearch(parseFederatedQuery('title:"gravitational waves" 2016'));
+
+    expect(merged.papers).toHaveLength(1);
+    expect(merged.papers[0].sources.map(s => s.source)).toEqual(['ads', 'arxiv']);
+    expect(merged.errors).toEqual([{ source: 'inspire', message: 'HTTP 503' }]);
+  });
+});
+
+describe('parseFederatedQuery', () => {
+  it('should build a unified query from fielded terms and free text', () => {
+    expect(parseFederatedQuery('author:"Abbott, B." ti:merger year:2015-2016 binary "black hole"')).toEqual({
+      author: 'Abbott, B.',
+      title: 'merger',
+      year: [2015, 2016],
+      fullText: 'binary "black hole"'
+    });
+    expect(parseFederatedQuery('doi:10.1103/PhysRevLett.116.061102 year:2016')).toEqual({
+      doi: '10.1103/PhysRevLett.116.061102',
+      year: 2016
+    });
+    expect(parseFederatedQuery('arxiv:1602.03837 cat:gr-qc')).toEqual({
+      arxivId: '1602.03837',
+      fullText: 'cat:gr-qc'
+    });
+  });
+});
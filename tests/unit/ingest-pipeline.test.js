@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for ingest-pipeline.cjs
+ * Runs new PDFs through the pipeline against a real library database
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import database from '../../src/main/database.cjs';
+import { FileManager } from '../../src/lib/files/file-manager.cjs';
+import { IngestPipeline } from '../../src/lib/files/ingest-pipeline.cjs';
+import pdfImport from '../../src/main/pdf-import.cjs';
+import { extractReferences, toCachedReferences } from '../../src/lib/pdf/reference-parser.js';
+
+const PAPER_TEXT = 'Dark matter halos\narXiv:2101.01234v2 [astro-ph.CO]\fResults\nReferences\n' +
+  'Mateo, M. L. 1998, ARA&A, 36, 435\nNavarro, J. F., Frenk, C. S., & White, S. D. M. 1996, ApJ, 462, 563';
+
+describe('IngestPipeline', () => {
+  let libraryPath;
+  let fileManager;
+  let extracted;
+  let pipeline;
+
+  beforeEach(async () => {
+    libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bibliac-ingest-'));
+    await database.initDatabase(libraryPath);
+    fileManager = new FileManager(libraryPath, database);
+    extracted = [];
+
+    pipeline = new IngestPipeline({
+      libraryPath,
+      database,
+      fileManager,
+      extractTextFn: async (pdfPath, textPath) => {
+        extracted.push(pdfPath);
+        fs.writeFileSync(textPath, fs.readFileSync(pdfPath, 'utf-8').includes('scanned') ? '' : PAPER_TEXT);
+        return true;
+      },
+      detectIdentifiersFn: pdfImport.extractIdentifiersFromContent,
+      extractReferencesFn: async (text) => toCachedReferences(extractReferences(text))
+    });
+    pipeline.on('error', () => {});
+  });
+
+  afterEach(() => {
+    pipeline.stop();
+    database.closeDatabase();
+    fs.rmSync(libraryPath, { recursive: true, force: true });
+  });
+
+  const addPdf = async (paperId, content = '%PDF-1.4 paper') => {
+    const source = path.join(libraryPath, `source-${Date.now()}.pdf`);
+    fs.writeFileSync(source, content);
+    return fileManager.addFile(paperId, source, { role: 'pdf', sourceType: 'manual' });
+  };
+
+  it('should extract text and fill in missing identifiers for a new PDF', async () => {
+    const paperId = database.addPaper({ title: 'Dark matter halos', doi: '10.1000/halo' });
+    const file = await addPdf(paperId);
+    expect(database.getPaperFile(file.id).ingest_status).toBe('pending');
+
+    const steps = [];
+    pipeline.on('progress', data => steps.push(data.step));
+    pipeline.enqueue(file.id);
+    const [result] = await once(pipeline, 'complete');
+
+    expect(steps).toEqual(['text', 'identifiers', 'references']);
+    expect(result).toMatchObject({ updatedFields: ['arxiv_id'], references: 2 });
+
+    const paper = database.getPaper(paperId);
+    expect(paper).toMatchObject({ arxiv_id: '2101.01234v2', doi: '10.1000/halo', text_path: result.textPath });
+    expect(database.getPaperFile(file.id)).toMatchObject({
+      ingest_status: 'done',
+      text_extracted: 1,
+      text_path: `text/${file.file_hash}.txt`
+    });
+    expect(database.getPaperHistory(paperId).history[0]).toMatchObject({ field: 'arxiv_id', origin: 'pdf-text' });
+
+    const cached = database.getCachedReferences(paperId);
+    expect(cached.sourcePlugin).toBe('pdf');
+    expect(cached.refs.map(ref => ref.bibcode)).toEqual(['1998ARA&A..36..435M', '1996ApJ...462..563N']);
+  });
+
+  it('should keep references a plugin already provided', async () => {
+    const paperId = database.addPaper({ title: 'Dark matter halos' });
+    database.cacheReferences(paperId, [{ bibcode: '2009ApJ...704.1274W', title: 'Walker et al.' }], 'ads');
+    const file = await addPdf(paperId);
+
+    pipeline.enqueue(file.id);
+    const [result] = await once(pipeline, 'complete');
+
+    expect(result.references).toBe(0);
+    expect(database.getCachedReferences(paperId)).toMatchObject({ sourcePlugin: 'ads', refs: [{ bibcode: '2009ApJ...704.1274W' }] });
+  });
+
+  it('should pick up files left pending or processing by a crash', async () => {
+    const paperId = database.addPaper({ title: 'Galaxy formation' });
+    const first = await addPdf(paperId, '%PDF-1.4 first');
+    const second = await addPdf(paperId, '%PDF-1.4 second');
+    database.updatePaperFile(first.id, { ingest_status: 'processing' });
+
+    expect(pipeline.enqueuePending()).toBe(2);
+    await once(pipeline, 'queue-empty');
+
+    expect(extracted).toEqual([first.path, second.path]);
+    expect(database.getPaperFilesByIngestStatus('done').map(f => f.id)).toEqual([first.id, second.id]);
+  });
+
+  it('should mark a PDF without text as failed and leave it out of later runs', async () => {
+    const paperId = database.addPaper({ title: 'Scanned paper' });
+    const file = await addPdf(paperId, '%PDF-1.4 scanned');
+
+    pipeline.enqueue(file.id);
+    const [failure] = await once(pipeline, 'error');
+
+    expect(failure).toMatchObject({ fileId: file.id, paperId });
+    expect(database.getPaperFile(file.id)).toMatchObject({
+      ingest_status: 'failed',
+      ingest_error: 'No text could be read from the PDF'
+    });
+    expect(pipeline.enqueuePending()).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for Library Merge
+ * Tests merging an iCloud conflict copy of a library into this device's copy
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+import { mergeLibraries } from '../../src/lib/database/library-merge.js';
+
+const rows = (db, sql) => db.exec(sql)[0]?.values || [];
+
+describe('library merge', () => {
+  let SQL;
+  let base;
+  let ours;
+  let theirs;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    base = new SQL.Database();
+    await runMigrations(base);
+    base.run(`INSERT INTO papers (id, bibcode, title, year, read_status, modified_date)
+              VALUES (1, '2016PhRvL.116f1102A', 'Observation of Gravitational Waves', 2016, 'unread', '2024-01-01'),
+                     (2, '1998AJ....116.1009R', 'Observational Evidence from Supernovae', 1998, 'unread', '2024-01-01')`);
+    base.run("INSERT INTO collections (id, name) VALUES (1, 'Thesis')");
+    base.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (1, 1), (2, 1)');
+    base.run(`INSERT INTO annotations (paper_id, page_number, note_content, created_at)
+              VALUES (1, 3, 'chirp mass', '2024-01-01 10:00:00')`);
+    // The base is the result of the last merge; both devices got it
+    base.run("INSERT INTO metadata (key, value) VALUES ('sync_stamp', 'last-merge')");
+
+    // Each device starts from the base; ids differ from here on
+    ours = new SQL.Database(base.export());
+    theirs = new SQL.Database(base.export());
+  });
+
+  it('should apply changes made on only one side', () => {
+    ours.run("UPDATE papers SET read_status = 'read', modified_date = '2024-02-01' WHERE id = 1");
+    theirs.run("UPDATE papers SET title = 'Observation of $h(t)$', modified_date = '2024-02-02' WHERE id = 1");
+    theirs.run("INSERT INTO papers (id, bibcode, title, year) VALUES (7, '2019ApJ...875L...1E', 'First M87 Results', 2019)");
+    theirs.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (7, 1)');
+    theirs.run("INSERT INTO annotations (paper_id, page_number, note_content, created_at) VALUES (7, 1, 'ring', '2024-02-02 09:00:00')");
+    theirs.run('DELETE FROM paper_collections WHERE paper_id = 2');
+    ours.run("INSERT INTO smart_searches (name, query, created_date) VALUES ('Mine', 'author:\"Riess\"', '2024-02-01')");
+
+    const { conflicts, stats } = mergeLibraries(ours, theirs, base);
+
+    expect(conflicts).toEqual([]);
+    expect(rows(ours, 'SELECT title, read_status FROM papers WHERE id = 1')).toEqual([['Observation of $h(t)$', 'read']]);
+    const added = rows(ours, "SELECT id FROM papers WHERE bibcode = '2019ApJ...875L...1E'")[0][0];
+    expect(rows(ours, `SELECT note_content FROM annotations WHERE paper_id = ${added}`)).toEqual([['ring']]);
+    expect(rows(ours, 'SELECT paper_id FROM paper_collections ORDER BY paper_id')).toEqual([[1], [added]]);
+    expect(rows(ours, 'SELECT name FROM smart_searches')).toEqual([['Mine']]);
+    expect(stats.papers).toEqual({ added: 1, updated: 1, removed: 0 });
+  });
+
+  it('should report fields both sides changed and apply the chosen side', () => {
+    ours.run("UPDATE papers SET title = 'Observation of GWs (ours)' WHERE id = 1");
+    theirs.run("UPDATE papers SET title = 'Observation of GWs (theirs)' WHERE id = 1");
+    ours.run("UPDATE annotations SET note_content = 'ours note'");
+    theirs.run("UPDATE annotations SET note_content = 'theirs note'");
+
+    const preview = new SQL.Database(ours.export());
+    const { conflicts } = mergeLibraries(preview, theirs, base);
+    expect(conflicts.map(conflict => [conflict.entity, conflict.field, conflict.ours, conflict.theirs])).toEqual([
+      ['papers', 'title', 'Observation of GWs (ours)', 'Observation of GWs (theirs)'],
+      ['annotations', 'note_content', 'ours note', 'theirs note']
+    ]);
+    expect(rows(preview, 'SELECT title FROM papers WHERE id = 1')).toEqual([['Observation of GWs (ours)']]);
+
+    mergeLibraries(ours, theirs, base, { [conflicts[0].id]: 'theirs' });
+    expect(rows(ours, 'SELECT title FROM papers WHERE id = 1')).toEqual([['Observation of GWs (theirs)']]);
+    expect(rows(ours, 'SELECT note_content FROM annotations')).toEqual([['ours note']]);
+  });
+
+  it('should remove rows the other side removed unless they changed here', () => {
+    theirs.run('DELETE FROM papers WHERE id IN (1, 2)');
+    theirs.run('DELETE FROM paper_collections');
+    theirs.run('DELETE FROM annotations');
+    ours.run('UPDATE papers SET rating = 2 WHERE id = 2');
+
+    mergeLibraries(ours, theirs, base);
+
+    expect(rows(ours, 'SELECT id FROM papers')).toEqual([[2]]);
+    expect(rows(ours, 'SELECT COUNT(*) FROM annotations')).toEqual([[0]]);
+    expect(rows(ours, 'SELECT paper_id FROM paper_collections')).toEqual([[2]]);
+  });
+
+  it('should not treat a copy both devices never shared as the base', () => {
+    [ours, theirs].forEach(db => db.run("DELETE FROM metadata WHERE key = 'sync_stamp'"));
+    ours.run("INSERT INTO papers (bibcode, title, year) VALUES ('2020ApJ...900..100X', 'Local only', 2020)");
+    const localId = rows(ours, "SELECT id FROM papers WHERE title = 'Local only'")[0][0];
+    ours.run(`INSERT INTO annotations (paper_id, page_number, note_content, created_at) VALUES (${localId}, 1, 'mine', '2024-03-01 10:00:00')`);
+    // This device's own file, as it was copied aside when the app opened
+    const staleBase = new SQL.Database(ours.export());
+    theirs.run("INSERT INTO papers (bibcode, title, year) VALUES ('2021ApJ...910..200Y', 'Theirs only', 2021)");
+
+    const { stats, threeWay } = mergeLibraries(ours, theirs, staleBase);
+
+    expect(threeWay).toBe(false);
+    expect(stats.papers).toEqual({ added: 1, updated: 0, removed: 0 });
+    expect(rows(ours, 'SELECT title FROM papers ORDER BY id').map(row => row[0])).toEqual([
+      'Observation of Gravitational Waves', 'Observational Evidence from Supernovae', 'Local only', 'Theirs only'
+    ]);
+    expect(rows(ours, `SELECT note_content FROM annotations WHERE paper_id = ${localId}`)).toEqual([['mine']]);
+  });
+
+  it('should stamp the merge result as the next base', () => {
+    const { threeWay } = mergeLibraries(ours, theirs, base);
+    expect(threeWay).toBe(true);
+
+    const stamp = rows(ours, "SELECT value FROM metadata WHERE key = 'sync_stamp'")[0][0];
+    expect(stamp).not.toBe('last-merge');
+    // The other device hasn't got the merge yet, so the old base no longer applies
+    expect(mergeLibraries(new SQL.Database(ours.export()), theirs, base).threeWay).toBe(false);
+  });
+
+  it('should match papers by DOI and keep everything without a base', () => {
+    theirs.run("UPDATE papers SET bibcode = NULL, doi = '10.1103/PhysRevLett.116.061102' WHERE id = 1");
+    ours.run("UPDATE papers SET doi = '10.1103/PhysRevLett.116.061102' WHERE id = 1");
+    theirs.run('DELETE FROM papers WHERE id = 2');
+    theirs.run("UPDATE papers SET read_status = 'reading' WHERE id = 1");
+    ours.run("UPDATE papers SET read_status = 'read' WHERE id = 1");
+
+    const { conflicts } = mergeLibraries(ours, theirs);
+
+    expect(rows(ours, 'SELECT COUNT(*) FROM papers')).toEqual([[2]]);
+    expect(conflicts.map(conflict => conflict.field)).toEqual(['read_status']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Library Snapshots
+ * Tests snapshot retention, snapshot previews and restoring selected papers
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import snapshotService from '../../src/main/snapshot-service.cjs';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+import {
+  getSnapshotStats,
+  getSnapshotPapers,
+  restoreSnapshotPapers,
+  exportAnnotations
+} from '../../src/lib/database/snapshots.js';
+
+const rows = (db, sql) => db.exec(sql)[0]?.values || [];
+
+describe('snapshot retention', () => {
+  const snapshotsAt = dates => dates.map(date => ({ date: new Date(date) }));
+  const kept = (snapshots, settings) => [...snapshotService.selectSnapshotsToKeep(snapshots, settings)]
+    .map(snapshot => snapshot.date.toISOString().slice(0, 16))
+    .sort();
+
+  it('should name snapshots by the time they were taken', () => {
+    const date = new Date('2024-03-01T10:05:09.123Z');
+    const filename = snapshotService.snapshotFileName(date);
+    expect(filename).toBe('library-2024-03-01T10-05-09Z.sqlite');
+    expect(snapshotService.parseSnapshotDate(filename).toISOString()).toBe('2024-03-01T10:05:09.000Z');
+    expect(snapshotService.parseSnapshotDate('library-backup-2024.sqlite')).toBeNull();
+    expect(snapshotService.parseSnapshotDate('../library.sqlite')).toBeNull();
+  });
+
+  it('should keep the newest snapshot of each recent hour, day and week', () => {
+    const snapshots = snapshotsAt([
+      '2024-03-04T12:50:00Z', '2024-03-04T12:10:00Z', '2024-03-04T11:30:00Z', '2024-03-04T09:00:00Z',
+      '2024-03-03T18:00:00Z', '2024-03-03T08:00:00Z', '2024-03-01T08:00:00Z',
+      '2024-02-20T08:00:00Z', '2024-02-13T08:00:00Z', '2024-01-02T08:00:00Z'
+    ]);
+
+    expect(kept(snapshots, { keepHourly: 2, keepDaily: 3, keepWeekly: 2 })).toEqual([
+      '2024-03-01T08:00',
+      '2024-03-03T18:00',
+      '2024-03-04T11:30',
+      '2024-03-04T12:50'
+    ]);
+    expect(kept(snapshots, { keepHourly: 0, keepDaily: 0, keepWeekly: 0 })).toEqual(['2024-03-04T12:50']);
+    expect(kept(snapshots, { keepHourly: 0, keepDaily: 0, keepWeekly: 4 })).toEqual([
+      '2024-02-13T08:00', '2024-02-20T08:00', '2024-03-03T18:00', '2024-03-04T12:50'
+    ]);
+  });
+
+  it('should replace invalid settings with the defaults', () => {
+    expect(snapshotService.normalizeSettings({ keepDaily: -1, keepWeekly: '3', intervalHours: 0, enabled: 'no' }))
+      .toEqual({ ...snapshotService.DEFAULT_SNAPSHOT_SETTINGS, keepWeekly: 3, intervalHours: 1 });
+  });
+});
+
+describe('snapshots', () => {
+  let SQL;
+  let snapshot;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    snapshot = new SQL.Database();
+    await runMigrations(snapshot);
+    snapshot.run(`INSERT INTO papers (id, bibcode, title, year) VALUES
+                  (1, '2016PhRvL.116f1102A', 'Observation of Gravitational Waves', 2016),
+                  (2, '2019ApJ...875L...1E', 'First M87 Results', 2019),
+                  (3, '1998AJ....116.1009R', 'Observational Evidence from Supernovae', 1998)`);
+    snapshot.run("INSERT INTO collections (id, name) VALUES (1, 'Thesis'), (2, 'Chapter 2'), (3, 'Unused')");
+    snapshot.run('UPDATE collections SET parent_id = 1 WHERE id = 2');
+    snapshot.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (2, 2), (3, 3)');
+    snapshot.run(`INSERT INTO annotations (paper_id, page_number, note_content, created_at)
+                  VALUES (1, 3, 'chirp mass', '2024-01-01 10:00:00'), (1, 5, 'ringdown', '2024-01-01 11:00:00')`);
+    snapshot.run("INSERT INTO smart_searches (name, query, created_date) VALUES ('Mine', 'author:\"Riess\"', '2024-01-01')");
+
+    // Since the snapshot: paper 2 was purged, an annotation deleted and paper 1 retitled and trashed
+    db = new SQL.Database(snapshot.export());
+    db.run('DELETE FROM papers WHERE id = 2');
+    db.run('DELETE FROM paper_collections WHERE paper_id = 2');
+    db.run('DELETE FROM collections WHERE id = 2');
+    db.run('DELETE FROM smart_searches');
+    db.run('DELETE FROM annotations WHERE page_number = 5');
+    db.run("UPDATE papers SET title = 'Observation of GWs', deleted_at = '2024-02-01T00:00:00Z' WHERE id = 1");
+  });
+
+  it('should count what a snapshot holds and compare its papers with the library', () => {
+    expect(getSnapshotStats(db)).toEqual({
+      paperCount: 1,
+      trashCount: 1,
+      annotationCount: 0,
+      collectionCount: 2,
+      tagCount: 0,
+      fileCount: 0
+    });
+
+    const papers = getSnapshotPapers(snapshot, db);
+    expect(papers.map(paper => [paper.id, paper.in_library, paper.annotation_count, paper.library_annotation_count]))
+      .toEqual([[2, false, 0, 0], [1, true, 2, 1], [3, true, 0, 0]]);
+  });
+
+  it('should bring back selected papers and only what they need', () => {
+    const { paperIds } = restoreSnapshotPapers(db, new SQL.Database(snapshot.export()), [1, 2]);
+
+    const restored = rows(db, "SELECT id FROM papers WHERE bibcode = '2019ApJ...875L...1E'")[0][0];
+    expect(paperIds.sort()).toEqual([1, restored].sort());
+    expect(rows(db, 'SELECT title, deleted_at FROM papers WHERE id = 1')).toEqual([['Observation of Gravitational Waves', null]]);
+    expect(rows(db, 'SELECT note_content FROM annotations WHERE paper_id = 1 ORDER BY page_number'))
+      .toEqual([['chirp mass'], ['ringdown']]);
+    expect(rows(db, `SELECT c.name, p.name FROM paper_collections pc
+                     JOIN collections c ON c.id = pc.collection_id
+                     JOIN collections p ON p.id = c.parent_id
+                     WHERE pc.paper_id = ${restored}`)).toEqual([['Chapter 2', 'Thesis']]);
+    expect(rows(db, 'SELECT COUNT(*) FROM smart_searches')).toEqual([[0]]);
+    expect(rows(db, 'SELECT COUNT(*) FROM papers')).toEqual([[3]]);
+  });
+
+  it('should export annotations grouped by paper', () => {
+    const exported = exportAnnotations(snapshot, new Date('2024-03-01T00:00:00Z'));
+    expect(exported.exported_at).toBe('2024-03-01T00:00:00.000Z');
+    expect(exported.papers).toHaveLength(1);
+    expect(exported.papers[0].bibcode).toBe('2016PhRvL.116f1102A');
+    expect(exported.papers[0].annotations.map(annotation => annotation.note_content)).toEqual(['chirp mass', 'ringdown']);
+  });
+});
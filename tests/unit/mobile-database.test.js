@@ -392,6 +392,16 @@ describe('mobile-database.js', () => {
       expect(prepareCall).toContain('collection_id');
     });
 
+    it('should filter by tag including nested tags', () => {
+      mockStatement.step.mockReturnValueOnce(false);
+
+      mobileDb.getAllPapers({ tag: 'methods' });
+
+      const prepareCall = mockDatabase.prepare.mock.calls.slice(-1)[0][0];
+      expect(prepareCall).toContain('paper_tags');
+      expect(mockStatement.bind).toHaveBeenLastCalledWith(['methods', 'methods/%']);
+    });
+
     it('should search across title, authors, abstract', () => {
       mockStatement.step.mockReturnValueOnce(false);
 
@@ -409,7 +419,17 @@ describe('mobile-database.js', () => {
       mobileDb.getAllPapers({ orderBy: 'year', order: 'ASC' });
 
       const prepareCall = mockDatabase.prepare.mock.calls.slice(-1)[0][0];
-      expect(prepareCall).toContain('ORDER BY year ASC');
+      expect(prepareCall).toContain('ORDER BY COALESCE(p.year, 0) ASC');
+    });
+
+    it('should not interpolate unknown sort fields', () => {
+      mockStatement.step.mockReturnValueOnce(false);
+
+      mobileDb.getAllPapers({ orderBy: 'title; DROP TABLE papers', order: 'ASC; --' });
+
+      const prepareCall = mockDatabase.prepare.mock.calls.slice(-1)[0][0];
+      expect(prepareCall).not.toContain('DROP');
+      expect(prepareCall).toContain('ORDER BY p.id DESC');
     });
 
     it('should apply limit', () => {
@@ -421,13 +441,35 @@ describe('mobile-database.js', () => {
       expect(prepareCall).toContain('LIMIT ?');
     });
 
-    it('should use default order by added_date DESC', () => {
+    it('should use default order by date added, newest first', () => {
       mockStatement.step.mockReturnValueOnce(false);
 
       mobileDb.getAllPapers({});
 
       const prepareCall = mockDatabase.prepare.mock.calls.slice(-1)[0][0];
-      expect(prepareCall).toContain('ORDER BY added_date DESC');
+      expect(prepareCall).toContain('ORDER BY p.id DESC');
+    });
+  });
+
+  describe('getPapersPage', () => {
+    beforeEach(async () => {
+      await mobileDb.initDatabase('TestLibrary');
+    });
+
+    it('should return the page with the total count', () => {
+      mockDatabase.exec.mockReturnValueOnce([{ values: [[250]] }]);
+      mockStatement.step
+        .mockReturnValueOnce(true)
+        .mockReturnValueOnce(false);
+      mockStatement.getAsObject
+        .mockReturnValueOnce({ id: 7, title: 'Paper 7', authors: '[]', keywords: '[]', annotation_count: 2 });
+
+      const page = mobileDb.getPapersPage({ offset: 200, limit: 50 });
+
+      expect(page.total).toBe(250);
+      expect(page.offset).toBe(200);
+      expect(page.papers[0].annotation_count).toBe(2);
+      expect(mockStatement.bind).toHaveBeenLastCalledWith([50, 200]);
     });
   });
 
@@ -491,6 +533,9 @@ describe('mobile-database.js', () => {
     });
 
     it('should delete paper and related records', () => {
+      // No paper or file rows to report back
+      mockDatabase.exec.mockReturnValueOnce([]).mockReturnValueOnce([]);
+
       const result = mobileDb.deletePaper(1);
 
       expect(result).toBe(true);
@@ -499,8 +544,9 @@ describe('mobile-database.js', () => {
       const deleteCalls = mockDatabase.run.mock.calls.filter(c => c[0].includes('DELETE'));
       const tables = deleteCalls.map(c => c[0]);
 
-      expect(tables.some(sql => sql.includes('refs'))).toBe(true);
-      expect(tables.some(sql => sql.includes('citations'))).toBe(true);
+      expect(tables.some(sql => sql.includes('paper_references'))).toBe(true);
+      expect(tables.some(sql => sql.includes('paper_citations'))).toBe(true);
+      expect(tables.some(sql => sql.includes('paper_files'))).toBe(true);
       expect(tables.some(sql => sql.includes('paper_collections'))).toBe(true);
       expect(tables.some(sql => sql.includes('annotations'))).toBe(true);
       expect(tables.some(sql => sql.includes('paper_summaries'))).toBe(true);
@@ -576,6 +622,36 @@ describe('mobile-database.js', () => {
         expect.arrayContaining(['Child Collection', 1])
       );
     });
+
+    it('should store the query for smart collections', () => {
+      mobileDb.createCollection('Unread', null, true, 'status:unread');
+
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO collections'),
+        expect.arrayContaining(['Unread', 1, 'status:unread'])
+      );
+    });
+  });
+
+  describe('deleteCollection', () => {
+    beforeEach(async () => {
+      await mobileDb.initDatabase('TestLibrary');
+    });
+
+    it('should move child collections up to the parent', () => {
+      mockDatabase.exec.mockReturnValueOnce([{ values: [[3]] }]);
+
+      mobileDb.deleteCollection(7);
+
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE collections SET parent_id'),
+        [3, 7]
+      );
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM collections'),
+        [7]
+      );
+    });
   });
 
   describe('addPaperToCollection', () => {
@@ -608,6 +684,53 @@ describe('mobile-database.js', () => {
     });
   });
 
+  describe('tagPapers', () => {
+    beforeEach(async () => {
+      await mobileDb.initDatabase('TestLibrary');
+    });
+
+    it('should create missing ancestor tags and tag each paper', () => {
+      mockDatabase.exec
+        .mockReturnValueOnce([])                   // "methods" not found
+        .mockReturnValueOnce([{ values: [[1]] }])  // its id
+        .mockReturnValueOnce([])                   // "methods/mcmc" not found
+        .mockReturnValueOnce([{ values: [[2]] }]); // its id
+
+      const tagId = mobileDb.tagPapers([3, 4], ' Methods / MCMC/');
+
+      expect(tagId).toBe(2);
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO tags'),
+        ['Methods', null, expect.any(String)]
+      );
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO tags'),
+        ['Methods/MCMC', null, expect.any(String)]
+      );
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT OR IGNORE INTO paper_tags'),
+        [4, 2]
+      );
+    });
+  });
+
+  describe('deleteTag', () => {
+    beforeEach(async () => {
+      await mobileDb.initDatabase('TestLibrary');
+    });
+
+    it('should delete nested tags with the tag', () => {
+      mockDatabase.exec.mockReturnValueOnce([{ values: [[5, 'methods_x', null]] }]);
+
+      mobileDb.deleteTag(5);
+
+      expect(mockDatabase.run).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM tags'),
+        [5, 'methods\\_x/%']
+      );
+    });
+  });
+
   describe('getAnnotations', () => {
     beforeEach(async () => {
       await mobileDb.initDatabase('TestLibrary');
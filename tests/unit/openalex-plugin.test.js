@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for the OpenAlex plugin
+ * Requests are answered from recorded API responses in tests/fixtures/openalex
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import openalexPlugin from '../../src/plugins/openalex/index.cjs';
+import { validatePlugin, PDF_SOURCE_TYPES } from '../../src/lib/plugins/types.cjs';
+import { PluginManager } from '../../src/lib/plugins/manager.cjs';
+
+const fixture = (name) => readFileSync(
+  fileURLToPath(new URL(`../fixtures/openalex/${name}`, import.meta.url)),
+  'utf8'
+);
+
+describe('OpenAlex plugin', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    openalexPlugin.setMailto('lab@example.org');
+    openalexPlugin._transport = async (url, { userAgent }) => {
+      const parsed = new URL(url);
+      requests.push({ url: parsed, userAgent });
+
+      const respond = (name) => ({ statusCode: 200, headers: {}, body: fixture(name) });
+      const path = decodeURIComponent(parsed.pathname);
+      const filter = parsed.searchParams.get('filter') || '';
+      if (path === '/works/W2064815984' || path === '/works/doi:10.1126/science.1225829') return respond('work.json');
+      if (path === '/works' && filter.startsWith('openalex:')) return respond('batch.json');
+      if (path === '/works') return respond('cites.json');
+      return { statusCode: 404, headers: {}, body: '{"error":"Not found"}' };
+    };
+  });
+
+  it('should implement the SourcePlugin contract', () => {
+    expect(validatePlugin(openalexPlugin)).toEqual({ valid: true, errors: [] });
+    expect(openalexPlugin.capabilities).toMatchObject({ references: true, citations: true, priority: 25 });
+    expect(openalexPlugin.nlPrompt).toContain('OpenAlex Query Syntax');
+  });
+
+  describe('search', () => {
+    it('should map field terms to OpenAlex filters', async () => {
+      await openalexPlugin.search({ raw: 'author:"Jennifer Doudna" title:CRISPR year:2012-2014 oa:true Cas9', limit: 10, sort: 'citations' });
+
+      const params = requests[0].url.searchParams;
+      expect(params.get('filter')).toBe(
+        'raw_author_name.search:Jennifer Doudna,title.search:CRISPR,from_publication_date:2012-01-01,to_publication_date:2014-12-31,is_oa:true'
+      );
+      expect(params.get('search')).toBe('Cas9');
+      expect(params.get('per-page')).toBe('10');
+      expect(params.get('sort')).toBe('cited_by_count:desc');
+      expect(params.get('mailto')).toBe('lab@example.org');
+      expect(requests[0].userAgent).toContain('mailto:lab@example.org');
+    });
+
+    it('should translate unified queries', () => {
+      expect(openalexPlugin.translateQuery({ author: 'Doudna', title: 'guide RNA', year: [2012, 2014] }))
+        .toBe('author:Doudna title:"guide RNA" year:2012-2014');
+    });
+  });
+
+  describe('lookup', () => {
+    it('should transform a work, rebuilding the abstract', async () => {
+      const paper = await openalexPlugin.getByDOI('https://doi.org/10.1126/science.1225829');
+
+      expect(paper).toMatchObject({
+        source: 'openalex',
+        sourceId: 'W2064815984',
+        doi: '10.1126/science.1225829',
+        authors: ['Martin Jinek', 'Krzysztof Chylinski', 'Jennifer A. Doudna'],
+        year: 2012,
+        journal: 'Science',
+        arxivId: '1206.9999',
+        citationCount: 15873,
+        keywords: ['CRISPR', 'Cas9'],
+        abstract: 'Clustered regularly interspaced short palindromic repeats (CRISPR) provide bacteria with adaptive immunity.'
+      });
+      expect(openalexPlugin.getRecordUrl(paper)).toBe('https://openalex.org/W2064815984');
+      expect(await openalexPlugin.getRecord('W1')).toBeNull();
+    });
+
+    it('should look up arXiv papers through their DataCite DOI', async () => {
+      await openalexPlugin.getByArxiv('arXiv:2101.00001v2');
+
+      expect(decodeURIComponent(requests[0].url.pathname)).toBe('/works/doi:10.48550/arXiv.2101.00001');
+    });
+  });
+
+  describe('references and citations', () => {
+    it('should resolve referenced works in one batch, in reference order', async () => {
+      const refs = await openalexPlugin.getReferences('W2064815984');
+
+      expect(requests[1].url.searchParams.get('filter')).toBe('openalex:W2100837269|W1999999999|W2024455433');
+      expect(refs.map(ref => ref.sourceId)).toEqual(['W2100837269', 'W2024455433']);
+      expect(refs[1]).toMatchObject({ doi: '10.1038/nature09886', authors: ['Elitza Deltcheva', 'Emmanuelle Charpentier'] });
+    });
+
+    it('should get citing works by DOI, resolving the OpenAlex ID first', async () => {
+      const cites = await openalexPlugin.getCitations('10.1126/science.1225829');
+
+      expect(requests[1].url.searchParams.get('filter')).toBe('cites:W2064815984');
+      expect(cites.map(paper => paper.title)).toEqual([
+        'Multiplex Genome Engineering Using CRISPR/Cas Systems',
+        'Guide RNA design with language models'
+      ]);
+      expect(cites[1].arxivId).toBe('2101.00001');
+    });
+  });
+
+  it('should take the contact email from the plugin manager', async () => {
+    const manager = new PluginManager();
+    manager.register(openalexPlugin);
+    openalexPlugin.setMailto(null);
+
+    await manager.initialize({ mailto: 'lab@example.org' });
+    await openalexPlugin.getByDOI('10.1126/science.1225829');
+    expect(requests[0].url.searchParams.get('mailto')).toBe('lab@example.org');
+
+    manager.setMailto(null);
+    await openalexPlugin.getByDOI('10.1126/science.1225829');
+    expect(requests[1].url.searchParams.has('mailto')).toBe(false);
+    expect(requests[1].userAgent).not.toContain('mailto:');
+  });
+
+  it('should list open-access PDF locations, best first', async () => {
+    const sources = await openalexPlugin.getPdfSources('W2064815984');
+
+    expect(sources).toEqual([
+      expect.objectContaining({ type: PDF_SOURCE_TYPES.OPEN_ACCESS, url: 'https://europepmc.org/articles/pmc6286148?pdf=render', label: 'Open Access (Europe PMC)' }),
+      expect.objectContaining({ type: PDF_SOURCE_TYPES.ARXIV, url: 'https://arxiv.org/pdf/1206.9999v2', priority: 2 })
+    ]);
+  });
+});
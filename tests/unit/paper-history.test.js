@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for Paper Edit History
+ * Tests change recording, field locks and reverts shared by desktop and mobile
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+import {
+  USER_ORIGIN,
+  recordChanges,
+  getPaperHistory,
+  getLockedFields,
+  setFieldLocked,
+  withoutLockedFields,
+  getRevertUpdate
+} from '../../src/lib/database/history.js';
+
+describe('paper history', () => {
+  let SQL;
+  let db;
+
+  // What updatePaper does: drop locked fields, record, then write
+  function update(updates, origin = USER_ORIGIN) {
+    const { updates: allowed, skipped } = withoutLockedFields(db, 1, updates, origin);
+    recordChanges(db, 1, allowed, origin);
+    for (const [field, value] of Object.entries(allowed)) {
+      const stored = Array.isArray(value) ? JSON.stringify(value) : value;
+      db.run(`UPDATE papers SET ${field} = ? WHERE id = 1`, [stored]);
+    }
+    return skipped;
+  }
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await runMigrations(db);
+    db.run(
+      'INSERT INTO papers (id, title, authors, year) VALUES (1, ?, ?, 2016)',
+      ['Observation of Gravitational Waves', JSON.stringify(['Abbott, B. P.'])]
+    );
+  });
+
+  it('should record changed metadata fields with their origin', () => {
+    update({ title: 'Observation of $h(t)$ Waves', year: 2016, rating: 3 });
+    update({ authors: ['Abbott, B. P.', 'Abbott, R.'] }, 'ads-sync');
+
+    const history = getPaperHistory(db, 1);
+    expect(history.map(entry => [entry.field, entry.origin])).toEqual([
+      ['authors', 'ads-sync'],
+      ['title', 'user']
+    ]);
+    expect(history[0].old_value).toBe('["Abbott, B. P."]');
+    expect(history[0].new_value).toBe('["Abbott, B. P.","Abbott, R."]');
+    expect(history[1].old_value).toBe('Observation of Gravitational Waves');
+  });
+
+  it('should keep locked fields from everyone but the user', () => {
+    setFieldLocked(db, 1, 'title', true);
+    expect(getLockedFields(db, 1)).toEqual(['title']);
+
+    expect(update({ title: 'From ADS', year: 2017 }, 'ads-sync')).toEqual(['title']);
+    expect(db.exec('SELECT title, year FROM papers WHERE id = 1')[0].values[0])
+      .toEqual(['Observation of Gravitational Waves', 2017]);
+
+    expect(update({ title: 'Fixed by hand' })).toEqual([]);
+    expect(db.exec('SELECT title FROM papers WHERE id = 1')[0].values[0][0]).toBe('Fixed by hand');
+
+    setFieldLocked(db, 1, 'title', false);
+    expect(getLockedFields(db, 1)).toEqual([]);
+    expect(() => setFieldLocked(db, 1, 'rating', true)).toThrow("can't be locked");
+  });
+
+  it('should revert a field to its value before a change', () => {
+    update({ authors: ['Someone Else'], year: 1999 }, 'ads-sync');
+    const [yearChange, authorsChange] = getPaperHistory(db, 1)
+      .sort((a, b) => b.field.localeCompare(a.field));
+
+    expect(getRevertUpdate(db, authorsChange.id)).toEqual({
+      paperId: 1,
+      field: 'authors',
+      updates: { authors: ['Abbott, B. P.'] }
+    });
+    expect(getRevertUpdate(db, yearChange.id).updates).toEqual({ year: 2016 });
+    expect(getRevertUpdate(db, 999)).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for PDF text extraction
+ * Builds small PDFs with pdf-lib and reads them back with the in-process extractor
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, StandardFonts, degrees } from 'pdf-lib';
+import {
+  extractPdfText,
+  pageAtOffset,
+  locateTextRange,
+  layoutPathForText
+} from '../../src/lib/pdf/text-extraction.js';
+
+// A Type0 font with two-byte Identity-H codes, as TeX and Word subset fonts are written
+const TO_UNICODE = `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+1 begincodespacerange
+<0000> <FFFF>
+endcodespacerange
+2 beginbfchar
+<0001> <03B1>
+<0002> <FB01>
+endbfchar
+1 beginbfrange
+<0010> <0012> <0078>
+endbfrange
+endcmap
+end end`;
+
+async function compositeFontPdf() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([500, 500]);
+  const { context } = doc;
+
+  const cidFont = context.obj({
+    Type: 'Font',
+    Subtype: 'CIDFontType2',
+    BaseFont: 'Subset',
+    CIDSystemInfo: { Registry: context.obj('Adobe'), Ordering: context.obj('Identity'), Supplement: 0 },
+    DW: 500,
+    W: [1, [600, 550]]
+  });
+  const font = context.register(context.obj({
+    Type: 'Font',
+    Subtype: 'Type0',
+    BaseFont: 'Subset',
+    Encoding: 'Identity-H',
+    DescendantFonts: [context.register(cidFont)],
+    ToUnicode: context.register(context.stream(TO_UNICODE))
+  }));
+  page.node.setFontDictionary(PDFName.of('F1'), font);
+  page.node.addContentStream(context.register(context.flateStream(
+    'BT /F1 10 Tf 50 400 Td [<00010002> -600 <00100011>] TJ <0012> Tj ET'
+  )));
+  return doc.save();
+}
+
+describe('PDF text extraction', () => {
+  it('should return page text separated by form feeds with line boxes', async () => {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const first = doc.addPage([600, 800]);
+    first.drawText('Dark matter halos', { x: 60, y: 700, size: 12, font });
+    first.drawText('in the “early” café', { x: 60, y: 680, size: 12, font });
+    doc.addPage([600, 800]).drawText('Page two', { x: 60, y: 400, size: 12, font });
+
+    const { text, layout } = await extractPdfText(await doc.save());
+    expect(text).toBe('Dark matter halos\nin the “early” café\fPage two');
+    expect(layout.pages.map(page => [page.page, page.start, page.end])).toEqual([[1, 0, 37], [2, 38, 46]]);
+
+    const [line] = layout.pages[0].lines;
+    expect(line.slice(0, 2)).toEqual([0, 17]);
+    expect(line[2]).toBeCloseTo(0.1, 3);
+    expect(line[3]).toBeGreaterThan(0.11);
+    expect(line[3] + line[5]).toBeLessThan(0.13);
+  });
+
+  it('should read composite fonts through their ToUnicode map', async () => {
+    const { text } = await extractPdfText(await compositeFontPdf());
+    expect(text).toBe('αfi xyz');
+  });
+
+  it('should lay out rotated pages as displayed', async () => {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const page = doc.addPage([600, 800]);
+    page.drawText('Sideways', { x: 100, y: 400, size: 20, font });
+    page.setRotation(degrees(90));
+
+    const { layout } = await extractPdfText(await doc.save());
+    expect(layout.pages[0]).toMatchObject({ width: 800, height: 600 });
+    expect(layout.pages[0].lines[0][6]).toBe('ttb');
+  });
+
+  it('should reject files that are not PDFs', async () => {
+    await expect(extractPdfText(new TextEncoder().encode('not a pdf'))).rejects.toThrow();
+  });
+});
+
+describe('text positions', () => {
+  const layout = {
+    version: 1,
+    pages: [
+      { page: 1, start: 0, end: 21, width: 600, height: 800, lines: [[0, 10, 0.1, 0.1, 0.5, 0.02], [11, 21, 0.1, 0.2, 0.4, 0.02]] },
+      { page: 2, start: 22, end: 32, width: 600, height: 800, lines: [[22, 32, 0.2, 0.5, 0.6, 0.02]] }
+    ]
+  };
+
+  it('should give the page of an offset', () => {
+    const text = 'one\ftwo\fthree';
+    expect(pageAtOffset(text, 0)).toBe(1);
+    expect(pageAtOffset(text, 5)).toBe(2);
+    expect(pageAtOffset(text, 10)).toBe(3);
+    expect(pageAtOffset('no breaks', 3)).toBeNull();
+  });
+
+  it('should cover a range with boxes cut at the ends', () => {
+    expect(locateTextRange(layout, 5, 26)).toEqual([
+      { page: 1, rects: [{ x: 0.35, y: 0.1, width: 0.25, height: 0.02 }, { x: 0.1, y: 0.2, width: 0.4, height: 0.02 }] },
+      { page: 2, rects: [{ x: 0.2, y: 0.5, width: 0.24, height: 0.02 }] }
+    ]);
+    expect(locateTextRange(layout, 40, 50)).toEqual([]);
+  });
+
+  it('should keep the layout next to the text file', () => {
+    expect(layoutPathForText('text/2020ApJ.txt')).toBe('text/2020ApJ.pages.json');
+  });
+});
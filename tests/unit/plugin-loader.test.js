@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for the third-party plugin loader
+ * Plugin folders are written to a temporary directory for each test
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PluginLoader } from '../../src/lib/plugins/loader.cjs';
+import { PluginManager } from '../../src/lib/plugins/manager.cjs';
+import { PLUGIN_API_VERSION } from '../../src/lib/plugins/types.cjs';
+
+const manifestFor = (id, overrides = {}) => ({
+  id,
+  name: `Plugin ${id}`,
+  version: '1.0.0',
+  apiVersion: PLUGIN_API_VERSION,
+  capabilities: { search: true },
+  ...overrides
+});
+
+// A factory-style plugin that builds its papers with the app API
+const FACTORY_PLUGIN = (id) => `
+module.exports = (api) => ({
+  id: '${id}',
+  name: 'Group Preprints',
+  capabilities: { ...api.createDefaultCapabilities(), search: true },
+  auth: { type: 'none' },
+  initOptions: null,
+  async initialize(options) { this.initOptions = options; },
+  async search() {
+    return { papers: [api.createPaper({ title: 'Preprint' }, '${id}', 'GP-1')], totalResults: 1 };
+  }
+});
+`;
+
+describe('PluginLoader', () => {
+  let directory;
+  let manager;
+  let disabled;
+  let loader;
+
+  const addPlugin = (folder, manifest, source) => {
+    mkdirSync(join(directory, folder));
+    if (manifest) writeFileSync(join(directory, folder, 'plugin.json'), JSON.stringify(manifest));
+    if (source) writeFileSync(join(directory, folder, 'index.cjs'), source);
+  };
+
+  const status = (id) => loader.getStatus().find(entry => entry.id === id);
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'bibliac-plugins-'));
+    manager = new PluginManager();
+    disabled = new Set();
+    loader = new PluginLoader({ manager, directory, isDisabled: id => disabled.has(id) });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should load, register and initialize a plugin from its folder', async () => {
+    addPlugin('group-preprints', manifestFor('group-preprints'), FACTORY_PLUGIN('group-preprints'));
+
+    manager.setMailto('lab@example.org');
+    await loader.loadAll();
+
+    expect(status('group-preprints')).toMatchObject({ state: 'loaded', error: null });
+    const plugin = manager.get('group-preprints');
+    expect(plugin.initOptions).toEqual({ mailto: 'lab@example.org' });
+    expect((await plugin.search({})).papers[0]).toMatchObject({ source: 'group-preprints', sourceId: 'GP-1' });
+  });
+
+  it('should report broken plugins without stopping the others', async () => {
+    addPlugin('a-broken', manifestFor('a-broken'), 'throw new Error("syntax is hard");');
+    addPlugin('b-future', manifestFor('b-future', { apiVersion: PLUGIN_API_VERSION + 1 }), FACTORY_PLUGIN('b-future'));
+    addPlugin('c-no-manifest', null, FACTORY_PLUGIN('c-no-manifest'));
+    addPlugin('d-mismatch', manifestFor('d-mismatch', { capabilities: { search: true, citations: true } }), FACTORY_PLUGIN('d-mismatch'));
+    addPlugin('e-good', manifestFor('e-good'), FACTORY_PLUGIN('e-good'));
+
+    await loader.loadAll();
+
+    expect(status('a-broken')).toMatchObject({ state: 'error', error: 'syntax is hard' });
+    expect(status('b-future').error).toMatch(/requires plugin API version 2/);
+    expect(status('c-no-manifest').error).toBe('No plugin.json found');
+    expect(status('d-mismatch').error).toBe('Capabilities differ from plugin.json: citations');
+    expect(status('e-good').state).toBe('loaded');
+    expect(manager.list().map(plugin => plugin.id)).toEqual(['e-good']);
+  });
+
+  it('should leave a plugin unregistered when initialize fails', async () => {
+    addPlugin('flaky', manifestFor('flaky'), `
+      module.exports = {
+        id: 'flaky', name: 'Flaky', capabilities: { search: true }, auth: { type: 'none' },
+        async search() { return { papers: [] }; },
+        async initialize() { throw new Error('server unreachable'); }
+      };
+    `);
+
+    await loader.loadAll();
+
+    expect(status('flaky')).toMatchObject({ state: 'error', error: 'server unreachable' });
+    expect(manager.get('flaky')).toBeNull();
+  });
+
+  it('should skip disabled plugins and load or unload them at runtime', async () => {
+    addPlugin('group-preprints', manifestFor('group-preprints'), FACTORY_PLUGIN('group-preprints'));
+    disabled.add('group-preprints');
+
+    await loader.loadAll();
+    expect(status('group-preprints').state).toBe('disabled');
+    expect(manager.get('group-preprints')).toBeNull();
+
+    await loader.load('group-preprints');
+    expect(manager.get('group-preprints')).not.toBeNull();
+
+    await loader.unload('group-preprints');
+    expect(status('group-preprints').state).toBe('disabled');
+    expect(manager.get('group-preprints')).toBeNull();
+  });
+
+  it('should not let a plugin replace a built-in one', async () => {
+    manager.register({ id: 'arxiv', name: 'arXiv', capabilities: {}, auth: { type: 'none' } });
+    addPlugin('arxiv', manifestFor('arxiv'), FACTORY_PLUGIN('arxiv'));
+
+    await loader.loadAll();
+
+    expect(status('arxiv')).toMatchObject({ state: 'error', error: 'A plugin with ID "arxiv" is already registered' });
+    expect(manager.get('arxiv').name).toBe('arXiv');
+  });
+
+  it('should list built-in and third-party plugins together', async () => {
+    manager.register({ id: 'ads', name: 'NASA ADS', capabilities: { search: true }, auth: { type: 'api_key' }, search: async () => ({}) });
+    addPlugin('group-preprints', manifestFor('group-preprints', { description: 'Our preprints' }), FACTORY_PLUGIN('group-preprints'));
+    addPlugin('broken', manifestFor('broken'), 'throw new Error("nope");');
+
+    await loader.loadAll();
+
+    expect(loader.getPluginList()).toEqual([
+      expect.objectContaining({ id: 'ads', builtIn: true, enabled: true, state: 'loaded' }),
+      expect.objectContaining({ id: 'broken', builtIn: false, enabled: false, state: 'error', error: 'nope' }),
+      expect.objectContaining({ id: 'group-preprints', builtIn: false, version: '1.0.0', enabled: true, description: 'Our preprints' })
+    ]);
+  });
+});
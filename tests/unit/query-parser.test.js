@@ -0,0 +1,135 @@
+/**
+ * Unit Tests for query-parser.js
+ * Tests the local library query language
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseLibraryQuery, matchesQuery, collectTextTerms, QuerySyntaxError } from '../../src/lib/search/query-parser.js';
+
+describe('query-parser.js', () => {
+  const paper = (overrides = {}) => ({
+    id: 1,
+    title: 'Dark matter halos',
+    authors: ['Navarro, J.', 'Frenk, C.'],
+    abstract: 'A universal density profile.',
+    year: 1997,
+    citation_count: 120,
+    read_status: 'read',
+    rating: 1,
+    doi: '10.1086/304888',
+    arxiv_id: 'astro-ph/9611107v2',
+    added_date: '2025-03-01T12:00:00Z',
+    ...overrides
+  });
+
+  const matches = (query, p = paper(), context = {}) =>
+    matchesQuery(parseLibraryQuery(query), p, context);
+
+  describe('parseLibraryQuery', () => {
+    it('should return null for empty queries', () => {
+      expect(parseLibraryQuery('   ')).toBeNull();
+    });
+
+    it('should bind AND tighter than OR', () => {
+      const ast = parseLibraryQuery('halo author:Navarro OR author:Abel');
+      expect(ast.type).toBe('or');
+      expect(ast.children[0].type).toBe('and');
+      expect(ast.children[1]).toMatchObject({ type: 'field', field: 'author', value: 'abel' });
+    });
+
+    it('should treat lowercase operators as search words', () => {
+      const terms = collectTextTerms(parseLibraryQuery('dark or light'));
+      expect(terms.map(t => t.value)).toEqual(['dark', 'or', 'light']);
+    });
+
+    it('should report negated text terms', () => {
+      const terms = collectTextTerms(parseLibraryQuery('halo -"cold gas"'));
+      expect(terms.map(t => [t.value, t.negated])).toEqual([['halo', false], ['cold gas', true]]);
+    });
+
+    it('should point at unbalanced parentheses', () => {
+      expect(() => parseLibraryQuery('(halo OR subhalo')).toThrow(QuerySyntaxError);
+      let error;
+      try {
+        parseLibraryQuery('halo)');
+      } catch (e) {
+        error = e;
+      }
+      expect(error.position).toBe(4);
+    });
+
+    it('should read an unknown "word:" prefix as free text', () => {
+      const terms = query => collectTextTerms(parseLibraryQuery(query)).map(t => t.value);
+      expect(terms('Re: dark energy')).toEqual(['Re:', 'dark', 'energy']);
+      expect(terms('LCDM: tension year:2020')).toEqual(['LCDM:', 'tension']);
+      expect(terms('https://arxiv.org/abs/2101.01234')).toEqual(['https://arxiv.org/abs/2101.01234']);
+    });
+
+    it('should reject bad values for known fields', () => {
+      expect(() => parseLibraryQuery('year:2022-2018')).toThrow(QuerySyntaxError);
+      expect(() => parseLibraryQuery('year:2022..2018')).toThrow(QuerySyntaxError);
+      expect(() => parseLibraryQuery('added:2025-13')).toThrow(QuerySyntaxError);
+      expect(() => parseLibraryQuery('status:skimmed')).toThrow(QuerySyntaxError);
+      expect(() => parseLibraryQuery('halo OR')).toThrow(QuerySyntaxError);
+    });
+  });
+
+  describe('matchesQuery', () => {
+    it('should match numeric comparisons and ranges', () => {
+      expect(matches('year:1990-2000 citations:>=100')).toBe(true);
+      expect(matches('year:1990..2000')).toBe(true);
+      expect(matches('year:1998..2000')).toBe(false);
+      expect(matches('year:>2000')).toBe(false);
+      expect(matches('rating:seminal')).toBe(true);
+    });
+
+    it('should apply a field to a group', () => {
+      expect(matches('author:(Abel OR Frenk)')).toBe(true);
+      expect(matches('author:(Abel OR Bryan)')).toBe(false);
+    });
+
+    it('should negate fields', () => {
+      expect(matches('NOT status:read')).toBe(false);
+      expect(matches('-status:unread')).toBe(true);
+    });
+
+    it('should match dates', () => {
+      const now = new Date('2025-03-20T00:00:00Z');
+      expect(matches('added:>2025-01-01', paper(), { now })).toBe(true);
+      expect(matches('added:2025-03', paper(), { now })).toBe(true);
+      expect(matches('added:2025-02..2025-03', paper(), { now })).toBe(true);
+      expect(matches('added:2024-2025', paper(), { now })).toBe(true);
+      expect(matches('added:2024-01-2024-12', paper(), { now })).toBe(false);
+      expect(matches('added:7d', paper(), { now })).toBe(false);
+      expect(matches('added:30d', paper(), { now })).toBe(true);
+    });
+
+    it('should ignore arXiv versions and DOI prefixes', () => {
+      expect(matches('arxiv:astro-ph/9611107')).toBe(true);
+      expect(matches('doi:https://doi.org/10.1086/304888')).toBe(true);
+    });
+
+    it('should use context for collections and attachments', () => {
+      const context = {
+        collections: new Map([[1, ['Thesis']]]),
+        pdfPaperIds: new Set()
+      };
+      expect(matches('collection:thesis', paper(), context)).toBe(true);
+      expect(matches('has:pdf', paper(), context)).toBe(false);
+    });
+
+    it('should match a tag and the tags nested under it', () => {
+      const tagged = paper({ tags: ['Methods/MCMC'] });
+      expect(matches('tag:methods', tagged)).toBe(true);
+      expect(matches('tag:methods/mcmc', tagged)).toBe(true);
+      expect(matches('tag:meth', tagged)).toBe(false);
+      expect(matches('tag:methods/mcmc/hmc', tagged)).toBe(false);
+    });
+
+    it('should defer free text to the caller', () => {
+      const matchText = (node) => node.value === 'indexed';
+      expect(matches('indexed year:1997', paper(), { matchText })).toBe(true);
+      expect(matches('halos', paper(), { matchText })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for UnifiedQuery translation
+ * Each translator's output parses back into the query it was built from
+ */
+
+import { describe, it, expect } from 'vitest';
+import { adsPlugin } from '../../src/plugins/ads/index.cjs';
+import arxivPlugin from '../../src/plugins/arxiv/index.cjs';
+import inspirePlugin from '../../src/plugins/inspire/index.cjs';
+import crossrefPlugin from '../../src/plugins/crossref/index.cjs';
+import { parseFederatedQuery, formatFederatedQuery } from '../../src/lib/plugins/federated.cjs';
+import {
+  tokenizeQuery,
+  parseYearValue,
+  getUnsupportedClauses,
+  translateForPlugin,
+  parseForPlugin
+} from '../../src/lib/plugins/query.cjs';
+
+const FULL_QUERY = {
+  title: 'gravitational waves',
+  author: 'Abbott, B. P.',
+  abstract: 'binary black hole',
+  fullText: 'LIGO',
+  year: [2015, 2017],
+  doi: '10.1103/PhysRevLett.116.061102',
+  arxivId: '1602.03837',
+  bibcode: '2016PhRvL.116f1102A',
+  keywords: ['gr-qc', 'astro-ph.HE']
+};
+
+// The parts of FULL_QUERY a plugin can search
+const supportedPart = (plugin) => Object.fromEntries(
+  Object.entries(FULL_QUERY).filter(([field]) => plugin.searchCapabilities.queryFields.includes(field))
+);
+
+describe('UnifiedQuery translation', () => {
+  describe.each([
+    ['ADS', adsPlugin],
+    ['arXiv', arxivPlugin],
+    ['INSPIRE', inspirePlugin]
+  ])('%s', (name, plugin) => {
+    it('should round-trip every supported clause', () => {
+      const query = supportedPart(plugin);
+      expect(plugin.parseNativeQuery(plugin.translateQuery(query))).toEqual(query);
+    });
+
+    it('should round-trip single values', () => {
+      const query = { author: 'Hawking', year: 1974, keywords: ['hep-th'] };
+      expect(plugin.parseNativeQuery(plugin.translateQuery(query))).toEqual(query);
+    });
+  });
+
+  it('should write each source\'s native syntax', () => {
+    const query = { author: 'Witten', title: 'string theory', year: [2020, 2024], keywords: ['hep-th'] };
+
+    expect(adsPlugin.translateQuery(query)).toBe('title:"string theory" author:"Witten" year:[2020 TO 2024] keyword:"hep-th"');
+    expect(arxivPlugin.translateQuery(query)).toBe(
+      'ti:"string theory" AND au:Witten AND submittedDate:[202001010000 TO 202412312359] AND cat:hep-th'
+    );
+    expect(inspirePlugin.translateQuery(query)).toBe('a Witten and t "string theory" and date 2020->2024 and k hep-th');
+  });
+
+  it('should round-trip merged search syntax', () => {
+    expect(parseFederatedQuery(formatFederatedQuery(FULL_QUERY))).toEqual(FULL_QUERY);
+  });
+
+  it('should convert a query typed for one source to another', () => {
+    const query = parseForPlugin(adsPlugin, 'author:"Witten, E." year:2020-2024 abs:"mirror symmetry"');
+
+    expect(query).toEqual({ author: 'Witten, E.', year: [2020, 2024], abstract: 'mirror symmetry' });
+    expect(translateForPlugin(inspirePlugin, query).query).toBe('a Witten, E. and ab "mirror symmetry" and date 2020->2024');
+    expect(parseForPlugin(inspirePlugin, 'find a witten and t "cats and dogs"')).toEqual({ author: 'witten', title: 'cats and dogs' });
+  });
+
+  it('should refuse native syntax a UnifiedQuery cannot express', () => {
+    expect(parseForPlugin(adsPlugin, 'author:"^Smith" galaxy')).toBeNull();
+    expect(parseForPlugin(adsPlugin, 'property:refereed title:"JWST"')).toBeNull();
+    expect(parseForPlugin(adsPlugin, 'title:JWST OR title:Hubble')).toBeNull();
+    expect(parseForPlugin(arxivPlugin, 'au:hinton ANDNOT ti:survey')).toBeNull();
+    expect(parseForPlugin(inspirePlugin, 'a witten and topcite 500+')).toBeNull();
+    expect(parseForPlugin(inspirePlugin, 'a witten or a maldacena')).toBeNull();
+    expect(parseForPlugin(crossrefPlugin, 'author:Doudna')).toBeNull();
+  });
+
+  it('should report and leave out clauses a source cannot search', () => {
+    const query = { title: 'CRISPR', doi: '10.1126/science.1225829', bibcode: '2012Sci...337..816J', sort: 'citations' };
+
+    expect(translateForPlugin(arxivPlugin, query)).toEqual({
+      query: 'ti:CRISPR',
+      unsupported: [
+        { source: 'arxiv', clause: 'doi', message: 'DOI search is not supported' },
+        { source: 'arxiv', clause: 'bibcode', message: 'Bibcode search is not supported' },
+        { source: 'arxiv', clause: 'sort', message: 'Sorting by citations is not supported' }
+      ]
+    });
+    expect(translateForPlugin(adsPlugin, query).unsupported).toEqual([]);
+  });
+
+  it('should fall back to field-search support when a plugin lists no query fields', () => {
+    expect(getUnsupportedClauses({ title: 'x', fullText: 'y' }, { supportsFieldSearch: false }))
+      .toEqual([{ clause: 'title', message: 'Title search is not supported' }]);
+    expect(getUnsupportedClauses({ year: [2000, 2010] }, { supportsFieldSearch: true, supportsDateRange: false }))
+      .toEqual([{ clause: 'year', message: 'Year ranges are not supported' }]);
+  });
+
+  it('should tokenize quoted phrases and ranges as one token', () => {
+    expect(tokenizeQuery('title:"a (b) c" year:[2020 TO 2024] (k x or "y z")')).toEqual([
+      'title:"a (b) c"', 'year:[2020 TO 2024]', '(', 'k', 'x', 'or', '"y z"', ')'
+    ]);
+    expect(parseYearValue('2018->2020')).toEqual([2018, 2020]);
+    expect(parseYearValue('[2019 TO 2019]')).toBe(2019);
+    expect(parseYearValue('> 2019')).toBeNull();
+  });
+});
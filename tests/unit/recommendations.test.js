@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for recommendations.js
+ * Tests ranking of works outside the library against a real sql.js database
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { RecommendationIndex, paperWeight, workKeys } from '../../src/lib/database/recommendations.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+
+describe('recommendations.js', () => {
+  let SQL;
+  let db;
+  let index;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await runMigrations(db);
+    index = new RecommendationIndex(db);
+  });
+
+  const addPaper = (fields) => {
+    const row = { title: 'Library paper', year: new Date().getFullYear(), added_date: '2025-01-01T00:00:00Z', ...fields };
+    const columns = Object.keys(row);
+    db.run(
+      `INSERT INTO papers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(col => row[col])
+    );
+    return db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  };
+
+  const cacheRefs = (paperId, refs) => {
+    db.run('DELETE FROM paper_references WHERE paper_id = ?', [paperId]);
+    for (const ref of refs) {
+      db.run(
+        `INSERT INTO paper_references (paper_id, ref_doi, ref_arxiv_id, ref_bibcode, ref_title, ref_year, source_plugin, cached_at, linked_paper_id)
+         VALUES (?, ?, ?, ?, ?, ?, 'ads', '2025-01-01', ?)`,
+        [paperId, ref.doi || null, ref.arxiv_id || null, ref.bibcode || null, ref.title || null, ref.year || null, ref.linked_paper_id || null]
+      );
+    }
+    index.invalidate(paperId);
+  };
+
+  const titles = (result) => result.works.map(work => work.title);
+
+  describe('paperWeight', () => {
+    it('should favour rated and recent papers', () => {
+      expect(paperWeight({ rating: 1, year: 2026 }, 2026)).toBe(3);
+      expect(paperWeight({ rating: 0, year: 2016 }, 2026)).toBe(0.5);
+      expect(paperWeight({}, 2026)).toBe(0.5);
+    });
+  });
+
+  describe('workKeys', () => {
+    it('should key arXiv bibcodes by their arXiv ID too', () => {
+      expect(workKeys({ bibcode: '2019arXiv190412345A' })).toEqual(['arxiv:1904.12345', 'bibcode:2019arxiv190412345a']);
+    });
+  });
+
+  describe('getRecommendations', () => {
+    it('should rank works by the weight of the library papers citing them', () => {
+      const seminal = addPaper({ rating: 1 });
+      const a = addPaper({});
+      const b = addPaper({});
+      cacheRefs(seminal, [{ bibcode: '2001X', title: 'X' }]);
+      cacheRefs(a, [{ bibcode: '2001X', title: 'X' }, { bibcode: '2002Y', title: 'Y' }, { bibcode: '2003Z', title: 'Z' }]);
+      cacheRefs(b, [{ bibcode: '2002Y', title: 'Y' }]);
+
+      const result = index.getRecommendations();
+
+      expect(titles(result)).toEqual(['X', 'Y']);
+      expect(result.works[0]).toMatchObject({ citedBy: 2, score: 4, citingPaperIds: [seminal, a] });
+      expect(index.getRecommendations({ minCitedBy: 1 }).total).toBe(3);
+    });
+
+    it('should exclude works in the library or the reading list', () => {
+      const owned = addPaper({ doi: '10.1/owned' });
+      const a = addPaper({});
+      const b = addPaper({});
+      db.run('INSERT INTO reading_list (bibcode, title, added_date) VALUES (?, ?, ?)', ['2101.00001', 'Saved', '2025-01-01']);
+      const refs = [
+        { doi: '10.1/OWNED', title: 'Owned by DOI' },
+        { bibcode: '2000L', title: 'Linked', linked_paper_id: owned },
+        { arxiv_id: 'arXiv:2101.00001v2', title: 'Saved' },
+        { bibcode: '2003N', title: 'New' }
+      ];
+      cacheRefs(a, refs);
+      cacheRefs(b, refs);
+
+      expect(titles(index.getRecommendations())).toEqual(['New']);
+    });
+
+    it('should join references that identify the same work differently', () => {
+      const a = addPaper({});
+      const b = addPaper({});
+      cacheRefs(a, [{ doi: '10.1/x', title: 'X' }]);
+      cacheRefs(b, [{ bibcode: '2001X', title: 'X' }]);
+      expect(index.getRecommendations().total).toBe(0);
+
+      const c = addPaper({});
+      cacheRefs(c, [{ doi: '10.1/X', bibcode: '2001X' }]);
+
+      expect(index.getRecommendations().works).toMatchObject([{ doi: '10.1/x', bibcode: '2001X', citedBy: 3 }]);
+    });
+
+    it('should re-read only invalidated papers when refs are re-cached', () => {
+      const a = addPaper({});
+      const b = addPaper({});
+      cacheRefs(a, [{ bibcode: '2001X', title: 'X' }]);
+      cacheRefs(b, [{ bibcode: '2001X', title: 'X' }]);
+      expect(titles(index.getRecommendations())).toEqual(['X']);
+
+      // A change without invalidation is not seen until the paper is invalidated
+      db.run('DELETE FROM paper_references WHERE paper_id = ?', [b]);
+      expect(titles(index.getRecommendations())).toEqual(['X']);
+
+      cacheRefs(b, [{ bibcode: '2002Y', title: 'Y' }]);
+      cacheRefs(a, [{ bibcode: '2002Y', title: 'Y' }]);
+      expect(titles(index.getRecommendations())).toEqual(['Y']);
+
+      db.run('DELETE FROM papers WHERE id = ?', [a]);
+      index.invalidate(a);
+      expect(index.getRecommendations().total).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for reference-parser.js
+ * Parses the reference lists of fixture paper texts
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  findReferencesSection,
+  splitReferences,
+  parseReference,
+  buildBibcode,
+  extractReferences,
+  resolveReferences
+} from '../../src/lib/pdf/reference-parser.js';
+
+const fixture = (name) => readFileSync(fileURLToPath(new URL(`../fixtures/references/${name}`, import.meta.url)), 'utf8');
+
+describe('findReferencesSection', () => {
+  it('should take the last references heading and stop at an appendix', () => {
+    const section = findReferencesSection(fixture('astro-author-year.txt'));
+
+    expect(section.startsWith('Abbott, B. P.')).toBe(true);
+    expect(section).toContain('arXiv:0906.0341');
+    expect(section).not.toContain('this should not be parsed');
+  });
+
+  it('should return null for text without a references section', () => {
+    expect(findReferencesSection('Introduction\nWe cite nothing.')).toBeNull();
+  });
+});
+
+describe('splitReferences', () => {
+  it('should split author-year entries, joining wrapped lines and dropping page numbers', () => {
+    const entries = splitReferences(findReferencesSection(fixture('astro-author-year.txt')));
+
+    expect(entries).toHaveLength(8);
+    expect(entries[3]).toBe('Navarro, J. F., Frenk, C. S., & White, S. D. M. 1996, The Structure of Cold Dark Matter Halos, ApJ, 462, 563');
+    expect(entries[6].startsWith('van den Bosch, F. C.')).toBe(true);
+  });
+
+  it('should split numbered entries and undo hyphenation', () => {
+    const entries = splitReferences(findReferencesSection(fixture('physics-numbered.txt')));
+
+    expect(entries).toHaveLength(6);
+    expect(entries[0]).toContain('Can quantum-mechanical description of physical reality');
+  });
+});
+
+describe('parseReference', () => {
+  it('should parse astronomy author-year entries', () => {
+    const refs = extractReferences(fixture('astro-author-year.txt'));
+
+    expect(refs[0]).toMatchObject({
+      authors: ['Abbott, B. P.', 'Abbott, R.', 'Abbott, T. D.'],
+      year: 2017,
+      journal: 'ApJL',
+      volume: '848',
+      page: 'L12',
+      bibcode: '2017ApJ...848L..12A'
+    });
+    expect(refs[3]).toMatchObject({ title: 'The Structure of Cold Dark Matter Halos', bibcode: '1996ApJ...462..563N' });
+    expect(refs[4].authors[0]).toBe('Planck Collaboration');
+    expect(refs[5]).toMatchObject({ doi: '10.1038/nature03597', bibcode: '2005Natur.435..629S' });
+    expect(refs[7]).toMatchObject({ arxiv_id: '0906.0341', year: 2009 });
+  });
+
+  it('should parse numbered physics entries', () => {
+    const refs = extractReferences(fixture('physics-numbered.txt'));
+
+    expect(refs[0]).toMatchObject({
+      authors: ['Einstein, A.', 'Podolsky, B.', 'Rosen, N.'],
+      year: 1935,
+      title: 'Can quantum-mechanical description of physical reality be considered complete?',
+      journal: 'Phys. Rev.',
+      bibcode: '1935PhRv...47..777E'
+    });
+    expect(refs[1]).toMatchObject({ arxiv_id: '1602.03837', title: null, bibcode: '2016PhRvL.116f1102A' });
+    expect(refs[2]).toMatchObject({ title: 'A Model of Leptons', year: 1967 });
+    expect(refs[4]).toMatchObject({ arxiv_id: 'hep-th/9711200', bibcode: null });
+    expect(refs[5]).toMatchObject({ doi: '10.1007/BF02345020', year: 1975 });
+  });
+
+  it('should read MNRAS-style names with the initials after the surname', () => {
+    const ref = parseReference('Smith J. A., Jones K., 2016, MNRAS, 460, 1');
+
+    expect(ref.authors).toEqual(['Smith, J. A.', 'Jones, K.']);
+    expect(ref.bibcode).toBe('2016MNRAS.460....1S');
+  });
+});
+
+describe('buildBibcode', () => {
+  it('should return null for journals without a known bibstem', () => {
+    expect(buildBibcode({ year: 1998, journal: 'Adv. Theor. Math. Phys.', volume: '2', page: '231' })).toBeNull();
+  });
+});
+
+describe('resolveReferences', () => {
+  it('should look up references by identifier in batches and merge what is found', async () => {
+    const refs = extractReferences(fixture('physics-numbered.txt'));
+    const lookup = vi.fn(async (identifier) => identifier === '1602.03837'
+      ? { title: 'Observation of Gravitational Waves from a Binary Black Hole Merger', authors: ['Abbott, B. P.'], doi: '10.1103/PhysRevLett.116.061102', citationCount: 9000 }
+      : null);
+    const progress = [];
+
+    const resolved = await resolveReferences(refs, lookup, { batchSize: 4, onProgress: p => progress.push(p) });
+
+    expect(lookup).toHaveBeenCalledWith('10.1007/BF02345020');
+    expect(resolved[1]).toMatchObject({
+      title: 'Observation of Gravitational Waves from a Binary Black Hole Merger',
+      doi: '10.1103/PhysRevLett.116.061102',
+      citation_count: 9000,
+      resolved: true
+    });
+    expect(resolved[2]).toBe(refs[2]);
+    expect(progress).toEqual([{ done: 4, total: 6, resolved: 1 }, { done: 6, total: 6, resolved: 1 }]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for schema migrations
+ * Tests the versioned migration runner shared by desktop and mobile databases
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import database from '../../src/main/database.cjs';
+import {
+  SCHEMA_MIGRATIONS,
+  SCHEMA_VERSION,
+  SchemaVersionError,
+  getSchemaVersion,
+  runMigrations
+} from '../../src/lib/database/migrations.js';
+
+// papers as created by early, unversioned app versions
+const LEGACY_PAPERS_SQL = `CREATE TABLE papers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT, bibcode TEXT UNIQUE, doi TEXT, arxiv_id TEXT, title TEXT,
+  authors TEXT, year INTEGER, journal TEXT, abstract TEXT, keywords TEXT, pdf_path TEXT, text_path TEXT,
+  bibtex TEXT, read_status TEXT DEFAULT 'unread', added_date TEXT, modified_date TEXT
+)`;
+
+const tables = (db) => db.exec("SELECT name FROM sqlite_master WHERE type = 'table'")[0].values.map(row => row[0]);
+const columns = (db, table) => db.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1]);
+
+describe('runMigrations', () => {
+  let SQL;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  it('should create a new library at the current version without a backup', async () => {
+    const db = new SQL.Database();
+    const backup = vi.fn();
+
+    const result = await runMigrations(db, { backup });
+
+    expect(result).toEqual({ from: 0, to: SCHEMA_VERSION, applied: SCHEMA_MIGRATIONS.map(m => m.version) });
+    expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+    expect(tables(db)).toEqual(expect.arrayContaining(['papers', 'metadata', 'reading_list', 'paper_sources', 'paper_references']));
+    expect(backup).not.toHaveBeenCalled();
+  });
+
+  it('should adopt an unversioned library, backing it up first', async () => {
+    // A library from before versioning that never got the later columns or plugin tables
+    const db = new SQL.Database();
+    db.run(LEGACY_PAPERS_SQL);
+    db.run("INSERT INTO papers (bibcode, title) VALUES ('2016PhRvL.116f1102A', 'Observation of Gravitational Waves')");
+    const backup = vi.fn();
+
+    await runMigrations(db, { backup });
+
+    expect(backup).toHaveBeenCalledTimes(1);
+    const [bytes, version] = backup.mock.calls[0];
+    expect(version).toBe(0);
+    expect(tables(new SQL.Database(bytes))).toEqual(['papers', 'sqlite_sequence']);
+
+    expect(columns(db, 'papers')).toEqual(expect.arrayContaining(['rating', 'available_sources', 'annotation_count', 'source', 'source_id']));
+    expect(db.exec('SELECT title, source_id FROM papers')[0].values).toEqual([
+      ['Observation of Gravitational Waves', '2016PhRvL.116f1102A']
+    ]);
+    expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+  });
+
+  it('should do nothing for an up-to-date library', async () => {
+    const db = new SQL.Database();
+    await runMigrations(db);
+    const backup = vi.fn();
+
+    expect(await runMigrations(db, { backup })).toEqual({ from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] });
+    expect(backup).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a library from a newer app version', async () => {
+    const db = new SQL.Database();
+    await runMigrations(db);
+    db.run("UPDATE metadata SET value = ? WHERE key = 'schema_version'", [String(SCHEMA_VERSION + 1)]);
+
+    const error = await runMigrations(db).catch(e => e);
+
+    expect(error).toBeInstanceOf(SchemaVersionError);
+    expect(error).toMatchObject({ libraryVersion: SCHEMA_VERSION + 1, appVersion: SCHEMA_VERSION });
+  });
+
+  it('should roll back a failed migration and keep the last completed version', async () => {
+    const db = new SQL.Database();
+    await runMigrations(db);
+    SCHEMA_MIGRATIONS.push({
+      version: SCHEMA_VERSION + 1,
+      name: 'Broken',
+      up(migrating) {
+        migrating.run('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('disk full');
+      }
+    });
+
+    try {
+      await expect(runMigrations(db)).rejects.toThrow(`Schema migration ${SCHEMA_VERSION + 1} (Broken) failed: disk full`);
+    } finally {
+      SCHEMA_MIGRATIONS.pop();
+    }
+
+    expect(tables(db)).not.toContain('half_done');
+    expect(getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+  });
+});
+
+describe('database.initDatabase', () => {
+  let libraryPath;
+
+  afterEach(() => {
+    database.closeDatabase();
+    fs.rmSync(libraryPath, { recursive: true, force: true });
+  });
+
+  const writeLibrary = async (setup) => {
+    libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bibliac-migrations-'));
+    const SQL = await initSqlJs();
+    const db = new SQL.Database();
+    setup(db);
+    fs.writeFileSync(path.join(libraryPath, 'library.sqlite'), Buffer.from(db.export()));
+    db.close();
+  };
+
+  it('should refuse a newer library without writing to it', async () => {
+    await writeLibrary((db) => {
+      db.run('CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT)');
+      db.run("INSERT INTO metadata VALUES ('schema_version', '999')");
+    });
+    const before = fs.readFileSync(path.join(libraryPath, 'library.sqlite'));
+
+    await expect(database.initDatabase(libraryPath)).rejects.toThrow(SchemaVersionError);
+
+    expect(fs.readFileSync(path.join(libraryPath, 'library.sqlite'))).toEqual(before);
+    expect(fs.readdirSync(libraryPath)).toEqual(['library.sqlite']);
+  });
+
+  it('should back up an older library next to it before migrating', async () => {
+    await writeLibrary((db) => {
+      db.run(LEGACY_PAPERS_SQL);
+    });
+    const before = fs.readFileSync(path.join(libraryPath, 'library.sqlite'));
+
+    await database.initDatabase(libraryPath);
+
+    const backups = fs.readdirSync(libraryPath).filter(name => name.startsWith('library-backup-v0-'));
+    expect(backups).toHaveLength(1);
+    expect(fs.readFileSync(path.join(libraryPath, backups[0]))).toEqual(before);
+    expect(database.getSchemaVersion()).toBe(SCHEMA_VERSION);
+  });
+});
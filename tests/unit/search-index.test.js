@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for search-index.cjs
+ * Tests the FTS4 full-text index against a real sql.js database
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import searchIndex from '../../src/lib/database/search-index.cjs';
+
+describe('search-index.cjs', () => {
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(() => {
+    db = new SQL.Database();
+    searchIndex.applySearchIndexSchema(db);
+  });
+
+  const paper = (overrides = {}) => ({
+    id: 1,
+    title: 'Dark matter halos',
+    authors: ['Navarro, J.', 'Frenk, C.'],
+    abstract: 'A universal density profile from hierarchical clustering.',
+    keywords: ['cosmology'],
+    ...overrides
+  });
+
+  describe('applySearchIndexSchema', () => {
+    it('should report a rebuild is needed for a new index', () => {
+      const fresh = new SQL.Database();
+      expect(searchIndex.applySearchIndexSchema(fresh)).toBe(true);
+      expect(searchIndex.applySearchIndexSchema(fresh)).toBe(false);
+    });
+  });
+
+  describe('buildMatchExpression', () => {
+    it('should turn words into prefix terms', () => {
+      expect(searchIndex.buildMatchExpression('dark matter')).toBe('dark* matter*');
+    });
+
+    it('should keep quoted phrases', () => {
+      expect(searchIndex.buildMatchExpression('"density profile" halo')).toBe('"density profile" halo*');
+    });
+
+    it('should drop FTS syntax characters', () => {
+      expect(searchIndex.buildMatchExpression('M31, (NGC-224)')).toBe('M31* NGC* 224*');
+      expect(searchIndex.buildMatchExpression('***')).toBeNull();
+    });
+  });
+
+  describe('searchIndex', () => {
+    it('should rank title matches above full-text matches', () => {
+      searchIndex.indexPaper(db, paper());
+      searchIndex.indexPaper(db, paper({ id: 2, title: 'Galaxy formation', abstract: '' }), {
+        fullText: 'The halo mass function in the simulation.'
+      });
+
+      const hits = searchIndex.searchIndex(db, 'halo');
+
+      expect(hits.map(h => h.paperId)).toEqual([1, 2]);
+      expect(hits[0].matchSource).toBe('title');
+      expect(hits[1].matchSource).toBe('fulltext');
+    });
+
+    it('should return escaped snippets with highlights', () => {
+      searchIndex.indexPaper(db, paper({ abstract: 'Profiles <b>cusp</b> at small radii' }));
+
+      const [hit] = searchIndex.searchIndex(db, 'cusp');
+
+      expect(hit.snippet).toContain('<mark>cusp</mark>');
+      expect(hit.snippet).toContain('&lt;b&gt;');
+    });
+
+    it('should give the page of a full-text hit', () => {
+      searchIndex.indexPaper(db, paper({ title: 'Galaxy formation', abstract: '' }), {
+        fullText: 'Introduction to ƒ halos\fMethods\fThe merger tree of satellites'
+      });
+
+      expect(searchIndex.searchIndex(db, 'merger')[0].page).toBe(3);
+      expect(searchIndex.searchIndex(db, 'galaxy')[0].page).toBeNull();
+    });
+
+    it('should search annotation notes', () => {
+      searchIndex.indexPaper(db, paper(), {
+        annotations: [{ note_content: 'Use for feedback chapter', selection_text: null }]
+      });
+
+      const [hit] = searchIndex.searchIndex(db, 'feedback');
+
+      expect(hit.paperId).toBe(1);
+      expect(hit.matchSource).toBe('notes');
+    });
+
+    it('should ignore diacritics', () => {
+      searchIndex.indexPaper(db, paper({ authors: ['Schrödinger, E.'] }));
+
+      expect(searchIndex.searchIndex(db, 'schrodinger')).toHaveLength(1);
+    });
+
+    it('should replace a paper on re-index and drop it on removal', () => {
+      searchIndex.indexPaper(db, paper());
+      searchIndex.indexPaper(db, paper({ title: 'Cold gas accretion' }));
+
+      expect(searchIndex.searchIndex(db, 'halos')).toHaveLength(0);
+      expect(searchIndex.searchIndex(db, 'accretion')).toHaveLength(1);
+
+      searchIndex.removeFromIndex(db, 1);
+
+      expect(searchIndex.searchIndex(db, 'accretion')).toHaveLength(0);
+      expect(searchIndex.getIndexedCount(db)).toBe(0);
+    });
+  });
+
+  describe('paperSignature', () => {
+    it('should ignore fields that are not indexed', () => {
+      const a = searchIndex.paperSignature(paper({ rating: 1 }), '1:2024');
+      const b = searchIndex.paperSignature(paper({ rating: 3 }), '1:2024');
+      expect(a).toBe(b);
+    });
+
+    it('should change when indexed content changes', () => {
+      const a = searchIndex.paperSignature(paper(), null);
+      expect(searchIndex.paperSignature(paper({ title: 'Other' }), null)).not.toBe(a);
+      expect(searchIndex.paperSignature(paper(), '2:2025')).not.toBe(a);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for the Trash
+ * Tests soft delete, restore, retention and purging shared by desktop and mobile
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import initSqlJs from 'sql.js';
+import { runMigrations } from '../../src/lib/database/migrations.js';
+import {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  trashPapers,
+  restorePapers,
+  getTrashCount,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  getExpiredTrashIds,
+  purgePapers
+} from '../../src/lib/database/trash.js';
+
+const count = (db, sql, params = []) => db.exec(sql, params)[0].values[0][0];
+
+describe('trash', () => {
+  let SQL;
+  let db;
+
+  beforeAll(async () => {
+    SQL = await initSqlJs();
+  });
+
+  beforeEach(async () => {
+    db = new SQL.Database();
+    await runMigrations(db);
+    for (const [id, bibcode] of [[1, '2016PhRvL.116f1102A'], [2, '2019ApJ...875L...1E'], [3, '1998AJ....116.1009R']]) {
+      db.run('INSERT INTO papers (id, bibcode, title) VALUES (?, ?, ?)', [id, bibcode, `Paper ${id}`]);
+    }
+    db.run("INSERT INTO collections (id, name) VALUES (1, 'Waves')");
+    db.run('INSERT INTO paper_collections (paper_id, collection_id) VALUES (1, 1)');
+    db.run("INSERT INTO annotations (paper_id, page_number, selection_text) VALUES (1, 1, 'chirp')");
+    db.run(`INSERT INTO paper_files (paper_id, file_hash, filename, mime_type, file_role, added_date)
+            VALUES (1, 'abc', 'abc.pdf', 'application/pdf', 'pdf', '2024-01-01'),
+                   (2, 'shared', 'shared.pdf', 'application/pdf', 'pdf', '2024-01-01'),
+                   (3, 'shared', 'shared.pdf', 'application/pdf', 'pdf', '2024-01-01')`);
+    db.run(`INSERT INTO paper_references (paper_id, ref_bibcode, source_plugin, cached_at, linked_paper_id)
+            VALUES (2, '2016PhRvL.116f1102A', 'ads', '2024-01-01', 1)`);
+  });
+
+  it('should keep trashed papers and everything attached to them until restored', () => {
+    expect(trashPapers(db, [1])).toBe(1);
+    expect(trashPapers(db, [1])).toBe(0);
+    expect(getTrashCount(db)).toBe(1);
+
+    expect(restorePapers(db, [1, 2])).toBe(1);
+    expect(getTrashCount(db)).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM paper_collections WHERE paper_id = 1')).toBe(1);
+    expect(count(db, 'SELECT COUNT(*) FROM annotations WHERE paper_id = 1')).toBe(1);
+    expect(count(db, 'SELECT annotation_count FROM papers WHERE id = 1')).toBe(1);
+  });
+
+  it('should purge papers past the retention period only', () => {
+    const now = new Date('2024-03-01T00:00:00Z');
+    trashPapers(db, [1], new Date('2024-01-01T00:00:00Z'));
+    trashPapers(db, [2], new Date('2024-02-25T00:00:00Z'));
+
+    expect(getTrashRetentionDays(db)).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+    expect(getExpiredTrashIds(db, now)).toEqual([1]);
+
+    setTrashRetentionDays(db, 3);
+    expect(getExpiredTrashIds(db, now)).toEqual([1, 2]);
+
+    setTrashRetentionDays(db, 0);
+    expect(getExpiredTrashIds(db, now)).toEqual([]);
+
+    expect(() => setTrashRetentionDays(db, -1)).toThrow('whole number of days');
+    expect(getTrashRetentionDays(db)).toBe(0);
+  });
+
+  it('should delete every row of a purged paper and unlink references to it', () => {
+    const { papers, files } = purgePapers(db, [1]);
+
+    expect(papers).toEqual([{ id: 1, bibcode: '2016PhRvL.116f1102A', pdf_path: null, text_path: null }]);
+    expect(files.map(file => file.filename)).toEqual(['abc.pdf']);
+    expect(count(db, 'SELECT COUNT(*) FROM papers WHERE id = 1')).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM paper_collections')).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM annotations')).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM paper_files WHERE paper_id = 1')).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM paper_references WHERE linked_paper_id IS NOT NULL')).toBe(0);
+    expect(count(db, 'SELECT COUNT(*) FROM paper_references')).toBe(1);
+  });
+
+  it('should only return files no remaining paper uses', () => {
+    expect(purgePapers(db, [2]).files).toEqual([]);
+    expect(purgePapers(db, [3]).files.map(file => file.filename)).toEqual(['shared.pdf']);
+  });
+});